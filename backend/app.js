@@ -0,0 +1,89 @@
+// backend/app.js
+// Express app without the database connection or listener, so tests can mount it
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const authRoutes = require('./routes/auth');
+const instituteRoutes = require('./routes/institutes');
+const carbonDataRoutes = require('./routes/carbonData');
+const chainRoutes = require('./routes/chain');
+const feederRoutes = require('./routes/feeder');
+const settlementRoutes = require('./routes/settlement');
+const buildingRoutes = require('./routes/buildings');
+const weatherRoutes = require('./routes/weather');
+const baselineProposalRoutes = require('./routes/baselineProposals');
+const userRoutes = require('./routes/users');
+const invitationRoutes = require('./routes/invitations');
+const eventRoutes = require('./routes/events');
+const deviceRoutes = require('./routes/devices');
+const ingestRoutes = require('./routes/ingest');
+const emissionFactorRoutes = require('./routes/emissionFactors');
+const budgetRoutes = require('./routes/budgets');
+const reconciliationRoutes = require('./routes/reconciliations');
+const offsetRoutes = require('./routes/offsets');
+const certificateRoutes = require('./routes/certificates');
+const reportRoutes = require('./routes/reports');
+const anomalyRoutes = require('./routes/anomalies');
+const alertRoutes = require('./routes/alerts');
+
+const app = express();
+
+// Security middleware
+app.use(helmet());
+
+// CORS configuration
+app.use(cors({
+  origin: ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:3002'], // Allow multiple frontend URLs
+  credentials: true,
+  optionsSuccessStatus: 200
+}));
+
+console.log('CORS configured to allow origins:', ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:3002']);
+
+// Body parser middleware
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/institutes', instituteRoutes);
+app.use('/api/carbon-data', carbonDataRoutes);
+app.use('/api/chain', chainRoutes);
+app.use('/api/feeder', feederRoutes);
+app.use('/api/settlement', settlementRoutes);
+app.use('/api/buildings', buildingRoutes);
+app.use('/api/weather', weatherRoutes);
+app.use('/api/baseline-proposals', baselineProposalRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/emission-factors', emissionFactorRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/reconciliations', reconciliationRoutes);
+app.use('/api/offsets', offsetRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/anomalies', anomalyRoutes);
+app.use('/api/alerts', alertRoutes);
+
+// Health check route
+app.get('/api/health', (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Server is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({
+    success: false,
+    message: 'Something went wrong!'
+  });
+});
+
+module.exports = app;
@@ -0,0 +1,25 @@
+// backend/config/alerts.js
+// Alert rules engine (services/alertEngine.js) and its notification channels.
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  // Every enabled rule is evaluated on this schedule, and snoozes that ended are picked up
+  interval: parseInt(process.env.ALERT_EVALUATE_INTERVAL_MS) || 5 * 60 * 1000,
+  // New readings trigger at most one evaluation of their institute's rules per this many ms
+  ingestDebounceMs: parseInt(process.env.ALERT_INGEST_DEBOUNCE_MS) || 30 * 1000,
+  // Rules look back over whole hours of rollups, up to a month
+  maxWindowHours: parseInt(process.env.ALERT_MAX_WINDOW_HOURS) || 31 * 24,
+  defaultSnoozeMinutes: parseInt(process.env.ALERT_DEFAULT_SNOOZE_MINUTES) || 60,
+  maxSnoozeMinutes: parseInt(process.env.ALERT_MAX_SNOOZE_MINUTES) || 7 * 24 * 60,
+  // Email recipients per rule
+  maxRecipients: parseInt(process.env.ALERT_MAX_RECIPIENTS) || 20,
+  // Webhook deliveries are abandoned after this long
+  webhookTimeoutMs: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000,
+  // Webhooks may only reach public addresses; these host names (comma-separated)
+  // are trusted even when they are internal, e.g. an on-premises receiver
+  webhookAllowedHosts: (process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean)
+};
@@ -0,0 +1,32 @@
+// backend/config/anomalies.js
+// Consumption anomaly detector (services/anomalyDetector.js). Profiles and
+// checks run on the hourly rollups of each building/department.
+const dotenv = require('dotenv');
+dotenv.config();
+
+const offset = parseInt(process.env.ANOMALY_UTC_OFFSET_MINUTES);
+
+module.exports = {
+  interval: parseInt(process.env.ANOMALY_DETECTOR_INTERVAL_MS) || 60 * 60 * 1000,
+  // Weekday/hour profiles are learned from this many weeks before the checked hours,
+  // so they follow the season
+  profileWeeks: parseInt(process.env.ANOMALY_PROFILE_WEEKS) || 8,
+  // Fewer samples than this for a weekday/hour and that hour is not checked
+  minSamples: parseInt(process.env.ANOMALY_MIN_SAMPLES) || 3,
+  // Complete hours checked on each run; overlapping runs update the same anomaly
+  lookbackHours: parseInt(process.env.ANOMALY_LOOKBACK_HOURS) || 24,
+  // An hour is a spike when it is this many robust deviations above its profile...
+  spikeScore: parseFloat(process.env.ANOMALY_SPIKE_SCORE) || 4,
+  // ...and at least this multiple of the typical value (so near-constant loads are not flagged on noise)
+  spikeRatio: parseFloat(process.env.ANOMALY_SPIKE_RATIO) || 1.5,
+  // Night hours (local time, start inclusive, end exclusive) used for the baseload
+  nightStartHour: parseInt(process.env.ANOMALY_NIGHT_START_HOUR) || 0,
+  nightEndHour: parseInt(process.env.ANOMALY_NIGHT_END_HOUR) || 5,
+  // Nights compared with the profile, and the rise over it reported as creep (%)
+  baseloadDays: parseInt(process.env.ANOMALY_BASELOAD_DAYS) || 7,
+  baseloadCreepPercent: parseFloat(process.env.ANOMALY_BASELOAD_CREEP_PERCENT) || 20,
+  // Hours of identical readings before a meter is reported as flat-lined
+  flatlineHours: parseInt(process.env.ANOMALY_FLATLINE_HOURS) || 6,
+  // Campus local time for weekdays and night hours; rollups are bucketed in UTC (default IST)
+  utcOffsetMinutes: Number.isFinite(offset) ? offset : 330
+};
@@ -4,6 +4,10 @@ dotenv.config();
 
 module.exports = {
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpire: '7d',
+  // Access tokens are short-lived; sessions continue through rotating refresh tokens
+  jwtExpire: process.env.JWT_ACCESS_EXPIRE || '15m',
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
+  passwordResetMinutes: parseInt(process.env.PASSWORD_RESET_MINUTES) || 60,
+  invitationDays: parseInt(process.env.INVITATION_DAYS) || 7,
   bcryptSaltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12
-};
\ No newline at end of file
+};
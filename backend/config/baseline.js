@@ -0,0 +1,15 @@
+// backend/config/baseline.js
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  // Degree-day balance points in °C; Indian campuses rarely heat, so cooling dominates
+  heatingBaseTemp: parseFloat(process.env.BASELINE_HEATING_BASE_C) || 18,
+  coolingBaseTemp: parseFloat(process.env.BASELINE_COOLING_BASE_C) || 24,
+  // Days of history used to fit the model when no baseline window is given
+  baselineDays: parseInt(process.env.BASELINE_DAYS) || 365,
+  // Reporting window when no from/to is given
+  reportDays: parseInt(process.env.BASELINE_REPORT_DAYS) || 30,
+  // Fewer fitted days than this and a group is reported as insufficient
+  minFitDays: parseInt(process.env.BASELINE_MIN_FIT_DAYS) || 14
+};
@@ -0,0 +1,18 @@
+// backend/config/budgets.js
+// Departmental carbon budgets (services/budgets.js). Budgets are in tonnes
+// CO2e; Institute.carbonBudget is the annual figure split into periods.
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  // monthly | quarterly | annual
+  defaultPeriod: process.env.BUDGET_DEFAULT_PERIOD || 'monthly',
+  // rollover carries a department's unused budget into its next period; expire drops it
+  defaultPolicy: process.env.BUDGET_DEFAULT_POLICY || 'expire',
+  // warn lets consumption through an exhausted budget; block rejects it
+  defaultEnforcement: process.env.BUDGET_DEFAULT_ENFORCEMENT || 'warn',
+  // Share of a department's budget used before it is reported as running low
+  warnAt: parseFloat(process.env.BUDGET_WARN_AT) || 0.8,
+  // Consumption from users without a department is booked here
+  unassignedDepartment: 'Unassigned'
+};
@@ -0,0 +1,12 @@
+// backend/config/certificates.js
+// Offset retirement certificates (services/certificates.js)
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  // Printed on certificates and encoded in their QR code; the certificate id is appended
+  verifyUrl: (process.env.CERTIFICATE_VERIFY_URL || 'http://localhost:5000/api/certificates/verify').replace(/\/$/, ''),
+  issuer: process.env.CERTIFICATE_ISSUER || 'GreenPulse',
+  // Public verification lookups per IP per 15 minutes
+  verifyRateLimit: parseInt(process.env.CERTIFICATE_VERIFY_RATE_LIMIT) || 60
+};
@@ -0,0 +1,61 @@
+// backend/config/chain.js
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const network = process.env.CHAIN_NETWORK || 'localhost';
+
+/**
+ * Load the deployment manifest written by scripts/deploy.js
+ * @param {string} networkName - Hardhat network name (e.g. 'localhost')
+ * @returns {Object} - Parsed deploy/deployments/<network>.json
+ */
+const loadDeployment = (networkName = network) => {
+  const file = process.env.CHAIN_DEPLOYMENT_FILE ||
+    path.join(__dirname, '..', '..', 'deploy', 'deployments', `${networkName}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Deployments file not found: ${file}. Run scripts/deploy.js first.`);
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+module.exports = {
+  network,
+  rpcUrl: process.env.RPC_URL_LOCAL || 'http://127.0.0.1:8545',
+  // Blocks to wait before a log is considered final; 0 is fine against a local Hardhat node
+  confirmations: parseInt(process.env.CHAIN_CONFIRMATIONS) || 0,
+  // Number of blocks requested per eth_getLogs call
+  batchSize: parseInt(process.env.CHAIN_BATCH_SIZE) || 2000,
+  pollInterval: parseInt(process.env.CHAIN_POLL_INTERVAL_MS) || 5000,
+  startBlock: parseInt(process.env.CHAIN_START_BLOCK) || 0,
+  // How many recent block hashes a checkpoint remembers for reorg detection
+  reorgDepth: parseInt(process.env.CHAIN_REORG_DEPTH) || 64,
+  // Meter feeder: account holding ORACLE_ROLE on EnergyOracle, and the authorized meter signer
+  // (the signer key defaults to the feeder key, as in scripts/simulateMonth.js)
+  oracleFeederKey: process.env.ORACLE_FEEDER_PRIVATE_KEY,
+  meterSignerKey: process.env.METER_SIGNER_PRIVATE_KEY || process.env.ORACLE_FEEDER_PRIVATE_KEY,
+  feederSources: (process.env.FEEDER_SOURCES || 'CarbonBiometric').split(',').map(s => s.trim()),
+  feederLookbackDays: parseInt(process.env.FEEDER_LOOKBACK_DAYS) || 45,
+  feederMaxAttempts: parseInt(process.env.FEEDER_MAX_ATTEMPTS) || 8,
+  feederInterval: parseInt(process.env.FEEDER_INTERVAL_MS) || 60000,
+  // Settlement worker: account holding SETTLEMENT_ROLE on FiatGateway
+  settlementKey: process.env.SETTLEMENT_PRIVATE_KEY,
+  paymentProvider: process.env.PAYMENT_PROVIDER || 'mock',
+  settlementInterval: parseInt(process.env.SETTLEMENT_INTERVAL_MS) || 15000,
+  // Buy requests with no fiat deposit are cancelled, sell payouts are refunded after these
+  fiatBuyTimeoutMs: parseInt(process.env.FIAT_BUY_TIMEOUT_MS) || 24 * 60 * 60 * 1000,
+  fiatSellTimeoutMs: parseInt(process.env.FIAT_SELL_TIMEOUT_MS) || 48 * 60 * 60 * 1000,
+  // Baseline publisher: account holding ORACLE_ROLE on EnergyAuction (the oracle committee)
+  baselinePublisherKey: process.env.BASELINE_PUBLISHER_PRIVATE_KEY,
+  baselinePublisherInterval: parseInt(process.env.BASELINE_PUBLISHER_INTERVAL_MS) || 60000,
+  // Next month's proposal is drafted once we are this many days from month end
+  baselineProposalLeadDays: parseInt(process.env.BASELINE_PROPOSAL_LEAD_DAYS) || 10,
+  // Chain reconciler: off-chain wallet balances vs ENTO held by each department wallet
+  reconcileInterval: parseInt(process.env.CHAIN_RECONCILE_INTERVAL_MS) || 60 * 60 * 1000,
+  // Differences up to this many ENTO are treated as rounding
+  reconcileTolerance: parseFloat(process.env.CHAIN_RECONCILE_TOLERANCE) || 0.01,
+  loadDeployment
+};
@@ -0,0 +1,24 @@
+// backend/config/emissions.js
+// Emission factors (models/EmissionFactor.js, services/emissionFactors.js)
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  // Region used for institutes without a gridRegion
+  defaultRegion: (process.env.EMISSION_DEFAULT_REGION || 'IN').toUpperCase(),
+  // Built-in factors (version 0), used where the registry has none, in kg CO2e per unit
+  defaults: {
+    // CEA national grid average, kg/kWh
+    grid: parseFloat(process.env.GRID_EMISSION_FACTOR_KG_PER_KWH) || 0.716,
+    solar: 0,
+    wind: 0,
+    hybrid: 0,
+    renewable: 0,
+    // Offsets retired per ENTO spent, kg
+    offset: parseFloat(process.env.OFFSET_KG_PER_ENTO) || 100
+  },
+  // How long the factor table is cached between registry reads
+  cacheMs: parseInt(process.env.EMISSION_FACTOR_CACHE_MS) || 60000,
+  // Records rewritten per bulk update during a recalculation
+  recalcBatchSize: parseInt(process.env.EMISSION_RECALC_BATCH) || 500
+};
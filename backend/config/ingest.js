@@ -0,0 +1,21 @@
+// backend/config/ingest.js
+// Device ingestion (POST /api/ingest/readings) limits and plausibility ranges.
+// Ranges apply after unit conversion: kWh, tonnes CO2, °C.
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  maxBatchSize: parseInt(process.env.INGEST_MAX_BATCH) || 1000,
+  // Device clocks drift; readings further in the future are rejected
+  maxFutureSkewMs: parseInt(process.env.INGEST_MAX_FUTURE_SKEW_MS) || 5 * 60 * 1000,
+  // Backfills older than this are rejected (a stuck device replaying its buffer)
+  maxAgeDays: parseInt(process.env.INGEST_MAX_AGE_DAYS) || 400,
+  ranges: {
+    energyConsumption: [0, parseFloat(process.env.INGEST_MAX_KWH_PER_READING) || 100000],
+    co2Emissions: [0, 1000],
+    energyEfficiency: [0, 100],
+    temperature: [-50, 70],
+    humidity: [0, 100],
+    airQuality: [0, 1000]
+  }
+};
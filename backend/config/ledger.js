@@ -0,0 +1,20 @@
+// backend/config/ledger.js
+// Wallet ledger (services/ledger.js) and Idempotency-Key handling
+// (middleware/idempotency.js) for the mutating wallet endpoints.
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  currency: 'ENTO',
+  // Amounts are rounded to this many decimals so debits and credits sum exactly
+  precision: 6,
+  idempotency: {
+    header: 'Idempotency-Key',
+    // Set IDEMPOTENCY_REQUIRED=false to accept requests without a key (older clients)
+    required: process.env.IDEMPOTENCY_REQUIRED !== 'false',
+    // How long a completed response is replayed for the same key
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+    // A request still processing after this long is assumed lost and may be retried
+    lockMs: parseInt(process.env.IDEMPOTENCY_LOCK_MS) || 60 * 1000
+  }
+};
@@ -0,0 +1,14 @@
+// backend/config/live.js
+// Live dashboard push over Server-Sent Events (see services/liveEvents.js)
+module.exports = {
+  // How often the API server checks the live_events collection for new events
+  pollInterval: parseInt(process.env.LIVE_POLL_INTERVAL_MS) || 1000,
+  // Comment frames keep proxies from closing idle streams
+  heartbeatInterval: parseInt(process.env.LIVE_HEARTBEAT_MS) || 25000,
+  // Events stay available this long for clients resuming with Last-Event-ID
+  retentionMinutes: parseInt(process.env.LIVE_RETENTION_MINUTES) || 60,
+  // Maximum events replayed to a reconnecting client
+  replayLimit: parseInt(process.env.LIVE_REPLAY_LIMIT) || 200,
+  // Reconnect delay suggested to EventSource-style clients
+  clientRetryMs: 3000
+};
@@ -0,0 +1,13 @@
+// backend/config/mail.js
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  // 'console' prints messages, 'file' writes them to fileDir; register real transports in services/mailer
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'GreenPulse <no-reply@greenpulse.local>',
+  fileDir: process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox'),
+  // Links in emails point at the frontend
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')
+};
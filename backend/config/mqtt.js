@@ -0,0 +1,29 @@
+// backend/config/mqtt.js
+// MQTT ingestion bridge (see services/mqttBridge.js and scripts/run-mqtt-bridge.js)
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  // Broker the bridge subscribes to; ignored when the embedded broker is used
+  url: process.env.MQTT_URL || 'mqtt://127.0.0.1:1883',
+  username: process.env.MQTT_USERNAME,
+  password: process.env.MQTT_PASSWORD,
+  clientId: process.env.MQTT_CLIENT_ID || `greenpulse-bridge-${process.pid}`,
+  // Meters publish to <topicPrefix>/<instituteId>/<building>/<deviceId>
+  topicPrefix: process.env.MQTT_TOPIC_PREFIX || 'greenpulse',
+  qos: parseInt(process.env.MQTT_QOS) || 1,
+  // Run an in-process broker instead of connecting to MQTT_URL
+  embeddedBroker: process.env.MQTT_EMBEDDED_BROKER === 'true',
+  embeddedPort: parseInt(process.env.MQTT_EMBEDDED_PORT) || 1883,
+  // Buffered readings are written every flushInterval, or sooner once maxBuffer rows are waiting
+  flushInterval: parseInt(process.env.MQTT_FLUSH_INTERVAL_MS) || 2000,
+  maxBuffer: parseInt(process.env.MQTT_MAX_BUFFER) || 500,
+  // Rows kept in memory while MongoDB is unavailable before the oldest are dropped
+  maxPending: parseInt(process.env.MQTT_MAX_PENDING) || 20000,
+  // How long a device registry lookup is reused
+  deviceCacheMs: parseInt(process.env.MQTT_DEVICE_CACHE_MS) || 60000,
+  // Column order for CSV payloads without a header row
+  csvColumns: (process.env.MQTT_CSV_COLUMNS ||
+    'timestamp,energyConsumption,co2Emissions,renewableEnergyUsage,temperature,humidity,airQuality')
+    .split(',').map(s => s.trim())
+};
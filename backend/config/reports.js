@@ -0,0 +1,14 @@
+// backend/config/reports.js
+// GHG inventory reports (services/ghgReport.js)
+const dotenv = require('dotenv');
+dotenv.config();
+
+module.exports = {
+  // Share of grid electricity lost in transmission and distribution, reported
+  // under Scope 3 (fuel- and energy-related activities); 0 leaves it out
+  tdLossRate: parseFloat(process.env.REPORT_TD_LOSS_RATE) || 0,
+  // Longest period one report may cover, in days
+  maxPeriodDays: parseInt(process.env.REPORT_MAX_PERIOD_DAYS) || 731,
+  // Retirements listed individually in a report; totals always cover all of them
+  maxRetirementRows: parseInt(process.env.REPORT_MAX_RETIREMENT_ROWS) || 500
+};
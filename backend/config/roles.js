@@ -0,0 +1,92 @@
+// backend/config/roles.js
+// Role model and permission matrix. Routes check permissions, never role
+// names, so widening or narrowing access is a change to this file only.
+
+const ROLES = ['platform_admin', 'institute_admin', 'department_head', 'staff', 'student'];
+
+const ROLE_LABELS = {
+  platform_admin: 'Platform Admin',
+  institute_admin: 'Institute Admin',
+  department_head: 'Department Head',
+  staff: 'Staff',
+  student: 'Student'
+};
+
+const ALL_ROLES = ROLES;
+const INSTITUTE_MANAGERS = ['platform_admin', 'institute_admin'];
+
+const PERMISSIONS = {
+  // Institute directory (reads are public: the sign-in page lists institutes)
+  'institutes:create': ['platform_admin'],
+  'institutes:update': INSTITUTE_MANAGERS,
+  'institutes:delete': ['platform_admin'],
+
+  // Carbon dashboard, buildings, weather and indexed chain data
+  'carbon:read': ALL_ROLES,
+  'buildings:read': ALL_ROLES,
+  'chain:read': ALL_ROLES,
+
+  // Writes against the institute's carbon wallet / consumption records
+  'wallet:transact': ALL_ROLES,
+  'energy:record': ['platform_admin', 'institute_admin', 'department_head', 'staff'],
+  // Transaction history of every wallet in the institute (others see their own)
+  'transactions:read_all': INSTITUTE_MANAGERS,
+
+  // Departmental carbon budgets; only institute managers split them
+  'budgets:read': ALL_ROLES,
+  'budgets:manage': INSTITUTE_MANAGERS,
+
+  // Sensor/meter registry and device API keys
+  'devices:read': ['platform_admin', 'institute_admin', 'department_head'],
+  'devices:manage': INSTITUTE_MANAGERS,
+
+  // Offset marketplace; the project catalog is shared by every institute, so only the platform lists projects
+  'offsets:read': ALL_ROLES,
+  'offsets:manage': ['platform_admin'],
+
+  // Emission factor registry; factors apply across institutes, so only the platform edits them
+  'emissions:read': ALL_ROLES,
+  'emissions:manage': ['platform_admin'],
+
+  // Institute GHG inventory reports
+  'reports:read': ['platform_admin', 'institute_admin', 'department_head'],
+
+  // Consumption anomalies feed every dashboard's alerts; heads follow up on their buildings
+  'anomalies:read': ALL_ROLES,
+  'anomalies:manage': ['platform_admin', 'institute_admin', 'department_head'],
+  'anomalies:run': INSTITUTE_MANAGERS,
+
+  // Alert rules: everyone sees the alerts, heads act on them, institute admins define the rules
+  'alerts:read': ALL_ROLES,
+  'alerts:act': ['platform_admin', 'institute_admin', 'department_head'],
+  'alerts:manage': INSTITUTE_MANAGERS,
+
+  // Meter feeder configuration
+  'feeder:read': ['platform_admin', 'institute_admin', 'department_head'],
+  'feeder:manage': INSTITUTE_MANAGERS,
+
+  // EnergyAuction baseline review (oracle committee)
+  'baselines:review': INSTITUTE_MANAGERS,
+
+  // FiatGateway settlement is operated by the platform
+  'settlement:manage': ['platform_admin'],
+
+  // Wallet ledger vs on-chain holdings; runs read the chain, so the platform triggers them
+  'reconciliation:read': INSTITUTE_MANAGERS,
+  'reconciliation:manage': INSTITUTE_MANAGERS,
+  'reconciliation:run': ['platform_admin'],
+
+  // User directory and role management
+  'users:read': ['platform_admin', 'institute_admin', 'department_head'],
+  'users:manage': INSTITUTE_MANAGERS,
+
+  // Sign-up invitations and enrollment policy
+  'invitations:manage': INSTITUTE_MANAGERS
+};
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  DEFAULT_ROLE: 'student'
+};
@@ -0,0 +1,10 @@
+// backend/config/rollups.js
+// Pre-aggregated readings (models/CarbonRollup.js, services/rollups.js)
+module.exports = {
+  // Days summarised by the dashboard, counted back from the newest reading
+  dashboardDays: parseInt(process.env.ROLLUP_DASHBOARD_DAYS) || 30,
+  // Months shown in the dashboard's monthly trend
+  trendMonths: parseInt(process.env.ROLLUP_TREND_MONTHS) || 6,
+  // Rollups written per bulk insert during a backfill
+  backfillBatchSize: parseInt(process.env.ROLLUP_BACKFILL_BATCH) || 1000
+};
@@ -0,0 +1,14 @@
+// backend/config/series.js
+// Chart series served by GET /api/carbon-data/series (services/timeSeries.js)
+module.exports = {
+  // Range used when no from is given, counted back from `to`
+  defaultDays: parseInt(process.env.SERIES_DEFAULT_DAYS) || 30,
+  // Buckets per series; longer ranges need a coarser bucket
+  maxPoints: parseInt(process.env.SERIES_MAX_POINTS) || 2000,
+  // Buildings or departments shown individually; the rest are summed into "Other"
+  maxGroups: parseInt(process.env.SERIES_MAX_GROUPS) || 8,
+  // Tariffs for the cost metric, per kWh
+  gridTariff: parseFloat(process.env.SERIES_GRID_TARIFF_PER_KWH) || 8,
+  renewableTariff: parseFloat(process.env.SERIES_RENEWABLE_TARIFF_PER_KWH) || 0,
+  currency: process.env.SERIES_CURRENCY || 'INR'
+};
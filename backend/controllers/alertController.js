@@ -0,0 +1,325 @@
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const { STATUSES } = require('../models/Alert');
+const { SEVERITIES } = require('../models/AlertRule');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const { AlertError, listMetrics, normalizeRule } = require('../services/alertRules');
+const {
+  AlertEngine,
+  evaluateRule,
+  acknowledgeAlert: acknowledge,
+  snoozeAlert: snooze,
+  resolveAlert: resolve,
+  closeRuleAlerts
+} = require('../services/alertEngine');
+
+const alertEngine = new AlertEngine();
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+const sendError = (res, error, label, message) => {
+  if (error instanceof AlertError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: validationMessage(error) });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+// Where new rules go; admins may name another institute
+const targetInstituteId = (req, source) => (req.isAdmin ? source.instituteId || req.user.instituteId : req.instituteId);
+
+// What lists cover; admins see every institute unless they pick one
+const listInstituteId = (req, source) => (req.isAdmin ? source.instituteId || null : req.instituteId);
+
+const WITH_SECRET = '+channels.webhook.secret';
+
+// The webhook secret is write-only
+const toRule = (rule) => {
+  const data = rule.toObject();
+  const webhook = data.channels && data.channels.webhook;
+  data.channels.webhook = webhook && webhook.url ? { url: webhook.url, hasSecret: Boolean(webhook.secret) } : null;
+  delete data.__v;
+  return data;
+};
+
+const findScoped = async (Model, req, select) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const query = Model.findOne({ _id: req.params.id, ...createInstituteFilter(req.isAdmin ? null : req.instituteId) });
+  return select ? query.select(select) : query;
+};
+
+// A failed first evaluation does not undo a saved rule; the schedule retries it
+const evaluateQuietly = async (rule) => {
+  try {
+    await evaluateRule(rule);
+  } catch (error) {
+    console.error(`Alert rule ${rule._id} evaluation error:`, error.message);
+  }
+};
+
+/**
+ * Metrics rules can watch, with their units
+ */
+const getMetrics = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listMetrics()
+  });
+};
+
+/**
+ * List alert rules (?enabled=&instituteId=)
+ */
+const getRules = async (req, res) => {
+  try {
+    const query = createInstituteFilter(listInstituteId(req, req.query));
+    if (req.query.enabled !== undefined) query.enabled = req.query.enabled === 'true';
+
+    const rules = await AlertRule.find(query).sort({ createdAt: -1 }).select(WITH_SECRET);
+
+    res.status(200).json({
+      success: true,
+      data: rules.map(toRule)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get alert rules', 'Error fetching alert rules');
+  }
+};
+
+/**
+ * Create a rule and evaluate it straight away
+ * Body: { name, description, metric, scope: { buildingName, departmentName }, comparison,
+ *         threshold, windowHours, severity, channels: { inApp, email: [], webhook: { url, secret } },
+ *         enabled, instituteId (platform admins) }
+ */
+const createRule = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const rule = new AlertRule({
+      ...normalizeRule(body),
+      instituteId: targetInstituteId(req, body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await rule.save();
+    if (rule.enabled) await evaluateQuietly(rule);
+
+    const saved = await AlertRule.findById(rule._id).select(WITH_SECRET);
+    res.status(201).json({
+      success: true,
+      data: toRule(saved)
+    });
+  } catch (error) {
+    sendError(res, error, 'Create alert rule', 'Error creating alert rule');
+  }
+};
+
+/**
+ * Update a rule; fields not sent keep their values. Disabling it resolves its active alert.
+ */
+const updateRule = async (req, res) => {
+  try {
+    const rule = await findScoped(AlertRule, req, WITH_SECRET);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Alert rule not found' });
+    }
+
+    const wasEnabled = rule.enabled;
+    rule.set({ ...normalizeRule(req.body || {}, rule), updatedBy: req.user._id });
+    await rule.save();
+
+    if (wasEnabled && !rule.enabled) {
+      await closeRuleAlerts(rule, 'Rule disabled', req.user._id);
+    } else if (rule.enabled) {
+      await evaluateQuietly(rule);
+    }
+
+    const saved = await AlertRule.findById(rule._id).select(WITH_SECRET);
+    res.status(200).json({
+      success: true,
+      data: toRule(saved)
+    });
+  } catch (error) {
+    sendError(res, error, 'Update alert rule', 'Error updating alert rule');
+  }
+};
+
+/**
+ * Delete a rule, resolving its active alert; past alerts are kept
+ */
+const deleteRule = async (req, res) => {
+  try {
+    const rule = await findScoped(AlertRule, req, WITH_SECRET);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Alert rule not found' });
+    }
+
+    await closeRuleAlerts(rule, 'Rule deleted', req.user._id);
+    await rule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert rule deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete alert rule', 'Error deleting alert rule');
+  }
+};
+
+/**
+ * Evaluate rules now instead of waiting for the schedule
+ * Body: { instituteId } - platform admins; omitted to evaluate every institute
+ */
+const evaluateRules = async (req, res) => {
+  try {
+    const summaries = await alertEngine.runOnce({ instituteId: listInstituteId(req, req.body || {}) || undefined });
+
+    res.status(200).json({
+      success: true,
+      data: summaries
+    });
+  } catch (error) {
+    sendError(res, error, 'Evaluate alert rules', 'Error evaluating alert rules');
+  }
+};
+
+/**
+ * List alerts, newest first (?status=&severity=&rule=&active=&instituteId=&page=&limit=)
+ */
+const getAlerts = async (req, res) => {
+  try {
+    const { status, severity, rule, active } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = createInstituteFilter(listInstituteId(req, req.query));
+    for (const [field, value, allowed] of [['status', status, STATUSES], ['severity', severity, SEVERITIES]]) {
+      if (!value) continue;
+      const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+      const invalid = values.filter(v => !allowed.includes(v));
+      if (invalid.length > 0) {
+        return res.status(400).json({ success: false, message: `Invalid ${field}: ${invalid.join(', ')}` });
+      }
+      query[field] = { $in: values };
+    }
+    if (rule) {
+      if (!mongoose.Types.ObjectId.isValid(rule)) {
+        return res.status(400).json({ success: false, message: 'Invalid rule id' });
+      }
+      query.rule = rule;
+    }
+    if (active !== undefined) query.active = active === 'true';
+
+    const [alerts, total] = await Promise.all([
+      Alert.find(query)
+        .sort({ triggeredAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('acknowledgement.by', 'fullName email')
+        .populate('resolution.by', 'fullName email')
+        .select('-__v -deliveries -history'),
+      Alert.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get alerts', 'Error fetching alerts');
+  }
+};
+
+/**
+ * Get one alert with its history and deliveries
+ */
+const getAlert = async (req, res) => {
+  try {
+    const alert = await findScoped(Alert, req);
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+    await alert.populate([
+      { path: 'acknowledgement.by', select: 'fullName email' },
+      { path: 'resolution.by', select: 'fullName email' },
+      { path: 'history.by', select: 'fullName email' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    sendError(res, error, 'Get alert', 'Error fetching alert');
+  }
+};
+
+// Lifecycle actions share loading, scoping and the response
+const alertAction = (label, message, action) => async (req, res) => {
+  try {
+    const alert = await findScoped(Alert, req);
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    const updated = await action(alert, req.user._id, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    sendError(res, error, label, message);
+  }
+};
+
+/**
+ * Acknowledge an open or snoozed alert
+ * Body: { note }
+ */
+const acknowledgeAlert = alertAction('Acknowledge alert', 'Error acknowledging alert',
+  (alert, userId, body) => acknowledge(alert, userId, body.note ? String(body.note).trim() : undefined));
+
+/**
+ * Snooze an active alert
+ * Body: { minutes } or { until }, and an optional note
+ */
+const snoozeAlert = alertAction('Snooze alert', 'Error snoozing alert',
+  (alert, userId, body) => snooze(alert, userId, {
+    minutes: body.minutes,
+    until: body.until,
+    note: body.note ? String(body.note).trim() : undefined
+  }));
+
+/**
+ * Resolve an active alert by hand
+ * Body: { note }
+ */
+const resolveAlert = alertAction('Resolve alert', 'Error resolving alert',
+  (alert, userId, body) => resolve(alert, userId, body.note ? String(body.note).trim() : undefined));
+
+module.exports = {
+  getMetrics,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  evaluateRules,
+  getAlerts,
+  getAlert,
+  acknowledgeAlert,
+  snoozeAlert,
+  resolveAlert
+};
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const ConsumptionAnomaly = require('../models/ConsumptionAnomaly');
+const { KINDS, SEVERITIES, STATUSES } = require('../models/ConsumptionAnomaly');
+const { AnomalyDetector } = require('../services/anomalyDetector');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+
+const anomalyDetector = new AnomalyDetector();
+
+const scopedInstituteId = (req, source) => (req.isAdmin ? source.instituteId || null : req.instituteId);
+
+// Anomalies outside the caller's institute are reported as missing
+const findScopedAnomaly = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return ConsumptionAnomaly.findOne({
+    _id: req.params.id,
+    ...createInstituteFilter(req.isAdmin ? null : req.instituteId)
+  }).populate('acknowledgement.by', 'fullName email');
+};
+
+// Comma-separated values of a query parameter, all of them from `allowed`
+const parseList = (value, allowed, name) => {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  const invalid = values.filter(v => !allowed.includes(v));
+  return invalid.length > 0 ? { error: `Invalid ${name}: ${invalid.join(', ')}` } : { values };
+};
+
+/**
+ * List anomalies, newest first
+ * (?status=&kind=&severity=&building=&department=&from=&instituteId=&page=&limit=)
+ */
+const getAnomalies = async (req, res) => {
+  try {
+    const { status, kind, severity, building, department, from } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = createInstituteFilter(scopedInstituteId(req, req.query));
+    for (const [field, value, allowed] of [['status', status, STATUSES], ['kind', kind, KINDS], ['severity', severity, SEVERITIES]]) {
+      if (!value) continue;
+      const { values, error } = parseList(value, allowed, field);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      query[field] = { $in: values };
+    }
+    if (building) query.buildingName = building;
+    if (department) query.departmentName = department;
+    if (from) {
+      const since = new Date(from);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({ success: false, message: 'from must be a date' });
+      }
+      query['window.to'] = { $gte: since };
+    }
+
+    const [anomalies, total] = await Promise.all([
+      ConsumptionAnomaly.find(query)
+        .sort({ 'window.from': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('acknowledgement.by', 'fullName email')
+        .select('-__v'),
+      ConsumptionAnomaly.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        anomalies,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get anomalies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching anomalies'
+    });
+  }
+};
+
+/**
+ * Get one anomaly
+ */
+const getAnomaly = async (req, res) => {
+  try {
+    const anomaly = await findScopedAnomaly(req);
+    if (!anomaly) {
+      return res.status(404).json({ success: false, message: 'Anomaly not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: anomaly
+    });
+  } catch (error) {
+    console.error('Get anomaly error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching anomaly'
+    });
+  }
+};
+
+/**
+ * Run detection now instead of waiting for the worker
+ * Body: { instituteId } - platform admins only; omitted to check every institute
+ */
+const runDetection = async (req, res) => {
+  try {
+    const summaries = await anomalyDetector.runOnce({ instituteId: scopedInstituteId(req, req.body || {}) || undefined });
+
+    res.status(201).json({
+      success: true,
+      data: summaries
+    });
+  } catch (error) {
+    console.error('Run anomaly detection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running anomaly detection'
+    });
+  }
+};
+
+/**
+ * Acknowledge an anomaly once it has been looked into
+ * Body: { note }
+ */
+const acknowledgeAnomaly = async (req, res) => {
+  try {
+    const anomaly = await findScopedAnomaly(req);
+    if (!anomaly) {
+      return res.status(404).json({ success: false, message: 'Anomaly not found' });
+    }
+
+    const note = String((req.body || {}).note || '').trim();
+    if (!note) {
+      return res.status(400).json({ success: false, message: 'A note explaining the anomaly is required' });
+    }
+
+    const updated = await ConsumptionAnomaly.findOneAndUpdate(
+      { _id: anomaly._id, status: 'open' },
+      { $set: { status: 'acknowledged', acknowledgement: { by: req.user._id, at: new Date(), note } } },
+      { new: true }
+    ).populate('acknowledgement.by', 'fullName email');
+    if (!updated) {
+      return res.status(409).json({ success: false, message: `Anomaly is already ${anomaly.status}` });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Acknowledge anomaly error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error acknowledging anomaly'
+    });
+  }
+};
+
+module.exports = {
+  getAnomalies,
+  getAnomaly,
+  runDetection,
+  acknowledgeAnomaly
+};
@@ -1,9 +1,25 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { generateToken } = require('../utils/generateToken');
+const Institute = require('../models/Institute');
+const { resolveUserInstituteId } = require('../middleware/instituteAuth');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { generateOpaqueToken, hashToken } = require('../utils/generateToken');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessionService');
+const { sendMail } = require('../services/mailer');
+const { passwordResetMinutes } = require('../config/auth');
+const { appUrl } = require('../config/mail');
+const { ROLE_LABELS } = require('../config/roles');
+const {
+  EnrollmentError,
+  resolveEnrollment,
+  claimInvitation,
+  releaseInvitation
+} = require('../services/enrollment');
 
 const register = async (req, res) => {
+  let invitation = null;
   try {
-    const { institute, fullName, email, password } = req.body;
+    const { institute, fullName, email, password, inviteToken } = req.body;
     
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
@@ -13,23 +29,53 @@ const register = async (req, res) => {
       });
     }
     
+    let enrollment;
+    try {
+      enrollment = await resolveEnrollment({ institute, email, inviteToken });
+    } catch (error) {
+      if (!(error instanceof EnrollmentError)) throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    const userId = new mongoose.Types.ObjectId();
+    if (enrollment.invitation) {
+      invitation = enrollment.invitation;
+      if (!(await claimInvitation(invitation, userId))) {
+        invitation = null;
+        return res.status(400).json({
+          success: false,
+          message: 'This invitation is invalid, expired or has already been used'
+        });
+      }
+    }
+    
     const user = new User({
-      institute: typeof institute === 'string' ? institute.trim() : institute,
+      _id: userId,
+      institute: { id: enrollment.institute.id, name: enrollment.institute.name },
+      instituteId: enrollment.institute.id,
       fullName: fullName.trim(),
       email: email.toLowerCase().trim(),
       password,
-      position: 'Student' // Default position
+      role: enrollment.role,
+      department: enrollment.department,
+      position: enrollment.role === 'student' ? 'Student' : ROLE_LABELS[enrollment.role]
     });
     
     await user.save();
+    invitation = null;
     
-    const token = generateToken(user._id);
+    const session = await createSession(user, req);
     
     const userData = {
       id: user._id,
       institute: user.institute,
+      instituteId: user.instituteId,
       fullName: user.fullName,
       email: user.email,
+      role: user.role,
       position: user.position,
       department: user.department,
       branch: user.branch,
@@ -44,13 +90,18 @@ const register = async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: userData,
-        token
+        ...session
       }
     });
     
   } catch (error) {
     console.error('Registration error:', error);
     
+    // The account was not created, so the invitation can still be used
+    if (invitation) {
+      await releaseInvitation(invitation).catch(() => {});
+    }
+    
     if (error.code === 11000) {
       return res.status(409).json({
         success: false,
@@ -97,26 +148,17 @@ const login = async (req, res) => {
       });
     }
     
-    const userInstitute = user.institute;
-    let instituteMatches = false;
+    // Both sides are compared by canonical Institute.id, whatever shape was sent
+    const [userInstituteId, selectedInstitute] = await Promise.all([
+      resolveUserInstituteId(user),
+      Institute.resolve(institute)
+    ]);
+    const instituteMatches = Boolean(userInstituteId && selectedInstitute) &&
+      userInstituteId === selectedInstitute.id;
     
     console.log('=== INSTITUTE MATCHING ===');
-    console.log('User institute:', userInstitute);
-    console.log('Received institute:', institute);
-    
-    if (typeof userInstitute === 'string' && typeof institute === 'string') {
-      console.log('Both strings - comparing:', userInstitute.toLowerCase(), 'vs', institute.toLowerCase());
-      instituteMatches = userInstitute.toLowerCase() === institute.toLowerCase();
-    } else if (typeof userInstitute === 'object' && typeof institute === 'object') {
-      console.log('Both objects - comparing IDs:', userInstitute.id, 'vs', institute.id);
-      instituteMatches = userInstitute.id === institute.id;
-    } else if (typeof userInstitute === 'object' && typeof institute === 'string') {
-      console.log('User=object, Received=string - comparing:', userInstitute.name?.toLowerCase(), 'vs', institute.toLowerCase());
-      instituteMatches = userInstitute.name?.toLowerCase() === institute.toLowerCase();
-    } else if (typeof userInstitute === 'string' && typeof institute === 'object') {
-      console.log('User=string, Received=object - comparing:', userInstitute.toLowerCase(), 'vs', institute.name?.toLowerCase());
-      instituteMatches = userInstitute.toLowerCase() === institute.name?.toLowerCase();
-    }
+    console.log('User institute id:', userInstituteId);
+    console.log('Received institute id:', selectedInstitute && selectedInstitute.id);
     
     console.log('Institute matches:', instituteMatches);
     
@@ -142,14 +184,16 @@ const login = async (req, res) => {
     console.log('✅ Password validation successful');
     
     console.log('=== TOKEN GENERATION ===');
-    const token = generateToken(user._id);
-    console.log('Token generated successfully');
+    const session = await createSession(user, req);
+    console.log('Session created successfully');
     
     const userData = {
       id: user._id,
       institute: user.institute,
+      instituteId: user.instituteId,
       fullName: user.fullName,
       email: user.email,
+      role: user.role,
       position: user.position,
       department: user.department,
       branch: user.branch,
@@ -166,7 +210,7 @@ const login = async (req, res) => {
       message: 'Login successful',
       data: {
         user: userData,
-        token
+        ...session
       }
     });
     
@@ -181,7 +225,7 @@ const login = async (req, res) => {
 
 const getProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('-password');
+    const user = await User.findById(req.user._id).select('-password -tokenVersion');
     
     if (!user) {
       return res.status(404).json({
@@ -239,8 +283,10 @@ const updateProfile = async (req, res) => {
     const userData = {
       id: user._id,
       institute: user.institute,
+      instituteId: user.instituteId,
       fullName: user.fullName,
       email: user.email,
+      role: user.role,
       position: user.position,
       department: user.department,
       branch: user.branch,
@@ -265,9 +311,212 @@ const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Body: { refreshToken }
+ */
+const refreshSession = async (req, res) => {
+  try {
+    const session = await rotateSession(req.body.refreshToken, req);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please sign in again.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * End the current session
+ * Body: { refreshToken }
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * End every session of the current user on every device
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const passwordResetMessage = (user, link) => ({
+  to: user.email,
+  subject: 'Reset your GreenPulse password',
+  text: [
+    `Hi ${user.fullName},`,
+    '',
+    'We received a request to reset your GreenPulse password. Open the link below to choose a new one:',
+    link,
+    '',
+    `The link expires in ${passwordResetMinutes} minutes and can be used once.`,
+    'If you did not ask for this, you can ignore this email.'
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(user.fullName)},</p>` +
+    '<p>We received a request to reset your GreenPulse password.</p>' +
+    `<p><a href="${link}">Choose a new password</a></p>` +
+    `<p>The link expires in ${passwordResetMinutes} minutes and can be used once. ` +
+    'If you did not ask for this, you can ignore this email.</p>'
+});
+
+/**
+ * Email a single-use password reset link
+ * Body: { email }
+ * Always answers the same way so the endpoint cannot be used to probe accounts
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase().trim() });
+
+    if (user) {
+      // Only the newest link works
+      await PasswordResetToken.updateMany(
+        { user: user._id, usedAt: null },
+        { $set: { usedAt: new Date() } }
+      );
+
+      const token = generateOpaqueToken();
+      await PasswordResetToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + passwordResetMinutes * 60 * 1000),
+        requestedByIp: req.ip
+      });
+
+      const link = `${appUrl}/auth/reset-password?token=${encodeURIComponent(token)}`;
+      try {
+        await sendMail(passwordResetMessage(user, link));
+      } catch (mailError) {
+        // Failing here would tell the caller the account exists
+        console.error('Password reset email error:', mailError.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Set a new password with a reset token; signs the user out everywhere
+ * Body: { token, password, confirmPassword }
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Claim the token atomically so it can only ever be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await revokeAllSessions(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getProfile,
-  updateProfile
+  updateProfile,
+  refreshSession,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword
 };
\ No newline at end of file
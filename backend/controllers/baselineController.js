@@ -0,0 +1,68 @@
+const { computeBaselines, resolveWindows, GROUP_FIELDS } = require('../services/baselineEngine');
+const { getInstituteDisplayName } = require('../middleware/instituteAuth');
+
+/**
+ * Get weather-normalized expected vs actual consumption and savings
+ * (?groupBy=department|building&name=&from=&to=&baselineFrom=&baselineTo=)
+ */
+const getBaselines = async (req, res) => {
+  try {
+    const { groupBy = 'department', name, from, to, baselineFrom, baselineTo } = req.query;
+
+    // Own keys only: groupBy=constructor must not reach the aggregation
+    if (typeof groupBy !== 'string' || !Object.hasOwn(GROUP_FIELDS, groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${Object.keys(GROUP_FIELDS).join(', ')}`
+      });
+    }
+
+    const dates = { from, to, baselineFrom, baselineTo };
+    const invalid = Object.keys(dates).filter(key => dates[key] && isNaN(new Date(dates[key])));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid date for: ${invalid.join(', ')}`
+      });
+    }
+
+    // Check the windows as they will run, defaults included
+    const windows = resolveWindows(dates);
+    const empty = ['report', 'baseline'].filter(key => windows[key].from >= windows[key].to);
+    if (empty.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Window must start before it ends: ${empty.map(key => (key === 'report' ? 'from/to' : 'baselineFrom/baselineTo')).join(', ')}`
+      });
+    }
+
+    const result = await computeBaselines({
+      instituteId: req.instituteId,
+      groupBy,
+      name,
+      from,
+      to,
+      baselineFrom,
+      baselineTo
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        institute: getInstituteDisplayName(req.userInstitute),
+        groupBy,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Get baselines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error computing consumption baselines'
+    });
+  }
+};
+
+module.exports = {
+  getBaselines
+};
@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const BaselineProposal = require('../models/BaselineProposal');
+const { BaselinePublisher } = require('../services/baselinePublisher');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const { network } = require('../config/chain');
+
+// Drafting only touches MongoDB; transactions are sent by scripts/run-baseline-publisher.js
+const publisher = new BaselinePublisher();
+
+// Platform admins see every institute; institute admins only their own
+const scopeFor = (req, instituteId) => createInstituteFilter(req.isAdmin ? instituteId : req.instituteId);
+
+const findProposal = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return BaselineProposal.findOne({ _id: req.params.id, network, ...scopeFor(req) });
+};
+
+/**
+ * Get baseline proposals (?status=&month=&instituteId=)
+ */
+const getProposals = async (req, res) => {
+  try {
+    const { status, month, instituteId } = req.query;
+
+    const query = { network, ...scopeFor(req, instituteId) };
+    if (status) query.status = { $in: String(status).split(',') };
+    if (month) query.month = parseInt(month);
+
+    const proposals = await BaselineProposal.find(query)
+      .sort({ month: -1, createdAt: -1 })
+      .limit(100)
+      .populate('review.by', 'fullName email')
+      .select('-__v');
+
+    res.status(200).json({
+      success: true,
+      data: proposals
+    });
+  } catch (error) {
+    console.error('Get baseline proposals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching baseline proposals'
+    });
+  }
+};
+
+/**
+ * Get a single proposal with its per-department lines
+ */
+const getProposal = async (req, res) => {
+  try {
+    const proposal = await findProposal(req);
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Baseline proposal not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Get baseline proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching baseline proposal'
+    });
+  }
+};
+
+/**
+ * Draft (or recompute) a proposal for an institute and month
+ * Body: { month: yyyymm, institute? } — only platform admins may name another institute
+ */
+const generateProposal = async (req, res) => {
+  try {
+    const month = parseInt(req.body.month);
+
+    if (!month || month % 100 < 1 || month % 100 > 12) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month is required as yyyymm'
+      });
+    }
+
+    // Platform admins draft for any institute, defaulting to their own
+    const instituteId = req.isAdmin ? req.body.instituteId || req.user.instituteId : req.instituteId;
+
+    if (!instituteId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Institute is required'
+      });
+    }
+
+    let proposal;
+    try {
+      proposal = await publisher.draftProposal(instituteId, month, 'manual');
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Baseline proposal drafted',
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Generate baseline proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error drafting baseline proposal'
+    });
+  }
+};
+
+/**
+ * Override per-department kWh before approval
+ * Body: { lines: [{ departmentName, kWh }] }
+ */
+const updateProposalLines = async (req, res) => {
+  try {
+    const { lines } = req.body;
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lines are required'
+      });
+    }
+
+    const proposal = await findProposal(req);
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Baseline proposal not found'
+      });
+    }
+
+    if (proposal.status !== 'pending_review') {
+      return res.status(409).json({
+        success: false,
+        message: `Proposal is already ${proposal.status}`
+      });
+    }
+
+    for (const update of lines) {
+      const line = proposal.lines.find(l => l.departmentName === update.departmentName);
+      const kWh = Math.round(Number(update.kWh));
+
+      if (!line || !Number.isFinite(kWh) || kWh < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid line: ${update.departmentName}`
+        });
+      }
+
+      line.kWh = kWh;
+      line.status = kWh > 0 ? 'pending' : 'skipped';
+      line.error = kWh > 0 ? undefined : 'Excluded by reviewer';
+      if (kWh !== line.computedKWh) line.method = 'manual';
+    }
+
+    proposal.history.push({ status: proposal.status, note: `${lines.length} line(s) edited`, at: new Date() });
+    await proposal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Proposal updated',
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Update baseline proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating baseline proposal'
+    });
+  }
+};
+
+/**
+ * Committee decision: approve (queue for publishing) or reject
+ */
+const reviewProposal = (decision) => async (req, res) => {
+  try {
+    const proposal = await findProposal(req);
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Baseline proposal not found'
+      });
+    }
+
+    if (proposal.status !== 'pending_review') {
+      return res.status(409).json({
+        success: false,
+        message: `Proposal is already ${proposal.status}`
+      });
+    }
+
+    if (decision === 'approved' && !proposal.lines.some(l => l.status === 'pending')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Proposal has no baselines to publish'
+      });
+    }
+
+    proposal.review = { by: req.user._id, at: new Date(), note: req.body.note };
+    proposal.transition(decision, req.body.note || (decision === 'approved' ? 'Approved' : 'Rejected'));
+    await proposal.save();
+
+    res.status(200).json({
+      success: true,
+      message: decision === 'approved' ? 'Proposal approved and queued for publishing' : 'Proposal rejected',
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Review baseline proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing baseline proposal'
+    });
+  }
+};
+
+/**
+ * Requeue the failed lines of a partially published proposal
+ */
+const retryProposal = async (req, res) => {
+  try {
+    const proposal = await findProposal(req);
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Baseline proposal not found'
+      });
+    }
+
+    if (proposal.status !== 'partially_failed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only partially failed proposals can be retried'
+      });
+    }
+
+    proposal.lines.forEach(line => {
+      if (line.status === 'failed') line.status = 'pending';
+    });
+    proposal.transition('approved', 'Failed lines requeued');
+    await proposal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Failed lines queued for publishing',
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Retry baseline proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying baseline proposal'
+    });
+  }
+};
+
+/**
+ * Submission report: what was sent and the resulting tx hashes
+ */
+const getProposalReport = async (req, res) => {
+  try {
+    const proposal = await findProposal(req);
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Baseline proposal not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: proposal.buildReport()
+    });
+  } catch (error) {
+    console.error('Get baseline report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building baseline report'
+    });
+  }
+};
+
+module.exports = {
+  getProposals,
+  getProposal,
+  generateProposal,
+  updateProposalLines,
+  approveProposal: reviewProposal('approved'),
+  rejectProposal: reviewProposal('rejected'),
+  retryProposal,
+  getProposalReport
+};
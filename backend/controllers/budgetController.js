@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const CarbonBudget = require('../models/CarbonBudget');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const {
+  BudgetError,
+  allocateBudget,
+  reallocateBudget,
+  findBudgetAt,
+  closeEndedBudgets
+} = require('../services/budgets');
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+const sendError = (res, error, label, message) => {
+  if (error instanceof BudgetError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: validationMessage(error) });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A budget for this period already exists' });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+const scopedInstituteId = (req, source) => (req.isAdmin ? source.instituteId || req.user.instituteId : req.instituteId);
+
+// Department heads see their own department's line only
+const summarize = (req, budget) => {
+  const summary = budget.toSummary();
+  if (req.user.role === 'department_head') {
+    summary.allocations = summary.allocations.filter(line => line.departmentName === req.user.department);
+  }
+  return summary;
+};
+
+// Budgets outside the caller's institute are reported as missing
+const findScopedBudget = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return CarbonBudget.findOne({
+    _id: req.params.id,
+    ...createInstituteFilter(req.isAdmin ? null : req.instituteId)
+  });
+};
+
+/**
+ * List budgets, newest period first (?from=&to=&instituteId=)
+ */
+const getBudgets = async (req, res) => {
+  try {
+    const instituteId = scopedInstituteId(req, req.query);
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ success: false, message: 'Invalid date for: from/to' });
+    }
+    await closeEndedBudgets(instituteId);
+
+    const query = { ...createInstituteFilter(instituteId) };
+    if (from) query.end = { $gt: from };
+    if (to) query.start = { $lt: to };
+
+    const budgets = await CarbonBudget.find(query).sort({ start: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: budgets.map(budget => summarize(req, budget))
+    });
+  } catch (error) {
+    sendError(res, error, 'Get budgets', 'Error fetching budgets');
+  }
+};
+
+/**
+ * Budget covering a point in time (?at=&instituteId=), null when none is allocated
+ */
+const getCurrentBudget = async (req, res) => {
+  try {
+    const instituteId = scopedInstituteId(req, req.query);
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at)) {
+      return res.status(400).json({ success: false, message: 'Invalid date for: at' });
+    }
+
+    await closeEndedBudgets(instituteId);
+    const budget = await findBudgetAt(instituteId, at);
+
+    res.status(200).json({
+      success: true,
+      data: budget ? summarize(req, budget) : null
+    });
+  } catch (error) {
+    sendError(res, error, 'Get current budget', 'Error fetching budget');
+  }
+};
+
+/**
+ * Get one budget
+ */
+const getBudget = async (req, res) => {
+  try {
+    const budget = await findScopedBudget(req);
+    if (!budget) {
+      return res.status(404).json({ success: false, message: 'Budget not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: summarize(req, budget)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get budget', 'Error fetching budget');
+  }
+};
+
+/**
+ * Allocate the budget for a period across departments
+ * Body: { periodType, start, total, method, departments, policy, enforcement, warnAt, instituteId (platform admin only) }
+ */
+const createBudget = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const budget = await allocateBudget(scopedInstituteId(req, body), body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: summarize(req, budget)
+    });
+  } catch (error) {
+    sendError(res, error, 'Create budget', 'Error allocating budget');
+  }
+};
+
+/**
+ * Re-split an open budget or change its policy; usage so far is kept
+ * Body: { total, method, departments, policy, enforcement, warnAt }
+ */
+const updateBudget = async (req, res) => {
+  try {
+    const budget = await findScopedBudget(req);
+    if (!budget) {
+      return res.status(404).json({ success: false, message: 'Budget not found' });
+    }
+
+    const updated = await reallocateBudget(budget, req.body || {}, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: summarize(req, updated)
+    });
+  } catch (error) {
+    sendError(res, error, 'Update budget', 'Error reallocating budget');
+  }
+};
+
+module.exports = {
+  getBudgets,
+  getCurrentBudget,
+  getBudget,
+  createBudget,
+  updateBudget
+};
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Building = require('../models/Building');
+const WeatherObservation = require('../models/WeatherObservation');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+
+/**
+ * Get buildings of the user's institute (?primaryUse=&campusId=&search=)
+ */
+const getBuildings = async (req, res) => {
+  try {
+    const { primaryUse, campusId, search } = req.query;
+
+    const query = { ...createInstituteFilter(req.instituteId) };
+    if (primaryUse) query.primaryUse = primaryUse;
+    if (campusId) query.campusId = String(campusId);
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.name = { $regex: new RegExp(escaped, 'i') };
+    }
+
+    const buildings = await Building.find(query).sort({ name: 1 }).select('-__v');
+
+    const totalSquareFeet = buildings.reduce((sum, b) => sum + (b.squareFeet || 0), 0);
+    const byPrimaryUse = buildings.reduce((acc, b) => {
+      const use = b.primaryUse || 'Other';
+      acc[use] = (acc[use] || 0) + 1;
+      return acc;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildings,
+        summary: {
+          totalBuildings: buildings.length,
+          totalSquareFeet,
+          byPrimaryUse
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get buildings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching buildings'
+    });
+  }
+};
+
+/**
+ * Get a single building by its CSV building_id (or Mongo id)
+ */
+const getBuilding = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const idFilter = /^\d+$/.test(id)
+      ? { buildingId: parseInt(id) }
+      : mongoose.Types.ObjectId.isValid(id) ? { _id: id } : null;
+
+    if (!idFilter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid building id'
+      });
+    }
+
+    const building = await Building.findOne({
+      ...idFilter,
+      ...createInstituteFilter(req.instituteId)
+    }).select('-__v');
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: 'Building not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: building
+    });
+  } catch (error) {
+    console.error('Get building error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching building'
+    });
+  }
+};
+
+/**
+ * Get daily weather for one of the user's institute campuses (?campusId=&from=&to=)
+ * Defaults to the institute's first campus and the last 30 days of data
+ */
+const getWeather = async (req, res) => {
+  try {
+    const instituteCampuses = await Building.distinct('campusId', createInstituteFilter(req.instituteId));
+
+    if (instituteCampuses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No campus found for your institute'
+      });
+    }
+
+    const campusId = req.query.campusId ? String(req.query.campusId) : instituteCampuses[0];
+    if (!instituteCampuses.includes(campusId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access data from your own institute'
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from/to date'
+      });
+    }
+
+    const query = { campusId };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    let observations;
+    if (from || to) {
+      observations = await WeatherObservation.find(query).sort({ date: 1 }).select('-__v -_id');
+    } else {
+      observations = (await WeatherObservation.find(query).sort({ date: -1 }).limit(30).select('-__v -_id')).reverse();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        campusId,
+        campuses: instituteCampuses,
+        observations
+      }
+    });
+  } catch (error) {
+    console.error('Get weather error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching weather data'
+    });
+  }
+};
+
+module.exports = {
+  getBuildings,
+  getBuilding,
+  getWeather
+};
@@ -1,8 +1,33 @@
 const CarbonData = require('../models/CarbonData');
-const CarbonBiometric = require('../models/CarbonBiometric');
 const EnergyConsumption = require('../models/EnergyConsumption');
+const { DailyRollup, MonthlyRollup } = require('../models/CarbonRollup');
+const rollupConfig = require('../config/rollups');
 const User = require('../models/User');
 const { createInstituteFilter, getInstituteDisplayName } = require('../middleware/instituteAuth');
+const { publish } = require('../services/liveEvents');
+const { getSeries, SeriesError } = require('../services/timeSeries');
+const { getFactorResolver, transactionImpact } = require('../services/emissionFactors');
+const { debitBudget, refundBudget, BudgetError } = require('../services/budgets');
+const { moveWalletFunds, getWallet: getLedgerWallet, LedgerError } = require('../services/ledger');
+const { purchaseOffsets, OffsetError } = require('../services/offsets');
+const {
+  listTransactions,
+  summarizeTransactions,
+  createTransactionExport,
+  TransactionQueryError
+} = require('../services/transactions');
+const { hasPermission } = require('../middleware/rbac');
+
+// Tell the institute's open dashboards about a new wallet transaction
+const publishTransaction = (carbonData) => publish(carbonData.instituteId, 'wallet.transaction', {
+  userId: String(carbonData.userId),
+  transaction: carbonData.transactions[carbonData.transactions.length - 1],
+  walletBalance: carbonData.walletBalance,
+  co2Savings: carbonData.co2Savings,
+  offsetsPurchased: carbonData.offsetsPurchased,
+  currentEnergyConsumption: carbonData.currentEnergyConsumption,
+  carbonBudgetUsed: carbonData.carbonBudgetUsed
+});
 
 /**
  * Get dashboard data for a specific user's institute from real MongoDB data
@@ -11,10 +36,11 @@ const getDashboardData = async (req, res) => {
   try {
     const userId = req.user._id;
     const userInstitute = req.userInstitute;
+    const instituteId = req.instituteId;
     
-    console.log('Getting dashboard data for user:', userId, 'institute:', userInstitute);
+    console.log('Getting dashboard data for user:', userId, 'institute:', instituteId);
     
-    if (!userInstitute) {
+    if (!instituteId) {
       return res.status(400).json({
         success: false,
         message: 'User institute not found'
@@ -24,29 +50,14 @@ const getDashboardData = async (req, res) => {
     // Get institute display name (handle both string and object formats)
     const instituteDisplayName = getInstituteDisplayName(userInstitute);
     console.log('Institute display name:', instituteDisplayName);
-    
-    // Convert institute to string for database queries
-    const instituteNameForQuery = typeof userInstitute === 'object' && userInstitute.name 
-      ? userInstitute.name 
-      : String(userInstitute);
-    
-    console.log('Institute name for query:', instituteNameForQuery);
-
-    // Get real carbon biometric data from MongoDB using string name
-    const carbonBiometricData = await CarbonBiometric.getDashboardData(instituteNameForQuery);
-    console.log('Carbon biometric data:', carbonBiometricData);
-
-    // Get monthly trends from real data
-    const monthlyTrends = await CarbonBiometric.getMonthlyTrends(instituteNameForQuery, 6);
-    console.log('Monthly trends:', monthlyTrends);
-
-    // Get department data from real energy consumption data
-    const departmentData = await CarbonBiometric.getDepartmentData(instituteNameForQuery);
-    console.log('Department data:', departmentData);
 
-    // Get building data from real energy consumption data
-    const buildingData = await CarbonBiometric.getBuildingData(instituteNameForQuery);
-    console.log('Building data:', buildingData);
+    // Summaries come from the rollups kept up to date on ingest, not raw readings
+    const [carbonBiometricData, monthlyTrends, departmentData, buildingData] = await Promise.all([
+      DailyRollup.getDashboardData(instituteId, rollupConfig.dashboardDays),
+      MonthlyRollup.getMonthlyTrends(instituteId, rollupConfig.trendMonths),
+      MonthlyRollup.getGroupData(instituteId, 'departmentName'),
+      MonthlyRollup.getGroupData(instituteId, 'buildingName')
+    ]);
 
     // Only return data if real MongoDB data exists
     if (!carbonBiometricData || carbonBiometricData.length === 0) {
@@ -93,7 +104,8 @@ const getDashboardData = async (req, res) => {
       
       dataSource: 'mongodb',
       lastUpdated: biometric.lastUpdated || new Date(),
-      dataPoints: biometric.dataPoints || 0
+      dataPoints: biometric.dataPoints || 0,
+      window: biometric.window
     };
 
     console.log('Final dashboard data:', dashboardData);
@@ -113,151 +125,130 @@ const getDashboardData = async (req, res) => {
   }
 };
 
+// Ledger errors carry their status (insufficient balance, missing wallet, no replica set)
+const sendLedgerError = (res, error, label, message) => {
+  if (error instanceof LedgerError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+const transactionFor = (carbonData, journal) =>
+  carbonData.transactions.find(t => t.ledgerJournal && t.ledgerJournal.equals(journal._id));
+
 /**
- * Update wallet balance for institute-specific user data
+ * Get the user's wallet balance and recent ledger entries (?limit=)
  */
-const updateWalletBalance = async (req, res) => {
+const getWallet = async (req, res) => {
   try {
-    const { amount, type } = req.body;
-    const userId = req.user._id;
-    const userInstitute = req.userInstitute;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const wallet = await getLedgerWallet(req.user._id, { limit });
 
-    if (!amount || !type) {
-      return res.status(400).json({
-        success: false,
-        message: 'Amount and type are required'
-      });
-    }
-
-    const carbonData = await CarbonData.findOne({
-      userId,
-      ...createInstituteFilter(userInstitute)
+    res.status(200).json({
+      success: true,
+      data: wallet
     });
+  } catch (error) {
+    sendLedgerError(res, error, 'Get wallet', 'Error fetching wallet');
+  }
+};
 
-    if (!carbonData) {
-      return res.status(404).json({
+/**
+ * Credit or debit the user's wallet through the ledger
+ * Body: { amount, type: credit|debit }; overdrafts are refused
+ */
+const updateWalletBalance = async (req, res) => {
+  try {
+    const { amount, type } = req.body || {};
+
+    if (!amount || !['credit', 'debit'].includes(type)) {
+      return res.status(400).json({
         success: false,
-        message: 'Carbon data not found for user'
+        message: 'Amount and type (credit or debit) are required'
       });
     }
 
-    // Update wallet balance
-    if (type === 'credit') {
-      carbonData.walletBalance += amount;
-    } else {
-      carbonData.walletBalance = Math.max(0, carbonData.walletBalance - amount);
-    }
-
-    // Add transaction record
-    carbonData.transactions.push({
+    const { carbonData, journal, replayed } = await moveWalletFunds({
+      userId: req.user._id,
+      instituteId: req.instituteId,
       type,
       amount,
-      description: type === 'credit' ? 'Wallet top-up' : 'Wallet deduction',
-      date: new Date()
+      idempotencyKey: req.idempotencyKey
     });
-
-    await carbonData.save();
+    if (!replayed) publishTransaction(carbonData);
 
     res.status(200).json({
       success: true,
       message: 'Wallet balance updated successfully',
       data: {
-        newBalance: carbonData.walletBalance
+        newBalance: carbonData.walletBalance,
+        journal: journal._id
       }
     });
 
   } catch (error) {
-    console.error('Update wallet balance error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error updating wallet balance'
-    });
+    sendLedgerError(res, error, 'Update wallet balance', 'Error updating wallet balance');
   }
 };
 
 /**
- * Purchase carbon offset
+ * Buy offsets from a catalog project and retire them for the institute
+ * Body: { projectId, tonnes, beneficiary, purpose }
  */
 const purchaseCarbonOffset = async (req, res) => {
   try {
-    const { amount, description } = req.body;
-    const userId = req.user._id;
-    const userInstitute = req.userInstitute;
+    const { projectId, tonnes, beneficiary, purpose } = req.body || {};
 
-    if (!amount) {
+    if (!projectId || !tonnes) {
       return res.status(400).json({
         success: false,
-        message: 'Amount is required'
+        message: 'projectId and tonnes are required'
       });
     }
 
-    const carbonData = await CarbonData.findOne({
-      userId,
-      ...createInstituteFilter(userInstitute)
+    const { carbonData, journal, retirement, replayed } = await purchaseOffsets({
+      userId: req.user._id,
+      instituteId: req.instituteId,
+      projectId,
+      tonnes,
+      beneficiary,
+      purpose,
+      idempotencyKey: req.idempotencyKey
     });
-
-    if (!carbonData) {
-      return res.status(404).json({
-        success: false,
-        message: 'Carbon data not found for user'
-      });
-    }
-
-    // Check if user has sufficient balance
-    if (carbonData.walletBalance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient wallet balance'
-      });
-    }
-
-    // Calculate CO2 impact
-    const co2Impact = amount * 0.1; // Mock calculation
-
-    // Update data
-    carbonData.walletBalance -= amount;
-    carbonData.offsetsPurchased += amount;
-    carbonData.co2Savings += co2Impact;
-
-    // Add transaction record
-    carbonData.transactions.push({
-      type: 'offset_purchase',
-      amount,
-      description: description || 'Carbon offset purchase',
-      co2Impact,
-      blockchainTxHash: `0x${Math.random().toString(16).substr(2, 64)}`, // Mock hash
-      date: new Date()
-    });
-
-    await carbonData.save();
+    if (!replayed) publishTransaction(carbonData);
 
     res.status(200).json({
       success: true,
-      message: 'Carbon offset purchased successfully',
+      message: 'Carbon offsets purchased and retired',
       data: {
-        transaction: carbonData.transactions[carbonData.transactions.length - 1],
+        transaction: transactionFor(carbonData, journal),
+        retirement,
         newBalance: carbonData.walletBalance,
         co2Savings: carbonData.co2Savings
       }
     });
 
   } catch (error) {
-    console.error('Purchase carbon offset error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error purchasing carbon offset'
-    });
+    if (error instanceof OffsetError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    sendLedgerError(res, error, 'Purchase carbon offset', 'Error purchasing carbon offset');
   }
 };
 
 /**
  * Record energy consumption
+ * The emissions are debited from the department's carbon budget (body.department,
+ * else the user's own); under 'block' enforcement an exhausted budget rejects it
  */
 const recordEnergyConsumption = async (req, res) => {
+  let debit = null;
   try {
     const { consumption, building } = req.body;
+    const department = req.body.department || req.user.department;
     const userId = req.user._id;
-    const userInstitute = req.userInstitute;
+    const instituteId = req.instituteId;
 
     if (!consumption) {
       return res.status(400).json({
@@ -268,7 +259,7 @@ const recordEnergyConsumption = async (req, res) => {
 
     const carbonData = await CarbonData.findOne({
       userId,
-      ...createInstituteFilter(userInstitute)
+      ...createInstituteFilter(instituteId)
     });
 
     if (!carbonData) {
@@ -281,6 +272,15 @@ const recordEnergyConsumption = async (req, res) => {
     // Calculate cost (mock: 0.05 ENTO per kWh)
     const cost = consumption * 0.05;
 
+    // Emissions of the grid kWh, from the emission-factor registry
+    const date = new Date();
+    const { co2Impact, emissionFactor } = transactionImpact(
+      { type: 'energy_consumption', consumption, date },
+      await getFactorResolver(instituteId)
+    );
+
+    debit = await debitBudget({ instituteId, departmentName: department, amount: co2Impact, at: date });
+
     // Update energy consumption
     carbonData.currentEnergyConsumption += consumption;
     carbonData.carbonBudgetUsed += cost;
@@ -300,12 +300,16 @@ const recordEnergyConsumption = async (req, res) => {
       amount: cost,
       description: `Energy consumption in ${building || 'Building A'}`,
       building: building || 'Building A',
+      department: debit ? debit.departmentName : department,
       consumption,
+      co2Impact,
+      emissionFactor,
       blockchainTxHash: `0x${Math.random().toString(16).substr(2, 64)}`, // Mock hash
-      date: new Date()
+      date
     });
 
     await carbonData.save();
+    publishTransaction(carbonData);
 
     res.status(200).json({
       success: true,
@@ -313,12 +317,22 @@ const recordEnergyConsumption = async (req, res) => {
       data: {
         transaction: carbonData.transactions[carbonData.transactions.length - 1],
         currentConsumption: carbonData.currentEnergyConsumption,
-        carbonBudgetUsed: carbonData.carbonBudgetUsed
+        carbonBudgetUsed: carbonData.carbonBudgetUsed,
+        budget: debit
       }
     });
 
   } catch (error) {
+    if (error instanceof BudgetError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Record energy consumption error:', error);
+    // The transaction was not recorded, so its debit is given back
+    await refundBudget(debit).catch(refundError => console.error('Refund budget error:', refundError));
     res.status(500).json({
       success: false,
       message: 'Error recording energy consumption'
@@ -332,86 +346,19 @@ const recordEnergyConsumption = async (req, res) => {
 const getWeeklyEnergyData = async (req, res) => {
   try {
     const userInstitute = req.userInstitute;
+    const instituteId = req.instituteId;
     
-    // Convert institute to string for database queries
-    const instituteNameForQuery = typeof userInstitute === 'object' && userInstitute.name 
-      ? userInstitute.name 
-      : String(userInstitute);
-    
-    console.log('Getting weekly energy data for institute:', instituteNameForQuery);
+    console.log('Getting weekly energy data for institute:', instituteId);
     
     const instituteDisplayName = getInstituteDisplayName(userInstitute);
     
-    // Get data from the last 7 days
+    // Today and the six days before it, so each weekday appears once
     const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 7);
+    startDate.setUTCDate(startDate.getUTCDate() - 6);
+    startDate.setUTCHours(0, 0, 0, 0);
     
-    // Get daily energy consumption from the last week
-    const weeklyData = await CarbonBiometric.aggregate([
-      {
-        $match: {
-          institute: instituteNameForQuery,
-          timestamp: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            dayOfWeek: { $dayOfWeek: '$timestamp' },
-            department: '$departmentName'
-          },
-          totalConsumption: { $sum: '$energyConsumption' },
-          avgEfficiency: { $avg: '$energyEfficiency' },
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $group: {
-          _id: '$_id.department',
-          weeklyData: {
-            $push: {
-              dayOfWeek: '$_id.dayOfWeek',
-              consumption: '$totalConsumption'
-            }
-          },
-          totalWeeklyConsumption: { $sum: '$totalConsumption' }
-        }
-      },
-      {
-        $project: {
-          departmentName: '$_id',
-          data: {
-            $map: {
-              input: [1, 2, 3, 4, 5, 6, 7], // Sunday=1, Monday=2, etc.
-              as: 'day',
-              in: {
-                $let: {
-                  vars: {
-                    dayData: {
-                      $arrayElemAt: [
-                        {
-                          $filter: {
-                            input: '$weeklyData',
-                            cond: { $eq: ['$$this.dayOfWeek', '$$day'] }
-                          }
-                        }, 0
-                      ]
-                    }
-                  },
-                  in: {
-                    $ifNull: ['$$dayData.consumption', 0]
-                  }
-                }
-              }
-            }
-          },
-          totalWeeklyConsumption: 1,
-          _id: 0
-        }
-      },
-      { $sort: { totalWeeklyConsumption: -1 } },
-      { $limit: 5 } // Top 5 departments
-    ]);
+    // Daily rollups, summed per department and weekday
+    const weeklyData = await DailyRollup.getWeeklyEnergy(instituteId, startDate, 5);
     
     console.log('Weekly energy data results:', weeklyData);
     
@@ -452,6 +399,99 @@ const getWeeklyEnergyData = async (req, res) => {
   }
 };
 
+/**
+ * Get chart-ready series for a date range
+ * (?from=&to=&bucket=hour|day|week|month&metric=consumption|co2|cost|efficiency&groupBy=building|department|energySource)
+ */
+const getSeriesData = async (req, res) => {
+  try {
+    const { from, to, bucket, metric, groupBy } = req.query;
+
+    const series = await getSeries({ instituteId: req.instituteId, from, to, bucket, metric, groupBy });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        institute: getInstituteDisplayName(req.userInstitute),
+        ...series
+      }
+    });
+  } catch (error) {
+    if (error instanceof SeriesError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get series data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching series data'
+    });
+  }
+};
+
+// Institute managers see every wallet of the institute, everyone else their own
+const transactionScope = (req) => ({
+  instituteId: req.instituteId,
+  userId: hasPermission(req.user.role, 'transactions:read_all') ? null : req.user._id
+});
+
+const sendTransactionQueryError = (res, error, label, message) => {
+  if (error instanceof TransactionQueryError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+/**
+ * Page through wallet transactions
+ * (?type=&status=&from=&to=&building=&department=&minAmount=&maxAmount=&userId=
+ *   &sort=-date|date|amount|co2Impact|type&limit=&cursor=&includeSummary=true)
+ * Pass pagination.nextCursor back as ?cursor= with the same filters and sort for the next page.
+ */
+const getTransactions = async (req, res) => {
+  try {
+    const scope = transactionScope(req);
+    const [page, summary] = await Promise.all([
+      listTransactions(scope, req.query),
+      req.query.includeSummary === 'true' ? summarizeTransactions(scope, req.query) : null
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: summary ? { ...page, summary } : page
+    });
+  } catch (error) {
+    sendTransactionQueryError(res, error, 'Get transactions', 'Error fetching transactions');
+  }
+};
+
+/**
+ * Download every matching transaction (?format=csv|xlsx|json plus the filters and sort of GET /transactions)
+ * Rows are streamed as they are read, so large histories are never held in memory
+ */
+const exportTransactions = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const transactionExport = createTransactionExport(transactionScope(req), req.query, format);
+
+    res.status(200).set({
+      'Content-Type': transactionExport.contentType,
+      'Content-Disposition': `attachment; filename="transactions-${req.instituteId}-${new Date().toISOString().slice(0, 10)}.${transactionExport.extension}"`
+    });
+    await transactionExport.writeTo(res);
+  } catch (error) {
+    if (res.headersSent) {
+      // Too late for an error response; cut the download short so it is not mistaken for complete
+      console.error('Export transactions error:', error);
+      return res.destroy(error);
+    }
+    sendTransactionQueryError(res, error, 'Export transactions', 'Error exporting transactions');
+  }
+};
+
 /**
  * Get institute-specific analytics
  */
@@ -459,14 +499,9 @@ const getInstituteAnalytics = async (req, res) => {
   try {
     const userInstitute = req.userInstitute;
     
-    // Convert institute to string for database queries
-    const instituteNameForQuery = typeof userInstitute === 'object' && userInstitute.name 
-      ? userInstitute.name 
-      : String(userInstitute);
-    
     // Get aggregated data for the institute
     const instituteData = await CarbonData.aggregate([
-      { $match: createInstituteFilter(userInstitute) },
+      { $match: createInstituteFilter(req.instituteId) },
       {
         $group: {
           _id: null,
@@ -508,9 +543,13 @@ const getInstituteAnalytics = async (req, res) => {
 
 module.exports = {
   getDashboardData,
+  getWallet,
   updateWalletBalance,
   purchaseCarbonOffset,
   recordEnergyConsumption,
   getWeeklyEnergyData,
-  getInstituteAnalytics
+  getSeriesData,
+  getInstituteAnalytics,
+  getTransactions,
+  exportTransactions
 };
@@ -0,0 +1,140 @@
+const ChainEvent = require('../models/ChainEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const { network } = require('../config/chain');
+
+/**
+ * Get indexer checkpoints (last indexed block, reorg stats) for the configured network
+ */
+const getIndexerStatus = async (req, res) => {
+  try {
+    const checkpoints = await IndexerCheckpoint.find({ network }).select('-recentBlocks -__v');
+    const latestEvent = await ChainEvent.findOne({ network }).sort({ blockNumber: -1, logIndex: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        network,
+        checkpoints,
+        latestEventBlock: latestEvent ? latestEvent.blockNumber : null,
+        totalEvents: await ChainEvent.countDocuments({ network })
+      }
+    });
+  } catch (error) {
+    console.error('Get indexer status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching indexer status'
+    });
+  }
+};
+
+/**
+ * Get indexed chain events with optional contract/event/address/block filters
+ */
+const getChainEvents = async (req, res) => {
+  try {
+    const { contract, event, address, month, fromBlock, toBlock } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const query = { network };
+    if (contract) query.contract = contract;
+    if (event) query.event = { $in: String(event).split(',') };
+    if (address) query.addresses = String(address).toLowerCase();
+    if (month) query.month = parseInt(month);
+    if (fromBlock || toBlock) {
+      query.blockNumber = {};
+      if (fromBlock) query.blockNumber.$gte = parseInt(fromBlock);
+      if (toBlock) query.blockNumber.$lte = parseInt(toBlock);
+    }
+
+    const [events, total] = await Promise.all([
+      ChainEvent.find(query)
+        .sort({ blockNumber: -1, logIndex: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      ChainEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get chain events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching chain events'
+    });
+  }
+};
+
+/**
+ * Get all indexed events emitted by a single transaction
+ */
+const getTransactionEvents = async (req, res) => {
+  try {
+    const events = await ChainEvent.find({
+      network,
+      transactionHash: req.params.txHash.toLowerCase()
+    }).sort({ logIndex: 1 }).select('-__v');
+
+    if (events.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No indexed events found for transaction'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    console.error('Get transaction events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transaction events'
+    });
+  }
+};
+
+/**
+ * Get on-chain metered usage per month for a department wallet
+ */
+const getDepartmentUsage = async (req, res) => {
+  try {
+    const month = req.query.month ? parseInt(req.query.month) : null;
+    const usage = await ChainEvent.getUsageByDepartment(network, req.params.address, month);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        dept: req.params.address.toLowerCase(),
+        usage
+      }
+    });
+  } catch (error) {
+    console.error('Get department usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching department usage'
+    });
+  }
+};
+
+module.exports = {
+  getIndexerStatus,
+  getChainEvents,
+  getTransactionEvents,
+  getDepartmentUsage
+};
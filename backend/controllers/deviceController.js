@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const Institute = require('../models/Institute');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const { generateOpaqueToken, hashToken } = require('../utils/generateToken');
+
+const EDITABLE_FIELDS = ['name', 'type', 'buildingName', 'departmentName', 'status'];
+
+// "gpd_" marks device keys so they are recognisable in configs and logs
+const issueApiKey = () => {
+  const apiKey = `gpd_${generateOpaqueToken()}`;
+  return { apiKey, apiKeyHash: hashToken(apiKey), apiKeyPrefix: apiKey.slice(0, 12) };
+};
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+// Devices outside the caller's institute are reported as missing
+const findScopedDevice = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Device.findOne({
+    _id: req.params.id,
+    ...createInstituteFilter(req.isAdmin ? null : req.instituteId)
+  });
+};
+
+/**
+ * List registered devices (?status=active|disabled&instituteId=)
+ */
+const getDevices = async (req, res) => {
+  try {
+    const { status, instituteId } = req.query;
+
+    const query = { ...createInstituteFilter(req.isAdmin ? instituteId : req.instituteId) };
+    if (status) query.status = String(status);
+    if (req.user.role === 'department_head') query.departmentName = req.user.department;
+
+    const devices = await Device.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: devices
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching devices'
+    });
+  }
+};
+
+/**
+ * Register a device and issue its API key (returned only in this response)
+ * Body: { deviceId, name, type, buildingName, departmentName, instituteId (platform admin only) }
+ */
+const createDevice = async (req, res) => {
+  try {
+    const { deviceId, name, type, buildingName, departmentName } = req.body;
+
+    const instituteId = req.isAdmin ? req.body.instituteId || req.user.instituteId : req.instituteId;
+    const institute = instituteId ? await Institute.findOne({ id: instituteId }) : null;
+    if (!institute) {
+      return res.status(400).json({
+        success: false,
+        message: 'Institute not found'
+      });
+    }
+
+    const { apiKey, apiKeyHash, apiKeyPrefix } = issueApiKey();
+    const device = await Device.create({
+      institute: { id: institute.id, name: institute.name },
+      instituteId: institute.id,
+      deviceId,
+      name,
+      type,
+      buildingName,
+      departmentName,
+      apiKeyHash,
+      apiKeyPrefix,
+      createdBy: req.user._id
+    });
+
+    const data = device.toObject();
+    delete data.apiKeyHash;
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered. Store the API key now: it is not shown again.',
+      data: { device: data, apiKey }
+    });
+  } catch (error) {
+    console.error('Create device error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A device with this id is already registered'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error registering device'
+    });
+  }
+};
+
+/**
+ * Update a device's name, type, default building/department or status
+ */
+const updateDevice = async (req, res) => {
+  try {
+    const device = await findScopedDevice(req);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) device[field] = req.body[field];
+    });
+    await device.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Device updated successfully',
+      data: device
+    });
+  } catch (error) {
+    console.error('Update device error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating device'
+    });
+  }
+};
+
+/**
+ * Replace a device's API key; the old key stops working immediately
+ */
+const rotateDeviceKey = async (req, res) => {
+  try {
+    const device = await findScopedDevice(req);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const { apiKey, apiKeyHash, apiKeyPrefix } = issueApiKey();
+    device.apiKeyHash = apiKeyHash;
+    device.apiKeyPrefix = apiKeyPrefix;
+    device.keyIssuedAt = new Date();
+    await device.save();
+
+    console.log(`Device key rotated: ${device.deviceId} by ${req.user.email}`);
+
+    const data = device.toObject();
+    delete data.apiKeyHash;
+
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated. Store the new key now: it is not shown again.',
+      data: { device: data, apiKey }
+    });
+  } catch (error) {
+    console.error('Rotate device key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating device key'
+    });
+  }
+};
+
+/**
+ * Disable a device; its readings are kept and it can be re-enabled with PUT
+ */
+const disableDevice = async (req, res) => {
+  try {
+    const device = await findScopedDevice(req);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    device.status = 'disabled';
+    await device.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Device disabled',
+      data: device
+    });
+  } catch (error) {
+    console.error('Disable device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling device'
+    });
+  }
+};
+
+module.exports = {
+  getDevices,
+  createDevice,
+  updateDevice,
+  rotateDeviceKey,
+  disableDevice
+};
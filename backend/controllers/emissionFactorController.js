@@ -0,0 +1,178 @@
+const EmissionFactor = require('../models/EmissionFactor');
+const {
+  EmissionFactorError,
+  getFactorResolver,
+  resolveFactor,
+  loadFactorTable,
+  createFactor,
+  reviseFactor,
+  retireFactor,
+  recalculateEmissions
+} = require('../services/emissionFactors');
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+// Registry errors carry their status; validation errors are the caller's
+const sendError = (res, error, label, message) => {
+  if (error instanceof EmissionFactorError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: validationMessage(error) });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A factor with this version already exists; retry the request' });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+// Records are recalculated unless the request says otherwise
+const recalculateRange = async (body, factor, range) => {
+  if (body.recalculate === false || body.recalculate === 'false') return null;
+  return recalculateEmissions({ region: factor.region, energySource: factor.energySource, ...range });
+};
+
+/**
+ * List emission factors (?region=&energySource=&status=active|superseded|retired)
+ */
+const getEmissionFactors = async (req, res) => {
+  try {
+    const { region, energySource, status } = req.query;
+
+    const query = {};
+    if (region) query.region = String(region).toUpperCase();
+    if (energySource) query.energySource = String(energySource);
+    if (status) query.status = { $in: String(status).split(',') };
+
+    const factors = await EmissionFactor.find(query)
+      .sort({ region: 1, energySource: 1, version: -1 })
+      .populate('createdBy', 'fullName email');
+
+    res.status(200).json({
+      success: true,
+      data: factors
+    });
+  } catch (error) {
+    sendError(res, error, 'Get emission factors', 'Error fetching emission factors');
+  }
+};
+
+/**
+ * Factor that applies to an energy source at a time (?energySource=&at=&region=&instituteId=)
+ * Without region, the institute's grid region is used (instituteId: platform admin only)
+ */
+const getResolvedFactor = async (req, res) => {
+  try {
+    const { energySource = 'grid', at, region } = req.query;
+    const when = at ? new Date(at) : new Date();
+    if (isNaN(when)) {
+      return res.status(400).json({ success: false, message: 'Invalid date for: at' });
+    }
+    if (!EmissionFactor.ENERGY_SOURCES.includes(energySource)) {
+      return res.status(400).json({
+        success: false,
+        message: `energySource must be one of: ${EmissionFactor.ENERGY_SOURCES.join(', ')}`
+      });
+    }
+
+    const factor = region
+      ? resolveFactor(await loadFactorTable(), { region: String(region).toUpperCase(), energySource, at: when })
+      : (await getFactorResolver(req.isAdmin ? req.query.instituteId || req.user.instituteId : req.instituteId))(energySource, when);
+
+    res.status(200).json({
+      success: true,
+      data: { ...factor, unit: EmissionFactor.unitFor(energySource), at: when }
+    });
+  } catch (error) {
+    sendError(res, error, 'Resolve emission factor', 'Error resolving emission factor');
+  }
+};
+
+/**
+ * Add a factor as the next version of its region and energy source
+ * Body: { region, energySource, value, effectiveFrom, effectiveTo, source, notes, recalculate }
+ */
+const createEmissionFactor = async (req, res) => {
+  try {
+    const { factor, range } = await createFactor(req.body || {}, req.user._id);
+    const recalculation = await recalculateRange(req.body || {}, factor, range);
+
+    res.status(201).json({
+      success: true,
+      data: { factor, recalculation }
+    });
+  } catch (error) {
+    sendError(res, error, 'Create emission factor', 'Error creating emission factor');
+  }
+};
+
+/**
+ * Correct an active factor; the correction is stored as a new version
+ * Body: { value, effectiveFrom, effectiveTo, source, notes, recalculate }
+ */
+const reviseEmissionFactor = async (req, res) => {
+  try {
+    const { factor, previous, range } = await reviseFactor(req.params.id, req.body || {}, req.user._id);
+    const recalculation = await recalculateRange(req.body || {}, factor, range);
+
+    res.status(200).json({
+      success: true,
+      data: { factor, previous, recalculation }
+    });
+  } catch (error) {
+    sendError(res, error, 'Revise emission factor', 'Error revising emission factor');
+  }
+};
+
+/**
+ * Retire an active factor (?recalculate=false to skip recalculation)
+ */
+const retireEmissionFactor = async (req, res) => {
+  try {
+    const { factor, range } = await retireFactor(req.params.id);
+    const recalculation = await recalculateRange(req.query, factor, range);
+
+    res.status(200).json({
+      success: true,
+      data: { factor, recalculation }
+    });
+  } catch (error) {
+    sendError(res, error, 'Retire emission factor', 'Error retiring emission factor');
+  }
+};
+
+/**
+ * Recalculate derived CO2 with the current factors
+ * Body: { region, energySource, from, to } (all optional)
+ */
+const recalculate = async (req, res) => {
+  try {
+    const { region, energySource, from, to } = req.body || {};
+    const recalculation = await recalculateEmissions({
+      region: region ? String(region).toUpperCase() : undefined,
+      energySource,
+      from,
+      to
+    });
+
+    res.status(200).json({
+      success: true,
+      data: recalculation
+    });
+  } catch (error) {
+    sendError(res, error, 'Recalculate emissions', 'Error recalculating emissions');
+  }
+};
+
+module.exports = {
+  getEmissionFactors,
+  getResolvedFactor,
+  createEmissionFactor,
+  reviseEmissionFactor,
+  retireEmissionFactor,
+  recalculate
+};
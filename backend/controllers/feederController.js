@@ -0,0 +1,203 @@
+const { ethers } = require('ethers');
+const DepartmentWallet = require('../models/DepartmentWallet');
+const MeterSubmission = require('../models/MeterSubmission');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+
+/**
+ * Get department → wallet mappings for the user's institute
+ */
+const getDepartmentWallets = async (req, res) => {
+  try {
+    const wallets = await DepartmentWallet.find(createInstituteFilter(req.instituteId))
+      .sort({ departmentName: 1 })
+      .select('-__v');
+
+    res.status(200).json({
+      success: true,
+      data: wallets
+    });
+  } catch (error) {
+    console.error('Get department wallets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching department wallets'
+    });
+  }
+};
+
+/**
+ * Link (or re-link) a department of the user's institute to a wallet address
+ */
+const upsertDepartmentWallet = async (req, res) => {
+  try {
+    const { departmentName, address, active } = req.body;
+
+    if (!departmentName || !address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department name and address are required'
+      });
+    }
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid wallet address'
+      });
+    }
+
+    const wallet = await DepartmentWallet.findOneAndUpdate(
+      { ...createInstituteFilter(req.instituteId), departmentName: departmentName.trim() },
+      {
+        $set: {
+          address: address.toLowerCase(),
+          active: active !== undefined ? Boolean(active) : true,
+          updatedBy: req.user._id
+        },
+        $setOnInsert: {
+          institute: req.userInstitute,
+          departmentName: departmentName.trim()
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).select('-__v');
+
+    res.status(200).json({
+      success: true,
+      message: 'Department wallet saved successfully',
+      data: wallet
+    });
+  } catch (error) {
+    console.error('Upsert department wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving department wallet'
+    });
+  }
+};
+
+/**
+ * Remove a department's wallet mapping
+ */
+const deleteDepartmentWallet = async (req, res) => {
+  try {
+    const wallet = await DepartmentWallet.findOneAndDelete({
+      ...createInstituteFilter(req.instituteId),
+      departmentName: req.params.departmentName
+    });
+
+    if (!wallet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department wallet not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Department wallet removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete department wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing department wallet'
+    });
+  }
+};
+
+/**
+ * Get meter submissions (queue state) for the user's institute
+ */
+const getMeterSubmissions = async (req, res) => {
+  try {
+    const { status, departmentName, month } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const query = { ...createInstituteFilter(req.instituteId) };
+    if (status) query.status = { $in: String(status).split(',') };
+    if (departmentName) query.departmentName = departmentName;
+    if (month) query.month = parseInt(month);
+
+    const [submissions, total, statusCounts] = await Promise.all([
+      MeterSubmission.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-signature -__v'),
+      MeterSubmission.countDocuments(query),
+      MeterSubmission.aggregate([
+        { $match: createInstituteFilter(req.instituteId) },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        submissions,
+        summary: statusCounts.reduce((acc, s) => {
+          acc[s._id] = s.count;
+          return acc;
+        }, {}),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get meter submissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching meter submissions'
+    });
+  }
+};
+
+/**
+ * Put a failed or dead submission back on the queue
+ */
+const retryMeterSubmission = async (req, res) => {
+  try {
+    const submission = await MeterSubmission.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...createInstituteFilter(req.instituteId),
+        status: { $in: ['failed', 'dead'] }
+      },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    ).select('-signature -__v');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed submission found with this id'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Submission queued for retry',
+      data: submission
+    });
+  } catch (error) {
+    console.error('Retry meter submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying meter submission'
+    });
+  }
+};
+
+module.exports = {
+  getDepartmentWallets,
+  upsertDepartmentWallet,
+  deleteDepartmentWallet,
+  getMeterSubmissions,
+  retryMeterSubmission
+};
@@ -0,0 +1,55 @@
+const { ingestReadings } = require('../services/ingestion');
+const { maxBatchSize } = require('../config/ingest');
+
+/**
+ * Accept a batch of timestamped readings from an authenticated device
+ * Body: { units: { energy, co2, temperature }, readings: [{ timestamp, energyConsumption, ... }] }
+ * Each row is accepted, reported as a duplicate (device + timestamp already
+ * stored) or rejected with its validation errors; one bad row never fails the batch.
+ */
+const ingestDeviceReadings = async (req, res) => {
+  try {
+    const { readings, units } = req.body || {};
+
+    if (!Array.isArray(readings) || readings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'readings must be a non-empty array'
+      });
+    }
+    if (readings.length > maxBatchSize) {
+      return res.status(413).json({
+        success: false,
+        message: `A batch may contain at most ${maxBatchSize} readings`
+      });
+    }
+    if (units !== undefined && (typeof units !== 'object' || units === null || Array.isArray(units))) {
+      return res.status(400).json({
+        success: false,
+        message: 'units must be an object, e.g. { "energy": "kWh", "co2": "kg", "temperature": "C" }'
+      });
+    }
+
+    const { summary, results } = await ingestReadings(req.device, readings, units);
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.accepted} of ${summary.received} readings accepted`,
+      data: {
+        deviceId: req.device.deviceId,
+        summary,
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Ingest readings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ingesting readings'
+    });
+  }
+};
+
+module.exports = {
+  ingestDeviceReadings
+};
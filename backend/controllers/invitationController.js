@@ -0,0 +1,309 @@
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const Institute = require('../models/Institute');
+const User = require('../models/User');
+const { ROLES } = require('../config/roles');
+const { invitationDays } = require('../config/auth');
+const { appUrl } = require('../config/mail');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const { generateOpaqueToken, hashToken } = require('../utils/generateToken');
+const { sendMail } = require('../services/mailer');
+const { findInvitation } = require('../services/enrollment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INVITABLE_ROLES = ROLES.filter(role => role !== 'platform_admin');
+const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const inviteLink = (token) => `${appUrl}/auth/sign-up?invite=${encodeURIComponent(token)}`;
+
+const expiryFrom = (days) => {
+  const parsed = parseInt(days);
+  const valid = parsed >= 1 && parsed <= 90 ? parsed : invitationDays;
+  return new Date(Date.now() + valid * DAY_MS);
+};
+
+const invitationMessage = (invitation, instituteName, inviter, link) => ({
+  to: invitation.email,
+  subject: `You're invited to join ${instituteName} on GreenPulse`,
+  text: [
+    'Hi,',
+    '',
+    `${inviter.fullName} invited you to join ${instituteName} on GreenPulse. Open the link below to create your account:`,
+    '',
+    link,
+    '',
+    `The link expires on ${invitation.expiresAt.toDateString()} and can be used once.`
+  ].join('\n'),
+  html: '<p>Hi,</p>' +
+    `<p>${escapeHtml(inviter.fullName)} invited you to join ${escapeHtml(instituteName)} on GreenPulse.</p>` +
+    `<p><a href="${link}">Create your account</a></p>` +
+    `<p>The link expires on ${invitation.expiresAt.toDateString()} and can be used once.</p>`
+});
+
+const toResponse = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  department: invitation.department,
+  institute: invitation.institute,
+  instituteId: invitation.instituteId,
+  state: invitation.state,
+  expiresAt: invitation.expiresAt,
+  lastSentAt: invitation.lastSentAt,
+  invitedBy: invitation.invitedBy,
+  acceptedBy: invitation.acceptedBy,
+  acceptedAt: invitation.acceptedAt,
+  revokedAt: invitation.revokedAt,
+  createdAt: invitation.createdAt
+});
+
+// Invitations outside the caller's institute are reported as missing
+const findScopedInvitation = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Invitation.findOne({
+    _id: req.params.id,
+    ...createInstituteFilter(req.isAdmin ? null : req.instituteId)
+  });
+};
+
+/**
+ * List invitations (?state=pending|accepted|expired|revoked&instituteId=)
+ */
+const listInvitations = async (req, res) => {
+  try {
+    const { state, instituteId } = req.query;
+
+    const query = { ...createInstituteFilter(req.isAdmin ? instituteId : req.instituteId) };
+    if (state) {
+      const stateFilter = Invitation.stateFilter(state);
+      if (!stateFilter) {
+        return res.status(400).json({
+          success: false,
+          message: 'State must be one of: pending, accepted, expired, revoked'
+        });
+      }
+      Object.assign(query, stateFilter);
+    }
+
+    const invitations = await Invitation.find(query)
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .populate('invitedBy', 'fullName email')
+      .populate('acceptedBy', 'fullName email');
+
+    res.status(200).json({
+      success: true,
+      data: invitations.map(toResponse)
+    });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations'
+    });
+  }
+};
+
+/**
+ * Invite someone by email
+ * Body: { email, role, department, expiresInDays, instituteId (platform admin only) }
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const { email, role = 'student', department, expiresInDays } = req.body;
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+
+    if (!emailRegex.test(normalizedEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid email address'
+      });
+    }
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${INVITABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const instituteId = req.isAdmin ? req.body.instituteId || req.user.instituteId : req.instituteId;
+    const institute = instituteId ? await Institute.findOne({ id: instituteId }) : null;
+    if (!institute) {
+      return res.status(400).json({
+        success: false,
+        message: 'Institute not found'
+      });
+    }
+
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    // One open invitation per address: a new invite replaces the old link
+    await Invitation.updateMany(
+      { instituteId: institute.id, email: normalizedEmail, status: 'pending' },
+      { $set: { status: 'revoked', revokedBy: req.user._id, revokedAt: new Date() } }
+    );
+
+    const token = generateOpaqueToken();
+    const invitation = await Invitation.create({
+      institute: { id: institute.id, name: institute.name },
+      instituteId: institute.id,
+      email: normalizedEmail,
+      role,
+      department: department ? String(department).trim() : undefined,
+      tokenHash: hashToken(token),
+      expiresAt: expiryFrom(expiresInDays),
+      invitedBy: req.user._id,
+      lastSentAt: new Date()
+    });
+
+    const link = inviteLink(token);
+    await sendMail(invitationMessage(invitation, institute.name, req.user, link));
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: {
+        invitation: toResponse(invitation),
+        inviteUrl: link
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating invitation'
+    });
+  }
+};
+
+/**
+ * Send a pending or expired invitation again with a fresh link and expiry
+ * Body: { expiresInDays }
+ */
+const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await findScopedInvitation(req);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+    if (invitation.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `This invitation has already been ${invitation.status}`
+      });
+    }
+
+    // The old link stops working because its hash is replaced
+    const token = generateOpaqueToken();
+    invitation.tokenHash = hashToken(token);
+    invitation.expiresAt = expiryFrom((req.body || {}).expiresInDays);
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    const link = inviteLink(token);
+    await sendMail(invitationMessage(invitation, invitation.institute.name || invitation.instituteId, req.user, link));
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation resent',
+      data: {
+        invitation: toResponse(invitation),
+        inviteUrl: link
+      }
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resending invitation'
+    });
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await findScopedInvitation(req);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+    if (invitation.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `This invitation has already been ${invitation.status}`
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedBy = req.user._id;
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked',
+      data: toResponse(invitation)
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation'
+    });
+  }
+};
+
+/**
+ * Public: what an invite link is for, so the sign-up page can prefill it
+ */
+const lookupInvitation = async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.token);
+    if (!invitation || !invitation.isUsable()) {
+      return res.status(404).json({
+        success: false,
+        message: 'This invitation is invalid, expired or has already been used'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        institute: { id: invitation.instituteId, name: invitation.institute.name || invitation.instituteId },
+        email: invitation.email,
+        role: invitation.role,
+        department: invitation.department,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Lookup invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitation'
+    });
+  }
+};
+
+module.exports = {
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  lookupInvitation
+};
@@ -0,0 +1,78 @@
+const jwt = require('jsonwebtoken');
+const { hub } = require('../services/liveEvents');
+const { heartbeatInterval, clientRetryMs } = require('../config/live');
+
+const writeMessage = (res, message) => {
+  res.write(`id: ${message.id}\nevent: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+};
+
+/**
+ * Stream the institute's live events as Server-Sent Events
+ * Platform admins may pick an institute with ?instituteId=. A reconnecting
+ * client sends Last-Event-ID and first receives the events it missed.
+ * The stream ends when the access token expires; the client reconnects
+ * with a refreshed token, which also re-checks logout-everywhere.
+ */
+const streamEvents = async (req, res) => {
+  const requested = req.isAdmin ? req.query.instituteId || req.user.instituteId : req.instituteId;
+  const instituteId = requested ? String(requested) : null;
+  if (!instituteId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Select an institute to follow'
+    });
+  }
+
+  const token = req.headers.authorization.split(' ')[1];
+  const { exp } = jwt.decode(token) || {};
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${clientRetryMs}\n\n`);
+
+  // Events replayed below may also come through the live subscription
+  const replayed = new Set();
+  let closed = false;
+
+  const unsubscribe = hub.subscribe(instituteId, (message) => {
+    if (closed || replayed.has(message.id)) return;
+    writeMessage(res, message);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatInterval);
+  const expiry = exp
+    ? setTimeout(() => res.end(), Math.max(exp * 1000 - Date.now(), 0))
+    : null;
+
+  req.on('close', () => {
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    if (expiry) clearTimeout(expiry);
+  });
+
+  try {
+    const missed = await hub.replay(instituteId, req.get('Last-Event-ID') || req.query.lastEventId);
+    for (const message of missed) {
+      if (closed) break;
+      replayed.add(message.id);
+      writeMessage(res, message);
+    }
+  } catch (error) {
+    console.error('Live event replay error:', error);
+  }
+
+  if (!closed) {
+    res.write(`event: ready\ndata: ${JSON.stringify({ instituteId, replayed: replayed.size })}\n\n`);
+  }
+};
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const OffsetProject = require('../models/OffsetProject');
+const OffsetRetirement = require('../models/OffsetRetirement');
+const { PROJECT_STATUSES } = require('../models/OffsetProject');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const { hasPermission } = require('../middleware/rbac');
+const { OffsetError, createProject: listProject, updateProject: editProject } = require('../services/offsets');
+const {
+  CertificateError,
+  issueCertificate,
+  verifyCertificate: checkCertificate,
+  revokeCertificate: withdrawCertificate,
+  renderCertificatePdf
+} = require('../services/certificates');
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+const sendError = (res, error, label, message) => {
+  if (error instanceof OffsetError || error instanceof CertificateError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: validationMessage(error) });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A project with this serial prefix is already listed' });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+const scopedInstituteId = (req, source) => (req.isAdmin ? source.instituteId || null : req.instituteId);
+
+const findProject = (id) => (mongoose.Types.ObjectId.isValid(id) ? OffsetProject.findById(id) : null);
+
+/**
+ * List catalog projects (?type=&registry=&vintage=&available=true&status=)
+ * Only catalog managers see projects that are not active
+ */
+const getProjects = async (req, res) => {
+  try {
+    const { type, registry, vintage, available, status } = req.query;
+    const query = {};
+    if (hasPermission(req.user.role, 'offsets:manage')) {
+      if (status) {
+        if (!PROJECT_STATUSES.includes(status)) {
+          return res.status(400).json({ success: false, message: `status must be one of: ${PROJECT_STATUSES.join(', ')}` });
+        }
+        query.status = status;
+      }
+    } else {
+      query.status = 'active';
+    }
+    if (type) query.type = { $in: String(type).split(',') };
+    if (registry) query.registry = registry;
+    if (vintage) query.vintage = parseInt(vintage);
+    if (available === 'true') query.availableTonnes = { $gt: 0 };
+
+    const projects = await OffsetProject.find(query).sort({ vintage: -1, name: 1 }).select('-__v');
+
+    res.status(200).json({
+      success: true,
+      data: projects
+    });
+  } catch (error) {
+    sendError(res, error, 'Get offset projects', 'Error fetching offset projects');
+  }
+};
+
+/**
+ * Get one catalog project
+ */
+const getProject = async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project || (project.status !== 'active' && !hasPermission(req.user.role, 'offsets:manage'))) {
+      return res.status(404).json({ success: false, message: 'Offset project not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    sendError(res, error, 'Get offset project', 'Error fetching offset project');
+  }
+};
+
+/**
+ * List a new project with its serial block
+ * Body: { name, type, registry, registryProjectId, vintage, country, pricePerTonne,
+ *         serialPrefix, serialStart, serialEnd, description }
+ */
+const createProject = async (req, res) => {
+  try {
+    const project = await listProject(req.body || {}, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    sendError(res, error, 'Create offset project', 'Error creating offset project');
+  }
+};
+
+/**
+ * Edit a listing, pause or close it, or extend its serial block
+ * Body: { name, description, country, pricePerTonne, status, serialEnd }
+ */
+const updateProject = async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ success: false, message: 'Offset project not found' });
+    }
+
+    const updated = await editProject(project, req.body || {}, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    sendError(res, error, 'Update offset project', 'Error updating offset project');
+  }
+};
+
+/**
+ * List the institute's retirements, newest first, with totals (?projectId=&instituteId=&page=&limit=)
+ */
+const getRetirements = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = { ...createInstituteFilter(scopedInstituteId(req, req.query)) };
+    if (req.query.projectId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.projectId)) {
+        return res.status(400).json({ success: false, message: 'Invalid projectId' });
+      }
+      query.project = new mongoose.Types.ObjectId(String(req.query.projectId));
+    }
+
+    const [retirements, total, [totals]] = await Promise.all([
+      OffsetRetirement.find(query)
+        .sort({ retiredAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('buyer', 'fullName email')
+        .select('-__v'),
+      OffsetRetirement.countDocuments(query),
+      OffsetRetirement.aggregate([
+        { $match: query },
+        { $group: { _id: null, tonnes: { $sum: '$tonnes' }, cost: { $sum: '$cost' } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        retirements,
+        totals: { tonnes: totals ? totals.tonnes : 0, cost: totals ? totals.cost : 0 },
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get offset retirements', 'Error fetching offset retirements');
+  }
+};
+
+/**
+ * Get one retirement; retirements of other institutes are reported as missing
+ */
+const getRetirement = async (req, res) => {
+  try {
+    const retirement = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await OffsetRetirement.findOne({
+        _id: req.params.id,
+        ...createInstituteFilter(req.isAdmin ? null : req.instituteId)
+      }).populate('buyer', 'fullName email')
+      : null;
+    if (!retirement) {
+      return res.status(404).json({ success: false, message: 'Retirement not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: retirement
+    });
+  } catch (error) {
+    sendError(res, error, 'Get offset retirement', 'Error fetching offset retirement');
+  }
+};
+
+/**
+ * Download the retirement's certificate as a PDF, issuing it on first download
+ */
+const downloadCertificate = async (req, res) => {
+  try {
+    const retirement = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await OffsetRetirement.findOne({
+        _id: req.params.id,
+        ...createInstituteFilter(req.isAdmin ? null : req.instituteId)
+      })
+      : null;
+    if (!retirement) {
+      return res.status(404).json({ success: false, message: 'Retirement not found' });
+    }
+
+    const certificate = await issueCertificate(retirement, req.user._id);
+    const pdf = await renderCertificatePdf(certificate);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${certificate.certificateId}.pdf"`,
+      'Content-Length': pdf.length,
+      'X-Certificate-Id': certificate.certificateId
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    sendError(res, error, 'Download offset certificate', 'Error generating offset certificate');
+  }
+};
+
+/**
+ * Revoke a certificate
+ * Body: { reason }
+ */
+const revokeCertificate = async (req, res) => {
+  try {
+    const certificate = await withdrawCertificate(req.params.certificateId, (req.body || {}).reason, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: certificate
+    });
+  } catch (error) {
+    sendError(res, error, 'Revoke offset certificate', 'Error revoking offset certificate');
+  }
+};
+
+/**
+ * Public check that a certificate id is genuine and not revoked (no authentication)
+ */
+const verifyCertificate = async (req, res) => {
+  try {
+    const result = await checkCertificate(req.params.certificateId);
+    if (!result.certificate) {
+      return res.status(404).json({ success: false, message: result.reason });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Verify offset certificate', 'Error verifying offset certificate');
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  getRetirements,
+  getRetirement,
+  downloadCertificate,
+  revokeCertificate,
+  verifyCertificate
+};
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const ChainReconciliation = require('../models/ChainReconciliation');
+const { STATUSES } = require('../models/ChainReconciliation');
+const { ChainReconciler } = require('../services/chainReconciler');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const { network } = require('../config/chain');
+
+// Reads the deployment manifest and opens a provider, so only created when first needed
+let chainReconciler = null;
+const getChainReconciler = () => {
+  if (!chainReconciler) {
+    chainReconciler = new ChainReconciler();
+  }
+  return chainReconciler;
+};
+
+const scopedInstituteId = (req, source) => (req.isAdmin ? source.instituteId || null : req.instituteId);
+
+// Reports outside the caller's institute are reported as missing
+const findScopedReport = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return ChainReconciliation.findOne({
+    _id: req.params.id,
+    ...createInstituteFilter(req.isAdmin ? null : req.instituteId)
+  }).populate('acknowledgement.by', 'fullName email');
+};
+
+/**
+ * List reconciliation reports, newest first (?status=&unacknowledged=&instituteId=&page=&limit=)
+ */
+const getReconciliations = async (req, res) => {
+  try {
+    const { status, unacknowledged } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = { network, ...createInstituteFilter(scopedInstituteId(req, req.query)) };
+    if (status) {
+      const statuses = String(status).split(',');
+      const invalid = statuses.filter(s => !STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return res.status(400).json({ success: false, message: `Invalid status: ${invalid.join(', ')}` });
+      }
+      query.status = { $in: statuses };
+    }
+    if (unacknowledged === 'true') query['acknowledgement.at'] = null;
+
+    const [reports, total] = await Promise.all([
+      ChainReconciliation.find(query)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('acknowledgement.by', 'fullName email')
+        .select('-__v'),
+      ChainReconciliation.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation reports'
+    });
+  }
+};
+
+/**
+ * Get one reconciliation report with its department lines
+ */
+const getReconciliation = async (req, res) => {
+  try {
+    const report = await findScopedReport(req);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Reconciliation report not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation report'
+    });
+  }
+};
+
+/**
+ * Run a reconciliation now instead of waiting for the worker
+ * Body: { instituteId } - omitted to reconcile every institute
+ */
+const runReconciliation = async (req, res) => {
+  try {
+    let reconciler;
+    try {
+      reconciler = getChainReconciler();
+    } catch (error) {
+      return res.status(503).json({ success: false, message: error.message });
+    }
+
+    const reports = await reconciler.runOnce({ instituteId: (req.body || {}).instituteId });
+
+    res.status(201).json({
+      success: true,
+      data: reports
+    });
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running reconciliation'
+    });
+  }
+};
+
+/**
+ * Acknowledge a report with discrepancies once they have been looked into
+ * Body: { note }
+ */
+const acknowledgeReconciliation = async (req, res) => {
+  try {
+    const report = await findScopedReport(req);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Reconciliation report not found' });
+    }
+
+    const note = String((req.body || {}).note || '').trim();
+    if (!note) {
+      return res.status(400).json({ success: false, message: 'A note explaining the discrepancy is required' });
+    }
+    if (report.status === 'matched') {
+      return res.status(400).json({ success: false, message: 'Report has no discrepancies to acknowledge' });
+    }
+
+    const updated = await ChainReconciliation.findOneAndUpdate(
+      { _id: report._id, 'acknowledgement.at': null },
+      { $set: { acknowledgement: { by: req.user._id, at: new Date(), note } } },
+      { new: true }
+    ).populate('acknowledgement.by', 'fullName email');
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'Report was already acknowledged' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Acknowledge reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error acknowledging reconciliation report'
+    });
+  }
+};
+
+module.exports = {
+  getReconciliations,
+  getReconciliation,
+  runReconciliation,
+  acknowledgeReconciliation
+};
@@ -0,0 +1,69 @@
+const { ReportError, buildGhgReport } = require('../services/ghgReport');
+const { REPORT_FORMATS, reportFileName, renderReport } = require('../services/reportRenderers');
+
+const sendError = (res, error, label, message) => {
+  if (error instanceof ReportError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message });
+};
+
+// Platform admins may report on any institute; everyone else on their own
+const scopedInstituteId = (req, source) => (req.isAdmin ? source.instituteId || req.instituteId : req.instituteId);
+
+const REPORTS = [
+  {
+    type: 'ghg',
+    name: 'GHG inventory (Scope 1/2/3)',
+    description: 'Emissions by scope and category, energy by source, offsets retired and year-over-year change',
+    formats: Object.keys(REPORT_FORMATS)
+  }
+];
+
+/**
+ * Reports that can be generated and their formats
+ */
+const getReports = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: REPORTS
+  });
+};
+
+/**
+ * GHG inventory for a period (?year= or ?from=&to=, &format=json|pdf|xlsx|csv, &instituteId=)
+ * Non-JSON formats are sent as a file download
+ */
+const getGhgReport = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({ success: false, message: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+    }
+
+    const { year, from, to } = req.query;
+    const report = await buildGhgReport({ instituteId: scopedInstituteId(req, req.query), year, from, to });
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: report
+      });
+    }
+
+    const body = await renderReport(report, format);
+    res.set({
+      'Content-Type': REPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${reportFileName(report, format)}"`
+    });
+    res.status(200).send(body);
+  } catch (error) {
+    sendError(res, error, 'GHG report', 'Error generating GHG report');
+  }
+};
+
+module.exports = {
+  getReports,
+  getGhgReport
+};
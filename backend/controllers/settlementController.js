@@ -0,0 +1,155 @@
+const FiatRequest = require('../models/FiatRequest');
+const { SettlementWorker, OPEN_STATUSES } = require('../services/settlementWorker');
+const { network } = require('../config/chain');
+
+const OVERRIDE_ACTIONS = ['settle', 'refund', 'cancel'];
+
+// Overrides sign transactions, so the worker (and its key) is only created when first needed
+let settlementWorker = null;
+const getSettlementWorker = () => {
+  if (!settlementWorker) {
+    settlementWorker = new SettlementWorker();
+  }
+  return settlementWorker;
+};
+
+/**
+ * Get tracked FiatGateway requests (?status=&type=&user=)
+ */
+const getFiatRequests = async (req, res) => {
+  try {
+    const { status, type, user } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const query = { network };
+    if (status) query.status = { $in: String(status).split(',') };
+    if (type) query.type = type;
+    if (user) query.user = String(user).toLowerCase();
+
+    const [requests, total] = await Promise.all([
+      FiatRequest.find(query)
+        .sort({ reqId: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      FiatRequest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get fiat requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching fiat requests'
+    });
+  }
+};
+
+/**
+ * Get a single tracked request by its on-chain reqId
+ */
+const getFiatRequest = async (req, res) => {
+  try {
+    const request = await FiatRequest.findOne({ network, reqId: parseInt(req.params.reqId) }).select('-__v');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fiat request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Get fiat request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching fiat request'
+    });
+  }
+};
+
+/**
+ * Admin override: force settle, refund or cancel a stuck request
+ */
+const overrideFiatRequest = async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+
+    if (!OVERRIDE_ACTIONS.includes(action) || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: `Action (${OVERRIDE_ACTIONS.join(', ')}) and reason are required`
+      });
+    }
+
+    const request = await FiatRequest.findOne({ network, reqId: parseInt(req.params.reqId) });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fiat request not found'
+      });
+    }
+
+    if (![...OPEN_STATUSES, 'failed'].includes(request.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Request is already ${request.status}`
+      });
+    }
+
+    if (action === 'cancel' && request.type === 'sell') {
+      return res.status(400).json({
+        success: false,
+        message: 'Sell requests hold escrowed EnTo; use refund instead of cancel'
+      });
+    }
+
+    let worker;
+    try {
+      worker = getSettlementWorker();
+    } catch (error) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await worker.override(request, action, reason, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Override ${action} applied`,
+      data: request
+    });
+  } catch (error) {
+    console.error('Override fiat request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying override',
+      error: error.shortMessage || error.message
+    });
+  }
+};
+
+module.exports = {
+  getFiatRequests,
+  getFiatRequest,
+  overrideFiatRequest
+};
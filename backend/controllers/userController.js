@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES, ROLE_LABELS, PERMISSIONS } = require('../config/roles');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const { checkRoleAssignment } = require('../middleware/rbac');
+
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter(p => PERMISSIONS[p].includes(role));
+
+/**
+ * Get the role catalogue and what each role may do
+ */
+const getRoles = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ROLES.map(role => ({
+      role,
+      label: ROLE_LABELS[role],
+      permissions: permissionsFor(role)
+    }))
+  });
+};
+
+/**
+ * Get the current user's role and permissions
+ */
+const getMyPermissions = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      role: req.user.role,
+      label: ROLE_LABELS[req.user.role],
+      permissions: permissionsFor(req.user.role)
+    }
+  });
+};
+
+/**
+ * Get users visible to the caller (?role=&search=&department=)
+ * Platform admins see everyone (optionally ?instituteId=), institute admins their
+ * institute, department heads their own department
+ */
+const getUsers = async (req, res) => {
+  try {
+    const { role, search, department, instituteId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = { ...createInstituteFilter(req.isAdmin ? instituteId : req.instituteId) };
+
+    if (req.user.role === 'department_head') {
+      query.department = req.user.department;
+    } else if (department) {
+      query.department = department;
+    }
+    if (role) query.role = { $in: String(role).split(',') };
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$and = [{
+        $or: [
+          { fullName: { $regex: escaped, $options: 'i' } },
+          { email: { $regex: escaped, $options: 'i' } }
+        ]
+      }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ fullName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('fullName email institute instituteId role position department createdAt'),
+      User.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users'
+    });
+  }
+};
+
+/**
+ * Change a user's role
+ * Body: { role }
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    const target = await User.findById(req.params.id).select('-password');
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const refusal = checkRoleAssignment(req.user, target, role);
+    if (refusal) {
+      return res.status(403).json({
+        success: false,
+        message: refusal
+      });
+    }
+
+    const previousRole = target.role;
+    target.role = role;
+    await target.save();
+
+    console.log(`Role change: ${target.email} ${previousRole} → ${role} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        id: target._id,
+        fullName: target.fullName,
+        email: target.email,
+        institute: target.institute,
+        role: target.role,
+        previousRole
+      }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role'
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  getMyPermissions,
+  getUsers,
+  updateUserRole
+};
@@ -1,6 +1,9 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('./models/User');
+const Institute = require('./models/Institute');
+const { DailyRollup, MonthlyRollup } = require('./models/CarbonRollup');
+const rollupConfig = require('./config/rollups');
 const bcrypt = require('bcryptjs');
 
 // Sample test users for different institutes
@@ -77,14 +80,19 @@ async function createTestUsers() {
 
     console.log('📊 Testing institute data isolation...\n');
 
-    // Test with each user's institute
-    const CarbonBiometric = require('./models/CarbonBiometric');
-    
+    // Test with each user's institute (dashboards read the rollups, not raw readings)
     for (const userData of testUsers) {
-      const dashboardData = await CarbonBiometric.getDashboardData(userData.institute);
-      const departmentData = await CarbonBiometric.getDepartmentData(userData.institute);
-      
       console.log(`=== ${userData.institute} (${userData.email}) ===`);
+
+      // Carbon data is keyed by the canonical institute id, not the display name
+      const institute = await Institute.resolve(userData.institute);
+      if (!institute) {
+        console.log('❌ Institute not found\n');
+        continue;
+      }
+
+      const dashboardData = await DailyRollup.getDashboardData(institute.id, rollupConfig.dashboardDays);
+      const departmentData = await MonthlyRollup.getGroupData(institute.id, 'departmentName');
       
       if (dashboardData && dashboardData.length > 0) {
         console.log(`✅ Has carbon data - CO₂ Savings: ${dashboardData[0].co2Savings} tonnes`);
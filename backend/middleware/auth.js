@@ -17,7 +17,8 @@ const authenticateToken = async (req, res, next) => {
     const decoded = verifyToken(token);
     const user = await User.findById(decoded.userId).select('-password');
     
-    if (!user) {
+    // Logout-everywhere and password resets bump tokenVersion
+    if (!user || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
       return res.status(401).json({
         success: false,
         message: 'Invalid token'
@@ -29,7 +30,7 @@ const authenticateToken = async (req, res, next) => {
   } catch (error) {
     return res.status(401).json({
       success: false,
-      message: 'Invalid token'
+      message: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid token'
     });
   }
 };
@@ -0,0 +1,41 @@
+// backend/middleware/deviceAuth.js
+const Device = require('../models/Device');
+const { hashToken } = require('../utils/generateToken');
+
+/**
+ * Authenticate a registered device by its API key (X-Device-Key header)
+ * Sets req.device and req.instituteId; user tokens are not accepted here
+ */
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-Device-Key');
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Device API key is required (X-Device-Key header)'
+      });
+    }
+
+    const device = await Device.findOne({ apiKeyHash: hashToken(apiKey) });
+
+    if (!device || device.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or disabled device API key'
+      });
+    }
+
+    req.device = device;
+    req.instituteId = device.instituteId;
+    next();
+  } catch (error) {
+    console.error('Device authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error authenticating device'
+    });
+  }
+};
+
+module.exports = { authenticateDevice };
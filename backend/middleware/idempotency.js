@@ -0,0 +1,104 @@
+// backend/middleware/idempotency.js
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency } = require('../config/ledger');
+const { hashToken } = require('../utils/generateToken');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Middleware making a mutating endpoint safe to retry. The client sends an
+ * Idempotency-Key header (a fresh UUID per logical operation); the first
+ * request with a key runs and its response is stored, later requests with
+ * the same key and body receive the stored response. Server errors (5xx)
+ * are not stored, so the client may retry them with the same key.
+ * Must be used after authenticateToken
+ */
+const requireIdempotencyKey = async (req, res, next) => {
+  const key = req.get(idempotency.header);
+  if (!key) {
+    if (!idempotency.required) return next();
+    return res.status(400).json({
+      success: false,
+      message: `${idempotency.header} header is required`
+    });
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `${idempotency.header} must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const path = `${req.baseUrl}${req.path}`;
+    const requestHash = hashToken(`${req.method} ${path}\n${JSON.stringify(req.body ?? {})}`);
+    const scope = { userId: req.user._id, key };
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        ...scope,
+        method: req.method,
+        path,
+        requestHash,
+        lockedUntil: new Date(Date.now() + idempotency.lockMs)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne(scope);
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: `${idempotency.header} was already used for a different request`
+        });
+      }
+      if (existing && existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.responseBody);
+      }
+
+      // Take over a request whose lock has lapsed (its process died)
+      record = existing && await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedUntil: { $lte: new Date() } },
+        { $set: { lockedUntil: new Date(Date.now() + idempotency.lockMs) } },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: `A request with this ${idempotency.header} is still being processed`
+        });
+      }
+    }
+
+    // Store the response before it is sent, so a retry right after sees it
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const settled = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', statusCode: res.statusCode, responseBody: body } }
+        );
+      settled
+        .catch(error => console.error('Idempotency key update error:', error))
+        .then(() => send(body));
+      return res;
+    };
+
+    // Ledger journals record the key too, so a lost record cannot double-post
+    req.idempotencyKey = `${req.user._id}:${key}`;
+    next();
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking idempotency key'
+    });
+  }
+};
+
+module.exports = {
+  requireIdempotencyKey
+};
@@ -1,5 +1,22 @@
 const User = require('../models/User');
-const CarbonData = require('../models/CarbonData');
+const Institute = require('../models/Institute');
+
+/**
+ * Canonical institute id for a user, resolving and storing it for accounts
+ * created before institutes were referenced by id
+ * @param {Object} user - User document
+ * @returns {Promise<string|null>} - Institute.id
+ */
+const resolveUserInstituteId = async (user) => {
+  if (user.instituteId) return user.instituteId;
+
+  const institute = await Institute.resolve(user.institute);
+  if (!institute) return null;
+
+  await User.updateOne({ _id: user._id }, { $set: { instituteId: institute.id } });
+  user.instituteId = institute.id;
+  return institute.id;
+};
 
 /**
  * Middleware to add institute filtering to requests
@@ -13,9 +30,10 @@ const instituteFilter = async (req, res, next) => {
     }
 
     // Get user's institute information
-    const user = await User.findById(req.user._id).select('institute');
+    const user = await User.findById(req.user._id).select('institute instituteId');
+    const instituteId = user && await resolveUserInstituteId(user);
     
-    if (!user || !user.institute) {
+    if (!instituteId) {
       return res.status(400).json({
         success: false,
         message: 'User institute not found. Please contact administrator.'
@@ -24,7 +42,8 @@ const instituteFilter = async (req, res, next) => {
 
     // Add institute filter to request object for use in controllers
     req.userInstitute = user.institute;
-    req.instituteIdentifier = CarbonData.getInstituteIdentifier(user.institute);
+    req.instituteId = instituteId;
+    req.user.instituteId = instituteId;
     
     next();
   } catch (error) {
@@ -42,7 +61,7 @@ const instituteFilter = async (req, res, next) => {
  */
 const requireSameInstitute = (req, res, next) => {
   // This middleware should be used after instituteFilter
-  if (!req.instituteIdentifier) {
+  if (!req.instituteId) {
     return res.status(400).json({
       success: false,
       message: 'Institute authorization required'
@@ -50,12 +69,10 @@ const requireSameInstitute = (req, res, next) => {
   }
   
   // Check if requesting data for a specific institute (from query params or body)
-  const requestedInstitute = req.query.institute || req.body.institute || req.params.institute;
+  const requestedInstituteId = req.query.instituteId || req.body?.instituteId || req.params.instituteId;
   
-  if (requestedInstitute) {
-    const requestedInstituteId = CarbonData.getInstituteIdentifier(requestedInstitute);
-    
-    if (requestedInstituteId !== req.instituteIdentifier) {
+  if (requestedInstituteId) {
+    if (String(requestedInstituteId) !== req.instituteId) {
       return res.status(403).json({
         success: false,
         message: 'Access denied: You can only access data from your own institute'
@@ -68,41 +85,12 @@ const requireSameInstitute = (req, res, next) => {
 
 /**
  * Helper function to create institute-specific query filter
- * @param {*} userInstitute - The user's institute object/string
+ * @param {string} instituteId - Canonical Institute.id (falsy means unscoped)
  * @returns {Object} - MongoDB query filter for institute
  */
-const createInstituteFilter = (userInstitute) => {
-  if (!userInstitute) return {};
-  
-  const instituteId = CarbonData.getInstituteIdentifier(userInstitute);
-  
-  // Handle different institute formats for backward compatibility
-  if (typeof userInstitute === 'string') {
-    return {
-      $or: [
-        { 'institute': userInstitute },
-        { 'institute': { $regex: new RegExp(`^${userInstitute}$`, 'i') } }
-      ]
-    };
-  } else if (typeof userInstitute === 'object' && userInstitute.name) {
-    return {
-      $or: [
-        { 'institute.name': userInstitute.name },
-        { 'institute.name': { $regex: new RegExp(`^${userInstitute.name}$`, 'i') } },
-        { 'institute': userInstitute.name },
-        { 'institute': { $regex: new RegExp(`^${userInstitute.name}$`, 'i') } }
-      ]
-    };
-  } else if (typeof userInstitute === 'object' && userInstitute.id) {
-    return {
-      $or: [
-        { 'institute.id': userInstitute.id },
-        { 'institute': userInstitute.id }
-      ]
-    };
-  }
-  
-  return { 'institute': userInstitute };
+const createInstituteFilter = (instituteId) => {
+  if (!instituteId) return {};
+  return { instituteId: String(instituteId) };
 };
 
 /**
@@ -126,7 +114,7 @@ const getInstituteDisplayName = (institute) => {
 
 /**
  * Middleware to validate institute access for admin operations
- * Allows admin users to access any institute, regular users only their own
+ * Platform admins can access any institute, everyone else only their own
  */
 const validateInstituteAccess = async (req, res, next) => {
   try {
@@ -139,13 +127,21 @@ const validateInstituteAccess = async (req, res, next) => {
       });
     }
     
-    // Check if user is admin (you can modify this logic based on your admin detection)
-    const isAdmin = user.position === 'Admin' || user.position === 'Administrator' || user.email.includes('admin');
+    // Cross-institute access comes from the role, never from position or email
+    const isAdmin = user.role === 'platform_admin';
     
     if (!isAdmin) {
       // For regular users, apply institute filtering
+      const instituteId = await resolveUserInstituteId(user);
+      if (!instituteId) {
+        return res.status(400).json({
+          success: false,
+          message: 'User institute not found. Please contact administrator.'
+        });
+      }
       req.userInstitute = user.institute;
-      req.instituteIdentifier = CarbonData.getInstituteIdentifier(user.institute);
+      req.instituteId = instituteId;
+      req.user.instituteId = instituteId;
       req.isAdmin = false;
     } else {
       // Admin users can access any institute
@@ -167,5 +163,6 @@ module.exports = {
   requireSameInstitute,
   createInstituteFilter,
   getInstituteDisplayName,
+  resolveUserInstituteId,
   validateInstituteAccess
-};
\ No newline at end of file
+};
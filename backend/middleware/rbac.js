@@ -0,0 +1,83 @@
+// backend/middleware/rbac.js
+const { PERMISSIONS } = require('../config/roles');
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission key from config/roles.js
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles.includes(role);
+};
+
+/**
+ * Middleware to restrict a route to roles holding all of the given permissions
+ * Must be used after authenticateToken
+ */
+const requirePermission = (...permissions) => {
+  // Fail at startup rather than on the first request
+  permissions.forEach(permission => hasPermission(null, permission));
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token is required'
+      });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Insufficient permissions',
+        required: missing
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Whether two canonical institute ids refer to the same institute
+ */
+const isSameInstitute = (a, b) => Boolean(a) && Boolean(b) && String(a) === String(b);
+
+/**
+ * Whether an actor may set target's role to newRole
+ * - Nobody changes their own role (prevents accidental lock-out)
+ * - Platform admins manage everyone
+ * - Institute admins manage their own institute, below platform admin
+ * @returns {string|null} - Reason for refusal, or null when allowed
+ */
+const checkRoleAssignment = (actor, target, newRole) => {
+  if (String(actor._id) === String(target._id)) {
+    return 'You cannot change your own role';
+  }
+
+  if (actor.role === 'platform_admin') return null;
+
+  if (actor.role !== 'institute_admin') {
+    return 'Access denied: Insufficient permissions';
+  }
+  if (!isSameInstitute(actor.instituteId, target.instituteId)) {
+    return 'Access denied: You can only manage users from your own institute';
+  }
+  if (target.role === 'platform_admin' || newRole === 'platform_admin') {
+    return 'Only platform admins can grant or revoke platform admin';
+  }
+  return null;
+};
+
+module.exports = {
+  hasPermission,
+  requirePermission,
+  isSameInstitute,
+  checkRoleAssignment
+};
@@ -1,18 +1,18 @@
 // backend/middleware/validation.js
 const validateRegistration = (req, res, next) => {
-  const { institute, fullName, email, password, confirmPassword } = req.body;
+  const { institute, fullName, email, password, confirmPassword, inviteToken } = req.body;
   
   console.log('Registration validation - received data:', { institute, fullName, email, password: '***', confirmPassword: '***' });
   
   const errors = [];
   
-  // Check required fields with proper type checking
-  if (!institute) {
-    errors.push('Institute is required');
-  } else if (typeof institute === 'object' && (!institute.name || !institute.id)) {
+  // Institute may be omitted: an invitation or the email domain can decide it
+  if (institute && typeof institute === 'object' && (!institute.name || !institute.id)) {
     errors.push('Invalid institute data');
-  } else if (typeof institute === 'string' && institute.trim() === '') {
-    errors.push('Institute is required');
+  }
+  
+  if (inviteToken !== undefined && typeof inviteToken !== 'string') {
+    errors.push('Invalid invitation token');
   }
   
   if (!fullName || typeof fullName !== 'string' || fullName.trim() === '') {
@@ -104,7 +104,54 @@ const validateLogin = (req, res, next) => {
   next();
 };
 
+const validateForgotPassword = (req, res, next) => {
+  const { email } = req.body;
+  
+  const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+  if (!email || typeof email !== 'string' || !emailRegex.test(email.trim())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: ['Please enter a valid email address']
+    });
+  }
+  
+  next();
+};
+
+const validateResetPassword = (req, res, next) => {
+  const { token, password, confirmPassword } = req.body;
+  
+  const errors = [];
+  
+  if (!token || typeof token !== 'string') {
+    errors.push('Reset token is required');
+  }
+  
+  if (!password) {
+    errors.push('Password is required');
+  } else if (password.length < 6) {
+    errors.push('Password must be at least 6 characters long');
+  }
+  
+  if (password && password !== confirmPassword) {
+    errors.push('Passwords do not match');
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+  
+  next();
+};
+
 module.exports = {
   validateRegistration,
-  validateLogin
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword
 };
\ No newline at end of file
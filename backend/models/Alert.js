@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// One occurrence of an AlertRule being breached, from the evaluation that
+// found it until it is resolved:
+//   open ─ acknowledged ─┐
+//     └── snoozed ───────┴─ resolved
+// The engine resolves alerts whose rule is back within its threshold and
+// reopens snoozed ones still breached when the snooze ends. A rule has at most
+// one active (unresolved) alert; once resolved, a new breach raises a new one.
+// The rule's settings are copied so the alert still reads correctly after the
+// rule is edited or deleted.
+
+const STATUSES = ['open', 'acknowledged', 'snoozed', 'resolved'];
+const CHANNELS = ['in_app', 'email', 'webhook'];
+
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true
+  },
+  // Email address or webhook URL
+  target: String,
+  // triggered | reopened | resolved
+  event: String,
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  error: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const alertSchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+  ruleName: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  scope: {
+    buildingName: { type: String, default: null },
+    departmentName: { type: String, default: null }
+  },
+  comparison: String,
+  threshold: Number,
+  windowHours: Number,
+  severity: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  // Unresolved; backs the one-active-alert-per-rule index
+  active: {
+    type: Boolean,
+    default: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Metric value when the alert was raised and at the latest breaching evaluation
+  triggerValue: Number,
+  value: Number,
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastBreachedAt: Date,
+  breaches: {
+    type: Number,
+    default: 1
+  },
+  acknowledgement: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date,
+    note: String
+  },
+  snoozedUntil: Date,
+  resolvedAt: Date,
+  resolution: {
+    // Absent when the engine resolved it
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    auto: Boolean,
+    note: String
+  },
+  deliveries: [deliverySchema],
+  history: [{
+    _id: false,
+    status: String,
+    note: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+alertSchema.plugin(instituteRef);
+
+alertSchema.index({ rule: 1 }, { unique: true, partialFilterExpression: { active: true } });
+alertSchema.index({ instituteId: 1, status: 1, triggeredAt: -1 });
+alertSchema.index({ status: 1, snoozedUntil: 1 });
+
+// Instance method to move through the lifecycle
+alertSchema.methods.transition = function(status, note, by, at = new Date()) {
+  this.status = status;
+  this.active = status !== 'resolved';
+  this.history.push({ status, note, by, at });
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
+module.exports.STATUSES = STATUSES;
+module.exports.CHANNELS = CHANNELS;
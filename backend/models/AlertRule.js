@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// An institute's alert rule: a metric from the hourly rollups, aggregated over
+// the last `windowHours` for the whole institute or one building/department,
+// compared with a threshold. services/alertEngine.js evaluates enabled rules
+// on ingest and on a schedule and raises an Alert while the comparison holds.
+// Metric keys are defined in services/alertRules.js.
+
+const COMPARISONS = ['gt', 'gte', 'lt', 'lte'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const alertRuleSchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  // Both null for the whole institute
+  scope: {
+    buildingName: { type: String, default: null },
+    departmentName: { type: String, default: null }
+  },
+  comparison: {
+    type: String,
+    enum: COMPARISONS,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  windowHours: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    default: 'medium'
+  },
+  channels: {
+    // Dashboard alerts panel of everyone in the institute
+    inApp: { type: Boolean, default: true },
+    email: [{ type: String, lowercase: true, trim: true }],
+    webhook: {
+      url: String,
+      // HMAC key for the X-GreenPulse-Signature header; never returned by the API
+      secret: { type: String, select: false }
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastEvaluation: {
+    at: Date,
+    // null when the window had no data
+    value: Number,
+    breached: Boolean
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+alertRuleSchema.plugin(instituteRef);
+
+alertRuleSchema.index({ instituteId: 1, enabled: 1 });
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
+module.exports.COMPARISONS = COMPARISONS;
+module.exports.SEVERITIES = SEVERITIES;
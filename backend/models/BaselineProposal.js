@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// Next-month EnergyAuction baselines for one institute, drafted by the
+// baseline publisher, reviewed by the oracle committee and then sent to
+// EnergyAuction.setBaseline one line (department) at a time.
+const baselineLineSchema = new mongoose.Schema({
+  departmentName: {
+    type: String,
+    required: true
+  },
+  dept: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // What the engine proposed and what will be sent (reviewers may override)
+  computedKWh: {
+    type: Number,
+    required: true
+  },
+  kWh: {
+    type: Number,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['weather_model', 'trailing_average', 'manual']
+  },
+  model: mongoose.Schema.Types.Mixed,
+  history: [{
+    _id: false,
+    month: Number,
+    kWh: Number
+  }],
+  // Audit record; metaHash = keccak256 of its JSON and is stored on-chain
+  meta: mongoose.Schema.Types.Mixed,
+  metaHash: String,
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'confirmed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  txHash: String,
+  blockNumber: Number,
+  error: String,
+  sentAt: Date,
+  confirmedAt: Date
+});
+
+const baselineProposalSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // "<instituteId>:<yyyymm>" so one proposal exists per institute and month
+  key: {
+    type: String,
+    required: true
+  },
+  // Key from before instituteId existed, so scripts/migrate-institute-ids.js --down can restore it
+  legacyKey: String,
+  month: {
+    type: Number,
+    required: true // yyyymm
+  },
+  status: {
+    type: String,
+    enum: ['pending_review', 'approved', 'rejected', 'submitting', 'submitted', 'partially_failed'],
+    default: 'pending_review'
+  },
+  lines: [baselineLineSchema],
+  generatedBy: {
+    type: String,
+    enum: ['scheduler', 'manual'],
+    default: 'scheduler'
+  },
+  review: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    note: String
+  },
+  submittedBy: String, // publisher account address
+  completedAt: Date,
+  history: [{
+    _id: false,
+    status: String,
+    note: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+baselineProposalSchema.plugin(instituteRef);
+
+baselineProposalSchema.index({ network: 1, key: 1 }, { unique: true });
+baselineProposalSchema.index({ status: 1, month: 1 });
+
+// Instance method to move to a new status and keep an audit trail
+baselineProposalSchema.methods.transition = function(status, note) {
+  this.status = status;
+  this.history.push({ status, note, at: new Date() });
+};
+
+// Instance method to summarize what was sent on-chain
+baselineProposalSchema.methods.buildReport = function() {
+  const counts = this.lines.reduce((acc, line) => {
+    acc[line.status] = (acc[line.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    proposalId: this._id,
+    network: this.network,
+    institute: this.institute,
+    instituteId: this.instituteId,
+    month: this.month,
+    status: this.status,
+    approvedBy: this.review && this.review.by,
+    approvedAt: this.review && this.review.at,
+    submittedBy: this.submittedBy,
+    completedAt: this.completedAt,
+    totals: {
+      departments: this.lines.length,
+      kWh: this.lines.reduce((sum, line) => sum + (line.status === 'skipped' ? 0 : line.kWh), 0),
+      ...counts
+    },
+    transactions: this.lines.map(line => ({
+      departmentName: line.departmentName,
+      dept: line.dept,
+      kWh: line.kWh,
+      computedKWh: line.computedKWh,
+      overridden: line.kWh !== line.computedKWh,
+      metaHash: line.metaHash,
+      status: line.status,
+      txHash: line.txHash,
+      blockNumber: line.blockNumber,
+      error: line.error
+    }))
+  };
+};
+
+module.exports = mongoose.model('BaselineProposal', baselineProposalSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+const buildingSchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  campusId: {
+    type: String,
+    required: true
+  },
+  // building_id from data/building_metadata.csv
+  buildingId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  city: String,
+  location: {
+    latitude: Number,
+    longitude: Number
+  },
+  primaryUse: {
+    type: String,
+    trim: true
+  },
+  squareFeet: Number,
+  yearBuilt: Number,
+  floorCount: Number
+}, {
+  timestamps: true
+});
+
+buildingSchema.plugin(instituteRef);
+
+buildingSchema.index({ campusId: 1, name: 1 });
+buildingSchema.index({ instituteId: 1, primaryUse: 1 });
+
+module.exports = mongoose.model('Building', buildingSchema);
@@ -1,10 +1,14 @@
 const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+const { publishReadings } = require('../services/liveEvents');
+const { applyReadings } = require('../services/rollups');
+const { requestEvaluation } = require('../services/alertEngine');
+const { factorRefSchema } = require('./EmissionFactor');
 
 const carbonBiometricSchema = new mongoose.Schema({
   institute: {
     type: mongoose.Schema.Types.Mixed,
-    required: true,
-    index: true
+    required: true
   },
   timestamp: {
     type: Date,
@@ -41,6 +45,16 @@ const carbonBiometricSchema = new mongoose.Schema({
     type: Number,
     required: true // in kWh
   },
+  // Factors co2Emissions was computed with (grid, renewable); absent when the
+  // device reported its own emissions. derivedFields lists what they computed.
+  emissionFactors: {
+    type: [factorRefSchema],
+    default: undefined
+  },
+  derivedFields: {
+    type: [String],
+    default: undefined
+  },
   // Carbon Budget and Wallet
   carbonBudget: {
     allocated: { type: Number, default: 1000 },
@@ -78,6 +92,11 @@ const carbonBiometricSchema = new mongoose.Schema({
   buildingName: String,
   departmentName: String,
   deviceId: String,
+  // Registered device that pushed the reading (POST /api/ingest/readings)
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  },
   sensorData: {
     temperature: Number,
     humidity: Number,
@@ -97,185 +116,50 @@ const carbonBiometricSchema = new mongoose.Schema({
   timestamps: true
 });
 
+carbonBiometricSchema.plugin(instituteRef);
+
 // Indexes for efficient queries
-carbonBiometricSchema.index({ institute: 1, timestamp: -1 });
+carbonBiometricSchema.index({ instituteId: 1, timestamp: -1 });
 carbonBiometricSchema.index({ buildingName: 1, departmentName: 1 });
 carbonBiometricSchema.index({ timestamp: -1 });
 carbonBiometricSchema.index({ userId: 1 });
+// A device reports each timestamp once; re-sent batches are deduplicated here
+carbonBiometricSchema.index(
+  { device: 1, timestamp: 1 },
+  { unique: true, partialFilterExpression: { device: { $exists: true } } }
+);
 
-// Static method to get latest data by institute
-carbonBiometricSchema.statics.getLatestByInstitute = function(institute) {
-  return this.findOne({ institute }).sort({ timestamp: -1 });
-};
-
-// Static method to get aggregated carbon data for dashboard
-carbonBiometricSchema.statics.getDashboardData = function(institute) {
-  return this.aggregate([
-    { $match: { institute } },
-    { $sort: { timestamp: -1 } },
-    { $limit: 100 }, // Get recent data for calculations
-    {
-      $group: {
-        _id: null,
-        totalCO2Savings: { $sum: '$co2Savings' },
-        avgCarbonBudgetUsed: { $avg: '$carbonBudget.used' },
-        totalCarbonBudgetAllocated: { $avg: '$carbonBudget.allocated' },
-        avgWalletBalance: { $avg: '$carbonWallet.balance' },
-        totalOffsetsPurchased: { $sum: '$carbonOffset' },
-        currentEnergyConsumption: { $first: '$energyConsumption' },
-        avgEnergyEfficiency: { $avg: '$energyEfficiency' },
-        avgCarbonEfficiency: { $avg: '$carbonEfficiency' },
-        totalReductionInitiatives: { $sum: { $size: { $ifNull: ['$carbonWallet.transactions', []] } } },
-        lastUpdated: { $max: '$timestamp' },
-        dataPoints: { $sum: 1 }
-      }
-    },
-    {
-      $project: {
-        co2Savings: { $round: ['$totalCO2Savings', 2] },
-        carbonBudgetUsed: { $round: ['$avgCarbonBudgetUsed', 2] },
-        carbonBudgetTotal: { $round: ['$totalCarbonBudgetAllocated', 2] },
-        walletBalance: { $round: ['$avgWalletBalance', 2] },
-        offsetsPurchased: { $round: ['$totalOffsetsPurchased', 2] },
-        currentEnergyConsumption: 1,
-        avgEnergyEfficiency: { $round: ['$avgEnergyEfficiency', 1] },
-        avgCarbonEfficiency: { $round: ['$avgCarbonEfficiency', 1] },
-        totalReductionInitiatives: 1,
-        lastUpdated: 1,
-        dataPoints: 1,
-        _id: 0
-      }
-    }
-  ]);
-};
+// New readings are pushed to the institute's live dashboards and folded into
+// the rollups (not edits: those are picked up by scripts/backfill-rollups.js),
+// after which the institute's alert rules are evaluated
+carbonBiometricSchema.pre('save', function() {
+  this.$locals.wasNew = this.isNew;
+});
 
-// Static method to get monthly trends
-carbonBiometricSchema.statics.getMonthlyTrends = function(institute, months = 6) {
-  const startDate = new Date();
-  startDate.setMonth(startDate.getMonth() - months);
+carbonBiometricSchema.post('save', function(doc) {
+  if (doc.$locals.wasNew) return doc.constructor.afterInsert([doc]);
+});
 
-  return this.aggregate([
-    {
-      $match: {
-        institute,
-        timestamp: { $gte: startDate }
-      }
-    },
-    {
-      $group: {
-        _id: {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' }
-        },
-        avgEnergyConsumption: { $avg: '$energyConsumption' },
-        avgEfficiency: { $avg: '$energyEfficiency' },
-        totalCO2Savings: { $sum: '$co2Savings' },
-        avgCarbonBudgetUsed: { $avg: '$carbonBudget.used' },
-        count: { $sum: 1 }
-      }
-    },
-    {
-      $project: {
-        month: {
-          $switch: {
-            branches: [
-              { case: { $eq: ['$_id.month', 1] }, then: 'Jan' },
-              { case: { $eq: ['$_id.month', 2] }, then: 'Feb' },
-              { case: { $eq: ['$_id.month', 3] }, then: 'Mar' },
-              { case: { $eq: ['$_id.month', 4] }, then: 'Apr' },
-              { case: { $eq: ['$_id.month', 5] }, then: 'May' },
-              { case: { $eq: ['$_id.month', 6] }, then: 'Jun' },
-              { case: { $eq: ['$_id.month', 7] }, then: 'Jul' },
-              { case: { $eq: ['$_id.month', 8] }, then: 'Aug' },
-              { case: { $eq: ['$_id.month', 9] }, then: 'Sep' },
-              { case: { $eq: ['$_id.month', 10] }, then: 'Oct' },
-              { case: { $eq: ['$_id.month', 11] }, then: 'Nov' },
-              { case: { $eq: ['$_id.month', 12] }, then: 'Dec' }
-            ]
-          }
-        },
-        consumption: { $round: ['$avgEnergyConsumption', 0] },
-        efficiency: { $round: ['$avgEfficiency', 1] },
-        co2Savings: { $round: ['$totalCO2Savings', 2] },
-        carbonBudgetUsed: { $round: ['$avgCarbonBudgetUsed', 2] },
-        year: '$_id.year',
-        monthNum: '$_id.month',
-        _id: 0
-      }
-    },
-    { $sort: { year: 1, monthNum: 1 } }
-  ]);
-};
+carbonBiometricSchema.post('insertMany', function(docs) {
+  return this.afterInsert(docs);
+});
 
-// Static method to get department-wise carbon data
-carbonBiometricSchema.statics.getDepartmentData = function(institute) {
-  return this.aggregate([
-    { $match: { institute, departmentName: { $exists: true, $ne: null } } },
-    {
-      $group: {
-        _id: '$departmentName',
-        totalConsumption: { $sum: '$energyConsumption' },
-        avgEfficiency: { $avg: '$energyEfficiency' },
-        totalCarbonFootprint: { $sum: '$carbonFootprint' },
-        totalCO2Savings: { $sum: '$co2Savings' },
-        count: { $sum: 1 },
-        lastUpdated: { $max: '$timestamp' }
-      }
-    },
-    {
-      $project: {
-        departmentName: '$_id',
-        consumption: { $round: ['$totalConsumption', 0] },
-        efficiency: { $round: ['$avgEfficiency', 1] },
-        carbonFootprint: { $round: ['$totalCarbonFootprint', 2] },
-        co2Savings: { $round: ['$totalCO2Savings', 2] },
-        color: {
-          $switch: {
-            branches: [
-              { case: { $eq: ['$_id', 'Computer Science'] }, then: '#4FD1C7' },
-              { case: { $eq: ['$_id', 'Engineering'] }, then: '#63B3ED' },
-              { case: { $eq: ['$_id', 'Medical'] }, then: '#F687B3' },
-              { case: { $eq: ['$_id', 'Business'] }, then: '#FEB2B2' },
-              { case: { $eq: ['$_id', 'Arts'] }, then: '#9AE6B4' },
-              { case: { $eq: ['$_id', 'Science'] }, then: '#A78BFA' }
-            ],
-            default: '#A0AEC0'
-          }
-        },
-        lastUpdated: '$lastUpdated',
-        _id: 0
-      }
-    },
-    { $sort: { consumption: -1 } }
-  ]);
+/**
+ * Live updates, rollups and alert evaluation for newly stored readings. Runs
+ * from the hooks above; call it directly for documents insertMany stored
+ * before failing (the hook does not run then). Never rejects.
+ */
+carbonBiometricSchema.statics.afterInsert = function(docs) {
+  return Promise.all([publishReadings(docs), applyReadings(docs)])
+    .then(() => requestEvaluation(docs))
+    .catch((error) => {
+      console.error('After insert error:', error.message);
+    });
 };
 
-// Static method to get building-wise carbon data
-carbonBiometricSchema.statics.getBuildingData = function(institute) {
-  return this.aggregate([
-    { $match: { institute, buildingName: { $exists: true, $ne: null } } },
-    {
-      $group: {
-        _id: '$buildingName',
-        totalConsumption: { $sum: '$energyConsumption' },
-        avgEfficiency: { $avg: '$energyEfficiency' },
-        totalCarbonFootprint: { $sum: '$carbonFootprint' },
-        count: { $sum: 1 },
-        lastUpdated: { $max: '$timestamp' }
-      }
-    },
-    {
-      $project: {
-        buildingName: '$_id',
-        consumption: { $round: ['$totalConsumption', 0] },
-        efficiency: { $round: ['$avgEfficiency', 1] },
-        carbonFootprint: { $round: ['$totalCarbonFootprint', 2] },
-        lastUpdated: '$lastUpdated',
-        _id: 0
-      }
-    },
-    { $sort: { consumption: -1 } }
-  ]);
+// Static method to get latest data by institute
+carbonBiometricSchema.statics.getLatestByInstitute = function(instituteId) {
+  return this.findOne({ instituteId }).sort({ timestamp: -1 });
 };
 
 module.exports = mongoose.model('CarbonBiometric', carbonBiometricSchema);
\ No newline at end of file
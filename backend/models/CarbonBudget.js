@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// An institute's carbon budget for one period, split across departments.
+// Amounts are tonnes CO2e. Energy consumption recorded in the period is
+// debited from the consuming department's line (services/budgets.js).
+
+const PERIOD_TYPES = ['monthly', 'quarterly', 'annual'];
+const METHODS = ['fixed', 'headcount', 'floorArea'];
+
+const allocationSchema = new mongoose.Schema({
+  departmentName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Input the split was computed from: percent share, people or m²
+  basis: {
+    type: Number,
+    default: 0,
+    min: [0, 'Allocation basis cannot be negative']
+  },
+  allocated: { type: Number, default: 0 },
+  // Unused budget brought over from the previous period (rollover policy)
+  carriedOver: { type: Number, default: 0 },
+  used: { type: Number, default: 0 },
+  // allocated + carriedOver - used; negative once overspent under 'warn'
+  remaining: { type: Number, default: 0 }
+}, { _id: false });
+
+const carbonBudgetSchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  periodType: {
+    type: String,
+    enum: PERIOD_TYPES,
+    required: true
+  },
+  // [start, end) in UTC
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  // e.g. "2026-10", "2026-Q4", "2026"
+  label: {
+    type: String,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: [true, 'Budget total is required'],
+    min: [0, 'Budget total cannot be negative']
+  },
+  method: {
+    type: String,
+    enum: METHODS,
+    required: true
+  },
+  policy: {
+    type: String,
+    enum: ['rollover', 'expire'],
+    default: 'expire'
+  },
+  enforcement: {
+    type: String,
+    enum: ['warn', 'block'],
+    default: 'warn'
+  },
+  warnAt: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.8
+  },
+  allocations: [allocationSchema],
+  // Closed once the next period is allocated; its leftovers are settled then
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  previous: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CarbonBudget',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+carbonBudgetSchema.plugin(instituteRef);
+
+carbonBudgetSchema.index({ instituteId: 1, start: 1 }, { unique: true });
+carbonBudgetSchema.index({ instituteId: 1, end: 1 });
+
+/**
+ * ok, warning (warnAt reached) or exhausted
+ * @param {Object} line - Allocation line
+ * @param {number} warnAt - Fraction of the line's budget
+ */
+const lineStatus = (line, warnAt) => {
+  const available = line.allocated + line.carriedOver;
+  if (line.used >= available) return 'exhausted';
+  if (line.used >= available * warnAt) return 'warning';
+  return 'ok';
+};
+
+// Allocation lines as served to clients, with their status
+carbonBudgetSchema.methods.toSummary = function() {
+  const allocations = this.allocations.map(line => ({
+    departmentName: line.departmentName,
+    basis: line.basis,
+    allocated: line.allocated,
+    carriedOver: line.carriedOver,
+    used: line.used,
+    remaining: line.remaining,
+    status: lineStatus(line, this.warnAt)
+  }));
+  const sum = (field) => allocations.reduce((total, line) => total + line[field], 0);
+
+  return {
+    id: this._id,
+    instituteId: this.instituteId,
+    periodType: this.periodType,
+    label: this.label,
+    start: this.start,
+    end: this.end,
+    total: this.total,
+    method: this.method,
+    policy: this.policy,
+    enforcement: this.enforcement,
+    warnAt: this.warnAt,
+    status: this.status,
+    allocated: sum('allocated'),
+    carriedOver: sum('carriedOver'),
+    used: sum('used'),
+    remaining: sum('remaining'),
+    allocations
+  };
+};
+
+module.exports = mongoose.model('CarbonBudget', carbonBudgetSchema);
+module.exports.PERIOD_TYPES = PERIOD_TYPES;
+module.exports.METHODS = METHODS;
+module.exports.lineStatus = lineStatus;
@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+const { factorRefSchema } = require('./EmissionFactor');
 
 const carbonDataSchema = new mongoose.Schema({
   institute: {
     type: mongoose.Schema.Types.Mixed, // Can be string or object (for backward compatibility)
-    required: true,
-    index: true // Index for efficient institute-based queries
+    required: true
   },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -61,7 +62,8 @@ const carbonDataSchema = new mongoose.Schema({
     color: String, // For chart visualization
     lastUpdated: { type: Date, default: Date.now }
   }],
-  // Transaction history
+  // Transaction history for display; wallet movements are booked in the
+  // ledger (models/Ledger.js) and walletBalance is its projection
   transactions: [{
     type: {
       type: String,
@@ -70,10 +72,26 @@ const carbonDataSchema = new mongoose.Schema({
     },
     amount: Number,
     description: String,
-    co2Impact: Number,
+    co2Impact: Number, // tonnes CO2e
+    // Factor co2Impact was computed with
+    emissionFactor: {
+      type: factorRefSchema,
+      default: undefined
+    },
     building: String,
+    // Department whose carbon budget was debited
+    department: String,
     consumption: Number,
     blockchainTxHash: String,
+    ledgerJournal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerJournal'
+    },
+    // Offsets retired by an offset_purchase
+    offsetRetirement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OffsetRetirement'
+    },
     date: { type: Date, default: Date.now }
   }],
   // Analytics data
@@ -95,29 +113,14 @@ const carbonDataSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Index for efficient queries by institute and user
-carbonDataSchema.index({ institute: 1, userId: 1 });
+carbonDataSchema.plugin(instituteRef);
 
-// Static method to get institute identifier for consistent querying
-carbonDataSchema.statics.getInstituteIdentifier = function(institute) {
-  if (!institute) return null;
-  
-  if (typeof institute === 'string') {
-    return institute.toLowerCase();
-  } else if (typeof institute === 'object' && institute.name) {
-    return institute.name.toLowerCase();
-  } else if (typeof institute === 'object' && institute.id) {
-    return institute.id;
-  }
-  
-  return String(institute).toLowerCase();
-};
+// Index for efficient queries by institute and user
+carbonDataSchema.index({ instituteId: 1, userId: 1 });
 
 // Instance method to check if data belongs to specific institute
-carbonDataSchema.methods.belongsToInstitute = function(targetInstitute) {
-  const thisInstitute = this.constructor.getInstituteIdentifier(this.institute);
-  const checkInstitute = this.constructor.getInstituteIdentifier(targetInstitute);
-  return thisInstitute === checkInstitute;
+carbonDataSchema.methods.belongsToInstitute = function(instituteId) {
+  return Boolean(instituteId) && this.instituteId === instituteId;
 };
 
 module.exports = mongoose.model('CarbonData', carbonDataSchema);
\ No newline at end of file
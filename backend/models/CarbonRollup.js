@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+
+// Pre-aggregated CarbonBiometric readings per institute, building and
+// department, one collection per granularity. Only additive values are kept
+// (totals, sum/sample pairs for means, min/max), so services/rollups.js can
+// fold new readings in with a single atomic update and any range can be
+// re-aggregated without going back to raw readings.
+
+// Rollup field => reading field that is summed
+const TOTAL_FIELDS = {
+  energyConsumption: 'energyConsumption',
+  renewableEnergyUsage: 'renewableEnergyUsage',
+  gridEnergyUsage: 'gridEnergyUsage',
+  co2Emissions: 'co2Emissions',
+  carbonFootprint: 'carbonFootprint',
+  co2Savings: 'co2Savings',
+  carbonOffset: 'carbonOffset'
+};
+
+// Rollup field => reading field that is averaged (readings without it are not counted)
+const MEAN_FIELDS = {
+  energyEfficiency: 'energyEfficiency',
+  carbonEfficiency: 'carbonEfficiency',
+  carbonBudgetUsed: 'carbonBudget.used',
+  carbonBudgetAllocated: 'carbonBudget.allocated',
+  walletBalance: 'carbonWallet.balance'
+};
+
+const GRANULARITIES = ['hour', 'day', 'month'];
+
+const meanSchema = new mongoose.Schema({
+  sum: { type: Number, default: 0 },
+  n: { type: Number, default: 0 }
+}, { _id: false });
+
+const rollupSchema = new mongoose.Schema({
+  instituteId: {
+    type: String,
+    required: true
+  },
+  // Start of the hour, day or month (UTC)
+  bucket: {
+    type: Date,
+    required: true
+  },
+  buildingName: {
+    type: String,
+    default: null
+  },
+  departmentName: {
+    type: String,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  totals: Object.fromEntries(Object.keys(TOTAL_FIELDS).map(field => [field, { type: Number, default: 0 }])),
+  walletTransactions: {
+    type: Number,
+    default: 0
+  },
+  means: Object.fromEntries(Object.keys(MEAN_FIELDS).map(field => [field, meanSchema])),
+  energyMin: Number,
+  energyMax: Number,
+  firstAt: Date,
+  // Most recent reading in the bucket; compared as a whole, so the later `at` wins
+  last: {
+    at: Date,
+    energyConsumption: Number
+  }
+}, {
+  versionKey: false
+});
+
+rollupSchema.index({ instituteId: 1, bucket: 1, buildingName: 1, departmentName: 1 }, { unique: true });
+rollupSchema.index({ instituteId: 1, departmentName: 1, bucket: 1 });
+
+const DEPARTMENT_COLORS = {
+  'Computer Science': '#4FD1C7',
+  Engineering: '#63B3ED',
+  Medical: '#F687B3',
+  Business: '#FEB2B2',
+  Arts: '#9AE6B4',
+  Science: '#A78BFA'
+};
+
+// Summed means across rollups, weighted by their sample counts
+const meanAccumulators = () => Object.fromEntries(Object.keys(MEAN_FIELDS).flatMap(field => [
+  [`${field}Sum`, { $sum: `$means.${field}.sum` }],
+  [`${field}N`, { $sum: `$means.${field}.n` }]
+]));
+const groupedMean = (field) => ({
+  $cond: [{ $gt: [`$${field}N`, 0] }, { $divide: [`$${field}Sum`, `$${field}N`] }, null]
+});
+
+// Static method to get the dashboard summary over the most recent `days` days
+// that have data (anchored on the newest rollup, so an idle institute still
+// shows its last readings)
+rollupSchema.statics.getDashboardData = async function(instituteId, days = 30) {
+  const latest = await this.findOne({ instituteId }).sort({ bucket: -1 }).select('bucket').lean();
+  if (!latest) return [];
+
+  const from = new Date(latest.bucket.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+
+  return this.aggregate([
+    { $match: { instituteId, bucket: { $gte: from } } },
+    {
+      $group: {
+        _id: null,
+        totalCO2Savings: { $sum: '$totals.co2Savings' },
+        totalOffsetsPurchased: { $sum: '$totals.carbonOffset' },
+        totalReductionInitiatives: { $sum: '$walletTransactions' },
+        ...meanAccumulators(),
+        last: { $max: '$last' },
+        dataPoints: { $sum: '$count' }
+      }
+    },
+    {
+      $project: {
+        co2Savings: { $round: ['$totalCO2Savings', 2] },
+        carbonBudgetUsed: { $round: [groupedMean('carbonBudgetUsed'), 2] },
+        carbonBudgetTotal: { $round: [groupedMean('carbonBudgetAllocated'), 2] },
+        walletBalance: { $round: [groupedMean('walletBalance'), 2] },
+        offsetsPurchased: { $round: ['$totalOffsetsPurchased', 2] },
+        currentEnergyConsumption: '$last.energyConsumption',
+        avgEnergyEfficiency: { $round: [groupedMean('energyEfficiency'), 1] },
+        avgCarbonEfficiency: { $round: [groupedMean('carbonEfficiency'), 1] },
+        totalReductionInitiatives: 1,
+        lastUpdated: '$last.at',
+        dataPoints: 1,
+        window: { $literal: { from, to: latest.bucket, days } },
+        _id: 0
+      }
+    }
+  ]);
+};
+
+// Static method to get monthly trends (monthly rollups)
+rollupSchema.statics.getMonthlyTrends = function(instituteId, months = 6) {
+  const now = new Date();
+  const startDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - months, 1));
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  return this.aggregate([
+    { $match: { instituteId, bucket: { $gte: startDate } } },
+    {
+      $group: {
+        _id: '$bucket',
+        totalConsumption: { $sum: '$totals.energyConsumption' },
+        totalCO2Savings: { $sum: '$totals.co2Savings' },
+        count: { $sum: '$count' },
+        ...meanAccumulators()
+      }
+    },
+    {
+      $project: {
+        month: { $arrayElemAt: [MONTHS, { $subtract: [{ $month: '$_id' }, 1] }] },
+        // kWh used in the month; a per-reading average would shrink as meters report more often
+        consumption: { $round: ['$totalConsumption', 0] },
+        avgReading: { $round: [{ $cond: [{ $gt: ['$count', 0] }, { $divide: ['$totalConsumption', '$count'] }, 0] }, 2] },
+        efficiency: { $round: [groupedMean('energyEfficiency'), 1] },
+        co2Savings: { $round: ['$totalCO2Savings', 2] },
+        carbonBudgetUsed: { $round: [groupedMean('carbonBudgetUsed'), 2] },
+        year: { $year: '$_id' },
+        monthNum: { $month: '$_id' },
+        readings: '$count',
+        _id: 0
+      }
+    },
+    { $sort: { year: 1, monthNum: 1 } }
+  ]);
+};
+
+// Static method to get per-department or per-building totals
+rollupSchema.statics.getGroupData = function(instituteId, groupField) {
+  const nameField = groupField === 'buildingName' ? 'buildingName' : 'departmentName';
+
+  return this.aggregate([
+    { $match: { instituteId, [nameField]: { $ne: null } } },
+    {
+      $group: {
+        _id: `$${nameField}`,
+        totalConsumption: { $sum: '$totals.energyConsumption' },
+        totalCarbonFootprint: { $sum: '$totals.carbonFootprint' },
+        totalCO2Savings: { $sum: '$totals.co2Savings' },
+        energyEfficiencySum: { $sum: '$means.energyEfficiency.sum' },
+        energyEfficiencyN: { $sum: '$means.energyEfficiency.n' },
+        count: { $sum: '$count' },
+        last: { $max: '$last' }
+      }
+    },
+    {
+      $project: {
+        [nameField]: '$_id',
+        consumption: { $round: ['$totalConsumption', 0] },
+        efficiency: { $round: [groupedMean('energyEfficiency'), 1] },
+        carbonFootprint: { $round: ['$totalCarbonFootprint', 2] },
+        ...(nameField === 'departmentName' ? {
+          co2Savings: { $round: ['$totalCO2Savings', 2] },
+          color: {
+            $switch: {
+              branches: Object.entries(DEPARTMENT_COLORS).map(([name, color]) => ({ case: { $eq: ['$_id', name] }, then: color })),
+              default: '#A0AEC0'
+            }
+          }
+        } : {}),
+        lastUpdated: '$last.at',
+        _id: 0
+      }
+    },
+    { $sort: { consumption: -1 } }
+  ]);
+};
+
+// Static method to get per-department consumption by weekday since startDate (daily rollups)
+rollupSchema.statics.getWeeklyEnergy = function(instituteId, startDate, limit = 5) {
+  const dayStart = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()));
+
+  return this.aggregate([
+    { $match: { ...(instituteId ? { instituteId } : {}), bucket: { $gte: dayStart } } },
+    {
+      $group: {
+        _id: { dayOfWeek: { $dayOfWeek: '$bucket' }, department: '$departmentName' },
+        consumption: { $sum: '$totals.energyConsumption' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.department',
+        days: { $push: { dayOfWeek: '$_id.dayOfWeek', consumption: '$consumption' } },
+        totalWeeklyConsumption: { $sum: '$consumption' }
+      }
+    },
+    {
+      $project: {
+        departmentName: '$_id',
+        // Sunday=1 ... Saturday=7, zero for days without readings
+        data: {
+          $map: {
+            input: [1, 2, 3, 4, 5, 6, 7],
+            as: 'day',
+            in: {
+              $ifNull: [{
+                $arrayElemAt: [{
+                  $map: {
+                    input: { $filter: { input: '$days', cond: { $eq: ['$$this.dayOfWeek', '$$day'] } } },
+                    in: '$$this.consumption'
+                  }
+                }, 0]
+              }, 0]
+            }
+          }
+        },
+        totalWeeklyConsumption: 1,
+        _id: 0
+      }
+    },
+    { $sort: { totalWeeklyConsumption: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+const HourlyRollup = mongoose.model('HourlyRollup', rollupSchema, 'carbon_rollups_hourly');
+const DailyRollup = mongoose.model('DailyRollup', rollupSchema, 'carbon_rollups_daily');
+const MonthlyRollup = mongoose.model('MonthlyRollup', rollupSchema, 'carbon_rollups_monthly');
+
+module.exports = {
+  HourlyRollup,
+  DailyRollup,
+  MonthlyRollup,
+  ROLLUP_MODELS: { hour: HourlyRollup, day: DailyRollup, month: MonthlyRollup },
+  GRANULARITIES,
+  TOTAL_FIELDS,
+  MEAN_FIELDS
+};
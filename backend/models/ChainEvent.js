@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const chainEventSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  contract: {
+    type: String,
+    required: true // contract name from the deployment file, e.g. 'EnergyOracle'
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Decoded event arguments; uint256 values are stored as decimal strings
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Every address argument (lowercased) so events can be looked up per wallet
+  addresses: [{
+    type: String,
+    lowercase: true
+  }],
+  // Month id (yyyymm) for Oracle/Auction events
+  month: Number,
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String,
+    required: true
+  },
+  blockTimestamp: Date,
+  transactionHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A log is uniquely identified by its transaction and position in the block
+chainEventSchema.index({ network: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+chainEventSchema.index({ network: 1, blockNumber: -1 });
+chainEventSchema.index({ contract: 1, event: 1, blockNumber: -1 });
+chainEventSchema.index({ addresses: 1, blockNumber: -1 });
+chainEventSchema.index({ month: 1, event: 1 });
+
+// Static method to get monthly usage/savings totals for a department wallet
+chainEventSchema.statics.getUsageByDepartment = function(network, address, month = null) {
+  const match = {
+    network,
+    contract: 'EnergyOracle',
+    event: 'UsageRecorded',
+    'args.dept': address.toLowerCase()
+  };
+  if (month) match.month = month;
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$month',
+        totalKWh: { $sum: { $toDecimal: '$args.kWh' } },
+        totalBurnedEnTo: { $sum: { $toDecimal: '$args.burnedEnTo' } },
+        readings: { $sum: 1 },
+        lastRecorded: { $max: '$blockTimestamp' }
+      }
+    },
+    {
+      $project: {
+        month: '$_id',
+        totalKWh: { $toString: '$totalKWh' },
+        totalBurnedEnTo: { $toString: '$totalBurnedEnTo' },
+        readings: 1,
+        lastRecorded: 1,
+        _id: 0
+      }
+    },
+    { $sort: { month: -1 } }
+  ]);
+};
+
+module.exports = mongoose.model('ChainEvent', chainEventSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// One chain reconciliation run for an institute: for every department with a
+// linked wallet address, the ENTO its members hold off-chain (wallet ledger)
+// against what the address holds on-chain at a pinned block. Amounts are ENTO.
+
+const STATUSES = ['matched', 'discrepancies', 'failed'];
+const LINE_STATUSES = ['matched', 'mismatch', 'error'];
+
+const departmentLineSchema = new mongoose.Schema({
+  departmentName: {
+    type: String,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  offChain: {
+    // Sum of the members' wallet ledger balances
+    balance: { type: Number, default: 0 },
+    wallets: { type: Number, default: 0 },
+    // Wallets not yet on the ledger, counted with their stored balance
+    unopened: { type: Number, default: 0 }
+  },
+  onChain: {
+    balance: { type: Number, default: 0 },
+    // Locked in GovStaking
+    staked: { type: Number, default: 0 },
+    // Posted as EnergyLoan collateral
+    collateral: { type: Number, default: 0 },
+    // Held by FiatGateway for pending sell requests
+    escrowed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  // onChain.total - offChain.balance
+  difference: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: LINE_STATUSES,
+    required: true
+  },
+  error: String
+}, { _id: false });
+
+const chainReconciliationSchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  network: {
+    type: String,
+    required: true
+  },
+  // Every on-chain read of the run is made at this block
+  blockNumber: Number,
+  blockTimestamp: Date,
+  tolerance: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  departments: [departmentLineSchema],
+  mismatches: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  acknowledgement: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+chainReconciliationSchema.plugin(instituteRef);
+
+chainReconciliationSchema.index({ instituteId: 1, startedAt: -1 });
+chainReconciliationSchema.index({ status: 1, startedAt: -1 });
+
+module.exports = mongoose.model('ChainReconciliation', chainReconciliationSchema);
+module.exports.STATUSES = STATUSES;
+module.exports.LINE_STATUSES = LINE_STATUSES;
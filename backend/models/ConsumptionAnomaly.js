@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// A consumption anomaly found by services/anomalyDetector.js for one
+// building/department. Spikes cover the hours they lasted; baseload creep and
+// flat-lined meters stay open while the condition persists and are resolved
+// by the detector once it clears. Energy is kWh per hour.
+
+const KINDS = ['spike', 'baseload_creep', 'flatline'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const consumptionAnomalySchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: KINDS,
+    required: true
+  },
+  buildingName: {
+    type: String,
+    default: null
+  },
+  departmentName: {
+    type: String,
+    default: null
+  },
+  // kind, group and first anomalous hour; the detector updates rather than duplicates
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  // Hours the anomaly covers, [from, to)
+  window: {
+    from: { type: Date, required: true },
+    to: { type: Date, required: true }
+  },
+  // Peak hour (spike), mean night hour (baseload) or the repeated reading (flatline)
+  observed: Number,
+  // What the weekday/hour profile expected for the same hours
+  expected: Number,
+  // (observed - expected) / expected in percent; null without an expectation
+  deviationPercent: Number,
+  // Robust z-score of the peak hour (spikes only)
+  score: Number,
+  explanation: {
+    type: String,
+    required: true
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: Date,
+  acknowledgement: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+consumptionAnomalySchema.plugin(instituteRef);
+
+consumptionAnomalySchema.index({ instituteId: 1, fingerprint: 1 }, { unique: true });
+consumptionAnomalySchema.index({ instituteId: 1, status: 1, 'window.from': -1 });
+consumptionAnomalySchema.index({ instituteId: 1, kind: 1, buildingName: 1, departmentName: 1, status: 1 });
+
+module.exports = mongoose.model('ConsumptionAnomaly', consumptionAnomalySchema);
+module.exports.KINDS = KINDS;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+const departmentWalletSchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  departmentName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Department wallet on-chain (the `dept` argument of EnergyOracle/EnergyAuction)
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^0x[a-f0-9]{40}$/, 'Please enter a valid wallet address']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+departmentWalletSchema.plugin(instituteRef);
+
+departmentWalletSchema.index({ instituteId: 1, departmentName: 1 });
+departmentWalletSchema.index({ address: 1 });
+
+module.exports = mongoose.model('DepartmentWallet', departmentWalletSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// Registered sensor or meter allowed to push readings to /api/ingest.
+// The API key is shown once when issued; only its hash is stored, and
+// apiKeyPrefix lets admins tell keys apart.
+const deviceSchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Identifier the hardware reports as, copied to CarbonBiometric.deviceId
+  deviceId: {
+    type: String,
+    required: [true, 'Device id is required'],
+    unique: true,
+    trim: true,
+    match: [/^[A-Za-z0-9._:-]{3,64}$/, 'Device id may only contain letters, digits and . _ : - (3-64 characters)']
+  },
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['energy_meter', 'environment_sensor', 'gateway'],
+    default: 'energy_meter'
+  },
+  // Defaults for readings that do not name their building or department
+  buildingName: {
+    type: String,
+    trim: true
+  },
+  departmentName: {
+    type: String,
+    trim: true
+  },
+  apiKeyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  apiKeyPrefix: {
+    type: String,
+    required: true
+  },
+  keyIssuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  lastSeenAt: Date,
+  lastIngestAt: Date,
+  readingsAccepted: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+deviceSchema.plugin(instituteRef);
+
+deviceSchema.index({ instituteId: 1, status: 1 });
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Emission factor registry: kg CO2e per unit of activity for a grid region and
+// energy source over an effective date range. Factors are never edited in
+// place; a revision is stored as the next version of the same
+// (region, energySource) and the revised document is marked superseded, so
+// every record that cites a factor version can still be explained.
+
+// Energy sources with a factor; 'offset' is per ENTO of offsets purchased,
+// 'renewable' covers on-site renewable kWh that is not split by technology
+const ENERGY_SOURCES = ['grid', 'solar', 'wind', 'hybrid', 'renewable', 'offset'];
+
+// Any region without a factor of its own falls back to this one
+const ANY_REGION = '*';
+
+const unitFor = (energySource) => (energySource === 'offset' ? 'kgCO2e/ENTO' : 'kgCO2e/kWh');
+
+const emissionFactorSchema = new mongoose.Schema({
+  // Grid region code, e.g. "IN" (CEA national grid) or "*" for everywhere
+  region: {
+    type: String,
+    required: [true, 'Region is required'],
+    trim: true,
+    uppercase: true
+  },
+  energySource: {
+    type: String,
+    enum: ENERGY_SOURCES,
+    required: [true, 'Energy source is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Factor value is required'],
+    min: [0, 'Factor value cannot be negative']
+  },
+  unit: {
+    type: String,
+    default: function() {
+      return unitFor(this.energySource);
+    }
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'effectiveFrom is required']
+  },
+  // Exclusive; open-ended while null
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  // Per (region, energySource), starting at 1
+  version: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'superseded', 'retired'],
+    default: 'active'
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmissionFactor',
+    default: null
+  },
+  // Publication the value comes from, e.g. "CEA CO2 Baseline Database v19"
+  source: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emissionFactorSchema.index({ region: 1, energySource: 1, version: 1 }, { unique: true });
+emissionFactorSchema.index({ status: 1, region: 1, energySource: 1, effectiveFrom: 1 });
+
+emissionFactorSchema.path('effectiveTo').validate(function(value) {
+  return !value || !this.effectiveFrom || value > this.effectiveFrom;
+}, 'effectiveTo must be after effectiveFrom');
+
+// Factor version cited by the records it was used for
+const factorRefSchema = new mongoose.Schema({
+  // null when the built-in default (version 0) was used
+  factor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmissionFactor',
+    default: null
+  },
+  region: String,
+  energySource: String,
+  version: Number,
+  value: Number
+}, { _id: false });
+
+module.exports = mongoose.model('EmissionFactor', emissionFactorSchema);
+module.exports.ENERGY_SOURCES = ENERGY_SOURCES;
+module.exports.ANY_REGION = ANY_REGION;
+module.exports.factorRefSchema = factorRefSchema;
+module.exports.unitFor = unitFor;
@@ -1,10 +1,10 @@
 const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
 
 const energyConsumptionSchema = new mongoose.Schema({
   institute: {
     type: mongoose.Schema.Types.Mixed,
-    required: true,
-    index: true
+    required: true
   },
   timestamp: {
     type: Date,
@@ -56,13 +56,15 @@ const energyConsumptionSchema = new mongoose.Schema({
 });
 
 // Index for efficient queries
-energyConsumptionSchema.index({ institute: 1, timestamp: -1 });
+energyConsumptionSchema.plugin(instituteRef);
+
+energyConsumptionSchema.index({ instituteId: 1, timestamp: -1 });
 energyConsumptionSchema.index({ buildingName: 1, departmentName: 1 });
 energyConsumptionSchema.index({ timestamp: -1 });
 
 // Static method to get consumption by institute
-energyConsumptionSchema.statics.getByInstitute = function(institute, startDate = null, endDate = null) {
-  const query = { institute };
+energyConsumptionSchema.statics.getByInstitute = function(instituteId, startDate = null, endDate = null) {
+  const query = { instituteId };
   
   if (startDate || endDate) {
     query.timestamp = {};
@@ -74,9 +76,9 @@ energyConsumptionSchema.statics.getByInstitute = function(institute, startDate =
 };
 
 // Static method to get aggregated data by department for an institute
-energyConsumptionSchema.statics.getDepartmentAggregation = function(institute) {
+energyConsumptionSchema.statics.getDepartmentAggregation = function(instituteId) {
   return this.aggregate([
-    { $match: { institute } },
+    { $match: { instituteId } },
     {
       $group: {
         _id: '$departmentName',
@@ -114,9 +116,9 @@ energyConsumptionSchema.statics.getDepartmentAggregation = function(institute) {
 };
 
 // Static method to get building aggregation
-energyConsumptionSchema.statics.getBuildingAggregation = function(institute) {
+energyConsumptionSchema.statics.getBuildingAggregation = function(instituteId) {
   return this.aggregate([
-    { $match: { institute } },
+    { $match: { instituteId } },
     {
       $group: {
         _id: '$buildingName',
@@ -142,14 +144,14 @@ energyConsumptionSchema.statics.getBuildingAggregation = function(institute) {
 };
 
 // Static method to get monthly data for charts
-energyConsumptionSchema.statics.getMonthlyData = function(institute, months = 6) {
+energyConsumptionSchema.statics.getMonthlyData = function(instituteId, months = 6) {
   const startDate = new Date();
   startDate.setMonth(startDate.getMonth() - months);
   
   return this.aggregate([
     {
       $match: {
-        institute,
+        instituteId,
         timestamp: { $gte: startDate }
       }
     },
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Off-chain tracking of a FiatGateway buy/sell request (one per on-chain reqId)
+const fiatRequestSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  reqId: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['buy', 'sell'],
+    required: true
+  },
+  user: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Buy: INR in, EnTo out. Sell: EnTo in, INR-equivalent out. uint256 values as decimal strings
+  inAmount: {
+    type: String,
+    required: true
+  },
+  outAmount: {
+    type: String,
+    required: true
+  },
+  rate: String,
+  spreadBps: String,
+  status: {
+    type: String,
+    enum: ['pending', 'awaiting_fiat', 'settling', 'settled', 'refunding', 'refunded', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  provider: String,
+  providerReference: String,
+  providerStatus: String,
+  initiatedTx: String,
+  initiatedBlock: Number,
+  initiatedAt: Date,
+  expiresAt: Date,
+  settlementTx: String,
+  settledAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  override: {
+    action: String,
+    reason: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  },
+  history: [{
+    _id: false,
+    status: String,
+    note: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+fiatRequestSchema.index({ network: 1, reqId: 1 }, { unique: true });
+fiatRequestSchema.index({ status: 1, expiresAt: 1 });
+fiatRequestSchema.index({ user: 1, createdAt: -1 });
+
+// Instance method to move to a new status and keep an audit trail
+fiatRequestSchema.methods.transition = function(status, note) {
+  this.status = status;
+  this.history.push({ status, note, at: new Date() });
+};
+
+module.exports = mongoose.model('FiatRequest', fiatRequestSchema);
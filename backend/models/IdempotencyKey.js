@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { idempotency } = require('../config/ledger');
+
+// Idempotency-Key records for mutating endpoints (middleware/idempotency.js).
+// The first request with a key runs and its response is stored; retries with
+// the same key and body get that response back instead of running again.
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  // SHA-256 of method, path and body; a key reused for another request is refused
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // While processing, other requests with the key wait until this passes
+  lockedUntil: Date,
+  statusCode: Number,
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + idempotency.ttlHours * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
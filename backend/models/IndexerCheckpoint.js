@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const indexerCheckpointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true // indexer instance name, allows several indexers per network
+  },
+  network: {
+    type: String,
+    required: true
+  },
+  // Last block whose logs have been fully persisted
+  lastBlock: {
+    type: Number,
+    required: true
+  },
+  // Hashes of recently indexed blocks, newest last, used to find the fork point on a reorg
+  recentBlocks: [{
+    _id: false,
+    number: Number,
+    hash: String
+  }],
+  reorgCount: {
+    type: Number,
+    default: 0
+  },
+  lastReorgAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+indexerCheckpointSchema.index({ name: 1, network: 1 }, { unique: true });
+
+module.exports = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const instituteSchema = new mongoose.Schema({
+  // Stable id every other collection references through `instituteId`
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  campusId: { type: String, required: true },
+  location: { type: String, required: true },
+  address: { type: String, required: true },
+  established: { type: String },
+  totalBuildings: { type: Number, required: true },
+  totalStudents: { type: Number, required: true },
+  energyCapacity: { type: Number, default: 0 },
+  carbonBudget: { type: Number, default: 0 },
+  // Grid region for emission factors (config/emissions.js defaultRegion when unset)
+  gridRegion: { type: String, trim: true, uppercase: true },
+  contact: {
+    email: { type: String, required: true },
+    phone: { type: String, required: true }
+  },
+  // Who may self-register. With allowedDomains set, sign-ups from other
+  // domains are rejected and matching ones can skip picking the institute;
+  // inviteOnly rejects every sign-up without an invitation.
+  enrollment: {
+    allowedDomains: [{ type: String, lowercase: true, trim: true }],
+    inviteOnly: { type: Boolean, default: false },
+    defaultRole: {
+      type: String,
+      // Elevated roles are only ever granted by invitation or an admin
+      enum: ['staff', 'student'],
+      default: 'student'
+    }
+  }
+}, { timestamps: true });
+
+instituteSchema.index({ 'enrollment.allowedDomains': 1 });
+
+// Names in older data vary in case and spacing ("Technology  Jaipur")
+const normalizeName = (name) => String(name).replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Resolve a legacy institute value to its Institute document
+ * @param {*} value - Institute id, name string, or { id, name } object
+ * @returns {Promise<Object|null>} - Lean Institute document
+ */
+instituteSchema.statics.resolve = async function(value) {
+  if (!value) return null;
+
+  if (typeof value === 'object') {
+    if (value.id) {
+      const byId = await this.findOne({ id: String(value.id) }).lean();
+      if (byId) return byId;
+    }
+    return value.name ? this.resolve(value.name) : null;
+  }
+
+  const byId = await this.findOne({ id: String(value) }).lean();
+  if (byId) return byId;
+
+  const target = normalizeName(value);
+  const institutes = await this.find({}).select('id name').lean();
+  return institutes.find(i => normalizeName(i.name) === target) || null;
+};
+
+module.exports = mongoose.model('Institute', instituteSchema, 'institutes');
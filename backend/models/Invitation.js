@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+const { ROLES } = require('../config/roles');
+
+// Single-use sign-up invitation issued by an institute admin. The raw token
+// only travels in the invite link; the hash is what gets looked up.
+// "expired" is never stored: it is a pending invitation past expiresAt.
+const invitationSchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES.filter(role => role !== 'platform_admin'),
+    default: 'student'
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastSentAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invitationSchema.plugin(instituteRef);
+
+invitationSchema.index({ instituteId: 1, status: 1, expiresAt: 1 });
+invitationSchema.index({ instituteId: 1, email: 1 });
+
+// pending | accepted | revoked | expired
+invitationSchema.virtual('state').get(function() {
+  if (this.status === 'pending' && this.expiresAt <= new Date()) return 'expired';
+  return this.status;
+});
+
+/**
+ * Query filter for a displayed state
+ * @param {string} state - pending | accepted | revoked | expired
+ */
+invitationSchema.statics.stateFilter = function(state) {
+  const now = new Date();
+  switch (state) {
+    case 'pending':
+      return { status: 'pending', expiresAt: { $gt: now } };
+    case 'expired':
+      return { status: 'pending', expiresAt: { $lte: now } };
+    case 'accepted':
+    case 'revoked':
+      return { status: state };
+    default:
+      return null;
+  }
+};
+
+invitationSchema.methods.isUsable = function() {
+  return this.state === 'pending';
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// Double-entry ledger for carbon wallets. A journal is one business event
+// (top-up, offset purchase, ...) and owns two or more entries whose debits
+// and credits are equal. Journals and entries are append-only: a mistake is
+// corrected by posting a reversing journal, never by editing or deleting.
+// CarbonData.walletBalance is a projection of the wallet account, written in
+// the same Mongo transaction; scripts/reconcile-ledger.js checks the two agree.
+
+// System accounts on the other side of wallet movements. Wallet accounts
+// are credit-normal (the balance is owed to the user), so their balance is
+// credits minus debits.
+const ACCOUNTS = {
+  funding: 'system:funding', // top-ups in, deductions out
+  offsetSales: 'system:offset_sales',
+  openingBalance: 'system:opening_balance' // balances held before the ledger existed
+};
+
+const walletAccount = (userId) => `wallet:${userId}`;
+
+const JOURNAL_TYPES = ['opening_balance', 'credit', 'debit', 'offset_purchase', 'reversal'];
+
+const IMMUTABLE_OPERATIONS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+const appendOnly = (schema, name) => {
+  const reject = function() {
+    throw new Error(`${name} records are immutable; post a reversing journal instead`);
+  };
+  schema.pre(IMMUTABLE_OPERATIONS, reject);
+  schema.pre('save', function() {
+    if (!this.isNew) reject();
+  });
+};
+
+const journalSchema = new mongoose.Schema({
+  instituteId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: JOURNAL_TYPES,
+    required: true
+  },
+  description: String,
+  // Sum of the debits (equal to the sum of the credits)
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'ENTO'
+  },
+  // "<userId>:<Idempotency-Key>"; a retried request cannot post twice
+  idempotencyKey: {
+    type: String
+  },
+  // Who asked for the movement
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerJournal',
+    default: null
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+journalSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+journalSchema.index({ instituteId: 1, postedAt: -1 });
+appendOnly(journalSchema, 'Ledger journal');
+
+const entrySchema = new mongoose.Schema({
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerJournal',
+    required: true,
+    index: true
+  },
+  instituteId: {
+    type: String,
+    required: true
+  },
+  account: {
+    type: String,
+    required: true
+  },
+  side: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Ledger amounts cannot be negative']
+  },
+  postedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+entrySchema.index({ account: 1, postedAt: -1 });
+entrySchema.index({ instituteId: 1, account: 1 });
+appendOnly(entrySchema, 'Ledger entry');
+
+const LedgerJournal = mongoose.model('LedgerJournal', journalSchema, 'ledger_journals');
+const LedgerEntry = mongoose.model('LedgerEntry', entrySchema, 'ledger_entries');
+
+module.exports = {
+  LedgerJournal,
+  LedgerEntry,
+  ACCOUNTS,
+  JOURNAL_TYPES,
+  walletAccount
+};
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { retentionMinutes } = require('../config/live');
+
+// Outbox for live dashboard events. Any process (API server, chain indexer,
+// meter feeder) appends here; the API server tails the collection and pushes
+// each event to the connected clients of its institute.
+const liveEventSchema = new mongoose.Schema({
+  instituteId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['readings', 'wallet.transaction', 'alert', 'alert.updated', 'chain.event'],
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+liveEventSchema.index({ instituteId: 1, _id: 1 });
+liveEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionMinutes * 60 });
+
+module.exports = mongoose.model('LiveEvent', liveEventSchema);
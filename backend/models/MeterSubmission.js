@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// One document per source reading pushed to EnergyOracle.recordUsageSigned.
+// Doubles as the nonce registry (nonce is derived from the source document id,
+// so a reading can never be counted twice on-chain) and as the retry queue.
+const meterSubmissionSchema = new mongoose.Schema({
+  sourceType: {
+    type: String,
+    enum: ['CarbonBiometric', 'EnergyConsumption'],
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  departmentName: {
+    type: String,
+    required: true
+  },
+  dept: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  month: {
+    type: Number,
+    required: true // yyyymm
+  },
+  // Whole kWh sent on-chain; rawKWh is the reading itself, whose fraction carries
+  // into the department's next submission for the month
+  kWh: {
+    type: Number,
+    required: true
+  },
+  rawKWh: Number,
+  readingTimestamp: Date,
+  nonce: {
+    type: String,
+    required: true
+  },
+  signature: String,
+  signer: String,
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'confirmed', 'failed', 'dead', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  txHash: String,
+  blockNumber: Number,
+  submittedAt: Date,
+  confirmedAt: Date
+}, {
+  timestamps: true
+});
+
+meterSubmissionSchema.plugin(instituteRef);
+
+meterSubmissionSchema.index({ sourceType: 1, sourceId: 1 }, { unique: true });
+meterSubmissionSchema.index({ nonce: 1 }, { unique: true });
+meterSubmissionSchema.index({ status: 1, nextAttemptAt: 1 });
+meterSubmissionSchema.index({ dept: 1, month: 1 });
+
+module.exports = mongoose.model('MeterSubmission', meterSubmissionSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// Certificate issued for an offset retirement. What the certificate states is
+// copied in at issue time and sealed with a fingerprint (services/certificates.js),
+// so the public verification endpoint can tell an altered record from a genuine
+// one. A certificate is never deleted; a retirement claimed in error is revoked.
+
+const CERTIFICATE_STATUSES = ['valid', 'revoked'];
+
+const offsetCertificateSchema = new mongoose.Schema({
+  // Public identifier printed on the PDF, e.g. GPC-3F9A2-C41D0-77B1E-0A9C4
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  retirement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OffsetRetirement',
+    required: true,
+    unique: true
+  },
+  details: {
+    instituteName: String,
+    beneficiary: String,
+    purpose: String,
+    tonnes: Number,
+    project: {
+      name: String,
+      type: { type: String },
+      registry: String,
+      registryProjectId: String,
+      vintage: Number,
+      country: String
+    },
+    serialPrefix: String,
+    serialStart: Number,
+    serialEnd: Number,
+    retiredAt: Date,
+    // Ledger journal that paid for the retirement and its content hash
+    ledgerJournal: String,
+    transactionHash: String
+  },
+  // sha256 over certificateId and details
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: CERTIFICATE_STATUSES,
+    default: 'valid'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+offsetCertificateSchema.plugin(instituteRef);
+
+offsetCertificateSchema.virtual('serialRange').get(function() {
+  const { serialPrefix, serialStart, serialEnd } = this.details || {};
+  return `${serialPrefix}-${serialStart}-${serialEnd}`;
+});
+
+offsetCertificateSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('OffsetCertificate', offsetCertificateSchema);
+module.exports.CERTIFICATE_STATUSES = CERTIFICATE_STATUSES;
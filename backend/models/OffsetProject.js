@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Carbon offset project in the marketplace catalog. Each project holds one
+// contiguous block of registry serial numbers, one per tonne CO2e. Units are
+// sold in serial order: nextSerial is the first unsold serial and
+// availableTonnes what is left of the block, and both move together in one
+// conditional update (services/offsets.js), so a serial is never sold twice.
+// The catalog is shared by every institute.
+
+const PROJECT_TYPES = [
+  'reforestation',
+  'renewable_energy',
+  'methane_capture',
+  'cookstoves',
+  'blue_carbon',
+  'direct_air_capture',
+  'other'
+];
+const REGISTRIES = ['Verra', 'Gold Standard', 'ACR', 'CAR', 'Puro.earth', 'Other'];
+const PROJECT_STATUSES = ['active', 'paused', 'closed'];
+
+const offsetProjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: PROJECT_TYPES,
+    required: [true, 'Project type is required']
+  },
+  registry: {
+    type: String,
+    enum: REGISTRIES,
+    required: [true, 'Registry is required']
+  },
+  // Project id at the registry, e.g. "VCS-1234"
+  registryProjectId: {
+    type: String,
+    required: [true, 'Registry project id is required'],
+    trim: true
+  },
+  vintage: {
+    type: Number,
+    required: [true, 'Vintage year is required'],
+    min: [1990, 'Vintage must be 1990 or later']
+  },
+  country: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // ENTO per tonne CO2e
+  pricePerTonne: {
+    type: Number,
+    required: [true, 'Price per tonne is required'],
+    min: [0.000001, 'Price per tonne must be positive']
+  },
+  // Issued serial block [serialStart, serialEnd]; a serial reads <serialPrefix>-<number>
+  serialPrefix: {
+    type: String,
+    required: [true, 'Serial prefix is required'],
+    trim: true
+  },
+  serialStart: {
+    type: Number,
+    required: [true, 'First serial number is required'],
+    min: [0, 'Serial numbers cannot be negative']
+  },
+  serialEnd: {
+    type: Number,
+    required: [true, 'Last serial number is required']
+  },
+  nextSerial: {
+    type: Number,
+    required: true
+  },
+  availableTonnes: {
+    type: Number,
+    required: true,
+    min: [0, 'Inventory cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: PROJECT_STATUSES,
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+offsetProjectSchema.index({ status: 1, type: 1, vintage: -1 });
+// A registry block can only be listed once
+offsetProjectSchema.index({ serialPrefix: 1 }, { unique: true });
+
+offsetProjectSchema.virtual('totalTonnes').get(function() {
+  return this.serialEnd - this.serialStart + 1;
+});
+
+offsetProjectSchema.virtual('soldTonnes').get(function() {
+  return this.nextSerial - this.serialStart;
+});
+
+offsetProjectSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('OffsetProject', offsetProjectSchema);
+module.exports.PROJECT_TYPES = PROJECT_TYPES;
+module.exports.REGISTRIES = REGISTRIES;
+module.exports.PROJECT_STATUSES = PROJECT_STATUSES;
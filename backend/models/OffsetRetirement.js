@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
+
+// Offsets bought from the catalog and retired on behalf of an institute. The
+// serial range is taken from the project's block when the purchase is paid
+// for, in the same transaction as the wallet ledger journal that pays for it.
+// Project details are copied in, so later catalog edits do not change what
+// was retired.
+
+const offsetRetirementSchema = new mongoose.Schema({
+  institute: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OffsetProject',
+    required: true
+  },
+  projectSnapshot: {
+    name: String,
+    type: { type: String },
+    registry: String,
+    registryProjectId: String,
+    vintage: Number,
+    country: String
+  },
+  // Serials [serialStart, serialEnd] of the project's block, one per tonne
+  serialPrefix: {
+    type: String,
+    required: true
+  },
+  serialStart: {
+    type: Number,
+    required: true
+  },
+  serialEnd: {
+    type: Number,
+    required: true
+  },
+  tonnes: {
+    type: Number,
+    required: true,
+    min: [1, 'At least one tonne must be retired']
+  },
+  pricePerTonne: {
+    type: Number,
+    required: true
+  },
+  // ENTO paid
+  cost: {
+    type: Number,
+    required: true
+  },
+  // Who the retirement is claimed for; defaults to the institute's name
+  beneficiary: {
+    type: String,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['retired'],
+    default: 'retired'
+  },
+  retiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ledgerJournal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerJournal',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+offsetRetirementSchema.plugin(instituteRef);
+
+// Second line of defence against double-selling: a serial range starts once
+offsetRetirementSchema.index({ project: 1, serialStart: 1 }, { unique: true });
+offsetRetirementSchema.index({ instituteId: 1, retiredAt: -1 });
+offsetRetirementSchema.index({ ledgerJournal: 1 }, { unique: true });
+
+offsetRetirementSchema.virtual('serialRange').get(function() {
+  return `${this.serialPrefix}-${this.serialStart}-${this.serialEnd}`;
+});
+
+offsetRetirementSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('OffsetRetirement', offsetRetirementSchema);
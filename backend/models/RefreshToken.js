@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only the SHA-256 hash is
+// stored. Every refresh revokes the presented token and issues a new one in
+// the same family; presenting an already-rotated token revokes the whole
+// family, since it means the token was copied.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens descended from one login share a family
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset']
+  },
+  replacedByHash: String,
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
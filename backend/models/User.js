@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const instituteRef = require('./plugins/instituteRef');
 const bcrypt = require('bcryptjs');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
   institute: {
@@ -29,6 +31,13 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // Access control; position below is a free-text job title and grants nothing
+  role: {
+    type: String,
+    enum: ROLES,
+    default: DEFAULT_ROLE,
+    index: true
+  },
   position: {
     type: String,
     default: 'Student',
@@ -53,11 +62,20 @@ const userSchema = new mongoose.Schema({
   location: {
     type: String,
     trim: true
-  }
+  },
+  // Bumped by logout-everywhere and password resets; access tokens carrying
+  // an older version are rejected
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: Date
 }, {
   timestamps: true
 });
 
+userSchema.plugin(instituteRef);
+
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Daily campus weather from data/weather_train.csv
+const weatherObservationSchema = new mongoose.Schema({
+  campusId: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  airTemperature: Number, // °C
+  cloudCoverage: Number, // oktas
+  dewTemperature: Number, // °C
+  precipDepth1Hr: Number, // mm
+  seaLevelPressure: Number, // hPa
+  windDirection: Number, // degrees
+  windSpeed: Number // m/s
+}, {
+  timestamps: true
+});
+
+weatherObservationSchema.index({ campusId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('WeatherObservation', weatherObservationSchema);
@@ -0,0 +1,39 @@
+// Adds the canonical `instituteId` reference (Institute.id) to a schema.
+// `institute` stays on documents as a display snapshot (name string or
+// { id, name }); all tenant filtering uses `instituteId`. Documents created
+// with only `institute` get their id resolved before validation, and
+// documents created with only `instituteId` get the display name filled in.
+const Institute = require('../Institute');
+
+module.exports = function instituteRef(schema) {
+  schema.add({
+    instituteId: {
+      type: String,
+      required: [true, 'Institute is required'],
+      index: true
+    }
+  });
+
+  schema.virtual('instituteRef', {
+    ref: 'Institute',
+    localField: 'instituteId',
+    foreignField: 'id',
+    justOne: true
+  });
+
+  schema.pre('validate', async function() {
+    if (this.instituteId && this.institute) return;
+
+    const institute = this.instituteId
+      ? await Institute.findOne({ id: this.instituteId }).lean()
+      : await Institute.resolve(this.institute);
+
+    if (!institute) {
+      this.invalidate('instituteId', `Institute not found: ${JSON.stringify(this.instituteId || this.institute)}`);
+      return;
+    }
+
+    this.instituteId = institute.id;
+    if (!this.institute) this.institute = institute.name;
+  });
+};
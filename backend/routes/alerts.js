@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const {
+  getMetrics,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  evaluateRules,
+  getAlerts,
+  getAlert,
+  acknowledgeAlert,
+  snoozeAlert,
+  resolveAlert
+} = require('../controllers/alertController');
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/alerts/metrics - Metrics alert rules can watch
+router.get('/metrics', requirePermission('alerts:read'), getMetrics);
+
+// GET /api/alerts/rules - The institute's alert rules (?enabled=&instituteId=)
+router.get('/rules', requirePermission('alerts:read'), getRules);
+
+// POST /api/alerts/rules - Define a rule (metric, scope, comparison, threshold, window, severity, channels)
+router.post('/rules', requirePermission('alerts:manage'), createRule);
+
+// PUT /api/alerts/rules/:id - Change a rule; disabling it resolves its active alert
+router.put('/rules/:id', requirePermission('alerts:manage'), updateRule);
+
+// DELETE /api/alerts/rules/:id - Remove a rule, keeping its past alerts
+router.delete('/rules/:id', requirePermission('alerts:manage'), deleteRule);
+
+// POST /api/alerts/evaluate - Evaluate the institute's rules now
+router.post('/evaluate', requirePermission('alerts:manage'), evaluateRules);
+
+// GET /api/alerts - Alerts raised by the rules (?status=&severity=&rule=&active=&instituteId=&page=&limit=)
+router.get('/', requirePermission('alerts:read'), getAlerts);
+
+// GET /api/alerts/:id - One alert with its history and deliveries
+router.get('/:id', requirePermission('alerts:read'), getAlert);
+
+// POST /api/alerts/:id/acknowledge - Take ownership of an alert
+router.post('/:id/acknowledge', requirePermission('alerts:act'), acknowledgeAlert);
+
+// POST /api/alerts/:id/snooze - Silence an alert for a while ({ minutes } or { until })
+router.post('/:id/snooze', requirePermission('alerts:act'), snoozeAlert);
+
+// POST /api/alerts/:id/resolve - Close an alert by hand
+router.post('/:id/resolve', requirePermission('alerts:act'), resolveAlert);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const {
+  getAnomalies,
+  getAnomaly,
+  runDetection,
+  acknowledgeAnomaly
+} = require('../controllers/anomalyController');
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/anomalies - Consumption anomalies (?status=&kind=&severity=&building=&department=&from=&instituteId=&page=&limit=)
+router.get('/', requirePermission('anomalies:read'), getAnomalies);
+
+// POST /api/anomalies/run - Check the institute's recent consumption now
+router.post('/run', requirePermission('anomalies:run'), runDetection);
+
+// GET /api/anomalies/:id - One anomaly with its explanation
+router.get('/:id', requirePermission('anomalies:read'), getAnomaly);
+
+// POST /api/anomalies/:id/acknowledge - Record that an anomaly was looked into
+router.post('/:id/acknowledge', requirePermission('anomalies:manage'), acknowledgeAnomaly);
+
+module.exports = router;
@@ -1,23 +1,49 @@
 const express = require('express');
+const { rateLimit } = require('express-rate-limit');
 const router = express.Router();
 const { 
   register, 
   login, 
   getProfile, 
-  updateProfile 
+  updateProfile,
+  refreshSession,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword
 } = require('../controllers/authController');
 const { 
   validateRegistration, 
-  validateLogin 
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword
 } = require('../middleware/validation');
 const { authenticateToken } = require('../middleware/auth');
 
+// Reset emails and token guessing are the abuse targets here
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many password reset attempts. Please try again later.' }
+});
+
 // Auth routes
 router.post('/register', validateRegistration, register);
 router.post('/login', validateLogin, login);
 
+// Session routes
+router.post('/refresh', refreshSession);
+router.post('/logout', logout);
+router.post('/logout-all', authenticateToken, logoutAll);
+
+// Password reset routes
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, forgotPassword);
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, resetPassword);
+
 // Profile routes
 router.get('/profile', authenticateToken, getProfile);
 router.put('/profile', authenticateToken, updateProfile);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
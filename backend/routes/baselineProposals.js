@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const { requirePermission } = require('../middleware/rbac');
+const {
+  getProposals,
+  getProposal,
+  generateProposal,
+  updateProposalLines,
+  approveProposal,
+  rejectProposal,
+  retryProposal,
+  getProposalReport
+} = require('../controllers/baselineProposalController');
+
+// Baseline review is for the oracle committee: institute admins (own institute) and platform admins
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+router.use(requirePermission('baselines:review'));
+
+// GET /api/baseline-proposals - Proposals (?status=&month=&instituteId=)
+router.get('/', getProposals);
+
+// POST /api/baseline-proposals - Draft or recompute a proposal for a month
+router.post('/', generateProposal);
+
+// GET /api/baseline-proposals/:id - Single proposal with department lines
+router.get('/:id', getProposal);
+
+// PUT /api/baseline-proposals/:id/lines - Override department kWh before approval
+router.put('/:id/lines', updateProposalLines);
+
+// POST /api/baseline-proposals/:id/approve - Approve and queue for setBaseline
+router.post('/:id/approve', approveProposal);
+
+// POST /api/baseline-proposals/:id/reject - Reject a proposal
+router.post('/:id/reject', rejectProposal);
+
+// POST /api/baseline-proposals/:id/retry - Requeue failed lines
+router.post('/:id/retry', retryProposal);
+
+// GET /api/baseline-proposals/:id/report - Sent baselines and tx hashes
+router.get('/:id/report', getProposalReport);
+
+module.exports = router;
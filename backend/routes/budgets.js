@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const {
+  getBudgets,
+  getCurrentBudget,
+  getBudget,
+  createBudget,
+  updateBudget
+} = require('../controllers/budgetController');
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/budgets - Departmental carbon budgets by period (?from=&to=&instituteId=)
+router.get('/', requirePermission('budgets:read'), getBudgets);
+
+// GET /api/budgets/current - Budget covering now (?at=&instituteId=)
+router.get('/current', requirePermission('budgets:read'), getCurrentBudget);
+
+// GET /api/budgets/:id - One budget with its department lines
+router.get('/:id', requirePermission('budgets:read'), getBudget);
+
+// POST /api/budgets - Allocate a period's budget across departments
+router.post('/', requirePermission('budgets:manage'), createBudget);
+
+// PUT /api/budgets/:id - Re-split an open budget or change its policy
+router.put('/:id', requirePermission('budgets:manage'), updateBudget);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { instituteFilter } = require('../middleware/instituteAuth');
+const { requirePermission } = require('../middleware/rbac');
+const { getBuildings, getBuilding } = require('../controllers/buildingController');
+
+// Apply authentication and institute filtering to all routes
+router.use(authenticateToken);
+router.use(instituteFilter);
+router.use(requirePermission('buildings:read'));
+
+// GET /api/buildings - Building inventory for the user's institute
+router.get('/', getBuildings);
+
+// GET /api/buildings/:id - Single building by building_id
+router.get('/:id', getBuilding);
+
+module.exports = router;
@@ -2,35 +2,57 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { instituteFilter } = require('../middleware/instituteAuth');
+const { requirePermission } = require('../middleware/rbac');
+const { requireIdempotencyKey } = require('../middleware/idempotency');
 const {
   getDashboardData,
+  getWallet,
   updateWalletBalance,
   purchaseCarbonOffset,
   recordEnergyConsumption,
   getWeeklyEnergyData,
-  getInstituteAnalytics
+  getSeriesData,
+  getInstituteAnalytics,
+  getTransactions,
+  exportTransactions
 } = require('../controllers/carbonDataController');
+const { getBaselines } = require('../controllers/baselineController');
 
 // Apply authentication and institute filtering to all routes
 router.use(authenticateToken);
 router.use(instituteFilter);
 
 // GET /api/carbon-data/dashboard - Get dashboard data for user's institute
-router.get('/dashboard', getDashboardData);
+router.get('/dashboard', requirePermission('carbon:read'), getDashboardData);
 
 // GET /api/carbon-data/weekly-energy - Get weekly energy data
-router.get('/weekly-energy', getWeeklyEnergyData);
+router.get('/weekly-energy', requirePermission('carbon:read'), getWeeklyEnergyData);
+
+// GET /api/carbon-data/series - Consumption, CO2, cost or efficiency over a date range
+router.get('/series', requirePermission('carbon:read'), getSeriesData);
+
+// GET /api/carbon-data/wallet - Ledger balance and recent entries of the user's wallet
+router.get('/wallet', requirePermission('carbon:read'), getWallet);
+
+// GET /api/carbon-data/transactions - Wallet transactions with filters, sorting and cursor pagination
+router.get('/transactions', requirePermission('carbon:read'), getTransactions);
+
+// GET /api/carbon-data/transactions/export - Stream matching transactions as CSV, XLSX or JSON (?format=)
+router.get('/transactions/export', requirePermission('carbon:read'), exportTransactions);
 
 // PUT /api/carbon-data/wallet-balance - Update wallet balance
-router.put('/wallet-balance', updateWalletBalance);
+router.put('/wallet-balance', requirePermission('wallet:transact'), requireIdempotencyKey, updateWalletBalance);
 
-// POST /api/carbon-data/carbon-offset - Purchase carbon offset
-router.post('/carbon-offset', purchaseCarbonOffset);
+// POST /api/carbon-data/carbon-offset - Buy and retire offsets from a catalog project ({ projectId, tonnes, beneficiary, purpose })
+router.post('/carbon-offset', requirePermission('wallet:transact'), requireIdempotencyKey, purchaseCarbonOffset);
 
 // POST /api/carbon-data/energy-consumption - Record energy consumption
-router.post('/energy-consumption', recordEnergyConsumption);
+router.post('/energy-consumption', requirePermission('energy:record'), requireIdempotencyKey, recordEnergyConsumption);
 
 // GET /api/carbon-data/institute-analytics - Get institute-wide analytics
-router.get('/institute-analytics', getInstituteAnalytics);
+router.get('/institute-analytics', requirePermission('carbon:read'), getInstituteAnalytics);
+
+// GET /api/carbon-data/baselines - Weather-normalized expected vs actual consumption
+router.get('/baselines', requirePermission('carbon:read'), getBaselines);
 
 module.exports = router;
\ No newline at end of file
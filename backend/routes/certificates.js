@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { rateLimit } = require('express-rate-limit');
+const certificateConfig = require('../config/certificates');
+const { verifyCertificate } = require('../controllers/offsetController');
+
+// Public: anyone holding a certificate can check it, so lookups are rate limited
+// instead of authenticated to keep certificate ids from being enumerated
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: certificateConfig.verifyRateLimit,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many verification requests, please try again later' }
+});
+
+// GET /api/certificates/verify/:certificateId - Is the certificate genuine and not revoked
+router.get('/verify/:certificateId', verifyLimiter, verifyCertificate);
+
+module.exports = router;
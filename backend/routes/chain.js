@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const {
+  getIndexerStatus,
+  getChainEvents,
+  getTransactionEvents,
+  getDepartmentUsage
+} = require('../controllers/chainController');
+
+// All chain routes require an authenticated user
+router.use(authenticateToken);
+router.use(requirePermission('chain:read'));
+
+// GET /api/chain/status - Indexer checkpoints and totals
+router.get('/status', getIndexerStatus);
+
+// GET /api/chain/events - Indexed events (?contract=&event=&address=&month=&fromBlock=&toBlock=&page=&limit=)
+router.get('/events', getChainEvents);
+
+// GET /api/chain/tx/:txHash - Events emitted by one transaction
+router.get('/tx/:txHash', getTransactionEvents);
+
+// GET /api/chain/usage/:address - Metered usage per month for a department wallet
+router.get('/usage/:address', getDepartmentUsage);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const {
+  getDevices,
+  createDevice,
+  updateDevice,
+  rotateDeviceKey,
+  disableDevice
+} = require('../controllers/deviceController');
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/devices - Registered sensors and meters (?status=&instituteId=)
+router.get('/', requirePermission('devices:read'), getDevices);
+
+// POST /api/devices - Register a device and issue its API key
+router.post('/', requirePermission('devices:manage'), createDevice);
+
+// PUT /api/devices/:id - Update name, type, default building/department or status
+router.put('/:id', requirePermission('devices:manage'), updateDevice);
+
+// POST /api/devices/:id/rotate-key - Replace the device's API key
+router.post('/:id/rotate-key', requirePermission('devices:manage'), rotateDeviceKey);
+
+// DELETE /api/devices/:id - Disable a device (readings are kept)
+router.delete('/:id', requirePermission('devices:manage'), disableDevice);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const {
+  getEmissionFactors,
+  getResolvedFactor,
+  createEmissionFactor,
+  reviseEmissionFactor,
+  retireEmissionFactor,
+  recalculate
+} = require('../controllers/emissionFactorController');
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/emission-factors - Factor registry, every version (?region=&energySource=&status=)
+router.get('/', requirePermission('emissions:read'), getEmissionFactors);
+
+// GET /api/emission-factors/resolve - Factor in force (?energySource=&at=&region=&instituteId=)
+router.get('/resolve', requirePermission('emissions:read'), getResolvedFactor);
+
+// POST /api/emission-factors/recalculate - Re-derive CO2 with the current factors
+router.post('/recalculate', requirePermission('emissions:manage'), recalculate);
+
+// POST /api/emission-factors - Add a factor version and recalculate the records it covers
+router.post('/', requirePermission('emissions:manage'), createEmissionFactor);
+
+// PUT /api/emission-factors/:id - Revise a factor (stored as a new version)
+router.put('/:id', requirePermission('emissions:manage'), reviseEmissionFactor);
+
+// DELETE /api/emission-factors/:id - Retire a factor
+router.delete('/:id', requirePermission('emissions:manage'), retireEmissionFactor);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const { streamEvents } = require('../controllers/liveEventController');
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/events/stream - Server-Sent Events: readings, wallet transactions, alerts and chain events (?instituteId=)
+router.get('/stream', requirePermission('carbon:read'), streamEvents);
+
+module.exports = router;
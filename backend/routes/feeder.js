@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { instituteFilter } = require('../middleware/instituteAuth');
+const { requirePermission } = require('../middleware/rbac');
+const {
+  getDepartmentWallets,
+  upsertDepartmentWallet,
+  deleteDepartmentWallet,
+  getMeterSubmissions,
+  retryMeterSubmission
+} = require('../controllers/feederController');
+
+// Apply authentication and institute filtering to all routes
+router.use(authenticateToken);
+router.use(instituteFilter);
+
+// GET /api/feeder/wallets - Department wallet mappings for the user's institute
+router.get('/wallets', requirePermission('feeder:read'), getDepartmentWallets);
+
+// PUT /api/feeder/wallets - Link a department to a wallet address
+router.put('/wallets', requirePermission('feeder:manage'), upsertDepartmentWallet);
+
+// DELETE /api/feeder/wallets/:departmentName - Remove a department's wallet mapping
+router.delete('/wallets/:departmentName', requirePermission('feeder:manage'), deleteDepartmentWallet);
+
+// GET /api/feeder/submissions - Meter submission queue (?status=&departmentName=&month=)
+router.get('/submissions', requirePermission('feeder:read'), getMeterSubmissions);
+
+// POST /api/feeder/submissions/:id/retry - Requeue a failed submission
+router.post('/submissions/:id/retry', requirePermission('feeder:manage'), retryMeterSubmission);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { rateLimit } = require('express-rate-limit');
+const router = express.Router();
+const { authenticateDevice } = require('../middleware/deviceAuth');
+const { ingestDeviceReadings } = require('../controllers/ingestController');
+
+// Per device key, so one chatty gateway cannot starve the others
+const ingestLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: 120,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  keyGenerator: (req) => req.device.deviceId,
+  message: { success: false, message: 'Too many ingest requests for this device. Please batch readings.' }
+});
+
+router.use(authenticateDevice);
+
+// POST /api/ingest/readings - Batch of device readings (X-Device-Key header)
+router.post('/readings', ingestLimiter, ingestDeviceReadings);
+
+module.exports = router;
@@ -1,26 +1,14 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission, isSameInstitute } = require('../middleware/rbac');
+const Institute = require('../models/Institute');
+const { normalizeDomains, isValidDomain } = require('../services/enrollment');
 
-// Institute Schema (if you want to use Mongoose models)
-const instituteSchema = new mongoose.Schema({
-  id: { type: String, required: true, unique: true },
-  name: { type: String, required: true },
-  campusId: { type: String, required: true },
-  location: { type: String, required: true },
-  address: { type: String, required: true },
-  established: { type: String },
-  totalBuildings: { type: Number, required: true },
-  totalStudents: { type: Number, required: true },
-  energyCapacity: { type: Number, default: 0 },
-  carbonBudget: { type: Number, default: 0 },
-  contact: {
-    email: { type: String, required: true },
-    phone: { type: String, required: true }
-  }
-}, { timestamps: true });
-
-const Institute = mongoose.model('Institute', instituteSchema, 'institutes');
+// Institute admins may only manage their own institute
+const canManageInstitute = (user, institute) =>
+  user.role === 'platform_admin' || isSameInstitute(user.instituteId, institute.id);
 
 // GET /api/institutes - Get all institutes
 router.get('/', async (req, res) => {
@@ -79,8 +67,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/institutes - Create new institute
-router.post('/', async (req, res) => {
+// POST /api/institutes - Create new institute (platform admin)
+router.post('/', authenticateToken, requirePermission('institutes:create'), async (req, res) => {
   try {
     const newInstituteData = {
       id: `inst_${Date.now()}`,
@@ -119,12 +107,32 @@ router.post('/', async (req, res) => {
   }
 });
 
-// PUT /api/institutes/:id - Update institute
-router.put('/:id', async (req, res) => {
+// PUT /api/institutes/:id - Update institute (platform admin, or institute admin for their own)
+router.put('/:id', authenticateToken, requirePermission('institutes:update'), async (req, res) => {
   try {
+    const institute = await Institute.findOne({ id: req.params.id });
+
+    if (!institute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institute not found'
+      });
+    }
+
+    if (!canManageInstitute(req.user, institute)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access data from your own institute'
+      });
+    }
+
+    // The id is what users and data reference; it is never edited.
+    // Enrollment policy has its own endpoint with validation.
+    const { id, _id, enrollment, ...updates } = req.body;
+
     const updatedInstitute = await Institute.findOneAndUpdate(
       { id: req.params.id },
-      { $set: req.body },
+      { $set: updates },
       { new: true, runValidators: true }
     ).select('-_id -__v');
     
@@ -150,8 +158,110 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/institutes/:id - Delete institute
-router.delete('/:id', async (req, res) => {
+// GET /api/institutes/:id/enrollment - Sign-up policy (institute managers)
+router.get('/:id/enrollment', authenticateToken, requirePermission('institutes:update'), async (req, res) => {
+  try {
+    const institute = await Institute.findOne({ id: req.params.id }).select('id name enrollment');
+
+    if (!institute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institute not found'
+      });
+    }
+
+    if (!canManageInstitute(req.user, institute)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access data from your own institute'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: institute.enrollment
+    });
+  } catch (error) {
+    console.error('Error fetching enrollment policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch enrollment policy',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/institutes/:id/enrollment - Update allowed email domains, invite-only mode and default role
+router.put('/:id/enrollment', authenticateToken, requirePermission('institutes:update'), async (req, res) => {
+  try {
+    const institute = await Institute.findOne({ id: req.params.id }).select('id');
+
+    if (!institute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Institute not found'
+      });
+    }
+
+    if (!canManageInstitute(req.user, institute)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You can only access data from your own institute'
+      });
+    }
+
+    const { allowedDomains, inviteOnly, defaultRole } = req.body;
+    const updates = {};
+
+    if (allowedDomains !== undefined) {
+      const domains = normalizeDomains(allowedDomains);
+      const invalid = domains.filter(domain => !isValidDomain(domain));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid email domain: ${invalid.join(', ')}`
+        });
+      }
+      updates['enrollment.allowedDomains'] = domains;
+    }
+    if (inviteOnly !== undefined) {
+      updates['enrollment.inviteOnly'] = Boolean(inviteOnly);
+    }
+    if (defaultRole !== undefined) {
+      updates['enrollment.defaultRole'] = defaultRole;
+    }
+
+    const updatedInstitute = await Institute.findOneAndUpdate(
+      { id: req.params.id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('enrollment');
+
+    res.json({
+      success: true,
+      message: 'Enrollment policy updated successfully',
+      data: updatedInstitute.enrollment
+    });
+  } catch (error) {
+    console.error('Error updating enrollment policy:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update enrollment policy',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/institutes/:id - Delete institute (platform admin)
+router.delete('/:id', authenticateToken, requirePermission('institutes:delete'), async (req, res) => {
   try {
     const deletedInstitute = await Institute.findOneAndDelete({ id: req.params.id });
     
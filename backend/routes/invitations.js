@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const {
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  lookupInvitation
+} = require('../controllers/invitationController');
+
+// GET /api/invitations/lookup/:token - Public: institute, email and role of an invite link
+router.get('/lookup/:token', lookupInvitation);
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+router.use(requirePermission('invitations:manage'));
+
+// GET /api/invitations - Invitations in the caller's institute (?state=&instituteId=)
+router.get('/', listInvitations);
+
+// POST /api/invitations - Invite an email address with a role and department
+router.post('/', createInvitation);
+
+// POST /api/invitations/:id/resend - Send a pending invitation again with a new link
+router.post('/:id/resend', resendInvitation);
+
+// DELETE /api/invitations/:id - Revoke a pending invitation
+router.delete('/:id', revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  getRetirements,
+  getRetirement,
+  downloadCertificate,
+  revokeCertificate
+} = require('../controllers/offsetController');
+
+// Purchases are wallet movements: POST /api/carbon-data/carbon-offset
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/offsets/projects - Offset catalog (?type=&registry=&vintage=&available=true&status=)
+router.get('/projects', requirePermission('offsets:read'), getProjects);
+
+// GET /api/offsets/projects/:id - One catalog project
+router.get('/projects/:id', requirePermission('offsets:read'), getProject);
+
+// POST /api/offsets/projects - List a project with its serial block
+router.post('/projects', requirePermission('offsets:manage'), createProject);
+
+// PUT /api/offsets/projects/:id - Edit, pause/close or extend a project's serial block
+router.put('/projects/:id', requirePermission('offsets:manage'), updateProject);
+
+// GET /api/offsets/retirements - Offsets retired for the institute (?projectId=&instituteId=&page=&limit=)
+router.get('/retirements', requirePermission('offsets:read'), getRetirements);
+
+// GET /api/offsets/retirements/:id - One retirement with its serial range
+router.get('/retirements/:id', requirePermission('offsets:read'), getRetirement);
+
+// GET /api/offsets/retirements/:id/certificate - Retirement certificate (PDF)
+router.get('/retirements/:id/certificate', requirePermission('offsets:read'), downloadCertificate);
+
+// POST /api/offsets/certificates/:certificateId/revoke - Revoke a certificate
+router.post('/certificates/:certificateId/revoke', requirePermission('offsets:manage'), revokeCertificate);
+
+// Public verification: GET /api/certificates/verify/:certificateId
+module.exports = router;
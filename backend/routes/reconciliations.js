@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const {
+  getReconciliations,
+  getReconciliation,
+  runReconciliation,
+  acknowledgeReconciliation
+} = require('../controllers/reconciliationController');
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/reconciliations - Wallet ledger vs on-chain reports (?status=&unacknowledged=&instituteId=&page=&limit=)
+router.get('/', requirePermission('reconciliation:read'), getReconciliations);
+
+// POST /api/reconciliations/run - Reconcile now ({ instituteId } or every institute)
+router.post('/run', requirePermission('reconciliation:run'), runReconciliation);
+
+// GET /api/reconciliations/:id - One report with its department lines
+router.get('/:id', requirePermission('reconciliation:read'), getReconciliation);
+
+// POST /api/reconciliations/:id/acknowledge - Record that a discrepancy was looked into
+router.post('/:id/acknowledge', requirePermission('reconciliation:manage'), acknowledgeReconciliation);
+
+module.exports = router;
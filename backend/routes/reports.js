@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const { getReports, getGhgReport } = require('../controllers/reportController');
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/reports - Available reports and formats
+router.get('/', requirePermission('reports:read'), getReports);
+
+// GET /api/reports/ghg - GHG inventory (?year= or ?from=&to=, &format=json|pdf|xlsx|csv, &instituteId=)
+router.get('/ghg', requirePermission('reports:read'), getGhgReport);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const {
+  getFiatRequests,
+  getFiatRequest,
+  overrideFiatRequest
+} = require('../controllers/settlementController');
+
+// Settlement is operated by platform admins
+router.use(authenticateToken);
+router.use(requirePermission('settlement:manage'));
+
+// GET /api/settlement/requests - Tracked FiatGateway requests (?status=&type=&user=)
+router.get('/requests', getFiatRequests);
+
+// GET /api/settlement/requests/:reqId - Single request with its status history
+router.get('/requests/:reqId', getFiatRequest);
+
+// POST /api/settlement/requests/:reqId/override - Force settle / refund / cancel
+router.post('/requests/:reqId/override', overrideFiatRequest);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateInstituteAccess } = require('../middleware/instituteAuth');
+const {
+  getRoles,
+  getMyPermissions,
+  getUsers,
+  updateUserRole
+} = require('../controllers/userController');
+
+router.use(authenticateToken);
+router.use(validateInstituteAccess);
+
+// GET /api/users/me/permissions - Current user's role and permissions
+router.get('/me/permissions', getMyPermissions);
+
+// GET /api/users/roles - Role catalogue with permissions
+router.get('/roles', requirePermission('users:read'), getRoles);
+
+// GET /api/users - Users in the caller's scope (?role=&search=&department=&instituteId=)
+router.get('/', requirePermission('users:read'), getUsers);
+
+// PUT /api/users/:id/role - Change a user's role
+router.put('/:id/role', requirePermission('users:manage'), updateUserRole);
+
+module.exports = router;
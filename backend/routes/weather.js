@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { instituteFilter } = require('../middleware/instituteAuth');
+const { requirePermission } = require('../middleware/rbac');
+const { getWeather } = require('../controllers/buildingController');
+
+// Apply authentication and institute filtering to all routes
+router.use(authenticateToken);
+router.use(instituteFilter);
+router.use(requirePermission('buildings:read'));
+
+// GET /api/weather - Daily campus weather (?campusId=&from=&to=)
+router.get('/', getWeather);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+// Rebuild the hourly, daily and monthly rollups from CarbonBiometric readings
+//
+// Usage:
+//   node scripts/backfill-rollups.js                                  # everything
+//   node scripts/backfill-rollups.js --institute iit_delhi            # one institute
+//   node scripts/backfill-rollups.js --from 2026-01-01 --to 2026-03-31
+//   node scripts/backfill-rollups.js --granularity day,month
+//
+// Run it once after upgrading, after bulk edits or deletes of readings, and
+// after scripts/migrate-institute-ids.js. Buckets overlapping the range are
+// replaced, so re-running is safe; readings arriving for that range while it
+// runs may be counted twice, so pause ingestion for backfills of recent data.
+const mongoose = require('mongoose');
+const { backfillRollups } = require('../services/rollups');
+const { GRANULARITIES } = require('../models/CarbonRollup');
+const { backfillBatchSize } = require('../config/rollups');
+require('dotenv').config();
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`--${name} must be a date (YYYY-MM-DD)`);
+  return date;
+};
+
+async function runBackfill() {
+  const instituteId = getArg('institute');
+  const from = parseDate(getArg('from'), 'from');
+  const to = parseDate(getArg('to'), 'to') || new Date();
+  const granularities = getArg('granularity', GRANULARITIES.join(',')).split(',').map(g => g.trim());
+  const unknown = granularities.filter(g => !GRANULARITIES.includes(g));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown granularity: ${unknown.join(', ')} (use ${GRANULARITIES.join(', ')})`);
+  }
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  console.log(`📊 Rebuilding ${granularities.join(', ')} rollups` +
+    `${instituteId ? ` for ${instituteId}` : ''}` +
+    ` from ${from ? from.toISOString() : 'the first reading'} to ${to.toISOString()}`);
+
+  const started = Date.now();
+  const written = await backfillRollups({
+    instituteId,
+    from,
+    to,
+    granularities,
+    batchSize: backfillBatchSize,
+    onProgress: ({ granularity, institute, written: count }) => {
+      console.log(`   ${granularity.padEnd(5)} ${institute}: ${count} rollups so far`);
+    }
+  });
+
+  Object.entries(written).forEach(([granularity, count]) => {
+    console.log(`✅ ${granularity}: ${count} rollups`);
+  });
+  console.log(`⏱️  Done in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+  await mongoose.connection.close();
+}
+
+if (require.main === module) {
+  runBackfill().catch(async (error) => {
+    console.error('💥 Rollup backfill failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
+}
+
+module.exports = { runBackfill };
@@ -0,0 +1,215 @@
+// Benchmark dashboard queries on raw readings against the rollups
+//
+// Usage:
+//   node scripts/benchmark-rollups.js                      # 1,000,000 readings
+//   node scripts/benchmark-rollups.js --readings 200000 --runs 3
+//   node scripts/benchmark-rollups.js --keep               # leave the data in place
+//
+// Seeds synthetic readings for a throwaway institute (rollup_benchmark),
+// builds its rollups with the backfill, then times each dashboard query both
+// ways and checks that they agree. Everything is removed afterwards unless
+// --keep is given. Needs roughly 1 GB of free disk space per million readings.
+const mongoose = require('mongoose');
+const CarbonBiometric = require('../models/CarbonBiometric');
+const { DailyRollup, MonthlyRollup } = require('../models/CarbonRollup');
+const { backfillRollups, clearRollups } = require('../services/rollups');
+require('dotenv').config();
+
+const INSTITUTE_ID = 'rollup_benchmark';
+const DAYS = 180;
+const SEED_BATCH = 10000;
+const DEPARTMENTS = ['Computer Science', 'Engineering', 'Medical', 'Business', 'Arts', 'Science'];
+const BUILDINGS = Array.from({ length: 12 }, (_, i) => `Block ${String.fromCharCode(65 + i)}`);
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+async function seed(total) {
+  const now = Date.now();
+  const span = DAYS * 24 * 60 * 60 * 1000;
+  const step = span / total;
+
+  for (let start = 0; start < total; start += SEED_BATCH) {
+    const docs = [];
+    for (let i = start; i < Math.min(start + SEED_BATCH, total); i++) {
+      const energy = 20 + (i % 97);
+      docs.push({
+        institute: { id: INSTITUTE_ID, name: 'Rollup Benchmark' },
+        instituteId: INSTITUTE_ID,
+        timestamp: new Date(now - span + i * step),
+        buildingName: BUILDINGS[i % BUILDINGS.length],
+        departmentName: DEPARTMENTS[i % DEPARTMENTS.length],
+        energyConsumption: energy,
+        renewableEnergyUsage: energy * 0.2,
+        gridEnergyUsage: energy * 0.8,
+        co2Emissions: energy * 0.8 * 0.000716,
+        carbonFootprint: energy * 0.8 * 0.000716,
+        co2Savings: energy * 0.0001,
+        energyEfficiency: 70 + (i % 25),
+        carbonEfficiency: 60 + (i % 30),
+        carbonBudget: { allocated: 1000, used: i % 800, remaining: 1000 - (i % 800) },
+        carbonWallet: { balance: 1000, transactions: [] },
+        dataSource: 'estimated'
+      });
+    }
+    // Straight to the driver: hooks would build the rollups we want to time
+    await CarbonBiometric.collection.insertMany(docs, { ordered: false });
+    process.stdout.write(`\r   seeded ${Math.min(start + SEED_BATCH, total).toLocaleString()} / ${total.toLocaleString()}`);
+  }
+  process.stdout.write('\n');
+}
+
+// The same answers computed from raw readings
+const raw = {
+  dashboard: async () => {
+    const latest = await CarbonBiometric.findOne({ instituteId: INSTITUTE_ID }).sort({ timestamp: -1 }).lean();
+    const latestDay = new Date(latest.timestamp);
+    latestDay.setUTCHours(0, 0, 0, 0);
+    const from = new Date(latestDay.getTime() - 29 * 24 * 60 * 60 * 1000);
+    const [row] = await CarbonBiometric.aggregate([
+      { $match: { instituteId: INSTITUTE_ID, timestamp: { $gte: from } } },
+      {
+        $group: {
+          _id: null,
+          co2Savings: { $sum: '$co2Savings' },
+          avgEnergyEfficiency: { $avg: '$energyEfficiency' },
+          carbonBudgetUsed: { $avg: '$carbonBudget.used' },
+          dataPoints: { $sum: 1 }
+        }
+      }
+    ]);
+    return row;
+  },
+  monthlyTrends: () => {
+    const now = new Date();
+    const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 6, 1));
+    return CarbonBiometric.aggregate([
+      { $match: { instituteId: INSTITUTE_ID, timestamp: { $gte: from } } },
+      {
+        $group: {
+          _id: { year: { $year: '$timestamp' }, month: { $month: '$timestamp' } },
+          consumption: { $sum: '$energyConsumption' }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]);
+  },
+  departments: () => CarbonBiometric.aggregate([
+    { $match: { instituteId: INSTITUTE_ID, departmentName: { $exists: true, $ne: null } } },
+    { $group: { _id: '$departmentName', consumption: { $sum: '$energyConsumption' } } },
+    { $sort: { consumption: -1 } }
+  ]),
+  buildings: () => CarbonBiometric.aggregate([
+    { $match: { instituteId: INSTITUTE_ID, buildingName: { $exists: true, $ne: null } } },
+    { $group: { _id: '$buildingName', consumption: { $sum: '$energyConsumption' } } },
+    { $sort: { consumption: -1 } }
+  ]),
+  weekly: () => {
+    const start = new Date();
+    start.setUTCDate(start.getUTCDate() - 6);
+    start.setUTCHours(0, 0, 0, 0);
+    return CarbonBiometric.aggregate([
+      { $match: { instituteId: INSTITUTE_ID, timestamp: { $gte: start } } },
+      {
+        $group: {
+          _id: { day: { $dayOfWeek: '$timestamp' }, department: '$departmentName' },
+          consumption: { $sum: '$energyConsumption' }
+        }
+      }
+    ]);
+  }
+};
+
+const rollup = {
+  dashboard: async () => (await DailyRollup.getDashboardData(INSTITUTE_ID, 30))[0],
+  monthlyTrends: () => MonthlyRollup.getMonthlyTrends(INSTITUTE_ID, 6),
+  departments: () => MonthlyRollup.getGroupData(INSTITUTE_ID, 'departmentName'),
+  buildings: () => MonthlyRollup.getGroupData(INSTITUTE_ID, 'buildingName'),
+  weekly: () => {
+    const start = new Date();
+    start.setUTCDate(start.getUTCDate() - 6);
+    return DailyRollup.getWeeklyEnergy(INSTITUTE_ID, start, 10);
+  }
+};
+
+// Both sides must agree before their timings mean anything
+const agreement = {
+  dashboard: (a, b) => a.dataPoints === b.dataPoints && Math.abs(a.co2Savings - b.co2Savings) < 0.01,
+  monthlyTrends: (a, b) => a.length === b.length && a.every((row, i) => Math.abs(Math.round(row.consumption) - b[i].consumption) <= 1),
+  departments: (a, b) => a.length === b.length && a.every((row, i) => Math.abs(Math.round(row.consumption) - b[i].consumption) <= 1),
+  buildings: (a, b) => a.length === b.length && a.every((row, i) => Math.abs(Math.round(row.consumption) - b[i].consumption) <= 1),
+  weekly: (a, b) => Math.abs(a.reduce((sum, r) => sum + r.consumption, 0) -
+    b.reduce((sum, r) => sum + r.totalWeeklyConsumption, 0)) < 1
+};
+
+async function time(fn, runs) {
+  const durations = [];
+  let result;
+  for (let i = 0; i < runs; i++) {
+    const started = process.hrtime.bigint();
+    result = await fn();
+    durations.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  durations.sort((a, b) => a - b);
+  return { median: durations[Math.floor(durations.length / 2)], result };
+}
+
+async function cleanup() {
+  await CarbonBiometric.deleteMany({ instituteId: INSTITUTE_ID });
+  await clearRollups({ instituteId: INSTITUTE_ID });
+}
+
+async function runBenchmark() {
+  const total = parseInt(getArg('readings', '1000000'));
+  const runs = parseInt(getArg('runs', '5'));
+  const keep = process.argv.includes('--keep');
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+  console.log('✅ Connected to MongoDB');
+
+  try {
+    await cleanup();
+    await Promise.all([CarbonBiometric.syncIndexes(), DailyRollup.syncIndexes(), MonthlyRollup.syncIndexes()]);
+
+    console.log(`\n🌱 Seeding ${total.toLocaleString()} readings over ${DAYS} days...`);
+    let started = Date.now();
+    await seed(total);
+    console.log(`   ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+    console.log('\n📊 Backfilling rollups...');
+    started = Date.now();
+    const written = await backfillRollups({ instituteId: INSTITUTE_ID });
+    console.log(`   ${Object.entries(written).map(([g, n]) => `${g} ${n}`).join(', ')} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+    console.log(`\n⏱️  Median of ${runs} runs (ms)`);
+    console.log(`   ${'query'.padEnd(14)} ${'raw'.padStart(10)} ${'rollup'.padStart(10)} ${'speedup'.padStart(9)}  agree`);
+    let disagreements = 0;
+    for (const name of Object.keys(raw)) {
+      const before = await time(raw[name], runs);
+      const after = await time(rollup[name], runs);
+      const agrees = agreement[name](before.result, after.result);
+      if (!agrees) disagreements++;
+      console.log(`   ${name.padEnd(14)} ${before.median.toFixed(1).padStart(10)} ${after.median.toFixed(1).padStart(10)} ` +
+        `${`${(before.median / Math.max(after.median, 0.01)).toFixed(0)}x`.padStart(9)}  ${agrees ? '✅' : '❌'}`);
+    }
+    if (disagreements > 0) process.exitCode = 1;
+  } finally {
+    if (!keep) {
+      console.log('\n🧹 Removing benchmark data...');
+      await cleanup();
+    }
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  runBenchmark().catch((error) => {
+    console.error('💥 Benchmark failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runBenchmark };
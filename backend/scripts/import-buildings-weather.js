@@ -0,0 +1,176 @@
+// Script to import data/building_metadata.csv and data/weather_train.csv
+// into the Building and WeatherObservation collections
+//
+// Usage:
+//   node scripts/import-buildings-weather.js
+//   node scripts/import-buildings-weather.js --buildings <file> --weather <file>
+//   node scripts/import-buildings-weather.js --dry-run   # parse and report only
+//
+// Re-running is safe: rows are upserted by building_id and (campus_id, date).
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Building = require('../models/Building');
+const Institute = require('../models/Institute');
+const WeatherObservation = require('../models/WeatherObservation');
+const { parseCsv } = require('../utils/csv');
+require('dotenv').config();
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const BATCH_SIZE = 500;
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// The CSV drops commas from names ("Technology  Jaipur"); match the names used elsewhere
+const normalizeName = (value) => value.replace(/\s+/g, ' ').trim();
+
+// weather_train.csv dates are DD-MM-YYYY; anything else (or 31-02) is rejected
+const parseDate = (value) => {
+  const match = /^(\d{1,2})-(\d{1,2})-(\d{4})$/.exec(value.trim());
+  if (!match) return null;
+  const [day, month, year] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCDate() === day && date.getUTCMonth() === month - 1 ? date : null;
+};
+
+function buildingFromRow(row) {
+  const buildingId = toNumber(row.building_id);
+  if (buildingId === undefined || !row.institute) return null;
+
+  return {
+    institute: normalizeName(row.institute),
+    campusId: String(row.campus_id),
+    buildingId,
+    name: normalizeName(row.assigned_name || `Building ${buildingId}`),
+    city: row.city || undefined,
+    location: {
+      latitude: toNumber(row.latitude),
+      longitude: toNumber(row.longitude)
+    },
+    primaryUse: row.primary_use || undefined,
+    squareFeet: toNumber(row.square_feet),
+    yearBuilt: toNumber(row.year_built),
+    floorCount: toNumber(row.floor_count)
+  };
+}
+
+function weatherFromRow(row) {
+  const date = parseDate(row.timestamp || '');
+  if (!date || row.campus_id === '') return null;
+
+  return {
+    campusId: String(row.campus_id),
+    date,
+    airTemperature: toNumber(row.air_temperature),
+    cloudCoverage: toNumber(row.cloud_coverage),
+    dewTemperature: toNumber(row.dew_temperature),
+    precipDepth1Hr: toNumber(row.precip_depth_1_hr),
+    seaLevelPressure: toNumber(row.sea_level_pressure),
+    windDirection: toNumber(row.wind_direction),
+    windSpeed: toNumber(row.wind_speed)
+  };
+}
+
+async function upsertInBatches(Model, docs, keyFor) {
+  let upserted = 0;
+  let modified = 0;
+
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const ops = docs.slice(i, i + BATCH_SIZE).map(doc => ({
+      updateOne: {
+        filter: keyFor(doc),
+        update: { $set: doc },
+        upsert: true
+      }
+    }));
+    const result = await Model.bulkWrite(ops, { ordered: false });
+    upserted += result.upsertedCount;
+    modified += result.modifiedCount;
+  }
+
+  return { upserted, modified };
+}
+
+function readRows(file, mapRow, label) {
+  const rows = parseCsv(fs.readFileSync(file, 'utf8'));
+  const docs = rows.map(mapRow).filter(Boolean);
+  console.log(`📄 ${label}: ${rows.length} rows read, ${docs.length} valid, ${rows.length - docs.length} skipped`);
+  return docs;
+}
+
+async function importBuildingsAndWeather() {
+  const buildingsFile = getArg('buildings', path.join(DATA_DIR, 'building_metadata.csv'));
+  const weatherFile = getArg('weather', path.join(DATA_DIR, 'weather_train.csv'));
+  const dryRun = process.argv.includes('--dry-run');
+
+  const buildings = readRows(buildingsFile, buildingFromRow, 'Buildings');
+  const observations = readRows(weatherFile, weatherFromRow, 'Weather');
+
+  const institutes = [...new Set(buildings.map(b => b.institute))];
+  console.log(`🏫 ${institutes.length} institutes, ${new Set(observations.map(o => o.campusId)).size} weather campuses`);
+
+  if (dryRun) {
+    institutes.forEach(name => console.log(`   - ${name}`));
+    console.log('🧪 Dry run: nothing written');
+    return;
+  }
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // bulkWrite skips document middleware, so resolve the institute reference here
+    const instituteIds = new Map();
+    for (const name of institutes) {
+      const institute = await Institute.resolve(name);
+      if (institute) {
+        instituteIds.set(name, institute.id);
+      } else {
+        console.log(`  ⚠️  No Institute document for "${name}"; its buildings are skipped`);
+      }
+    }
+    const resolvedBuildings = buildings
+      .filter(b => instituteIds.has(b.institute))
+      .map(b => ({ ...b, instituteId: instituteIds.get(b.institute) }));
+
+    const buildingResult = await upsertInBatches(Building, resolvedBuildings, doc => ({ buildingId: doc.buildingId }));
+    console.log(`  ✅ Buildings: ${buildingResult.upserted} inserted, ${buildingResult.modified} updated`);
+
+    const weatherResult = await upsertInBatches(
+      WeatherObservation,
+      observations,
+      doc => ({ campusId: doc.campusId, date: doc.date })
+    );
+    console.log(`  ✅ Weather observations: ${weatherResult.upserted} inserted, ${weatherResult.modified} updated`);
+
+    console.log('🎉 Import completed successfully!');
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  importBuildingsAndWeather().then(() => {
+    process.exit(0);
+  }).catch((error) => {
+    console.error('💥 Import failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  importBuildingsAndWeather,
+  buildingFromRow,
+  weatherFromRow
+};
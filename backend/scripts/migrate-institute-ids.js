@@ -0,0 +1,167 @@
+// Script to give existing documents the canonical instituteId reference
+//
+// Usage:
+//   node scripts/migrate-institute-ids.js             # set instituteId everywhere
+//   node scripts/migrate-institute-ids.js --dry-run   # report only
+//   node scripts/migrate-institute-ids.js --down      # remove instituteId again
+//
+// Documents used to carry the institute as a name string or an { id, name }
+// object and were matched by case-insensitive name. Each distinct value is
+// resolved against the institutes collection (id first, then name) and the
+// matching Institute.id is written to instituteId. The original `institute`
+// value is never modified, so --down only has to unset what was added.
+// Values that do not resolve are listed and left without an instituteId;
+// create or rename the institute and run the script again.
+const mongoose = require('mongoose');
+const Institute = require('../models/Institute');
+const User = require('../models/User');
+const CarbonData = require('../models/CarbonData');
+const CarbonBiometric = require('../models/CarbonBiometric');
+const EnergyConsumption = require('../models/EnergyConsumption');
+const Building = require('../models/Building');
+const DepartmentWallet = require('../models/DepartmentWallet');
+const MeterSubmission = require('../models/MeterSubmission');
+const BaselineProposal = require('../models/BaselineProposal');
+require('dotenv').config();
+
+const MODELS = [
+  User,
+  CarbonData,
+  CarbonBiometric,
+  EnergyConsumption,
+  Building,
+  DepartmentWallet,
+  MeterSubmission,
+  BaselineProposal
+];
+
+const MISSING_ID = { $or: [{ instituteId: { $exists: false } }, { instituteId: null }] };
+
+/**
+ * Set instituteId on every document of one collection that lacks it
+ * Raw collection access: the models now require instituteId, and this must
+ * not trigger validation or timestamps on historical documents
+ * @returns {Promise<Object>} - { updated, unresolved: [{ value, count }] }
+ */
+async function migrateCollection(Model, dryRun) {
+  const values = await Model.collection.distinct('institute', MISSING_ID);
+  let updated = 0;
+  const unresolved = [];
+
+  for (const value of values) {
+    const filter = { ...MISSING_ID, institute: value };
+    const institute = await Institute.resolve(value);
+
+    if (!institute) {
+      unresolved.push({ value, count: await Model.collection.countDocuments(filter) });
+      continue;
+    }
+
+    if (dryRun) {
+      updated += await Model.collection.countDocuments(filter);
+    } else {
+      const result = await Model.collection.updateMany(filter, { $set: { instituteId: institute.id } });
+      updated += result.modifiedCount;
+    }
+  }
+
+  return { updated, unresolved };
+}
+
+// Proposal keys were "<lowercased name>:<yyyymm>"; keep the old key for --down
+async function migrateProposalKeys(dryRun) {
+  const proposals = await BaselineProposal.collection
+    .find({ instituteId: { $exists: true }, legacyKey: { $exists: false } }, { projection: { key: 1, instituteId: 1, month: 1 } })
+    .toArray();
+
+  const stale = proposals.filter(p => p.key !== `${p.instituteId}:${p.month}`);
+  if (!dryRun) {
+    for (const proposal of stale) {
+      await BaselineProposal.collection.updateOne(
+        { _id: proposal._id },
+        { $set: { key: `${proposal.instituteId}:${proposal.month}`, legacyKey: proposal.key } }
+      );
+    }
+  }
+  return stale.length;
+}
+
+async function migrateUp(dryRun) {
+  let unresolvedTotal = 0;
+
+  for (const Model of MODELS) {
+    const { updated, unresolved } = await migrateCollection(Model, dryRun);
+    console.log(`  ${unresolved.length === 0 ? '✅' : '⚠️ '} ${Model.collection.name}: ${updated} documents ${dryRun ? 'to update' : 'updated'}`);
+    unresolved.forEach(({ value, count }) => {
+      console.log(`     - unresolved ${JSON.stringify(value)} (${count} documents)`);
+    });
+    unresolvedTotal += unresolved.reduce((sum, u) => sum + u.count, 0);
+  }
+
+  const rekeyed = await migrateProposalKeys(dryRun);
+  console.log(`  🔑 baseline proposal keys: ${rekeyed} ${dryRun ? 'to rewrite' : 'rewritten'}`);
+
+  if (unresolvedTotal > 0) {
+    console.log(`⚠️  ${unresolvedTotal} documents reference institutes that do not exist in the institutes collection`);
+  }
+}
+
+async function migrateDown(dryRun) {
+  const proposals = await BaselineProposal.collection
+    .find({ legacyKey: { $exists: true } }, { projection: { legacyKey: 1 } })
+    .toArray();
+  if (!dryRun) {
+    for (const proposal of proposals) {
+      await BaselineProposal.collection.updateOne(
+        { _id: proposal._id },
+        { $set: { key: proposal.legacyKey }, $unset: { legacyKey: '' } }
+      );
+    }
+  }
+  console.log(`  🔑 baseline proposal keys: ${proposals.length} ${dryRun ? 'to restore' : 'restored'}`);
+
+  for (const Model of MODELS) {
+    const filter = { instituteId: { $exists: true } };
+    const count = dryRun
+      ? await Model.collection.countDocuments(filter)
+      : (await Model.collection.updateMany(filter, { $unset: { instituteId: '' } })).modifiedCount;
+    console.log(`  ✅ ${Model.collection.name}: ${count} documents ${dryRun ? 'to revert' : 'reverted'}`);
+  }
+}
+
+async function migrateInstituteIds() {
+  const dryRun = process.argv.includes('--dry-run');
+  const down = process.argv.includes('--down');
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    console.log(down ? '⏪ Removing instituteId references' : '⏩ Adding instituteId references');
+    if (down) {
+      await migrateDown(dryRun);
+    } else {
+      await migrateUp(dryRun);
+    }
+
+    console.log(dryRun ? '🧪 Dry run: nothing written' : '🎉 Institute migration completed successfully!');
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateInstituteIds().then(() => {
+    process.exit(0);
+  }).catch((error) => {
+    console.error('💥 Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateInstituteIds,
+  migrateCollection
+};
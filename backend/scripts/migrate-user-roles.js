@@ -0,0 +1,109 @@
+// Script to assign roles to users created before role-based access control
+//
+// Usage:
+//   node scripts/migrate-user-roles.js                                  # derive roles from position
+//   node scripts/migrate-user-roles.js --dry-run                        # report only
+//   node scripts/migrate-user-roles.js --email a@b.edu --role platform_admin   # set one user's role
+//
+// Previously anyone with position 'Admin'/'Administrator' (or 'admin' in their
+// email) could read every institute. Position-based admins become platform
+// admins here; email-based ones are only listed, since anyone could register
+// such an address. Users that already have a role are left alone.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../config/roles');
+require('dotenv').config();
+
+const POSITION_ROLES = [
+  { pattern: /^(admin|administrator)$/i, role: 'platform_admin' },
+  { pattern: /(head of department|\bhod\b|department head|dean)/i, role: 'department_head' },
+  { pattern: /(staff|faculty|professor|lecturer|engineer|manager|officer)/i, role: 'staff' }
+];
+
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+const roleFromPosition = (position) => {
+  const match = POSITION_ROLES.find(({ pattern }) => pattern.test(position || ''));
+  return match ? match.role : 'student';
+};
+
+async function setSingleRole(email, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $set: { role } },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`User ${email} not found`);
+  }
+  console.log(`✅ ${user.email} is now ${role}`);
+}
+
+async function migrateUserRoles() {
+  const dryRun = process.argv.includes('--dry-run');
+  const email = getArg('email');
+  const role = getArg('role');
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    if (email || role) {
+      if (!email || !role) throw new Error('--email and --role must be used together');
+      await setSingleRole(email, role);
+      return;
+    }
+
+    // Raw collection read: the schema default would report 'student' for missing roles
+    const users = await User.collection
+      .find({ role: { $exists: false } }, { projection: { email: 1, position: 1 } })
+      .toArray();
+    console.log(`👥 ${users.length} users without a role`);
+
+    const counts = {};
+    const emailAdmins = [];
+    for (const user of users) {
+      const derived = roleFromPosition(user.position);
+      counts[derived] = (counts[derived] || 0) + 1;
+      if (derived !== 'platform_admin' && (user.email || '').includes('admin')) {
+        emailAdmins.push(user.email);
+      }
+      if (!dryRun) {
+        await User.collection.updateOne({ _id: user._id }, { $set: { role: derived } });
+      }
+    }
+
+    Object.entries(counts).forEach(([r, count]) => console.log(`   ${r}: ${count}`));
+    if (emailAdmins.length > 0) {
+      console.log('⚠️  These users were admins only because of their email address and are now regular users.');
+      console.log('   Promote them explicitly with --email <address> --role <role> if that is intended:');
+      emailAdmins.forEach(address => console.log(`   - ${address}`));
+    }
+    console.log(dryRun ? '🧪 Dry run: nothing written' : '🎉 Role migration completed successfully!');
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateUserRoles().then(() => {
+    process.exit(0);
+  }).catch((error) => {
+    console.error('💥 Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateUserRoles,
+  roleFromPosition
+};
@@ -1,6 +1,7 @@
 // Script to populate MongoDB with sample carbon biometric data for Indian institutes
 const mongoose = require('mongoose');
 const CarbonBiometric = require('../models/CarbonBiometric');
+const { clearRollups } = require('../services/rollups');
 const EnergyConsumption = require('../models/EnergyConsumption');
 require('dotenv').config();
 
@@ -61,6 +62,7 @@ async function populateIndianInstitutesData() {
     // Clear existing carbonbiometrics data (keep other US data separate)
     console.log('🧹 Clearing existing carbonbiometrics data...');
     await CarbonBiometric.deleteMany({});
+    await clearRollups();
     await EnergyConsumption.deleteMany({});
 
     console.log('📊 Creating carbon biometric data for Indian institutes...');
@@ -1,6 +1,7 @@
 // Script to populate MongoDB with sample carbon biometric and energy consumption data
 const mongoose = require('mongoose');
 const CarbonBiometric = require('../models/CarbonBiometric');
+const { clearRollups } = require('../services/rollups');
 const EnergyConsumption = require('../models/EnergyConsumption');
 require('dotenv').config();
 
@@ -42,6 +43,7 @@ async function populateSampleData() {
     // Clear existing data
     console.log('🧹 Clearing existing data...');
     await CarbonBiometric.deleteMany({});
+    await clearRollups();
     await EnergyConsumption.deleteMany({});
 
     console.log('📊 Creating carbon biometric data...');
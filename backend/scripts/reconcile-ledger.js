@@ -0,0 +1,73 @@
+// Check the wallet ledger for drift
+//
+// Usage:
+//   node scripts/reconcile-ledger.js                          # every institute
+//   node scripts/reconcile-ledger.js --institute iit_delhi    # one institute
+//   node scripts/reconcile-ledger.js --open-missing           # also bring older wallets onto the ledger
+//   node scripts/reconcile-ledger.js --json                   # machine-readable report
+//
+// Flags journals whose debits and credits differ, entries without a journal,
+// wallets whose CarbonData.walletBalance differs from their ledger account,
+// negative wallet balances and ledger accounts without a wallet. Wallets that
+// predate the ledger are counted separately; they are opened on their next
+// movement, or now with --open-missing. Exits with status 1 when anything
+// drifted, so it can run from cron and alert.
+const mongoose = require('mongoose');
+const { reconcileLedger } = require('../services/ledger');
+require('dotenv').config();
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const hasFlag = (name) => process.argv.includes(`--${name}`);
+
+const printSection = (title, rows, format) => {
+  console.log(`${rows.length === 0 ? '✅' : '❌'} ${title}: ${rows.length}`);
+  rows.slice(0, 20).forEach(row => console.log(`   ${format(row)}`));
+  if (rows.length > 20) console.log(`   ... and ${rows.length - 20} more`);
+};
+
+async function runReconciliation() {
+  const instituteId = getArg('institute');
+  const json = hasFlag('json');
+
+  if (!json) console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const report = await reconcileLedger({ instituteId, openMissing: hasFlag('open-missing') });
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`📒 Reconciled ${report.journals} journals and ${report.wallets} wallets` +
+      `${instituteId ? ` for ${instituteId}` : ''}`);
+    printSection('Unbalanced journals', report.unbalanced,
+      j => `${j.journal} (${j.type}): debits ${j.debit}, credits ${j.credit}, amount ${j.amount}, ${j.entries} entries`);
+    printSection('Entries without a journal', report.orphanEntries,
+      e => `${e._id} ${e.side} ${e.amount} on ${e.account} (journal ${e.journal})`);
+    printSection('Wallets out of step with the ledger', report.drift,
+      d => `${d.account} (${d.instituteId}): wallet ${d.walletBalance}, ledger ${d.ledgerBalance}, difference ${d.difference}`);
+    printSection('Negative wallet balances', report.negative, n => `${n.account}: ${n.balance}`);
+    printSection('Ledger accounts without a wallet', report.orphanAccounts, a => `${a.account}: ${a.balance}`);
+    if (report.opened > 0) console.log(`📥 Opened ${report.opened} wallets on the ledger`);
+    if (report.unopened > 0) console.log(`ℹ️  ${report.unopened} wallets are not on the ledger yet (--open-missing opens them)`);
+    console.log(report.ok ? '🎉 Ledger reconciles' : '💥 Ledger drift found');
+  }
+
+  await mongoose.connection.close();
+  return report;
+}
+
+if (require.main === module) {
+  runReconciliation().then((report) => {
+    process.exit(report.ok ? 0 : 1);
+  }).catch(async (error) => {
+    console.error('💥 Ledger reconciliation failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
+}
+
+module.exports = { runReconciliation };
@@ -0,0 +1,59 @@
+// Alert rules engine: evaluates enabled rules, reopens alerts whose snooze ended
+// with the threshold still breached, and resolves alerts that cleared
+//
+// Usage:
+//   node scripts/run-alert-engine.js                         # evaluate every ALERT_EVALUATE_INTERVAL_MS
+//   node scripts/run-alert-engine.js --once                  # single pass and exit
+//   node scripts/run-alert-engine.js --once --institute <id> # single institute
+//
+// Rules are also evaluated shortly after readings are stored; this worker covers
+// rules that change without new readings. Rules and alerts live under /api/alerts.
+const mongoose = require('mongoose');
+const { AlertEngine } = require('../services/alertEngine');
+require('dotenv').config();
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+async function runAlertEngine() {
+  const once = process.argv.includes('--once');
+  const instituteId = getArg('institute');
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const engine = new AlertEngine();
+
+  if (once) {
+    const summaries = await engine.runOnce({ instituteId });
+    for (const summary of summaries) {
+      console.log(`🚨 ${summary.instituteId}: ${summary.rules} rules, ${summary.breached} breached ` +
+        `(${summary.triggered} raised, ${summary.reopened} reopened, ${summary.resolved} resolved, ${summary.failed} failed)`);
+    }
+    await mongoose.connection.close();
+    return;
+  }
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping alert engine...');
+    engine.stop();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  engine.start();
+}
+
+if (require.main === module) {
+  runAlertEngine().catch((error) => {
+    console.error('💥 Alert engine failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runAlertEngine };
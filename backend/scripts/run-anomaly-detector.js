@@ -0,0 +1,59 @@
+// Consumption anomaly detector: spikes, night-time baseload creep and flat-lined meters
+//
+// Usage:
+//   node scripts/run-anomaly-detector.js                         # check every ANOMALY_DETECTOR_INTERVAL_MS
+//   node scripts/run-anomaly-detector.js --once                  # single pass and exit
+//   node scripts/run-anomaly-detector.js --once --institute <id> # single institute
+//
+// Works from the hourly rollups, so they must be current (scripts/backfill-rollups.js
+// rebuilds them). Anomalies are listed under /api/anomalies.
+const mongoose = require('mongoose');
+const { AnomalyDetector } = require('../services/anomalyDetector');
+require('dotenv').config();
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+async function runAnomalyDetector() {
+  const once = process.argv.includes('--once');
+  const instituteId = getArg('institute');
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const detector = new AnomalyDetector();
+
+  if (once) {
+    const summaries = await detector.runOnce({ instituteId });
+    for (const summary of summaries) {
+      console.log(summary.error
+        ? `❌ ${summary.instituteId}: ${summary.error}`
+        : `🔎 ${summary.instituteId}: ${summary.groups} groups, ${summary.found} anomalies (${summary.created} new, ${summary.resolved} resolved)`);
+    }
+    await mongoose.connection.close();
+    return;
+  }
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping anomaly detector...');
+    detector.stop();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  detector.start();
+}
+
+if (require.main === module) {
+  runAnomalyDetector().catch((error) => {
+    console.error('💥 Anomaly detector failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runAnomalyDetector };
@@ -0,0 +1,75 @@
+// EnergyAuction baseline publisher
+//
+// Usage:
+//   node scripts/run-baseline-publisher.js                    # draft + publish every BASELINE_PUBLISHER_INTERVAL_MS
+//   node scripts/run-baseline-publisher.js --once             # single pass and exit
+//   node scripts/run-baseline-publisher.js --draft 202511     # (re)draft proposals for a month and exit
+//
+// Requires BASELINE_PUBLISHER_PRIVATE_KEY (ORACLE_ROLE holder on EnergyAuction) to publish.
+// Proposals are reviewed and approved by admins under /api/baseline-proposals.
+const mongoose = require('mongoose');
+const DepartmentWallet = require('../models/DepartmentWallet');
+const { BaselinePublisher } = require('../services/baselinePublisher');
+const { getInstituteDisplayName } = require('../middleware/instituteAuth');
+require('dotenv').config();
+
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+async function runBaselinePublisher() {
+  const once = process.argv.includes('--once');
+  const draftMonth = parseInt(getArg('draft'));
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const publisher = new BaselinePublisher();
+
+  if (draftMonth) {
+    const instituteIds = await DepartmentWallet.distinct('instituteId', { active: true });
+    for (const instituteId of instituteIds) {
+      try {
+        const proposal = await publisher.draftProposal(instituteId, draftMonth, 'manual');
+        const total = proposal.lines.reduce((sum, line) => sum + line.kWh, 0);
+        console.log(`📝 ${getInstituteDisplayName(proposal.institute)}: ${proposal.lines.length} departments, ${total} kWh`);
+      } catch (error) {
+        console.log(`⚠️  ${instituteId}: ${error.message}`);
+      }
+    }
+    await mongoose.connection.close();
+    return;
+  }
+
+  await publisher.checkRoles();
+  console.log(`🏛️  Publishing baselines as ${publisher.wallet.address}`);
+
+  if (once) {
+    const result = await publisher.runOnce();
+    console.log(`📈 Drafted ${result.drafted}, published ${result.published} proposals`);
+    await mongoose.connection.close();
+    return;
+  }
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping baseline publisher...');
+    publisher.stop();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  publisher.start();
+}
+
+if (require.main === module) {
+  runBaselinePublisher().catch((error) => {
+    console.error('💥 Baseline publisher failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runBaselinePublisher };
@@ -0,0 +1,57 @@
+// Long-running chain indexer: mirrors contract events into MongoDB
+//
+// Usage:
+//   node scripts/run-chain-indexer.js          # poll forever
+//   node scripts/run-chain-indexer.js --once   # index up to the current head and exit
+//
+// Reads RPC_URL_LOCAL / CHAIN_NETWORK and deploy/deployments/<network>.json (see config/chain.js)
+const mongoose = require('mongoose');
+const { ChainIndexer } = require('../services/chainIndexer');
+const { publishChainEvent } = require('../services/liveEvents');
+require('dotenv').config();
+
+async function runChainIndexer() {
+  const once = process.argv.includes('--once');
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const indexer = new ChainIndexer();
+  console.log(`⛓️  Indexing ${Object.keys(indexer.contracts).length} contracts on ${indexer.network}`);
+
+  indexer.on('event', (doc) => {
+    console.log(`  #${doc.blockNumber} ${doc.contract}.${doc.event} ${doc.transactionHash}`);
+    publishChainEvent(doc).catch(error => console.error('Live chain event error:', error.message));
+  });
+  indexer.on('reorg', ({ forkPoint, removed }) => {
+    console.log(`  ↩️  Reorg: rolled back to block ${forkPoint}, removed ${removed} events`);
+  });
+
+  if (once) {
+    const count = await indexer.pollOnce();
+    console.log(`📈 Indexed ${count} new events`);
+    await mongoose.connection.close();
+    return;
+  }
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping chain indexer...');
+    indexer.stop();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  indexer.start();
+}
+
+if (require.main === module) {
+  runChainIndexer().catch((error) => {
+    console.error('💥 Chain indexer failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runChainIndexer };
@@ -0,0 +1,67 @@
+// Chain reconciler: department wallet ledgers vs on-chain EnergyToken holdings
+//
+// Usage:
+//   node scripts/run-chain-reconciler.js                         # reconcile every CHAIN_RECONCILE_INTERVAL_MS
+//   node scripts/run-chain-reconciler.js --once                  # single pass and exit
+//   node scripts/run-chain-reconciler.js --once --institute <id> # single institute
+//
+// Reads from RPC_URL_LOCAL at the latest block; only departments with an active
+// DepartmentWallet are reconciled. Escrow is taken from sell requests tracked by
+// the settlement worker, so run it (and the chain indexer) alongside.
+const mongoose = require('mongoose');
+const { ChainReconciler } = require('../services/chainReconciler');
+require('dotenv').config();
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const printReport = (report) => {
+  const icon = { matched: '✅', discrepancies: '⚠️ ', failed: '❌' }[report.status];
+  console.log(`${icon} ${report.instituteId} @ block ${report.blockNumber}: ${report.status}${report.error ? ` (${report.error})` : ''}`);
+  for (const line of report.departments.filter(l => l.status !== 'matched')) {
+    console.log(`   ${line.departmentName} ${line.address}: ${line.status === 'error' ? line.error : `difference ${line.difference}`}`);
+  }
+};
+
+async function runChainReconciler() {
+  const once = process.argv.includes('--once');
+  const instituteId = getArg('institute');
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const reconciler = new ChainReconciler();
+  console.log(`🧮 Reconciling department wallets on '${reconciler.network}' (tolerance ${reconciler.tolerance})`);
+
+  if (once) {
+    const reports = await reconciler.runOnce({ instituteId });
+    reports.forEach(printReport);
+    console.log(`📈 ${reports.length} institute(s) reconciled`);
+    await mongoose.connection.close();
+    process.exitCode = reports.some(r => r.status !== 'matched') ? 1 : 0;
+    return;
+  }
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping chain reconciler...');
+    reconciler.stop();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  reconciler.start();
+}
+
+if (require.main === module) {
+  runChainReconciler().catch((error) => {
+    console.error('💥 Chain reconciler failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runChainReconciler };
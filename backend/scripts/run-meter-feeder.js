@@ -0,0 +1,50 @@
+// Meter feeder: pushes department readings to EnergyOracle.recordUsageSigned
+//
+// Usage:
+//   node scripts/run-meter-feeder.js          # queue and submit every FEEDER_INTERVAL_MS
+//   node scripts/run-meter-feeder.js --once   # single pass and exit
+//
+// Requires ORACLE_FEEDER_PRIVATE_KEY (ORACLE_ROLE holder) and optionally METER_SIGNER_PRIVATE_KEY
+// (see config/chain.js). Departments must be linked to wallets via PUT /api/feeder/wallets.
+const mongoose = require('mongoose');
+const { MeterFeeder } = require('../services/meterFeeder');
+require('dotenv').config();
+
+async function runMeterFeeder() {
+  const once = process.argv.includes('--once');
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const feeder = new MeterFeeder();
+  await feeder.checkRoles();
+  console.log(`⛽ Feeder ${feeder.wallet.address}, meter signer ${feeder.meterSigner.address}`);
+
+  if (once) {
+    const result = await feeder.runOnce();
+    console.log(`📈 Queued ${result.queued}, confirmed ${result.confirmed}, failed ${result.failed}`);
+    await mongoose.connection.close();
+    return;
+  }
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping meter feeder...');
+    feeder.stop();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  feeder.start();
+}
+
+if (require.main === module) {
+  runMeterFeeder().catch((error) => {
+    console.error('💥 Meter feeder failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runMeterFeeder };
@@ -0,0 +1,56 @@
+// MQTT bridge: stores readings campus meters publish over MQTT
+//
+// Usage:
+//   node scripts/run-mqtt-bridge.js              # subscribe to MQTT_URL
+//   node scripts/run-mqtt-bridge.js --embedded   # also run a broker on MQTT_EMBEDDED_PORT
+//
+// Meters publish JSON or CSV to <MQTT_TOPIC_PREFIX>/<instituteId>/<building>/<deviceId>
+// and must be registered via POST /api/devices. With the embedded broker they
+// connect with their deviceId as username and API key as password.
+const mongoose = require('mongoose');
+const mqttConfig = require('../config/mqtt');
+const { MqttBridge } = require('../services/mqttBridge');
+const { startEmbeddedBroker } = require('../services/mqttBroker');
+require('dotenv').config();
+
+async function runMqttBridge() {
+  const embedded = mqttConfig.embeddedBroker || process.argv.includes('--embedded');
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  let broker = null;
+  let bridge;
+  if (embedded) {
+    broker = await startEmbeddedBroker({ port: mqttConfig.embeddedPort, topicPrefix: mqttConfig.topicPrefix });
+    console.log(`📡 Embedded MQTT broker listening on port ${broker.port}`);
+    bridge = new MqttBridge({ url: broker.url, ...broker.credentials });
+  } else {
+    bridge = new MqttBridge();
+  }
+
+  await bridge.start();
+  console.log(`📥 Subscribed to ${bridge.topic} on ${bridge.url}`);
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping MQTT bridge...');
+    await bridge.stop();
+    if (broker) await broker.close();
+    const { accepted, duplicate, rejected, dropped } = bridge.stats;
+    console.log(`📈 Accepted ${accepted}, duplicate ${duplicate}, rejected ${rejected}, dropped ${dropped}`);
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  runMqttBridge().catch((error) => {
+    console.error('💥 MQTT bridge failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runMqttBridge };
@@ -0,0 +1,51 @@
+// FiatGateway settlement worker
+//
+// Usage:
+//   node scripts/run-settlement-worker.js          # process requests every SETTLEMENT_INTERVAL_MS
+//   node scripts/run-settlement-worker.js --once   # single pass and exit
+//
+// Requires SETTLEMENT_PRIVATE_KEY (SETTLEMENT_ROLE holder) and a running chain indexer,
+// which feeds BuyInitiated/SellInitiated events into MongoDB. PAYMENT_PROVIDER selects
+// the adapter (default: mock).
+const mongoose = require('mongoose');
+const { SettlementWorker } = require('../services/settlementWorker');
+require('dotenv').config();
+
+async function runSettlementWorker() {
+  const once = process.argv.includes('--once');
+
+  console.log('🔌 Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const worker = new SettlementWorker();
+  await worker.checkRoles();
+  console.log(`🏦 Settling as ${worker.wallet.address} via '${worker.paymentProvider.name}' provider`);
+
+  if (once) {
+    const result = await worker.runOnce();
+    console.log(`📈 Discovered ${result.discovered}, processed ${result.processed} open requests`);
+    await mongoose.connection.close();
+    return;
+  }
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping settlement worker...');
+    worker.stop();
+    await mongoose.connection.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  worker.start();
+}
+
+if (require.main === module) {
+  runSettlementWorker().catch((error) => {
+    console.error('💥 Settlement worker failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runSettlementWorker };
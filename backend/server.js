@@ -1,60 +1,15 @@
 // backend/server.js
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
 const dotenv = require('dotenv');
-const connectDB = require('./config/database');
-const authRoutes = require('./routes/auth');
-const instituteRoutes = require('./routes/institutes');
-const carbonDataRoutes = require('./routes/carbonData');
 
 // Load env vars
 dotenv.config();
 
+const connectDB = require('./config/database');
+const app = require('./app');
+
 // Connect to database
 connectDB();
 
-const app = express();
-
-// Security middleware
-app.use(helmet());
-
-// CORS configuration
-app.use(cors({
-  origin: ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:3002'], // Allow multiple frontend URLs
-  credentials: true,
-  optionsSuccessStatus: 200
-}));
-
-console.log('CORS configured to allow origins:', ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:3002']);
-
-// Body parser middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/institutes', instituteRoutes);
-app.use('/api/carbon-data', carbonDataRoutes);
-
-// Health check route
-app.get('/api/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Server is running',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!'
-  });
-});
-
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
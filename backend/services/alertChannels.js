@@ -0,0 +1,166 @@
+// backend/services/alertChannels.js
+// Delivers alert lifecycle events to a rule's channels:
+//   in_app  - live event to the institute's dashboards (every event)
+//   email   - the rule's recipients (triggered and reopened; resolutions are not mailed)
+//   webhook - JSON POST (every event), signed with HMAC-SHA256 of the body in
+//             X-GreenPulse-Signature when the rule has a secret. Only public
+//             addresses are reached (see config/alerts.js for trusted hosts),
+//             redirects are not followed and the receiver's answer is not
+//             recorded, so a webhook cannot be used to probe internal services.
+// Each attempt is recorded on the alert; a failing channel never stops the others.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const alertConfig = require('../config/alerts');
+const mailConfig = require('../config/mail');
+const { sendMail } = require('./mailer');
+const { publish, publishAlert } = require('./liveEvents');
+const { METRICS } = require('./alertRules');
+const { AddressNotAllowedError, isPrivateHostname, publicLookup } = require('../utils/publicAddress');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Alert as sent to dashboards and webhooks
+ */
+const alertPayload = (alert) => ({
+  id: String(alert._id),
+  instituteId: alert.instituteId,
+  rule: { id: String(alert.rule), name: alert.ruleName },
+  metric: alert.metric,
+  unit: (METRICS[alert.metric] || {}).unit,
+  scope: alert.scope,
+  comparison: alert.comparison,
+  threshold: alert.threshold,
+  windowHours: alert.windowHours,
+  severity: alert.severity,
+  status: alert.status,
+  message: alert.message,
+  value: alert.value,
+  triggeredAt: alert.triggeredAt,
+  snoozedUntil: alert.snoozedUntil,
+  resolvedAt: alert.resolvedAt
+});
+
+/**
+ * Hex HMAC-SHA256 of a webhook body
+ */
+const signPayload = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const sendInApp = (alert, event) => {
+  // New and reopened alerts land in the panel; everything else updates it in place
+  const published = event === 'resolved'
+    ? publish(alert.instituteId, 'alert.updated', alertPayload(alert))
+    : publishAlert(alert.instituteId, {
+      ...alertPayload(alert),
+      id: `alert_${alert._id}`,
+      type: 'alert_rule',
+      alertId: String(alert._id),
+      building: alert.scope.buildingName || undefined,
+      department: alert.scope.departmentName || undefined
+    });
+  return published.then((stored) => {
+    if (!stored) throw new Error('Live event not stored');
+  });
+};
+
+const sendEmail = (alert, to, event) => {
+  const link = `${mailConfig.appUrl}/admin/default`;
+  const subject = `[${alert.severity.toUpperCase()}] ${alert.ruleName}${event === 'reopened' ? ' (still breached)' : ''}`;
+  return sendMail({
+    to,
+    subject,
+    text: [
+      alert.message,
+      '',
+      event === 'reopened' ? 'The alert was snoozed and the condition has not cleared.' : `Raised ${alert.triggeredAt.toUTCString()}.`,
+      '',
+      `Acknowledge or snooze it from the alerts panel: ${link}`
+    ].join('\n'),
+    html: `<p>${escapeHtml(alert.message)}</p>` +
+      `<p>${event === 'reopened' ? 'The alert was snoozed and the condition has not cleared.' : `Raised ${alert.triggeredAt.toUTCString()}.`}</p>` +
+      `<p><a href="${link}">Open the alerts panel</a> to acknowledge or snooze it.</p>`
+  });
+};
+
+const sendWebhook = async (alert, webhook, event) => {
+  const body = JSON.stringify({ event: `alert.${event}`, sentAt: new Date().toISOString(), alert: alertPayload(alert) });
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'GreenPulse-Alerts',
+    'X-GreenPulse-Event': `alert.${event}`
+  };
+  if (webhook.secret) headers['X-GreenPulse-Signature'] = `sha256=${signPayload(body, webhook.secret)}`;
+
+  const url = new URL(webhook.url);
+  const trusted = alertConfig.webhookAllowedHosts.includes(url.hostname.toLowerCase());
+  // Literal IPs never reach the lookup, so they are checked here
+  if (!trusted && isPrivateHostname(url.hostname)) throw new AddressNotAllowedError(url.hostname);
+
+  await new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: trusted ? undefined : publicLookup,
+      signal: AbortSignal.timeout(alertConfig.webhookTimeoutMs)
+    }, (response) => {
+      response.resume();
+      if (response.statusCode >= 200 && response.statusCode < 300) resolve();
+      else reject(new Error(`Webhook responded ${response.statusCode}`));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+// What a rule's admin sees for a failed webhook: whether the host was refused,
+// never how the receiver answered
+const webhookError = (error) => (error instanceof AddressNotAllowedError
+  ? 'Webhook host is not a public address'
+  : 'Webhook delivery failed');
+
+/**
+ * Send an alert event to the rule's channels and record each attempt on the alert
+ * (the caller saves it). Never rejects.
+ * @param {Object} alert - Alert document
+ * @param {Object} rule - AlertRule with channels.webhook.secret selected
+ * @param {string} event - triggered | reopened | resolved
+ */
+const deliverAlert = async (alert, rule, event) => {
+  const channels = (rule && rule.channels) || { inApp: true };
+  const attempts = [];
+  if (channels.inApp) attempts.push({ channel: 'in_app', send: () => sendInApp(alert, event) });
+  if (event !== 'resolved') {
+    for (const to of channels.email || []) {
+      attempts.push({ channel: 'email', target: to, send: () => sendEmail(alert, to, event) });
+    }
+  }
+  if (channels.webhook && channels.webhook.url) {
+    attempts.push({ channel: 'webhook', target: channels.webhook.url, send: () => sendWebhook(alert, channels.webhook, event) });
+  }
+
+  const results = await Promise.all(attempts.map(async ({ channel, target, send }) => {
+    try {
+      await send();
+      return { channel, target, event, status: 'sent', at: new Date() };
+    } catch (error) {
+      console.error(`Alert ${channel} delivery error:`, error.message);
+      return {
+        channel,
+        target,
+        event,
+        status: 'failed',
+        error: channel === 'webhook' ? webhookError(error) : error.message,
+        at: new Date()
+      };
+    }
+  }));
+  alert.deliveries.push(...results);
+  return results;
+};
+
+module.exports = {
+  alertPayload,
+  signPayload,
+  deliverAlert
+};
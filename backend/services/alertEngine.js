@@ -0,0 +1,280 @@
+// backend/services/alertEngine.js
+// Evaluates institutes' alert rules and runs the alert lifecycle. Rules are
+// evaluated when readings are stored (throttled per institute, in whichever
+// process stored them) and on a schedule by the AlertEngine worker, which also
+// catches snoozes that ended. For each enabled rule:
+//   breached, no active alert    -> raise one (open) and notify its channels
+//   breached, active alert       -> record the value; a snooze that has ended
+//                                   reopens the alert and notifies again
+//   within threshold, active     -> resolve it (auto)
+//   no data in the window        -> nothing changes
+// People acknowledge, snooze and resolve alerts through the API; those changes
+// are pushed to dashboards as alert.updated live events.
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const alertConfig = require('../config/alerts');
+const { AlertError, measureRule, isBreached, describeBreach } = require('./alertRules');
+const { deliverAlert, alertPayload } = require('./alertChannels');
+const { publish } = require('./liveEvents');
+
+const WITH_SECRET = '+channels.webhook.secret';
+
+const ruleSnapshot = (rule) => ({
+  rule: rule._id,
+  ruleName: rule.name,
+  metric: rule.metric,
+  scope: { buildingName: rule.scope.buildingName, departmentName: rule.scope.departmentName },
+  comparison: rule.comparison,
+  threshold: rule.threshold,
+  windowHours: rule.windowHours,
+  severity: rule.severity
+});
+
+const announceUpdate = (alert) => publish(alert.instituteId, 'alert.updated', alertPayload(alert));
+
+/**
+ * Evaluate one rule and move its alert through the lifecycle
+ * @param {Object} rule - AlertRule document, loaded with its webhook secret
+ * @returns {Promise<Object>} - { rule, value, breached, action } where action is
+ *   triggered | reopened | breaching | resolved | null
+ */
+const evaluateRule = async (rule, now = new Date()) => {
+  const value = await measureRule(rule, now);
+  const breached = isBreached(rule, value);
+  await AlertRule.updateOne({ _id: rule._id }, { $set: { lastEvaluation: { at: now, value, breached } } });
+
+  const result = { rule: String(rule._id), value, breached, action: null };
+  const active = await Alert.findOne({ rule: rule._id, active: true });
+
+  if (breached && !active) {
+    const alert = new Alert({
+      ...ruleSnapshot(rule),
+      institute: rule.institute,
+      instituteId: rule.instituteId,
+      message: `${rule.name}: ${describeBreach(rule, value)}`,
+      triggerValue: value,
+      value,
+      triggeredAt: now,
+      lastBreachedAt: now
+    });
+    alert.transition('open', 'Threshold breached', undefined, now);
+    try {
+      await alert.save();
+    } catch (error) {
+      // Another evaluation raised it first
+      if (error.code === 11000) return result;
+      throw error;
+    }
+    await deliverAlert(alert, rule, 'triggered');
+    await alert.save();
+    result.action = 'triggered';
+    return result;
+  }
+
+  if (breached) {
+    active.value = value;
+    active.message = `${rule.name}: ${describeBreach(rule, value)}`;
+    active.lastBreachedAt = now;
+    active.breaches += 1;
+    result.action = 'breaching';
+    if (active.status === 'snoozed' && active.snoozedUntil <= now) {
+      active.snoozedUntil = undefined;
+      active.transition('open', 'Snooze ended with the threshold still breached', undefined, now);
+      await deliverAlert(active, rule, 'reopened');
+      result.action = 'reopened';
+    }
+    await active.save();
+    return result;
+  }
+
+  if (active && value !== null) {
+    active.value = value;
+    active.resolvedAt = now;
+    active.snoozedUntil = undefined;
+    active.resolution = { auto: true, note: `Back within threshold (${value})` };
+    active.transition('resolved', active.resolution.note, undefined, now);
+    await deliverAlert(active, rule, 'resolved');
+    await active.save();
+    result.action = 'resolved';
+  }
+  return result;
+};
+
+/**
+ * Evaluate every enabled rule of an institute; a failing rule does not stop the others
+ * @returns {Promise<Object>} - { instituteId, rules, breached, triggered, reopened, resolved, failed }
+ */
+const evaluateInstitute = async (instituteId, now = new Date()) => {
+  const rules = await AlertRule.find({ instituteId, enabled: true }).select(WITH_SECRET);
+  const summary = { instituteId, rules: rules.length, breached: 0, triggered: 0, reopened: 0, resolved: 0, failed: 0 };
+
+  for (const rule of rules) {
+    try {
+      const { breached, action } = await evaluateRule(rule, now);
+      if (breached) summary.breached += 1;
+      if (action in summary) summary[action] += 1;
+    } catch (error) {
+      console.error(`Alert rule ${rule._id} evaluation error:`, error.message);
+      summary.failed += 1;
+    }
+  }
+  return summary;
+};
+
+// Institutes with an evaluation already scheduled by incoming readings
+const pending = new Map();
+
+/**
+ * Evaluate the rules of institutes that just stored readings, at most once per
+ * ingestDebounceMs each, so a burst of readings is judged once it has landed.
+ * Never rejects.
+ * @param {Array} docs - Stored CarbonBiometric documents
+ */
+const requestEvaluation = (docs) => {
+  const instituteIds = new Set(docs.map(doc => doc && doc.instituteId).filter(Boolean));
+  for (const instituteId of instituteIds) {
+    if (pending.has(instituteId)) continue;
+    const timer = setTimeout(() => {
+      pending.delete(instituteId);
+      evaluateInstitute(instituteId).catch((error) => {
+        console.error(`Alert evaluation for ${instituteId} failed:`, error.message);
+      });
+    }, alertConfig.ingestDebounceMs);
+    // Never keeps a script that stored readings alive
+    timer.unref();
+    pending.set(instituteId, timer);
+  }
+};
+
+/**
+ * Acknowledge an open or snoozed alert; it stays active until resolved
+ */
+const acknowledgeAlert = async (alert, userId, note) => {
+  if (!['open', 'snoozed'].includes(alert.status)) {
+    throw new AlertError(`Alert is already ${alert.status}`, 409);
+  }
+  const at = new Date();
+  alert.acknowledgement = { by: userId, at, note: note || undefined };
+  alert.snoozedUntil = undefined;
+  alert.transition('acknowledged', note || 'Acknowledged', userId, at);
+  await alert.save();
+  await announceUpdate(alert);
+  return alert;
+};
+
+/**
+ * Silence an active alert until a time; if the rule is still breached then, it reopens
+ * @param {Object} options - { minutes } or { until }, plus an optional note
+ */
+const snoozeAlert = async (alert, userId, { minutes, until, note } = {}) => {
+  if (!alert.active) {
+    throw new AlertError('Resolved alerts can not be snoozed', 409);
+  }
+  const now = new Date();
+  const end = until !== undefined && until !== null && until !== ''
+    ? new Date(until)
+    : new Date(now.getTime() + (minutes !== undefined ? Number(minutes) : alertConfig.defaultSnoozeMinutes) * 60 * 1000);
+  if (isNaN(end.getTime()) || end <= now) {
+    throw new AlertError('Snooze must end in the future');
+  }
+  if (end.getTime() - now.getTime() > alertConfig.maxSnoozeMinutes * 60 * 1000) {
+    throw new AlertError(`Alerts can be snoozed for at most ${alertConfig.maxSnoozeMinutes} minutes`);
+  }
+
+  alert.snoozedUntil = end;
+  alert.transition('snoozed', note || `Snoozed until ${end.toISOString()}`, userId, now);
+  await alert.save();
+  await announceUpdate(alert);
+  return alert;
+};
+
+/**
+ * Resolve an active alert by hand. If the rule is still breached, the next
+ * evaluation raises a new alert.
+ */
+const resolveAlert = async (alert, userId, note) => {
+  if (!alert.active) {
+    throw new AlertError('Alert is already resolved', 409);
+  }
+  const at = new Date();
+  alert.resolvedAt = at;
+  alert.snoozedUntil = undefined;
+  alert.resolution = { by: userId, auto: false, note: note || undefined };
+  alert.transition('resolved', note || 'Resolved', userId, at);
+  const rule = await AlertRule.findById(alert.rule).select(WITH_SECRET);
+  await deliverAlert(alert, rule, 'resolved');
+  await alert.save();
+  return alert;
+};
+
+/**
+ * Resolve a rule's active alert when the rule is disabled or deleted
+ * @returns {Promise<number>} - Alerts resolved
+ */
+const closeRuleAlerts = async (rule, note, userId) => {
+  const active = await Alert.findOne({ rule: rule._id, active: true });
+  if (!active) return 0;
+  await resolveAlert(active, userId, note);
+  return 1;
+};
+
+class AlertEngine {
+  constructor(options = {}) {
+    this.interval = options.interval || alertConfig.interval;
+    this.running = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error('Alert engine error:', error.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(tick, this.interval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Evaluate every institute with enabled rules (or one)
+   * @returns {Promise<Array>} - One summary per institute
+   */
+  async runOnce({ instituteId, now = new Date() } = {}) {
+    const instituteIds = instituteId
+      ? [instituteId]
+      : await AlertRule.distinct('instituteId', { enabled: true });
+
+    const summaries = [];
+    for (const id of instituteIds) {
+      summaries.push(await evaluateInstitute(id, now));
+    }
+    return summaries;
+  }
+}
+
+module.exports = {
+  AlertEngine,
+  evaluateRule,
+  evaluateInstitute,
+  requestEvaluation,
+  acknowledgeAlert,
+  snoozeAlert,
+  resolveAlert,
+  closeRuleAlerts
+};
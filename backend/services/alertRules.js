@@ -0,0 +1,230 @@
+// backend/services/alertRules.js
+// Metrics alert rules can watch, how a rule's metric is measured from the
+// hourly rollups, and validation of rules as entered by institute admins.
+// Windows are whole hours ending with the current (partial) hour, so a rule
+// evaluated on ingest already sees the readings that triggered it.
+const { HourlyRollup, TOTAL_FIELDS, MEAN_FIELDS } = require('../models/CarbonRollup');
+const { COMPARISONS, SEVERITIES } = require('../models/AlertRule');
+const alertConfig = require('../config/alerts');
+const { bucketStart } = require('./rollups');
+const { isPrivateHostname } = require('../utils/publicAddress');
+
+const HOUR_MS = 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class AlertError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AlertError';
+    this.status = status;
+  }
+}
+
+const mean = (field) => (group) => (group[`${field}N`] > 0 ? group[`${field}Sum`] / group[`${field}N`] : null);
+
+// Metric key => how it reads from summed rollups; `empty` is the value of a window without rollups
+const METRICS = {
+  energy_kwh: { label: 'Energy consumption', unit: 'kWh', value: group => group.energyConsumption },
+  grid_energy_kwh: { label: 'Grid energy', unit: 'kWh', value: group => group.gridEnergyUsage },
+  co2_emissions_t: { label: 'CO₂ emissions', unit: 'tCO2e', value: group => group.co2Emissions },
+  co2_savings_t: { label: 'CO₂ savings', unit: 'tCO2e', value: group => group.co2Savings },
+  renewable_share_pct: {
+    label: 'Renewable share',
+    unit: '%',
+    value: group => (group.energyConsumption > 0 ? group.renewableEnergyUsage / group.energyConsumption * 100 : null)
+  },
+  energy_efficiency_pct: { label: 'Energy efficiency', unit: '%', value: mean('energyEfficiency') },
+  carbon_efficiency_pct: { label: 'Carbon efficiency', unit: '%', value: mean('carbonEfficiency') },
+  carbon_budget_used: { label: 'Carbon budget used', unit: 'ENTO', value: mean('carbonBudgetUsed') },
+  reading_count: { label: 'Readings received', unit: 'readings', value: group => group.count, empty: 0 }
+};
+
+const COMPARISON_WORDS = { gt: 'above', gte: 'at or above', lt: 'below', lte: 'at or below' };
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Metrics for rule forms: [{ key, label, unit }]
+ */
+const listMetrics = () => Object.entries(METRICS).map(([key, { label, unit }]) => ({ key, label, unit }));
+
+/**
+ * Hours of rollups a rule covers at a point in time
+ * @returns {{ from: Date, to: Date }} - [from, to)
+ */
+const ruleWindow = (rule, now = new Date()) => {
+  const to = new Date(bucketStart(now, 'hour').getTime() + HOUR_MS);
+  return { from: new Date(to.getTime() - rule.windowHours * HOUR_MS), to };
+};
+
+/**
+ * Current value of a rule's metric over its window and scope
+ * @returns {Promise<number|null>} - null when there is no data to judge by
+ */
+const measureRule = async (rule, now = new Date()) => {
+  const metric = METRICS[rule.metric];
+  if (!metric) throw new AlertError(`Unknown metric: ${rule.metric}`);
+
+  const { from, to } = ruleWindow(rule, now);
+  const match = { instituteId: rule.instituteId, bucket: { $gte: from, $lt: to } };
+  if (rule.scope && rule.scope.buildingName) match.buildingName = rule.scope.buildingName;
+  if (rule.scope && rule.scope.departmentName) match.departmentName = rule.scope.departmentName;
+
+  const group = { _id: null, count: { $sum: '$count' } };
+  for (const field of Object.keys(TOTAL_FIELDS)) group[field] = { $sum: `$totals.${field}` };
+  for (const field of Object.keys(MEAN_FIELDS)) {
+    group[`${field}Sum`] = { $sum: `$means.${field}.sum` };
+    group[`${field}N`] = { $sum: `$means.${field}.n` };
+  }
+
+  const [totals] = await HourlyRollup.aggregate([{ $match: match }, { $group: group }]);
+  const value = totals ? metric.value(totals) : metric.empty;
+  return value === null || value === undefined || !Number.isFinite(value) ? null : round(value);
+};
+
+/**
+ * Whether a measured value breaches the rule (never without a value)
+ */
+const isBreached = (rule, value) => {
+  if (value === null || value === undefined) return false;
+  switch (rule.comparison) {
+    case 'gt': return value > rule.threshold;
+    case 'gte': return value >= rule.threshold;
+    case 'lt': return value < rule.threshold;
+    case 'lte': return value <= rule.threshold;
+    default: return false;
+  }
+};
+
+const scopeLabel = (scope = {}) =>
+  [scope.buildingName, scope.departmentName].filter(Boolean).join(' / ') || 'the institute';
+
+/**
+ * One-line description of a breach, e.g. "Energy consumption for Main Block was
+ * 3412 kWh over the last 24 hours, above the 3000 kWh threshold"
+ */
+const describeBreach = (rule, value) => {
+  const metric = METRICS[rule.metric] || { label: rule.metric, unit: '' };
+  const hours = rule.windowHours === 1 ? 'hour' : `${rule.windowHours} hours`;
+  return `${metric.label} for ${scopeLabel(rule.scope)} was ${value} ${metric.unit} over the last ${hours}, ` +
+    `${COMPARISON_WORDS[rule.comparison]} the ${rule.threshold} ${metric.unit} threshold`;
+};
+
+const optionalName = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw new AlertError(`${field} must be a string`);
+  return value.trim() || null;
+};
+
+/**
+ * Validate a rule as sent by the API. Updates are merged over the existing
+ * rule first, so the result is always a complete, consistent rule.
+ * @param {Object} input - Request body
+ * @param {Object} [existing] - Rule being updated (loaded with its webhook secret)
+ * @returns {Object} - Fields to store
+ */
+const normalizeRule = (input = {}, existing = null) => {
+  const current = existing ? existing.toObject() : {};
+  const value = (field) => (input[field] !== undefined ? input[field] : current[field]);
+
+  const name = typeof value('name') === 'string' ? value('name').trim() : '';
+  if (!name) throw new AlertError('Rule name is required');
+
+  const metric = value('metric');
+  if (!METRICS[metric]) {
+    throw new AlertError(`metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+  }
+
+  const comparison = value('comparison');
+  if (!COMPARISONS.includes(comparison)) {
+    throw new AlertError(`comparison must be one of: ${COMPARISONS.join(', ')}`);
+  }
+
+  const threshold = Number(value('threshold'));
+  if (value('threshold') === null || value('threshold') === '' || !Number.isFinite(threshold)) {
+    throw new AlertError('threshold must be a number');
+  }
+
+  const windowHours = Number(value('windowHours'));
+  if (!Number.isInteger(windowHours) || windowHours < 1 || windowHours > alertConfig.maxWindowHours) {
+    throw new AlertError(`windowHours must be a whole number from 1 to ${alertConfig.maxWindowHours}`);
+  }
+
+  const severity = value('severity') || 'medium';
+  if (!SEVERITIES.includes(severity)) {
+    throw new AlertError(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  const scopeInput = input.scope !== undefined ? input.scope || {} : current.scope || {};
+  const scope = {
+    buildingName: optionalName(scopeInput.buildingName, 'scope.buildingName'),
+    departmentName: optionalName(scopeInput.departmentName, 'scope.departmentName')
+  };
+
+  const channelInput = input.channels || {};
+  const currentChannels = current.channels || {};
+  const inApp = channelInput.inApp !== undefined ? Boolean(channelInput.inApp) : currentChannels.inApp !== false;
+
+  const emailInput = channelInput.email !== undefined ? channelInput.email : currentChannels.email || [];
+  const emails = [...new Set((Array.isArray(emailInput) ? emailInput : [emailInput])
+    .filter(Boolean)
+    .map(email => String(email).trim().toLowerCase()))];
+  const invalidEmails = emails.filter(email => !EMAIL_PATTERN.test(email));
+  if (invalidEmails.length > 0) throw new AlertError(`Invalid email address: ${invalidEmails.join(', ')}`);
+  if (emails.length > alertConfig.maxRecipients) {
+    throw new AlertError(`A rule can email at most ${alertConfig.maxRecipients} recipients`);
+  }
+
+  const webhookInput = channelInput.webhook !== undefined ? channelInput.webhook || {} : currentChannels.webhook || {};
+  const url = webhookInput.url ? String(webhookInput.url).trim() : null;
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new AlertError('webhook.url must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new AlertError('webhook.url must be an http(s) URL');
+    // Names that resolve to internal addresses are refused again at delivery
+    if (isPrivateHostname(parsed.hostname) && !alertConfig.webhookAllowedHosts.includes(parsed.hostname.toLowerCase())) {
+      throw new AlertError('webhook.url must point to a public host');
+    }
+  }
+  // The secret is write-only: kept unless a new one (or null to clear it) is sent
+  const secret = channelInput.webhook && channelInput.webhook.secret !== undefined
+    ? channelInput.webhook.secret || undefined
+    : (currentChannels.webhook || {}).secret;
+
+  if (!inApp && emails.length === 0 && !url) {
+    throw new AlertError('A rule needs at least one channel: inApp, email or webhook');
+  }
+
+  const description = value('description');
+  return {
+    name,
+    description: description ? String(description).trim() : undefined,
+    metric,
+    scope,
+    comparison,
+    threshold,
+    windowHours,
+    severity,
+    channels: {
+      inApp,
+      email: emails,
+      webhook: url ? { url, secret: secret ? String(secret) : undefined } : undefined
+    },
+    enabled: value('enabled') !== undefined ? Boolean(value('enabled')) : true
+  };
+};
+
+module.exports = {
+  AlertError,
+  METRICS,
+  listMetrics,
+  ruleWindow,
+  measureRule,
+  isBreached,
+  describeBreach,
+  normalizeRule
+};
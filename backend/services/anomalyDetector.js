@@ -0,0 +1,451 @@
+// backend/services/anomalyDetector.js
+// Finds unusual consumption per building/department in the hourly rollups of
+// CarbonBiometric readings. For each group a profile of typical hourly kWh is
+// learned per local weekday and hour (median and MAD over the preceding
+// `profileWeeks`, so it follows the season), and the most recent hours are
+// checked against it for:
+//   spike          - an hour far above its weekday/hour profile
+//   baseload_creep - night-time use over the last `baseloadDays` risen above
+//                    what the profile expects for those hours
+//   flatline       - a meter repeating the same reading for `flatlineHours`
+//                    while the profile says consumption should vary
+// Anomalies are stored as ConsumptionAnomaly documents and announced as live
+// alerts when first found or when their severity rises. Spikes stay open until
+// acknowledged; creep and flat-lined meters are resolved once they clear.
+const ConsumptionAnomaly = require('../models/ConsumptionAnomaly');
+const { HourlyRollup } = require('../models/CarbonRollup');
+const Institute = require('../models/Institute');
+const anomalyConfig = require('../config/anomalies');
+const { bucketStart } = require('./rollups');
+const { publishAlert } = require('./liveEvents');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+// Kinds that describe a condition rather than an event
+const ONGOING_KINDS = ['baseload_creep', 'flatline'];
+
+const round = (value, digits = 2) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const kWhOf = (row) => (row.totals && Number.isFinite(row.totals.energyConsumption) ? row.totals.energyConsumption : 0);
+
+// Campus local time as a Date whose UTC fields read as local fields
+const toLocal = (date, options) => new Date(new Date(date).getTime() + options.utcOffsetMinutes * 60 * 1000);
+
+/**
+ * Profile slot (local weekday × 24 + local hour) of an hourly bucket
+ */
+const slotOf = (date, options = anomalyConfig) => {
+  const local = toLocal(date, options);
+  return local.getUTCDay() * 24 + local.getUTCHours();
+};
+
+const isNightHour = (date, options) => {
+  const hour = toLocal(date, options).getUTCHours();
+  return options.nightStartHour <= options.nightEndHour
+    ? hour >= options.nightStartHour && hour < options.nightEndHour
+    : hour >= options.nightStartHour || hour < options.nightEndHour;
+};
+
+// e.g. "Tue 14 Oct 14:00" in campus time
+const formatHour = (date, options) => {
+  const local = toLocal(date, options);
+  return `${WEEKDAYS[local.getUTCDay()].slice(0, 3)} ${local.getUTCDate()} ${MONTHS[local.getUTCMonth()]} ` +
+    `${String(local.getUTCHours()).padStart(2, '0')}:00`;
+};
+
+const groupLabel = ({ buildingName, departmentName }) =>
+  [buildingName, departmentName].filter(Boolean).join(' / ') || 'Unassigned readings';
+
+/**
+ * Typical hourly kWh per weekday/hour slot
+ * @param {Array} rows - Hourly rollups of one group
+ * @returns {{ slots: Map<number, { median: number, mad: number, samples: number }>, typical: number, samples: number }}
+ *   typical is the median of every hour, the scale for slots that are normally idle
+ */
+const buildProfile = (rows, options = anomalyConfig) => {
+  const values = new Map();
+  for (const row of rows) {
+    const slot = slotOf(row.bucket, options);
+    if (!values.has(slot)) values.set(slot, []);
+    values.get(slot).push(kWhOf(row));
+  }
+
+  const slots = new Map();
+  for (const [slot, list] of values) {
+    const m = median(list);
+    slots.set(slot, { median: m, mad: median(list.map(v => Math.abs(v - m))), samples: list.length });
+  }
+  return {
+    slots,
+    typical: rows.length > 0 ? median(rows.map(kWhOf)) : 0,
+    samples: rows.length
+  };
+};
+
+// Hours before `end` whose rollups are checked rather than learned from
+const recentHours = (options) =>
+  Math.max(options.lookbackHours, options.baseloadDays * 24, options.flatlineHours);
+
+const profileFor = (profile, date, options) => {
+  const stats = profile.slots.get(slotOf(date, options));
+  return stats && stats.samples >= options.minSamples ? stats : null;
+};
+
+const findSpikes = (group, recent, profile, checkFrom, options) => {
+  // Idle slots have no spread; a floor keeps small absolute changes from scoring high
+  const floor = 0.05 * profile.typical;
+  const hours = recent
+    .filter(row => row.bucket.getTime() >= checkFrom)
+    .map((row) => {
+      const stats = profileFor(profile, row.bucket, options);
+      if (!stats) return null;
+      const kWh = kWhOf(row);
+      const spread = Math.max(1.4826 * stats.mad, floor, Number.EPSILON);
+      const score = (kWh - stats.median) / spread;
+      const spike = score >= options.spikeScore && kWh >= stats.median * options.spikeRatio;
+      return { at: row.bucket, kWh, expected: stats.median, score, spike };
+    });
+
+  // Consecutive spiking hours are one anomaly; a missing or normal hour ends it
+  const runs = [];
+  let current = null;
+  for (const hour of hours) {
+    if (hour && hour.spike && current && hour.at.getTime() === current.to.getTime()) {
+      current.hours.push(hour);
+      current.to = new Date(hour.at.getTime() + HOUR_MS);
+    } else if (hour && hour.spike) {
+      current = { from: hour.at, to: new Date(hour.at.getTime() + HOUR_MS), hours: [hour] };
+      runs.push(current);
+    } else {
+      current = null;
+    }
+  }
+
+  return runs.map(({ from, to, hours: spiking }) => {
+    const peak = spiking.reduce((best, hour) => (hour.score > best.score ? hour : best));
+    const severity = peak.score >= options.spikeScore * 3 ? 'critical'
+      : peak.score >= options.spikeScore * 2 ? 'high' : 'medium';
+    const ratio = peak.expected > 0 ? `${round(peak.kWh / peak.expected, 1)}× the` : 'against the';
+    const duration = spiking.length > 1 ? ` during a ${spiking.length}-hour spike from ${formatHour(from, options)}` : '';
+    return {
+      kind: 'spike',
+      window: { from, to },
+      observed: round(peak.kWh),
+      expected: round(peak.expected),
+      deviationPercent: peak.expected > 0 ? round((peak.kWh - peak.expected) / peak.expected * 100, 1) : null,
+      score: round(peak.score, 1),
+      severity,
+      explanation: `${groupLabel(group)} used ${round(peak.kWh)} kWh in the hour from ${formatHour(peak.at, options)}${duration}, ` +
+        `${ratio} ${round(peak.expected)} kWh typical for a ${WEEKDAYS[toLocal(peak.at, options).getUTCDay()]} at that hour ` +
+        `(score ${round(peak.score, 1)})`
+    };
+  });
+};
+
+const findBaseloadCreep = (group, recent, profile, end, options) => {
+  const from = end - options.baseloadDays * DAY_MS;
+  const nights = recent
+    .filter(row => row.bucket.getTime() >= from && isNightHour(row.bucket, options))
+    .map(row => ({ row, stats: profileFor(profile, row.bucket, options) }))
+    .filter(({ stats }) => stats);
+
+  // Half the night hours of the period, or the comparison says little
+  const nightHoursPerDay = (options.nightEndHour - options.nightStartHour + 24) % 24;
+  if (nights.length === 0 || nights.length < (nightHoursPerDay * options.baseloadDays) / 2) {
+    return { evaluated: false, finding: null };
+  }
+
+  const observed = nights.reduce((sum, { row }) => sum + kWhOf(row), 0) / nights.length;
+  const expected = nights.reduce((sum, { stats }) => sum + stats.median, 0) / nights.length;
+  if (expected <= 0) return { evaluated: false, finding: null };
+
+  const rise = (observed - expected) / expected * 100;
+  if (rise < options.baseloadCreepPercent) return { evaluated: true, finding: null };
+
+  const severity = rise >= options.baseloadCreepPercent * 3 ? 'high'
+    : rise >= options.baseloadCreepPercent * 2 ? 'medium' : 'low';
+  const window = { from: nights[0].row.bucket, to: new Date(nights[nights.length - 1].row.bucket.getTime() + HOUR_MS) };
+  const hours = `${String(options.nightStartHour).padStart(2, '0')}:00–${String(options.nightEndHour).padStart(2, '0')}:00`;
+  return {
+    evaluated: true,
+    finding: {
+      kind: 'baseload_creep',
+      window,
+      observed: round(observed),
+      expected: round(expected),
+      deviationPercent: round(rise, 1),
+      score: null,
+      severity,
+      explanation: `${groupLabel(group)} night-time baseload (${hours}) averaged ${round(observed)} kWh per hour over the last ` +
+        `${options.baseloadDays} days, ${round(rise, 1)}% above the ${round(expected)} kWh its profile expects for those hours`
+    }
+  };
+};
+
+const findFlatline = (group, byBucket, profile, end, options) => {
+  // Walk back from the latest hour while the meter keeps repeating one value
+  const hours = [];
+  let value = null;
+  for (let at = end - HOUR_MS; ; at -= HOUR_MS) {
+    const row = byBucket.get(at);
+    if (!row || !Number.isFinite(row.energyMin) || row.energyMin !== row.energyMax) break;
+    if (value !== null && row.energyMin !== value) break;
+    value = row.energyMin;
+    hours.unshift(row);
+  }
+  const latest = byBucket.get(end - HOUR_MS);
+  if (!latest) return { evaluated: false, finding: null };
+  if (hours.length < options.flatlineHours) return { evaluated: true, finding: null };
+
+  // A load that is genuinely constant at these hours is not a stuck meter
+  const expectations = hours.map(row => profileFor(profile, row.bucket, options)).filter(Boolean);
+  if (expectations.length === 0) return { evaluated: false, finding: null };
+  const medians = expectations.map(stats => stats.median);
+  const low = Math.min(...medians);
+  const high = Math.max(...medians);
+  if (high - low <= 0.05 * high && expectations.every(stats => stats.mad <= 0.05 * stats.median)) {
+    return { evaluated: true, finding: null };
+  }
+
+  const observed = hours.reduce((sum, row) => sum + kWhOf(row), 0) / hours.length;
+  const expected = medians.reduce((sum, m) => sum + m, 0) / medians.length;
+  const severity = hours.length >= options.flatlineHours * 4 ? 'high'
+    : hours.length >= options.flatlineHours * 2 ? 'medium' : 'low';
+  return {
+    evaluated: true,
+    finding: {
+      kind: 'flatline',
+      window: { from: hours[0].bucket, to: new Date(end) },
+      observed: round(observed),
+      expected: round(expected),
+      deviationPercent: expected > 0 ? round((observed - expected) / expected * 100, 1) : null,
+      score: null,
+      severity,
+      explanation: `${groupLabel(group)} has reported the same reading (${round(value, 3)} kWh) for ${hours.length} hours since ` +
+        `${formatHour(hours[0].bucket, options)}, while its profile for those hours ranges from ${round(low)} to ${round(high)} kWh per hour; ` +
+        'the meter may be stuck or estimating'
+    }
+  };
+};
+
+/**
+ * Check one building/department against its profile
+ * @param {Object} group - { buildingName, departmentName }
+ * @param {Array} rows - Hourly rollups of the group from the profile start to `end`
+ * @param {number} end - Start of the current (incomplete) hour, in ms
+ * @param {Object} [options] - config/anomalies.js
+ * @returns {{ findings: Array, evaluated: Object }} - evaluated says which ongoing kinds
+ *   had enough data to be judged (and so may be resolved when not found)
+ */
+const detectGroup = (group, rows, end, options = anomalyConfig) => {
+  const recentFrom = end - recentHours(options) * HOUR_MS;
+  const learned = rows.filter(row => row.bucket.getTime() < recentFrom);
+  const recent = rows.filter(row => row.bucket.getTime() >= recentFrom && row.bucket.getTime() < end);
+  const profile = buildProfile(learned, options);
+  if (profile.samples === 0 || recent.length === 0) {
+    return { findings: [], evaluated: { baseload_creep: false, flatline: false } };
+  }
+
+  const byBucket = new Map(recent.map(row => [row.bucket.getTime(), row]));
+  const spikes = findSpikes(group, recent, profile, end - options.lookbackHours * HOUR_MS, options);
+  const creep = findBaseloadCreep(group, recent, profile, end, options);
+  const flatline = findFlatline(group, byBucket, profile, end, options);
+
+  return {
+    findings: [...spikes, creep.finding, flatline.finding].filter(Boolean),
+    evaluated: { baseload_creep: creep.evaluated, flatline: flatline.evaluated }
+  };
+};
+
+class AnomalyDetector {
+  constructor(options = {}) {
+    this.options = { ...anomalyConfig, ...options };
+    this.interval = this.options.interval;
+    this.running = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error('Anomaly detector error:', error.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(tick, this.interval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check every institute with recent readings (or one)
+   * @param {Object} [options]
+   * @param {string} [options.instituteId]
+   * @param {Date} [options.now]
+   * @returns {Promise<Array>} - One summary per institute
+   */
+  async runOnce({ instituteId, now = new Date() } = {}) {
+    const end = bucketStart(now, 'hour').getTime();
+    const instituteIds = instituteId
+      ? [instituteId]
+      : await HourlyRollup.distinct('instituteId', { bucket: { $gte: new Date(end - recentHours(this.options) * HOUR_MS) } });
+
+    const summaries = [];
+    for (const id of instituteIds) {
+      try {
+        summaries.push(await this.detectInstitute(id, end, now));
+      } catch (error) {
+        console.error(`Anomaly detection for ${id} failed:`, error.message);
+        summaries.push({ instituteId: id, error: error.message });
+      }
+    }
+    return summaries;
+  }
+
+  async detectInstitute(instituteId, end, now = new Date()) {
+    const institute = await Institute.findOne({ id: instituteId }).select('id name').lean();
+    const profileFrom = end - recentHours(this.options) * HOUR_MS - this.options.profileWeeks * 7 * DAY_MS;
+    const rows = await HourlyRollup.find({ instituteId, bucket: { $gte: new Date(profileFrom), $lt: new Date(end) } })
+      .select('bucket buildingName departmentName count totals.energyConsumption energyMin energyMax')
+      .sort({ bucket: 1 })
+      .lean();
+
+    const groups = new Map();
+    for (const row of rows) {
+      const key = `${row.buildingName}|${row.departmentName}`;
+      if (!groups.has(key)) groups.set(key, { group: { buildingName: row.buildingName, departmentName: row.departmentName }, rows: [] });
+      groups.get(key).rows.push(row);
+    }
+
+    const summary = { instituteId, groups: groups.size, found: 0, created: 0, updated: 0, resolved: 0 };
+    for (const { group, rows: groupRows } of groups.values()) {
+      const { findings, evaluated } = detectGroup(group, groupRows, end, this.options);
+      summary.found += findings.length;
+
+      for (const finding of findings) {
+        const outcome = await this.record(institute || { id: instituteId, name: instituteId }, group, finding, now);
+        if (outcome) summary[outcome] += 1;
+      }
+      for (const kind of ONGOING_KINDS) {
+        if (evaluated[kind] && !findings.some(finding => finding.kind === kind)) {
+          summary.resolved += await this.resolve(instituteId, group, kind, now);
+        }
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Store a finding, extending the anomaly it continues if there is one
+   * @returns {Promise<string|null>} - 'created' | 'updated' | null (lost a race)
+   */
+  async record(institute, group, finding, now) {
+    const match = {
+      instituteId: institute.id,
+      kind: finding.kind,
+      buildingName: group.buildingName,
+      departmentName: group.departmentName
+    };
+    // Spikes continue one that reaches this window; conditions continue the unresolved one
+    const existing = await ConsumptionAnomaly.findOne(finding.kind === 'spike'
+      ? { ...match, 'window.from': { $lte: finding.window.to }, 'window.to': { $gte: finding.window.from } }
+      : { ...match, status: { $ne: 'resolved' } }).sort({ 'window.from': -1 });
+
+    if (existing) {
+      const escalated = SEVERITY_RANK[finding.severity] > SEVERITY_RANK[existing.severity];
+      // A longer look at a spike keeps its worst hour
+      if (finding.kind !== 'spike' || finding.score >= (existing.score || 0)) {
+        Object.assign(existing, {
+          observed: finding.observed,
+          expected: finding.expected,
+          deviationPercent: finding.deviationPercent,
+          score: finding.score,
+          severity: finding.severity,
+          explanation: finding.explanation
+        });
+      }
+      existing.window = {
+        from: existing.window.from < finding.window.from ? existing.window.from : finding.window.from,
+        to: existing.window.to > finding.window.to ? existing.window.to : finding.window.to
+      };
+      existing.lastSeenAt = now;
+      await existing.save();
+      if (escalated) await this.announce(existing);
+      return 'updated';
+    }
+
+    try {
+      const anomaly = await ConsumptionAnomaly.create({
+        ...match,
+        institute: { id: institute.id, name: institute.name },
+        ...finding,
+        fingerprint: `${finding.kind}|${group.buildingName}|${group.departmentName}|${finding.window.from.toISOString()}`,
+        detectedAt: now,
+        lastSeenAt: now
+      });
+      await this.announce(anomaly);
+      return 'created';
+    } catch (error) {
+      // Another run stored the same anomaly first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  async resolve(instituteId, group, kind, now) {
+    const result = await ConsumptionAnomaly.updateMany({
+      instituteId,
+      kind,
+      buildingName: group.buildingName,
+      departmentName: group.departmentName,
+      status: { $ne: 'resolved' }
+    }, { $set: { status: 'resolved', resolvedAt: now } });
+    return result.modifiedCount;
+  }
+
+  announce(anomaly) {
+    return publishAlert(anomaly.instituteId, {
+      type: 'consumption_anomaly',
+      kind: anomaly.kind,
+      severity: anomaly.severity,
+      message: anomaly.explanation,
+      building: anomaly.buildingName || undefined,
+      department: anomaly.departmentName || undefined,
+      anomalyId: String(anomaly._id)
+    });
+  }
+}
+
+module.exports = {
+  AnomalyDetector,
+  buildProfile,
+  detectGroup,
+  slotOf
+};
@@ -0,0 +1,414 @@
+// backend/services/baselineEngine.js
+// Weather-normalized consumption baselines. For each department (or building)
+// a daily model is fitted over a baseline window:
+//   kWh/day = intercept + a·HDD + b·CDD + c·occupied
+// where HDD/CDD are heating/cooling degree-days from the campus weather series
+// and `occupied` is 1 on weekdays (the campus has no occupancy feed, so the
+// teaching week stands in for it). The model then predicts what the reporting
+// window would have used under its actual weather; expected − actual is the
+// normalized saving, so a hot month is not mistaken for poor performance.
+const { DailyRollup } = require('../models/CarbonRollup');
+const Building = require('../models/Building');
+const WeatherObservation = require('../models/WeatherObservation');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const baselineConfig = require('../config/baseline');
+const { fitLinearModel, predict } = require('../utils/regression');
+const { bucketStart } = require('./rollups');
+const { resolveEmissionFactor } = require('./emissionFactors');
+
+const FEATURES = ['hdd', 'cdd', 'occupied'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Group key → CarbonBiometric field
+const GROUP_FIELDS = {
+  department: 'departmentName',
+  building: 'buildingName'
+};
+
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const round = (value, digits = 2) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Heating and cooling degree-days for one day's mean temperature
+ * @param {number} temperature - Daily mean air temperature in °C
+ */
+const degreeDays = (
+  temperature,
+  heatingBase = baselineConfig.heatingBaseTemp,
+  coolingBase = baselineConfig.coolingBaseTemp
+) => ({
+  hdd: Math.max(0, heatingBase - temperature),
+  cdd: Math.max(0, temperature - coolingBase)
+});
+
+/**
+ * Weekday occupancy proxy (Mon–Fri = 1)
+ */
+const occupancyFor = (date) => {
+  const day = new Date(date).getUTCDay();
+  return day === 0 || day === 6 ? 0 : 1;
+};
+
+/**
+ * Daily temperature lookup per campus. Days outside the imported series fall
+ * back to the campus mean for the same calendar day (flagged as climatology).
+ */
+const loadWeather = async (campusIds) => {
+  const observations = await WeatherObservation.find({
+    campusId: { $in: campusIds },
+    airTemperature: { $ne: null }
+  }).select('campusId date airTemperature').lean();
+
+  const observed = {};
+  const climatology = {};
+  for (const obs of observations) {
+    const dayKey = toDayKey(obs.date);
+    observed[obs.campusId] = observed[obs.campusId] || {};
+    observed[obs.campusId][dayKey] = obs.airTemperature;
+
+    const calendarKey = `${obs.campusId}:${dayKey.slice(5)}`;
+    climatology[calendarKey] = climatology[calendarKey] || { sum: 0, count: 0 };
+    climatology[calendarKey].sum += obs.airTemperature;
+    climatology[calendarKey].count += 1;
+  }
+
+  return (campusId, dayKey) => {
+    const temperature = observed[campusId] && observed[campusId][dayKey];
+    if (temperature !== undefined) return { temperature, source: 'observed' };
+
+    const normal = climatology[`${campusId}:${dayKey.slice(5)}`];
+    if (normal) return { temperature: normal.sum / normal.count, source: 'climatology' };
+
+    return null;
+  };
+};
+
+/**
+ * Resolve the reporting and baseline windows. By default the baseline is the
+ * `baselineDays` immediately preceding the reporting window.
+ */
+const resolveWindows = ({ from, to, baselineFrom, baselineTo } = {}) => {
+  const reportTo = to ? new Date(to) : new Date();
+  const reportFrom = from ? new Date(from) : new Date(reportTo.getTime() - baselineConfig.reportDays * DAY_MS);
+  const fitTo = baselineTo ? new Date(baselineTo) : reportFrom;
+  const fitFrom = baselineFrom
+    ? new Date(baselineFrom)
+    : new Date(fitTo.getTime() - baselineConfig.baselineDays * DAY_MS);
+
+  return {
+    report: { from: reportFrom, to: reportTo },
+    baseline: { from: fitFrom, to: fitTo }
+  };
+};
+
+/**
+ * Fit per-group baselines and score the reporting window
+ * @param {Object} options
+ * @param {string} options.instituteId - Institute.id to scope to
+ * @param {string} options.groupBy - 'department' | 'building'
+ * @param {string} [options.name] - Only this department/building
+ * @param {Date} [options.from] - Reporting window start (default: reportDays ago)
+ * @param {Date} [options.to] - Reporting window end (default: now)
+ * @param {Date} [options.baselineFrom] - Baseline window start
+ * @param {Date} [options.baselineTo] - Baseline window end (default: reporting start)
+ * @returns {Promise<Object>} - { windows, groups, summary }
+ */
+const computeBaselines = async ({ instituteId, groupBy = 'department', name, ...range }) => {
+  const groupField = Object.hasOwn(GROUP_FIELDS, groupBy) ? GROUP_FIELDS[groupBy] : null;
+  if (!groupField) {
+    throw new Error(`groupBy must be one of: ${Object.keys(GROUP_FIELDS).join(', ')}`);
+  }
+
+  const windows = resolveWindows(range);
+  const campuses = await loadCampuses(instituteId);
+  if (!campuses.defaultCampus) {
+    return { windows, groups: [], summary: null, message: 'No buildings imported for this institute' };
+  }
+
+  const byGroup = await loadDailyConsumption(instituteId, groupField, name, {
+    from: new Date(Math.min(windows.baseline.from, windows.report.from)),
+    to: new Date(Math.max(windows.baseline.to, windows.report.to))
+  });
+  const weatherFor = await loadWeather(campuses.campusIds);
+  // Savings are avoided grid kWh, valued at the factor in force at the end of the report
+  const gridFactor = await resolveEmissionFactor({ instituteId, energySource: 'grid', at: windows.report.to });
+
+  const groups = [];
+  for (const [groupName, rows] of byGroup) {
+    const campusId = campuses.campusFor(groupBy === 'building' ? groupName : rows[0].building);
+    groups.push(scoreGroup(groupName, campusId, rows, windows, weatherFor, gridFactor));
+  }
+
+  return { windows, groups, summary: summarize(groups, gridFactor) };
+};
+
+/**
+ * Forecast each department's consumption for a whole month from the fitted
+ * weather model and the campus climatology for that month. Departments whose
+ * model cannot be fitted fall back to their trailing average daily usage.
+ * @param {Object} options
+ * @param {string} options.instituteId - Institute.id to scope to
+ * @param {number} options.month - Target month as yyyymm
+ * @param {string[]} [options.departments] - Only these departments
+ * @returns {Promise<Object[]>} - [{ name, campusId, expectedKWh, method, model, history }]
+ */
+const forecastMonth = async ({ instituteId, month, departments }) => {
+  const year = Math.floor(month / 100);
+  const monthIndex = (month % 100) - 1;
+  const monthStart = new Date(Date.UTC(year, monthIndex, 1));
+  const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+  // Fit on the history available before the target month
+  const fitTo = new Date(Math.min(monthStart.getTime(), Date.now()));
+  const fitWindow = { from: new Date(fitTo.getTime() - baselineConfig.baselineDays * DAY_MS), to: fitTo };
+
+  const campuses = await loadCampuses(instituteId);
+  const byGroup = await loadDailyConsumption(instituteId, 'departmentName', null, fitWindow);
+  const weatherFor = campuses.defaultCampus ? await loadWeather(campuses.campusIds) : () => null;
+
+  const forecasts = [];
+  for (const [groupName, rows] of byGroup) {
+    if (departments && !departments.includes(groupName)) continue;
+
+    const campusId = campuses.campusFor(rows[0].building);
+    const samples = rows
+      .map(row => toSample(row, campusId, weatherFor))
+      .filter(Boolean);
+
+    const model = samples.length >= baselineConfig.minFitDays
+      ? fitLinearModel(samples, FEATURES, 'kWh')
+      : null;
+
+    const history = monthlyTotals(rows);
+    const forecast = {
+      name: groupName,
+      campusId,
+      history,
+      model: null,
+      method: 'weather_model',
+      expectedKWh: 0
+    };
+
+    const futureDays = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = new Date(Date.UTC(year, monthIndex, day));
+      const weather = model ? weatherFor(campusId, toDayKey(date)) : null;
+      if (!weather) break;
+      futureDays.push({ occupied: occupancyFor(date), ...degreeDays(weather.temperature) });
+    }
+
+    if (model && futureDays.length === daysInMonth) {
+      forecast.expectedKWh = futureDays.reduce((sum, d) => sum + Math.max(0, predict(model, d)), 0);
+      forecast.model = {
+        intercept: round(model.intercept),
+        coefficients: Object.fromEntries(FEATURES.map(f => [f, round(model.coefficients[f], 4)])),
+        r2: round(model.r2, 3),
+        cvRmse: round(model.cvRmse, 3),
+        fitDays: model.n
+      };
+    } else {
+      const totalKWh = rows.reduce((sum, r) => sum + r.kWh, 0);
+      forecast.method = 'trailing_average';
+      forecast.expectedKWh = rows.length > 0 ? (totalKWh / rows.length) * daysInMonth : 0;
+    }
+
+    forecast.expectedKWh = round(forecast.expectedKWh);
+    forecasts.push(forecast);
+  }
+
+  return forecasts;
+};
+
+/**
+ * Buildings tie consumption to a campus weather station
+ */
+async function loadCampuses(instituteId) {
+  const buildings = await Building.find(createInstituteFilter(instituteId)).select('name campusId').lean();
+  const campusByBuilding = new Map(buildings.map(b => [b.name, b.campusId]));
+  const campusCounts = buildings.reduce((acc, b) => {
+    acc[b.campusId] = (acc[b.campusId] || 0) + 1;
+    return acc;
+  }, {});
+  const campusIds = Object.keys(campusCounts);
+  const defaultCampus = campusIds.sort((a, b) => campusCounts[b] - campusCounts[a])[0];
+
+  return {
+    campusIds,
+    defaultCampus,
+    campusFor: (buildingName) => campusByBuilding.get(buildingName) || defaultCampus
+  };
+}
+
+/**
+ * Daily consumption per group, from the daily rollups
+ * @returns {Promise<Map<string, Object[]>>} - group name → [{ _id: { group, day }, kWh, reportedCo2Savings, building }]
+ */
+async function loadDailyConsumption(instituteId, groupField, name, { from, to }) {
+  const daily = await DailyRollup.aggregate([
+    {
+      $match: {
+        ...createInstituteFilter(instituteId),
+        bucket: { $gte: bucketStart(from, 'day'), $lte: to },
+        [groupField]: name ? name : { $ne: null }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          group: `$${groupField}`,
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$bucket' } }
+        },
+        kWh: { $sum: '$totals.energyConsumption' },
+        reportedCo2Savings: { $sum: '$totals.co2Savings' },
+        building: { $first: '$buildingName' }
+      }
+    },
+    { $sort: { '_id.group': 1, '_id.day': 1 } }
+  ]);
+
+  const byGroup = new Map();
+  for (const row of daily) {
+    if (!byGroup.has(row._id.group)) byGroup.set(row._id.group, []);
+    byGroup.get(row._id.group).push(row);
+  }
+  return byGroup;
+}
+
+function toSample(row, campusId, weatherFor) {
+  const weather = weatherFor(campusId, row._id.day);
+  if (!weather) return null;
+
+  const date = new Date(`${row._id.day}T00:00:00Z`);
+  return {
+    date,
+    day: row._id.day,
+    kWh: row.kWh,
+    reportedCo2Savings: row.reportedCo2Savings,
+    temperature: weather.temperature,
+    weatherSource: weather.source,
+    occupied: occupancyFor(date),
+    ...degreeDays(weather.temperature)
+  };
+}
+
+// Calendar-month totals of daily rows, oldest first
+function monthlyTotals(rows) {
+  const totals = {};
+  for (const row of rows) {
+    const month = parseInt(row._id.day.slice(0, 7).replace('-', ''));
+    totals[month] = (totals[month] || 0) + row.kWh;
+  }
+  return Object.keys(totals).sort().map(month => ({ month: parseInt(month), kWh: round(totals[month]) }));
+}
+
+function scoreGroup(groupName, campusId, rows, windows, weatherFor, gridFactor) {
+  const samples = rows
+    .map(row => toSample(row, campusId, weatherFor))
+    .filter(Boolean);
+
+  const inWindow = (s, w) => s.date >= w.from && s.date <= w.to;
+  const fitSamples = samples.filter(s => inWindow(s, windows.baseline));
+  const reportSamples = samples.filter(s => inWindow(s, windows.report));
+
+  const result = {
+    name: groupName,
+    campusId,
+    status: 'ok',
+    model: null,
+    report: null,
+    daily: []
+  };
+
+  const model = fitSamples.length >= baselineConfig.minFitDays
+    ? fitLinearModel(fitSamples, FEATURES, 'kWh')
+    : null;
+
+  if (!model) {
+    result.status = 'insufficient_data';
+    result.message = `Need at least ${baselineConfig.minFitDays} baseline days with weather, found ${fitSamples.length}`;
+    return result;
+  }
+
+  result.model = {
+    intercept: round(model.intercept),
+    coefficients: Object.fromEntries(FEATURES.map(f => [f, round(model.coefficients[f], 4)])),
+    r2: round(model.r2, 3),
+    cvRmse: round(model.cvRmse, 3),
+    fitDays: model.n
+  };
+
+  let actualKWh = 0;
+  let expectedKWh = 0;
+  let reportedCo2Savings = 0;
+  for (const s of reportSamples) {
+    const expected = Math.max(0, predict(model, s));
+    actualKWh += s.kWh;
+    expectedKWh += expected;
+    reportedCo2Savings += s.reportedCo2Savings || 0;
+    result.daily.push({
+      date: s.day,
+      actualKWh: round(s.kWh),
+      expectedKWh: round(expected),
+      temperature: round(s.temperature, 1),
+      hdd: round(s.hdd, 1),
+      cdd: round(s.cdd, 1),
+      occupied: s.occupied,
+      weatherSource: s.weatherSource
+    });
+  }
+
+  const savingsKWh = expectedKWh - actualKWh;
+  result.report = {
+    days: reportSamples.length,
+    climatologyDays: reportSamples.filter(s => s.weatherSource === 'climatology').length,
+    hdd: round(reportSamples.reduce((sum, s) => sum + s.hdd, 0), 1),
+    cdd: round(reportSamples.reduce((sum, s) => sum + s.cdd, 0), 1),
+    actualKWh: round(actualKWh),
+    expectedKWh: round(expectedKWh),
+    normalizedSavingsKWh: round(savingsKWh),
+    normalizedSavingsPercent: expectedKWh > 0 ? round((savingsKWh / expectedKWh) * 100, 1) : null,
+    // tonnes CO2
+    normalizedCo2Savings: round(savingsKWh * gridFactor.value / 1000, 3),
+    reportedCo2Savings: round(reportedCo2Savings, 3)
+  };
+
+  if (reportSamples.length === 0) {
+    result.status = 'no_report_data';
+  }
+
+  return result;
+}
+
+function summarize(groups, gridFactor) {
+  const scored = groups.filter(g => g.status === 'ok');
+  const actualKWh = scored.reduce((sum, g) => sum + g.report.actualKWh, 0);
+  const expectedKWh = scored.reduce((sum, g) => sum + g.report.expectedKWh, 0);
+  const savingsKWh = expectedKWh - actualKWh;
+
+  return {
+    groups: groups.length,
+    scoredGroups: scored.length,
+    actualKWh: round(actualKWh),
+    expectedKWh: round(expectedKWh),
+    normalizedSavingsKWh: round(savingsKWh),
+    normalizedSavingsPercent: expectedKWh > 0 ? round((savingsKWh / expectedKWh) * 100, 1) : null,
+    normalizedCo2Savings: round(savingsKWh * gridFactor.value / 1000, 3),
+    reportedCo2Savings: round(scored.reduce((sum, g) => sum + g.report.reportedCo2Savings, 0), 3),
+    emissionFactor: gridFactor.value,
+    emissionFactorVersion: gridFactor.version
+  };
+}
+
+module.exports = {
+  computeBaselines,
+  forecastMonth,
+  degreeDays,
+  occupancyFor,
+  resolveWindows,
+  GROUP_FIELDS
+};
@@ -0,0 +1,304 @@
+// backend/services/baselinePublisher.js
+// Drafts next month's EnergyAuction baselines and publishes the approved ones.
+//   1. Near month end, a BaselineProposal is drafted for every institute with
+//      mapped department wallets, using the weather-normalized forecast from
+//      the baseline engine (status pending_review).
+//   2. The oracle committee reviews it in the admin UI, optionally overriding
+//      per-department kWh, and approves or rejects it.
+//   3. Approved proposals are sent line by line to setBaseline(month, dept, kWh, metaHash);
+//      each line keeps its tx hash so the proposal doubles as the submission report.
+// Lines already set on-chain with the same kWh and metaHash are not sent again.
+const { ethers } = require('ethers');
+const BaselineProposal = require('../models/BaselineProposal');
+const DepartmentWallet = require('../models/DepartmentWallet');
+const { createInstituteFilter, getInstituteDisplayName } = require('../middleware/instituteAuth');
+const { forecastMonth } = require('./baselineEngine');
+const chainConfig = require('../config/chain');
+const abis = require('../utils/contractAbis');
+const { toMonthId } = require('../utils/meterPayload');
+const { publishAlert } = require('./liveEvents');
+
+/**
+ * Month id following the given yyyymm
+ */
+const nextMonthId = (month) => {
+  const year = Math.floor(month / 100);
+  const m = month % 100;
+  return m === 12 ? (year + 1) * 100 + 1 : year * 100 + m + 1;
+};
+
+/**
+ * keccak256 of the canonical JSON of a line's audit record
+ */
+const hashMeta = (meta) => ethers.id(JSON.stringify(meta));
+
+class BaselinePublisher {
+  constructor(options = {}) {
+    this.network = options.network || chainConfig.network;
+    this.publisherKey = options.publisherKey || chainConfig.baselinePublisherKey;
+    this.provider = options.provider || null;
+    this.deployment = options.deployment || null;
+    this.interval = options.interval || chainConfig.baselinePublisherInterval;
+    this.leadDays = options.leadDays !== undefined ? options.leadDays : chainConfig.baselineProposalLeadDays;
+
+    // Drafting only needs MongoDB; the wallet is created on first submission
+    this.wallet = null;
+    this.auction = options.auction || null;
+
+    this.running = false;
+    this.timer = null;
+  }
+
+  getAuction() {
+    if (this.auction) return this.auction;
+    if (!this.publisherKey) {
+      throw new Error('BASELINE_PUBLISHER_PRIVATE_KEY is required to submit baselines');
+    }
+
+    const provider = this.provider || new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+    const deployment = this.deployment || chainConfig.loadDeployment(this.network);
+    this.wallet = new ethers.Wallet(this.publisherKey, provider);
+    this.auction = new ethers.Contract(deployment.addresses.EnergyAuction, abis.EnergyAuction, this.wallet);
+    return this.auction;
+  }
+
+  get publisherAddress() {
+    return this.wallet ? this.wallet.address.toLowerCase() : undefined;
+  }
+
+  async checkRoles() {
+    const auction = this.getAuction();
+    const role = await auction.ORACLE_ROLE();
+    if (!(await auction.hasRole(role, this.wallet.address))) {
+      throw new Error(`Publisher ${this.wallet.address} does not hold ORACLE_ROLE on EnergyAuction`);
+    }
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error('Baseline publisher error:', error.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(tick, this.interval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runOnce(now = new Date()) {
+    const drafted = await this.draftDueProposals(now);
+    const published = await this.publishApproved();
+    return { drafted, published };
+  }
+
+  /**
+   * Draft next month's proposal for every institute once month end is within leadDays
+   * @returns {Promise<number>} - Number of new proposals
+   */
+  async draftDueProposals(now = new Date()) {
+    const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    if (monthEnd.getTime() - now.getTime() > this.leadDays * 24 * 60 * 60 * 1000) {
+      return 0;
+    }
+
+    const month = nextMonthId(toMonthId(now));
+    const instituteIds = await DepartmentWallet.distinct('instituteId', { active: true });
+
+    let drafted = 0;
+    for (const instituteId of instituteIds) {
+      const key = `${instituteId}:${month}`;
+      if (await BaselineProposal.exists({ network: this.network, key })) continue;
+
+      try {
+        await this.draftProposal(instituteId, month);
+        drafted++;
+      } catch (error) {
+        console.error(`Baseline draft for ${instituteId} failed:`, error.message);
+      }
+    }
+    return drafted;
+  }
+
+  /**
+   * Compute (or recompute) a proposal for one institute and month. Proposals
+   * that were already approved or published are left untouched.
+   * @param {string} instituteId - Institute.id
+   * @param {number} month - yyyymm
+   * @param {string} generatedBy - 'scheduler' | 'manual'
+   */
+  async draftProposal(instituteId, month, generatedBy = 'scheduler') {
+    const key = `${instituteId}:${month}`;
+    const existing = await BaselineProposal.findOne({ network: this.network, key });
+    if (existing && !['pending_review', 'rejected'].includes(existing.status)) {
+      throw new Error(`Proposal for ${month} is already ${existing.status}`);
+    }
+
+    const wallets = await DepartmentWallet.find({ ...createInstituteFilter(instituteId), active: true });
+    if (wallets.length === 0) {
+      throw new Error('No active department wallets for this institute');
+    }
+
+    const forecasts = await forecastMonth({
+      instituteId,
+      month,
+      departments: wallets.map(w => w.departmentName)
+    });
+
+    const lines = wallets.map(wallet => {
+      const forecast = forecasts.find(f => f.name === wallet.departmentName);
+      const kWh = forecast ? Math.round(forecast.expectedKWh) : 0;
+      return {
+        departmentName: wallet.departmentName,
+        dept: wallet.address,
+        computedKWh: kWh,
+        kWh,
+        method: forecast ? forecast.method : undefined,
+        model: forecast ? forecast.model : undefined,
+        history: forecast ? forecast.history : [],
+        // setBaseline rejects 0 kWh; departments with no history need a manual value
+        status: kWh > 0 ? 'pending' : 'skipped',
+        error: kWh > 0 ? undefined : 'No consumption history to forecast from'
+      };
+    });
+
+    const proposal = existing || new BaselineProposal({ network: this.network, key, instituteId, month });
+    proposal.lines = lines;
+    proposal.generatedBy = generatedBy;
+    proposal.review = undefined;
+    proposal.transition('pending_review', existing ? 'Recomputed' : `Drafted ${lines.length} department baselines`);
+    await proposal.save();
+    return proposal;
+  }
+
+  /**
+   * Submit every approved (or previously interrupted) proposal
+   * @returns {Promise<number>} - Number of proposals processed
+   */
+  async publishApproved() {
+    const proposals = await BaselineProposal.find({
+      network: this.network,
+      status: { $in: ['approved', 'submitting'] }
+    }).sort({ month: 1 });
+
+    for (const proposal of proposals) {
+      await this.publish(proposal);
+    }
+    return proposals.length;
+  }
+
+  /**
+   * Send each pending line of an approved proposal to EnergyAuction.setBaseline
+   */
+  async publish(proposal) {
+    const auction = this.getAuction();
+    if (proposal.status === 'approved') {
+      proposal.submittedBy = this.publisherAddress;
+      proposal.transition('submitting', 'Publishing to EnergyAuction');
+      await proposal.save();
+    }
+
+    for (const line of proposal.lines) {
+      if (line.status === 'confirmed' || line.status === 'skipped') continue;
+
+      try {
+        if (!line.metaHash) {
+          line.meta = {
+            proposalId: String(proposal._id),
+            network: proposal.network,
+            institute: getInstituteDisplayName(proposal.institute),
+            instituteId: proposal.instituteId,
+            month: proposal.month,
+            departmentName: line.departmentName,
+            dept: line.dept,
+            kWh: line.kWh,
+            computedKWh: line.computedKWh,
+            method: line.method || 'manual',
+            model: line.model || null,
+            approvedBy: proposal.review && proposal.review.by ? String(proposal.review.by) : null
+          };
+          line.metaHash = hashMeta(line.meta);
+        }
+
+        // Already on-chain with the same values (e.g. a previous run died after sending)
+        const onChain = await auction.getBaseline(proposal.month, line.dept);
+        if (onChain.set && Number(onChain.kWh) === line.kWh && onChain.metaHash === line.metaHash) {
+          line.status = 'confirmed';
+          line.confirmedAt = line.confirmedAt || new Date();
+          line.error = undefined;
+          await proposal.save();
+          continue;
+        }
+
+        // A line left in 'submitted' with a known tx: wait for it rather than resending
+        if (line.status === 'submitted' && line.txHash) {
+          const receipt = await auction.runner.provider.getTransactionReceipt(line.txHash);
+          if (receipt && receipt.status === 1) {
+            this.confirmLine(line, receipt);
+            await proposal.save();
+            continue;
+          }
+        }
+
+        const tx = await auction.setBaseline(proposal.month, line.dept, line.kWh, line.metaHash);
+        line.status = 'submitted';
+        line.txHash = tx.hash;
+        line.sentAt = new Date();
+        line.error = undefined;
+        await proposal.save();
+
+        const receipt = await tx.wait();
+        this.confirmLine(line, receipt);
+        await proposal.save();
+      } catch (error) {
+        console.error(`setBaseline ${proposal.month}/${line.departmentName} failed:`, error.shortMessage || error.message);
+        line.status = 'failed';
+        line.error = error.shortMessage || error.message;
+        await proposal.save();
+      }
+    }
+
+    const failed = proposal.lines.filter(line => line.status === 'failed').length;
+    proposal.completedAt = new Date();
+    proposal.transition(
+      failed > 0 ? 'partially_failed' : 'submitted',
+      failed > 0 ? `${failed} of ${proposal.lines.length} lines failed` : 'All baselines published'
+    );
+    await proposal.save();
+    if (failed > 0) {
+      publishAlert(proposal.instituteId, {
+        type: 'baseline_publish_failed',
+        severity: 'high',
+        message: `${failed} of ${proposal.lines.length} baselines for ${proposal.month} could not be published on-chain`
+      });
+    }
+    return proposal.buildReport();
+  }
+
+  confirmLine(line, receipt) {
+    line.status = 'confirmed';
+    line.blockNumber = receipt.blockNumber;
+    line.confirmedAt = new Date();
+    line.error = undefined;
+  }
+}
+
+module.exports = {
+  BaselinePublisher,
+  nextMonthId,
+  hashMeta
+};
@@ -0,0 +1,440 @@
+// backend/services/budgets.js
+// Departmental carbon budgets: splits an institute's budget for a period
+// across its departments (fixed shares, headcount or floor area), carries
+// unused budget into the next period under the rollover policy, and debits
+// recorded consumption from the consuming department's line. Under 'block'
+// enforcement a debit that would overdraw the line is rejected; under 'warn'
+// it goes through and the department is reported as running low or exhausted.
+const CarbonBudget = require('../models/CarbonBudget');
+const Institute = require('../models/Institute');
+const User = require('../models/User');
+const budgetConfig = require('../config/budgets');
+const { publishAlert } = require('./liveEvents');
+
+const { PERIOD_TYPES, METHODS, lineStatus } = CarbonBudget;
+
+// Institute.carbonBudget is annual
+const PERIODS_PER_YEAR = { monthly: 12, quarterly: 4, annual: 1 };
+
+class BudgetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BudgetError';
+    this.status = status;
+  }
+}
+
+const round = (value, digits = 6) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * The period of a type that contains a date (UTC calendar months, quarters, years)
+ * @param {string} periodType - monthly | quarterly | annual
+ * @param {Date} at
+ * @returns {{ start: Date, end: Date, label: string }}
+ */
+const periodFor = (periodType, at) => {
+  const year = at.getUTCFullYear();
+  const month = at.getUTCMonth();
+
+  if (periodType === 'annual') {
+    return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)), label: String(year) };
+  }
+  if (periodType === 'quarterly') {
+    const first = month - (month % 3);
+    return {
+      start: new Date(Date.UTC(year, first, 1)),
+      end: new Date(Date.UTC(year, first + 3, 1)),
+      label: `${year}-Q${first / 3 + 1}`
+    };
+  }
+  return {
+    start: new Date(Date.UTC(year, month, 1)),
+    end: new Date(Date.UTC(year, month + 1, 1)),
+    label: `${year}-${String(month + 1).padStart(2, '0')}`
+  };
+};
+
+// People per department from the user directory
+const countHeadcount = async (instituteId) => {
+  const rows = await User.aggregate([
+    { $match: { instituteId, department: { $nin: [null, ''] } } },
+    { $group: { _id: '$department', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id, row.count]));
+};
+
+const BASIS_FIELDS = { fixed: 'share', headcount: 'headcount', floorArea: 'floorArea' };
+
+/**
+ * Allocation basis per department. Headcount missing from the request is
+ * counted from the user directory; shares and floor areas must be given.
+ * @returns {Promise<Array<{ departmentName: string, basis: number }>>}
+ */
+const resolveBasis = async (instituteId, method, departments) => {
+  const field = BASIS_FIELDS[method];
+  let list = Array.isArray(departments) ? departments : [];
+
+  if (method === 'headcount') {
+    const counts = await countHeadcount(instituteId);
+    if (list.length === 0) {
+      list = [...counts.keys()].map(departmentName => ({ departmentName }));
+    }
+    list = list.map(d => ({ ...d, headcount: d.headcount ?? counts.get(d.departmentName) ?? 0 }));
+  }
+
+  if (list.length === 0) {
+    throw new BudgetError('At least one department is required');
+  }
+
+  const seen = new Set();
+  return list.map(d => {
+    const departmentName = typeof d.departmentName === 'string' ? d.departmentName.trim() : '';
+    if (!departmentName) throw new BudgetError('Every department needs a departmentName');
+    if (seen.has(departmentName)) throw new BudgetError(`Department listed twice: ${departmentName}`);
+    seen.add(departmentName);
+
+    const basis = Number(d[field]);
+    if (d[field] === undefined || d[field] === null || !Number.isFinite(basis) || basis < 0) {
+      throw new BudgetError(`${departmentName}: ${field} must be a non-negative number`);
+    }
+    return { departmentName, basis };
+  });
+};
+
+/**
+ * Split a total by basis: percent shares for 'fixed' (anything under 100%
+ * stays unallocated as a reserve), proportionally otherwise
+ * @returns {Array<{ departmentName: string, basis: number, allocated: number }>}
+ */
+const splitTotal = (method, lines, total) => {
+  const basisTotal = lines.reduce((sum, line) => sum + line.basis, 0);
+
+  if (method === 'fixed') {
+    if (basisTotal > 100 + 1e-9) {
+      throw new BudgetError(`Department shares add up to ${round(basisTotal, 2)}%, more than 100%`);
+    }
+    return lines.map(line => ({ ...line, allocated: round(total * line.basis / 100) }));
+  }
+
+  if (basisTotal <= 0) {
+    throw new BudgetError(`No ${BASIS_FIELDS[method]} to split the budget by`);
+  }
+  return lines.map(line => ({ ...line, allocated: round(total * line.basis / basisTotal) }));
+};
+
+const parseSettings = (body, defaults) => {
+  const settings = {
+    method: body.method ?? defaults.method,
+    policy: body.policy ?? defaults.policy,
+    enforcement: body.enforcement ?? defaults.enforcement,
+    warnAt: body.warnAt !== undefined ? Number(body.warnAt) : defaults.warnAt
+  };
+
+  if (!METHODS.includes(settings.method)) {
+    throw new BudgetError(`method must be one of: ${METHODS.join(', ')}`);
+  }
+  if (!['rollover', 'expire'].includes(settings.policy)) {
+    throw new BudgetError('policy must be rollover or expire');
+  }
+  if (!['warn', 'block'].includes(settings.enforcement)) {
+    throw new BudgetError('enforcement must be warn or block');
+  }
+  if (!(settings.warnAt >= 0 && settings.warnAt <= 1)) {
+    throw new BudgetError('warnAt must be between 0 and 1');
+  }
+  return settings;
+};
+
+const parseTotal = (value, fallback) => {
+  const total = value !== undefined && value !== null ? Number(value) : fallback;
+  if (!Number.isFinite(total) || total <= 0) {
+    throw new BudgetError('Budget total must be a positive number (tonnes CO2e); set one or the institute\'s carbonBudget');
+  }
+  return total;
+};
+
+/**
+ * Merge new allocations with what a budget already carries and has used.
+ * Departments dropped from the split keep their line (allocated 0) while
+ * they have carry-over or usage, so nothing booked against them is lost.
+ */
+const buildLines = (split, existing) => {
+  const lines = split.map(line => ({ ...line, carriedOver: 0, used: 0 }));
+  const byName = new Map(lines.map(line => [line.departmentName, line]));
+
+  for (const old of existing) {
+    const line = byName.get(old.departmentName);
+    if (line) {
+      line.carriedOver = old.carriedOver || 0;
+      line.used = old.used || 0;
+    } else if (old.carriedOver || old.used) {
+      lines.push({ departmentName: old.departmentName, basis: 0, allocated: 0, carriedOver: old.carriedOver || 0, used: old.used || 0 });
+    }
+  }
+
+  return lines.map(line => ({ ...line, remaining: round(line.allocated + line.carriedOver - line.used) }));
+};
+
+const addCarryOver = async (budgetId, departmentName, amount) => {
+  const increased = await CarbonBudget.updateOne(
+    { _id: budgetId, 'allocations.departmentName': departmentName },
+    { $inc: { 'allocations.$.carriedOver': amount, 'allocations.$.remaining': amount, __v: 1 } }
+  );
+  if (increased.matchedCount > 0) return;
+
+  const added = await CarbonBudget.updateOne(
+    { _id: budgetId, 'allocations.departmentName': { $ne: departmentName } },
+    {
+      $push: { allocations: { departmentName, basis: 0, allocated: 0, carriedOver: amount, used: 0, remaining: amount } },
+      $inc: { __v: 1 }
+    }
+  );
+  // Another request added the line in between
+  if (added.matchedCount === 0) await addCarryOver(budgetId, departmentName, amount);
+};
+
+/**
+ * Close budgets whose period has ended. Under the rollover policy each
+ * department's unused budget moves into the period that starts where this
+ * one ends, so a rollover budget stays open until that period is allocated.
+ * @returns {Promise<number>} - Budgets closed
+ */
+const closeEndedBudgets = async (instituteId, now = new Date()) => {
+  const ended = await CarbonBudget.find({ instituteId, status: 'open', end: { $lte: now } }).sort({ end: 1 });
+  let closed = 0;
+
+  for (const budget of ended) {
+    const next = budget.policy === 'rollover'
+      ? await CarbonBudget.findOne({ instituteId, start: budget.end }).select('_id').lean()
+      : null;
+    if (budget.policy === 'rollover' && !next) continue;
+
+    // Flipping the status first makes sure leftovers move once
+    const claimed = await CarbonBudget.findOneAndUpdate(
+      { _id: budget._id, status: 'open' },
+      { $set: { status: 'closed' }, $inc: { __v: 1 } },
+      { new: true }
+    );
+    if (!claimed) continue;
+    closed++;
+
+    if (next) {
+      for (const line of claimed.allocations) {
+        if (line.remaining > 0) await addCarryOver(next._id, line.departmentName, line.remaining);
+      }
+    }
+  }
+  return closed;
+};
+
+/**
+ * Allocate an institute's budget for the period containing body.start (default now)
+ * Body: { periodType, start, total, method, departments: [{ departmentName, share|headcount|floorArea }],
+ *         policy, enforcement, warnAt }
+ * @returns {Promise<Object>} - The new CarbonBudget
+ */
+const allocateBudget = async (instituteId, body, userId) => {
+  const institute = instituteId ? await Institute.findOne({ id: instituteId }).lean() : null;
+  if (!institute) throw new BudgetError('Institute not found', 404);
+
+  const periodType = body.periodType || budgetConfig.defaultPeriod;
+  if (!PERIOD_TYPES.includes(periodType)) {
+    throw new BudgetError(`periodType must be one of: ${PERIOD_TYPES.join(', ')}`);
+  }
+  const at = body.start ? new Date(body.start) : new Date();
+  if (isNaN(at)) throw new BudgetError('Invalid date for: start');
+  const { start, end, label } = periodFor(periodType, at);
+
+  const overlapping = await CarbonBudget.findOne({ instituteId, start: { $lt: end }, end: { $gt: start } }).lean();
+  if (overlapping) {
+    throw new BudgetError(`Budget ${overlapping.label} already covers part of ${label}; reallocate it instead`, 409);
+  }
+
+  const settings = parseSettings(body, {
+    method: 'fixed',
+    policy: budgetConfig.defaultPolicy,
+    enforcement: budgetConfig.defaultEnforcement,
+    warnAt: budgetConfig.warnAt
+  });
+  const total = parseTotal(body.total, round((institute.carbonBudget || 0) / PERIODS_PER_YEAR[periodType]));
+  const split = splitTotal(settings.method, await resolveBasis(instituteId, settings.method, body.departments), total);
+
+  const previous = await CarbonBudget.findOne({ instituteId, end: { $lte: start } }).sort({ end: -1 }).lean();
+
+  const budget = await CarbonBudget.create({
+    institute: { id: institute.id, name: institute.name },
+    instituteId,
+    periodType,
+    start,
+    end,
+    label,
+    total,
+    ...settings,
+    allocations: buildLines(split, []),
+    previous: previous ? previous._id : null,
+    createdBy: userId
+  });
+
+  // A period that ended waiting for this one hands over its leftovers now
+  return (await closeEndedBudgets(instituteId)) ? CarbonBudget.findById(budget._id) : budget;
+};
+
+/**
+ * Change the split or settings of an open budget; usage and carry-over are kept
+ * @param {Object} budget - CarbonBudget document
+ * @param {Object} body - Same fields as allocateBudget, except periodType and start
+ */
+const reallocateBudget = async (budget, body, userId) => {
+  if (budget.status === 'closed') {
+    throw new BudgetError(`Budget ${budget.label} is closed`, 409);
+  }
+
+  const settings = parseSettings(body, budget);
+  const total = parseTotal(body.total, budget.total);
+  const departments = body.departments !== undefined
+    ? body.departments
+    : budget.allocations
+      .filter(line => line.basis > 0)
+      .map(line => ({ departmentName: line.departmentName, [BASIS_FIELDS[settings.method]]: line.basis }));
+  if (settings.method !== budget.method && body.departments === undefined) {
+    throw new BudgetError('departments are required when changing the allocation method');
+  }
+  const split = splitTotal(settings.method, await resolveBasis(budget.instituteId, settings.method, departments), total);
+
+  // Debits bump __v, so a split computed from stale usage is rejected
+  const updated = await CarbonBudget.findOneAndUpdate(
+    { _id: budget._id, __v: budget.__v },
+    {
+      $set: { total, ...settings, allocations: buildLines(split, budget.allocations), updatedBy: userId },
+      $inc: { __v: 1 }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new BudgetError('Budget changed while it was being reallocated; retry', 409);
+  }
+  return updated;
+};
+
+/**
+ * Budget covering a point in time
+ * @returns {Promise<Object|null>} - CarbonBudget document
+ */
+const findBudgetAt = (instituteId, at = new Date()) =>
+  CarbonBudget.findOne({ instituteId, start: { $lte: at }, end: { $gt: at } });
+
+const incLine = (amount) => ({
+  $inc: { 'allocations.$.used': amount, 'allocations.$.remaining': -amount, __v: 1 }
+});
+
+// Tell the institute when a debit moves a department to warning or exhausted
+const alertOnTransition = (budget, line, before) => {
+  const after = lineStatus(line, budget.warnAt);
+  if (after === before || after === 'ok') return;
+
+  const exhausted = after === 'exhausted';
+  publishAlert(budget.instituteId, {
+    type: exhausted ? 'budget_exhausted' : 'budget_warning',
+    severity: exhausted ? 'high' : 'medium',
+    message: exhausted
+      ? `${line.departmentName} has used its carbon budget for ${budget.label} (${round(line.used, 3)} of ${round(line.allocated + line.carriedOver, 3)} t CO2e)`
+      : `${line.departmentName} has used ${Math.round(line.used / (line.allocated + line.carriedOver) * 100)}% of its carbon budget for ${budget.label}`,
+    department: line.departmentName,
+    budget: budget.label
+  });
+};
+
+/**
+ * Debit consumption from a department's line in the budget covering `at`
+ * @param {Object} params - { instituteId, departmentName, amount (t CO2e), at }
+ * @returns {Promise<Object|null>} - Debit receipt, null when no budget covers `at`
+ * @throws {BudgetError} 409 when enforcement is 'block' and the line cannot cover the amount
+ */
+const debitBudget = async ({ instituteId, departmentName, amount, at = new Date() }) => {
+  await closeEndedBudgets(instituteId);
+  const budget = await findBudgetAt(instituteId, at);
+  if (!budget || !(amount > 0)) return null;
+
+  const name = departmentName || budgetConfig.unassignedDepartment;
+  const current = budget.allocations.find(line => line.departmentName === name);
+
+  let updated;
+  if (budget.enforcement === 'block') {
+    if (!current) {
+      throw new BudgetError(`No carbon budget is allocated to ${name} for ${budget.label}`, 409);
+    }
+    updated = await CarbonBudget.findOneAndUpdate(
+      { _id: budget._id, allocations: { $elemMatch: { departmentName: name, remaining: { $gte: amount } } } },
+      incLine(amount),
+      { new: true }
+    );
+    if (!updated) {
+      const latest = await CarbonBudget.findById(budget._id).lean();
+      const line = latest.allocations.find(l => l.departmentName === name);
+      throw new BudgetError(
+        `Carbon budget for ${name} (${budget.label}) is exhausted: ${round(Math.max(line.remaining, 0), 3)} t CO2e left, ${round(amount, 3)} t needed`,
+        409
+      );
+    }
+  } else {
+    // Departments without an allocation get a zero line so their usage is still tracked
+    if (!current) {
+      updated = await CarbonBudget.findOneAndUpdate(
+        { _id: budget._id, 'allocations.departmentName': { $ne: name } },
+        {
+          $push: { allocations: { departmentName: name, basis: 0, allocated: 0, carriedOver: 0, used: amount, remaining: -amount } },
+          $inc: { __v: 1 }
+        },
+        { new: true }
+      );
+    }
+    if (!updated) {
+      updated = await CarbonBudget.findOneAndUpdate(
+        { _id: budget._id, 'allocations.departmentName': name },
+        incLine(amount),
+        { new: true }
+      );
+    }
+  }
+
+  const line = updated.allocations.find(l => l.departmentName === name);
+  const before = lineStatus({ ...line.toObject(), used: line.used - amount }, updated.warnAt);
+  alertOnTransition(updated, line, before);
+
+  return {
+    budget: updated._id,
+    label: updated.label,
+    departmentName: name,
+    amount,
+    allocated: line.allocated,
+    carriedOver: line.carriedOver,
+    used: line.used,
+    remaining: line.remaining,
+    status: lineStatus(line, updated.warnAt),
+    enforcement: updated.enforcement
+  };
+};
+
+/**
+ * Undo a debit whose transaction could not be recorded
+ * @param {Object} debit - Receipt returned by debitBudget
+ */
+const refundBudget = async (debit) => {
+  if (!debit) return;
+  await CarbonBudget.updateOne(
+    { _id: debit.budget, 'allocations.departmentName': debit.departmentName },
+    incLine(-debit.amount)
+  );
+};
+
+module.exports = {
+  BudgetError,
+  periodFor,
+  splitTotal,
+  allocateBudget,
+  reallocateBudget,
+  findBudgetAt,
+  closeEndedBudgets,
+  debitBudget,
+  refundBudget
+};
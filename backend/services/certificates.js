@@ -0,0 +1,279 @@
+// backend/services/certificates.js
+// Certificates for offset retirements (models/OffsetCertificate.js).
+//
+// A certificate is issued once per retirement, the first time it is asked
+// for. Its statement (institute, tonnes, project, serials, date, paying
+// ledger journal) is copied from the retirement and sealed with a sha256
+// fingerprint. The journal is represented by a hash of its immutable
+// fields; the ledger is append-only, so the hash is stable for as long as
+// the purchase stands. Verification recomputes all of it against the live
+// records, so a certificate whose document, retirement or payment was
+// altered is reported as not genuine even if its status still says valid.
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Institute = require('../models/Institute');
+const OffsetCertificate = require('../models/OffsetCertificate');
+const OffsetRetirement = require('../models/OffsetRetirement');
+const { LedgerJournal } = require('../models/Ledger');
+const certificateConfig = require('../config/certificates');
+
+class CertificateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CertificateError';
+    this.status = status;
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const iso = (date) => (date ? new Date(date).toISOString() : null);
+
+const newCertificateId = () => {
+  const hex = crypto.randomBytes(10).toString('hex').toUpperCase();
+  return `GPC-${hex.match(/.{5}/g).join('-')}`;
+};
+
+const normalizeId = (certificateId) => String(certificateId || '').trim().toUpperCase();
+
+const verifyUrl = (certificateId) => `${certificateConfig.verifyUrl}/${encodeURIComponent(certificateId)}`;
+
+/**
+ * Hash of the fields of a ledger journal that identify the payment
+ */
+const journalHash = (journal) => sha256(JSON.stringify([
+  String(journal._id),
+  journal.instituteId,
+  journal.type,
+  journal.amount,
+  journal.currency,
+  iso(journal.postedAt)
+]));
+
+// Fixed field order, so the fingerprint does not depend on how Mongo returns the document
+const canonicalDetails = (details) => ({
+  instituteName: details.instituteName,
+  beneficiary: details.beneficiary || null,
+  purpose: details.purpose || null,
+  tonnes: details.tonnes,
+  project: {
+    name: details.project.name,
+    type: details.project.type,
+    registry: details.project.registry,
+    registryProjectId: details.project.registryProjectId || null,
+    vintage: details.project.vintage,
+    country: details.project.country || null
+  },
+  serialPrefix: details.serialPrefix,
+  serialStart: details.serialStart,
+  serialEnd: details.serialEnd,
+  retiredAt: iso(details.retiredAt),
+  ledgerJournal: String(details.ledgerJournal),
+  transactionHash: details.transactionHash
+});
+
+const fingerprintOf = (certificateId, details) => sha256(JSON.stringify([certificateId, canonicalDetails(details)]));
+
+const detailsFor = (retirement, journal, instituteName) => canonicalDetails({
+  instituteName,
+  beneficiary: retirement.beneficiary,
+  purpose: retirement.purpose,
+  tonnes: retirement.tonnes,
+  project: retirement.projectSnapshot || {},
+  serialPrefix: retirement.serialPrefix,
+  serialStart: retirement.serialStart,
+  serialEnd: retirement.serialEnd,
+  retiredAt: retirement.retiredAt,
+  ledgerJournal: journal._id,
+  transactionHash: journalHash(journal)
+});
+
+/**
+ * The retirement's certificate, issuing it on first request
+ * @param {Object} retirement - OffsetRetirement document
+ * @param {string} userId - Who asked for it
+ * @returns {Promise<Object>} OffsetCertificate document
+ */
+const issueCertificate = async (retirement, userId) => {
+  const existing = await OffsetCertificate.findOne({ retirement: retirement._id });
+  if (existing) return existing;
+
+  const [journal, institute] = await Promise.all([
+    LedgerJournal.findById(retirement.ledgerJournal).lean(),
+    Institute.findOne({ id: retirement.instituteId }).select('name').lean()
+  ]);
+  if (!journal) {
+    throw new CertificateError('The ledger journal paying for this retirement is missing', 409);
+  }
+
+  const certificateId = newCertificateId();
+  const details = detailsFor(retirement, journal, institute ? institute.name : retirement.instituteId);
+  try {
+    return await OffsetCertificate.create({
+      certificateId,
+      retirement: retirement._id,
+      instituteId: retirement.instituteId,
+      details,
+      fingerprint: fingerprintOf(certificateId, details),
+      issuedBy: userId
+    });
+  } catch (error) {
+    // Two first downloads raced; both get the one that was stored
+    if (error.code === 11000) {
+      const stored = await OffsetCertificate.findOne({ retirement: retirement._id });
+      if (stored) return stored;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check a certificate id against the live records
+ * @returns {Promise<{ genuine: boolean, status: string|null, reason: string|null, certificate: Object|null }>}
+ */
+const verifyCertificate = async (certificateId) => {
+  const certificate = await OffsetCertificate.findOne({ certificateId: normalizeId(certificateId) }).lean();
+  if (!certificate) {
+    return { genuine: false, status: null, reason: 'Unknown certificate id', certificate: null };
+  }
+
+  const [retirement, journal] = await Promise.all([
+    OffsetRetirement.findById(certificate.retirement).lean(),
+    LedgerJournal.findById(certificate.details.ledgerJournal).lean()
+  ]);
+
+  let reason = null;
+  if (fingerprintOf(certificate.certificateId, certificate.details) !== certificate.fingerprint) {
+    reason = 'Certificate record does not match its fingerprint';
+  } else if (!retirement) {
+    reason = 'Retirement no longer exists';
+  } else if (!journal || journalHash(journal) !== certificate.details.transactionHash) {
+    reason = 'Paying ledger transaction does not match';
+  } else {
+    const live = detailsFor(retirement, journal, certificate.details.instituteName);
+    if (fingerprintOf(certificate.certificateId, live) !== certificate.fingerprint) {
+      reason = 'Retirement record does not match the certificate';
+    } else if (certificate.status === 'revoked') {
+      reason = `Revoked${certificate.revocationReason ? `: ${certificate.revocationReason}` : ''}`;
+    }
+  }
+
+  return {
+    genuine: reason === null,
+    status: certificate.status,
+    reason,
+    certificate: {
+      certificateId: certificate.certificateId,
+      ...canonicalDetails(certificate.details),
+      issuedAt: certificate.issuedAt,
+      revokedAt: certificate.revokedAt || null
+    }
+  };
+};
+
+/**
+ * Revoke a certificate; verification reports it as not genuine from then on
+ */
+const revokeCertificate = async (certificateId, reason, userId) => {
+  if (!reason || !String(reason).trim()) {
+    throw new CertificateError('A revocation reason is required');
+  }
+  const certificate = await OffsetCertificate.findOneAndUpdate(
+    { certificateId: normalizeId(certificateId), status: 'valid' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: userId, revocationReason: String(reason).trim() } },
+    { new: true }
+  );
+  if (!certificate) {
+    const exists = await OffsetCertificate.exists({ certificateId: normalizeId(certificateId) });
+    throw exists
+      ? new CertificateError('Certificate is already revoked', 409)
+      : new CertificateError('Certificate not found', 404);
+  }
+  return certificate;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Render a certificate as a one-page A4 PDF with a QR code to its verification URL
+ * @returns {Promise<Buffer>}
+ */
+const renderCertificatePdf = async (certificate) => {
+  const { details } = certificate;
+  const url = verifyUrl(certificate.certificateId);
+  const qr = await QRCode.toBuffer(url, { margin: 1, width: 220 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 56,
+      info: {
+        Title: `Carbon offset retirement certificate ${certificate.certificateId}`,
+        Author: certificateConfig.issuer
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const row = (label, value) => {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#555555').text(label.toUpperCase());
+      doc.font('Helvetica').fontSize(12).fillColor('#000000').text(value === null || value === undefined || value === '' ? '—' : String(value));
+      doc.moveDown(0.6);
+    };
+
+    doc.rect(doc.page.margins.left - 16, doc.page.margins.top - 16, width + 32, doc.page.height - doc.page.margins.top - doc.page.margins.bottom + 32)
+      .lineWidth(2).strokeColor('#2F855A').stroke();
+
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#22543D')
+      .text('Certificate of Carbon Offset Retirement', { align: 'center' });
+    doc.moveDown(0.4);
+    doc.font('Helvetica').fontSize(11).fillColor('#555555')
+      .text(`Certificate ${certificate.certificateId}`, { align: 'center' });
+    doc.moveDown(1.2);
+
+    doc.font('Helvetica').fontSize(12).fillColor('#000000')
+      .text(`${details.tonnes} tonne${details.tonnes === 1 ? '' : 's'} of CO2e have been permanently retired on behalf of`, { align: 'center' });
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(18).text(details.beneficiary || details.instituteName, { align: 'center' });
+    doc.moveDown(1.5);
+
+    row('Institute', details.instituteName);
+    row('Project', `${details.project.name} (${details.project.registry}${details.project.registryProjectId ? ` ${details.project.registryProjectId}` : ''})`);
+    row('Project type / vintage / country', [details.project.type, details.project.vintage, details.project.country].filter(Boolean).join(' / '));
+    row('Serial numbers', `${details.serialPrefix}-${details.serialStart} to ${details.serialPrefix}-${details.serialEnd}`);
+    row('Retired on', formatDate(details.retiredAt));
+    if (details.purpose) row('Purpose', details.purpose);
+    row('Ledger transaction', details.ledgerJournal);
+    row('Transaction hash', details.transactionHash);
+    if (certificate.status === 'revoked') {
+      doc.font('Helvetica-Bold').fontSize(14).fillColor('#C53030')
+        .text(`REVOKED ${certificate.revokedAt ? formatDate(certificate.revokedAt) : ''}`.trim());
+      doc.fillColor('#000000');
+    }
+
+    const qrSize = 110;
+    const qrY = doc.page.height - doc.page.margins.bottom - qrSize;
+    doc.image(qr, doc.page.margins.left, qrY, { width: qrSize });
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`Issued by ${certificateConfig.issuer} on ${formatDate(certificate.issuedAt)}. Scan the code or open the address below to confirm this certificate is genuine and has not been revoked.`,
+        doc.page.margins.left + qrSize + 16, qrY + 10, { width: width - qrSize - 16 })
+      .moveDown(0.5)
+      .fillColor('#2B6CB0')
+      .text(url, { width: width - qrSize - 16, link: url });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  CertificateError,
+  issueCertificate,
+  verifyCertificate,
+  revokeCertificate,
+  renderCertificatePdf,
+  verifyUrl
+};
@@ -0,0 +1,269 @@
+// backend/services/chainIndexer.js
+// Mirrors events from the deployed contract stack into MongoDB.
+// Polls eth_getLogs in block batches, stores decoded events in the ChainEvent
+// collection and keeps a per-network IndexerCheckpoint so restarts resume
+// where they left off. Recently indexed block hashes are remembered so a
+// reorg (or a restarted Hardhat node) rolls the mirror back to the fork point.
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const chainConfig = require('../config/chain');
+const abis = require('../utils/contractAbis');
+
+// Deployment names whose events are mirrored
+const INDEXED_CONTRACTS = [
+  'EnergyOracle',
+  'EnergyAuction',
+  'EnergyTrade',
+  'EnergyLoan',
+  'FiatGateway',
+  'GovStaking'
+];
+
+/**
+ * Convert decoded ethers values into something Mongo can store and query
+ * @param {*} value - Decoded argument value
+ * @returns {*} - bigint as decimal string, addresses lowercased
+ */
+const serializeValue = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (typeof value === 'string' && ethers.isAddress(value)) return value.toLowerCase();
+  return value;
+};
+
+class ChainIndexer extends EventEmitter {
+  /**
+   * @param {Object} options - Overrides for config/chain.js
+   * @param {string} options.name - Checkpoint name, defaults to 'default'
+   * @param {ethers.Provider} options.provider - Provider to read logs from
+   * @param {Object} options.deployment - Parsed deployment manifest
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'default';
+    this.network = options.network || chainConfig.network;
+    this.provider = options.provider || new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+    this.confirmations = options.confirmations ?? chainConfig.confirmations;
+    this.batchSize = options.batchSize || chainConfig.batchSize;
+    this.pollInterval = options.pollInterval || chainConfig.pollInterval;
+    this.startBlock = options.startBlock ?? chainConfig.startBlock;
+    this.reorgDepth = options.reorgDepth || chainConfig.reorgDepth;
+
+    const deployment = options.deployment || chainConfig.loadDeployment(this.network);
+    this.contracts = {};
+    for (const name of INDEXED_CONTRACTS) {
+      const address = deployment.addresses && deployment.addresses[name];
+      if (!address) continue;
+      this.contracts[address.toLowerCase()] = {
+        name,
+        iface: new ethers.Interface(abis[name])
+      };
+    }
+
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start the polling loop. Polls never overlap: the next one is scheduled
+   * only after the previous one finished.
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.pollOnce();
+      } catch (error) {
+        console.error('Chain indexer poll error:', error.message);
+        await IndexerCheckpoint.updateOne(
+          { name: this.name, network: this.network },
+          { $set: { lastError: error.message } }
+        ).catch(() => {});
+        if (this.listenerCount('error') > 0) this.emit('error', error);
+      }
+      if (this.running) {
+        this.timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async loadCheckpoint() {
+    let checkpoint = await IndexerCheckpoint.findOne({ name: this.name, network: this.network });
+    if (!checkpoint) {
+      checkpoint = new IndexerCheckpoint({
+        name: this.name,
+        network: this.network,
+        lastBlock: this.startBlock - 1,
+        recentBlocks: []
+      });
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Index every confirmed block since the checkpoint
+   * @returns {Promise<number>} - Number of newly stored events
+   */
+  async pollOnce() {
+    const checkpoint = await this.loadCheckpoint();
+    await this.handleReorg(checkpoint);
+
+    const head = await this.provider.getBlockNumber();
+    const safeHead = head - this.confirmations;
+    let indexed = 0;
+
+    while (checkpoint.lastBlock < safeHead) {
+      const fromBlock = checkpoint.lastBlock + 1;
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, safeHead);
+
+      const logs = await this.provider.getLogs({
+        address: Object.keys(this.contracts),
+        fromBlock,
+        toBlock
+      });
+      const docs = await this.decodeLogs(logs);
+
+      const inserted = [];
+      for (const doc of docs) {
+        const result = await ChainEvent.updateOne(
+          { network: doc.network, transactionHash: doc.transactionHash, logIndex: doc.logIndex },
+          { $set: doc },
+          { upsert: true }
+        );
+        if (result.upsertedCount > 0) inserted.push(doc);
+      }
+
+      const endBlock = await this.provider.getBlock(toBlock);
+      this.rememberBlock(checkpoint, endBlock.number, endBlock.hash);
+      checkpoint.lastBlock = toBlock;
+      checkpoint.lastError = undefined;
+      await checkpoint.save();
+
+      indexed += inserted.length;
+      inserted.forEach(doc => this.emit('event', doc));
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Decode raw logs from the indexed contracts into ChainEvent documents
+   * @param {Array} logs - Logs returned by provider.getLogs
+   * @returns {Promise<Array>} - Documents ready to upsert
+   */
+  async decodeLogs(logs) {
+    const blockTimes = {};
+    const docs = [];
+
+    for (const log of logs) {
+      const contract = this.contracts[log.address.toLowerCase()];
+      if (!contract) continue;
+
+      const parsed = contract.iface.parseLog(log);
+      // Events we have no fragment for are ignored
+      if (!parsed) continue;
+
+      if (!(log.blockNumber in blockTimes)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        blockTimes[log.blockNumber] = block ? new Date(block.timestamp * 1000) : null;
+      }
+
+      const args = {};
+      const addresses = [];
+      parsed.fragment.inputs.forEach((input, i) => {
+        const value = serializeValue(parsed.args[i]);
+        args[input.name] = value;
+        if (input.type === 'address' && !addresses.includes(value)) addresses.push(value);
+      });
+
+      const doc = {
+        network: this.network,
+        contract: contract.name,
+        contractAddress: log.address.toLowerCase(),
+        event: parsed.name,
+        args,
+        addresses,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        blockTimestamp: blockTimes[log.blockNumber],
+        transactionHash: log.transactionHash.toLowerCase(),
+        logIndex: log.index
+      };
+      if (args.month !== undefined) doc.month = Number(args.month);
+      docs.push(doc);
+    }
+
+    return docs;
+  }
+
+  rememberBlock(checkpoint, number, hash) {
+    const recent = checkpoint.recentBlocks.filter(b => b.number < number);
+    recent.push({ number, hash });
+    checkpoint.recentBlocks = recent.slice(-this.reorgDepth);
+  }
+
+  /**
+   * Compare remembered block hashes with the chain and roll back to the
+   * newest block that is still canonical
+   * @returns {Promise<boolean>} - true when a rollback happened
+   */
+  async handleReorg(checkpoint) {
+    const recent = checkpoint.recentBlocks;
+    if (!recent.length) return false;
+
+    const latest = recent[recent.length - 1];
+    const latestOnChain = await this.provider.getBlock(latest.number);
+    if (latestOnChain && latestOnChain.hash === latest.hash) return false;
+
+    let forkPoint = null;
+    for (let i = recent.length - 2; i >= 0; i--) {
+      const onChain = await this.provider.getBlock(recent[i].number);
+      if (onChain && onChain.hash === recent[i].hash) {
+        forkPoint = recent[i].number;
+        break;
+      }
+    }
+
+    if (forkPoint === null) {
+      // Reorg deeper than the remembered window (or a fresh node): start over
+      console.warn(`Chain indexer: reorg deeper than ${this.reorgDepth} blocks, reindexing from block ${this.startBlock}`);
+      forkPoint = this.startBlock - 1;
+    }
+
+    const { deletedCount } = await ChainEvent.deleteMany({
+      network: this.network,
+      contractAddress: { $in: Object.keys(this.contracts) },
+      blockNumber: { $gt: forkPoint }
+    });
+
+    console.warn(`Chain indexer: reorg detected at block ${latest.number}, rolled back to ${forkPoint} (${deletedCount} events removed)`);
+
+    checkpoint.lastBlock = forkPoint;
+    checkpoint.recentBlocks = recent.filter(b => b.number <= forkPoint);
+    checkpoint.reorgCount += 1;
+    checkpoint.lastReorgAt = new Date();
+    await checkpoint.save();
+
+    this.emit('reorg', { forkPoint, removed: deletedCount });
+    return true;
+  }
+}
+
+module.exports = {
+  ChainIndexer,
+  INDEXED_CONTRACTS
+};
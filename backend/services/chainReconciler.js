@@ -0,0 +1,267 @@
+// backend/services/chainReconciler.js
+// Compares the off-chain wallet ledger with EnergyToken holdings. For each
+// department with a linked wallet address (DepartmentWallet), the ledger
+// balances of the department's members are summed and set against what the
+// address holds on-chain:
+//   balanceOf + GovStaking stake + EnergyLoan collateral + FiatGateway escrow
+// Escrow is the EnTo of the address's sell requests still pending on the
+// gateway. All reads of a run are pinned to one block so the components
+// add up. Each run stores one ChainReconciliation report per institute and
+// raises a live alert for departments that newly drift past the tolerance.
+const { ethers } = require('ethers');
+const ChainReconciliation = require('../models/ChainReconciliation');
+const DepartmentWallet = require('../models/DepartmentWallet');
+const FiatRequest = require('../models/FiatRequest');
+const CarbonData = require('../models/CarbonData');
+const User = require('../models/User');
+const chainConfig = require('../config/chain');
+const ledgerConfig = require('../config/ledger');
+const abis = require('../utils/contractAbis');
+const { walletBalances } = require('./ledger');
+const { publishAlert } = require('./liveEvents');
+const { OPEN_STATUSES } = require('./settlementWorker');
+
+// FiatGateway.RequestStatus.Pending / RequestType.Sell
+const PENDING = 0;
+const SELL = 1;
+
+const round = (value) => {
+  const factor = 10 ** ledgerConfig.precision;
+  return Math.round(value * factor) / factor;
+};
+
+class ChainReconciler {
+  constructor(options = {}) {
+    this.network = options.network || chainConfig.network;
+    this.provider = options.provider || new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+    const { addresses } = options.deployment || chainConfig.loadDeployment(this.network);
+    if (!addresses.EnergyToken) {
+      throw new Error(`No EnergyToken address in the ${this.network} deployment`);
+    }
+
+    // Contracts missing from the deployment contribute nothing to the on-chain total
+    const contract = (name) => (addresses[name] ? new ethers.Contract(addresses[name], abis[name], this.provider) : null);
+    this.token = contract('EnergyToken');
+    this.staking = contract('GovStaking');
+    this.loan = contract('EnergyLoan');
+    this.gateway = contract('FiatGateway');
+
+    this.tolerance = options.tolerance ?? chainConfig.reconcileTolerance;
+    this.interval = options.interval || chainConfig.reconcileInterval;
+    this.decimals = null;
+
+    this.running = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error('Chain reconciler error:', error.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(tick, this.interval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Reconcile every institute with linked department wallets (or just one)
+   * @param {Object} options - { instituteId }
+   * @returns {Promise<Array<Object>>} - Stored ChainReconciliation reports
+   */
+  async runOnce({ instituteId } = {}) {
+    const wallets = await DepartmentWallet.find({ active: true, ...(instituteId ? { instituteId } : {}) })
+      .sort({ departmentName: 1 })
+      .lean();
+    if (wallets.length === 0) return [];
+
+    const block = await this.provider.getBlock('latest');
+    if (this.decimals === null) {
+      this.decimals = Number(await this.token.decimals({ blockTag: block.number }));
+    }
+
+    const byInstitute = new Map();
+    for (const wallet of wallets) {
+      if (!byInstitute.has(wallet.instituteId)) byInstitute.set(wallet.instituteId, []);
+      byInstitute.get(wallet.instituteId).push(wallet);
+    }
+
+    const reports = [];
+    for (const [id, departments] of byInstitute) {
+      reports.push(await this.reconcileInstitute(id, departments, block));
+    }
+    return reports;
+  }
+
+  /**
+   * Reconcile one institute's department wallets at a block
+   */
+  async reconcileInstitute(instituteId, departments, block) {
+    const report = new ChainReconciliation({
+      instituteId,
+      network: this.network,
+      blockNumber: block.number,
+      blockTimestamp: new Date(Number(block.timestamp) * 1000),
+      tolerance: this.tolerance,
+      status: 'matched',
+      startedAt: new Date()
+    });
+
+    try {
+      const offChain = await this.offChainBalances(instituteId);
+
+      for (const { departmentName, address } of departments) {
+        const line = {
+          departmentName,
+          address,
+          offChain: offChain.get(departmentName) || { balance: 0, wallets: 0, unopened: 0 }
+        };
+        try {
+          line.onChain = await this.onChainHoldings(address, block.number);
+          line.difference = round(line.onChain.total - line.offChain.balance);
+          line.status = Math.abs(line.difference) > this.tolerance ? 'mismatch' : 'matched';
+        } catch (error) {
+          line.status = 'error';
+          line.error = error.shortMessage || error.message;
+        }
+        report.departments.push(line);
+      }
+
+      report.mismatches = report.departments.filter(line => line.status !== 'matched').length;
+      report.status = report.mismatches > 0 ? 'discrepancies' : 'matched';
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+    }
+
+    report.completedAt = new Date();
+    await report.save();
+    await this.alertNewMismatches(report);
+    return report;
+  }
+
+  /**
+   * Members' wallet ledger balances summed per department
+   * @returns {Promise<Map<string, { balance: number, wallets: number, unopened: number }>>}
+   */
+  async offChainBalances(instituteId) {
+    const members = await User.find({ instituteId, department: { $nin: [null, ''] } })
+      .select('_id department')
+      .lean();
+    const departmentOf = new Map(members.map(user => [String(user._id), user.department]));
+
+    const wallets = await CarbonData.find({ instituteId, userId: { $in: members.map(user => user._id) } })
+      .select('userId walletBalance')
+      .lean();
+    const balances = await walletBalances(wallets);
+
+    const totals = new Map();
+    for (const [userId, { balance, opened }] of balances) {
+      const department = departmentOf.get(userId);
+      const total = totals.get(department) || { balance: 0, wallets: 0, unopened: 0 };
+      total.balance = round(total.balance + balance);
+      total.wallets += 1;
+      if (!opened) total.unopened += 1;
+      totals.set(department, total);
+    }
+    return totals;
+  }
+
+  /**
+   * ENTO held by an address at a block, by where it sits
+   */
+  async onChainHoldings(address, blockTag) {
+    const overrides = { blockTag };
+    const [balance, stake, loan, escrowed] = await Promise.all([
+      this.token.balanceOf(address, overrides),
+      this.staking ? this.staking.stakes(address, overrides) : null,
+      this.loan ? this.loan.loans(address, overrides) : null,
+      this.escrowedFor(address, blockTag)
+    ]);
+
+    const holdings = {
+      balance: this.toEnto(balance),
+      staked: stake ? this.toEnto(stake.amount) : 0,
+      collateral: loan ? this.toEnto(loan.collateral) : 0,
+      escrowed: this.toEnto(escrowed)
+    };
+    holdings.total = round(holdings.balance + holdings.staked + holdings.collateral + holdings.escrowed);
+    return holdings;
+  }
+
+  /**
+   * EnTo locked in the gateway by the address's sell requests that were still
+   * pending at the block. Candidates come from the settlement worker's
+   * FiatRequest tracking; each is confirmed against the contract.
+   */
+  async escrowedFor(address, blockTag) {
+    if (!this.gateway) return 0n;
+
+    const sells = await FiatRequest.find({
+      network: this.network,
+      type: 'sell',
+      user: address,
+      status: { $in: OPEN_STATUSES }
+    }).select('reqId').lean();
+
+    let escrowed = 0n;
+    for (const { reqId } of sells) {
+      const request = await this.gateway.requests(reqId, { blockTag });
+      if (Number(request.status) === PENDING && Number(request.typ) === SELL) {
+        escrowed += BigInt(request.inAmount);
+      }
+    }
+    return escrowed;
+  }
+
+  toEnto(value) {
+    return round(Number(ethers.formatUnits(value, this.decimals)));
+  }
+
+  // Alert once when a department starts to drift, not on every run it stays drifted
+  async alertNewMismatches(report) {
+    const mismatched = report.departments.filter(line => line.status === 'mismatch');
+    if (mismatched.length === 0) return;
+
+    const previous = await ChainReconciliation.findOne({
+      instituteId: report.instituteId,
+      network: report.network,
+      _id: { $ne: report._id },
+      startedAt: { $lte: report.startedAt }
+    }).sort({ startedAt: -1 }).lean();
+    const known = new Set((previous ? previous.departments : [])
+      .filter(line => line.status === 'mismatch')
+      .map(line => line.departmentName));
+
+    for (const line of mismatched) {
+      if (known.has(line.departmentName)) continue;
+      await publishAlert(report.instituteId, {
+        type: 'chain_reconciliation',
+        severity: 'high',
+        message: `${line.departmentName} wallet ledger is ${line.difference > 0 ? 'below' : 'above'} its on-chain holdings by ${Math.abs(line.difference)} ${ledgerConfig.currency}`,
+        department: line.departmentName,
+        reconciliationId: String(report._id)
+      });
+    }
+  }
+}
+
+module.exports = {
+  ChainReconciler
+};
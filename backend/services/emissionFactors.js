@@ -0,0 +1,372 @@
+// backend/services/emissionFactors.js
+// Looks up emission factors in the registry (models/EmissionFactor.js) and
+// keeps the CO2 figures derived from them in step when factors change.
+// A factor is chosen by the institute's grid region, the energy source and the
+// record's timestamp; a region without its own factor falls back to "*" and
+// then to the built-in defaults in config/emissions.js (version 0). Records
+// store the factor versions they were computed with, so a new or revised
+// factor can be applied to exactly the records it affects.
+const mongoose = require('mongoose');
+const EmissionFactor = require('../models/EmissionFactor');
+const Institute = require('../models/Institute');
+const CarbonBiometric = require('../models/CarbonBiometric');
+const CarbonData = require('../models/CarbonData');
+const emissionsConfig = require('../config/emissions');
+const { backfillRollups } = require('./rollups');
+
+const { ANY_REGION, ENERGY_SOURCES } = EmissionFactor;
+
+// Sources each kind of record cites
+const READING_SOURCES = ['grid', 'renewable'];
+const TRANSACTION_SOURCES = { energy_consumption: 'grid', offset_purchase: 'offset' };
+
+class EmissionFactorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EmissionFactorError';
+    this.status = status;
+  }
+}
+
+const round = (value, digits = 6) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+let cachedTable = null;
+
+/**
+ * Active factors, cached for cacheMs
+ * @returns {Promise<Array>} - Lean EmissionFactor documents
+ */
+const loadFactorTable = async () => {
+  if (cachedTable && Date.now() - cachedTable.loadedAt < emissionsConfig.cacheMs) {
+    return cachedTable.factors;
+  }
+  const factors = await EmissionFactor.find({ status: 'active' }).lean();
+  cachedTable = { loadedAt: Date.now(), factors };
+  return factors;
+};
+
+// Called after every registry change in this process
+const invalidateFactorTable = () => {
+  cachedTable = null;
+};
+
+const covers = (factor, time) =>
+  factor.effectiveFrom.getTime() <= time && (!factor.effectiveTo || time < factor.effectiveTo.getTime());
+
+const toRef = (factor) => ({
+  factor: factor._id,
+  region: factor.region,
+  energySource: factor.energySource,
+  version: factor.version,
+  value: factor.value
+});
+
+/**
+ * Factor for a region and energy source at a point in time
+ * @param {Array} factors - From loadFactorTable
+ * @param {Object} options - { region, energySource, at }
+ * @returns {Object} - Reference as stored on records: { factor, region, energySource, version, value }
+ */
+const resolveFactor = (factors, { region = emissionsConfig.defaultRegion, energySource, at = new Date() }) => {
+  const time = new Date(at).getTime();
+  for (const candidate of [region, ANY_REGION]) {
+    // Active factors of one key never overlap; the latest start wins regardless
+    const match = factors
+      .filter(f => f.region === candidate && f.energySource === energySource && covers(f, time))
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+    if (match) return toRef(match);
+  }
+  return { factor: null, region, energySource, version: 0, value: emissionsConfig.defaults[energySource] ?? 0 };
+};
+
+const regionOf = (institute) => (institute && institute.gridRegion) || emissionsConfig.defaultRegion;
+
+/**
+ * Synchronous factor lookup for one institute, for code resolving many records
+ * @param {string} instituteId
+ * @returns {Promise<Function>} - (energySource, at) => factor reference
+ */
+const getFactorResolver = async (instituteId) => {
+  const [factors, institute] = await Promise.all([
+    loadFactorTable(),
+    instituteId ? Institute.findOne({ id: instituteId }).select('gridRegion').lean() : null
+  ]);
+  const region = regionOf(institute);
+  return (energySource, at) => resolveFactor(factors, { region, energySource, at });
+};
+
+/**
+ * Factor reference for one institute, energy source and time
+ */
+const resolveEmissionFactor = async ({ instituteId, energySource, at }) =>
+  (await getFactorResolver(instituteId))(energySource, at);
+
+/**
+ * Tonnes CO2e for a reading's grid and renewable kWh
+ * @returns {Object} - { co2Emissions, emissionFactors }
+ */
+const readingEmissions = ({ gridEnergyUsage = 0, renewableEnergyUsage = 0 }, at, resolve) => {
+  const grid = resolve('grid', at);
+  const renewable = resolve('renewable', at);
+  return {
+    co2Emissions: round((gridEnergyUsage * grid.value + renewableEnergyUsage * renewable.value) / 1000),
+    emissionFactors: [grid, renewable]
+  };
+};
+
+/**
+ * Tonnes CO2e for a wallet transaction (kWh consumed, or ENTO spent on offsets)
+ * @returns {Object|null} - { co2Impact, emissionFactor }, null for other transaction types
+ */
+const transactionImpact = (transaction, resolve) => {
+  const energySource = TRANSACTION_SOURCES[transaction.type];
+  if (!energySource) return null;
+  const quantity = energySource === 'offset' ? transaction.amount : transaction.consumption;
+  const emissionFactor = resolve(energySource, transaction.date);
+  return { co2Impact: round((quantity || 0) * emissionFactor.value / 1000), emissionFactor };
+};
+
+const sameRefs = (a = [], b = []) => a.length === b.length &&
+  a.every((ref, i) => String(ref.factor) === String(b[i].factor) && ref.version === b[i].version && ref.value === b[i].value);
+
+// Readings whose derived emissions fall in the range, rewritten with current factors
+async function recalculateReadings(instituteId, resolve, range) {
+  const cursor = CarbonBiometric.find({
+    instituteId,
+    timestamp: { $gte: range.from, $lt: range.to },
+    'emissionFactors.0': { $exists: true }
+  }).select('timestamp gridEnergyUsage renewableEnergyUsage co2Emissions derivedFields emissionFactors').lean().cursor();
+
+  let updated = 0;
+  let first = null;
+  let last = null;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await CarbonBiometric.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const reading of cursor) {
+    const { co2Emissions, emissionFactors } = readingEmissions(reading, reading.timestamp, resolve);
+    if (co2Emissions === reading.co2Emissions && sameRefs(reading.emissionFactors, emissionFactors)) continue;
+
+    const set = { co2Emissions, emissionFactors };
+    if ((reading.derivedFields || []).includes('carbonFootprint')) set.carbonFootprint = co2Emissions;
+    operations.push({ updateOne: { filter: { _id: reading._id }, update: { $set: set } } });
+    if (!first || reading.timestamp < first) first = reading.timestamp;
+    if (!last || reading.timestamp > last) last = reading.timestamp;
+    if (operations.length >= emissionsConfig.recalcBatchSize) await flush();
+  }
+  await flush();
+
+  // bulkWrite skips the rollup hooks, so rebuild the buckets that changed
+  if (updated > 0) await backfillRollups({ instituteId, from: first, to: last });
+  return updated;
+}
+
+// Wallet transactions in the range, re-priced; offset changes move co2Savings too
+async function recalculateTransactions(instituteId, resolve, range, types) {
+  const docs = await CarbonData.find({
+    instituteId,
+    transactions: {
+      $elemMatch: {
+        type: { $in: types },
+        date: { $gte: range.from, $lt: range.to },
+        'emissionFactor.version': { $exists: true }
+      }
+    }
+  });
+
+  let updated = 0;
+  for (const doc of docs) {
+    let changed = false;
+    for (const transaction of doc.transactions) {
+      if (!types.includes(transaction.type) || !transaction.emissionFactor || transaction.emissionFactor.version === undefined) continue;
+      if (transaction.date < range.from || transaction.date >= range.to) continue;
+
+      const { co2Impact, emissionFactor } = transactionImpact(transaction, resolve);
+      if (co2Impact === transaction.co2Impact && sameRefs([transaction.emissionFactor], [emissionFactor])) continue;
+
+      if (transaction.type === 'offset_purchase') {
+        doc.co2Savings = round(doc.co2Savings + co2Impact - (transaction.co2Impact || 0));
+      }
+      transaction.co2Impact = co2Impact;
+      transaction.emissionFactor = emissionFactor;
+      changed = true;
+      updated++;
+    }
+    if (changed) await doc.save();
+  }
+  return updated;
+}
+
+const FACTOR_FIELDS = ['region', 'energySource', 'value', 'effectiveFrom', 'effectiveTo', 'source', 'notes'];
+
+const pick = (data) => Object.fromEntries(FACTOR_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+
+// Active factors of the same key a new range would overlap. An open-ended
+// factor that starts earlier is closed where the new one starts (the usual
+// "new annual factor" case); any other overlap is a conflict.
+async function planOverlaps(factor, excludeId) {
+  const overlapping = await EmissionFactor.find({
+    region: factor.region,
+    energySource: factor.energySource,
+    status: 'active',
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    ...(factor.effectiveTo ? { effectiveFrom: { $lt: factor.effectiveTo } } : {}),
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: factor.effectiveFrom } }]
+  });
+
+  const toClose = [];
+  for (const existing of overlapping) {
+    if (!existing.effectiveTo && existing.effectiveFrom < factor.effectiveFrom) {
+      toClose.push(existing);
+    } else {
+      throw new EmissionFactorError(
+        `Overlaps ${existing.region}/${existing.energySource} version ${existing.version} ` +
+        `(from ${existing.effectiveFrom.toISOString()}${existing.effectiveTo ? ` to ${existing.effectiveTo.toISOString()}` : ''})`,
+        409
+      );
+    }
+  }
+  return toClose;
+}
+
+async function nextVersion(region, energySource) {
+  const latest = await EmissionFactor.findOne({ region, energySource }).sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version + 1 : 1;
+}
+
+// Store a factor as the next version of its key, closing what it replaces
+async function storeVersion(data, { supersedes = null, userId } = {}) {
+  const factor = new EmissionFactor({ ...data, supersedes, createdBy: userId, version: 0 });
+  factor.version = await nextVersion(factor.region, factor.energySource);
+  await factor.validate();
+
+  const toClose = await planOverlaps(factor, supersedes);
+  await factor.save();
+  for (const existing of toClose) {
+    existing.effectiveTo = factor.effectiveFrom;
+    await existing.save();
+  }
+  invalidateFactorTable();
+  return { factor, closed: toClose };
+}
+
+/**
+ * Add a factor to the registry
+ * @param {Object} data - { region, energySource, value, effectiveFrom, effectiveTo, source, notes }
+ * @returns {Promise<Object>} - { factor, range } where range is what needs recalculating
+ * @throws {EmissionFactorError|mongoose.Error.ValidationError}
+ */
+const createFactor = async (data, userId) => {
+  const { factor } = await storeVersion(pick(data), { userId });
+  return { factor, range: { from: factor.effectiveFrom, to: factor.effectiveTo } };
+};
+
+const findActive = async (id) => {
+  const factor = mongoose.Types.ObjectId.isValid(id) ? await EmissionFactor.findById(id) : null;
+  if (!factor) throw new EmissionFactorError('Emission factor not found', 404);
+  if (factor.status !== 'active') throw new EmissionFactorError(`Emission factor version ${factor.version} is ${factor.status}`, 409);
+  return factor;
+};
+
+/**
+ * Replace an active factor with a corrected version (value, dates, source or notes)
+ * @returns {Promise<Object>} - { factor, previous, range }
+ * @throws {EmissionFactorError|mongoose.Error.ValidationError}
+ */
+const reviseFactor = async (id, changes, userId) => {
+  const previous = await findActive(id);
+  const { region, energySource, ...editable } = pick(changes);
+  if ((region && region.toUpperCase() !== previous.region) || (energySource && energySource !== previous.energySource)) {
+    throw new EmissionFactorError('Region and energy source cannot be revised; add a new factor instead');
+  }
+
+  const base = pick(previous.toObject());
+  const { factor } = await storeVersion({ ...base, ...editable }, { supersedes: previous._id, userId });
+  previous.status = 'superseded';
+  await previous.save();
+  invalidateFactorTable();
+
+  // Records under either the old or the new range may change
+  const ends = [previous.effectiveTo, factor.effectiveTo];
+  return {
+    factor,
+    previous,
+    range: {
+      from: new Date(Math.min(previous.effectiveFrom, factor.effectiveFrom)),
+      to: ends.includes(null) ? null : new Date(Math.max(...ends))
+    }
+  };
+};
+
+/**
+ * Withdraw an active factor; its range falls back to "*" or the built-in default
+ * @returns {Promise<Object>} - { factor, range }
+ */
+const retireFactor = async (id) => {
+  const factor = await findActive(id);
+  factor.status = 'retired';
+  await factor.save();
+  invalidateFactorTable();
+  return { factor, range: { from: factor.effectiveFrom, to: factor.effectiveTo } };
+};
+
+/**
+ * Re-derive CO2 for records computed with factors of a region/energy source
+ * in a date range, after a factor was added, revised or retired
+ * @param {Object} options
+ * @param {string} [options.region] - Only institutes in this grid region ("*" or omitted: all)
+ * @param {string} [options.energySource] - Only records citing this source (omitted: all)
+ * @param {Date} options.from
+ * @param {Date} [options.to] - Exclusive; defaults to now
+ * @returns {Promise<Object>} - { institutes, readings, transactions }
+ */
+const recalculateEmissions = async ({ region, energySource, from, to }) => {
+  if (energySource && !ENERGY_SOURCES.includes(energySource)) {
+    throw new EmissionFactorError(`energySource must be one of: ${ENERGY_SOURCES.join(', ')}`);
+  }
+  const range = { from: new Date(from || 0), to: to ? new Date(to) : new Date() };
+  if (isNaN(range.from) || isNaN(range.to)) throw new EmissionFactorError('Invalid recalculation range');
+
+  invalidateFactorTable();
+  const factors = await loadFactorTable();
+
+  const institutes = (await Institute.find({}).select('id gridRegion').lean())
+    .filter(institute => !region || region === ANY_REGION || regionOf(institute) === region);
+
+  const transactionTypes = Object.keys(TRANSACTION_SOURCES)
+    .filter(type => !energySource || TRANSACTION_SOURCES[type] === energySource);
+
+  const result = { institutes: institutes.length, readings: 0, transactions: 0 };
+  for (const institute of institutes) {
+    const instituteRegion = regionOf(institute);
+    const resolve = (source, at) => resolveFactor(factors, { region: instituteRegion, energySource: source, at });
+
+    if (!energySource || READING_SOURCES.includes(energySource)) {
+      result.readings += await recalculateReadings(institute.id, resolve, range);
+    }
+    if (transactionTypes.length > 0) {
+      result.transactions += await recalculateTransactions(institute.id, resolve, range, transactionTypes);
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  EmissionFactorError,
+  loadFactorTable,
+  invalidateFactorTable,
+  resolveFactor,
+  getFactorResolver,
+  resolveEmissionFactor,
+  readingEmissions,
+  transactionImpact,
+  createFactor,
+  reviseFactor,
+  retireFactor,
+  recalculateEmissions
+};
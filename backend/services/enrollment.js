@@ -0,0 +1,151 @@
+// backend/services/enrollment.js
+// Decides which institute (and role) a new sign-up joins:
+//   1. A valid invitation wins: its institute, role and department apply and
+//      the sign-up email must match the invited address.
+//   2. Otherwise the institute's enrollment policy applies: inviteOnly rejects,
+//      allowedDomains rejects other domains. A sign-up without a selected
+//      institute is assigned to the institute that allows its email domain.
+const Institute = require('../models/Institute');
+const Invitation = require('../models/Invitation');
+const { hashToken } = require('../utils/generateToken');
+
+class EnrollmentError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'EnrollmentError';
+    this.status = status;
+  }
+}
+
+const emailDomain = (email) => String(email).toLowerCase().trim().split('@')[1] || '';
+
+// "cs.iitd.ac.in" is covered by an allowed "iitd.ac.in"
+const domainCandidates = (domain) => {
+  const parts = domain.split('.');
+  return parts.slice(0, -1).map((_, i) => parts.slice(i).join('.'));
+};
+
+const domainAllowed = (domain, allowedDomains) => {
+  const candidates = domainCandidates(domain);
+  return allowedDomains.some(allowed => candidates.includes(allowed));
+};
+
+/**
+ * Normalise a list of domains entered by an admin
+ * @returns {string[]} - Lowercased, without "@" or duplicates
+ */
+const normalizeDomains = (domains) => [...new Set(
+  (Array.isArray(domains) ? domains : String(domains || '').split(','))
+    .map(d => String(d).toLowerCase().trim().replace(/^@/, ''))
+    .filter(Boolean)
+)];
+
+const isValidDomain = (domain) => /^([a-z0-9-]+\.)+[a-z]{2,}$/.test(domain);
+
+/**
+ * Look up an invitation by the raw token from an invite link
+ * @returns {Promise<Object|null>} - Invitation document
+ */
+const findInvitation = (rawToken) => {
+  if (!rawToken) return null;
+  return Invitation.findOne({ tokenHash: hashToken(rawToken) });
+};
+
+/**
+ * Work out where a sign-up belongs
+ * @param {Object} params
+ * @param {*} params.institute - Institute picked in the form (may be empty)
+ * @param {string} params.email - Sign-up email
+ * @param {string} [params.inviteToken] - Raw invitation token
+ * @returns {Promise<Object>} - { institute, role, department, invitation }
+ * @throws {EnrollmentError}
+ */
+const resolveEnrollment = async ({ institute, email, inviteToken }) => {
+  if (inviteToken) {
+    const invitation = await findInvitation(inviteToken);
+    if (!invitation || !invitation.isUsable()) {
+      throw new EnrollmentError('This invitation is invalid, expired or has already been used', 400);
+    }
+    if (invitation.email !== String(email).toLowerCase().trim()) {
+      throw new EnrollmentError('This invitation was issued for a different email address');
+    }
+
+    const invitedInstitute = await Institute.findOne({ id: invitation.instituteId }).lean();
+    if (!invitedInstitute) {
+      throw new EnrollmentError('The institute for this invitation no longer exists', 400);
+    }
+    return {
+      institute: invitedInstitute,
+      role: invitation.role,
+      department: invitation.department,
+      invitation
+    };
+  }
+
+  const domain = emailDomain(email);
+  let selected = institute ? await Institute.resolve(institute) : null;
+
+  if (!institute) {
+    const matches = await Institute.find({
+      'enrollment.allowedDomains': { $in: domainCandidates(domain) }
+    }).lean();
+    if (matches.length !== 1) {
+      throw new EnrollmentError(matches.length === 0
+        ? 'Please select your institute'
+        : 'Your email domain belongs to several institutes. Please select yours', 400);
+    }
+    selected = matches[0];
+  }
+
+  if (!selected) {
+    throw new EnrollmentError('Institute not found', 400);
+  }
+
+  const enrollment = selected.enrollment || {};
+  if (enrollment.inviteOnly) {
+    throw new EnrollmentError(`${selected.name} accepts new members by invitation only`);
+  }
+  if (enrollment.allowedDomains && enrollment.allowedDomains.length > 0 &&
+      !domainAllowed(domain, enrollment.allowedDomains)) {
+    throw new EnrollmentError(`${selected.name} only accepts sign-ups from ${enrollment.allowedDomains.map(d => `@${d}`).join(', ')} addresses`);
+  }
+
+  return {
+    institute: selected,
+    role: enrollment.defaultRole || 'student',
+    department: undefined,
+    invitation: null
+  };
+};
+
+/**
+ * Mark an invitation accepted; fails if someone else used it first
+ * @returns {Promise<boolean>}
+ */
+const claimInvitation = async (invitation, userId) => {
+  const result = await Invitation.updateOne(
+    { _id: invitation._id, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'accepted', acceptedBy: userId, acceptedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Undo claimInvitation when creating the account failed afterwards
+ */
+const releaseInvitation = (invitation) => Invitation.updateOne(
+  { _id: invitation._id, status: 'accepted' },
+  { $set: { status: 'pending' }, $unset: { acceptedBy: '', acceptedAt: '' } }
+);
+
+module.exports = {
+  EnrollmentError,
+  emailDomain,
+  domainAllowed,
+  normalizeDomains,
+  isValidDomain,
+  findInvitation,
+  resolveEnrollment,
+  claimInvitation,
+  releaseInvitation
+};
@@ -0,0 +1,277 @@
+// backend/services/ghgReport.js
+// Greenhouse-gas inventory of one institute over a period, by GHG Protocol
+// scope and category, with energy by supply source, offsets retired and the
+// change against the same period a year earlier. Rendering to PDF, XLSX and
+// CSV lives in services/reportRenderers.js.
+//
+// Where the figures come from:
+// - Scope 1, on-site combustion: the part of a sensor reading's reported
+//   carbonFootprint beyond its electricity co2Emissions (ingestion only lets
+//   the two differ when a device reports its own footprint).
+// - Scope 2, electricity: EnergyConsumption kWh per energySource, converted
+//   with the emission-factor registry (location-based) at each day's factor.
+//   Sensor readings are not added on top; they meter the same supply.
+// - Scope 3, transmission and distribution losses: grid and hybrid supply
+//   emissions grossed up by config/reports.js tdLossRate, when configured.
+// Offsets retired in the period are reported next to the gross total and
+// netted only in the separate net figure, as the GHG Protocol requires.
+const Institute = require('../models/Institute');
+const EnergyConsumption = require('../models/EnergyConsumption');
+const CarbonBiometric = require('../models/CarbonBiometric');
+const OffsetRetirement = require('../models/OffsetRetirement');
+const reportsConfig = require('../config/reports');
+const { getFactorResolver } = require('./emissionFactors');
+
+class ReportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReportError';
+    this.status = status;
+  }
+}
+
+const ENERGY_SOURCES = ['grid', 'solar', 'wind', 'hybrid'];
+// Supply bought from the grid, the basis of the T&D loss estimate
+const GRID_SUPPLIED = ['grid', 'hybrid'];
+
+const SCOPES = [
+  { scope: 1, label: 'Scope 1 - Direct emissions' },
+  { scope: 2, label: 'Scope 2 - Indirect emissions from electricity' },
+  { scope: 3, label: 'Scope 3 - Other indirect emissions' }
+];
+
+const CATEGORIES = [
+  { key: 'onsite_combustion', scope: 1, label: 'On-site combustion (device-reported)' },
+  ...ENERGY_SOURCES.map(source => ({ key: `electricity_${source}`, scope: 2, label: `Electricity - ${source}` })),
+  { key: 'td_losses', scope: 3, label: 'Transmission and distribution losses' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const change = (current, previous) => ({
+  previous: round(previous),
+  change: round(current - previous),
+  changePercent: previous ? round(((current - previous) / previous) * 100, 1) : null
+});
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(String(value)) || isNaN(date.getTime())) {
+    throw new ReportError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+};
+
+const shiftYears = (date, years) => {
+  const shifted = new Date(date);
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years);
+  return shifted;
+};
+
+/**
+ * Reporting period from query parameters: ?year=2025, or ?from=&to= (inclusive
+ * dates). Without either it is the last full calendar year.
+ * @returns {{ from: Date, to: Date, label: string }} - `to` is exclusive
+ */
+const resolvePeriod = ({ year, from, to } = {}) => {
+  if (from || to) {
+    if (!from || !to) {
+      throw new ReportError('from and to must be given together');
+    }
+    const start = parseDate(from, 'from');
+    const end = new Date(parseDate(to, 'to').getTime() + DAY_MS);
+    if (end <= start) {
+      throw new ReportError('to must not be before from');
+    }
+    if ((end - start) / DAY_MS > reportsConfig.maxPeriodDays) {
+      throw new ReportError(`A report can cover at most ${reportsConfig.maxPeriodDays} days`);
+    }
+    return { from: start, to: end, label: `${String(from).slice(0, 10)} to ${String(to).slice(0, 10)}` };
+  }
+
+  const reportYear = year !== undefined ? Number(year) : new Date().getUTCFullYear() - 1;
+  if (!Number.isInteger(reportYear) || reportYear < 2000 || reportYear > 9999) {
+    throw new ReportError('year must be a four-digit year');
+  }
+  return {
+    from: new Date(Date.UTC(reportYear, 0, 1)),
+    to: new Date(Date.UTC(reportYear + 1, 0, 1)),
+    label: String(reportYear)
+  };
+};
+
+/**
+ * Emissions per category (tCO2e) and kWh per energy source over [from, to)
+ */
+const inventory = async (instituteId, from, to, resolve) => {
+  const match = { instituteId, timestamp: { $gte: from, $lt: to } };
+
+  const [energyDays, [direct]] = await Promise.all([
+    EnergyConsumption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            source: { $ifNull: ['$energySource', 'grid'] },
+            day: { $dateTrunc: { date: '$timestamp', unit: 'day', timezone: 'UTC' } }
+          },
+          kWh: { $sum: '$consumption' }
+        }
+      }
+    ]),
+    CarbonBiometric.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          tonnes: { $sum: { $max: [{ $subtract: [{ $ifNull: ['$carbonFootprint', 0] }, { $ifNull: ['$co2Emissions', 0] }] }, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const emissions = Object.fromEntries(CATEGORIES.map(c => [c.key, 0]));
+  const energy = Object.fromEntries(ENERGY_SOURCES.map(source => [source, 0]));
+  const factors = new Map();
+
+  for (const { _id, kWh } of energyDays) {
+    const source = ENERGY_SOURCES.includes(_id.source) ? _id.source : 'grid';
+    const factor = resolve(source, _id.day);
+    energy[source] += kWh;
+    emissions[`electricity_${source}`] += (kWh * factor.value) / 1000;
+    factors.set(`${factor.region}:${source}:${factor.version}`, factor);
+  }
+  emissions.onsite_combustion = direct ? direct.tonnes : 0;
+  emissions.td_losses = reportsConfig.tdLossRate > 0
+    ? GRID_SUPPLIED.reduce((sum, source) => sum + emissions[`electricity_${source}`], 0) *
+      (reportsConfig.tdLossRate / (1 - reportsConfig.tdLossRate))
+    : 0;
+
+  return { emissions, energy, factors: [...factors.values()] };
+};
+
+const retirementsIn = async (instituteId, from, to) => {
+  const query = { instituteId, retiredAt: { $gte: from, $lt: to } };
+  const [[totals], rows] = await Promise.all([
+    OffsetRetirement.aggregate([
+      { $match: query },
+      { $group: { _id: null, tonnes: { $sum: '$tonnes' }, cost: { $sum: '$cost' }, count: { $sum: 1 } } }
+    ]),
+    OffsetRetirement.find(query).sort({ retiredAt: 1 }).limit(reportsConfig.maxRetirementRows).lean()
+  ]);
+  return {
+    tonnes: totals ? totals.tonnes : 0,
+    cost: totals ? round(totals.cost, 2) : 0,
+    count: totals ? totals.count : 0,
+    retirements: rows.map(r => ({
+      retiredAt: r.retiredAt,
+      project: r.projectSnapshot ? r.projectSnapshot.name : null,
+      registry: r.projectSnapshot ? r.projectSnapshot.registry : null,
+      vintage: r.projectSnapshot ? r.projectSnapshot.vintage : null,
+      serialRange: `${r.serialPrefix}-${r.serialStart}-${r.serialEnd}`,
+      tonnes: r.tonnes,
+      beneficiary: r.beneficiary || null
+    }))
+  };
+};
+
+/**
+ * Assemble the GHG inventory of an institute for a period
+ * @param {Object} params - { instituteId, year } or { instituteId, from, to }
+ * @returns {Promise<Object>} - Report with scopes, energy, offsets, totals and notes
+ * @throws {ReportError}
+ */
+const buildGhgReport = async ({ instituteId, ...periodQuery }) => {
+  if (!instituteId) {
+    throw new ReportError('instituteId is required');
+  }
+  const period = resolvePeriod(periodQuery);
+  const comparisonPeriod = {
+    from: shiftYears(period.from, -1),
+    to: shiftYears(period.to, -1)
+  };
+  comparisonPeriod.label = /^\d{4}$/.test(period.label)
+    ? String(Number(period.label) - 1)
+    : `${comparisonPeriod.from.toISOString().slice(0, 10)} to ${new Date(comparisonPeriod.to - DAY_MS).toISOString().slice(0, 10)}`;
+
+  const institute = await Institute.findOne({ id: instituteId }).select('id name gridRegion').lean();
+  if (!institute) {
+    throw new ReportError('Institute not found', 404);
+  }
+
+  const resolve = await getFactorResolver(instituteId);
+  const [current, previous, offsets, previousOffsets] = await Promise.all([
+    inventory(instituteId, period.from, period.to, resolve),
+    inventory(instituteId, comparisonPeriod.from, comparisonPeriod.to, resolve),
+    retirementsIn(instituteId, period.from, period.to),
+    retirementsIn(instituteId, comparisonPeriod.from, comparisonPeriod.to)
+  ]);
+
+  const scopes = SCOPES.map(({ scope, label }) => {
+    const categories = CATEGORIES.filter(c => c.scope === scope).map(c => ({
+      key: c.key,
+      label: c.label,
+      tCO2e: round(current.emissions[c.key]),
+      ...change(current.emissions[c.key], previous.emissions[c.key])
+    }));
+    const total = categories.reduce((sum, c) => sum + current.emissions[c.key], 0);
+    const previousTotal = categories.reduce((sum, c) => sum + previous.emissions[c.key], 0);
+    return { scope, label, tCO2e: round(total), ...change(total, previousTotal), categories };
+  });
+
+  const totalKWh = ENERGY_SOURCES.reduce((sum, source) => sum + current.energy[source], 0);
+  const energy = ENERGY_SOURCES.map(source => ({
+    source,
+    kWh: round(current.energy[source], 1),
+    share: totalKWh ? round((current.energy[source] / totalKWh) * 100, 1) : 0,
+    ...change(current.energy[source], previous.energy[source])
+  }));
+
+  const gross = scopes.reduce((sum, s) => sum + s.tCO2e, 0);
+  const previousGross = scopes.reduce((sum, s) => sum + s.previous, 0);
+
+  const notes = [
+    'Scope 2 is location-based: kWh per supply source times the emission factor in force on each day.',
+    'Offsets retired are reported separately and are not deducted from gross emissions.'
+  ];
+  if (!(reportsConfig.tdLossRate > 0)) {
+    notes.push('Transmission and distribution losses are not estimated (no loss rate configured).');
+  }
+  if (offsets.count > offsets.retirements.length) {
+    notes.push(`Only the first ${offsets.retirements.length} of ${offsets.count} retirements are listed; totals include all of them.`);
+  }
+
+  return {
+    institute: { id: institute.id, name: institute.name, gridRegion: institute.gridRegion || null },
+    period,
+    comparisonPeriod,
+    generatedAt: new Date(),
+    scopes,
+    energy,
+    offsets,
+    totals: {
+      gross: { tCO2e: round(gross), ...change(gross, previousGross) },
+      offsetsRetired: { tCO2e: offsets.tonnes, ...change(offsets.tonnes, previousOffsets.tonnes) },
+      net: {
+        tCO2e: round(gross - offsets.tonnes),
+        ...change(gross - offsets.tonnes, previousGross - previousOffsets.tonnes)
+      },
+      energyKWh: { kWh: round(totalKWh, 1), ...change(totalKWh, ENERGY_SOURCES.reduce((sum, s) => sum + previous.energy[s], 0)) }
+    },
+    emissionFactors: current.factors.map(f => ({
+      energySource: f.energySource,
+      region: f.region,
+      version: f.version,
+      value: f.value
+    })),
+    notes
+  };
+};
+
+module.exports = {
+  ReportError,
+  resolvePeriod,
+  buildGhgReport
+};
@@ -0,0 +1,257 @@
+// backend/services/ingestion.js
+// Turns device-reported readings into CarbonBiometric documents.
+// Each row is converted to the model's units (kWh, tonnes CO2, °C), range
+// checked, and inserted unordered so one bad or repeated row never blocks
+// the rest of the batch. A (device, timestamp) unique index makes re-sent
+// batches safe: rows already stored come back as 'duplicate'.
+const mongoose = require('mongoose');
+const CarbonBiometric = require('../models/CarbonBiometric');
+const Device = require('../models/Device');
+const ingestConfig = require('../config/ingest');
+const { getFactorResolver, resolveFactor, readingEmissions } = require('./emissionFactors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Multipliers into the stored unit
+const ENERGY_UNITS = { Wh: 0.001, kWh: 1, MWh: 1000 };
+const CO2_UNITS = { g: 1e-6, kg: 0.001, t: 1 };
+const TEMPERATURE_UNITS = {
+  C: (v) => v,
+  F: (v) => (v - 32) * 5 / 9,
+  K: (v) => v - 273.15
+};
+
+const DEFAULT_UNITS = { energy: 'kWh', co2: 'kg', temperature: 'C' };
+
+const round = (value, digits = 6) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Built-in factors only, for callers without an institute
+const defaultResolver = (energySource, at) => resolveFactor([], { energySource, at });
+
+/**
+ * Validate and convert one reported row
+ * @param {Object} row - Reading as sent by the device
+ * @param {Object} batchUnits - Units declared for the whole batch
+ * @param {Date} now - Reference time for timestamp checks
+ * @param {Function} resolve - (energySource, at) => emission factor, see getFactorResolver
+ * @returns {Object} - { reading } with converted values, or { errors }
+ */
+const normalizeReading = (row, batchUnits = {}, now = new Date(), resolve = defaultResolver) => {
+  const errors = [];
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: ['Reading must be an object'] };
+  }
+
+  const rowUnits = row.units && typeof row.units === 'object' ? row.units : {};
+  const units = { ...DEFAULT_UNITS, ...batchUnits, ...rowUnits };
+  if (!ENERGY_UNITS[units.energy]) errors.push(`Unknown energy unit "${units.energy}" (use ${Object.keys(ENERGY_UNITS).join(', ')})`);
+  if (!CO2_UNITS[units.co2]) errors.push(`Unknown CO2 unit "${units.co2}" (use ${Object.keys(CO2_UNITS).join(', ')})`);
+  if (!TEMPERATURE_UNITS[units.temperature]) errors.push(`Unknown temperature unit "${units.temperature}" (use ${Object.keys(TEMPERATURE_UNITS).join(', ')})`);
+  if (errors.length > 0) return { errors };
+
+  const timestamp = new Date(row.timestamp);
+  if (row.timestamp === undefined || row.timestamp === null || isNaN(timestamp.getTime())) {
+    errors.push('timestamp is required and must be an ISO date or epoch milliseconds');
+  } else if (timestamp.getTime() > now.getTime() + ingestConfig.maxFutureSkewMs) {
+    errors.push('timestamp is in the future');
+  } else if (timestamp.getTime() < now.getTime() - ingestConfig.maxAgeDays * DAY_MS) {
+    errors.push(`timestamp is older than ${ingestConfig.maxAgeDays} days`);
+  }
+
+  // Optional numbers must be finite when present
+  const number = (field, value, convert) => {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${field} must be a number`);
+      return undefined;
+    }
+    return convert ? convert(value) : value;
+  };
+  const inRange = (field, value, rangeKey = field) => {
+    if (value === undefined) return;
+    const [min, max] = ingestConfig.ranges[rangeKey];
+    if (value < min || value > max) errors.push(`${field} must be between ${min} and ${max}`);
+  };
+
+  const energy = (v) => v * ENERGY_UNITS[units.energy];
+  const co2 = (v) => v * CO2_UNITS[units.co2];
+
+  const energyConsumption = number('energyConsumption', row.energyConsumption, energy);
+  if (energyConsumption === undefined && !errors.some(e => e.startsWith('energyConsumption'))) {
+    errors.push('energyConsumption is required');
+  }
+  inRange('energyConsumption', energyConsumption);
+
+  const renewableEnergyUsage = number('renewableEnergyUsage', row.renewableEnergyUsage, energy) ?? 0;
+  const gridEnergyUsage = number('gridEnergyUsage', row.gridEnergyUsage, energy) ??
+    (energyConsumption !== undefined ? Math.max(energyConsumption - renewableEnergyUsage, 0) : undefined);
+  if (energyConsumption !== undefined && energyConsumption >= 0) {
+    if (renewableEnergyUsage < 0 || renewableEnergyUsage > energyConsumption) {
+      errors.push('renewableEnergyUsage must be between 0 and energyConsumption');
+    }
+    if (gridEnergyUsage < 0 || gridEnergyUsage > energyConsumption) {
+      errors.push('gridEnergyUsage must be between 0 and energyConsumption');
+    }
+  }
+
+  // Emissions default to kWh × the registry's factors for the reading's time
+  let derived = null;
+  let co2Emissions = number('co2Emissions', row.co2Emissions, co2);
+  if (co2Emissions === undefined && gridEnergyUsage !== undefined && !isNaN(timestamp.getTime())) {
+    derived = readingEmissions({ gridEnergyUsage, renewableEnergyUsage }, timestamp, resolve);
+    co2Emissions = derived.co2Emissions;
+  }
+  inRange('co2Emissions', co2Emissions);
+  const reportedFootprint = number('carbonFootprint', row.carbonFootprint, co2);
+  const carbonFootprint = reportedFootprint ?? co2Emissions;
+  inRange('carbonFootprint', carbonFootprint, 'co2Emissions');
+  const co2Savings = number('co2Savings', row.co2Savings, co2);
+  inRange('co2Savings', co2Savings, 'co2Emissions');
+
+  const energyEfficiency = number('energyEfficiency', row.energyEfficiency);
+  inRange('energyEfficiency', energyEfficiency);
+
+  const sensor = row.sensorData || {};
+  const temperature = number('sensorData.temperature', sensor.temperature, TEMPERATURE_UNITS[units.temperature]);
+  inRange('sensorData.temperature', temperature, 'temperature');
+  const humidity = number('sensorData.humidity', sensor.humidity);
+  inRange('sensorData.humidity', humidity, 'humidity');
+  const airQuality = number('sensorData.airQuality', sensor.airQuality);
+  inRange('sensorData.airQuality', airQuality, 'airQuality');
+
+  if (errors.length > 0) return { errors };
+
+  const reading = {
+    timestamp,
+    energyConsumption: round(energyConsumption),
+    renewableEnergyUsage: round(renewableEnergyUsage),
+    gridEnergyUsage: round(gridEnergyUsage),
+    co2Emissions: round(co2Emissions),
+    carbonFootprint: round(carbonFootprint)
+  };
+  if (derived) {
+    reading.emissionFactors = derived.emissionFactors;
+    reading.derivedFields = reportedFootprint === undefined ? ['co2Emissions', 'carbonFootprint'] : ['co2Emissions'];
+  }
+  if (co2Savings !== undefined) reading.co2Savings = round(co2Savings);
+  if (energyEfficiency !== undefined) reading.energyEfficiency = energyEfficiency;
+  if (temperature !== undefined || humidity !== undefined || airQuality !== undefined) {
+    reading.sensorData = {
+      temperature: temperature !== undefined ? round(temperature, 2) : undefined,
+      humidity,
+      airQuality
+    };
+  }
+  if (typeof row.buildingName === 'string' && row.buildingName.trim()) reading.buildingName = row.buildingName.trim();
+  if (typeof row.departmentName === 'string' && row.departmentName.trim()) reading.departmentName = row.departmentName.trim();
+
+  return { reading };
+};
+
+/**
+ * Store a batch of readings from one device
+ * @param {Object} device - Authenticated Device document
+ * @param {Array} rows - Readings as sent
+ * @param {Object} units - Batch-level units ({ energy, co2, temperature })
+ * @returns {Promise<Object>} - { summary, results: [{ index, status, id?, errors? }] }
+ */
+const ingestReadings = async (device, rows, units = {}) => {
+  const now = new Date();
+  const resolve = await getFactorResolver(device.instituteId);
+  const results = new Array(rows.length);
+  const docs = [];
+  const docRows = [];
+  const seen = new Set();
+
+  rows.forEach((row, index) => {
+    const { reading, errors } = normalizeReading(row, units, now, resolve);
+    if (errors) {
+      results[index] = { index, status: 'rejected', errors };
+      return;
+    }
+
+    // The same timestamp twice in one batch: keep the first
+    const key = reading.timestamp.getTime();
+    if (seen.has(key)) {
+      results[index] = { index, status: 'duplicate', errors: ['Timestamp repeated within this batch'] };
+      return;
+    }
+    seen.add(key);
+
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      institute: device.institute,
+      instituteId: device.instituteId,
+      buildingName: device.buildingName,
+      departmentName: device.departmentName,
+      ...reading,
+      device: device._id,
+      deviceId: device.deviceId,
+      dataSource: 'sensor'
+    };
+
+    const validationError = new CarbonBiometric(doc).validateSync();
+    if (validationError) {
+      results[index] = {
+        index,
+        status: 'rejected',
+        errors: Object.values(validationError.errors).map(e => e.message)
+      };
+      return;
+    }
+
+    docs.push(doc);
+    docRows.push(index);
+  });
+
+  let inserted = [];
+  if (docs.length > 0) {
+    try {
+      // CarbonBiometric's insertMany hook publishes and rolls up successful inserts
+      inserted = await CarbonBiometric.insertMany(docs, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+
+      for (const writeError of error.writeErrors) {
+        const index = docRows[writeError.index];
+        const code = writeError.code ?? (writeError.err && writeError.err.code);
+        results[index] = code === 11000
+          ? { index, status: 'duplicate', errors: ['A reading for this device and timestamp already exists'] }
+          : { index, status: 'rejected', errors: [writeError.errmsg || (writeError.err && writeError.err.errmsg) || 'Write failed'] };
+      }
+      // The hook does not run when insertMany reports errors
+      inserted = error.insertedDocs || [];
+      await CarbonBiometric.afterInsert(inserted);
+    }
+  }
+
+  const insertedIds = new Set(inserted.map(doc => String(doc._id)));
+  docs.forEach((doc, i) => {
+    const index = docRows[i];
+    if (results[index]) return;
+    results[index] = insertedIds.has(String(doc._id))
+      ? { index, status: 'accepted', id: doc._id }
+      : { index, status: 'rejected', errors: ['Reading was not stored'] };
+  });
+
+  const summary = { received: rows.length, accepted: 0, duplicate: 0, rejected: 0 };
+  results.forEach(result => { summary[result.status] += 1; });
+
+  await Device.updateOne(
+    { _id: device._id },
+    {
+      $set: { lastSeenAt: now, ...(summary.accepted > 0 ? { lastIngestAt: now } : {}) },
+      $inc: { readingsAccepted: summary.accepted }
+    }
+  );
+
+  return { summary, results };
+};
+
+module.exports = {
+  ENERGY_UNITS,
+  CO2_UNITS,
+  TEMPERATURE_UNITS,
+  normalizeReading,
+  ingestReadings
+};
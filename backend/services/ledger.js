@@ -0,0 +1,374 @@
+// backend/services/ledger.js
+// Posts balanced journals to the wallet ledger (models/Ledger.js) and keeps
+// CarbonData.walletBalance in step with it. Every wallet movement runs in a
+// Mongo transaction that reads the ledger balance, refuses overdrafts, posts
+// the journal and rewrites the wallet projection; the projection write makes
+// concurrent movements on one wallet conflict, so the loser is retried with
+// the new balance instead of both spending the same funds. Transactions need
+// MongoDB running as a replica set (a single-node set is enough).
+const mongoose = require('mongoose');
+const CarbonData = require('../models/CarbonData');
+const { LedgerJournal, LedgerEntry, ACCOUNTS, walletAccount } = require('../models/Ledger');
+const ledgerConfig = require('../config/ledger');
+
+class LedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+  }
+}
+
+const round = (value) => {
+  const factor = 10 ** ledgerConfig.precision;
+  return Math.round(value * factor) / factor;
+};
+
+// Direction of each wallet movement and the account on the other side
+const WALLET_MOVES = {
+  credit: { inflow: true, counter: ACCOUNTS.funding, description: 'Wallet top-up' },
+  debit: { inflow: false, counter: ACCOUNTS.funding, description: 'Wallet deduction' },
+  offset_purchase: { inflow: false, counter: ACCOUNTS.offsetSales, description: 'Carbon offset purchase' }
+};
+
+/**
+ * Run fn(session) in a transaction, retried on transient errors
+ * @throws {LedgerError} 503 when the server does not support transactions
+ */
+const runInTransaction = async (fn) => {
+  try {
+    return await mongoose.connection.transaction(fn);
+  } catch (error) {
+    if (error.code === 20 || /Transaction numbers are only allowed/.test(error.message)) {
+      throw new LedgerError('The wallet ledger needs MongoDB running as a replica set', 503);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Balance of an account: credits minus debits
+ * @returns {Promise<{ balance: number, entries: number }>}
+ */
+const accountBalance = async (account, session = null) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { account } },
+    {
+      $group: {
+        _id: null,
+        credit: { $sum: { $cond: [{ $eq: ['$side', 'credit'] }, '$amount', 0] } },
+        debit: { $sum: { $cond: [{ $eq: ['$side', 'debit'] }, '$amount', 0] } },
+        entries: { $sum: 1 }
+      }
+    }
+  ]).session(session);
+
+  return row ? { balance: round(row.credit - row.debit), entries: row.entries } : { balance: 0, entries: 0 };
+};
+
+/**
+ * Post a journal and its entries
+ * @param {Object} journal - { instituteId, type, description, lines: [{ account, side, amount }],
+ *                             idempotencyKey, userId, reverses, metadata }
+ * @param {ClientSession} session - Transaction the journal is part of
+ * @returns {Promise<Object>} - LedgerJournal document
+ */
+const postJournal = async ({ lines, ...fields }, session) => {
+  const entries = lines.map(line => ({ ...line, amount: round(line.amount) }));
+  const total = (side) => round(entries.filter(e => e.side === side).reduce((sum, e) => sum + e.amount, 0));
+
+  if (entries.length < 2 || entries.some(e => !(e.amount > 0))) {
+    throw new LedgerError('A journal needs at least two entries with positive amounts', 500);
+  }
+  if (total('debit') !== total('credit')) {
+    throw new LedgerError(`Unbalanced journal: debits ${total('debit')} != credits ${total('credit')}`, 500);
+  }
+
+  const postedAt = new Date();
+  const [journal] = await LedgerJournal.create([{
+    ...fields,
+    amount: total('debit'),
+    currency: ledgerConfig.currency,
+    postedAt
+  }], { session });
+
+  await LedgerEntry.insertMany(entries.map(entry => ({
+    ...entry,
+    journal: journal._id,
+    instituteId: fields.instituteId,
+    postedAt
+  })), { session });
+
+  return journal;
+};
+
+/**
+ * Bring a wallet that predates the ledger onto it: its current walletBalance
+ * is posted once as an opening balance
+ * @returns {Promise<{ balance: number, entries: number, opened: boolean }>}
+ */
+const openWallet = async (carbonData, session) => {
+  const account = walletAccount(carbonData.userId);
+  const current = await accountBalance(account, session);
+  if (current.entries > 0 || !(carbonData.walletBalance > 0)) {
+    return { ...current, opened: false };
+  }
+
+  await postJournal({
+    instituteId: carbonData.instituteId,
+    type: 'opening_balance',
+    description: 'Opening balance',
+    idempotencyKey: `opening:${account}`,
+    userId: carbonData.userId,
+    lines: [
+      { account: ACCOUNTS.openingBalance, side: 'debit', amount: carbonData.walletBalance },
+      { account, side: 'credit', amount: carbonData.walletBalance }
+    ]
+  }, session);
+
+  return { balance: round(carbonData.walletBalance), entries: 2, opened: true };
+};
+
+const isDuplicateKey = (error, key) => error.code === 11000 && error.keyValue && error.keyValue.idempotencyKey === key;
+
+/**
+ * Move funds in or out of a user's wallet
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.instituteId
+ * @param {string} params.type - credit | debit | offset_purchase
+ * @param {number} params.amount - ENTO, positive
+ * @param {string} params.description
+ * @param {string} params.idempotencyKey - Scoped key; the journal is posted at most once per key
+ * @param {Object} params.transaction - Extra fields for the wallet's transaction history entry
+ * @param {Function} params.apply - async (carbonData, { session, journal }) => void, further changes
+ *                                   saved in the same transaction; throwing aborts the movement
+ * @returns {Promise<{ carbonData: Object, journal: Object, replayed: boolean }>}
+ */
+const moveWalletFunds = async ({ userId, instituteId, type, amount, description, idempotencyKey, transaction = {}, apply }) => {
+  const move = WALLET_MOVES[type];
+  if (!move) {
+    throw new LedgerError(`type must be one of: ${Object.keys(WALLET_MOVES).join(', ')}`);
+  }
+  const value = round(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new LedgerError('Amount must be a positive number');
+  }
+
+  try {
+    return await runInTransaction(async (session) => {
+      const carbonData = await CarbonData.findOne({ userId, instituteId }).session(session);
+      if (!carbonData) throw new LedgerError('Carbon data not found for user', 404);
+
+      const account = walletAccount(userId);
+      const { balance } = await openWallet(carbonData, session);
+      if (!move.inflow && balance < value) {
+        throw new LedgerError(`Insufficient wallet balance: ${balance} ${ledgerConfig.currency} available`);
+      }
+
+      const journal = await postJournal({
+        instituteId: carbonData.instituteId,
+        type,
+        description: description || move.description,
+        idempotencyKey,
+        userId,
+        lines: move.inflow
+          ? [{ account: move.counter, side: 'debit', amount: value }, { account, side: 'credit', amount: value }]
+          : [{ account, side: 'debit', amount: value }, { account: move.counter, side: 'credit', amount: value }]
+      }, session);
+
+      carbonData.walletBalance = round(balance + (move.inflow ? value : -value));
+      carbonData.transactions.push({
+        type,
+        amount: value,
+        description: description || move.description,
+        ...transaction,
+        ledgerJournal: journal._id,
+        date: journal.postedAt
+      });
+      // apply may write other documents in the same transaction
+      if (apply) await apply(carbonData, { session, journal });
+      await carbonData.save({ session });
+
+      return { carbonData, journal, replayed: false };
+    });
+  } catch (error) {
+    // The key's journal was posted by an earlier attempt: hand back what it did
+    if (idempotencyKey && isDuplicateKey(error, idempotencyKey)) {
+      const journal = await LedgerJournal.findOne({ idempotencyKey });
+      const carbonData = await CarbonData.findOne({ userId, instituteId });
+      return { carbonData, journal, replayed: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Ledger balance and recent journals of a user's wallet
+ * @returns {Promise<{ account: string, balance: number, currency: string, entries: Array }>}
+ */
+const getWallet = async (userId, { limit = 50 } = {}) => {
+  const account = walletAccount(userId);
+  const [{ balance }, entries] = await Promise.all([
+    accountBalance(account),
+    LedgerEntry.find({ account })
+      .sort({ postedAt: -1 })
+      .limit(limit)
+      .populate('journal', 'type description amount postedAt reverses')
+      .lean()
+  ]);
+
+  return {
+    account,
+    balance,
+    currency: ledgerConfig.currency,
+    entries: entries.map(entry => ({
+      journal: entry.journal,
+      side: entry.side,
+      // Signed change to the wallet balance
+      change: entry.side === 'credit' ? entry.amount : -entry.amount,
+      postedAt: entry.postedAt
+    }))
+  };
+};
+
+/**
+ * Ledger balance of each wallet. Wallets not yet opened on the ledger count
+ * with their stored walletBalance, which becomes their opening balance
+ * @param {Array<Object>} wallets - CarbonData documents with userId and walletBalance
+ * @returns {Promise<Map<string, { balance: number, opened: boolean }>>} - Keyed by userId
+ */
+const walletBalances = async (wallets) => {
+  const accounts = wallets.map(wallet => walletAccount(wallet.userId));
+  const rows = await LedgerEntry.aggregate([
+    { $match: { account: { $in: accounts } } },
+    {
+      $group: {
+        _id: '$account',
+        balance: { $sum: { $cond: [{ $eq: ['$side', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  const ledger = new Map(rows.map(row => [row._id, round(row.balance)]));
+
+  return new Map(wallets.map((wallet) => {
+    const account = walletAccount(wallet.userId);
+    const balance = ledger.has(account)
+      ? { balance: ledger.get(account), opened: true }
+      : { balance: round(wallet.walletBalance || 0), opened: false };
+    return [String(wallet.userId), balance];
+  }));
+};
+
+/**
+ * Compare the ledger with itself and with the wallet projections
+ * @param {Object} options - { instituteId, openMissing: post opening balances for wallets not yet on the ledger }
+ * @returns {Promise<Object>} - Report; `ok` is false when anything drifted
+ */
+const reconcileLedger = async ({ instituteId, openMissing = false } = {}) => {
+  const scope = instituteId ? { instituteId } : {};
+
+  // Every journal must have balanced entries
+  const journalTotals = await LedgerJournal.aggregate([
+    { $match: scope },
+    { $lookup: { from: LedgerEntry.collection.name, localField: '_id', foreignField: 'journal', as: 'entries' } },
+    {
+      $project: {
+        type: 1,
+        amount: 1,
+        postedAt: 1,
+        entries: { $size: '$entries' },
+        debit: { $sum: { $map: { input: { $filter: { input: '$entries', cond: { $eq: ['$$this.side', 'debit'] } } }, in: '$$this.amount' } } },
+        credit: { $sum: { $map: { input: { $filter: { input: '$entries', cond: { $eq: ['$$this.side', 'credit'] } } }, in: '$$this.amount' } } }
+      }
+    }
+  ]);
+  const unbalanced = journalTotals
+    .filter(j => j.entries < 2 || round(j.debit) !== round(j.credit) || round(j.debit) !== round(j.amount))
+    .map(j => ({ journal: j._id, type: j.type, amount: j.amount, debit: round(j.debit), credit: round(j.credit), entries: j.entries }));
+
+  // Entries pointing at no journal
+  const orphanEntries = await LedgerEntry.aggregate([
+    { $match: scope },
+    { $lookup: { from: LedgerJournal.collection.name, localField: 'journal', foreignField: '_id', as: 'owner' } },
+    { $match: { owner: { $size: 0 } } },
+    { $project: { journal: 1, account: 1, side: 1, amount: 1 } }
+  ]);
+
+  // Wallet projections must match their accounts
+  const balances = await LedgerEntry.aggregate([
+    { $match: { ...scope, account: /^wallet:/ } },
+    {
+      $group: {
+        _id: '$account',
+        balance: { $sum: { $cond: [{ $eq: ['$side', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  const ledgerBalances = new Map(balances.map(row => [row._id, round(row.balance)]));
+
+  const wallets = await CarbonData.find(scope).select('userId instituteId walletBalance').lean();
+  const drift = [];
+  const unopened = [];
+  for (const wallet of wallets) {
+    const account = walletAccount(wallet.userId);
+    if (!ledgerBalances.has(account)) {
+      if (wallet.walletBalance > 0) unopened.push(wallet);
+      continue;
+    }
+    const ledgerBalance = ledgerBalances.get(account);
+    if (round(wallet.walletBalance) !== ledgerBalance) {
+      drift.push({
+        userId: wallet.userId,
+        instituteId: wallet.instituteId,
+        account,
+        ledgerBalance,
+        walletBalance: wallet.walletBalance,
+        difference: round(wallet.walletBalance - ledgerBalance)
+      });
+    }
+    ledgerBalances.delete(account);
+  }
+  // Accounts left over have entries but no wallet document
+  const orphanAccounts = [...ledgerBalances].map(([account, balance]) => ({ account, balance }));
+  const negative = balances.filter(row => round(row.balance) < 0).map(row => ({ account: row._id, balance: round(row.balance) }));
+
+  let opened = 0;
+  if (openMissing) {
+    for (const wallet of unopened) {
+      const result = await runInTransaction(async (session) => {
+        const carbonData = await CarbonData.findById(wallet._id).session(session);
+        return openWallet(carbonData, session);
+      });
+      if (result.opened) opened++;
+    }
+  }
+
+  return {
+    checkedAt: new Date(),
+    instituteId: instituteId || null,
+    journals: journalTotals.length,
+    wallets: wallets.length,
+    unbalanced,
+    orphanEntries,
+    drift,
+    negative,
+    orphanAccounts,
+    unopened: unopened.length - opened,
+    opened,
+    ok: unbalanced.length === 0 && orphanEntries.length === 0 && drift.length === 0 &&
+      negative.length === 0 && orphanAccounts.length === 0
+  };
+};
+
+module.exports = {
+  LedgerError,
+  runInTransaction,
+  accountBalance,
+  postJournal,
+  openWallet,
+  moveWalletFunds,
+  getWallet,
+  walletBalances,
+  reconcileLedger
+};
@@ -0,0 +1,266 @@
+// backend/services/liveEvents.js
+// Per-institute live events for the dashboard. publish() appends to the
+// LiveEvent collection, so workers running in their own process can publish
+// too. The API server's LiveEventHub polls that collection and hands each new
+// event to the stream subscribers of the event's institute.
+//
+// Ordering: ObjectIds from different processes are only roughly time-ordered,
+// so every poll looks back `lookbackMs` and skips events it already delivered
+// instead of trusting a strict "greater than last id" cursor.
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const LiveEvent = require('../models/LiveEvent');
+const DepartmentWallet = require('../models/DepartmentWallet');
+const liveConfig = require('../config/live');
+
+// Readings carried in full by one event; larger batches are summarised
+const MAX_READINGS_PER_EVENT = 20;
+
+/**
+ * Shape sent to clients
+ */
+const toMessage = (event) => ({
+  id: String(event._id),
+  type: event.type,
+  instituteId: event.instituteId,
+  data: event.data,
+  at: event.createdAt
+});
+
+/**
+ * Publish an event to an institute's connected clients
+ * Best effort: failures are logged and never reach the caller, so a live
+ * update can not break the write that triggered it
+ * @param {string} instituteId - Institute.id
+ * @param {string} type - readings | wallet.transaction | alert | alert.updated | chain.event
+ * @param {Object} data - Event payload
+ * @returns {Promise<Object|null>} - Stored event
+ */
+const publish = async (instituteId, type, data) => {
+  if (!instituteId) return null;
+  try {
+    return await LiveEvent.create({ instituteId, type, data });
+  } catch (error) {
+    console.error(`Live event publish error (${type}):`, error.message);
+    return null;
+  }
+};
+
+const readingSummary = (doc) => ({
+  id: String(doc._id),
+  timestamp: doc.timestamp,
+  buildingName: doc.buildingName,
+  departmentName: doc.departmentName,
+  deviceId: doc.deviceId,
+  energyConsumption: doc.energyConsumption,
+  co2Emissions: doc.co2Emissions,
+  co2Savings: doc.co2Savings,
+  energyEfficiency: doc.energyEfficiency
+});
+
+/**
+ * Publish new CarbonBiometric readings, one event per institute
+ * @param {Array} docs - Saved reading documents
+ */
+const publishReadings = async (docs) => {
+  const byInstitute = {};
+  for (const doc of docs) {
+    if (!doc.instituteId) continue;
+    (byInstitute[doc.instituteId] = byInstitute[doc.instituteId] || []).push(doc);
+  }
+
+  await Promise.all(Object.entries(byInstitute).map(([instituteId, readings]) => {
+    const sorted = readings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return publish(instituteId, 'readings', {
+      count: sorted.length,
+      readings: sorted.slice(-MAX_READINGS_PER_EVENT).map(readingSummary)
+    });
+  }));
+};
+
+/**
+ * Publish an indexed chain event to the institutes whose department wallets it mentions
+ * @param {Object} doc - ChainEvent document from ChainIndexer
+ */
+const publishChainEvent = async (doc) => {
+  if (!doc.addresses || doc.addresses.length === 0) return;
+
+  const wallets = await DepartmentWallet.find({ address: { $in: doc.addresses } })
+    .select('instituteId departmentName address')
+    .lean();
+
+  const byInstitute = {};
+  for (const wallet of wallets) {
+    (byInstitute[wallet.instituteId] = byInstitute[wallet.instituteId] || []).push(wallet);
+  }
+
+  await Promise.all(Object.entries(byInstitute).map(([instituteId, departments]) =>
+    publish(instituteId, 'chain.event', {
+      contract: doc.contract,
+      event: doc.event,
+      args: doc.args,
+      blockNumber: doc.blockNumber,
+      blockTimestamp: doc.blockTimestamp,
+      transactionHash: doc.transactionHash,
+      departments: departments.map(d => ({ departmentName: d.departmentName, address: d.address }))
+    })
+  ));
+};
+
+/**
+ * Publish a server-side alert
+ * @param {string} instituteId - Institute.id
+ * @param {Object} alert - { type, severity, message, ... }
+ */
+const publishAlert = (instituteId, alert) => publish(instituteId, 'alert', {
+  id: `${alert.type}_${Date.now()}`,
+  timestamp: new Date(),
+  ...alert
+});
+
+class LiveEventHub extends EventEmitter {
+  /**
+   * @param {Object} options - Overrides for config/live.js
+   */
+  constructor(options = {}) {
+    super();
+    this.pollInterval = options.pollInterval || liveConfig.pollInterval;
+    this.replayLimit = options.replayLimit || liveConfig.replayLimit;
+    this.lookbackMs = options.lookbackMs || 5000;
+
+    this.subscribers = new Map(); // instituteId => Set of listeners
+    this.delivered = new Map(); // event id => delivery time, for the lookback window
+    this.timer = null;
+    this.running = false;
+    this.generation = 0;
+    this.polling = false;
+  }
+
+  /**
+   * Receive an institute's events until the returned function is called
+   * @param {string} instituteId - Institute.id
+   * @param {Function} listener - Called with each message
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(instituteId, listener) {
+    if (!this.subscribers.has(instituteId)) {
+      this.subscribers.set(instituteId, new Set());
+    }
+    this.subscribers.get(instituteId).add(listener);
+    this.start();
+
+    return () => {
+      const listeners = this.subscribers.get(instituteId);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) this.subscribers.delete(instituteId);
+      if (this.subscribers.size === 0) this.stop();
+    };
+  }
+
+  /**
+   * Events a reconnecting client missed since its Last-Event-ID
+   * @returns {Promise<Array>} - Messages, oldest first
+   */
+  async replay(instituteId, lastEventId) {
+    if (!lastEventId || !mongoose.Types.ObjectId.isValid(lastEventId)) return [];
+
+    const events = await LiveEvent.find({ instituteId, _id: { $gt: lastEventId } })
+      .sort({ _id: 1 })
+      .limit(this.replayLimit)
+      .lean();
+    return events.map(toMessage);
+  }
+
+  // Polling runs only while someone is listening
+  start() {
+    if (this.running || this.subscribers.size === 0) return;
+    this.running = true;
+    // A tick from before a stop()/start() must not keep a second loop alive
+    const generation = ++this.generation;
+
+    const tick = async () => {
+      try {
+        await this.pollOnce();
+      } catch (error) {
+        console.error('Live event poll error:', error.message);
+        if (this.listenerCount('error') > 0) this.emit('error', error);
+      }
+      if (this.running && generation === this.generation) {
+        this.timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Deliver events stored since the last poll
+   * @returns {Promise<number>} - Number of events delivered
+   */
+  async pollOnce() {
+    if (this.polling || this.subscribers.size === 0) return 0;
+    this.polling = true;
+
+    try {
+      const since = Date.now() - this.lookbackMs;
+      const events = await LiveEvent.find({
+        _id: { $gt: mongoose.Types.ObjectId.createFromTime(Math.floor(since / 1000)) },
+        instituteId: { $in: [...this.subscribers.keys()] }
+      })
+        .sort({ _id: 1 })
+        .limit(1000)
+        .lean();
+
+      let count = 0;
+      for (const event of events) {
+        const id = String(event._id);
+        if (this.delivered.has(id)) continue;
+        this.delivered.set(id, Date.now());
+        this.dispatch(toMessage(event));
+        count++;
+      }
+
+      // Forget deliveries that can no longer show up in a lookback window
+      for (const [id, at] of this.delivered) {
+        if (at < since - this.lookbackMs) this.delivered.delete(id);
+      }
+      return count;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  dispatch(message) {
+    const listeners = this.subscribers.get(message.instituteId);
+    if (!listeners) return;
+    for (const listener of listeners) {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('Live event listener error:', error.message);
+      }
+    }
+    this.emit('event', message);
+  }
+}
+
+// Shared by every stream of this API server
+const hub = new LiveEventHub();
+
+module.exports = {
+  LiveEventHub,
+  hub,
+  publish,
+  publishReadings,
+  publishChainEvent,
+  publishAlert
+};
@@ -0,0 +1,18 @@
+// backend/services/mailer/ConsoleTransport.js
+// Prints messages to stdout. Default for local development.
+const crypto = require('crypto');
+const MailTransport = require('./MailTransport');
+
+class ConsoleTransport extends MailTransport {
+  constructor() {
+    super('console');
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    console.log(`📧 Mail ${messageId}\n   From: ${message.from}\n   To: ${message.to}\n   Subject: ${message.subject}\n\n${message.text}\n`);
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
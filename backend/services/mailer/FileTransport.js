@@ -0,0 +1,31 @@
+// backend/services/mailer/FileTransport.js
+// Writes each message to <dir>/<timestamp>-<id>.json, so local runs and
+// tests can read the links that would have been emailed.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const MailTransport = require('./MailTransport');
+
+class FileTransport extends MailTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Output directory (created if missing)
+   */
+  constructor(options = {}) {
+    super('file');
+    if (!options.dir) {
+      throw new Error('file: dir is required');
+    }
+    this.dir = options.dir;
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${Date.now()}-${messageId}.json`);
+    await fs.writeFile(file, JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2));
+    return { messageId, file };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,19 @@
+// backend/services/mailer/MailTransport.js
+// Interface every mail transport implements. Controllers never talk to a
+// transport directly; they go through sendMail() in ./index.js.
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver one message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send(message) {
+    throw new Error(`${this.name}: send not implemented`);
+  }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,54 @@
+// backend/services/mailer/index.js
+const MailTransport = require('./MailTransport');
+const ConsoleTransport = require('./ConsoleTransport');
+const FileTransport = require('./FileTransport');
+const mailConfig = require('../../config/mail');
+
+// Register real transports (SMTP, SES, ...) here
+const transports = {
+  console: ConsoleTransport,
+  file: FileTransport
+};
+
+let defaultTransport = null;
+
+/**
+ * Instantiate a mail transport by name
+ * @param {string} name - Key in the transports registry (MAIL_TRANSPORT)
+ * @param {Object} options - Transport-specific options
+ * @returns {MailTransport}
+ */
+const getMailTransport = (name, options = {}) => {
+  const Transport = transports[name];
+  if (!Transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return new Transport(options);
+};
+
+/**
+ * Replace the configured transport (tests)
+ */
+const setMailTransport = (transport) => {
+  defaultTransport = transport;
+};
+
+/**
+ * Send a message through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+const sendMail = async (message) => {
+  if (!defaultTransport) {
+    defaultTransport = getMailTransport(mailConfig.transport, { dir: mailConfig.fileDir });
+  }
+  return defaultTransport.send({ from: mailConfig.from, ...message });
+};
+
+module.exports = {
+  MailTransport,
+  ConsoleTransport,
+  FileTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail
+};
@@ -0,0 +1,324 @@
+// backend/services/meterFeeder.js
+// Pushes ingested department readings on-chain through EnergyOracle.recordUsageSigned.
+// Each reading becomes one MeterSubmission whose nonce is derived from the source
+// document, so re-running the feeder (or crashing mid-way) never double counts.
+// The oracle takes whole kWh, so readings are rounded on the department's running
+// monthly total: fractions carry into later readings instead of being dropped.
+// Failed submissions are retried with exponential backoff until FEEDER_MAX_ATTEMPTS.
+const { ethers } = require('ethers');
+const CarbonBiometric = require('../models/CarbonBiometric');
+const EnergyConsumption = require('../models/EnergyConsumption');
+const DepartmentWallet = require('../models/DepartmentWallet');
+const MeterSubmission = require('../models/MeterSubmission');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+const chainConfig = require('../config/chain');
+const abis = require('../utils/contractAbis');
+const { toMonthId, nonceForReading, signUsagePayload } = require('../utils/meterPayload');
+const { publishAlert } = require('./liveEvents');
+
+// Source collection => model and the field holding kWh
+const SOURCES = {
+  CarbonBiometric: { model: CarbonBiometric, kWhField: 'energyConsumption' },
+  EnergyConsumption: { model: EnergyConsumption, kWhField: 'consumption' }
+};
+
+// A 'submitted' transaction with no receipt after this long is sent again
+const STALE_SUBMISSION_MS = 10 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Whole kWh to submit for each new reading of one department, source and month:
+ * the growth of the rounded running total, so the month's submissions always add
+ * up to its rounded consumption however small the individual readings are
+ * @param {number[]} readingsKWh - New readings' kWh, oldest first
+ * @param {{rawKWh: number, kWh: number}} queued - Totals already queued for the month
+ * @returns {number[]}
+ */
+const allocateWholeKWh = (readingsKWh, queued = { rawKWh: 0, kWh: 0 }) => {
+  let raw = queued.rawKWh;
+  let sent = queued.kWh;
+  return readingsKWh.map((value) => {
+    raw += value;
+    const kWh = Math.max(Math.round(raw) - sent, 0);
+    sent += kWh;
+    return kWh;
+  });
+};
+
+class MeterFeeder {
+  constructor(options = {}) {
+    const feederKey = options.feederKey || chainConfig.oracleFeederKey;
+    if (!feederKey) {
+      throw new Error('ORACLE_FEEDER_PRIVATE_KEY is required to run the meter feeder');
+    }
+
+    this.provider = options.provider || new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+    const deployment = options.deployment || chainConfig.loadDeployment();
+
+    this.wallet = new ethers.Wallet(feederKey, this.provider);
+    this.meterSigner = new ethers.Wallet(options.signerKey || chainConfig.meterSignerKey || feederKey);
+    this.oracleAddress = deployment.addresses.EnergyOracle;
+    this.oracle = new ethers.Contract(this.oracleAddress, abis.EnergyOracle, this.wallet);
+
+    this.sources = options.sources || chainConfig.feederSources;
+    this.lookbackDays = options.lookbackDays || chainConfig.feederLookbackDays;
+    this.maxAttempts = options.maxAttempts || chainConfig.feederMaxAttempts;
+    this.interval = options.interval || chainConfig.feederInterval;
+
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Fail fast when the feeder account or meter signer is not authorized on the oracle
+   */
+  async checkRoles() {
+    const oracleRole = await this.oracle.ORACLE_ROLE();
+    if (!(await this.oracle.hasRole(oracleRole, this.wallet.address))) {
+      throw new Error(`Feeder ${this.wallet.address} does not hold ORACLE_ROLE on EnergyOracle`);
+    }
+    if (!(await this.oracle.isMeterSigner(this.meterSigner.address))) {
+      throw new Error(`${this.meterSigner.address} is not an authorized meter signer`);
+    }
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error('Meter feeder error:', error.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(tick, this.interval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue new readings and drain everything that is due
+   */
+  async runOnce() {
+    const queued = await this.enqueueReadings();
+    const processed = await this.processQueue();
+    return { queued, ...processed };
+  }
+
+  /**
+   * Create a MeterSubmission for every reading of a mapped department that has
+   * not been queued yet; readings whose share of the running total is under
+   * 1 kWh are kept as 'skipped' so their kWh still count towards later ones
+   * @returns {Promise<number>} - Number of newly queued readings
+   */
+  async enqueueReadings() {
+    const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+    const wallets = await DepartmentWallet.find({ active: true });
+    let queued = 0;
+
+    for (const wallet of wallets) {
+      for (const sourceType of this.sources) {
+        const source = SOURCES[sourceType];
+        if (!source) continue;
+
+        const readings = await source.model.find({
+          ...createInstituteFilter(wallet.instituteId),
+          departmentName: wallet.departmentName,
+          timestamp: { $gte: since }
+        }).select(`_id timestamp ${source.kWhField}`).sort({ timestamp: 1, _id: 1 });
+        if (readings.length === 0) continue;
+
+        const existing = await MeterSubmission.find({
+          sourceType,
+          sourceId: { $in: readings.map(r => r._id) }
+        }).distinct('sourceId');
+        const existingIds = new Set(existing.map(String));
+
+        const byMonth = new Map();
+        for (const reading of readings.filter(r => !existingIds.has(String(r._id)))) {
+          const month = toMonthId(reading.timestamp);
+          if (!byMonth.has(month)) byMonth.set(month, []);
+          byMonth.get(month).push(reading);
+        }
+        if (byMonth.size === 0) continue;
+
+        // What earlier runs already queued for these months, fractions included
+        const queuedTotals = await MeterSubmission.aggregate([
+          { $match: { sourceType, dept: wallet.address, month: { $in: [...byMonth.keys()] } } },
+          { $group: { _id: '$month', rawKWh: { $sum: { $ifNull: ['$rawKWh', '$kWh'] } }, kWh: { $sum: '$kWh' } } }
+        ]);
+        const queuedByMonth = new Map(queuedTotals.map(t => [t._id, t]));
+
+        const docs = [...byMonth].flatMap(([month, monthReadings]) => {
+          const rawKWh = monthReadings.map(r => r[source.kWhField] || 0);
+          const allocated = allocateWholeKWh(rawKWh, queuedByMonth.get(month));
+          return monthReadings.map((r, i) => ({
+            sourceType,
+            sourceId: r._id,
+            institute: wallet.institute,
+            instituteId: wallet.instituteId,
+            departmentName: wallet.departmentName,
+            dept: wallet.address,
+            month,
+            kWh: allocated[i],
+            rawKWh: rawKWh[i],
+            readingTimestamp: r.timestamp,
+            nonce: nonceForReading(this.oracleAddress, sourceType, r._id),
+            status: allocated[i] > 0 ? 'pending' : 'skipped',
+            lastError: allocated[i] > 0 ? undefined : 'Under 1 kWh so far this month; carried into the next reading'
+          }));
+        });
+
+        try {
+          const inserted = await MeterSubmission.insertMany(docs, { ordered: false });
+          queued += inserted.length;
+        } catch (error) {
+          // Another feeder queued some of these first; the unique index keeps us idempotent
+          if (error.code !== 11000 && !error.writeErrors) throw error;
+          queued += error.insertedDocs ? error.insertedDocs.length : 0;
+        }
+      }
+    }
+
+    return queued;
+  }
+
+  /**
+   * Submit due pending/failed readings, oldest month first
+   * @param {number} limit - Maximum submissions per call
+   */
+  async processQueue(limit = 50) {
+    await this.reconcileSubmitted();
+
+    const due = await MeterSubmission.find({
+      status: { $in: ['pending', 'failed'] },
+      nextAttemptAt: { $lte: new Date() }
+    }).sort({ month: 1, readingTimestamp: 1 }).limit(limit);
+
+    let confirmed = 0;
+    let failed = 0;
+    for (const submission of due) {
+      if (await this.submit(submission)) {
+        confirmed++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { confirmed, failed };
+  }
+
+  /**
+   * Sign and send one reading
+   * @returns {Promise<boolean>} - true once the reading is on-chain
+   */
+  async submit(submission) {
+    submission.attempts += 1;
+
+    try {
+      // Already recorded (e.g. the process died after sending): nothing to do
+      if (await this.oracle.usedMeterNonces(submission.nonce)) {
+        return this.markConfirmed(submission);
+      }
+
+      if (!submission.signature) {
+        submission.signature = await signUsagePayload(this.meterSigner, {
+          oracle: this.oracleAddress,
+          dept: submission.dept,
+          month: submission.month,
+          kWh: submission.kWh,
+          nonce: submission.nonce
+        });
+        submission.signer = this.meterSigner.address.toLowerCase();
+      }
+
+      const tx = await this.oracle.recordUsageSigned(
+        submission.dept,
+        submission.month,
+        submission.kWh,
+        submission.nonce,
+        submission.signature
+      );
+      submission.status = 'submitted';
+      submission.txHash = tx.hash;
+      submission.submittedAt = new Date();
+      await submission.save();
+
+      const receipt = await tx.wait();
+      return this.markConfirmed(submission, receipt);
+    } catch (error) {
+      console.error(`Meter submission ${submission._id} failed:`, error.shortMessage || error.message);
+      this.scheduleRetry(submission, error);
+      await submission.save();
+      return false;
+    }
+  }
+
+  async markConfirmed(submission, receipt = null) {
+    submission.status = 'confirmed';
+    submission.confirmedAt = new Date();
+    submission.lastError = undefined;
+    if (receipt) submission.blockNumber = receipt.blockNumber;
+    await submission.save();
+    return true;
+  }
+
+  scheduleRetry(submission, error) {
+    submission.lastError = error.shortMessage || error.message;
+
+    if (submission.attempts >= this.maxAttempts) {
+      submission.status = 'dead';
+      publishAlert(submission.instituteId, {
+        type: 'meter_submission_failed',
+        severity: 'high',
+        message: `Meter reading for ${submission.departmentName || 'a department'} (${submission.month}) could not be recorded on-chain after ${submission.attempts} attempts: ${submission.lastError}`,
+        department: submission.departmentName
+      });
+      return;
+    }
+
+    submission.status = 'failed';
+    const delay = Math.min(60 * 1000 * 2 ** (submission.attempts - 1), MAX_RETRY_DELAY_MS);
+    submission.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  /**
+   * Resolve submissions left in 'submitted' by a previous run
+   */
+  async reconcileSubmitted() {
+    const submitted = await MeterSubmission.find({ status: 'submitted' });
+
+    for (const submission of submitted) {
+      const receipt = await this.provider.getTransactionReceipt(submission.txHash);
+
+      if (receipt && receipt.status === 1) {
+        await this.markConfirmed(submission, receipt);
+      } else if (receipt) {
+        this.scheduleRetry(submission, new Error(`Transaction ${submission.txHash} reverted`));
+        await submission.save();
+      } else if (Date.now() - submission.submittedAt.getTime() > STALE_SUBMISSION_MS) {
+        // Dropped from the mempool; resending is safe because the nonce guards replays
+        submission.status = 'pending';
+        submission.nextAttemptAt = new Date();
+        await submission.save();
+      }
+    }
+  }
+}
+
+module.exports = {
+  MeterFeeder,
+  allocateWholeKWh
+};
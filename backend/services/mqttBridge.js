@@ -0,0 +1,347 @@
+// backend/services/mqttBridge.js
+// Subscribes to <prefix>/<instituteId>/<building>/<deviceId> and stores what
+// campus meters publish through the same path as POST /api/ingest/readings.
+// Payloads are JSON ({ units, readings }, an array of readings or a single
+// reading) or compact CSV (one reading per line, optional header row).
+// Rows are buffered per device and written every flushInterval, or as soon as
+// maxBuffer rows are waiting; if MongoDB is unavailable they stay buffered
+// (up to maxPending) and are retried on the next flush.
+const { EventEmitter } = require('events');
+const mqtt = require('mqtt');
+const Device = require('../models/Device');
+const mqttConfig = require('../config/mqtt');
+const { maxBatchSize } = require('../config/ingest');
+const { ingestReadings } = require('./ingestion');
+
+// CSV column => unit group its header unit applies to
+const UNIT_GROUPS = {
+  energyConsumption: 'energy',
+  renewableEnergyUsage: 'energy',
+  gridEnergyUsage: 'energy',
+  co2Emissions: 'co2',
+  carbonFootprint: 'co2',
+  co2Savings: 'co2',
+  temperature: 'temperature'
+};
+const SENSOR_COLUMNS = ['temperature', 'humidity', 'airQuality'];
+const CSV_COLUMNS = ['timestamp', 'energyEfficiency', 'buildingName', 'departmentName',
+  ...Object.keys(UNIT_GROUPS), ...SENSOR_COLUMNS.filter(c => !UNIT_GROUPS[c])];
+
+/**
+ * Split a reading topic into its parts
+ * @param {string} topic - e.g. greenpulse/iit_delhi/Main Hall/METER-01
+ * @param {string} prefix - Topic root
+ * @returns {Object|null} - { instituteId, building, deviceId }
+ */
+const parseTopic = (topic, prefix = mqttConfig.topicPrefix) => {
+  const parts = topic.split('/');
+  if (parts.length !== 4 || parts[0] !== prefix || parts.slice(1).some(part => !part)) return null;
+  const [, instituteId, building, deviceId] = parts;
+  return { instituteId, building, deviceId };
+};
+
+// Compact payloads usually carry epoch seconds
+const toTimestamp = (value) => {
+  const numeric = typeof value === 'number' ? value : /^\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) : null;
+  if (numeric === null) return value;
+  return numeric < 1e12 ? numeric * 1000 : numeric;
+};
+
+const parseCsv = (text, columns) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  const units = {};
+  let header = columns;
+
+  // A header row names columns, optionally with units: energyConsumption:Wh
+  if (lines.length > 0 && /^[A-Za-z]/.test(lines[0]) && CSV_COLUMNS.includes(lines[0].split(',')[0].split(':')[0].trim())) {
+    header = lines.shift().split(',').map((cell) => {
+      const [name, unit] = cell.split(':').map(s => s.trim());
+      if (unit && UNIT_GROUPS[name]) units[UNIT_GROUPS[name]] = unit;
+      return name;
+    });
+  }
+
+  const readings = lines.map((line) => {
+    const row = {};
+    line.split(',').forEach((raw, i) => {
+      const column = header[i];
+      const cell = raw.trim();
+      if (!column || cell === '') return;
+
+      if (column === 'timestamp') {
+        row.timestamp = toTimestamp(cell);
+      } else if (column === 'buildingName' || column === 'departmentName') {
+        row[column] = cell;
+      } else {
+        // Non-numeric cells are passed through so validation names the column
+        const value = Number(cell);
+        const parsed = Number.isFinite(value) ? value : cell;
+        if (SENSOR_COLUMNS.includes(column)) {
+          row.sensorData = { ...row.sensorData, [column]: parsed };
+        } else {
+          row[column] = parsed;
+        }
+      }
+    });
+    return row;
+  });
+
+  return { units, readings };
+};
+
+/**
+ * Turn an MQTT payload into readings for services/ingestion.js
+ * @param {Buffer|string} payload - JSON or CSV
+ * @param {Array<string>} columns - CSV column order when there is no header row
+ * @returns {Object} - { units, readings }
+ * @throws {Error} - When the payload is neither
+ */
+const parsePayload = (payload, columns = mqttConfig.csvColumns) => {
+  const text = payload.toString('utf8').trim();
+  if (!text) throw new Error('Empty payload');
+
+  if (text.startsWith('{') || text.startsWith('[')) {
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON payload: ${error.message}`);
+    }
+
+    const readings = Array.isArray(body) ? body : Array.isArray(body.readings) ? body.readings : [body];
+    const units = !Array.isArray(body) && body.units && typeof body.units === 'object' ? body.units : {};
+    return {
+      units,
+      readings: readings.map(row => (row && typeof row === 'object' && row.timestamp !== undefined
+        ? { ...row, timestamp: toTimestamp(row.timestamp) }
+        : row))
+    };
+  }
+
+  return parseCsv(text, columns);
+};
+
+class MqttBridge extends EventEmitter {
+  /**
+   * @param {Object} options - Overrides for config/mqtt.js
+   */
+  constructor(options = {}) {
+    super();
+    this.url = options.url || mqttConfig.url;
+    this.clientOptions = {
+      clientId: options.clientId || mqttConfig.clientId,
+      username: options.username !== undefined ? options.username : mqttConfig.username,
+      password: options.password !== undefined ? options.password : mqttConfig.password,
+      // Keep the subscription and queued QoS 1 messages across reconnects
+      clean: false,
+      reconnectPeriod: 2000
+    };
+    this.topicPrefix = options.topicPrefix || mqttConfig.topicPrefix;
+    this.qos = options.qos !== undefined ? options.qos : mqttConfig.qos;
+    this.flushInterval = options.flushInterval || mqttConfig.flushInterval;
+    this.maxBuffer = options.maxBuffer || mqttConfig.maxBuffer;
+    this.maxPending = options.maxPending || mqttConfig.maxPending;
+    this.deviceCacheMs = options.deviceCacheMs !== undefined ? options.deviceCacheMs : mqttConfig.deviceCacheMs;
+    this.csvColumns = options.csvColumns || mqttConfig.csvColumns;
+
+    this.client = null;
+    this.timer = null;
+    this.buffers = new Map(); // Device _id => { device, rows }
+    this.buffered = 0;
+    this.devices = new Map(); // deviceId => { device, at }, null devices included
+    this.flushing = null;
+    this.stats = { messages: 0, invalid: 0, received: 0, accepted: 0, duplicate: 0, rejected: 0, dropped: 0 };
+  }
+
+  get topic() {
+    return `${this.topicPrefix}/+/+/+`;
+  }
+
+  async start() {
+    if (this.client) return;
+
+    this.client = await mqtt.connectAsync(this.url, this.clientOptions);
+    this.client.on('message', (topic, payload) => {
+      this.handleMessage(topic, payload).catch((error) => {
+        console.error('MQTT message error:', error.message);
+      });
+    });
+    this.client.on('error', (error) => console.error('MQTT client error:', error.message));
+    this.client.on('reconnect', () => console.warn('MQTT bridge reconnecting...'));
+
+    // Rejects when the broker refuses the subscription
+    await this.client.subscribeAsync(this.topic, { qos: this.qos });
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('MQTT flush error:', error.message));
+    }, this.flushInterval);
+  }
+
+  /**
+   * Stop receiving, write what is buffered and disconnect
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    // Disconnect first so nothing arrives after the last flush; the session
+    // is kept, so the broker queues QoS 1 readings until the bridge is back
+    if (this.client) {
+      await this.client.endAsync();
+      this.client = null;
+    }
+    await this.flush();
+  }
+
+  /**
+   * Registered device for a topic, cached; null when unknown or disabled
+   */
+  async findDevice(deviceId) {
+    const cached = this.devices.get(deviceId);
+    if (cached && Date.now() - cached.at < this.deviceCacheMs) return cached.device;
+
+    const device = await Device.findOne({ deviceId, status: 'active' });
+    this.devices.set(deviceId, { device, at: Date.now() });
+    if (!device) console.warn(`MQTT: ignoring readings from unregistered or disabled device ${deviceId}`);
+    return device;
+  }
+
+  /**
+   * Buffer the readings of one message
+   * @returns {Promise<number>} - Rows buffered
+   */
+  async handleMessage(topic, payload) {
+    this.stats.messages++;
+
+    const target = parseTopic(topic, this.topicPrefix);
+    if (!target) {
+      this.stats.invalid++;
+      return 0;
+    }
+
+    const device = await this.findDevice(target.deviceId);
+    if (!device) {
+      this.stats.invalid++;
+      return 0;
+    }
+    if (device.instituteId !== target.instituteId) {
+      this.stats.invalid++;
+      console.warn(`MQTT: device ${device.deviceId} does not belong to institute ${target.instituteId}`);
+      return 0;
+    }
+
+    let parsed;
+    try {
+      parsed = parsePayload(payload, this.csvColumns);
+    } catch (error) {
+      this.stats.invalid++;
+      console.warn(`MQTT: ${topic}: ${error.message}`);
+      return 0;
+    }
+
+    // Batch units apply to every row; the topic names the building
+    const rows = parsed.readings.map((row) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) return row;
+      const rowUnits = row.units && typeof row.units === 'object' ? row.units : {};
+      return {
+        buildingName: target.building,
+        ...row,
+        units: { ...parsed.units, ...rowUnits }
+      };
+    });
+
+    const key = String(device._id);
+    if (!this.buffers.has(key)) this.buffers.set(key, { device, rows: [] });
+    const buffer = this.buffers.get(key);
+    buffer.device = device;
+    buffer.rows.push(...rows);
+    this.buffered += rows.length;
+    this.trimPending();
+
+    if (this.buffered >= this.maxBuffer) {
+      this.flush().catch(error => console.error('MQTT flush error:', error.message));
+    }
+    return rows.length;
+  }
+
+  // Drop the oldest rows once the buffer outgrows maxPending
+  trimPending() {
+    for (const buffer of this.buffers.values()) {
+      if (this.buffered <= this.maxPending) return;
+      const excess = Math.min(buffer.rows.length, this.buffered - this.maxPending);
+      buffer.rows.splice(0, excess);
+      this.buffered -= excess;
+      this.stats.dropped += excess;
+      console.warn(`MQTT: buffer full, dropped ${excess} oldest readings from ${buffer.device.deviceId}`);
+    }
+  }
+
+  /**
+   * Write everything buffered; concurrent calls wait for the same pass
+   * @returns {Promise<Object>} - { received, accepted, duplicate, rejected }
+   */
+  flush() {
+    if (this.flushing) {
+      return this.flushing.then(() => (this.buffered > 0 ? this.flush() : { received: 0, accepted: 0, duplicate: 0, rejected: 0 }));
+    }
+    this.flushing = this.writeBuffers().finally(() => {
+      this.flushing = null;
+    });
+    return this.flushing;
+  }
+
+  async writeBuffers() {
+    const pending = [...this.buffers.values()].filter(buffer => buffer.rows.length > 0);
+    this.buffers = new Map();
+    this.buffered = 0;
+
+    const totals = { received: 0, accepted: 0, duplicate: 0, rejected: 0 };
+
+    for (let p = 0; p < pending.length; p++) {
+      const { device, rows } = pending[p];
+
+      for (let start = 0; start < rows.length; start += maxBatchSize) {
+        const batch = rows.slice(start, start + maxBatchSize);
+        let summary;
+        let results;
+        try {
+          ({ summary, results } = await ingestReadings(device, batch));
+        } catch (error) {
+          // Keep the unwritten rows for the next flush
+          console.error(`MQTT: writing readings for ${device.deviceId} failed:`, error.message);
+          this.requeue(device, rows.slice(start));
+          pending.slice(p + 1).forEach(next => this.requeue(next.device, next.rows));
+          this.trimPending();
+          this.emit('flush', totals);
+          return totals;
+        }
+
+        Object.keys(totals).forEach((field) => {
+          totals[field] += summary[field];
+          this.stats[field] += summary[field];
+        });
+
+        const rejected = results.filter(result => result.status === 'rejected');
+        if (rejected.length > 0) {
+          console.warn(`MQTT: ${rejected.length} reading(s) from ${device.deviceId} rejected, e.g. ${rejected[0].errors.join('; ')}`);
+        }
+      }
+    }
+
+    this.emit('flush', totals);
+    return totals;
+  }
+
+  requeue(device, rows) {
+    const key = String(device._id);
+    const buffer = this.buffers.get(key) || { device, rows: [] };
+    buffer.rows = [...rows, ...buffer.rows];
+    this.buffers.set(key, buffer);
+    this.buffered += rows.length;
+  }
+}
+
+module.exports = {
+  MqttBridge,
+  parseTopic,
+  parsePayload
+};
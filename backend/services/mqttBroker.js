@@ -0,0 +1,101 @@
+// backend/services/mqttBroker.js
+// In-process MQTT broker (Aedes) for running the ingestion bridge without
+// external infrastructure. Devices connect with their deviceId as username and
+// their API key (see POST /api/devices) as password, and may only publish to
+// <prefix>/<their instituteId>/<building>/<their deviceId>. Only the bridge,
+// which gets a random password per broker start, may subscribe.
+const net = require('net');
+const Device = require('../models/Device');
+const { generateOpaqueToken, hashToken } = require('../utils/generateToken');
+
+const BRIDGE_USERNAME = 'greenpulse-bridge';
+// CONNACK return code 4: bad user name or password
+const BAD_CREDENTIALS = 4;
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.returnCode = BAD_CREDENTIALS;
+  return error;
+};
+
+/**
+ * Start an embedded broker
+ * @param {Object} options
+ * @param {number} options.port - TCP port; 0 picks a free one
+ * @param {string} options.topicPrefix - Topic root devices publish under
+ * @returns {Promise<Object>} - { broker, server, port, url, credentials, close }
+ */
+const startEmbeddedBroker = async ({ port, topicPrefix }) => {
+  // aedes is published as an ES module
+  const { Aedes } = await import('aedes');
+  const broker = await Aedes.createBroker();
+  const credentials = { username: BRIDGE_USERNAME, password: generateOpaqueToken() };
+
+  broker.authenticate = (client, username, password, callback) => {
+    const secret = password ? password.toString() : '';
+
+    if (username === BRIDGE_USERNAME) {
+      if (secret !== credentials.password) return callback(authError('Invalid bridge credentials'), false);
+      client.isBridge = true;
+      return callback(null, true);
+    }
+
+    if (!username || !secret) return callback(authError('Device id and API key are required'), false);
+
+    Device.findOne({ apiKeyHash: hashToken(secret) })
+      .then((device) => {
+        if (!device || device.deviceId !== username || device.status !== 'active') {
+          return callback(authError('Invalid or disabled device credentials'), false);
+        }
+        client.device = { deviceId: device.deviceId, instituteId: device.instituteId };
+        callback(null, true);
+      })
+      .catch((error) => {
+        console.error('MQTT device authentication error:', error.message);
+        callback(error, false);
+      });
+  };
+
+  broker.authorizePublish = (client, packet, callback) => {
+    if (packet.topic.startsWith('$SYS/')) return callback(new Error('$SYS/ topic is reserved'));
+    if (!client || !client.device) return callback(new Error('Only devices may publish'));
+
+    const [prefix, instituteId, building, deviceId, ...rest] = packet.topic.split('/');
+    const allowed = prefix === topicPrefix && building && rest.length === 0 &&
+      instituteId === client.device.instituteId && deviceId === client.device.deviceId;
+    callback(allowed ? null : new Error(`Device ${client.device.deviceId} may not publish to ${packet.topic}`));
+  };
+
+  // Devices get a negative SUBACK rather than a disconnect
+  broker.authorizeSubscribe = (client, subscription, callback) => {
+    callback(null, client.isBridge ? subscription : null);
+  };
+
+  const server = net.createServer(broker.handle);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  const boundPort = server.address().port;
+
+  const close = () => new Promise((resolve) => {
+    broker.close(() => server.close(() => resolve()));
+  });
+
+  return {
+    broker,
+    server,
+    port: boundPort,
+    url: `mqtt://127.0.0.1:${boundPort}`,
+    credentials,
+    close
+  };
+};
+
+module.exports = {
+  BRIDGE_USERNAME,
+  startEmbeddedBroker
+};
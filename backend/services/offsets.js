@@ -0,0 +1,188 @@
+// backend/services/offsets.js
+// Offset marketplace: the project catalog (models/OffsetProject.js) and
+// purchases that retire serial ranges on behalf of an institute.
+//
+// A purchase is one wallet ledger movement (services/ledger.js). Inside its
+// transaction the project's next `tonnes` serials are reserved with a single
+// conditional update (enough inventory left, price unchanged), and the
+// retirement record is written against the journal that paid for it. If any
+// step fails nothing is kept: no charge without serials, no serials without
+// a charge. Two buyers racing for the last units conflict on the project
+// document and the loser is retried against what is left.
+const Institute = require('../models/Institute');
+const OffsetProject = require('../models/OffsetProject');
+const OffsetRetirement = require('../models/OffsetRetirement');
+const ledgerConfig = require('../config/ledger');
+const { moveWalletFunds } = require('./ledger');
+
+class OffsetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OffsetError';
+    this.status = status;
+  }
+}
+
+const round = (value) => {
+  const factor = 10 ** ledgerConfig.precision;
+  return Math.round(value * factor) / factor;
+};
+
+// Catalog fields an admin may set directly; the serial block has its own rules
+const PROJECT_FIELDS = ['name', 'description', 'type', 'registry', 'registryProjectId', 'vintage', 'country', 'pricePerTonne', 'status'];
+// Fields that identify the issued units; fixed once the project is listed
+const IDENTITY_FIELDS = ['type', 'registry', 'registryProjectId', 'vintage', 'serialPrefix', 'serialStart'];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+const toInteger = (value, name) => {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isInteger(number)) {
+    throw new OffsetError(`${name} must be a whole number`);
+  }
+  return number;
+};
+
+/**
+ * List a project with its issued serial block
+ * Body: { name, type, registry, registryProjectId, vintage, country, pricePerTonne,
+ *         serialPrefix, serialStart, serialEnd, description }
+ */
+const createProject = async (body, userId) => {
+  const serialStart = toInteger(body.serialStart, 'serialStart');
+  const serialEnd = toInteger(body.serialEnd, 'serialEnd');
+  if (serialEnd < serialStart) {
+    throw new OffsetError('serialEnd must not be before serialStart');
+  }
+
+  const project = new OffsetProject({
+    ...pick(body, PROJECT_FIELDS),
+    serialPrefix: body.serialPrefix,
+    serialStart,
+    serialEnd,
+    nextSerial: serialStart,
+    availableTonnes: serialEnd - serialStart + 1,
+    createdBy: userId,
+    updatedBy: userId
+  });
+  return project.save();
+};
+
+/**
+ * Edit a project's listing. The serial block can only grow at its end
+ * (units issued later under the same prefix); what was sold stays sold.
+ * Body: { name, description, country, pricePerTonne, status, serialEnd }
+ */
+const updateProject = async (project, body, userId) => {
+  const locked = IDENTITY_FIELDS.filter(field => body[field] !== undefined && String(body[field]) !== String(project[field]));
+  if (locked.length > 0) {
+    throw new OffsetError(`Cannot change ${locked.join(', ')} of a listed project`);
+  }
+
+  const update = { $set: { ...pick(body, PROJECT_FIELDS.filter(f => !IDENTITY_FIELDS.includes(f))), updatedBy: userId } };
+  if (body.serialEnd !== undefined) {
+    const serialEnd = toInteger(body.serialEnd, 'serialEnd');
+    if (serialEnd < project.serialEnd) {
+      throw new OffsetError(`serialEnd can only be extended beyond ${project.serialEnd}`);
+    }
+    update.$set.serialEnd = serialEnd;
+    update.$inc = { availableTonnes: serialEnd - project.serialEnd };
+  }
+
+  // Matching the block end makes concurrent extensions conflict instead of both adding units
+  const updated = await OffsetProject.findOneAndUpdate(
+    { _id: project._id, serialEnd: project.serialEnd },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new OffsetError('Project was changed by another request; reload and retry', 409);
+  }
+  return updated;
+};
+
+/**
+ * Buy and retire offsets from a catalog project, paid from the user's wallet
+ * @param {Object} params - { userId, instituteId, projectId, tonnes, beneficiary, purpose, idempotencyKey }
+ * @returns {Promise<{ carbonData, journal, retirement, replayed }>}
+ * @throws {OffsetError|LedgerError}
+ */
+const purchaseOffsets = async ({ userId, instituteId, projectId, tonnes, beneficiary, purpose, idempotencyKey }) => {
+  const quantity = toInteger(tonnes, 'tonnes');
+  if (quantity < 1) {
+    throw new OffsetError('tonnes must be at least 1');
+  }
+
+  const project = projectId && /^[a-f0-9]{24}$/i.test(String(projectId))
+    ? await OffsetProject.findById(projectId)
+    : null;
+  if (!project) {
+    throw new OffsetError('Offset project not found', 404);
+  }
+  if (project.status !== 'active') {
+    throw new OffsetError('Offset project is not open for purchases', 409);
+  }
+  if (project.availableTonnes < quantity) {
+    throw new OffsetError(`Only ${project.availableTonnes} tonnes left in ${project.name}`, 409);
+  }
+
+  const institute = await Institute.findOne({ id: instituteId }).select('name').lean();
+  const cost = round(quantity * project.pricePerTonne);
+
+  let retirement = null;
+  const result = await moveWalletFunds({
+    userId,
+    instituteId,
+    type: 'offset_purchase',
+    amount: cost,
+    description: `${quantity} tCO2e retired from ${project.name}`,
+    idempotencyKey,
+    transaction: { co2Impact: quantity },
+    apply: async (wallet, { session, journal }) => {
+      // Returns the project as it was, so nextSerial is where this range starts
+      const reserved = await OffsetProject.findOneAndUpdate(
+        { _id: project._id, status: 'active', pricePerTonne: project.pricePerTonne, availableTonnes: { $gte: quantity } },
+        { $inc: { availableTonnes: -quantity, nextSerial: quantity } },
+        { new: false, session }
+      );
+      if (!reserved) {
+        throw new OffsetError('Inventory or price changed while purchasing; reload the catalog and retry', 409);
+      }
+
+      [retirement] = await OffsetRetirement.create([{
+        instituteId,
+        project: project._id,
+        projectSnapshot: pick(project, ['name', 'type', 'registry', 'registryProjectId', 'vintage', 'country']),
+        serialPrefix: project.serialPrefix,
+        serialStart: reserved.nextSerial,
+        serialEnd: reserved.nextSerial + quantity - 1,
+        tonnes: quantity,
+        pricePerTonne: project.pricePerTonne,
+        cost,
+        beneficiary: beneficiary || (institute && institute.name),
+        purpose,
+        buyer: userId,
+        ledgerJournal: journal._id,
+        retiredAt: journal.postedAt
+      }], { session });
+
+      wallet.offsetsPurchased = round(wallet.offsetsPurchased + cost);
+      wallet.co2Savings = round(wallet.co2Savings + quantity);
+      wallet.transactions[wallet.transactions.length - 1].offsetRetirement = retirement._id;
+    }
+  });
+
+  if (result.replayed) {
+    retirement = await OffsetRetirement.findOne({ ledgerJournal: result.journal._id });
+  }
+  return { ...result, retirement };
+};
+
+module.exports = {
+  OffsetError,
+  createProject,
+  updateProject,
+  purchaseOffsets
+};
@@ -0,0 +1,79 @@
+// backend/services/paymentProviders/MockPaymentProvider.js
+// In-memory provider for local runs and tests. Deposits and payouts resolve
+// to the configured outcome after `settleAfterMs`; tests can also force a
+// status with setStatus() or make a payout uncancellable with setCancellable().
+const PaymentProvider = require('./PaymentProvider');
+
+class MockPaymentProvider extends PaymentProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.depositOutcome - 'received' or 'failed' (default 'received')
+   * @param {string} options.payoutOutcome - 'paid' or 'failed' (default 'paid')
+   * @param {number} options.settleAfterMs - Time before the outcome is reported (default 0)
+   */
+  constructor(options = {}) {
+    super('mock');
+    this.depositOutcome = options.depositOutcome || process.env.MOCK_DEPOSIT_OUTCOME || 'received';
+    this.payoutOutcome = options.payoutOutcome || process.env.MOCK_PAYOUT_OUTCOME || 'paid';
+    this.settleAfterMs = options.settleAfterMs || 0;
+    this.records = new Map();
+    this.counter = 0;
+  }
+
+  create(kind, request, outcome) {
+    this.counter += 1;
+    const reference = `mock_${kind}_${request.reqId}_${this.counter}`;
+    this.records.set(reference, {
+      kind,
+      outcome,
+      createdAt: Date.now(),
+      forced: null,
+      cancellable: true
+    });
+    return { reference };
+  }
+
+  status(reference) {
+    const record = this.records.get(reference);
+    if (!record) return 'failed';
+    if (record.forced) return record.forced;
+    return Date.now() - record.createdAt >= this.settleAfterMs ? record.outcome : 'pending';
+  }
+
+  async createDepositIntent(request) {
+    return this.create('deposit', request, this.depositOutcome);
+  }
+
+  async getDepositStatus(reference) {
+    return this.status(reference);
+  }
+
+  async createPayout(request) {
+    return this.create('payout', request, this.payoutOutcome);
+  }
+
+  async getPayoutStatus(reference) {
+    return this.status(reference);
+  }
+
+  async cancelPayout(reference) {
+    const record = this.records.get(reference);
+    if (!record || !record.cancellable || this.status(reference) === 'paid') return false;
+    record.forced = 'cancelled';
+    return true;
+  }
+
+  // Test helper: force the status reported for a reference
+  setStatus(reference, status) {
+    const record = this.records.get(reference);
+    if (record) record.forced = status;
+  }
+
+  // Test helper: simulate a payout already handed to the bank
+  setCancellable(reference, cancellable) {
+    const record = this.records.get(reference);
+    if (record) record.cancellable = cancellable;
+  }
+}
+
+module.exports = MockPaymentProvider;
@@ -0,0 +1,56 @@
+// backend/services/paymentProviders/PaymentProvider.js
+// Interface every fiat payment-provider adapter implements. The settlement
+// worker only talks to providers through these methods.
+//
+// Deposit statuses: 'pending' | 'received' | 'failed'
+// Payout statuses:  'pending' | 'paid' | 'failed' | 'cancelled'
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Register an expected INR deposit for a buy request
+   * @param {Object} request - FiatRequest document
+   * @returns {Promise<{reference: string}>}
+   */
+  async createDepositIntent(request) {
+    throw new Error(`${this.name}: createDepositIntent not implemented`);
+  }
+
+  /**
+   * @param {string} reference - Reference returned by createDepositIntent
+   * @returns {Promise<string>} - Deposit status
+   */
+  async getDepositStatus(reference) {
+    throw new Error(`${this.name}: getDepositStatus not implemented`);
+  }
+
+  /**
+   * Start an INR payout for a sell request
+   * @param {Object} request - FiatRequest document
+   * @returns {Promise<{reference: string}>}
+   */
+  async createPayout(request) {
+    throw new Error(`${this.name}: createPayout not implemented`);
+  }
+
+  /**
+   * @param {string} reference - Reference returned by createPayout
+   * @returns {Promise<string>} - Payout status
+   */
+  async getPayoutStatus(reference) {
+    throw new Error(`${this.name}: getPayoutStatus not implemented`);
+  }
+
+  /**
+   * Stop a pending payout so it can never be paid
+   * @param {string} reference - Reference returned by createPayout
+   * @returns {Promise<boolean>} - true only if the provider confirms the payout is cancelled
+   */
+  async cancelPayout(reference) {
+    throw new Error(`${this.name}: cancelPayout not implemented`);
+  }
+}
+
+module.exports = PaymentProvider;
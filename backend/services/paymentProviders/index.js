@@ -0,0 +1,28 @@
+// backend/services/paymentProviders/index.js
+const PaymentProvider = require('./PaymentProvider');
+const MockPaymentProvider = require('./MockPaymentProvider');
+
+// Register real provider adapters here
+const providers = {
+  mock: MockPaymentProvider
+};
+
+/**
+ * Instantiate the payment provider adapter by name
+ * @param {string} name - Key in the providers registry (PAYMENT_PROVIDER)
+ * @param {Object} options - Adapter-specific options
+ * @returns {PaymentProvider}
+ */
+const getPaymentProvider = (name, options = {}) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  PaymentProvider,
+  MockPaymentProvider,
+  getPaymentProvider
+};
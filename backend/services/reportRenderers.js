@@ -0,0 +1,224 @@
+// backend/services/reportRenderers.js
+// Renders a GHG inventory (services/ghgReport.js) as PDF, XLSX or CSV.
+// All three carry the same figures; the CSV is one long table so it can be
+// loaded into other tools without parsing sections.
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const { formatCsvRow } = require('../utils/csv');
+
+const REPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+const percent = (value) => (value === null || value === undefined ? 'n/a' : `${value > 0 ? '+' : ''}${value}%`);
+
+const number = (value, digits = 3) => Number(value).toLocaleString('en-US', { maximumFractionDigits: digits });
+
+const reportFileName = (report, format) =>
+  `ghg-inventory-${report.institute.id}-${report.period.label.replace(/\s+/g, '_')}.${REPORT_FORMATS[format].extension}`;
+
+// Every figure of the report as [section, item, value, unit, previous, change, changePercent]
+const reportRows = (report) => {
+  const rows = [];
+  const { totals } = report;
+  rows.push(['summary', 'Gross emissions', totals.gross.tCO2e, 'tCO2e', totals.gross.previous, totals.gross.change, totals.gross.changePercent]);
+  rows.push(['summary', 'Offsets retired', totals.offsetsRetired.tCO2e, 'tCO2e', totals.offsetsRetired.previous, totals.offsetsRetired.change, totals.offsetsRetired.changePercent]);
+  rows.push(['summary', 'Net emissions', totals.net.tCO2e, 'tCO2e', totals.net.previous, totals.net.change, totals.net.changePercent]);
+  rows.push(['summary', 'Energy consumed', totals.energyKWh.kWh, 'kWh', totals.energyKWh.previous, totals.energyKWh.change, totals.energyKWh.changePercent]);
+  for (const scope of report.scopes) {
+    rows.push([`scope_${scope.scope}`, scope.label, scope.tCO2e, 'tCO2e', scope.previous, scope.change, scope.changePercent]);
+    for (const category of scope.categories) {
+      rows.push([`scope_${scope.scope}`, category.label, category.tCO2e, 'tCO2e', category.previous, category.change, category.changePercent]);
+    }
+  }
+  for (const source of report.energy) {
+    rows.push(['energy', source.source, source.kWh, 'kWh', source.previous, source.change, source.changePercent]);
+  }
+  for (const retirement of report.offsets.retirements) {
+    rows.push(['offset_retirement', `${retirement.project} ${retirement.serialRange} (${day(retirement.retiredAt)})`, retirement.tonnes, 'tCO2e', null, null, null]);
+  }
+  for (const factor of report.emissionFactors) {
+    rows.push(['emission_factor', `${factor.energySource} ${factor.region} v${factor.version}`, factor.value, 'kgCO2e/kWh', null, null, null]);
+  }
+  return rows;
+};
+
+/**
+ * @returns {string} CSV text with a header row
+ */
+const renderCsv = (report) => [
+  formatCsvRow(['section', 'item', 'value', 'unit', 'previous', 'change', 'change_percent']),
+  formatCsvRow(['report', 'Institute', report.institute.name, report.institute.id, null, null, null]),
+  formatCsvRow(['report', 'Period', report.period.label, null, report.comparisonPeriod.label, null, null]),
+  ...reportRows(report).map(formatCsvRow)
+].join('\r\n') + '\r\n';
+
+/**
+ * @returns {Promise<Buffer>} XLSX workbook: Summary, Emissions, Energy, Offsets, Factors
+ */
+const renderXlsx = async (report) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = report.generatedAt;
+  workbook.title = `GHG inventory ${report.institute.name} ${report.period.label}`;
+
+  const sheet = (name, columns) => {
+    const ws = workbook.addWorksheet(name);
+    ws.columns = columns.map(([header, key, width = 18]) => ({ header, key, width }));
+    ws.getRow(1).font = { bold: true };
+    return ws;
+  };
+  const comparison = [['Previous', 'previous'], ['Change', 'change'], ['Change %', 'changePercent']];
+
+  const summary = sheet('Summary', [['Item', 'item', 36], ['Value', 'value', 24]]);
+  summary.addRows([
+    { item: 'Institute', value: `${report.institute.name} (${report.institute.id})` },
+    { item: 'Period', value: report.period.label },
+    { item: 'Compared with', value: report.comparisonPeriod.label },
+    { item: 'Generated', value: report.generatedAt },
+    { item: 'Gross emissions (tCO2e)', value: report.totals.gross.tCO2e },
+    { item: 'Offsets retired (tCO2e)', value: report.totals.offsetsRetired.tCO2e },
+    { item: 'Net emissions (tCO2e)', value: report.totals.net.tCO2e },
+    { item: 'Energy consumed (kWh)', value: report.totals.energyKWh.kWh },
+    ...report.notes.map(note => ({ item: 'Note', value: note }))
+  ]);
+
+  const emissions = sheet('Emissions', [['Scope', 'scope', 8], ['Category', 'label', 44], ['tCO2e', 'tCO2e'], ...comparison]);
+  for (const scope of report.scopes) {
+    emissions.addRow({ ...scope, label: scope.label }).font = { bold: true };
+    scope.categories.forEach(category => emissions.addRow({ scope: scope.scope, ...category }));
+  }
+
+  const energy = sheet('Energy', [['Source', 'source'], ['kWh', 'kWh'], ['Share %', 'share'], ...comparison]);
+  energy.addRows(report.energy);
+
+  const offsets = sheet('Offsets', [
+    ['Retired', 'retiredAt'], ['Project', 'project', 36], ['Registry', 'registry'], ['Vintage', 'vintage', 10],
+    ['Serial range', 'serialRange', 40], ['Tonnes', 'tonnes', 10], ['Beneficiary', 'beneficiary', 30]
+  ]);
+  offsets.addRows(report.offsets.retirements);
+
+  const factors = sheet('Factors', [['Energy source', 'energySource'], ['Region', 'region', 10], ['Version', 'version', 10], ['kgCO2e/kWh', 'value']]);
+  factors.addRows(report.emissionFactors);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * @returns {Promise<Buffer>} A4 PDF
+ */
+const renderPdf = (report) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `GHG inventory ${report.institute.name} ${report.period.label}` }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Columns: [header, width share, align]; rows are arrays of cell text
+  const table = (columns, rows, boldRows = []) => {
+    const widths = columns.map(([, share]) => share * width);
+    const line = (cells, bold) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      let x = left;
+      const heights = cells.map((cell, i) => {
+        const options = { width: widths[i] - 6, align: columns[i][2] || 'left' };
+        doc.text(String(cell ?? ''), x, y, options);
+        x += widths[i];
+        return doc.heightOfString(String(cell ?? ''), options);
+      });
+      doc.x = left;
+      doc.y = y + Math.max(...heights) + 4;
+    };
+    line(columns.map(([header]) => header), true);
+    doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).lineWidth(0.5).strokeColor('#999999').stroke();
+    rows.forEach((row, i) => line(row, boldRows.includes(i)));
+    doc.moveDown(1);
+  };
+  const heading = (text) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('#22543D').text(text, left, doc.y);
+    doc.fillColor('#000000').moveDown(0.4);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#22543D').text('Greenhouse Gas Inventory');
+  doc.font('Helvetica').fontSize(11).fillColor('#000000')
+    .text(`${report.institute.name} (${report.institute.id})`)
+    .text(`Reporting period: ${report.period.label}, compared with ${report.comparisonPeriod.label}`)
+    .fillColor('#555555').fontSize(9)
+    .text(`Generated ${report.generatedAt.toISOString()}${report.institute.gridRegion ? `, grid region ${report.institute.gridRegion}` : ''}`);
+  doc.fillColor('#000000').moveDown(1);
+
+  const comparisonColumns = [['Previous', 0.16, 'right'], ['Change %', 0.14, 'right']];
+  const { totals } = report;
+  heading('Summary');
+  table([['', 0.4], ['Current', 0.3, 'right'], ...comparisonColumns], [
+    ['Gross emissions (tCO2e)', number(totals.gross.tCO2e), number(totals.gross.previous), percent(totals.gross.changePercent)],
+    ['Offsets retired (tCO2e)', number(totals.offsetsRetired.tCO2e), number(totals.offsetsRetired.previous), percent(totals.offsetsRetired.changePercent)],
+    ['Net emissions (tCO2e)', number(totals.net.tCO2e), number(totals.net.previous), percent(totals.net.changePercent)],
+    ['Energy consumed (kWh)', number(totals.energyKWh.kWh, 1), number(totals.energyKWh.previous, 1), percent(totals.energyKWh.changePercent)]
+  ], [2]);
+
+  heading('Emissions by scope and category');
+  const scopeRows = [];
+  const scopeTotals = [];
+  for (const scope of report.scopes) {
+    scopeTotals.push(scopeRows.length);
+    scopeRows.push([scope.label, number(scope.tCO2e), number(scope.previous), percent(scope.changePercent)]);
+    scope.categories.forEach(c => scopeRows.push([`    ${c.label}`, number(c.tCO2e), number(c.previous), percent(c.changePercent)]));
+  }
+  table([['Category', 0.5], ['tCO2e', 0.2, 'right'], ...comparisonColumns], scopeRows, scopeTotals);
+
+  heading('Energy by source');
+  table([['Source', 0.3], ['kWh', 0.25, 'right'], ['Share', 0.15, 'right'], ...comparisonColumns],
+    report.energy.map(e => [e.source, number(e.kWh, 1), `${e.share}%`, number(e.previous, 1), percent(e.changePercent)]));
+
+  heading(`Offsets retired (${number(report.offsets.tonnes)} tCO2e in ${report.offsets.count} retirements)`);
+  if (report.offsets.retirements.length > 0) {
+    table([['Date', 0.14], ['Project', 0.3], ['Serial range', 0.42], ['Tonnes', 0.14, 'right']],
+      report.offsets.retirements.map(r => [day(r.retiredAt), `${r.project} (${r.registry} ${r.vintage})`, r.serialRange, number(r.tonnes)]));
+  } else {
+    doc.font('Helvetica').fontSize(9).text('No offsets were retired in this period.').moveDown(1);
+  }
+
+  heading('Methodology');
+  if (report.emissionFactors.length > 0) {
+    table([['Energy source', 0.3], ['Region', 0.2], ['Version', 0.2, 'right'], ['kgCO2e/kWh', 0.3, 'right']],
+      report.emissionFactors.map(f => [f.energySource, f.region, f.version === 0 ? 'default' : f.version, f.value]));
+  }
+  doc.font('Helvetica').fontSize(9);
+  report.notes.forEach(note => doc.text(`- ${note}`, left, doc.y, { width }));
+
+  doc.end();
+});
+
+/**
+ * Render a report in one of REPORT_FORMATS (other than json)
+ * @returns {Promise<Buffer|string>}
+ */
+const renderReport = (report, format) => {
+  switch (format) {
+    case 'csv': return Promise.resolve(renderCsv(report));
+    case 'xlsx': return renderXlsx(report);
+    case 'pdf': return renderPdf(report);
+    default: throw new Error(`Unsupported report format: ${format}`);
+  }
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  reportFileName,
+  renderReport
+};
@@ -0,0 +1,298 @@
+// backend/services/rollups.js
+// Keeps the hourly, daily and monthly rollups (models/CarbonRollup.js) in step
+// with CarbonBiometric. New readings are folded in as they are stored: one
+// atomic upsert per (granularity, institute, bucket, building, department).
+// Edited or deleted readings, and anything inserted while this failed, are
+// corrected by rebuilding a range with backfillRollups
+// (scripts/backfill-rollups.js).
+const mongoose = require('mongoose');
+const { ROLLUP_MODELS, GRANULARITIES, TOTAL_FIELDS, MEAN_FIELDS } = require('../models/CarbonRollup');
+const { createInstituteFilter } = require('../middleware/instituteAuth');
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Start of the UTC hour, day or month containing a date
+ */
+const bucketStart = (date, granularity) => {
+  const d = new Date(date);
+  switch (granularity) {
+    case 'hour': return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours()));
+    case 'day': return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    case 'month': return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+    default: throw new Error(`Unknown rollup granularity: ${granularity}`);
+  }
+};
+
+/**
+ * Start of the bucket after the one containing a date
+ */
+const nextBucketStart = (date, granularity) => {
+  const start = bucketStart(date, granularity);
+  switch (granularity) {
+    case 'hour': return new Date(start.getTime() + 60 * 60 * 1000);
+    case 'day': return new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    default: return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  }
+};
+
+const emptyDelta = () => ({
+  count: 0,
+  totals: Object.fromEntries(Object.keys(TOTAL_FIELDS).map(field => [field, 0])),
+  walletTransactions: 0,
+  means: Object.fromEntries(Object.keys(MEAN_FIELDS).map(field => [field, { sum: 0, n: 0 }])),
+  energyMin: null,
+  energyMax: null,
+  firstAt: null,
+  last: null
+});
+
+const addReading = (delta, doc) => {
+  const timestamp = new Date(doc.timestamp);
+  delta.count += 1;
+  for (const [field, path] of Object.entries(TOTAL_FIELDS)) {
+    const value = valueAt(doc, path);
+    if (isNumber(value)) delta.totals[field] += value;
+  }
+  for (const [field, path] of Object.entries(MEAN_FIELDS)) {
+    const value = valueAt(doc, path);
+    if (isNumber(value)) {
+      delta.means[field].sum += value;
+      delta.means[field].n += 1;
+    }
+  }
+  const transactions = valueAt(doc, 'carbonWallet.transactions');
+  if (Array.isArray(transactions)) delta.walletTransactions += transactions.length;
+
+  if (isNumber(doc.energyConsumption)) {
+    delta.energyMin = delta.energyMin === null ? doc.energyConsumption : Math.min(delta.energyMin, doc.energyConsumption);
+    delta.energyMax = delta.energyMax === null ? doc.energyConsumption : Math.max(delta.energyMax, doc.energyConsumption);
+  }
+  if (!delta.firstAt || timestamp < delta.firstAt) delta.firstAt = timestamp;
+  if (!delta.last || timestamp >= delta.last.at) {
+    delta.last = { at: timestamp, energyConsumption: doc.energyConsumption };
+  }
+};
+
+// Pipeline update adding a delta to a rollup that may not exist yet
+const foldUpdate = (delta) => {
+  const plus = (path, value) => ({ $add: [{ $ifNull: [`$${path}`, 0] }, value] });
+  const set = {
+    count: plus('count', delta.count),
+    walletTransactions: plus('walletTransactions', delta.walletTransactions),
+    firstAt: { $min: ['$firstAt', delta.firstAt] },
+    // Objects compare field by field, so the later `at` wins
+    last: { $max: ['$last', { $literal: delta.last }] }
+  };
+  for (const field of Object.keys(TOTAL_FIELDS)) {
+    set[`totals.${field}`] = plus(`totals.${field}`, delta.totals[field]);
+  }
+  for (const field of Object.keys(MEAN_FIELDS)) {
+    set[`means.${field}.sum`] = plus(`means.${field}.sum`, delta.means[field].sum);
+    set[`means.${field}.n`] = plus(`means.${field}.n`, delta.means[field].n);
+  }
+  if (delta.energyMin !== null) {
+    set.energyMin = { $min: ['$energyMin', delta.energyMin] };
+    set.energyMax = { $max: ['$energyMax', delta.energyMax] };
+  }
+  return [{ $set: set }];
+};
+
+const rollupKey = (doc, granularity) => ({
+  instituteId: doc.instituteId,
+  bucket: bucketStart(doc.timestamp, granularity),
+  buildingName: doc.buildingName ?? null,
+  departmentName: doc.departmentName ?? null
+});
+
+/**
+ * Fold newly stored readings into every rollup granularity
+ * Best effort like live events: a failure is logged and never reaches the
+ * write that stored the readings; backfillRollups repairs the range
+ * @param {Array} docs - Inserted CarbonBiometric documents
+ * @returns {Promise<number>} - Rollup documents updated
+ */
+const applyReadings = async (docs) => {
+  const readings = docs.filter(doc => doc && doc.instituteId && doc.timestamp);
+  if (readings.length === 0) return 0;
+
+  let updated = 0;
+  for (const granularity of GRANULARITIES) {
+    const groups = new Map();
+    for (const doc of readings) {
+      const key = rollupKey(doc, granularity);
+      const id = `${key.instituteId}|${key.bucket.getTime()}|${key.buildingName}|${key.departmentName}`;
+      if (!groups.has(id)) groups.set(id, { key, delta: emptyDelta() });
+      addReading(groups.get(id).delta, doc);
+    }
+
+    const operations = [...groups.values()].map(({ key, delta }) => ({
+      updateOne: { filter: key, update: foldUpdate(delta), upsert: true }
+    }));
+
+    try {
+      await writeFolds(ROLLUP_MODELS[granularity], operations);
+      updated += operations.length;
+    } catch (error) {
+      console.error(`Rollup update error (${granularity}):`, error.message);
+    }
+  }
+  return updated;
+};
+
+// Two first readings for the same bucket can both try to insert it; the
+// loser hits the unique index and is simply applied again as an update
+async function writeFolds(Model, operations) {
+  try {
+    await Model.collection.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    const retry = (error.writeErrors || [])
+      .filter(writeError => writeError.code === 11000)
+      .map(writeError => operations[writeError.index]);
+    if (retry.length === 0 || retry.length < (error.writeErrors || []).length) throw error;
+    await Model.collection.bulkWrite(retry, { ordered: false });
+  }
+}
+
+// Aggregation grouping raw readings the way addReading does
+const rollupPipeline = (match, granularity) => {
+  const bucket = {
+    $dateFromParts: {
+      year: { $year: '$timestamp' },
+      month: { $month: '$timestamp' },
+      day: granularity === 'month' ? 1 : { $dayOfMonth: '$timestamp' },
+      hour: granularity === 'hour' ? { $hour: '$timestamp' } : 0
+    }
+  };
+  const numeric = (path) => ({ $cond: [{ $isNumber: `$${path}` }, `$${path}`, 0] });
+  const present = (path) => ({ $cond: [{ $isNumber: `$${path}` }, 1, 0] });
+
+  const group = {
+    _id: {
+      bucket,
+      buildingName: { $ifNull: ['$buildingName', null] },
+      departmentName: { $ifNull: ['$departmentName', null] }
+    },
+    count: { $sum: 1 },
+    walletTransactions: { $sum: { $size: { $ifNull: ['$carbonWallet.transactions', []] } } },
+    energyMin: { $min: '$energyConsumption' },
+    energyMax: { $max: '$energyConsumption' },
+    firstAt: { $min: '$timestamp' },
+    last: { $max: { at: '$timestamp', energyConsumption: '$energyConsumption' } }
+  };
+  for (const [field, path] of Object.entries(TOTAL_FIELDS)) {
+    group[`total_${field}`] = { $sum: numeric(path) };
+  }
+  for (const [field, path] of Object.entries(MEAN_FIELDS)) {
+    group[`sum_${field}`] = { $sum: numeric(path) };
+    group[`n_${field}`] = { $sum: present(path) };
+  }
+
+  return [
+    { $match: match },
+    { $group: group }
+  ];
+};
+
+const toRollup = (row, instituteId) => ({
+  instituteId,
+  bucket: row._id.bucket,
+  buildingName: row._id.buildingName,
+  departmentName: row._id.departmentName,
+  count: row.count,
+  totals: Object.fromEntries(Object.keys(TOTAL_FIELDS).map(field => [field, row[`total_${field}`]])),
+  walletTransactions: row.walletTransactions,
+  means: Object.fromEntries(Object.keys(MEAN_FIELDS).map(field => [field, { sum: row[`sum_${field}`], n: row[`n_${field}`] }])),
+  energyMin: row.energyMin,
+  energyMax: row.energyMax,
+  firstAt: row.firstAt,
+  last: row.last
+});
+
+/**
+ * Rebuild rollups from raw readings
+ * Buckets overlapping [from, to] are deleted and recomputed, so edits and
+ * deletions are picked up. Readings stored while a range is being rebuilt
+ * can be counted twice; run it while ingestion for the range is quiet.
+ * @param {Object} options
+ * @param {string} [options.instituteId] - Limit to one institute
+ * @param {Date} [options.from] - Defaults to the oldest reading
+ * @param {Date} [options.to] - Defaults to now
+ * @param {Array<string>} [options.granularities] - Defaults to hour, day and month
+ * @param {number} [options.batchSize] - Rollups written per bulk insert
+ * @param {Function} [options.onProgress] - Called with { granularity, institute, written }
+ * @returns {Promise<Object>} - Rollups written per granularity
+ */
+const backfillRollups = async ({
+  instituteId,
+  from,
+  to = new Date(),
+  granularities = GRANULARITIES,
+  batchSize = 1000,
+  onProgress = () => {}
+} = {}) => {
+  // Required lazily: CarbonBiometric loads this module for its hooks
+  const CarbonBiometric = mongoose.model('CarbonBiometric');
+
+  const instituteIds = instituteId
+    ? [instituteId]
+    : (await CarbonBiometric.distinct('instituteId')).filter(Boolean);
+
+  if (!from) {
+    const oldest = await CarbonBiometric.findOne(createInstituteFilter(instituteId))
+      .sort({ timestamp: 1 }).select('timestamp').lean();
+    if (!oldest) return Object.fromEntries(granularities.map(g => [g, 0]));
+    from = oldest.timestamp;
+  }
+
+  const written = {};
+  for (const granularity of granularities) {
+    const Model = ROLLUP_MODELS[granularity];
+    if (!Model) throw new Error(`Unknown rollup granularity: ${granularity}`);
+
+    // Whole buckets only, so partial buckets at the edges are not undercounted
+    const start = bucketStart(from, granularity);
+    const end = nextBucketStart(to, granularity);
+    written[granularity] = 0;
+
+    for (const id of instituteIds) {
+      await Model.deleteMany({ instituteId: id, bucket: { $gte: start, $lt: end } });
+
+      const cursor = CarbonBiometric.aggregate(rollupPipeline({ instituteId: id, timestamp: { $gte: start, $lt: end } }, granularity))
+        .allowDiskUse(true)
+        .cursor({ batchSize });
+
+      let batch = [];
+      for await (const row of cursor) {
+        batch.push(toRollup(row, id));
+        if (batch.length >= batchSize) {
+          await Model.collection.insertMany(batch, { ordered: false });
+          written[granularity] += batch.length;
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        await Model.collection.insertMany(batch, { ordered: false });
+        written[granularity] += batch.length;
+      }
+      onProgress({ granularity, institute: id, written: written[granularity] });
+    }
+  }
+  return written;
+};
+
+/**
+ * Delete rollups, e.g. alongside the readings they were built from
+ * @param {Object} filter - e.g. { instituteId } or {} for all
+ */
+const clearRollups = (filter = {}) =>
+  Promise.all(Object.values(ROLLUP_MODELS).map(Model => Model.deleteMany(filter)));
+
+module.exports = {
+  bucketStart,
+  nextBucketStart,
+  applyReadings,
+  backfillRollups,
+  clearRollups
+};
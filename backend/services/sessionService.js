@@ -0,0 +1,124 @@
+// backend/services/sessionService.js
+// Access/refresh token sessions. A login creates a refresh-token family;
+// each refresh rotates the token within that family. Access tokens are
+// short-lived JWTs checked against User.tokenVersion, so bumping the version
+// (logout everywhere, password reset) cuts off every outstanding access token.
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { refreshTokenDays, jwtExpire } = require('../config/auth');
+const { generateToken, generateOpaqueToken, hashToken } = require('../utils/generateToken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clientInfo = (req) => ({
+  createdByIp: req ? req.ip : undefined,
+  userAgent: req ? req.get('user-agent') : undefined
+});
+
+async function issueRefreshToken(user, family, req) {
+  const refreshToken = generateOpaqueToken();
+  const doc = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenDays * DAY_MS),
+    ...clientInfo(req)
+  });
+  return { refreshToken, doc };
+}
+
+const sessionTokens = (user, refreshToken) => ({
+  token: generateToken(user._id, user.tokenVersion || 0),
+  refreshToken,
+  expiresIn: jwtExpire
+});
+
+/**
+ * Start a new session (login, registration)
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+const createSession = async (user, req) => {
+  const { refreshToken } = await issueRefreshToken(user, crypto.randomUUID(), req);
+  return sessionTokens(user, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} rawToken - Refresh token presented by the client
+ * @returns {Promise<Object|null>} - { user, token, refreshToken, expiresIn }, or null if refused
+ */
+const rotateSession = async (rawToken, req) => {
+  if (!rawToken) return null;
+
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!current) return null;
+
+  if (current.revokedAt) {
+    // A rotated token came back: someone else holds a copy of this session
+    if (current.revokedReason === 'rotated') {
+      await RefreshToken.updateMany(
+        { family: current.family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+      );
+      console.warn(`Refresh token reuse detected for user ${current.user}; session family revoked`);
+    }
+    return null;
+  }
+
+  if (current.expiresAt <= new Date()) return null;
+
+  const user = await User.findById(current.user).select('-password');
+  if (!user) return null;
+
+  const { refreshToken, doc } = await issueRefreshToken(user, current.family, req);
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const revoked = await RefreshToken.updateOne(
+    { _id: current._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedByHash: doc.tokenHash } }
+  );
+  if (revoked.modifiedCount === 0) {
+    await RefreshToken.deleteOne({ _id: doc._id });
+    return null;
+  }
+
+  return { user, ...sessionTokens(user, refreshToken) };
+};
+
+/**
+ * End the session a refresh token belongs to (single-device logout)
+ */
+const revokeSession = async (rawToken) => {
+  if (!rawToken) return 0;
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!current) return 0;
+
+  const result = await RefreshToken.updateMany(
+    { family: current.family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * End every session of a user and invalidate outstanding access tokens
+ * @param {*} userId - User _id
+ * @param {string} reason - 'logout_all' | 'password_reset'
+ * @returns {Promise<number>} - Number of refresh tokens revoked
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
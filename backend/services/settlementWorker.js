@@ -0,0 +1,327 @@
+// backend/services/settlementWorker.js
+// Plays the SETTLEMENT_ROLE for FiatGateway. New BuyInitiated/SellInitiated
+// events are picked up from the ChainEvent collection (filled by the chain
+// indexer), tracked as FiatRequest documents and driven through the payment
+// provider:
+//   buy:  pending → awaiting_fiat → settling → settled  (or cancelled)
+//   sell: pending → awaiting_fiat → settling → settled  (or refunding → refunded)
+// Buys that stay unpaid past their timeout are cancelled. A sell that times out
+// is refunded only once the provider confirms its payout was cancelled; a payout
+// that may still complete leaves the request failed for an admin override.
+const { ethers } = require('ethers');
+const ChainEvent = require('../models/ChainEvent');
+const FiatRequest = require('../models/FiatRequest');
+const chainConfig = require('../config/chain');
+const abis = require('../utils/contractAbis');
+const { getPaymentProvider } = require('./paymentProviders');
+
+// FiatGateway.RequestStatus
+const ON_CHAIN_STATUS = {
+  PENDING: 0,
+  COMPLETED: 1,
+  REFUNDED: 2,
+  CANCELLED: 3
+};
+
+const OPEN_STATUSES = ['pending', 'awaiting_fiat', 'settling', 'refunding'];
+const MAX_ATTEMPTS = 5;
+
+class SettlementWorker {
+  constructor(options = {}) {
+    const settlementKey = options.settlementKey || chainConfig.settlementKey;
+    if (!settlementKey) {
+      throw new Error('SETTLEMENT_PRIVATE_KEY is required to run the settlement worker');
+    }
+
+    this.network = options.network || chainConfig.network;
+    this.provider = options.provider || new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+    const deployment = options.deployment || chainConfig.loadDeployment(this.network);
+
+    this.wallet = new ethers.Wallet(settlementKey, this.provider);
+    this.gateway = new ethers.Contract(deployment.addresses.FiatGateway, abis.FiatGateway, this.wallet);
+    this.paymentProvider = options.paymentProvider || getPaymentProvider(chainConfig.paymentProvider);
+
+    this.buyTimeoutMs = options.buyTimeoutMs || chainConfig.fiatBuyTimeoutMs;
+    this.sellTimeoutMs = options.sellTimeoutMs || chainConfig.fiatSellTimeoutMs;
+    this.interval = options.interval || chainConfig.settlementInterval;
+
+    this.running = false;
+    this.timer = null;
+  }
+
+  async checkRoles() {
+    const role = await this.gateway.SETTLEMENT_ROLE();
+    if (!(await this.gateway.hasRole(role, this.wallet.address))) {
+      throw new Error(`Settlement account ${this.wallet.address} does not hold SETTLEMENT_ROLE on FiatGateway`);
+    }
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error('Settlement worker error:', error.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(tick, this.interval);
+      }
+    };
+
+    tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runOnce() {
+    const discovered = await this.syncFromEvents();
+    const open = await FiatRequest.find({ network: this.network, status: { $in: OPEN_STATUSES } })
+      .sort({ reqId: 1 });
+
+    for (const request of open) {
+      await this.processRequest(request);
+    }
+
+    return { discovered, processed: open.length };
+  }
+
+  /**
+   * Track newly indexed initiate events and close requests whose settlement
+   * event has already been indexed
+   * @returns {Promise<number>} - Number of new requests
+   */
+  async syncFromEvents() {
+    const latest = await FiatRequest.findOne({ network: this.network }).sort({ initiatedBlock: -1 });
+    const initiated = await ChainEvent.find({
+      network: this.network,
+      contract: 'FiatGateway',
+      event: { $in: ['BuyInitiated', 'SellInitiated'] },
+      blockNumber: { $gte: latest ? latest.initiatedBlock : 0 }
+    }).sort({ blockNumber: 1, logIndex: 1 });
+
+    let discovered = 0;
+    for (const ev of initiated) {
+      const type = ev.event === 'BuyInitiated' ? 'buy' : 'sell';
+      const initiatedAt = ev.blockTimestamp || new Date();
+      const timeout = type === 'buy' ? this.buyTimeoutMs : this.sellTimeoutMs;
+
+      const result = await FiatRequest.updateOne(
+        { network: this.network, reqId: Number(ev.args.reqId) },
+        {
+          $setOnInsert: {
+            type,
+            user: ev.args.user,
+            inAmount: type === 'buy' ? ev.args.inINR : ev.args.inEnTo,
+            outAmount: type === 'buy' ? ev.args.outEnTo : ev.args.outINREquiv,
+            rate: ev.args.rate,
+            spreadBps: ev.args.spread,
+            status: 'pending',
+            initiatedTx: ev.transactionHash,
+            initiatedBlock: ev.blockNumber,
+            initiatedAt,
+            expiresAt: new Date(initiatedAt.getTime() + timeout),
+            history: [{ status: 'pending', note: `${ev.event} indexed`, at: new Date() }]
+          }
+        },
+        { upsert: true }
+      );
+      discovered += result.upsertedCount;
+    }
+
+    const open = await FiatRequest.find({ network: this.network, status: { $in: OPEN_STATUSES } });
+    if (open.length > 0) {
+      const finished = await ChainEvent.find({
+        network: this.network,
+        contract: 'FiatGateway',
+        event: { $in: ['BuySettled', 'SellSettled', 'SellRefunded'] },
+        'args.reqId': { $in: open.map(r => String(r.reqId)) }
+      });
+
+      for (const ev of finished) {
+        const request = open.find(r => String(r.reqId) === ev.args.reqId);
+        request.settlementTx = ev.transactionHash;
+        request.settledAt = ev.blockTimestamp || new Date();
+        request.transition(ev.event === 'SellRefunded' ? 'refunded' : 'settled', `${ev.event} indexed`);
+        await request.save();
+      }
+    }
+
+    return discovered;
+  }
+
+  /**
+   * Advance one open request by a single step
+   */
+  async processRequest(request) {
+    try {
+      switch (request.status) {
+        case 'pending':
+          return await this.openWithProvider(request);
+        case 'awaiting_fiat':
+          return await this.checkProvider(request);
+        case 'settling':
+          return await this.settleOnChain(request);
+        case 'refunding':
+          return await this.refundOnChain(request);
+        default:
+          return null;
+      }
+    } catch (error) {
+      console.error(`Fiat request ${request.reqId} error:`, error.shortMessage || error.message);
+      request.attempts += 1;
+      request.lastError = error.shortMessage || error.message;
+      if (request.attempts >= MAX_ATTEMPTS) {
+        request.transition('failed', `Gave up after ${request.attempts} attempts: ${request.lastError}`);
+      }
+      await request.save();
+      return null;
+    }
+  }
+
+  async openWithProvider(request) {
+    const { reference } = request.type === 'buy'
+      ? await this.paymentProvider.createDepositIntent(request)
+      : await this.paymentProvider.createPayout(request);
+
+    request.provider = this.paymentProvider.name;
+    request.providerReference = reference;
+    request.providerStatus = 'pending';
+    request.transition('awaiting_fiat', `${request.type === 'buy' ? 'Deposit intent' : 'Payout'} ${reference} created`);
+    await request.save();
+  }
+
+  async checkProvider(request) {
+    const status = request.type === 'buy'
+      ? await this.paymentProvider.getDepositStatus(request.providerReference)
+      : await this.paymentProvider.getPayoutStatus(request.providerReference);
+    request.providerStatus = status;
+
+    const expired = request.expiresAt && request.expiresAt <= new Date();
+
+    if (status === 'received' || status === 'paid') {
+      request.transition('settling', `Provider reported ${status}`);
+      await request.save();
+      return this.settleOnChain(request);
+    }
+
+    if (status === 'failed' || status === 'cancelled' || expired) {
+      const note = status === 'pending' ? 'Timed out waiting for provider' : `Provider reported ${status}`;
+      if (request.type === 'buy') {
+        // No EnTo moved for a buy, so there is nothing to undo on-chain
+        request.transition('cancelled', note);
+        await request.save();
+        return null;
+      }
+
+      // Returning the escrowed EnTo while the payout can still complete would pay the user twice
+      if (status === 'pending') {
+        if (!(await this.paymentProvider.cancelPayout(request.providerReference))) {
+          request.transition('failed', `${note}; payout ${request.providerReference} could not be cancelled`);
+          await request.save();
+          return null;
+        }
+        request.providerStatus = 'cancelled';
+      }
+
+      request.transition('refunding', status === 'pending' ? `${note}; payout cancelled` : note);
+      await request.save();
+      return this.refundOnChain(request);
+    }
+
+    await request.save();
+    return null;
+  }
+
+  async settleOnChain(request) {
+    const onChain = await this.gateway.requests(request.reqId);
+    if (Number(onChain.status) !== ON_CHAIN_STATUS.PENDING) {
+      return this.syncTerminal(request, Number(onChain.status));
+    }
+
+    const tx = request.type === 'buy'
+      ? await this.gateway.confirmFiatDeposit(request.reqId)
+      : await this.gateway.confirmFiatPayout(request.reqId);
+    request.settlementTx = tx.hash;
+    await request.save();
+
+    await tx.wait();
+    request.settledAt = new Date();
+    request.lastError = undefined;
+    request.transition('settled', `${request.type === 'buy' ? 'confirmFiatDeposit' : 'confirmFiatPayout'} mined`);
+    await request.save();
+  }
+
+  async refundOnChain(request) {
+    if (request.type === 'buy') {
+      request.transition('cancelled', 'Buy requests have no on-chain refund');
+      await request.save();
+      return;
+    }
+
+    const onChain = await this.gateway.requests(request.reqId);
+    if (Number(onChain.status) !== ON_CHAIN_STATUS.PENDING) {
+      return this.syncTerminal(request, Number(onChain.status));
+    }
+
+    const tx = await this.gateway.refundSell(request.reqId);
+    request.settlementTx = tx.hash;
+    await request.save();
+
+    await tx.wait();
+    request.settledAt = new Date();
+    request.lastError = undefined;
+    request.transition('refunded', 'refundSell mined');
+    await request.save();
+  }
+
+  // The gateway already finished this request (another settler or a previous run)
+  async syncTerminal(request, onChainStatus) {
+    const statusMap = {
+      [ON_CHAIN_STATUS.COMPLETED]: 'settled',
+      [ON_CHAIN_STATUS.REFUNDED]: 'refunded',
+      [ON_CHAIN_STATUS.CANCELLED]: 'cancelled'
+    };
+    request.transition(statusMap[onChainStatus] || 'failed', 'Synced from on-chain request status');
+    await request.save();
+  }
+
+  /**
+   * Admin override: force a request to settle, refund or cancel
+   * @param {Object} request - FiatRequest document in an open or failed state
+   * @param {string} action - 'settle' | 'refund' | 'cancel'
+   */
+  async override(request, action, reason, userId) {
+    request.override = { action, reason, by: userId, at: new Date() };
+    request.attempts = 0;
+    const note = `Admin override (${action}): ${reason}`;
+
+    if (action === 'settle') {
+      request.transition('settling', note);
+      await request.save();
+      return this.settleOnChain(request);
+    }
+
+    if (action === 'refund') {
+      request.transition('refunding', note);
+      await request.save();
+      return this.refundOnChain(request);
+    }
+
+    request.transition('cancelled', note);
+    await request.save();
+  }
+}
+
+module.exports = {
+  SettlementWorker,
+  OPEN_STATUSES
+};
@@ -0,0 +1,264 @@
+// backend/services/timeSeries.js
+// Chart-ready time series over the reading rollups (models/CarbonRollup.js).
+// Hour, day and month buckets read the matching rollup; weeks (Monday to
+// Sunday, UTC) are summed from daily rollups. Every bucket in the range is
+// returned, so gaps in the readings show up as zeros rather than being skipped.
+const { HourlyRollup, DailyRollup, MonthlyRollup } = require('../models/CarbonRollup');
+const seriesConfig = require('../config/series');
+const { bucketStart, nextBucketStart } = require('./rollups');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const BUCKETS = ['hour', 'day', 'week', 'month'];
+
+const METRICS = {
+  consumption: { unit: 'kWh', digits: 2 },
+  co2: { unit: 'tCO2e', digits: 4 },
+  cost: { unit: seriesConfig.currency, digits: 2 },
+  efficiency: { unit: '%', digits: 1 }
+};
+
+// groupBy → rollup field; energySource splits each bucket instead
+const GROUP_FIELDS = {
+  building: 'buildingName',
+  department: 'departmentName',
+  energySource: null
+};
+
+const UNASSIGNED = 'Unassigned';
+const OTHER = 'Other';
+
+class SeriesError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SeriesError';
+    this.status = status;
+  }
+}
+
+const SOURCE_MODELS = { hour: HourlyRollup, day: DailyRollup, week: DailyRollup, month: MonthlyRollup };
+
+// Monday 00:00 UTC of the week containing a date
+const weekStart = (date) => {
+  const day = bucketStart(date, 'day');
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const alignStart = (date, bucket) => (bucket === 'week' ? weekStart(date) : bucketStart(date, bucket));
+const alignNext = (date, bucket) => (bucket === 'week'
+  ? new Date(weekStart(date).getTime() + 7 * DAY_MS)
+  : nextBucketStart(date, bucket));
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const labelFor = (date, bucket) => {
+  const day = `${pad(date.getUTCDate())} ${MONTHS[date.getUTCMonth()]}`;
+  switch (bucket) {
+    case 'hour': return `${day} ${pad(date.getUTCHours())}:00`;
+    case 'month': return `${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+    default: return day;
+  }
+};
+
+const round = (value, digits) => {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const emptySums = () => ({ kWh: 0, renewable: 0, co2: 0, effSum: 0, effN: 0 });
+
+const addSums = (target, row) => {
+  target.kWh += row.kWh;
+  target.renewable += row.renewable;
+  target.co2 += row.co2;
+  target.effSum += row.effSum;
+  target.effN += row.effN;
+  return target;
+};
+
+const sumsAt = (buckets, t) => {
+  if (!buckets.has(t)) buckets.set(t, emptySums());
+  return buckets.get(t);
+};
+
+// Fold one group's sums into another
+const mergeGroup = (target, group) => {
+  addSums(target.total, group.total);
+  for (const [t, sums] of group.buckets) addSums(sumsAt(target.buckets, t), sums);
+  return target;
+};
+
+const emptyGroup = () => ({ total: emptySums(), buckets: new Map() });
+
+// Anything not metered as renewable is paid for (and emitted) as grid energy
+const gridKWh = (sums) => Math.max(0, sums.kWh - sums.renewable);
+
+const metricValue = (metric, sums) => {
+  switch (metric) {
+    case 'consumption': return sums.kWh;
+    case 'co2': return sums.co2;
+    case 'cost': return gridKWh(sums) * seriesConfig.gridTariff + sums.renewable * seriesConfig.renewableTariff;
+    default: return sums.effN > 0 ? sums.effSum / sums.effN : null;
+  }
+};
+
+// Value of one energy source's share of a bucket
+const sourceValue = (metric, source, sums) => {
+  const renewable = source === 'Renewable';
+  switch (metric) {
+    case 'consumption': return renewable ? sums.renewable : gridKWh(sums);
+    case 'co2': return renewable ? 0 : sums.co2;
+    default: return renewable
+      ? sums.renewable * seriesConfig.renewableTariff
+      : gridKWh(sums) * seriesConfig.gridTariff;
+  }
+};
+
+/**
+ * Parse and check series parameters (query strings are accepted as-is)
+ * @throws {SeriesError}
+ */
+const parseSeriesOptions = ({ from, to, bucket = 'day', metric = 'consumption', groupBy } = {}) => {
+  if (!BUCKETS.includes(bucket)) {
+    throw new SeriesError(`bucket must be one of: ${BUCKETS.join(', ')}`);
+  }
+  // Own keys only, so inherited names (constructor, toString) are not accepted
+  if (!Object.hasOwn(METRICS, metric)) {
+    throw new SeriesError(`metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+  }
+  if (groupBy && !Object.hasOwn(GROUP_FIELDS, groupBy)) {
+    throw new SeriesError(`groupBy must be one of: ${Object.keys(GROUP_FIELDS).join(', ')}`);
+  }
+  if (groupBy === 'energySource' && metric === 'efficiency') {
+    throw new SeriesError('efficiency cannot be split by energySource');
+  }
+
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - seriesConfig.defaultDays * DAY_MS);
+  const invalid = [[from, start, 'from'], [to, end, 'to']].filter(([raw, date]) => raw && isNaN(date));
+  if (invalid.length > 0) {
+    throw new SeriesError(`Invalid date for: ${invalid.map(([, , name]) => name).join(', ')}`);
+  }
+  if (start > end) throw new SeriesError('from must be before to');
+
+  return { start, end, bucket, metric, groupBy: groupBy || null };
+};
+
+/**
+ * Bucket starts covering [start, end]
+ * @throws {SeriesError} - when the range has more than maxPoints buckets
+ */
+const bucketRange = (start, end, bucket) => {
+  const categories = [];
+  for (let t = alignStart(start, bucket); t <= end; t = alignNext(t, bucket)) {
+    if (categories.length >= seriesConfig.maxPoints) {
+      throw new SeriesError(`Range has more than ${seriesConfig.maxPoints} ${bucket} buckets; use a coarser bucket or a shorter range`);
+    }
+    categories.push(t);
+  }
+  return categories;
+};
+
+/**
+ * Build chart series for an institute
+ * @param {Object} options
+ * @param {string} options.instituteId
+ * @param {string|Date} [options.from] - Defaults to `defaultDays` before `to`
+ * @param {string|Date} [options.to] - Defaults to now
+ * @param {string} [options.bucket] - hour, day, week or month (default day)
+ * @param {string} [options.metric] - consumption, co2, cost or efficiency
+ * @param {string} [options.groupBy] - building, department or energySource
+ * @returns {Promise<Object>} - { bucket, metric, unit, groupBy, from, to, categories, labels, series }
+ * @throws {SeriesError}
+ */
+const getSeries = async ({ instituteId, ...query }) => {
+  const { start, end, bucket, metric, groupBy } = parseSeriesOptions(query);
+  const categories = bucketRange(start, end, bucket);
+  const rangeStart = categories[0];
+  const rangeEnd = alignNext(end, bucket);
+  const groupField = groupBy ? GROUP_FIELDS[groupBy] : null;
+
+  const time = bucket === 'week'
+    ? { $subtract: ['$bucket', { $multiply: [{ $mod: [{ $add: [{ $dayOfWeek: '$bucket' }, 5] }, 7] }, DAY_MS] }] }
+    : '$bucket';
+
+  const rows = await SOURCE_MODELS[bucket].aggregate([
+    { $match: { instituteId, bucket: { $gte: rangeStart, $lt: rangeEnd } } },
+    {
+      $group: {
+        _id: { t: time, group: groupField ? `$${groupField}` : null },
+        kWh: { $sum: '$totals.energyConsumption' },
+        renewable: { $sum: '$totals.renewableEnergyUsage' },
+        co2: { $sum: '$totals.co2Emissions' },
+        effSum: { $sum: '$means.energyEfficiency.sum' },
+        effN: { $sum: '$means.energyEfficiency.n' }
+      }
+    }
+  ]);
+
+  // Sums per series name and bucket time
+  const groups = new Map();
+  for (const row of rows) {
+    const name = groupField ? (row._id.group || UNASSIGNED) : 'Total';
+    if (!groups.has(name)) groups.set(name, emptyGroup());
+    const group = groups.get(name);
+    addSums(group.total, row);
+    addSums(sumsAt(group.buckets, new Date(row._id.t).getTime()), row);
+  }
+
+  // Largest groups by consumption keep their own series
+  if (groupField && groups.size > seriesConfig.maxGroups) {
+    const ranked = [...groups.entries()].sort((a, b) => b[1].total.kWh - a[1].total.kWh);
+    const other = ranked.slice(seriesConfig.maxGroups - 1).reduce((merged, [, group]) => mergeGroup(merged, group), emptyGroup());
+    groups.clear();
+    for (const [name, group] of ranked.slice(0, seriesConfig.maxGroups - 1)) groups.set(name, group);
+    groups.set(OTHER, other);
+  }
+
+  const { digits } = METRICS[metric];
+  const missing = metric === 'efficiency' ? null : 0;
+  const toSeries = (name, group, value) => ({
+    name,
+    data: categories.map((t) => {
+      const sums = group.buckets.get(t.getTime());
+      return sums ? round(value(sums), digits) : missing;
+    }),
+    total: round(value(group.total), digits)
+  });
+
+  let series;
+  if (groupBy === 'energySource') {
+    const all = groups.get('Total') || emptyGroup();
+    series = ['Renewable', 'Grid'].map(source => toSeries(source, all, sums => sourceValue(metric, source, sums)));
+  } else if (groupField) {
+    series = [...groups.entries()]
+      .sort((a, b) => (a[0] === OTHER) - (b[0] === OTHER) || b[1].total.kWh - a[1].total.kWh)
+      .map(([name, group]) => toSeries(name, group, sums => metricValue(metric, sums)));
+  } else {
+    series = [toSeries('Total', groups.get('Total') || emptyGroup(), sums => metricValue(metric, sums))];
+  }
+
+  return {
+    bucket,
+    metric,
+    unit: METRICS[metric].unit,
+    groupBy,
+    from: rangeStart.toISOString(),
+    to: rangeEnd.toISOString(),
+    categories: categories.map(t => t.toISOString()),
+    labels: categories.map(t => labelFor(t, bucket)),
+    series
+  };
+};
+
+module.exports = {
+  BUCKETS,
+  METRICS,
+  GROUP_FIELDS,
+  SeriesError,
+  parseSeriesOptions,
+  bucketRange,
+  getSeries
+};
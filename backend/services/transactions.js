@@ -0,0 +1,360 @@
+// backend/services/transactions.js
+// Wallet transaction history (CarbonData.transactions) as one queryable
+// ledger: filters, keyset pagination and streamed exports.
+//
+// Transactions are embedded in each user's CarbonData document, so queries
+// unwind the institute's wallets and sort the rows. Pages are addressed by an
+// opaque cursor holding the last row's sort value and id rather than by
+// offset, so rows arriving while someone pages do not shift or repeat items.
+// Exports run the same pipeline without a limit and write rows to the
+// response as the database cursor yields them.
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const CarbonData = require('../models/CarbonData');
+const { formatCsvRow } = require('../utils/csv');
+
+class TransactionQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TransactionQueryError';
+    this.status = status;
+  }
+}
+
+const TRANSACTION_TYPES = ['credit', 'debit', 'offset_purchase', 'energy_consumption'];
+// How each type moves the wallet balance (services/ledger.js); energy_consumption
+// rows record usage and its cost but leave the balance alone
+const WALLET_SIGN = { credit: 1, debit: -1, offset_purchase: -1 };
+const OUTFLOW_TYPES = Object.keys(WALLET_SIGN).filter(type => WALLET_SIGN[type] < 0);
+// 'posted' rows are booked in the double-entry ledger (models/Ledger.js);
+// 'recorded' rows are consumption records and history from before the ledger
+const TRANSACTION_STATUSES = ['posted', 'recorded'];
+const SORT_FIELDS = ['date', 'amount', 'co2Impact', 'type'];
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Export columns: [header, row field]
+const EXPORT_COLUMNS = [
+  ['id', 'id'],
+  ['date', 'date'],
+  ['type', 'type'],
+  ['status', 'status'],
+  ['amount', 'amount'],
+  ['signed_amount', 'signedAmount'],
+  ['co2_impact_t', 'co2Impact'],
+  ['consumption_kwh', 'consumption'],
+  ['building', 'building'],
+  ['department', 'department'],
+  ['description', 'description'],
+  ['user', 'userName'],
+  ['user_email', 'userEmail'],
+  ['ledger_journal', 'ledgerJournal'],
+  ['offset_retirement', 'offsetRetirement'],
+  ['tx_hash', 'blockchainTxHash']
+];
+
+const list = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new TransactionQueryError(`${name} must be a date`);
+  }
+  return date;
+};
+
+const parseAmount = (value, name) => {
+  const amount = Number(value);
+  if (value === '' || !Number.isFinite(amount)) {
+    throw new TransactionQueryError(`${name} must be a number`);
+  }
+  return amount;
+};
+
+/**
+ * Row filter from query parameters
+ * (?type=&status=&from=&to=&building=&department=&minAmount=&maxAmount=&userId=)
+ * A date-only `to` includes that whole day.
+ */
+const buildFilter = (query) => {
+  const filter = {};
+  if (query.type) {
+    const types = list(query.type);
+    const invalid = types.filter(t => !TRANSACTION_TYPES.includes(t));
+    if (invalid.length > 0) {
+      throw new TransactionQueryError(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+    }
+    filter.type = { $in: types };
+  }
+  if (query.status) {
+    const statuses = list(query.status);
+    if (statuses.some(s => !TRANSACTION_STATUSES.includes(s))) {
+      throw new TransactionQueryError(`status must be one of: ${TRANSACTION_STATUSES.join(', ')}`);
+    }
+    filter.status = { $in: statuses };
+  }
+  if (query.from || query.to) {
+    filter.date = {};
+    if (query.from) filter.date.$gte = parseDate(query.from, 'from');
+    if (query.to) {
+      const to = parseDate(query.to, 'to');
+      filter.date.$lt = /^\d{4}-\d{2}-\d{2}$/.test(String(query.to)) ? new Date(to.getTime() + DAY_MS) : to;
+    }
+  }
+  if (query.building) filter.building = { $in: list(query.building) };
+  if (query.department) filter.department = { $in: list(query.department) };
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    filter.amount = {};
+    if (query.minAmount !== undefined) filter.amount.$gte = parseAmount(query.minAmount, 'minAmount');
+    if (query.maxAmount !== undefined) filter.amount.$lte = parseAmount(query.maxAmount, 'maxAmount');
+  }
+  if (query.userId) {
+    if (!mongoose.Types.ObjectId.isValid(query.userId)) {
+      throw new TransactionQueryError('Invalid userId');
+    }
+    filter.userId = new mongoose.Types.ObjectId(String(query.userId));
+  }
+  return filter;
+};
+
+/**
+ * Sort from ?sort=field or ?sort=-field (descending); newest first by default
+ */
+const parseSort = (value = '-date') => {
+  const direction = String(value).startsWith('-') ? -1 : 1;
+  const field = String(value).replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    throw new TransactionQueryError(`sort must be one of: ${SORT_FIELDS.join(', ')} (prefix - for descending)`);
+  }
+  return { field, direction };
+};
+
+const encodeCursor = (row, sort) =>
+  Buffer.from(JSON.stringify({ s: `${sort.direction < 0 ? '-' : ''}${sort.field}`, v: row[sort.field] ?? null, id: String(row.id) })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    throw new TransactionQueryError('Invalid cursor');
+  }
+  if (!decoded || decoded.s !== `${sort.direction < 0 ? '-' : ''}${sort.field}` || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+    throw new TransactionQueryError('Cursor does not match this sort; start again from the first page');
+  }
+  const value = sort.field === 'date' && decoded.v !== null ? new Date(decoded.v) : decoded.v;
+  return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+};
+
+// Rows strictly after the cursor in (field, _id) order; nulls sort before every value
+const afterCursor = ({ value, id }, { field, direction }) => {
+  const beyond = direction < 0 ? '$lt' : '$gt';
+  if (value === null) {
+    return direction < 0
+      ? { [field]: null, _id: { $lt: id } }
+      : { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: id } }] };
+  }
+  const clauses = [{ [field]: { [beyond]: value } }, { [field]: value, _id: { [beyond]: id } }];
+  if (direction < 0) clauses.push({ [field]: null });
+  return { $or: clauses };
+};
+
+/**
+ * Pipeline yielding one row per wallet transaction, filtered and sorted
+ * @param {Object} scope - { instituteId, userId } (userId limits it to one wallet)
+ */
+const transactionPipeline = (scope, filter, sort) => [
+  { $match: { instituteId: scope.instituteId, ...(scope.userId ? { userId: scope.userId } : {}) } },
+  { $project: { userId: 1, transactions: 1 } },
+  { $unwind: '$transactions' },
+  {
+    $project: {
+      _id: '$transactions._id',
+      userId: 1,
+      type: '$transactions.type',
+      amount: '$transactions.amount',
+      description: '$transactions.description',
+      co2Impact: '$transactions.co2Impact',
+      consumption: '$transactions.consumption',
+      building: '$transactions.building',
+      department: '$transactions.department',
+      blockchainTxHash: '$transactions.blockchainTxHash',
+      ledgerJournal: '$transactions.ledgerJournal',
+      offsetRetirement: '$transactions.offsetRetirement',
+      date: '$transactions.date',
+      status: { $cond: [{ $ifNull: ['$transactions.ledgerJournal', false] }, 'posted', 'recorded'] }
+    }
+  },
+  { $match: filter },
+  { $sort: { [sort.field]: sort.direction, _id: sort.direction } }
+];
+
+const withUsers = [
+  { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user', pipeline: [{ $project: { fullName: 1, email: 1 } }] } },
+  { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+];
+
+const toRow = (doc) => ({
+  id: doc._id,
+  date: doc.date,
+  type: doc.type,
+  status: doc.status,
+  amount: doc.amount,
+  // Money into the wallet is positive; null when the row does not move the wallet
+  signedAmount: doc.amount === undefined || doc.amount === null || !WALLET_SIGN[doc.type] ? null : WALLET_SIGN[doc.type] * doc.amount,
+  co2Impact: doc.co2Impact ?? null,
+  consumption: doc.consumption ?? null,
+  building: doc.building || null,
+  department: doc.department || null,
+  description: doc.description || null,
+  userId: doc.userId,
+  userName: doc.user ? doc.user.fullName : null,
+  userEmail: doc.user ? doc.user.email : null,
+  ledgerJournal: doc.ledgerJournal || null,
+  offsetRetirement: doc.offsetRetirement || null,
+  blockchainTxHash: doc.blockchainTxHash || null
+});
+
+/**
+ * One page of transactions
+ * @param {Object} scope - { instituteId, userId }
+ * @param {Object} query - Filters plus sort, limit and cursor
+ * @returns {Promise<{ items, pagination: { limit, sort, nextCursor, hasMore } }>}
+ */
+const listTransactions = async (scope, query = {}) => {
+  const filter = buildFilter(query);
+  const sort = parseSort(query.sort);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const pipeline = transactionPipeline(scope, filter, sort);
+  if (query.cursor) {
+    pipeline.push({ $match: afterCursor(decodeCursor(query.cursor, sort), sort) });
+  }
+  pipeline.push({ $limit: limit + 1 }, ...withUsers);
+
+  const docs = await CarbonData.aggregate(pipeline);
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit).map(toRow);
+
+  return {
+    items,
+    pagination: {
+      limit,
+      sort: `${sort.direction < 0 ? '-' : ''}${sort.field}`,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+      hasMore
+    }
+  };
+};
+
+/**
+ * Totals over every transaction matching the filters
+ */
+const summarizeTransactions = async (scope, query = {}) => {
+  const [summary] = await CarbonData.aggregate([
+    ...transactionPipeline(scope, buildFilter(query), parseSort()).slice(0, -1),
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        posted: { $sum: { $cond: [{ $eq: ['$status', 'posted'] }, 1, 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, { $ifNull: ['$amount', 0] }, 0] } },
+        debits: { $sum: { $cond: [{ $in: ['$type', OUTFLOW_TYPES] }, { $ifNull: ['$amount', 0] }, 0] } },
+        co2Impact: { $sum: { $ifNull: ['$co2Impact', 0] } }
+      }
+    }
+  ]);
+  return summary
+    ? { count: summary.count, posted: summary.posted, credits: summary.credits, debits: summary.debits, net: summary.credits - summary.debits, co2Impact: summary.co2Impact }
+    : { count: 0, posted: 0, credits: 0, debits: 0, net: 0, co2Impact: 0 };
+};
+
+// Resolves once the response can take more data, or is gone
+const drained = (stream) => new Promise(resolve => {
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+const exportCell = (value) => (value instanceof mongoose.Types.ObjectId ? String(value) : value);
+
+/**
+ * Prepare an export of every matching transaction. Filters are checked here,
+ * before anything is sent, so a bad query can still be answered with a 400.
+ * @param {Object} scope - { instituteId, userId }
+ * @param {Object} query - Filters and sort; cursor and limit are ignored
+ * @param {string} format - csv | xlsx | json
+ * @returns {{ contentType: string, extension: string, writeTo: (out: Writable) => Promise<number> }}
+ */
+const createTransactionExport = (scope, query, format) => {
+  if (!EXPORT_FORMATS[format]) {
+    throw new TransactionQueryError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const pipeline = [...transactionPipeline(scope, buildFilter(query), parseSort(query.sort)), ...withUsers];
+
+  // Streams rows as the cursor yields them and ends `out`; resolves with the rows written
+  const writeTo = async (out) => {
+    const cursor = CarbonData.aggregate(pipeline).allowDiskUse(true).cursor({ batchSize: 500 });
+    let rows = 0;
+    const write = async (chunk) => {
+      if (!out.write(chunk)) await drained(out);
+    };
+
+    try {
+      if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+        const sheet = workbook.addWorksheet('Transactions');
+        sheet.columns = EXPORT_COLUMNS.map(([header, key]) => ({ header, key, width: 18 }));
+        for await (const doc of cursor) {
+          if (out.destroyed) break;
+          const row = toRow(doc);
+          sheet.addRow(Object.fromEntries(EXPORT_COLUMNS.map(([, key]) => [key, exportCell(row[key])]))).commit();
+          rows++;
+        }
+        sheet.commit();
+        await workbook.commit();
+        return rows;
+      }
+
+      await write(format === 'csv' ? `${formatCsvRow(EXPORT_COLUMNS.map(([header]) => header))}\r\n` : '[');
+      for await (const doc of cursor) {
+        // The client went away; stop reading from the database
+        if (out.destroyed) break;
+        const row = toRow(doc);
+        if (format === 'csv') {
+          await write(`${formatCsvRow(EXPORT_COLUMNS.map(([, key]) => exportCell(row[key])))}\r\n`);
+        } else {
+          await write(`${rows > 0 ? ',' : ''}\n${JSON.stringify(row)}`);
+        }
+        rows++;
+      }
+      out.end(format === 'json' ? '\n]\n' : undefined);
+      return rows;
+    } finally {
+      await cursor.close();
+    }
+  };
+
+  return { ...EXPORT_FORMATS[format], writeTo };
+};
+
+module.exports = {
+  TransactionQueryError,
+  TRANSACTION_TYPES,
+  TRANSACTION_STATUSES,
+  EXPORT_FORMATS,
+  buildFilter,
+  listTransactions,
+  summarizeTransactions,
+  createTransactionExport
+};
@@ -0,0 +1,296 @@
+// Test script for the alert rules engine (services/alertEngine.js)
+// Seeds a day of hourly rollups for two buildings and a rule on one of them,
+// then walks an alert through its lifecycle: raised once and delivered in-app,
+// by email and to a signed webhook, acknowledged, snoozed, reopened when the
+// snooze ends with the threshold still breached, resolved automatically and
+// by hand. Also checks rule validation and that webhooks cannot reach internal
+// addresses. Test data is removed afterwards.
+
+// The test receiver listens on loopback, which webhooks may only reach when trusted
+process.env.ALERT_WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+const http = require('http');
+const mongoose = require('mongoose');
+const Institute = require('./models/Institute');
+const Alert = require('./models/Alert');
+const AlertRule = require('./models/AlertRule');
+const LiveEvent = require('./models/LiveEvent');
+const { HourlyRollup } = require('./models/CarbonRollup');
+const { setMailTransport } = require('./services/mailer');
+const { bucketStart } = require('./services/rollups');
+const { AlertError, measureRule, normalizeRule } = require('./services/alertRules');
+const { signPayload, deliverAlert } = require('./services/alertChannels');
+const { evaluateInstitute, acknowledgeAlert, snoozeAlert, resolveAlert } = require('./services/alertEngine');
+const { publicLookup } = require('./utils/publicAddress');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'alert_test',
+  name: 'Alert Test Institute',
+  campusId: 'alert_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 2,
+  totalStudents: 100,
+  contact: { email: 'contact@alert-test.example.com', phone: '0000000000' }
+};
+const HOUR_MS = 60 * 60 * 1000;
+const SECRET = 'alert-test-secret';
+const USER_ID = new mongoose.Types.ObjectId();
+
+let failures = 0;
+const outbox = [];
+const webhooks = [];
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const expectAlertError = (fn, status, message) => {
+  try {
+    fn();
+    check(false, message);
+  } catch (error) {
+    check(error instanceof AlertError && error.status === status, `${message} (${error.message})`);
+  }
+};
+
+const expectRejection = async (promise, status, message) => {
+  try {
+    await promise;
+    check(false, message);
+  } catch (error) {
+    check(error instanceof AlertError && error.status === status, `${message} (${error.message})`);
+  }
+};
+
+// The last 24 hours, including the current one
+const seedRows = (now, kWhPerHour) => {
+  const rows = [];
+  const current = bucketStart(now, 'hour').getTime();
+  for (let at = current - 23 * HOUR_MS; at <= current; at += HOUR_MS) {
+    for (const [buildingName, kWh] of Object.entries(kWhPerHour)) {
+      rows.push({
+        instituteId: INSTITUTE.id,
+        bucket: new Date(at),
+        buildingName,
+        departmentName: 'Operations',
+        count: 4,
+        totals: { energyConsumption: kWh }
+      });
+    }
+  }
+  return rows;
+};
+
+// Records webhook calls; the signature is checked against the raw body
+const startWebhookServer = () => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url === '/hooks/broken') {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('internal service banner v1.2');
+        return;
+      }
+      webhooks.push({ headers: req.headers, body, payload: JSON.parse(body) });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+async function cleanup() {
+  await Alert.deleteMany({ instituteId: INSTITUTE.id });
+  await AlertRule.deleteMany({ instituteId: INSTITUTE.id });
+  await HourlyRollup.deleteMany({ instituteId: INSTITUTE.id });
+  await LiveEvent.deleteMany({ instituteId: INSTITUTE.id });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+const activeAlert = (rule) => Alert.findOne({ rule: rule._id, active: true });
+const loadRule = (rule) => AlertRule.findById(rule._id).select('+channels.webhook.secret');
+
+async function testAlerts() {
+  let server;
+  try {
+    console.log('🧪 Starting Alert Engine Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await Institute.create(INSTITUTE);
+    setMailTransport({ send: async (message) => { outbox.push(message); return { messageId: String(outbox.length) }; } });
+    server = await startWebhookServer();
+    const webhookUrl = `http://127.0.0.1:${server.address().port}/hooks/energy`;
+
+    const now = new Date();
+    // Main Block uses 3600 kWh a day, the Library 1200
+    await HourlyRollup.insertMany(seedRows(now, { 'Main Block': 150, Library: 50 }));
+
+    // Test 1: Rule validation
+    console.log('📝 Test 1: Rule validation');
+    const input = {
+      name: 'Main Block daily energy',
+      metric: 'energy_kwh',
+      scope: { buildingName: 'Main Block' },
+      comparison: 'gt',
+      threshold: 3000,
+      windowHours: 24,
+      severity: 'high',
+      channels: { inApp: true, email: ['Facilities@Alert-Test.example.com'], webhook: { url: webhookUrl, secret: SECRET } }
+    };
+    const fields = normalizeRule(input);
+    check(fields.channels.email[0] === 'facilities@alert-test.example.com' && fields.enabled === true,
+      'Emails are normalised and rules start enabled');
+    expectAlertError(() => normalizeRule({ ...input, name: ' ' }), 400, 'Name is required');
+    expectAlertError(() => normalizeRule({ ...input, metric: 'vibes' }), 400, 'Unknown metric rejected');
+    expectAlertError(() => normalizeRule({ ...input, windowHours: 1.5 }), 400, 'Partial-hour window rejected');
+    expectAlertError(() => normalizeRule({ ...input, threshold: 'lots' }), 400, 'Non-numeric threshold rejected');
+    expectAlertError(() => normalizeRule({ ...input, channels: { inApp: false } }), 400, 'A rule without channels is rejected');
+    expectAlertError(() => normalizeRule({ ...input, channels: { email: ['not-an-email'] } }), 400, 'Invalid email rejected');
+    expectAlertError(() => normalizeRule({ ...input, channels: { webhook: { url: 'ftp://example.com' } } }), 400,
+      'Non-http webhook rejected');
+
+    let rule = await AlertRule.create({ ...fields, instituteId: INSTITUTE.id, createdBy: USER_ID });
+    rule = await loadRule(rule);
+    const renamed = normalizeRule({ name: 'Main Block energy', channels: { webhook: { url: webhookUrl } } }, rule);
+    check(renamed.channels.webhook.secret === SECRET && renamed.threshold === 3000,
+      'Updates keep the webhook secret and fields not sent');
+    const noRule = await AlertRule.findById(rule._id);
+    check(noRule.channels.webhook.secret === undefined, 'Webhook secret is not loaded by default');
+
+    // Test 2: Measuring a rule covers its window and scope only
+    console.log('\n📏 Test 2: Measurement');
+    check(await measureRule(rule, now) === 3600, 'Main Block used 3600 kWh in the last 24 hours');
+    check(await measureRule({ ...rule.toObject(), windowHours: 2 }, now) === 300, 'A 2-hour window sees two hours');
+    check(await measureRule({ ...rule.toObject(), scope: { buildingName: 'Nowhere' } }, now) === null,
+      'No rollups means no value');
+
+    // Test 3: A breach raises one alert and reaches every channel
+    console.log('\n🚨 Test 3: Triggering and delivery');
+    let summary = await evaluateInstitute(INSTITUTE.id, now);
+    let alert = await activeAlert(rule);
+    check(summary.rules === 1 && summary.triggered === 1, `${summary.rules} rule evaluated, ${summary.triggered} alert raised`);
+    check(alert && alert.status === 'open' && alert.triggerValue === 3600 && alert.severity === 'high',
+      `Alert open at ${alert && alert.triggerValue} kWh`);
+    check(alert && /Main Block was 3600 kWh over the last 24 hours, above the 3000 kWh threshold/.test(alert.message),
+      'Alert message explains the breach');
+    check(alert && ['in_app', 'email', 'webhook'].every(channel =>
+      alert.deliveries.some(d => d.channel === channel && d.event === 'triggered' && d.status === 'sent')),
+    'Delivered in-app, by email and by webhook');
+
+    const live = await LiveEvent.find({ instituteId: INSTITUTE.id, type: 'alert' }).lean();
+    check(live.length === 1 && live[0].data.type === 'alert_rule' && live[0].data.alertId === String(alert._id),
+      'Live alert published for dashboards');
+    check(outbox.length === 1 && outbox[0].to === 'facilities@alert-test.example.com' && /\[HIGH\]/.test(outbox[0].subject),
+      'Email sent to the rule recipient');
+    const hook = webhooks[0];
+    check(webhooks.length === 1 && hook.headers['x-greenpulse-event'] === 'alert.triggered' && hook.payload.alert.value === 3600,
+      'Webhook received alert.triggered');
+    check(hook && hook.headers['x-greenpulse-signature'] === `sha256=${signPayload(hook.body, SECRET)}`,
+      'Webhook signature matches the body');
+
+    // Test 4: Evaluating again updates the alert instead of raising another
+    console.log('\n🔁 Test 4: Repeat evaluation');
+    summary = await evaluateInstitute(INSTITUTE.id, now);
+    alert = await activeAlert(rule);
+    check(summary.breached === 1 && summary.triggered === 0, 'Still breached, nothing new raised');
+    check(await Alert.countDocuments({ instituteId: INSTITUTE.id }) === 1 && alert.breaches === 2,
+      `One alert, seen breached ${alert.breaches} times`);
+    check(webhooks.length === 1 && outbox.length === 1, 'No repeat notifications');
+
+    // Test 5: Acknowledge and snooze; a snooze that ends while breached reopens the alert
+    console.log('\n😴 Test 5: Acknowledge, snooze and reopen');
+    alert = await acknowledgeAlert(alert, USER_ID, 'Chiller on manual override');
+    check(alert.status === 'acknowledged' && alert.active && String(alert.acknowledgement.by) === String(USER_ID),
+      'Acknowledged and still active');
+    await expectRejection(acknowledgeAlert(alert, USER_ID), 409, 'Acknowledging twice is refused');
+    await expectRejection(snoozeAlert(alert, USER_ID, { minutes: 0 }), 400, 'Snooze must end in the future');
+    await expectRejection(snoozeAlert(alert, USER_ID, { minutes: 100000 }), 400, 'Snooze length is capped');
+    alert = await snoozeAlert(alert, USER_ID, { minutes: 60 });
+    check(alert.status === 'snoozed' && alert.snoozedUntil > now, 'Snoozed for an hour');
+
+    summary = await evaluateInstitute(INSTITUTE.id, new Date(now.getTime() + 30 * 60 * 1000));
+    check(summary.reopened === 0 && (await activeAlert(rule)).status === 'snoozed', 'Still snoozed half an hour later');
+    // Two hours on the window has 22 hours of data: 3300 kWh, still breached
+    summary = await evaluateInstitute(INSTITUTE.id, new Date(now.getTime() + 2 * HOUR_MS));
+    alert = await activeAlert(rule);
+    check(summary.reopened === 1 && alert.status === 'open' && !alert.snoozedUntil, 'Reopened when the snooze ended');
+    check(webhooks.length === 2 && webhooks[1].headers['x-greenpulse-event'] === 'alert.reopened' && outbox.length === 2,
+      'Reopening notifies again');
+    check(alert.history.map(h => h.status).join(',') === 'open,acknowledged,snoozed,open', 'History records each step');
+
+    // Test 6: Back within threshold resolves automatically
+    console.log('\n✅ Test 6: Automatic resolution');
+    await HourlyRollup.updateMany({ instituteId: INSTITUTE.id, buildingName: 'Main Block' },
+      { $set: { 'totals.energyConsumption': 100 } });
+    summary = await evaluateInstitute(INSTITUTE.id, now);
+    alert = await Alert.findById(alert._id);
+    check(summary.resolved === 1 && alert.status === 'resolved' && !alert.active && alert.resolution.auto,
+      'Resolved at 2400 kWh');
+    check(webhooks.length === 3 && webhooks[2].headers['x-greenpulse-event'] === 'alert.resolved' && outbox.length === 2,
+      'Resolution sent to the webhook, not mailed');
+    const updates = await LiveEvent.find({ instituteId: INSTITUTE.id, type: 'alert.updated' }).lean();
+    check(updates.some(event => event.data.id === String(alert._id) && event.data.status === 'resolved'),
+      'Dashboards told the alert resolved');
+    const stored = await AlertRule.findById(rule._id);
+    check(stored.lastEvaluation.value === 2400 && stored.lastEvaluation.breached === false, 'Rule records its last evaluation');
+
+    // Test 7: A new breach raises a new alert, which can be resolved by hand
+    console.log('\n🖐️  Test 7: Manual resolution');
+    rule.set(normalizeRule({ threshold: 2000 }, rule));
+    await rule.save();
+    summary = await evaluateInstitute(INSTITUTE.id, now);
+    const second = await activeAlert(rule);
+    check(summary.triggered === 1 && second && String(second._id) !== String(alert._id), 'New breach raises a new alert');
+    const resolved = await resolveAlert(second, USER_ID, 'Threshold under review');
+    check(resolved.status === 'resolved' && !resolved.resolution.auto && resolved.resolution.note === 'Threshold under review',
+      'Resolved by hand with a note');
+    await expectRejection(resolveAlert(resolved, USER_ID), 409, 'Resolving twice is refused');
+    await expectRejection(snoozeAlert(resolved, USER_ID, { minutes: 30 }), 409, 'Resolved alerts can not be snoozed');
+    check(await Alert.countDocuments({ instituteId: INSTITUTE.id }) === 2, 'Two alerts in total');
+
+    // Test 8: Webhooks only reach public hosts and do not echo the receiver's answer
+    console.log('\n🛡️  Test 8: Webhook targets');
+    for (const url of ['http://localhost:8080/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/hook',
+      'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook']) {
+      expectAlertError(() => normalizeRule({ ...input, channels: { webhook: { url } } }), 400, `${url} rejected`);
+    }
+    const lookupError = await new Promise(resolve => publicLookup('localhost', {}, resolve));
+    check(lookupError && lookupError.code === 'EADDRNOTALLOWED', 'Host names resolving to loopback fail at connect time');
+    const port = server.address().port;
+    const sentBefore = webhooks.length;
+    const [internal] = await deliverAlert(resolved, { channels: { webhook: { url: `http://localhost:${port}/hooks/energy` } } }, 'resolved');
+    check(internal.status === 'failed' && internal.error === 'Webhook host is not a public address' && webhooks.length === sentBefore,
+      'A name resolving to loopback is refused at delivery');
+    const [broken] = await deliverAlert(resolved, { channels: { webhook: { url: `http://127.0.0.1:${port}/hooks/broken` } } }, 'resolved');
+    check(broken.status === 'failed' && broken.error === 'Webhook delivery failed',
+      'Receiver status and body are not recorded');
+
+    console.log(`\n${failures === 0 ? '🎉 Alert engine tests passed!' : `❌ ${failures} alert engine check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testAlerts().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
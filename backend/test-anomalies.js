@@ -0,0 +1,190 @@
+// Test script for the consumption anomaly detector (services/anomalyDetector.js)
+// Seeds ten weeks of hourly rollups for four building/department groups with
+// a daily and weekly pattern, then plants a spike, night-time baseload creep
+// and a flat-lined meter and checks each is found, stored once, announced
+// once and resolved when it clears. Test data is removed afterwards.
+
+const mongoose = require('mongoose');
+const Institute = require('./models/Institute');
+const ConsumptionAnomaly = require('./models/ConsumptionAnomaly');
+const LiveEvent = require('./models/LiveEvent');
+const { HourlyRollup } = require('./models/CarbonRollup');
+const { AnomalyDetector, buildProfile } = require('./services/anomalyDetector');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'anomaly_test',
+  name: 'Anomaly Test Institute',
+  campusId: 'anomaly_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 4,
+  totalStudents: 100,
+  contact: { email: 'contact@anomaly-test.example.com', phone: '0000000000' }
+};
+const HOUR_MS = 60 * 60 * 1000;
+// A Wednesday afternoon in IST; the current hour (12:00 UTC) is incomplete
+const NOW = new Date('2026-10-14T12:30:00Z');
+const END = Date.UTC(2026, 9, 14, 12);
+const WEEKS = 10;
+
+const GROUPS = {
+  physics: { buildingName: 'Main Block', departmentName: 'Physics', base: 100 },
+  library: { buildingName: 'Library', departmentName: 'Administration', base: 60 },
+  hostel: { buildingName: 'Hostel', departmentName: 'Housing', base: 40 },
+  chemistry: { buildingName: 'Lab Block', departmentName: 'Chemistry', base: 80 }
+};
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+// Daytime peak, quieter weekends and a little deterministic noise
+const typicalKWh = (group, at, i) => {
+  const local = new Date(at + 330 * 60 * 1000);
+  const hour = local.getUTCHours();
+  const day = local.getUTCDay();
+  const daytime = hour >= 6 && hour < 18 ? Math.sin(((hour - 6) / 12) * Math.PI) : 0;
+  const weekday = day === 0 || day === 6 ? 0.6 : 1;
+  const noise = (((i * 7919) % 13) - 6) / 100;
+  return group.base * (1 + 0.8 * daytime * weekday) * (1 + noise);
+};
+
+// Four readings per hour that differ a little, like a working meter
+const rollup = (group, at, kWh, readings = [0.9, 1, 1, 1.1]) => ({
+  instituteId: INSTITUTE.id,
+  bucket: new Date(at),
+  buildingName: group.buildingName,
+  departmentName: group.departmentName,
+  count: readings.length,
+  totals: { energyConsumption: kWh },
+  energyMin: Math.min(...readings) * kWh / readings.length,
+  energyMax: Math.max(...readings) * kWh / readings.length,
+  firstAt: new Date(at),
+  last: { at: new Date(at + 45 * 60 * 1000), energyConsumption: kWh / readings.length }
+});
+
+const isNight = (at) => {
+  const hour = new Date(at + 330 * 60 * 1000).getUTCHours();
+  return hour >= 0 && hour < 5;
+};
+
+const seedRows = (end) => {
+  const rows = [];
+  const start = end - WEEKS * 7 * 24 * HOUR_MS;
+  let i = 0;
+  for (let at = start; at < end; at += HOUR_MS, i++) {
+    for (const [key, group] of Object.entries(GROUPS)) {
+      let kWh = typicalKWh(group, at, i);
+      // Physics: two hours at three times the usual load
+      if (key === 'physics' && (at === end - 5 * HOUR_MS || at === end - 4 * HOUR_MS)) kWh *= 3;
+      // Library: the last week of nights 30% above normal
+      if (key === 'library' && at >= end - 7 * 24 * HOUR_MS && isNight(at)) kWh *= 1.3;
+      // Hostel: the meter repeats 12.5 kWh for the last ten hours
+      if (key === 'hostel' && at >= end - 10 * HOUR_MS) {
+        rows.push(rollup(group, at, 50, [1, 1, 1, 1]));
+        continue;
+      }
+      rows.push(rollup(group, at, kWh));
+    }
+  }
+  return rows;
+};
+
+async function cleanup() {
+  await ConsumptionAnomaly.deleteMany({ instituteId: INSTITUTE.id });
+  await HourlyRollup.deleteMany({ instituteId: INSTITUTE.id });
+  await LiveEvent.deleteMany({ instituteId: INSTITUTE.id });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+const anomalyFor = (anomalies, key, kind) => anomalies.find(a =>
+  a.departmentName === GROUPS[key].departmentName && a.kind === kind);
+
+async function testAnomalies() {
+  try {
+    console.log('🧪 Starting Anomaly Detector Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await Institute.create(INSTITUTE);
+    await HourlyRollup.insertMany(seedRows(END));
+    const detector = new AnomalyDetector();
+
+    // Test 1: Profiles have one slot per local weekday and hour
+    console.log('📈 Test 1: Weekday/hour profiles');
+    const physicsRows = await HourlyRollup.find({ instituteId: INSTITUTE.id, departmentName: 'Physics' }).lean();
+    const profile = buildProfile(physicsRows);
+    check(profile.slots.size === 168, `${profile.slots.size} weekday/hour slots learned`);
+    check([...profile.slots.values()].every(slot => slot.samples >= WEEKS - 1), 'Every slot has a sample per week');
+
+    // Test 2: Planted anomalies are found and nothing else
+    console.log('\n🔎 Test 2: Detection');
+    const [summary] = await detector.runOnce({ instituteId: INSTITUTE.id, now: NOW });
+    let anomalies = await ConsumptionAnomaly.find({ instituteId: INSTITUTE.id }).lean();
+    check(summary.groups === 4 && summary.created === 3, `${summary.groups} groups checked, ${summary.created} anomalies stored`);
+
+    const spike = anomalyFor(anomalies, 'physics', 'spike');
+    check(spike && spike.window.from.getTime() === END - 5 * HOUR_MS && spike.window.to.getTime() === END - 3 * HOUR_MS,
+      'Physics spike covers its two hours');
+    check(spike && ['high', 'critical'].includes(spike.severity) && spike.deviationPercent > 150,
+      `Spike is ${spike && spike.severity}, ${spike && spike.deviationPercent}% over its profile`);
+    check(spike && /Main Block \/ Physics used/.test(spike.explanation), 'Spike explanation names the building and department');
+
+    const creep = anomalyFor(anomalies, 'library', 'baseload_creep');
+    check(creep && creep.deviationPercent >= 25 && creep.deviationPercent <= 35, `Library baseload up ${creep && creep.deviationPercent}%`);
+
+    const flatline = anomalyFor(anomalies, 'hostel', 'flatline');
+    check(flatline && flatline.window.from.getTime() === END - 10 * HOUR_MS && flatline.observed === 50,
+      'Hostel meter flat-lined for ten hours');
+    check(!anomalies.some(a => a.departmentName === 'Chemistry'), 'Normal consumption raises nothing');
+
+    // Test 3: Each new anomaly is announced once; re-running updates in place
+    console.log('\n🚨 Test 3: Alerts and repeat runs');
+    let alerts = await LiveEvent.find({ instituteId: INSTITUTE.id, type: 'alert' }).lean();
+    check(alerts.length === 3 && alerts.every(alert => alert.data.type === 'consumption_anomaly' && alert.data.anomalyId),
+      `${alerts.length} anomaly alerts published`);
+    const [again] = await detector.runOnce({ instituteId: INSTITUTE.id, now: NOW });
+    alerts = await LiveEvent.find({ instituteId: INSTITUTE.id, type: 'alert' }).lean();
+    check(again.created === 0 && again.updated === 3, `Second run: ${again.created} created, ${again.updated} updated`);
+    check(alerts.length === 3, 'Known anomalies are not announced again');
+
+    // Test 4: A meter reporting varied readings again resolves its flatline
+    console.log('\n✅ Test 4: Resolution');
+    const nextHour = seedRows(END + HOUR_MS).filter(row => row.bucket.getTime() === END && row.departmentName !== 'Housing');
+    const hostel = GROUPS.hostel;
+    nextHour.push(rollup(hostel, END, typicalKWh(hostel, END, 0)));
+    await HourlyRollup.insertMany(nextHour);
+    const [later] = await detector.runOnce({ instituteId: INSTITUTE.id, now: new Date(NOW.getTime() + HOUR_MS) });
+    anomalies = await ConsumptionAnomaly.find({ instituteId: INSTITUTE.id }).lean();
+    check(later.resolved === 1 && anomalyFor(anomalies, 'hostel', 'flatline').status === 'resolved', 'Flatline resolved');
+    check(anomalyFor(anomalies, 'physics', 'spike').status === 'open', 'Spike stays open until acknowledged');
+    check(anomalyFor(anomalies, 'library', 'baseload_creep').status === 'open', 'Baseload creep still open');
+    check(anomalies.length === 3, 'No duplicate anomalies stored');
+
+    console.log(`\n${failures === 0 ? '🎉 Anomaly detector tests passed!' : `❌ ${failures} anomaly detector check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testAnomalies().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
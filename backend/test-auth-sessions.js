@@ -0,0 +1,165 @@
+// Test script for refresh-token sessions and password reset
+// Mounts the Express app on a random port against MongoDB and captures reset
+// emails in memory. Test users and the test institute are removed afterwards.
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Institute = require('./models/Institute');
+const RefreshToken = require('./models/RefreshToken');
+const PasswordResetToken = require('./models/PasswordResetToken');
+const { setMailTransport } = require('./services/mailer');
+require('dotenv').config();
+
+const TEST_INSTITUTE = {
+  id: 'auth_session_test',
+  name: 'Auth Session Test Institute',
+  campusId: 'auth-session-test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@auth-test.example.com', phone: '0000000000' }
+};
+const TEST_EMAIL = 'session.user@auth-test.example.com';
+
+let baseUrl;
+let failures = 0;
+const outbox = [];
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const request = async (method, path, token, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+};
+
+const login = (password) => request('POST', '/api/auth/login', null, {
+  email: TEST_EMAIL,
+  password,
+  institute: { id: TEST_INSTITUTE.id, name: TEST_INSTITUTE.name }
+});
+
+async function cleanup() {
+  const users = await User.find({ email: TEST_EMAIL }).select('_id');
+  const ids = users.map(u => u._id);
+  await RefreshToken.deleteMany({ user: { $in: ids } });
+  await PasswordResetToken.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ _id: { $in: ids } });
+  await Institute.deleteMany({ id: TEST_INSTITUTE.id });
+}
+
+async function testAuthSessions() {
+  let server;
+  try {
+    console.log('🧪 Starting Auth Session Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    setMailTransport({ send: async (message) => { outbox.push(message); return { messageId: String(outbox.length) }; } });
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create(TEST_INSTITUTE);
+    await User.create({
+      institute: { id: TEST_INSTITUTE.id, name: TEST_INSTITUTE.name },
+      fullName: 'Session User',
+      email: TEST_EMAIL,
+      password: 'oldpassword123'
+    });
+
+    // Test 1: Login returns an access token and a refresh token
+    console.log('🔑 Test 1: Login');
+    let res = await login('oldpassword123');
+    check(res.status === 200 && res.body.data.token && res.body.data.refreshToken, `Login → ${res.status}`);
+    const first = res.body.data;
+
+    // Test 2: Refresh rotates the refresh token
+    console.log('\n🔁 Test 2: Refresh rotation');
+    res = await request('POST', '/api/auth/refresh', null, { refreshToken: first.refreshToken });
+    check(res.status === 200 && res.body.data.refreshToken !== first.refreshToken, `Refresh → ${res.status}`);
+    const second = res.body.data;
+    res = await request('GET', '/api/auth/profile', second.token);
+    check(res.status === 200, `New access token works → ${res.status}`);
+
+    // Test 3: Replaying a rotated token revokes the whole session
+    console.log('\n🚨 Test 3: Refresh token reuse');
+    res = await request('POST', '/api/auth/refresh', null, { refreshToken: first.refreshToken });
+    check(res.status === 401, `Replayed refresh token → ${res.status}`);
+    res = await request('POST', '/api/auth/refresh', null, { refreshToken: second.refreshToken });
+    check(res.status === 401, `Latest token of the reused session is revoked too → ${res.status}`);
+
+    // Test 4: Logout everywhere cuts off access and refresh tokens
+    console.log('\n🚪 Test 4: Logout everywhere');
+    const deviceA = (await login('oldpassword123')).body.data;
+    const deviceB = (await login('oldpassword123')).body.data;
+    res = await request('POST', '/api/auth/logout-all', deviceA.token);
+    check(res.status === 200 && res.body.data.revoked >= 2, `Logout all → ${res.status}, revoked ${res.body && res.body.data && res.body.data.revoked}`);
+    res = await request('GET', '/api/auth/profile', deviceB.token);
+    check(res.status === 401, `Other device access token → ${res.status}`);
+    res = await request('POST', '/api/auth/refresh', null, { refreshToken: deviceB.refreshToken });
+    check(res.status === 401, `Other device refresh token → ${res.status}`);
+
+    // Test 5: Forgot password does not reveal whether an account exists
+    console.log('\n📧 Test 5: Forgot password');
+    res = await request('POST', '/api/auth/forgot-password', null, { email: 'nobody@auth-test.example.com' });
+    check(res.status === 200 && outbox.length === 0, `Unknown email → ${res.status}, no mail sent`);
+    const unknownBody = res.body;
+    setMailTransport({ send: async () => { throw new Error('SMTP connection refused'); } });
+    res = await request('POST', '/api/auth/forgot-password', null, { email: TEST_EMAIL });
+    check(res.status === 200 && JSON.stringify(res.body) === JSON.stringify(unknownBody),
+      `Known email with the mail server down → ${res.status}, same response as an unknown email`);
+    setMailTransport({ send: async (message) => { outbox.push(message); return { messageId: String(outbox.length) }; } });
+    const session = (await login('oldpassword123')).body.data;
+    res = await request('POST', '/api/auth/forgot-password', null, { email: TEST_EMAIL });
+    check(res.status === 200 && outbox.length === 1, `Known email → ${res.status}, ${outbox.length} mail sent`);
+    const resetToken = decodeURIComponent((outbox[0].text.match(/token=([^\s]+)/) || [])[1] || '');
+    check(Boolean(resetToken), 'Reset link contains a token');
+
+    // Test 6: Reset tokens are single-use and end existing sessions
+    console.log('\n🔒 Test 6: Reset password');
+    res = await request('POST', '/api/auth/reset-password', null, { token: resetToken, password: 'newpassword123', confirmPassword: 'newpassword123' });
+    check(res.status === 200, `Reset → ${res.status}`);
+    res = await request('POST', '/api/auth/reset-password', null, { token: resetToken, password: 'another123', confirmPassword: 'another123' });
+    check(res.status === 400, `Reused reset token → ${res.status}`);
+    res = await request('GET', '/api/auth/profile', session.token);
+    check(res.status === 401, `Pre-reset access token → ${res.status}`);
+    res = await login('oldpassword123');
+    check(res.status === 401, `Old password → ${res.status}`);
+    res = await login('newpassword123');
+    check(res.status === 200, `New password → ${res.status}`);
+
+    console.log(`\n${failures === 0 ? '🎉 Auth session tests passed!' : `❌ ${failures} auth session check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testAuthSessions().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
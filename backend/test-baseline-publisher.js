@@ -0,0 +1,148 @@
+// Test script for the EnergyAuction baseline publisher
+// Uses an in-memory stand-in for EnergyAuction, so only MongoDB is required.
+// Data is written under a test institute/network and removed afterwards.
+
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const BaselineProposal = require('./models/BaselineProposal');
+const CarbonBiometric = require('./models/CarbonBiometric');
+const DepartmentWallet = require('./models/DepartmentWallet');
+const Institute = require('./models/Institute');
+const { BaselinePublisher } = require('./services/baselinePublisher');
+const { clearRollups } = require('./services/rollups');
+require('dotenv').config();
+
+const TEST_NETWORK = 'localhost-baseline-test';
+const TEST_INSTITUTE = {
+  id: 'baseline_test',
+  name: 'Baseline Test Institute',
+  campusId: 'baseline-test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@baseline-test.example.com', phone: '0000000000' }
+};
+
+// Minimal EnergyAuction stand-in: stores baselines and records calls
+const createAuctionStub = () => {
+  const baselines = {};
+  const calls = [];
+  return {
+    calls,
+    getBaseline: async (month, dept) => baselines[`${month}:${dept}`] || { kWh: 0n, metaHash: ethers.ZeroHash, set: false },
+    setBaseline: async (month, dept, kWh, metaHash) => {
+      calls.push(`setBaseline(${month}, ${dept}, ${kWh})`);
+      if (dept.endsWith('dead')) throw new Error('execution reverted: dept zero');
+      baselines[`${month}:${dept}`] = { kWh: BigInt(kWh), metaHash, set: true };
+      return { hash: ethers.id(`${month}-${dept}`), wait: async () => ({ status: 1, blockNumber: 42 }) };
+    }
+  };
+};
+
+async function testBaselinePublisher() {
+  try {
+    console.log('🧪 Starting Baseline Publisher Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await Institute.create(TEST_INSTITUTE);
+
+    await DepartmentWallet.insertMany([
+      { instituteId: TEST_INSTITUTE.id, departmentName: 'Engineering', address: '0x' + '1'.repeat(40) },
+      { instituteId: TEST_INSTITUTE.id, departmentName: 'Arts', address: '0x' + '2'.repeat(36) + 'dead' },
+      { instituteId: TEST_INSTITUTE.id, departmentName: 'Medical', address: '0x' + '3'.repeat(40) }
+    ]);
+
+    // 60 days of history for Engineering and Arts; Medical has none
+    const readings = [];
+    for (let day = 1; day <= 60; day++) {
+      const timestamp = new Date(Date.now() - day * 24 * 60 * 60 * 1000);
+      for (const departmentName of ['Engineering', 'Arts']) {
+        readings.push({
+          institute: TEST_INSTITUTE.name,
+          instituteId: TEST_INSTITUTE.id,
+          departmentName,
+          timestamp,
+          energyConsumption: departmentName === 'Engineering' ? 500 : 200,
+          co2Emissions: 1,
+          carbonFootprint: 1,
+          gridEnergyUsage: 100
+        });
+      }
+    }
+    await CarbonBiometric.insertMany(readings);
+
+    const auction = createAuctionStub();
+    const publisher = new BaselinePublisher({ network: TEST_NETWORK, auction });
+    const now = new Date();
+    const month = (now.getUTCMonth() === 11 ? now.getUTCFullYear() + 1 : now.getUTCFullYear()) * 100 +
+      (now.getUTCMonth() === 11 ? 1 : now.getUTCMonth() + 2);
+
+    // Test 1: Drafting computes one line per department
+    console.log('📝 Test 1: Drafting a proposal');
+    let proposal = await publisher.draftProposal(TEST_INSTITUTE.id, month, 'manual');
+    proposal.lines.forEach(line => {
+      console.log(`   ${line.departmentName}: ${line.kWh} kWh (${line.method || 'no history'}) → ${line.status}`);
+    });
+    const skipped = proposal.lines.find(l => l.departmentName === 'Medical');
+    console.log(`   ${proposal.status === 'pending_review' ? '✅' : '❌'} Status ${proposal.status}`);
+    console.log(`   ${skipped.status === 'skipped' ? '✅' : '❌'} Department without history is skipped`);
+
+    // Test 2: Nothing is sent before approval
+    console.log('\n🔒 Test 2: Unapproved proposals are not published');
+    await publisher.publishApproved();
+    console.log(`   ${auction.calls.length === 0 ? '✅' : '❌'} ${auction.calls.length} setBaseline calls`);
+
+    // Test 3: Approve and publish
+    console.log('\n⛓️  Test 3: Publishing an approved proposal');
+    proposal.review = { at: new Date(), note: 'test' };
+    proposal.transition('approved', 'Approved in test');
+    await proposal.save();
+    await publisher.publishApproved();
+    proposal = await BaselineProposal.findById(proposal._id);
+    const report = proposal.buildReport();
+    console.log(`   ${proposal.status === 'partially_failed' ? '✅' : '❌'} Status ${proposal.status}`);
+    report.transactions.forEach(tx => console.log(`   ${tx.departmentName}: ${tx.status} ${tx.txHash || tx.error || ''}`));
+
+    // Test 4: Retrying only resends failed lines
+    console.log('\n🔁 Test 4: Retrying failed lines');
+    proposal.lines.forEach(line => {
+      if (line.status === 'failed') line.status = 'pending';
+    });
+    proposal.transition('approved', 'Retry in test');
+    await proposal.save();
+    const callsBefore = auction.calls.length;
+    await publisher.publishApproved();
+    console.log(`   ${auction.calls.length === callsBefore + 1 ? '✅' : '❌'} Only the failed line was resent`);
+
+    console.log('\n🎉 Baseline publisher tests completed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+async function cleanup() {
+  await BaselineProposal.deleteMany({ network: TEST_NETWORK });
+  await DepartmentWallet.deleteMany({ instituteId: TEST_INSTITUTE.id });
+  await CarbonBiometric.deleteMany({ instituteId: TEST_INSTITUTE.id });
+  await clearRollups({ instituteId: TEST_INSTITUTE.id });
+  await Institute.deleteMany({ id: TEST_INSTITUTE.id });
+}
+
+if (require.main === module) {
+  testBaselinePublisher().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
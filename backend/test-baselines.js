@@ -0,0 +1,229 @@
+// Test script for weather-normalized baselines (services/baselineEngine.js,
+// utils/regression.js). Checks the least-squares fit on exact data and the
+// endpoint's query checks, then seeds a campus with a year of daily weather and
+// three departments whose use follows
+//   kWh/day = 300 + 6·HDD + 15·CDD + 120·occupied
+// and scores a hot June: one department uses 10% less than its model, one
+// exactly its model, one has too little history. Test data is removed afterwards.
+
+const mongoose = require('mongoose');
+const Institute = require('./models/Institute');
+const Building = require('./models/Building');
+const WeatherObservation = require('./models/WeatherObservation');
+const { DailyRollup } = require('./models/CarbonRollup');
+const { fitLinearModel, predict } = require('./utils/regression');
+const { computeBaselines, degreeDays, occupancyFor, resolveWindows } = require('./services/baselineEngine');
+const { getBaselines } = require('./controllers/baselineController');
+const { resolveEmissionFactor } = require('./services/emissionFactors');
+const baselineConfig = require('./config/baseline');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'baseline_test',
+  name: 'Baseline Test Institute',
+  campusId: 'baseline_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@baseline-test.example.com', phone: '0000000000' }
+};
+const CAMPUS_ID = 'baseline_test_campus';
+const BUILDING = { buildingId: 990001, name: 'Baseline Test Hall', campusId: CAMPUS_ID };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_START = Date.UTC(2024, 0, 1);
+const MODEL = { intercept: 300, hdd: 6, cdd: 15, occupied: 120 };
+const WINDOWS = {
+  baselineFrom: new Date('2024-01-01T00:00:00Z'),
+  baselineTo: new Date('2024-05-31T00:00:00Z'),
+  from: new Date('2024-06-01T00:00:00Z'),
+  to: new Date('2024-06-30T00:00:00Z')
+};
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const near = (actual, expected, tolerance) => actual !== null && Math.abs(actual - expected) <= tolerance;
+
+// Cool January, hot June–July, with day-to-day variation so HDD and CDD are not collinear
+const temperatureOn = (dayIndex) =>
+  22 + 12 * Math.sin((2 * Math.PI * (dayIndex - 100)) / 366) + (((dayIndex * 37) % 7) - 3);
+
+const modelKWh = (date, temperature) => {
+  const { hdd, cdd } = degreeDays(temperature);
+  return MODEL.intercept + MODEL.hdd * hdd + MODEL.cdd * cdd + MODEL.occupied * occupancyFor(date);
+};
+
+const rollup = (departmentName, date, kWh) => ({
+  instituteId: INSTITUTE.id,
+  bucket: date,
+  buildingName: BUILDING.name,
+  departmentName,
+  count: 24,
+  totals: { energyConsumption: kWh, co2Savings: 0.05 }
+});
+
+async function cleanup() {
+  await DailyRollup.deleteMany({ instituteId: INSTITUTE.id });
+  await WeatherObservation.deleteMany({ campusId: CAMPUS_ID });
+  await Building.deleteMany({ buildingId: BUILDING.buildingId });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+function testRegression() {
+  // Test 1: Least squares recovers exact coefficients
+  console.log('📐 Test 1: Regression');
+  const rows = Array.from({ length: 40 }, (_, i) => {
+    const row = { a: i % 7, b: (i * 3) % 11, c: i % 2 };
+    return { ...row, y: 50 + 2 * row.a - 4 * row.b + 30 * row.c };
+  });
+  const fit = fitLinearModel(rows, ['a', 'b', 'c'], 'y');
+  check(fit && near(fit.intercept, 50, 1e-6) && near(fit.coefficients.a, 2, 1e-6) &&
+    near(fit.coefficients.b, -4, 1e-6) && near(fit.coefficients.c, 30, 1e-6), 'Exact data gives exact coefficients');
+  check(fit && near(fit.r2, 1, 1e-9) && near(fit.cvRmse, 0, 1e-6) && fit.n === 40, 'Perfect fit: R² 1, CV(RMSE) 0');
+  check(fit && near(predict(fit, { a: 1, b: 1, c: 1 }), 78, 1e-6), 'Prediction uses every coefficient');
+
+  const constant = fitLinearModel(rows.map(r => ({ ...r, h: 0 })), ['h', 'a', 'b', 'c'], 'y');
+  check(constant && constant.coefficients.h === 0 && near(constant.coefficients.a, 2, 1e-6),
+    'A feature that never varies is dropped with coefficient 0');
+  check(fitLinearModel(rows.slice(0, 4), ['a', 'b', 'c'], 'y') === null, 'Too few samples: no model');
+  check(fitLinearModel(rows.map(r => ({ ...r, d: 2 * r.a })), ['a', 'd'], 'y') === null, 'Collinear features: no model');
+
+  // Test 2: Degree-days, occupancy and windows
+  console.log('\n🌡️  Test 2: Degree-days and windows');
+  const { heatingBaseTemp, coolingBaseTemp } = baselineConfig;
+  check(degreeDays(heatingBaseTemp - 8).hdd === 8 && degreeDays(heatingBaseTemp - 8).cdd === 0, 'Cold day: heating degree-days');
+  check(degreeDays(coolingBaseTemp + 6).cdd === 6 && degreeDays(coolingBaseTemp + 6).hdd === 0, 'Hot day: cooling degree-days');
+  const mild = degreeDays((heatingBaseTemp + coolingBaseTemp) / 2);
+  check(mild.hdd === 0 && mild.cdd === 0, 'Between the balance points: neither');
+  check(occupancyFor('2024-06-01T00:00:00Z') === 0 && occupancyFor('2024-06-03T00:00:00Z') === 1,
+    'Weekends unoccupied, weekdays occupied');
+  const windows = resolveWindows({ to: '2024-07-01T00:00:00Z' });
+  check(windows.report.to.getTime() - windows.report.from.getTime() === baselineConfig.reportDays * DAY_MS &&
+    windows.baseline.to.getTime() === windows.report.from.getTime() &&
+    windows.baseline.to.getTime() - windows.baseline.from.getTime() === baselineConfig.baselineDays * DAY_MS,
+  'Default baseline is the period right before the report');
+}
+
+// Calls the endpoint handler with a query; bad queries are answered before any database access
+const requestBaselines = async (query) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await getBaselines({ query, instituteId: INSTITUTE.id }, res);
+  return res;
+};
+
+async function testRequestValidation() {
+  // Test 3: Query checks
+  console.log('\n🚦 Test 3: Request validation');
+  let res = await requestBaselines({ groupBy: 'constructor' });
+  check(res.statusCode === 400, `groupBy=constructor → ${res.statusCode}`);
+  res = await requestBaselines({ groupBy: 'toString' });
+  check(res.statusCode === 400, `groupBy=toString → ${res.statusCode}`);
+  res = await requestBaselines({ from: '2024-06-30T00:00:00Z', to: '2024-06-01T00:00:00Z' });
+  check(res.statusCode === 400 && /from\/to/.test(res.body.message), `from after to → ${res.statusCode}`);
+  res = await requestBaselines({ from: '2024-06-01T00:00:00Z', to: '2024-06-01T00:00:00Z' });
+  check(res.statusCode === 400, `from equal to to → ${res.statusCode}`);
+  res = await requestBaselines({ ...WINDOWS, baselineFrom: '2024-05-31T00:00:00Z', baselineTo: '2024-01-01T00:00:00Z' });
+  check(res.statusCode === 400 && /baselineFrom\/baselineTo/.test(res.body.message), `Inverted baseline window → ${res.statusCode}`);
+  res = await requestBaselines({ baselineFrom: '2999-01-01T00:00:00Z' });
+  check(res.statusCode === 400, `Baseline starting after its default end → ${res.statusCode}`);
+}
+
+async function testBaselineEngine() {
+  const days = Array.from({ length: 182 }, (_, i) => ({ date: new Date(YEAR_START + i * DAY_MS), temperature: temperatureOn(i) }));
+  await WeatherObservation.insertMany(days.map(({ date, temperature }) => ({ campusId: CAMPUS_ID, date, airTemperature: temperature })));
+
+  const inJune = (date) => date >= WINDOWS.from;
+  await DailyRollup.insertMany([
+    // Physics: saves 10% against its model in June
+    ...days.map(({ date, temperature }) => rollup('Physics', date, modelKWh(date, temperature) * (inJune(date) ? 0.9 : 1))),
+    // Chemistry: exactly its model all year
+    ...days.map(({ date, temperature }) => rollup('Chemistry', date, modelKWh(date, temperature))),
+    // Library: a handful of baseline days only
+    ...days.slice(0, 5).map(({ date, temperature }) => rollup('Library', date, modelKWh(date, temperature))),
+    ...days.filter(({ date }) => inJune(date)).map(({ date, temperature }) => rollup('Library', date, modelKWh(date, temperature)))
+  ]);
+
+  const result = await computeBaselines({ instituteId: INSTITUTE.id, groupBy: 'department', ...WINDOWS });
+  const group = (name) => result.groups.find(g => g.name === name);
+
+  // Test 4: The fitted model is the one the data was generated from
+  console.log('\n📈 Test 4: Fitted baselines');
+  const chemistry = group('Chemistry');
+  check(chemistry && chemistry.status === 'ok' && chemistry.campusId === CAMPUS_ID, 'Department mapped to its campus weather');
+  const model = chemistry && chemistry.model;
+  check(model && near(model.intercept, MODEL.intercept, 0.01) && near(model.coefficients.hdd, MODEL.hdd, 0.001) &&
+    near(model.coefficients.cdd, MODEL.cdd, 0.001) && near(model.coefficients.occupied, MODEL.occupied, 0.001),
+  `Model recovered: ${model && `${model.intercept} + ${model.coefficients.hdd}·HDD + ${model.coefficients.cdd}·CDD + ${model.coefficients.occupied}·occupied`}`);
+  check(model && model.r2 === 1 && model.fitDays === 152, `R² ${model && model.r2} over ${model && model.fitDays} baseline days`);
+
+  // Test 5: A hot month is judged against its weather
+  console.log('\n☀️  Test 5: Normalized savings');
+  check(chemistry && chemistry.report.days === 30 && chemistry.report.cdd > 0, `June: ${chemistry && chemistry.report.cdd} cooling degree-days`);
+  check(chemistry && near(chemistry.report.normalizedSavingsPercent, 0, 0.1),
+    'Use that matches the model shows no savings and no loss');
+  const physics = group('Physics');
+  const baselineMean = days.filter(({ date }) => !inJune(date))
+    .reduce((sum, { date, temperature }) => sum + modelKWh(date, temperature), 0) / 152;
+  check(physics && physics.report.actualKWh / physics.report.days > baselineMean,
+    'Physics used more per day in June than its baseline average');
+  check(physics && near(physics.report.normalizedSavingsPercent, 10, 0.1),
+    `...yet saved ${physics && physics.report.normalizedSavingsPercent}% against its weather-normalized baseline`);
+  const gridFactor = await resolveEmissionFactor({ instituteId: INSTITUTE.id, energySource: 'grid', at: WINDOWS.to });
+  check(physics && near(physics.report.normalizedCo2Savings, physics.report.normalizedSavingsKWh * gridFactor.value / 1000, 0.001),
+    `Savings valued at the grid factor (${gridFactor.value} kg/kWh)`);
+  check(physics && physics.daily.length === 30 && physics.daily.every(d => d.weatherSource === 'observed'),
+    'Daily breakdown uses observed weather');
+
+  // Test 6: Groups without enough history are reported, not fitted
+  console.log('\n📉 Test 6: Insufficient data');
+  const library = group('Library');
+  check(library && library.status === 'insufficient_data' && library.model === null, 'Library has too few baseline days');
+  check(result.summary.groups === 3 && result.summary.scoredGroups === 2 &&
+    near(result.summary.actualKWh, physics.report.actualKWh + chemistry.report.actualKWh, 0.02),
+  'Summary totals the scored departments only');
+}
+
+async function testBaselines() {
+  try {
+    console.log('🧪 Starting Baseline Tests...\n');
+
+    testRegression();
+    await testRequestValidation();
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('\n✅ Connected to database');
+
+    await cleanup();
+    await Institute.create(INSTITUTE);
+    await Building.create({ ...BUILDING, instituteId: INSTITUTE.id });
+    await testBaselineEngine();
+
+    console.log(`\n${failures === 0 ? '🎉 Baseline tests passed!' : `❌ ${failures} baseline check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testBaselines().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,171 @@
+// Test script for departmental carbon budgets (services/budgets.js)
+// Covers allocation by share, headcount and floor area, warn and block
+// enforcement, refunds, and rollover vs expiry between periods.
+// The test institute, its users and budgets are removed afterwards.
+
+const mongoose = require('mongoose');
+const Institute = require('./models/Institute');
+const User = require('./models/User');
+const CarbonBudget = require('./models/CarbonBudget');
+const {
+  BudgetError,
+  periodFor,
+  allocateBudget,
+  reallocateBudget,
+  closeEndedBudgets,
+  debitBudget,
+  refundBudget
+} = require('./services/budgets');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'budget_test',
+  name: 'Budget Test Institute',
+  campusId: 'budget_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 2,
+  totalStudents: 100,
+  carbonBudget: 1200,
+  contact: { email: 'contact@budget-test.example.com', phone: '0000000000' }
+};
+const EMAIL_DOMAIN = 'budget-test.example.com';
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+const lineOf = (budget, name) => budget.allocations.find(line => line.departmentName === name);
+
+async function cleanup() {
+  await CarbonBudget.deleteMany({ instituteId: INSTITUTE.id });
+  await User.deleteMany({ email: new RegExp(`@${EMAIL_DOMAIN.replace(/\./g, '\\.')}$`) });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+const rejectsWith = async (promise, status) => {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error instanceof BudgetError && error.status === status;
+  }
+};
+
+async function testBudgets() {
+  try {
+    console.log('🧪 Starting Carbon Budget Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await CarbonBudget.syncIndexes();
+    await Institute.create(INSTITUTE);
+    const people = [['Physics', 3], ['Chemistry', 1]];
+    let admin = null;
+    for (const [department, count] of people) {
+      for (let i = 0; i < count; i++) {
+        const user = await User.create({
+          institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+          fullName: `${department} Member ${i + 1}`,
+          email: `${department.toLowerCase()}${i}@${EMAIL_DOMAIN}`,
+          password: 'password123',
+          role: 'staff',
+          department
+        });
+        admin = admin || user;
+      }
+    }
+
+    const now = new Date();
+    const current = periodFor('monthly', now);
+    const lastMonth = periodFor('monthly', new Date(current.start.getTime() - 1));
+
+    // Test 1: Allocation methods
+    console.log('📐 Test 1: Allocation');
+    const byHeadcount = await allocateBudget(INSTITUTE.id, {
+      periodType: 'monthly',
+      start: lastMonth.start,
+      method: 'headcount',
+      policy: 'rollover'
+    }, admin._id);
+    check(byHeadcount.total === 100, `Monthly total defaults to a twelfth of the institute budget: ${byHeadcount.total}`);
+    check(close(lineOf(byHeadcount, 'Physics').allocated, 75) && close(lineOf(byHeadcount, 'Chemistry').allocated, 25),
+      'Headcount split counts the user directory');
+    check(await rejectsWith(allocateBudget(INSTITUTE.id, { start: lastMonth.start, method: 'fixed', departments: [{ departmentName: 'Physics', share: 10 }] }), 409),
+      'A period can only be allocated once');
+    check(await rejectsWith(allocateBudget(INSTITUTE.id, { start: current.start, method: 'fixed', departments: [{ departmentName: 'Physics', share: 70 }, { departmentName: 'Chemistry', share: 40 }] }), 400),
+      'Shares over 100% are rejected');
+    check(await rejectsWith(allocateBudget(INSTITUTE.id, { start: current.start, method: 'floorArea', departments: [{ departmentName: 'Physics' }] }), 400),
+      'Floor area split needs an area per department');
+
+    // Test 2: Rollover into the next period
+    console.log('\n🔁 Test 2: Rollover');
+    await debitBudget({ instituteId: INSTITUTE.id, departmentName: 'Physics', amount: 70, at: lastMonth.start });
+    check(await closeEndedBudgets(INSTITUTE.id) === 0, 'Rollover budget waits for the next period');
+    const byArea = await allocateBudget(INSTITUTE.id, {
+      start: current.start,
+      total: 40,
+      method: 'floorArea',
+      enforcement: 'block',
+      departments: [{ departmentName: 'Physics', floorArea: 300 }, { departmentName: 'Chemistry', floorArea: 100 }]
+    }, admin._id);
+    check(close(lineOf(byArea, 'Physics').allocated, 30) && close(lineOf(byArea, 'Physics').carriedOver, 5),
+      'Unused budget carried over');
+    check(close(lineOf(byArea, 'Chemistry').remaining, 35), 'Remaining includes the carry-over');
+    check((await CarbonBudget.findById(byHeadcount._id)).status === 'closed', 'Previous period closed');
+
+    // Test 3: Block enforcement
+    console.log('\n🚫 Test 3: Block enforcement');
+    const debit = await debitBudget({ instituteId: INSTITUTE.id, departmentName: 'Physics', amount: 30, at: now });
+    check(debit && debit.status === 'warning' && close(debit.remaining, 5), `Debit reports the line: ${debit && debit.status}`);
+    check(await rejectsWith(debitBudget({ instituteId: INSTITUTE.id, departmentName: 'Physics', amount: 6, at: now }), 409),
+      'Debit beyond the remaining budget is blocked');
+    check(await rejectsWith(debitBudget({ instituteId: INSTITUTE.id, departmentName: 'Biology', amount: 1, at: now }), 409),
+      'Department without an allocation is blocked');
+    await refundBudget(debit);
+    check(close(lineOf(await CarbonBudget.findById(byArea._id), 'Physics').used, 0), 'Refund restores the line');
+
+    // Test 4: Warn enforcement and reallocation
+    console.log('\n⚠️  Test 4: Warn enforcement');
+    let budget = await CarbonBudget.findById(byArea._id);
+    budget = await reallocateBudget(budget, { enforcement: 'warn' }, admin._id);
+    check(close(lineOf(budget, 'Physics').allocated, 30), 'Reallocation keeps the split when only settings change');
+    const over = await debitBudget({ instituteId: INSTITUTE.id, departmentName: 'Physics', amount: 50, at: now });
+    check(over.status === 'exhausted' && close(over.remaining, -15), 'Overspend goes through and is reported');
+    const unassigned = await debitBudget({ instituteId: INSTITUTE.id, departmentName: null, amount: 2, at: now });
+    check(unassigned.departmentName === 'Unassigned' && unassigned.status === 'exhausted', 'Consumption without a department is tracked');
+    budget = await CarbonBudget.findById(byArea._id);
+    budget = await reallocateBudget(budget, { departments: [{ departmentName: 'Physics', floorArea: 100 }, { departmentName: 'Chemistry', floorArea: 100 }] }, admin._id);
+    check(close(lineOf(budget, 'Physics').used, 50) && close(lineOf(budget, 'Physics').remaining, -25),
+      'Usage survives a re-split');
+    check(lineOf(budget, 'Unassigned') && close(lineOf(budget, 'Unassigned').used, 2), 'Lines with usage are kept');
+    check(await debitBudget({ instituteId: INSTITUTE.id, departmentName: 'Physics', amount: 1, at: new Date(current.end.getTime() + 1) }) === null,
+      'No budget, no debit');
+
+    console.log(`\n${failures === 0 ? '🎉 Carbon budget tests passed!' : `❌ ${failures} carbon budget check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testBudgets().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
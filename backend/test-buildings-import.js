@@ -0,0 +1,111 @@
+// Test script for the building metadata / campus weather importer
+// (scripts/import-buildings-weather.js) and the CSV parser it reads with.
+// Parses in memory only: no database is needed.
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./utils/csv');
+const { buildingFromRow, weatherFromRow } = require('./scripts/import-buildings-weather');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const BUILDINGS_CSV = [
+  'campus_id,building_id,institute,city,latitude,longitude,primary_use,assigned_name,square_feet,year_built,floor_count',
+  '0,7,Malaviya National Institute of Technology  Jaipur,Jaipur,26.8648,75.8106,Education,"Lecture Hall, ""A"" Wing",120500,1998,',
+  '0,8,"Indian Institute of Technology\r\nDelhi",Delhi,28.5450,77.1926,Office,,45000,2011,3',
+  ',,Nameless Institute,Nowhere,0,0,Office,Orphan,100,2000,1',
+  '1,9,,Jaipur,26.8648,75.8106,Office,No Institute,100,2000,1',
+  '1,10,Some Institute,Jaipur,not-a-number,75.81,Office,Bad Latitude,n/a,2000,2',
+  ''
+].join('\r\n');
+
+const WEATHER_CSV = [
+  'campus_id,timestamp,air_temperature,cloud_coverage,dew_temperature,precip_depth_1_hr,sea_level_pressure,wind_direction,wind_speed',
+  '0,01-01-2024,12.8,,,0,1018.6,88,7.6',
+  '0,31-12-2024,-3.5,4,-6.1,1.2,1021.0,270,0',
+  ',02-01-2024,10.1,,,0,1018.3,93,7.5',
+  '0,2024-01-03,10.1,,,0,1018.3,93,7.5',
+  '0,,10.1,,,0,1018.3,93,7.5',
+  '0,31-02-2024,10.1,,,0,1018.3,93,7.5'
+].join('\n');
+
+function testBuildingsImport() {
+  console.log('🧪 Starting Building/Weather Import Tests...\n');
+
+  // Test 1: CSV quoting
+  console.log('📄 Test 1: CSV parsing');
+  const buildingRows = parseCsv(BUILDINGS_CSV);
+  check(buildingRows.length === 5, `${buildingRows.length} data rows (blank lines ignored)`);
+  check(buildingRows[0].assigned_name === 'Lecture Hall, "A" Wing', 'Quoted commas and escaped quotes kept');
+  check(buildingRows[1].institute === 'Indian Institute of Technology\r\nDelhi' && buildingRows[1].city === 'Delhi',
+    'Line break inside a quoted field stays in the field');
+  check(buildingRows[0].floor_count === '' && buildingRows[1].assigned_name === '', 'Empty cells read as empty strings');
+  let unterminated = null;
+  try {
+    parseCsv('a,b\n1,"never closed\n2,3');
+  } catch (error) {
+    unterminated = error;
+  }
+  check(unterminated && /Unterminated quoted field/.test(unterminated.message), 'Unterminated quote is reported');
+
+  // Test 2: Building rows
+  console.log('\n🏢 Test 2: Buildings');
+  const buildings = buildingRows.map(buildingFromRow);
+  const [hall, office] = buildings;
+  check(hall.institute === 'Malaviya National Institute of Technology Jaipur', 'Institute name whitespace normalised');
+  check(hall.buildingId === 7 && hall.campusId === '0', 'Building id is numeric, campus id a string');
+  check(hall.squareFeet === 120500 && hall.yearBuilt === 1998, 'Area stays in square feet; year is numeric');
+  check(hall.location.latitude === 26.8648 && hall.location.longitude === 75.8106, 'Coordinates in decimal degrees');
+  check(hall.floorCount === undefined, 'Missing floor count is left unset, not zero');
+  check(office.institute === 'Indian Institute of Technology Delhi', 'Line break in a name becomes a space');
+  check(office.name === 'Building 8', 'Unnamed building gets a default name');
+  check(buildings[2] === null, 'Row without building_id rejected');
+  check(buildings[3] === null, 'Row without institute rejected');
+  check(buildings[4] && buildings[4].location.latitude === undefined && buildings[4].squareFeet === undefined,
+    'Non-numeric measurements are dropped, the row kept');
+
+  // Test 3: Weather rows
+  console.log('\n🌤️  Test 3: Weather');
+  const observations = parseCsv(WEATHER_CSV).map(weatherFromRow);
+  const [winter, newYearsEve] = observations;
+  check(winter.date.toISOString() === '2024-01-01T00:00:00.000Z', 'DD-MM-YYYY read as UTC midnight');
+  check(newYearsEve.date.toISOString() === '2024-12-31T00:00:00.000Z', 'Day and month are not swapped');
+  check(winter.airTemperature === 12.8 && winter.seaLevelPressure === 1018.6 && winter.windSpeed === 7.6,
+    'Readings kept in °C, hPa and m/s');
+  check(winter.cloudCoverage === undefined && winter.dewTemperature === undefined && winter.precipDepth1Hr === 0,
+    'Empty readings unset; a real zero kept');
+  check(newYearsEve.airTemperature === -3.5 && newYearsEve.windSpeed === 0, 'Negative and zero values kept');
+  check(observations[2] === null, 'Row without campus_id rejected');
+  check(observations[3] === null, 'ISO date rejected (file dates are DD-MM-YYYY)');
+  check(observations[4] === null, 'Row without a date rejected');
+  check(observations[5] === null, 'Impossible date rejected');
+
+  // Test 4: The shipped data files import without rejected rows
+  console.log('\n📦 Test 4: Shipped data');
+  const shippedBuildings = parseCsv(fs.readFileSync(path.join(DATA_DIR, 'building_metadata.csv'), 'utf8'));
+  const shippedWeather = parseCsv(fs.readFileSync(path.join(DATA_DIR, 'weather_train.csv'), 'utf8'));
+  check(shippedBuildings.length > 1000 && shippedBuildings.every(row => buildingFromRow(row)),
+    `${shippedBuildings.length} building rows, all valid`);
+  check(shippedWeather.length > 0 && shippedWeather.every(row => weatherFromRow(row)),
+    `${shippedWeather.length} weather rows, all valid`);
+
+  console.log(`\n${failures === 0 ? '🎉 Import tests passed!' : `❌ ${failures} import check(s) failed`}`);
+}
+
+if (require.main === module) {
+  try {
+    testBuildingsImport();
+  } catch (error) {
+    failures++;
+    console.error('❌ Test execution failed:', error);
+  }
+  console.log('\n🏁 Test execution complete!');
+  process.exit(failures === 0 ? 0 : 1);
+}
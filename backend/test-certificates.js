@@ -0,0 +1,189 @@
+// Test script for offset retirement certificates and their public verification
+// Mounts the Express app on a random port against MongoDB. Retirements and
+// their ledger journals are written directly (purchases themselves are
+// covered by test-offsets.js), so no replica set is needed. Covers PDF
+// download, one certificate per retirement, institute scoping, verification
+// of genuine, tampered and revoked certificates. Test data is removed afterwards.
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Institute = require('./models/Institute');
+const OffsetRetirement = require('./models/OffsetRetirement');
+const OffsetCertificate = require('./models/OffsetCertificate');
+const { LedgerJournal } = require('./models/Ledger');
+const { generateToken } = require('./utils/generateToken');
+require('dotenv').config();
+
+const INSTITUTES = [
+  { id: 'certificates_test', name: 'Certificates Test Institute' },
+  { id: 'certificates_test_other', name: 'Certificates Other Institute' }
+].map(institute => ({
+  ...institute,
+  campusId: institute.id,
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: `contact@${institute.id}.example.com`, phone: '0000000000' }
+}));
+const INSTITUTE_IDS = INSTITUTES.map(i => i.id);
+const TEST_EMAIL_PATTERN = /@certificates-test\.example\.com$/;
+
+let baseUrl;
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const request = async (method, path, headers, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const type = response.headers.get('content-type') || '';
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: type.includes('application/json')
+      ? await response.json().catch(() => null)
+      : Buffer.from(await response.arrayBuffer())
+  };
+};
+
+async function cleanup() {
+  await OffsetCertificate.deleteMany({ instituteId: { $in: INSTITUTE_IDS } });
+  await OffsetRetirement.deleteMany({ instituteId: { $in: INSTITUTE_IDS } });
+  await LedgerJournal.collection.deleteMany({ instituteId: { $in: INSTITUTE_IDS } });
+  await User.deleteMany({ email: TEST_EMAIL_PATTERN });
+  await Institute.deleteMany({ id: { $in: INSTITUTE_IDS } });
+}
+
+async function testCertificates() {
+  let server;
+  try {
+    console.log('🧪 Starting Offset Certificate Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await OffsetCertificate.syncIndexes();
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create(INSTITUTES);
+    const user = (email, role, institute) => User.create({
+      institute: { id: institute.id, name: institute.name },
+      fullName: email,
+      email: `${email}@certificates-test.example.com`,
+      password: 'password123',
+      role
+    });
+    const [admin, staff, outsider] = await Promise.all([
+      user('admin', 'platform_admin', INSTITUTES[0]),
+      user('staff', 'staff', INSTITUTES[0]),
+      user('outsider', 'institute_admin', INSTITUTES[1])
+    ]);
+    const auth = (u) => ({ Authorization: `Bearer ${generateToken(u._id)}` });
+
+    const journal = await LedgerJournal.create({
+      instituteId: INSTITUTES[0].id,
+      type: 'offset_purchase',
+      description: '2 tCO2e retired from Test Peatland',
+      amount: 30,
+      userId: staff._id
+    });
+    const retirement = await OffsetRetirement.create({
+      instituteId: INSTITUTES[0].id,
+      project: new mongoose.Types.ObjectId(),
+      projectSnapshot: { name: 'Test Peatland', type: 'other', registry: 'Gold Standard', registryProjectId: 'GS-1234', vintage: 2022, country: 'IE' },
+      serialPrefix: 'CERT-TEST-GS-1234-2022',
+      serialStart: 501,
+      serialEnd: 502,
+      tonnes: 2,
+      pricePerTonne: 15,
+      cost: 30,
+      beneficiary: INSTITUTES[0].name,
+      purpose: 'Test conference travel',
+      buyer: staff._id,
+      ledgerJournal: journal._id,
+      retiredAt: journal.postedAt
+    });
+
+    // Test 1: Download
+    console.log('📄 Test 1: Certificate PDF');
+    let res = await request('GET', `/api/offsets/retirements/${retirement._id}/certificate`, auth(staff));
+    check(res.status === 200 && res.headers.get('content-type') === 'application/pdf', `PDF served → ${res.status}`);
+    check(Buffer.isBuffer(res.body) && res.body.subarray(0, 5).toString() === '%PDF-', 'Body is a PDF document');
+    const certificateId = res.headers.get('x-certificate-id');
+    check(/^GPC-(\w{5}-){3}\w{5}$/.test(certificateId || ''), `Certificate id ${certificateId}`);
+    res = await request('GET', `/api/offsets/retirements/${retirement._id}/certificate`, auth(admin));
+    check(res.headers.get('x-certificate-id') === certificateId, 'Downloading again returns the same certificate');
+    check(await OffsetCertificate.countDocuments({ retirement: retirement._id }) === 1, 'One certificate per retirement');
+    res = await request('GET', `/api/offsets/retirements/${retirement._id}/certificate`, auth(outsider));
+    check(res.status === 404, `Other institute cannot download it → ${res.status}`);
+
+    // Test 2: Public verification
+    console.log('\n🔎 Test 2: Verification');
+    res = await request('GET', `/api/certificates/verify/${certificateId.toLowerCase()}`);
+    const verified = res.body && res.body.data;
+    check(res.status === 200 && verified.genuine && verified.status === 'valid', `Genuine without logging in → ${res.status}`);
+    check(verified && verified.certificate.tonnes === 2 && verified.certificate.serialStart === 501 &&
+      verified.certificate.instituteName === INSTITUTES[0].name && verified.certificate.transactionHash.length === 64,
+    'Verification states tonnes, serials, institute and transaction hash');
+    res = await request('GET', '/api/certificates/verify/GPC-00000-00000-00000-00000');
+    check(res.status === 404, `Unknown id → ${res.status}`);
+
+    // Test 3: Tampering is detected
+    console.log('\n🛡️  Test 3: Tampering');
+    await OffsetCertificate.collection.updateOne({ certificateId }, { $set: { 'details.tonnes': 200 } });
+    res = await request('GET', `/api/certificates/verify/${certificateId}`);
+    check(res.status === 200 && !res.body.data.genuine, `Edited certificate rejected: ${res.body.data.reason}`);
+    await OffsetCertificate.collection.updateOne({ certificateId }, { $set: { 'details.tonnes': 2 } });
+    await OffsetRetirement.collection.updateOne({ _id: retirement._id }, { $set: { serialEnd: 510 } });
+    res = await request('GET', `/api/certificates/verify/${certificateId}`);
+    check(!res.body.data.genuine, `Edited retirement rejected: ${res.body.data.reason}`);
+    await OffsetRetirement.collection.updateOne({ _id: retirement._id }, { $set: { serialEnd: 502 } });
+    res = await request('GET', `/api/certificates/verify/${certificateId}`);
+    check(res.body.data.genuine, 'Genuine again once restored');
+
+    // Test 4: Revocation
+    console.log('\n🚫 Test 4: Revocation');
+    res = await request('POST', `/api/offsets/certificates/${certificateId}/revoke`, auth(staff), { reason: 'Test' });
+    check(res.status === 403, `Staff cannot revoke → ${res.status}`);
+    res = await request('POST', `/api/offsets/certificates/${certificateId}/revoke`, auth(admin), {});
+    check(res.status === 400, `Reason required → ${res.status}`);
+    res = await request('POST', `/api/offsets/certificates/${certificateId}/revoke`, auth(admin), { reason: 'Claimed twice' });
+    check(res.status === 200 && res.body.data.status === 'revoked', `Revoked → ${res.status}`);
+    res = await request('POST', `/api/offsets/certificates/${certificateId}/revoke`, auth(admin), { reason: 'Again' });
+    check(res.status === 409, `Revoking twice → ${res.status}`);
+    res = await request('GET', `/api/certificates/verify/${certificateId}`);
+    check(!res.body.data.genuine && res.body.data.status === 'revoked' && /Claimed twice/.test(res.body.data.reason),
+      `Revoked certificate not genuine: ${res.body.data.reason}`);
+
+    console.log(`\n${failures === 0 ? '🎉 Offset certificate tests passed!' : `❌ ${failures} offset certificate check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testCertificates().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
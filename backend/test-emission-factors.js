@@ -0,0 +1,185 @@
+// Test script for the emission factor registry (services/emissionFactors.js)
+// Covers versioning, effective dates and region fallback, derived emissions on
+// ingest and wallet transactions, and recalculation when a factor changes.
+// Test factors, readings, wallet data and the institute are removed afterwards.
+
+const mongoose = require('mongoose');
+const Institute = require('./models/Institute');
+const User = require('./models/User');
+const EmissionFactor = require('./models/EmissionFactor');
+const CarbonBiometric = require('./models/CarbonBiometric');
+const CarbonData = require('./models/CarbonData');
+const { DailyRollup } = require('./models/CarbonRollup');
+const { clearRollups, bucketStart } = require('./services/rollups');
+const { normalizeReading } = require('./services/ingestion');
+const emissionsConfig = require('./config/emissions');
+const {
+  EmissionFactorError,
+  getFactorResolver,
+  transactionImpact,
+  createFactor,
+  reviseFactor,
+  retireFactor,
+  recalculateEmissions
+} = require('./services/emissionFactors');
+require('dotenv').config();
+
+// A region of its own, so factors here never touch real institutes
+const REGION = 'ZZ-TEST';
+const INSTITUTE = {
+  id: 'emission_factor_test',
+  name: 'Emission Factor Test Institute',
+  campusId: 'emission_factor_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  gridRegion: REGION,
+  contact: { email: 'contact@ef-test.example.com', phone: '0000000000' }
+};
+const TEST_EMAIL = 'ef-test@ef-test.example.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+async function cleanup() {
+  await EmissionFactor.deleteMany({ region: REGION });
+  await CarbonBiometric.deleteMany({ instituteId: INSTITUTE.id });
+  await clearRollups({ instituteId: INSTITUTE.id });
+  await CarbonData.deleteMany({ instituteId: INSTITUTE.id });
+  await User.deleteMany({ email: TEST_EMAIL });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+const rejectsWith = async (promise, status) => {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error instanceof EmissionFactorError && error.status === status;
+  }
+};
+
+async function testEmissionFactors() {
+  try {
+    console.log('🧪 Starting Emission Factor Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await EmissionFactor.syncIndexes();
+    await Institute.create(INSTITUTE);
+    const user = await User.create({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      fullName: 'Emission Factor Admin',
+      email: TEST_EMAIL,
+      password: 'password123',
+      role: 'platform_admin'
+    });
+
+    const now = new Date();
+    const tenDaysAgo = new Date(now.getTime() - 10 * DAY_MS);
+    const fiveDaysAgo = new Date(now.getTime() - 5 * DAY_MS);
+
+    // Test 1: Built-in defaults until the registry has a factor
+    console.log('📚 Test 1: Resolution');
+    let resolve = await getFactorResolver(INSTITUTE.id);
+    check(resolve('grid', now).version === 0 && resolve('grid', now).value === emissionsConfig.defaults.grid,
+      'No registry entry: built-in default (version 0)');
+
+    const { factor: v1 } = await createFactor({ region: REGION, energySource: 'grid', value: 0.9, effectiveFrom: new Date(now.getTime() - 30 * DAY_MS) }, user._id);
+    const { factor: v2 } = await createFactor({ region: REGION, energySource: 'grid', value: 0.6, effectiveFrom: fiveDaysAgo }, user._id);
+    const closedV1 = await EmissionFactor.findById(v1._id);
+    check(v1.version === 1 && v2.version === 2, 'Versions count up per region and source');
+    check(closedV1.effectiveTo && closedV1.effectiveTo.getTime() === fiveDaysAgo.getTime(), 'An open-ended factor is closed where the next one starts');
+    check(await rejectsWith(createFactor({ region: REGION, energySource: 'grid', value: 0.5, effectiveFrom: tenDaysAgo, effectiveTo: fiveDaysAgo }), 409),
+      'Overlapping factor is rejected');
+
+    resolve = await getFactorResolver(INSTITUTE.id);
+    check(resolve('grid', tenDaysAgo).version === 1 && resolve('grid', now).version === 2, 'Factor chosen by effective date');
+
+    // Test 2: Derived emissions cite their factors
+    console.log('\n⚡ Test 2: Derived emissions');
+    const { reading } = normalizeReading({ timestamp: tenDaysAgo.toISOString(), energyConsumption: 1000 }, {}, now, resolve);
+    check(close(reading.co2Emissions, 0.9) && reading.emissionFactors[0].version === 1, `Reading uses the factor in force at its time: ${reading.co2Emissions} t`);
+    await CarbonBiometric.create({
+      ...reading,
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      instituteId: INSTITUTE.id,
+      departmentName: 'Physics',
+      dataSource: 'sensor'
+    });
+    const measured = normalizeReading({ timestamp: tenDaysAgo.toISOString(), energyConsumption: 1000, co2Emissions: 400 }, {}, now, resolve).reading;
+    check(!measured.emissionFactors, 'Reported emissions are kept as measured');
+
+    const offset = transactionImpact({ type: 'offset_purchase', amount: 10, date: now }, resolve);
+    check(close(offset.co2Impact, 10 * emissionsConfig.defaults.offset / 1000) && offset.emissionFactor.version === 0, 'Offset impact from the offset factor');
+    const consumption = transactionImpact({ type: 'energy_consumption', consumption: 100, date: tenDaysAgo }, resolve);
+    await CarbonData.create({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      instituteId: INSTITUTE.id,
+      userId: user._id,
+      co2Savings: offset.co2Impact,
+      transactions: [
+        { type: 'offset_purchase', amount: 10, date: now, ...offset },
+        { type: 'energy_consumption', consumption: 100, amount: 5, date: tenDaysAgo, ...consumption }
+      ]
+    });
+
+    // Test 3: Revising a factor recalculates what it covers
+    console.log('\n🔁 Test 3: Revision and recalculation');
+    const revised = await reviseFactor(v1._id, { value: 0.8 }, user._id);
+    check(revised.factor.version === 3 && revised.factor.supersedes.equals(v1._id), 'Revision is stored as a new version');
+    check((await EmissionFactor.findById(v1._id)).status === 'superseded', 'Revised version is superseded');
+    let result = await recalculateEmissions({ region: REGION, energySource: 'grid', ...revised.range });
+    const stored = await CarbonBiometric.findOne({ instituteId: INSTITUTE.id });
+    check(result.readings === 1 && close(stored.co2Emissions, 0.8) && close(stored.carbonFootprint, 0.8) && stored.emissionFactors[0].version === 3,
+      `Reading recalculated: ${stored.co2Emissions} t with version ${stored.emissionFactors[0].version}`);
+    const rollup = await DailyRollup.findOne({ instituteId: INSTITUTE.id, bucket: bucketStart(tenDaysAgo, 'day') });
+    check(rollup && close(rollup.totals.co2Emissions, 0.8), 'Rollups rebuilt for the recalculated range');
+    let wallet = await CarbonData.findOne({ instituteId: INSTITUTE.id });
+    const energyTx = wallet.transactions.find(t => t.type === 'energy_consumption');
+    check(close(energyTx.co2Impact, 0.08) && energyTx.emissionFactor.version === 3, 'Energy transaction recalculated');
+
+    const { factor: offsetFactor, range: offsetRange } = await createFactor({ region: REGION, energySource: 'offset', value: 50, effectiveFrom: tenDaysAgo }, user._id);
+    result = await recalculateEmissions({ region: REGION, energySource: 'offset', ...offsetRange });
+    wallet = await CarbonData.findOne({ instituteId: INSTITUTE.id });
+    check(result.transactions === 1 && close(wallet.co2Savings, 0.5), `Offset re-priced and co2Savings adjusted: ${wallet.co2Savings}`);
+
+    // Test 4: Retiring falls back
+    console.log('\n🗄️  Test 4: Retirement');
+    await retireFactor(offsetFactor._id);
+    resolve = await getFactorResolver(INSTITUTE.id);
+    check(resolve('offset', now).version === 0, 'Retired factor falls back to the default');
+    check(await rejectsWith(retireFactor(offsetFactor._id), 409), 'A retired factor cannot be retired again');
+    check(await rejectsWith(reviseFactor(new mongoose.Types.ObjectId(), { value: 1 }), 404), 'Unknown factor is reported missing');
+
+    console.log(`\n${failures === 0 ? '🎉 Emission factor tests passed!' : `❌ ${failures} emission factor check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testEmissionFactors().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
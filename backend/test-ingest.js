@@ -0,0 +1,192 @@
+// Test script for the device registry and bulk reading ingestion
+// Mounts the Express app on a random port against MongoDB, registers a test
+// device through the API and posts batches with its key. Test readings,
+// devices, users and the institute are removed afterwards.
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Institute = require('./models/Institute');
+const Device = require('./models/Device');
+const CarbonBiometric = require('./models/CarbonBiometric');
+const { generateToken } = require('./utils/generateToken');
+const { clearRollups } = require('./services/rollups');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'ingest_test',
+  name: 'Ingest Test Institute',
+  campusId: 'ingest_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@ingest-test.example.com', phone: '0000000000' }
+};
+const TEST_EMAIL_PATTERN = /@ingest-test\.example\.com$/;
+
+let baseUrl;
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const request = async (method, path, headers, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+};
+
+const asUser = (token) => ({ Authorization: `Bearer ${token}` });
+const asDevice = (apiKey) => ({ 'X-Device-Key': apiKey });
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+async function cleanup() {
+  await CarbonBiometric.deleteMany({ instituteId: INSTITUTE.id });
+  await clearRollups({ instituteId: INSTITUTE.id });
+  await Device.deleteMany({ instituteId: INSTITUTE.id });
+  await User.deleteMany({ email: TEST_EMAIL_PATTERN });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+async function testIngest() {
+  let server;
+  try {
+    console.log('🧪 Starting Ingestion Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await CarbonBiometric.syncIndexes();
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create(INSTITUTE);
+    const admin = await User.create({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      fullName: 'Ingest Admin',
+      email: 'admin@ingest-test.example.com',
+      password: 'password123',
+      role: 'institute_admin'
+    });
+    const student = await User.create({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      fullName: 'Ingest Student',
+      email: 'student@ingest-test.example.com',
+      password: 'password123',
+      role: 'student'
+    });
+    const adminToken = generateToken(admin._id);
+
+    // Test 1: Devices are registered by institute managers
+    console.log('📟 Test 1: Register device');
+    let res = await request('POST', '/api/devices', asUser(generateToken(student._id)), { deviceId: 'INGEST-TEST-01', name: 'Meter' });
+    check(res.status === 403, `Student cannot register devices → ${res.status}`);
+    res = await request('POST', '/api/devices', asUser(adminToken), {
+      deviceId: 'INGEST-TEST-01',
+      name: 'Main Hall Meter',
+      type: 'energy_meter',
+      buildingName: 'Main Hall',
+      departmentName: 'Physics'
+    });
+    check(res.status === 201 && res.body.data.apiKey.startsWith('gpd_') && !res.body.data.device.apiKeyHash,
+      `Device registered with a one-time key → ${res.status}`);
+    const deviceObjectId = res.body.data.device._id;
+    let apiKey = res.body.data.apiKey;
+    res = await request('POST', '/api/devices', asUser(adminToken), { deviceId: 'INGEST-TEST-01', name: 'Copy' });
+    check(res.status === 409, `Duplicate deviceId → ${res.status}`);
+
+    // Test 2: The endpoint only accepts active device keys
+    console.log('\n🔑 Test 2: Device authentication');
+    const batch = { readings: [{ timestamp: minutesAgo(30), energyConsumption: 10 }] };
+    res = await request('POST', '/api/ingest/readings', {}, batch);
+    check(res.status === 401, `Missing key → ${res.status}`);
+    res = await request('POST', '/api/ingest/readings', asDevice('gpd_not-a-real-key'), batch);
+    check(res.status === 401, `Unknown key → ${res.status}`);
+    res = await request('POST', '/api/ingest/readings', asDevice(apiKey), { readings: [] });
+    check(res.status === 400, `Empty batch → ${res.status}`);
+
+    // Test 3: Mixed batch reports every row
+    console.log('\n📦 Test 3: Mixed batch');
+    const firstTimestamp = minutesAgo(20);
+    res = await request('POST', '/api/ingest/readings', asDevice(apiKey), {
+      units: { energy: 'Wh', co2: 'kg', temperature: 'F' },
+      readings: [
+        { timestamp: firstTimestamp, energyConsumption: 1500, co2Emissions: 600, sensorData: { temperature: 86 } },
+        { timestamp: minutesAgo(15), energyConsumption: 2000, renewableEnergyUsage: 500 },
+        { timestamp: firstTimestamp, energyConsumption: 1000 },
+        { timestamp: minutesAgo(10), energyConsumption: -5 },
+        { timestamp: 'yesterday-ish', energyConsumption: 100 },
+        { timestamp: minutesAgo(5), energyConsumption: 100, units: { energy: 'BTU' } }
+      ]
+    });
+    const statuses = res.body && res.body.data.results.map(r => r.status).join(',');
+    check(res.status === 200 && statuses === 'accepted,accepted,duplicate,rejected,rejected,rejected', `Row results → ${statuses}`);
+    check(res.body.data.summary.accepted === 2 && res.body.data.summary.rejected === 3, 'Summary counts rows');
+
+    const stored = await CarbonBiometric.findById(res.body.data.results[0].id).lean();
+    check(stored && stored.energyConsumption === 1.5 && stored.co2Emissions === 0.6 && stored.sensorData.temperature === 30,
+      'Units converted to kWh, tonnes and °C');
+    check(stored && stored.buildingName === 'Main Hall' && stored.departmentName === 'Physics' && stored.instituteId === INSTITUTE.id,
+      'Device defaults and institute applied');
+    const derived = await CarbonBiometric.findById(res.body.data.results[1].id).lean();
+    check(derived && derived.gridEnergyUsage === 1.5 && derived.co2Emissions > 0, 'Grid usage and emissions derived when omitted');
+
+    // Test 4: Re-sending a batch is safe
+    console.log('\n🔁 Test 4: Re-sent batch');
+    res = await request('POST', '/api/ingest/readings', asDevice(apiKey), {
+      units: { energy: 'Wh' },
+      readings: [
+        { timestamp: firstTimestamp, energyConsumption: 1500 },
+        { timestamp: minutesAgo(1), energyConsumption: 800 }
+      ]
+    });
+    check(res.status === 200 && res.body.data.summary.duplicate === 1 && res.body.data.summary.accepted === 1,
+      `Stored timestamp reported as duplicate → ${JSON.stringify(res.body && res.body.data.summary)}`);
+    const count = await CarbonBiometric.countDocuments({ device: deviceObjectId });
+    check(count === 3, `Readings stored for device: ${count}`);
+    const device = await Device.findById(deviceObjectId).lean();
+    check(device.readingsAccepted === 3 && device.lastIngestAt, `Device counters updated: ${device.readingsAccepted}`);
+
+    // Test 5: Rotating or disabling cuts off the key
+    console.log('\n🚫 Test 5: Rotate and disable');
+    res = await request('POST', `/api/devices/${deviceObjectId}/rotate-key`, asUser(adminToken));
+    check(res.status === 200 && res.body.data.apiKey !== apiKey, `Key rotated → ${res.status}`);
+    const oldKey = apiKey;
+    apiKey = res.body.data.apiKey;
+    res = await request('POST', '/api/ingest/readings', asDevice(oldKey), batch);
+    check(res.status === 401, `Old key rejected → ${res.status}`);
+    res = await request('DELETE', `/api/devices/${deviceObjectId}`, asUser(adminToken));
+    check(res.status === 200 && res.body.data.status === 'disabled', `Device disabled → ${res.status}`);
+    res = await request('POST', '/api/ingest/readings', asDevice(apiKey), batch);
+    check(res.status === 401, `Disabled device rejected → ${res.status}`);
+
+    console.log(`\n${failures === 0 ? '🎉 Ingestion tests passed!' : `❌ ${failures} ingestion check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testIngest().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
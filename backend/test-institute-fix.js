@@ -1,8 +1,9 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('./models/User');
-const CarbonBiometric = require('./models/CarbonBiometric');
-const { getInstituteDisplayName } = require('./middleware/instituteAuth');
+const { DailyRollup, MonthlyRollup } = require('./models/CarbonRollup');
+const rollupConfig = require('./config/rollups');
+const { getInstituteDisplayName, resolveUserInstituteId } = require('./middleware/instituteAuth');
 
 async function testInstituteFix() {
   try {
@@ -30,16 +31,14 @@ async function testInstituteFix() {
       
       // Apply the fix logic
       const instituteDisplayName = getInstituteDisplayName(user.institute);
-      const instituteNameForQuery = typeof user.institute === 'object' && user.institute.name 
-        ? user.institute.name 
-        : String(user.institute);
+      const instituteId = await resolveUserInstituteId(user);
       
       console.log(`Display name: ${instituteDisplayName}`);
-      console.log(`Query name: ${instituteNameForQuery}`);
+      console.log(`Institute id: ${instituteId}`);
       
       // Test if carbon data exists
-      const carbonData = await CarbonBiometric.getDashboardData(instituteNameForQuery);
-      const departmentData = await CarbonBiometric.getDepartmentData(instituteNameForQuery);
+      const carbonData = await DailyRollup.getDashboardData(instituteId, rollupConfig.dashboardDays);
+      const departmentData = await MonthlyRollup.getGroupData(instituteId, 'departmentName');
       
       console.log(`Carbon data found: ${carbonData && carbonData.length > 0 ? 'YES' : 'NO'}`);
       console.log(`Department data found: ${departmentData && departmentData.length > 0 ? 'YES' : 'NO'}`);
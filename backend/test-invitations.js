@@ -0,0 +1,193 @@
+// Test script for institute invitations and email-domain enrollment
+// Mounts the Express app on a random port against MongoDB and captures invite
+// emails in memory. Test users, invitations and institutes are removed afterwards.
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Institute = require('./models/Institute');
+const Invitation = require('./models/Invitation');
+const RefreshToken = require('./models/RefreshToken');
+const { setMailTransport } = require('./services/mailer');
+const { generateToken } = require('./utils/generateToken');
+require('dotenv').config();
+
+const institute = (id, name, domain, enrollment = {}) => ({
+  id,
+  name,
+  campusId: id,
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: `contact@${domain}`, phone: '0000000000' },
+  enrollment
+});
+
+const OPEN = institute('invite_test_open', 'Invite Test Open Institute', 'open-test.example.com', {
+  allowedDomains: ['open-test.example.com']
+});
+const CLOSED = institute('invite_test_closed', 'Invite Test Closed Institute', 'closed-test.example.com', {
+  inviteOnly: true
+});
+const TEST_EMAIL_PATTERN = /@(open|closed|other)-test\.example\.com$/;
+
+let baseUrl;
+let failures = 0;
+const outbox = [];
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const request = async (method, path, token, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+};
+
+const signUp = (email, extra = {}) => request('POST', '/api/auth/register', null, {
+  fullName: 'Invite Test User',
+  email,
+  password: 'password123',
+  confirmPassword: 'password123',
+  ...extra
+});
+
+const lastInviteToken = () =>
+  decodeURIComponent((outbox[outbox.length - 1].text.match(/invite=([^\s]+)/) || [])[1] || '');
+
+async function cleanup() {
+  const users = await User.find({ email: TEST_EMAIL_PATTERN }).select('_id');
+  await RefreshToken.deleteMany({ user: { $in: users.map(u => u._id) } });
+  await User.deleteMany({ email: TEST_EMAIL_PATTERN });
+  await Invitation.deleteMany({ instituteId: { $in: [OPEN.id, CLOSED.id] } });
+  await Institute.deleteMany({ id: { $in: [OPEN.id, CLOSED.id] } });
+}
+
+async function testInvitations() {
+  let server;
+  try {
+    console.log('🧪 Starting Invitation Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    setMailTransport({ send: async (message) => { outbox.push(message); return { messageId: String(outbox.length) }; } });
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create([OPEN, CLOSED]);
+    const admin = await User.create({
+      institute: { id: CLOSED.id, name: CLOSED.name },
+      fullName: 'Closed Admin',
+      email: 'admin@closed-test.example.com',
+      password: 'password123',
+      role: 'institute_admin'
+    });
+    const adminToken = generateToken(admin._id);
+
+    // Test 1: Email domains decide open sign-ups
+    console.log('📨 Test 1: Domain enrollment');
+    let res = await signUp('someone@open-test.example.com');
+    check(res.status === 201 && res.body.data.user.instituteId === OPEN.id, `Matching domain auto-assigned → ${res.status}`);
+    res = await signUp('someone@other-test.example.com', { institute: { id: OPEN.id, name: OPEN.name } });
+    check(res.status === 403, `Other domain rejected → ${res.status}`);
+    res = await signUp('someone@closed-test.example.com', { institute: { id: CLOSED.id, name: CLOSED.name } });
+    check(res.status === 403, `Invite-only institute rejects open sign-up → ${res.status}`);
+
+    // Test 2: Admins invite with a role and department
+    console.log('\n✉️  Test 2: Create invitation');
+    res = await request('POST', '/api/invitations', adminToken, {
+      email: 'head@closed-test.example.com',
+      role: 'department_head',
+      department: 'Physics'
+    });
+    check(res.status === 201 && outbox.length === 1, `Invite → ${res.status}, ${outbox.length} mail sent`);
+    const invitationId = res.body.data.invitation.id;
+    let inviteToken = lastInviteToken();
+    res = await request('POST', '/api/invitations', adminToken, { email: 'x@closed-test.example.com', role: 'platform_admin' });
+    check(res.status === 400, `Platform admin cannot be invited → ${res.status}`);
+
+    // Test 3: Resending replaces the link
+    console.log('\n🔁 Test 3: Resend');
+    res = await request('POST', `/api/invitations/${invitationId}/resend`, adminToken);
+    check(res.status === 200 && outbox.length === 2, `Resend → ${res.status}`);
+    res = await request('GET', `/api/invitations/lookup/${encodeURIComponent(inviteToken)}`);
+    check(res.status === 404, `Old link no longer works → ${res.status}`);
+    inviteToken = lastInviteToken();
+    res = await request('GET', `/api/invitations/lookup/${encodeURIComponent(inviteToken)}`);
+    check(res.status === 200 && res.body.data.role === 'department_head', `New link looks up → ${res.status}`);
+
+    // Test 4: Invitations are single-use and bound to the invited email
+    console.log('\n🎟️  Test 4: Accept invitation');
+    res = await signUp('intruder@closed-test.example.com', { inviteToken });
+    check(res.status === 403, `Different email → ${res.status}`);
+    res = await signUp('head@closed-test.example.com', { inviteToken });
+    const user = res.body && res.body.data && res.body.data.user;
+    check(res.status === 201 && user.instituteId === CLOSED.id && user.role === 'department_head' && user.department === 'Physics',
+      `Invited sign-up → ${res.status}`);
+    await User.deleteOne({ email: 'head@closed-test.example.com' });
+    res = await signUp('head@closed-test.example.com', { inviteToken });
+    check(res.status === 400, `Reused invitation → ${res.status}`);
+
+    // Test 5: Listing by state, revoking and expiry
+    console.log('\n📋 Test 5: Manage invitations');
+    res = await request('POST', '/api/invitations', adminToken, { email: 'late@closed-test.example.com' });
+    const revokeId = res.body.data.invitation.id;
+    res = await request('DELETE', `/api/invitations/${revokeId}`, adminToken);
+    check(res.status === 200 && res.body.data.state === 'revoked', `Revoke → ${res.status}`);
+    res = await request('DELETE', `/api/invitations/${revokeId}`, adminToken);
+    check(res.status === 409, `Revoke twice → ${res.status}`);
+    await Invitation.create({
+      institute: { id: CLOSED.id, name: CLOSED.name },
+      email: 'expired@closed-test.example.com',
+      tokenHash: 'invite-test-expired',
+      expiresAt: new Date(Date.now() - 1000)
+    });
+    for (const [state, expected] of [['accepted', 1], ['revoked', 1], ['expired', 1], ['pending', 0]]) {
+      res = await request('GET', `/api/invitations?state=${state}`, adminToken);
+      check(res.status === 200 && res.body.data.length === expected, `${state}: ${res.body && res.body.data && res.body.data.length}`);
+    }
+
+    // Test 6: Enrollment policy is managed per institute
+    console.log('\n⚙️  Test 6: Enrollment policy');
+    res = await request('PUT', `/api/institutes/${CLOSED.id}/enrollment`, adminToken, { allowedDomains: 'closed-test.example.com, not a domain' });
+    check(res.status === 400, `Invalid domain rejected → ${res.status}`);
+    res = await request('PUT', `/api/institutes/${CLOSED.id}/enrollment`, adminToken, { allowedDomains: '@Closed-Test.example.com', inviteOnly: false });
+    check(res.status === 200 && res.body.data.allowedDomains[0] === 'closed-test.example.com', `Policy updated → ${res.status}`);
+    res = await request('PUT', `/api/institutes/${OPEN.id}/enrollment`, adminToken, { inviteOnly: true });
+    check(res.status === 403, `Other institute's policy → ${res.status}`);
+    res = await signUp('staffer@closed-test.example.com');
+    check(res.status === 201 && res.body.data.user.instituteId === CLOSED.id, `Open sign-up now allowed → ${res.status}`);
+
+    console.log(`\n${failures === 0 ? '🎉 Invitation tests passed!' : `❌ ${failures} invitation check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testInvitations().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
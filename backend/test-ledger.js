@@ -0,0 +1,204 @@
+// Test script for the wallet ledger and Idempotency-Key handling
+// Mounts the Express app on a random port against MongoDB, which must run as
+// a replica set (mongod --replSet rs0, then rs.initiate()) for transactions.
+// Covers opening balances, overdrafts, replayed requests, concurrent spends,
+// immutability and reconciliation. Test data is removed afterwards.
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Institute = require('./models/Institute');
+const CarbonData = require('./models/CarbonData');
+const IdempotencyKey = require('./models/IdempotencyKey');
+const OffsetProject = require('./models/OffsetProject');
+const OffsetRetirement = require('./models/OffsetRetirement');
+const { LedgerJournal, LedgerEntry, walletAccount } = require('./models/Ledger');
+const { accountBalance, reconcileLedger } = require('./services/ledger');
+const { generateToken } = require('./utils/generateToken');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'ledger_test',
+  name: 'Ledger Test Institute',
+  campusId: 'ledger_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@ledger-test.example.com', phone: '0000000000' }
+};
+const TEST_EMAIL_PATTERN = /@ledger-test\.example\.com$/;
+
+let baseUrl;
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const request = async (method, path, headers, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, headers: response.headers, body: await response.json().catch(() => null) };
+};
+
+let keyCounter = 0;
+const withKey = (token, key = `ledger-test-${Date.now()}-${keyCounter++}`) => ({
+  Authorization: `Bearer ${token}`,
+  'Idempotency-Key': key
+});
+
+async function cleanup() {
+  // The ledger refuses deletes through its models, so test data goes through the driver
+  await LedgerEntry.collection.deleteMany({ instituteId: INSTITUTE.id });
+  await LedgerJournal.collection.deleteMany({ instituteId: INSTITUTE.id });
+  const users = await User.find({ email: TEST_EMAIL_PATTERN }).select('_id');
+  await IdempotencyKey.deleteMany({ userId: { $in: users.map(u => u._id) } });
+  await OffsetRetirement.deleteMany({ instituteId: INSTITUTE.id });
+  await OffsetProject.deleteMany({ serialPrefix: 'LEDGER-TEST' });
+  await CarbonData.deleteMany({ instituteId: INSTITUTE.id });
+  await User.deleteMany({ email: TEST_EMAIL_PATTERN });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+async function testLedger() {
+  let server;
+  try {
+    console.log('🧪 Starting Wallet Ledger Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await Promise.all([LedgerJournal.syncIndexes(), LedgerEntry.syncIndexes(), IdempotencyKey.syncIndexes()]);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create(INSTITUTE);
+    const user = await User.create({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      fullName: 'Ledger Staff',
+      email: 'staff@ledger-test.example.com',
+      password: 'password123',
+      role: 'staff'
+    });
+    await CarbonData.create({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      instituteId: INSTITUTE.id,
+      userId: user._id,
+      walletBalance: 100
+    });
+    const token = generateToken(user._id);
+    const account = walletAccount(user._id);
+    const project = await OffsetProject.create({
+      name: 'Ledger Test Forest',
+      type: 'reforestation',
+      registry: 'Verra',
+      registryProjectId: 'VCS-0000',
+      vintage: 2024,
+      pricePerTonne: 1,
+      serialPrefix: 'LEDGER-TEST',
+      serialStart: 1,
+      serialEnd: 1000,
+      nextSerial: 1,
+      availableTonnes: 1000
+    });
+
+    // Test 1: Wallets predating the ledger are opened with their balance
+    console.log('📒 Test 1: Opening balance and top-up');
+    let res = await request('PUT', '/api/carbon-data/wallet-balance', { Authorization: `Bearer ${token}` }, { amount: 10, type: 'credit' });
+    check(res.status === 400, `Missing Idempotency-Key → ${res.status}`);
+    res = await request('PUT', '/api/carbon-data/wallet-balance', withKey(token), { amount: 50, type: 'credit' });
+    check(res.status === 200 && res.body.data.newBalance === 150, `Top-up → ${res.status}, balance ${res.body && res.body.data.newBalance}`);
+    check((await accountBalance(account)).balance === 150, 'Ledger balance includes the opening balance');
+    check(await LedgerJournal.countDocuments({ instituteId: INSTITUTE.id, type: 'opening_balance' }) === 1, 'One opening journal');
+
+    // Test 2: Overdrafts are refused instead of clamped to zero
+    console.log('\n🚫 Test 2: Overdraft');
+    res = await request('PUT', '/api/carbon-data/wallet-balance', withKey(token), { amount: 500, type: 'debit' });
+    check(res.status === 400 && /Insufficient/.test(res.body.message), `Overdraft refused → ${res.status}`);
+    check((await CarbonData.findOne({ userId: user._id })).walletBalance === 150, 'Balance unchanged');
+
+    // Test 3: Retries with the same key are replayed, not re-applied
+    console.log('\n🔁 Test 3: Idempotency');
+    const purchase = withKey(token, 'ledger-test-offset-1');
+    const offset = { projectId: String(project._id), tonnes: 20 };
+    const first = await request('POST', '/api/carbon-data/carbon-offset', purchase, offset);
+    const retry = await request('POST', '/api/carbon-data/carbon-offset', purchase, offset);
+    check(first.status === 200 && first.body.data.newBalance === 130, `Offset purchased → ${first.status}`);
+    check(retry.status === 200 && retry.headers.get('idempotent-replayed') === 'true' &&
+      retry.body.data.transaction._id === first.body.data.transaction._id, 'Retry replays the stored response');
+    res = await request('POST', '/api/carbon-data/carbon-offset', purchase, { ...offset, tonnes: 25 });
+    check(res.status === 422, `Key reused for another body → ${res.status}`);
+    check((await accountBalance(account)).balance === 130, 'Offset debited once');
+
+    // A lost key record still cannot post the journal twice
+    await IdempotencyKey.deleteMany({ userId: user._id, key: 'ledger-test-offset-1' });
+    res = await request('POST', '/api/carbon-data/carbon-offset', purchase, offset);
+    check(res.status === 200 && (await accountBalance(account)).balance === 130, 'Journal key prevents a double post');
+    check((await OffsetProject.findById(project._id)).availableTonnes === 980, 'Offsets reserved once');
+
+    // Test 4: Concurrent spends cannot overdraw the wallet
+    console.log('\n⚡ Test 4: Concurrent debits');
+    const spends = await Promise.all(Array.from({ length: 5 }, () =>
+      request('PUT', '/api/carbon-data/wallet-balance', withKey(token), { amount: 40, type: 'debit' })));
+    const accepted = spends.filter(r => r.status === 200).length;
+    const { balance } = await accountBalance(account);
+    check(accepted === 3 && balance === 10, `${accepted} of 5 debits accepted, balance ${balance}`);
+    res = await request('GET', '/api/carbon-data/wallet', { Authorization: `Bearer ${token}` });
+    check(res.status === 200 && res.body.data.balance === 10 && res.body.data.entries.length === 6, 'Wallet served from the ledger');
+
+    // Test 5: The ledger is append-only
+    console.log('\n🔒 Test 5: Immutability');
+    let immutable = false;
+    try {
+      await LedgerEntry.updateMany({ account }, { $set: { amount: 0 } });
+    } catch (error) {
+      immutable = /immutable/.test(error.message);
+    }
+    check(immutable, 'Entries cannot be updated');
+
+    // Test 6: Reconciliation flags drift
+    console.log('\n🧮 Test 6: Reconciliation');
+    let report = await reconcileLedger({ instituteId: INSTITUTE.id });
+    check(report.ok && report.unbalanced.length === 0, 'Ledger reconciles');
+    await CarbonData.updateOne({ userId: user._id }, { $inc: { walletBalance: 5 } });
+    report = await reconcileLedger({ instituteId: INSTITUTE.id });
+    check(!report.ok && report.drift.length === 1 && report.drift[0].difference === 5, 'Wallet drift flagged');
+    await LedgerEntry.collection.insertOne({
+      journal: new mongoose.Types.ObjectId(),
+      instituteId: INSTITUTE.id,
+      account,
+      side: 'credit',
+      amount: 1,
+      postedAt: new Date()
+    });
+    report = await reconcileLedger({ instituteId: INSTITUTE.id });
+    check(report.orphanEntries.length === 1, 'Entry without a journal flagged');
+
+    console.log(`\n${failures === 0 ? '🎉 Ledger tests passed!' : `❌ ${failures} ledger check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testLedger().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,192 @@
+// Test script for the live dashboard stream (GET /api/events/stream)
+// Mounts the Express app on a random port against MongoDB, opens streams as
+// users of two institutes and checks each only receives its own events.
+// Test users, institutes, readings and live events are removed afterwards.
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Institute = require('./models/Institute');
+const CarbonBiometric = require('./models/CarbonBiometric');
+const LiveEvent = require('./models/LiveEvent');
+const { hub, publish } = require('./services/liveEvents');
+const { clearRollups } = require('./services/rollups');
+const { generateToken } = require('./utils/generateToken');
+require('dotenv').config();
+
+const institute = (id, name) => ({
+  id,
+  name,
+  campusId: id,
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: `contact@${id}.example.com`, phone: '0000000000' }
+});
+
+const INSTITUTE_A = institute('live_test_a', 'Live Test Institute A');
+const INSTITUTE_B = institute('live_test_b', 'Live Test Institute B');
+const TEST_EMAIL_PATTERN = /@live-test\.example\.com$/;
+
+let baseUrl;
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Open an event stream and collect parsed messages until close()
+ */
+async function openStream(token, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/api/events/stream`, {
+    headers: { Authorization: `Bearer ${token}`, ...headers },
+    signal: controller.signal
+  });
+  const stream = { status: response.status, messages: [], ready: false };
+  if (response.status !== 200) return stream;
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  (async () => {
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const frame = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const event = (frame.match(/^event: (.*)$/m) || [])[1];
+          const data = (frame.match(/^data: (.*)$/m) || [])[1];
+          if (event === 'ready') stream.ready = true;
+          else if (data) stream.messages.push(JSON.parse(data));
+        }
+      }
+    } catch (error) {
+      // aborted
+    }
+  })();
+
+  stream.close = () => controller.abort();
+  for (let i = 0; i < 50 && !stream.ready; i++) await sleep(100);
+  return stream;
+}
+
+const waitFor = async (predicate, timeoutMs = 5000) => {
+  for (let waited = 0; waited < timeoutMs; waited += 100) {
+    if (predicate()) return true;
+    await sleep(100);
+  }
+  return predicate();
+};
+
+const reading = (inst, kWh) => ({
+  institute: { id: inst.id, name: inst.name },
+  co2Emissions: 1,
+  carbonFootprint: 1,
+  energyConsumption: kWh,
+  gridEnergyUsage: kWh,
+  buildingName: 'Live Test Hall',
+  departmentName: 'Physics'
+});
+
+async function cleanup() {
+  await User.deleteMany({ email: TEST_EMAIL_PATTERN });
+  await CarbonBiometric.deleteMany({ instituteId: { $in: [INSTITUTE_A.id, INSTITUTE_B.id] } });
+  await clearRollups({ instituteId: { $in: [INSTITUTE_A.id, INSTITUTE_B.id] } });
+  await LiveEvent.deleteMany({ instituteId: { $in: [INSTITUTE_A.id, INSTITUTE_B.id] } });
+  await Institute.deleteMany({ id: { $in: [INSTITUTE_A.id, INSTITUTE_B.id] } });
+}
+
+async function testLiveEvents() {
+  let server;
+  const streams = [];
+  try {
+    console.log('🧪 Starting Live Event Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create([INSTITUTE_A, INSTITUTE_B]);
+    const [userA, userB] = await User.create([
+      { institute: { id: INSTITUTE_A.id, name: INSTITUTE_A.name }, fullName: 'Live A', email: 'a@live-test.example.com', password: 'password123' },
+      { institute: { id: INSTITUTE_B.id, name: INSTITUTE_B.name }, fullName: 'Live B', email: 'b@live-test.example.com', password: 'password123' }
+    ]);
+
+    // Test 1: The stream requires authentication
+    console.log('🔐 Test 1: Authentication');
+    const anonymous = await fetch(`${baseUrl}/api/events/stream`);
+    check(anonymous.status === 401, `No token → ${anonymous.status}`);
+
+    // Test 2: New readings reach their own institute only
+    console.log('\n📡 Test 2: Institute isolation');
+    const streamA = await openStream(generateToken(userA._id));
+    const streamB = await openStream(generateToken(userB._id));
+    streams.push(streamA, streamB);
+    check(streamA.ready && streamB.ready, 'Both streams connected');
+
+    await CarbonBiometric.create(reading(INSTITUTE_A, 1234));
+    const received = await waitFor(() => streamA.messages.some(m => m.type === 'readings'));
+    check(received, 'Institute A received its reading');
+    const message = streamA.messages.find(m => m.type === 'readings');
+    check(message && message.data.readings[0].energyConsumption === 1234, 'Reading payload carries the kWh value');
+    await sleep(1500);
+    check(streamB.messages.length === 0, `Institute B received ${streamB.messages.length} events`);
+
+    // Test 3: Batches become one event per institute
+    console.log('\n📦 Test 3: Batched readings');
+    await CarbonBiometric.insertMany([reading(INSTITUTE_B, 10), reading(INSTITUTE_B, 20), reading(INSTITUTE_B, 30)]);
+    await waitFor(() => streamB.messages.some(m => m.type === 'readings'));
+    const batch = streamB.messages.filter(m => m.type === 'readings');
+    check(batch.length === 1 && batch[0].data.count === 3, `Institute B received ${batch.length} event(s) for 3 readings`);
+
+    // Test 4: A reconnecting client gets what it missed
+    console.log('\n🔁 Test 4: Last-Event-ID replay');
+    const lastSeen = streamA.messages[streamA.messages.length - 1].id;
+    streamA.close();
+    await publish(INSTITUTE_A.id, 'alert', { id: 'live_test_alert', type: 'system_info', severity: 'low', message: 'Missed while offline' });
+    const resumed = await openStream(generateToken(userA._id), { 'Last-Event-ID': lastSeen });
+    streams.push(resumed);
+    await waitFor(() => resumed.messages.some(m => m.type === 'alert'));
+    const alerts = resumed.messages.filter(m => m.type === 'alert');
+    check(alerts.length === 1 && alerts[0].data.message === 'Missed while offline', `Replayed ${alerts.length} missed alert(s), delivered once`);
+
+    console.log(`\n${failures === 0 ? '🎉 Live event tests passed!' : `❌ ${failures} live event check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    streams.forEach(stream => stream.close && stream.close());
+    hub.stop();
+    if (server) {
+      server.closeAllConnections();
+      server.close();
+    }
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testLiveEvents().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,148 @@
+// Test script for how the meter feeder (services/meterFeeder.js) turns readings
+// into whole-kWh submissions for EnergyOracle.recordUsageSigned. A meter that
+// reports every few minutes sends readings well under 1 kWh; their fractions
+// must carry over rather than each reading rounding to 0. Seeds a department
+// wallet and 240 readings of 0.25 kWh, queues them (no chain is contacted), then
+// queues a few more. Test data is removed afterwards.
+
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const Institute = require('./models/Institute');
+const DepartmentWallet = require('./models/DepartmentWallet');
+const EnergyConsumption = require('./models/EnergyConsumption');
+const MeterSubmission = require('./models/MeterSubmission');
+const { MeterFeeder, allocateWholeKWh } = require('./services/meterFeeder');
+const { toMonthId } = require('./utils/meterPayload');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'feeder_test',
+  name: 'Feeder Test Institute',
+  campusId: 'feeder_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@feeder-test.example.com', phone: '0000000000' }
+};
+const DEPARTMENT = 'Feeder Test Physics';
+const DEPT_ADDRESS = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const MINUTE_MS = 60 * 1000;
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// One reading every two minutes, the newest `offset` minutes ago
+const readings = (count, kWh, offset = 0) => Array.from({ length: count }, (_, i) => ({
+  instituteId: INSTITUTE.id,
+  timestamp: new Date(Date.now() - (offset + (count - i) * 2) * MINUTE_MS),
+  buildingName: 'Feeder Test Hall',
+  departmentName: DEPARTMENT,
+  consumption: kWh,
+  carbonFootprint: kWh * 0.0008
+}));
+
+// Whole kWh queued per month (the on-chain total) next to the raw readings
+const monthTotals = async () => {
+  const submissions = await MeterSubmission.find({ instituteId: INSTITUTE.id });
+  const raw = await EnergyConsumption.find({ instituteId: INSTITUTE.id });
+  const months = [...new Set(raw.map(r => toMonthId(r.timestamp)))];
+  return months.map(month => ({
+    month,
+    queued: sum(submissions.filter(s => s.month === month).map(s => s.kWh)),
+    expected: Math.round(sum(raw.filter(r => toMonthId(r.timestamp) === month).map(r => r.consumption)))
+  }));
+};
+
+async function cleanup() {
+  await MeterSubmission.deleteMany({ instituteId: INSTITUTE.id });
+  await EnergyConsumption.deleteMany({ instituteId: INSTITUTE.id });
+  await DepartmentWallet.deleteMany({ instituteId: INSTITUTE.id });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+function testAllocation() {
+  // Test 1: Whole kWh from fractional readings
+  console.log('🔢 Test 1: Carrying fractions');
+  const quarters = allocateWholeKWh(Array(240).fill(0.25));
+  check(sum(quarters) === 60, `240 readings of 0.25 kWh submit ${sum(quarters)} kWh`);
+  check(quarters.filter(kWh => kWh > 0).length === 60 && quarters.every(kWh => kWh === 0 || kWh === 1),
+    'Every fourth reading carries 1 kWh');
+  check(sum(allocateWholeKWh([0.4, 0.4, 0.4])) === 1, 'Three 0.4 kWh readings are 1 kWh, not 0');
+  check(sum(allocateWholeKWh([2.6, 2.6])) === 5, 'Larger readings round on the running total (5.2 → 5)');
+  check(JSON.stringify(allocateWholeKWh([0.3, 0.3], { rawKWh: 10.4, kWh: 10 })) === '[1,0]',
+    'Fractions already queued earlier in the month carry forward');
+  check(sum(allocateWholeKWh([0.2, 0.2])) === 0, 'A month under 0.5 kWh so far submits nothing yet');
+}
+
+async function testEnqueue() {
+  const feeder = new MeterFeeder({
+    feederKey: ethers.Wallet.createRandom().privateKey,
+    provider: new ethers.JsonRpcProvider('http://127.0.0.1:8545'),
+    deployment: { addresses: { EnergyOracle: '0x5FbDB2315678afecb367f032d93F642f64180aa3' } },
+    sources: ['EnergyConsumption']
+  });
+
+  // Test 2: Queuing a meter that reports every two minutes
+  console.log('\n📥 Test 2: Queuing frequent readings');
+  await EnergyConsumption.insertMany(readings(240, 0.25, 30));
+  const queued = await feeder.enqueueReadings();
+  check(queued === 240, `${queued} readings queued, one submission each`);
+  let totals = await monthTotals();
+  check(totals.every(t => t.queued === t.expected), `On-chain kWh match the readings: ${JSON.stringify(totals)}`);
+  const pending = await MeterSubmission.countDocuments({ instituteId: INSTITUTE.id, status: 'pending' });
+  const skipped = await MeterSubmission.find({ instituteId: INSTITUTE.id, status: 'skipped' });
+  check(pending === sum(totals.map(t => t.queued)) && pending + skipped.length === 240 &&
+    skipped.every(s => s.kWh === 0 && s.rawKWh === 0.25),
+    `${pending} submissions carry kWh, ${skipped.length} readings carried forward`);
+
+  // Test 3: A later run continues from the queued fractions
+  console.log('\n🔁 Test 3: Next run');
+  await EnergyConsumption.insertMany(readings(6, 0.25));
+  check(await feeder.enqueueReadings() === 6, 'Only the new readings are queued');
+  totals = await monthTotals();
+  check(totals.every(t => t.queued === t.expected), `Totals still match: ${JSON.stringify(totals)}`);
+  check(await feeder.enqueueReadings() === 0, 'Running again queues nothing');
+}
+
+async function testMeterFeeder() {
+  try {
+    console.log('🧪 Starting Meter Feeder Tests...\n');
+
+    testAllocation();
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('\n✅ Connected to database');
+
+    await cleanup();
+    await Institute.create(INSTITUTE);
+    await DepartmentWallet.create({ instituteId: INSTITUTE.id, departmentName: DEPARTMENT, address: DEPT_ADDRESS });
+    await testEnqueue();
+
+    console.log(`\n${failures === 0 ? '🎉 Meter feeder tests passed!' : `❌ ${failures} meter feeder check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testMeterFeeder().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,96 @@
+// Test script for the meter-reading payload signed for EnergyOracle.recordUsageSigned
+// (utils/meterPayload.js). The contract verifies
+//   ECDSA.recover(toEthSignedMessageHash(keccak256(abi.encodePacked(
+//     address(this), dept, month, kWh, nonce))), signature)
+// so the hash is rebuilt here byte by byte from the encodePacked layout
+// (20 + 20 + 32 + 32 + 32 bytes) and the signer recovered the same way.
+// No chain or database is needed.
+
+const { ethers } = require('ethers');
+const {
+  toMonthId,
+  nonceForReading,
+  buildUsagePayloadHash,
+  signUsagePayload
+} = require('./utils/meterPayload');
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+// Well-known Hardhat accounts, so failures are easy to reproduce on a local node
+const ORACLE = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const DEPT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const SIGNER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const word = (value) => ethers.zeroPadValue(ethers.toBeHex(value), 32);
+
+// abi.encodePacked(address, address, uint256, uint256, bytes32)
+const encodePacked = ({ oracle, dept, month, kWh, nonce }) => ethers.concat([
+  ethers.getAddress(oracle),
+  ethers.getAddress(dept),
+  word(month),
+  word(kWh),
+  nonce
+]);
+
+async function testMeterPayload() {
+  console.log('🧪 Starting Meter Payload Tests...\n');
+
+  const signer = new ethers.Wallet(SIGNER_KEY);
+  const nonce = nonceForReading(ORACLE, 'CarbonBiometric', '665f1c2e8b3e4a0012345678');
+  const payload = { oracle: ORACLE, dept: DEPT, month: 202508, kWh: 1234, nonce };
+
+  // Test 1: Month ids and nonces
+  console.log('🗓️  Test 1: Month ids and nonces');
+  check(toMonthId(new Date('2025-08-31T23:59:59Z')) === 202508, 'Month id is yyyymm');
+  check(toMonthId(new Date('2025-12-01T00:00:00Z')) === 202512, 'Month id uses UTC');
+  check(ethers.isHexString(nonce, 32), 'Nonce is bytes32');
+  check(nonce === nonceForReading(ORACLE.toLowerCase(), 'CarbonBiometric', '665f1c2e8b3e4a0012345678'),
+    'Nonce does not depend on address case');
+  check(nonce !== nonceForReading(ORACLE, 'EnergyConsumption', '665f1c2e8b3e4a0012345678'),
+    'Nonce differs per source collection');
+  check(nonce !== nonceForReading(DEPT, 'CarbonBiometric', '665f1c2e8b3e4a0012345678'),
+    'Nonce differs per oracle');
+
+  // Test 2: The hash is keccak256 of the packed layout
+  console.log('\n📦 Test 2: Payload hash');
+  const packed = encodePacked(payload);
+  check(ethers.dataLength(packed) === 136, `Packed payload is ${ethers.dataLength(packed)} bytes`);
+  check(buildUsagePayloadHash(payload) === ethers.keccak256(packed), 'Hash matches keccak256(abi.encodePacked(...))');
+  const padded = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['address', 'address', 'uint256', 'uint256', 'bytes32'],
+    [ORACLE, DEPT, payload.month, payload.kWh, nonce]
+  ));
+  check(buildUsagePayloadHash(payload) !== padded, 'Hash is not the abi.encode (padded) layout');
+  check(buildUsagePayloadHash({ ...payload, kWh: 1235 }) !== buildUsagePayloadHash(payload), 'Hash covers kWh');
+  check(buildUsagePayloadHash({ ...payload, oracle: DEPT }) !== buildUsagePayloadHash(payload),
+    'Hash binds the oracle address');
+
+  // Test 3: The signature recovers to the meter signer after the eth-signed prefix
+  console.log('\n✍️  Test 3: Signature');
+  const signature = await signUsagePayload(signer, payload);
+  check(ethers.dataLength(signature) === 65, 'Signature is 65 bytes');
+  const digest = ethers.hashMessage(ethers.getBytes(ethers.keccak256(packed)));
+  check(ethers.recoverAddress(digest, signature) === signer.address,
+    'ECDSA.recover(toEthSignedMessageHash(hash)) returns the signer');
+  check(ethers.recoverAddress(ethers.keccak256(packed), signature) !== signer.address,
+    'Signature is over the prefixed message, not the raw hash');
+  const other = await signUsagePayload(signer, { ...payload, month: 202509 });
+  check(ethers.recoverAddress(digest, other) !== signer.address, 'A signature for another month does not verify');
+
+  console.log(`\n${failures === 0 ? '🎉 Meter payload tests passed!' : `❌ ${failures} meter payload check(s) failed`}`);
+}
+
+if (require.main === module) {
+  testMeterPayload().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
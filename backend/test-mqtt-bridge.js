@@ -0,0 +1,152 @@
+// Test script for the MQTT ingestion bridge
+// Starts the embedded broker on a random port against MongoDB, registers a test
+// device and publishes JSON and CSV payloads as a meter would. Test readings,
+// the device and the institute are removed afterwards.
+
+const mongoose = require('mongoose');
+const mqtt = require('mqtt');
+const Institute = require('./models/Institute');
+const Device = require('./models/Device');
+const CarbonBiometric = require('./models/CarbonBiometric');
+const { MqttBridge, parsePayload } = require('./services/mqttBridge');
+const { startEmbeddedBroker } = require('./services/mqttBroker');
+const { clearRollups } = require('./services/rollups');
+const { generateOpaqueToken, hashToken } = require('./utils/generateToken');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'mqtt_test',
+  name: 'MQTT Test Institute',
+  campusId: 'mqtt_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@mqtt-test.example.com', phone: '0000000000' }
+};
+const DEVICE_ID = 'MQTT-TEST-01';
+const TOPIC = `greenpulse/${INSTITUTE.id}/Library/${DEVICE_ID}`;
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const secondsAgo = (seconds) => Math.floor(Date.now() / 1000) - seconds;
+
+async function cleanup() {
+  await CarbonBiometric.deleteMany({ instituteId: INSTITUTE.id });
+  await clearRollups({ instituteId: INSTITUTE.id });
+  await Device.deleteMany({ instituteId: INSTITUTE.id });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+async function testMqttBridge() {
+  let broker;
+  let bridge;
+  let meter;
+  try {
+    console.log('🧪 Starting MQTT Bridge Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await CarbonBiometric.syncIndexes();
+    await Institute.create(INSTITUTE);
+    const apiKey = `gpd_${generateOpaqueToken()}`;
+    const device = await Device.create({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      instituteId: INSTITUTE.id,
+      deviceId: DEVICE_ID,
+      name: 'Library Meter',
+      departmentName: 'Library Services',
+      apiKeyHash: hashToken(apiKey),
+      apiKeyPrefix: apiKey.slice(0, 12)
+    });
+
+    broker = await startEmbeddedBroker({ port: 0, topicPrefix: 'greenpulse' });
+    bridge = new MqttBridge({ url: broker.url, ...broker.credentials, flushInterval: 60000 });
+    await bridge.start();
+
+    // Test 1: Payload formats
+    console.log('📄 Test 1: Payload parsing');
+    let parsed = parsePayload('timestamp,energyConsumption:Wh,temperature:F\n1760000000,1500,86');
+    check(parsed.units.energy === 'Wh' && parsed.readings[0].timestamp === 1760000000000 &&
+      parsed.readings[0].sensorData.temperature === 86, 'CSV header with units, epoch seconds');
+    parsed = parsePayload('1760000000,12.5,,3');
+    check(parsed.readings[0].energyConsumption === 12.5 && parsed.readings[0].renewableEnergyUsage === 3 &&
+      parsed.readings[0].co2Emissions === undefined, 'Headerless CSV uses the configured column order');
+    let threw = false;
+    try { parsePayload('{"readings": [}'); } catch (error) { threw = true; }
+    check(threw, 'Malformed JSON is reported');
+
+    // Test 2: The embedded broker only admits registered devices
+    console.log('\n🔑 Test 2: Broker authentication');
+    let refused = false;
+    try {
+      await mqtt.connectAsync(broker.url, { username: DEVICE_ID, password: 'gpd_wrong', reconnectPeriod: 0 });
+    } catch (error) {
+      refused = true;
+    }
+    check(refused, 'Wrong API key refused');
+    meter = await mqtt.connectAsync(broker.url, { username: DEVICE_ID, password: apiKey, reconnectPeriod: 0 });
+    check(meter.connected, 'Device connects with its API key');
+
+    // Test 3: Readings are buffered, then written in one pass
+    console.log('\n📥 Test 3: Buffered writes');
+    await meter.publishAsync(TOPIC, JSON.stringify({
+      units: { energy: 'Wh' },
+      readings: [{ timestamp: secondsAgo(300), energyConsumption: 2500 }]
+    }), { qos: 1 });
+    await meter.publishAsync(TOPIC, `${secondsAgo(240)},4.2\n${secondsAgo(180)},-1`, { qos: 1 });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    check(await CarbonBiometric.countDocuments({ device: device._id }) === 0, 'Nothing written before the flush');
+
+    let totals = await bridge.flush();
+    check(totals.accepted === 2 && totals.rejected === 1, `Flush → ${JSON.stringify(totals)}`);
+    const stored = await CarbonBiometric.find({ device: device._id }).sort({ timestamp: 1 }).lean();
+    check(stored.length === 2 && stored[0].energyConsumption === 2.5 && stored[0].buildingName === 'Library' &&
+      stored[0].departmentName === 'Library Services', 'Topic building and device department applied');
+
+    // Test 4: Re-published readings are not stored twice
+    console.log('\n🔁 Test 4: Duplicates');
+    await meter.publishAsync(TOPIC, `${secondsAgo(240)},4.2`, { qos: 1 });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    totals = await bridge.flush();
+    check(totals.duplicate === 1 && totals.accepted === 0, `Re-sent reading → ${JSON.stringify(totals)}`);
+
+    // Test 5: A device can not publish for another institute
+    console.log('\n🚫 Test 5: Topic authorization');
+    meter.on('error', () => {});
+    await meter.publishAsync(`greenpulse/other_institute/Library/${DEVICE_ID}`, `${secondsAgo(60)},1`, { qos: 0 });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    totals = await bridge.flush();
+    check(totals.received === 0 && !meter.connected, 'Publish refused and device disconnected');
+
+    console.log(`\n${failures === 0 ? '🎉 MQTT bridge tests passed!' : `❌ ${failures} MQTT bridge check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (meter) await meter.endAsync(true);
+    if (bridge) await bridge.stop();
+    if (broker) await broker.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testMqttBridge().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
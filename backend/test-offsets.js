@@ -0,0 +1,200 @@
+// Test script for the offset marketplace (catalog, purchases, retirements)
+// Mounts the Express app on a random port against MongoDB, which must run as
+// a replica set (purchases are wallet ledger transactions, see test-ledger.js).
+// Covers listing projects, serial ranges, concurrent buyers for the last
+// units, failed purchases and retirement records. Test data is removed afterwards.
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Institute = require('./models/Institute');
+const CarbonData = require('./models/CarbonData');
+const IdempotencyKey = require('./models/IdempotencyKey');
+const OffsetProject = require('./models/OffsetProject');
+const OffsetRetirement = require('./models/OffsetRetirement');
+const { LedgerJournal, LedgerEntry } = require('./models/Ledger');
+const { generateToken } = require('./utils/generateToken');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'offsets_test',
+  name: 'Offsets Test Institute',
+  campusId: 'offsets_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@offsets-test.example.com', phone: '0000000000' }
+};
+const TEST_EMAIL_PATTERN = /@offsets-test\.example\.com$/;
+const SERIAL_PREFIX = /^OFFSETS-TEST-/;
+
+let baseUrl;
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const request = async (method, path, headers, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+};
+
+let keyCounter = 0;
+const withKey = (token) => ({
+  Authorization: `Bearer ${token}`,
+  'Idempotency-Key': `offsets-test-${Date.now()}-${keyCounter++}`
+});
+
+async function cleanup() {
+  await LedgerEntry.collection.deleteMany({ instituteId: INSTITUTE.id });
+  await LedgerJournal.collection.deleteMany({ instituteId: INSTITUTE.id });
+  const users = await User.find({ email: TEST_EMAIL_PATTERN }).select('_id');
+  await IdempotencyKey.deleteMany({ userId: { $in: users.map(u => u._id) } });
+  await OffsetRetirement.deleteMany({ instituteId: INSTITUTE.id });
+  await OffsetProject.deleteMany({ serialPrefix: SERIAL_PREFIX });
+  await CarbonData.deleteMany({ instituteId: INSTITUTE.id });
+  await User.deleteMany({ email: TEST_EMAIL_PATTERN });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+async function testOffsets() {
+  let server;
+  try {
+    console.log('🧪 Starting Offset Marketplace Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await Promise.all([OffsetProject.syncIndexes(), OffsetRetirement.syncIndexes()]);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create(INSTITUTE);
+    const [admin, staff] = await Promise.all([
+      User.create({
+        institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+        fullName: 'Offsets Admin',
+        email: 'admin@offsets-test.example.com',
+        password: 'password123',
+        role: 'platform_admin'
+      }),
+      User.create({
+        institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+        fullName: 'Offsets Staff',
+        email: 'staff@offsets-test.example.com',
+        password: 'password123',
+        role: 'staff'
+      })
+    ]);
+    await CarbonData.create({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      instituteId: INSTITUTE.id,
+      userId: staff._id,
+      walletBalance: 500
+    });
+    const adminToken = generateToken(admin._id);
+    const staffToken = generateToken(staff._id);
+    const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+    // Test 1: Catalog management
+    console.log('🌳 Test 1: Listing projects');
+    const listing = {
+      name: 'Test Mangrove Restoration',
+      type: 'blue_carbon',
+      registry: 'Verra',
+      registryProjectId: 'VCS-9999',
+      vintage: 2023,
+      country: 'in',
+      pricePerTonne: 12.5,
+      serialPrefix: 'OFFSETS-TEST-VCS-9999-2023',
+      serialStart: 1001,
+      serialEnd: 1010
+    };
+    let res = await request('POST', '/api/offsets/projects', auth(staffToken), listing);
+    check(res.status === 403, `Staff cannot list projects → ${res.status}`);
+    res = await request('POST', '/api/offsets/projects', auth(adminToken), listing);
+    check(res.status === 201 && res.body.data.availableTonnes === 10 && res.body.data.nextSerial === 1001,
+      `Project listed with 10 tonnes → ${res.status}`);
+    const project = res.body.data;
+    res = await request('POST', '/api/offsets/projects', auth(adminToken), listing);
+    check(res.status === 409, `Serial block listed twice → ${res.status}`);
+    res = await request('PUT', `/api/offsets/projects/${project._id}`, auth(adminToken), { vintage: 2020 });
+    check(res.status === 400, `Vintage of a listed project is fixed → ${res.status}`);
+    res = await request('GET', '/api/offsets/projects?available=true', auth(staffToken));
+    check(res.status === 200 && res.body.data.some(p => p._id === project._id), 'Project in the catalog');
+
+    // Test 2: A purchase retires the next serials and is paid from the wallet
+    console.log('\n🧾 Test 2: Purchase');
+    res = await request('POST', '/api/carbon-data/carbon-offset', withKey(staffToken), { projectId: project._id, tonnes: 2, purpose: 'Test travel' });
+    const first = res.body && res.body.data;
+    check(res.status === 200 && first.retirement.serialStart === 1001 && first.retirement.serialEnd === 1002,
+      `Serials ${first && first.retirement.serialRange} retired → ${res.status}`);
+    check(first && first.newBalance === 475 && first.retirement.cost === 25, `Paid ${first && first.retirement.cost} ENTO`);
+    check(first && first.retirement.beneficiary === INSTITUTE.name, 'Beneficiary defaults to the institute');
+    check(first && String(first.transaction.offsetRetirement) === first.retirement._id, 'Wallet transaction links the retirement');
+
+    // Test 3: Concurrent buyers cannot share serials or oversell
+    console.log('\n⚡ Test 3: Concurrent purchases');
+    const attempts = await Promise.all(Array.from({ length: 4 }, () =>
+      request('POST', '/api/carbon-data/carbon-offset', withKey(staffToken), { projectId: project._id, tonnes: 3 })));
+    const sold = attempts.filter(r => r.status === 200).map(r => r.body.data.retirement);
+    check(sold.length === 2 && attempts.filter(r => r.status === 409).length === 2, `${sold.length} of 4 purchases of 3 t accepted`);
+    const retirements = await OffsetRetirement.find({ project: project._id }).sort({ serialStart: 1 });
+    const disjoint = retirements.every((r, i) => i === 0 || r.serialStart === retirements[i - 1].serialEnd + 1);
+    check(disjoint && retirements[retirements.length - 1].serialEnd === 1008, 'Serial ranges are contiguous and disjoint');
+    const stored = await OffsetProject.findById(project._id);
+    check(stored.availableTonnes === 2 && stored.nextSerial === 1009, `Inventory ${stored.availableTonnes} t left`);
+
+    // Test 4: Failed purchases leave inventory and wallet untouched
+    console.log('\n🚫 Test 4: Refused purchases');
+    res = await request('POST', '/api/carbon-data/carbon-offset', withKey(staffToken), { projectId: project._id, tonnes: 3 });
+    check(res.status === 409, `More than is left → ${res.status}`);
+    res = await request('PUT', `/api/offsets/projects/${project._id}`, auth(adminToken), { serialEnd: 1100, pricePerTonne: 100 });
+    check(res.status === 200 && res.body.data.availableTonnes === 92, 'Serial block extended');
+    res = await request('POST', '/api/carbon-data/carbon-offset', withKey(staffToken), { projectId: project._id, tonnes: 5 });
+    check(res.status === 400 && /Insufficient/.test(res.body.message), `Wallet too small → ${res.status}`);
+    check((await OffsetProject.findById(project._id)).nextSerial === 1009, 'No serials reserved by the failed purchase');
+    await request('PUT', `/api/offsets/projects/${project._id}`, auth(adminToken), { status: 'paused' });
+    res = await request('POST', '/api/carbon-data/carbon-offset', withKey(staffToken), { projectId: project._id, tonnes: 1 });
+    check(res.status === 409, `Paused project → ${res.status}`);
+
+    // Test 5: Retirements belong to the buyer institute
+    console.log('\n📜 Test 5: Retirement records');
+    res = await request('GET', '/api/offsets/retirements', auth(staffToken));
+    check(res.status === 200 && res.body.data.retirements.length === 3 && res.body.data.totals.tonnes === 8,
+      `${res.body && res.body.data.totals.tonnes} t retired for the institute`);
+    res = await request('GET', `/api/offsets/retirements/${first.retirement._id}`, auth(staffToken));
+    check(res.status === 200 && res.body.data.serialRange === 'OFFSETS-TEST-VCS-9999-2023-1001-1002', 'Retirement served with its serial range');
+    res = await request('GET', '/api/offsets/projects', auth(staffToken));
+    check(!res.body.data.some(p => p._id === project._id), 'Paused project hidden from buyers');
+
+    console.log(`\n${failures === 0 ? '🎉 Offset marketplace tests passed!' : `❌ ${failures} offset marketplace check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testOffsets().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,214 @@
+// Test script for role-based access control
+// Mounts the Express app on a random port against MongoDB and checks that
+// students cannot create, edit or delete institutes, approve auction
+// baselines (whatever their position or email says) or reach another
+// institute's data, and that role management respects institute boundaries.
+// Test users, institutes and buildings are removed afterwards.
+
+require('dotenv').config();
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'rbac-test-secret';
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Building = require('./models/Building');
+const Institute = require('./models/Institute');
+const { generateToken } = require('./utils/generateToken');
+
+const INSTITUTE_A = { id: 'rbac_test_a', name: 'RBAC Test Institute A', campusId: 'rbac-a' };
+const INSTITUTE_B = { id: 'rbac_test_b', name: 'RBAC Test Institute B', campusId: 'rbac-b' };
+const TEST_EMAIL_DOMAIN = '@rbac-test.example.com';
+
+let baseUrl;
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const request = async (method, path, token, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+};
+
+const instituteDoc = (base) => ({
+  ...base,
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact' + TEST_EMAIL_DOMAIN, phone: '0000000000' }
+});
+
+async function createUser(name, institute, role) {
+  const user = await User.create({
+    institute: { id: institute.id, name: institute.name },
+    instituteId: institute.id,
+    fullName: name,
+    email: `${name.toLowerCase().replace(/\s+/g, '.')}${TEST_EMAIL_DOMAIN}`,
+    password: 'testpassword123',
+    role
+  });
+  return { user, token: generateToken(user._id) };
+}
+
+async function cleanup() {
+  await User.deleteMany({ email: { $regex: `${TEST_EMAIL_DOMAIN.replace(/\./g, '\\.')}$` } });
+  await Institute.deleteMany({ id: { $regex: '^rbac_test_' } });
+  await Building.deleteMany({ campusId: { $in: [INSTITUTE_A.campusId, INSTITUTE_B.campusId] } });
+}
+
+async function testRbac() {
+  let server;
+  try {
+    console.log('🧪 Starting RBAC Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create([instituteDoc(INSTITUTE_A), instituteDoc(INSTITUTE_B)]);
+    await Building.create([
+      { institute: INSTITUTE_A.name, campusId: INSTITUTE_A.campusId, buildingId: 990001, name: 'A Hall' },
+      { institute: INSTITUTE_B.name, campusId: INSTITUTE_B.campusId, buildingId: 990002, name: 'B Hall' }
+    ]);
+
+    const studentA = await createUser('Student A', INSTITUTE_A, 'student');
+    const otherStudentA = await createUser('Student A Two', INSTITUTE_A, 'student');
+    const studentB = await createUser('Student B', INSTITUTE_B, 'student');
+    const adminA = await createUser('Admin A', INSTITUTE_A, 'institute_admin');
+    const sysadminStudent = await createUser('Sysadmin Student', INSTITUTE_A, 'student');
+    const platformAdmin = await createUser('Platform Admin', INSTITUTE_A, 'platform_admin');
+
+    // Test 1: Institute writes need a token
+    console.log('🔒 Test 1: Anonymous institute writes');
+    let res = await request('POST', '/api/institutes', null, instituteDoc({ name: 'Anon', campusId: 'x' }));
+    check(res.status === 401, `POST /api/institutes without token → ${res.status}`);
+    res = await request('DELETE', `/api/institutes/${INSTITUTE_A.id}`);
+    check(res.status === 401, `DELETE /api/institutes/:id without token → ${res.status}`);
+
+    // Test 2: Students cannot create, edit or delete institutes
+    console.log('\n🎓 Test 2: Student institute writes');
+    res = await request('POST', '/api/institutes', studentA.token, instituteDoc({ name: 'Student Made', campusId: 'x' }));
+    check(res.status === 403, `Student POST /api/institutes → ${res.status}`);
+    check(!(await Institute.exists({ name: 'Student Made' })), 'No institute was created');
+
+    res = await request('PUT', `/api/institutes/${INSTITUTE_A.id}`, studentA.token, { name: 'Renamed by student' });
+    check(res.status === 403, `Student PUT own institute → ${res.status}`);
+    res = await request('PUT', `/api/institutes/${INSTITUTE_B.id}`, studentA.token, { name: 'Renamed by student' });
+    check(res.status === 403, `Student PUT other institute → ${res.status}`);
+    check((await Institute.findOne({ id: INSTITUTE_A.id })).name === INSTITUTE_A.name, 'Institute A is unchanged');
+
+    res = await request('DELETE', `/api/institutes/${INSTITUTE_B.id}`, studentA.token);
+    check(res.status === 403, `Student DELETE institute → ${res.status}`);
+    check(await Institute.exists({ id: INSTITUTE_B.id }), 'Institute B still exists');
+
+    // Test 3: Position is a job title, not a privilege
+    console.log('\n🪪 Test 3: Self-assigned position');
+    res = await request('PUT', '/api/auth/profile', studentA.token, { position: 'Admin' });
+    check(res.status === 200 && res.body.data.role === 'student', 'Profile position changed, role still student');
+    res = await request('DELETE', `/api/institutes/${INSTITUTE_B.id}`, studentA.token);
+    check(res.status === 403, `"Admin" student DELETE institute → ${res.status}`);
+    res = await request('GET', '/api/settlement/requests', studentA.token);
+    check(res.status === 403, `"Admin" student GET /api/settlement/requests → ${res.status}`);
+    // Approving a proposal publishes auction baselines on-chain
+    const proposalId = new mongoose.Types.ObjectId();
+    res = await request('GET', '/api/baseline-proposals', studentA.token);
+    check(res.status === 403, `"Admin" student GET /api/baseline-proposals → ${res.status}`);
+    res = await request('POST', `/api/baseline-proposals/${proposalId}/approve`, studentA.token);
+    check(res.status === 403, `"Admin" student approves a baseline proposal → ${res.status}`);
+    res = await request('POST', `/api/baseline-proposals/${proposalId}/approve`, sysadminStudent.token);
+    check(res.status === 403, `Student with "admin" in their email approves a baseline proposal → ${res.status}`);
+    res = await request('GET', '/api/baseline-proposals', adminA.token);
+    check(res.status === 200, `Institute admin GET /api/baseline-proposals → ${res.status}`);
+
+    // Test 4: Students cannot reach another institute's data
+    console.log('\n🏫 Test 4: Cross-institute data');
+    res = await request('GET', '/api/buildings/990002', studentA.token);
+    check(res.status === 404, `Student A GET institute B building → ${res.status}`);
+    res = await request('GET', '/api/buildings/990001', studentA.token);
+    check(res.status === 200, `Student A GET own building → ${res.status}`);
+    res = await request('GET', `/api/weather?campusId=${INSTITUTE_B.campusId}`, studentA.token);
+    check(res.status === 403, `Student A GET institute B weather → ${res.status}`);
+    res = await request('GET', '/api/buildings', studentB.token);
+    check(res.status === 200 && res.body.data.buildings.every(b => b.institute === INSTITUTE_B.name),
+      'Student B building list only contains institute B');
+    res = await request('PUT', '/api/feeder/wallets', studentA.token, {
+      departmentName: 'Engineering',
+      address: '0x' + '1'.repeat(40)
+    });
+    check(res.status === 403, `Student PUT /api/feeder/wallets → ${res.status}`);
+    res = await request('POST', '/api/carbon-data/energy-consumption', studentA.token, { consumption: 10 });
+    check(res.status === 403, `Student POST energy consumption → ${res.status}`);
+
+    // Test 5: Institute admins are confined to their institute
+    console.log('\n🏛️  Test 5: Institute admin scope');
+    res = await request('PUT', `/api/institutes/${INSTITUTE_B.id}`, adminA.token, { totalStudents: 1 });
+    check(res.status === 403, `Institute admin A PUT institute B → ${res.status}`);
+    res = await request('PUT', `/api/institutes/${INSTITUTE_A.id}`, adminA.token, { totalStudents: 250, id: 'hijacked' });
+    check(res.status === 200 && res.body.data.totalStudents === 250 && res.body.data.id === INSTITUTE_A.id,
+      `Institute admin A PUT own institute → ${res.status} (id not editable)`);
+    res = await request('DELETE', `/api/institutes/${INSTITUTE_A.id}`, adminA.token);
+    check(res.status === 403, `Institute admin DELETE institute → ${res.status}`);
+
+    // Test 6: Role management
+    console.log('\n👥 Test 6: Role management');
+    res = await request('PUT', `/api/users/${otherStudentA.user._id}/role`, studentA.token, { role: 'staff' });
+    check(res.status === 403, `Student changes a role → ${res.status}`);
+    res = await request('PUT', `/api/users/${studentA.user._id}/role`, studentA.token, { role: 'platform_admin' });
+    check(res.status === 403, `Student promotes self → ${res.status}`);
+    res = await request('PUT', `/api/users/${studentB.user._id}/role`, adminA.token, { role: 'staff' });
+    check(res.status === 403, `Institute admin A changes institute B user → ${res.status}`);
+    res = await request('PUT', `/api/users/${otherStudentA.user._id}/role`, adminA.token, { role: 'platform_admin' });
+    check(res.status === 403, `Institute admin grants platform_admin → ${res.status}`);
+    res = await request('PUT', `/api/users/${otherStudentA.user._id}/role`, adminA.token, { role: 'department_head' });
+    check(res.status === 200 && res.body.data.role === 'department_head', `Institute admin promotes own student → ${res.status}`);
+    res = await request('GET', '/api/users', adminA.token);
+    check(res.status === 200 && res.body.data.users.every(u => u.institute.id === INSTITUTE_A.id),
+      'Institute admin user list only contains institute A');
+    res = await request('GET', '/api/users', studentA.token);
+    check(res.status === 403, `Student GET /api/users → ${res.status}`);
+
+    // Test 7: Platform admins manage institutes
+    console.log('\n🌐 Test 7: Platform admin');
+    res = await request('POST', '/api/institutes', platformAdmin.token, instituteDoc({ name: 'RBAC Created', campusId: 'rbac-c' }));
+    check(res.status === 201, `Platform admin POST /api/institutes → ${res.status}`);
+    if (res.status === 201) {
+      await Institute.updateOne({ id: res.body.data.id }, { $set: { id: 'rbac_test_created' } });
+      res = await request('DELETE', '/api/institutes/rbac_test_created', platformAdmin.token);
+      check(res.status === 200, `Platform admin DELETE institute → ${res.status}`);
+    }
+
+    console.log(`\n${failures === 0 ? '🎉 RBAC tests passed!' : `❌ ${failures} RBAC check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testRbac().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,198 @@
+// Test script for GHG inventory reports (GET /api/reports/ghg)
+// Mounts the Express app on a random port against MongoDB. Seeds two years of
+// energy records, sensor readings and offset retirements for a test institute
+// and checks scope totals, energy by source, year-over-year change, the
+// PDF/XLSX/CSV downloads and access rules. Test data is removed afterwards.
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Institute = require('./models/Institute');
+const EnergyConsumption = require('./models/EnergyConsumption');
+const CarbonBiometric = require('./models/CarbonBiometric');
+const OffsetRetirement = require('./models/OffsetRetirement');
+const { resolveEmissionFactor } = require('./services/emissionFactors');
+const { parseCsv } = require('./utils/csv');
+const { generateToken } = require('./utils/generateToken');
+require('dotenv').config();
+
+const INSTITUTES = [
+  { id: 'reports_test', name: 'Reports Test Institute' },
+  { id: 'reports_test_other', name: 'Reports Other Institute' }
+].map(institute => ({
+  ...institute,
+  campusId: institute.id,
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: `contact@${institute.id}.example.com`, phone: '0000000000' }
+}));
+const INSTITUTE_IDS = INSTITUTES.map(i => i.id);
+const TEST_EMAIL_PATTERN = /@reports-test\.example\.com$/;
+
+let baseUrl;
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const close = (a, b) => Math.abs(a - b) < 0.01;
+
+const request = async (path, headers) => {
+  const response = await fetch(`${baseUrl}${path}`, { headers });
+  const type = response.headers.get('content-type') || '';
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: type.includes('application/json')
+      ? await response.json().catch(() => null)
+      : Buffer.from(await response.arrayBuffer())
+  };
+};
+
+async function cleanup() {
+  await OffsetRetirement.deleteMany({ instituteId: { $in: INSTITUTE_IDS } });
+  await CarbonBiometric.collection.deleteMany({ instituteId: { $in: INSTITUTE_IDS } });
+  await EnergyConsumption.deleteMany({ instituteId: { $in: INSTITUTE_IDS } });
+  await User.deleteMany({ email: TEST_EMAIL_PATTERN });
+  await Institute.deleteMany({ id: { $in: INSTITUTE_IDS } });
+}
+
+const energyRecord = (timestamp, energySource, consumption, instituteId = INSTITUTES[0].id) => ({
+  instituteId,
+  institute: instituteId,
+  timestamp,
+  buildingName: 'Test Hall',
+  departmentName: 'Test Department',
+  consumption,
+  carbonFootprint: 0,
+  energySource
+});
+
+async function testReports() {
+  let server;
+  try {
+    console.log('🧪 Starting GHG Report Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create(INSTITUTES);
+    const user = (email, role, institute) => User.create({
+      institute: { id: institute.id, name: institute.name },
+      fullName: email,
+      email: `${email}@reports-test.example.com`,
+      password: 'password123',
+      role
+    });
+    const [manager, student, otherHead] = await Promise.all([
+      user('manager', 'institute_admin', INSTITUTES[0]),
+      user('student', 'student', INSTITUTES[0]),
+      user('head', 'department_head', INSTITUTES[1])
+    ]);
+    const auth = (u) => ({ Authorization: `Bearer ${generateToken(u._id)}` });
+
+    // 2024: 1000 kWh grid; 2025: 1500 kWh grid, 500 solar, 200 hybrid
+    await EnergyConsumption.create([
+      energyRecord(new Date('2024-03-10T10:00:00Z'), 'grid', 1000),
+      energyRecord(new Date('2025-03-10T10:00:00Z'), 'grid', 1500),
+      energyRecord(new Date('2025-06-01T10:00:00Z'), 'solar', 500),
+      energyRecord(new Date('2025-06-01T10:00:00Z'), 'hybrid', 200),
+      energyRecord(new Date('2025-06-01T10:00:00Z'), 'grid', 9999, INSTITUTES[1].id)
+    ]);
+    // A device reporting 2 t of footprint beyond its 0.5 t of electricity emissions
+    await CarbonBiometric.collection.insertMany([
+      { instituteId: INSTITUTES[0].id, institute: INSTITUTES[0].id, timestamp: new Date('2025-04-01T00:00:00Z'), co2Emissions: 0.5, carbonFootprint: 2.5, energyConsumption: 700, gridEnergyUsage: 700 },
+      { instituteId: INSTITUTES[0].id, institute: INSTITUTES[0].id, timestamp: new Date('2025-04-02T00:00:00Z'), co2Emissions: 0.4, carbonFootprint: 0.4, energyConsumption: 500, gridEnergyUsage: 500 }
+    ]);
+    await OffsetRetirement.create({
+      instituteId: INSTITUTES[0].id,
+      project: new mongoose.Types.ObjectId(),
+      projectSnapshot: { name: 'Test Wind Farm', type: 'renewable_energy', registry: 'Verra', vintage: 2024 },
+      serialPrefix: 'REPORTS-TEST',
+      serialStart: 1,
+      serialEnd: 4,
+      tonnes: 4,
+      pricePerTonne: 10,
+      cost: 40,
+      buyer: manager._id,
+      ledgerJournal: new mongoose.Types.ObjectId(),
+      retiredAt: new Date('2025-09-01T00:00:00Z')
+    });
+
+    const factor = async (energySource, at) =>
+      (await resolveEmissionFactor({ instituteId: INSTITUTES[0].id, energySource, at: new Date(at) })).value;
+    const grid2025 = (1500 * await factor('grid', '2025-03-10')) / 1000;
+    const hybrid2025 = (200 * await factor('hybrid', '2025-06-01')) / 1000;
+    const grid2024 = (1000 * await factor('grid', '2024-03-10')) / 1000;
+
+    // Test 1: Inventory figures
+    console.log('📊 Test 1: Inventory for 2025');
+    let res = await request('/api/reports/ghg?year=2025', auth(manager));
+    const report = res.body && res.body.data;
+    check(res.status === 200 && report.period.label === '2025' && report.comparisonPeriod.label === '2024', `Report for 2025 vs 2024 → ${res.status}`);
+    const [scope1, scope2] = report.scopes;
+    check(close(scope1.tCO2e, 2), `Scope 1 from device-reported footprint: ${scope1.tCO2e} t`);
+    check(close(scope2.tCO2e, grid2025 + hybrid2025), `Scope 2 from kWh × registry factors: ${scope2.tCO2e} t`);
+    const energy = Object.fromEntries(report.energy.map(e => [e.source, e]));
+    check(energy.grid.kWh === 1500 && energy.solar.kWh === 500 && energy.hybrid.kWh === 200 && energy.wind.kWh === 0,
+      'Energy by source excludes other institutes');
+    check(energy.grid.previous === 1000 && energy.grid.changePercent === 50, `Grid kWh +${energy.grid.changePercent}% year over year`);
+    check(close(scope2.previous, grid2024), 'Previous-year Scope 2 computed for comparison');
+    check(report.totals.offsetsRetired.tCO2e === 4 && report.offsets.retirements[0].serialRange === 'REPORTS-TEST-1-4', 'Offsets retired listed');
+    check(close(report.totals.net.tCO2e, report.totals.gross.tCO2e - 4), 'Net = gross - offsets');
+
+    // Test 2: Downloads
+    console.log('\n📁 Test 2: Formats');
+    res = await request('/api/reports/ghg?year=2025&format=pdf', auth(manager));
+    check(res.status === 200 && res.body.subarray(0, 5).toString() === '%PDF-', `PDF → ${res.status}`);
+    check(/attachment; filename="ghg-inventory-reports_test-2025\.pdf"/.test(res.headers.get('content-disposition')), 'PDF named after institute and period');
+    res = await request('/api/reports/ghg?year=2025&format=xlsx', auth(manager));
+    check(res.status === 200 && res.body.subarray(0, 2).toString() === 'PK', `XLSX → ${res.status}`);
+    res = await request('/api/reports/ghg?year=2025&format=csv', auth(manager));
+    const rows = res.status === 200 ? parseCsv(res.body.toString()) : [];
+    const gross = rows.find(r => r.section === 'summary' && r.item === 'Gross emissions');
+    check(gross && close(Number(gross.value), report.totals.gross.tCO2e), `CSV carries the same totals → ${res.status}`);
+    res = await request('/api/reports/ghg?year=2025&format=docx', auth(manager));
+    check(res.status === 400, `Unknown format → ${res.status}`);
+
+    // Test 3: Periods and access
+    console.log('\n🔐 Test 3: Periods and access');
+    res = await request('/api/reports/ghg?from=2025-03-01&to=2025-03-31', auth(manager));
+    check(res.status === 200 && res.body.data.totals.energyKWh.kWh === 1500, 'Custom period covers its inclusive end date');
+    res = await request('/api/reports/ghg?from=2025-03-01', auth(manager));
+    check(res.status === 400, `Open-ended period → ${res.status}`);
+    res = await request('/api/reports/ghg?year=2025', auth(student));
+    check(res.status === 403, `Students cannot generate reports → ${res.status}`);
+    res = await request(`/api/reports/ghg?year=2025&instituteId=${INSTITUTES[0].id}`, auth(otherHead));
+    check(res.status === 200 && res.body.data.institute.id === INSTITUTES[1].id, 'Other institutes only get their own inventory');
+
+    console.log(`\n${failures === 0 ? '🎉 GHG report tests passed!' : `❌ ${failures} GHG report check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testReports().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,142 @@
+// Test script for the hourly/daily/monthly reading rollups
+// Stores readings through the model hooks, compares the rollups with the raw
+// readings, then corrupts them and checks the backfill restores them.
+// Test readings, rollups and the institute are removed afterwards.
+
+const mongoose = require('mongoose');
+const Institute = require('./models/Institute');
+const CarbonBiometric = require('./models/CarbonBiometric');
+const { HourlyRollup, DailyRollup, MonthlyRollup } = require('./models/CarbonRollup');
+const { backfillRollups, clearRollups, bucketStart } = require('./services/rollups');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'rollup_test',
+  name: 'Rollup Test Institute',
+  campusId: 'rollup_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@rollup-test.example.com', phone: '0000000000' }
+};
+const HOUR_MS = 60 * 60 * 1000;
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const reading = (timestamp, departmentName, energyConsumption, extra = {}) => ({
+  institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+  instituteId: INSTITUTE.id,
+  timestamp,
+  buildingName: 'Main Block',
+  departmentName,
+  energyConsumption,
+  gridEnergyUsage: energyConsumption,
+  co2Emissions: energyConsumption * 0.000716,
+  carbonFootprint: energyConsumption * 0.000716,
+  co2Savings: 0.01,
+  energyEfficiency: 80,
+  ...extra
+});
+
+async function cleanup() {
+  await CarbonBiometric.deleteMany({ instituteId: INSTITUTE.id });
+  await clearRollups({ instituteId: INSTITUTE.id });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+// Rollup fields that must match a fresh backfill
+const snapshot = async (Model) => (await Model.find({ instituteId: INSTITUTE.id }).sort({ bucket: 1, departmentName: 1 }).lean())
+  .map(r => `${r.bucket.toISOString()}|${r.departmentName}|${r.count}|${r.totals.energyConsumption.toFixed(6)}|` +
+    `${r.means.energyEfficiency.sum}/${r.means.energyEfficiency.n}|${r.energyMin}|${r.energyMax}|${r.last.at.toISOString()}|${r.last.energyConsumption}`)
+  .join('\n');
+
+async function testRollups() {
+  try {
+    console.log('🧪 Starting Rollup Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await Promise.all([HourlyRollup, DailyRollup, MonthlyRollup].map(Model => Model.syncIndexes()));
+    await Institute.create(INSTITUTE);
+
+    // Three hours of readings ending in the current hour
+    const base = bucketStart(new Date(Date.now() - 2 * HOUR_MS), 'hour').getTime();
+    const at = (hours, minutes) => new Date(base + hours * HOUR_MS + minutes * 60 * 1000);
+
+    // Test 1: insertMany and save both update the rollups
+    console.log('📥 Test 1: Incremental rollups');
+    await CarbonBiometric.insertMany([
+      reading(at(0, 5), 'Physics', 10),
+      reading(at(0, 35), 'Physics', 30),
+      reading(at(1, 10), 'Physics', 20),
+      reading(at(1, 20), 'Chemistry', 5, { energyEfficiency: 60 })
+    ]);
+    await new CarbonBiometric(reading(at(2, 0), 'Physics', 40)).save();
+
+    const firstHour = await HourlyRollup.findOne({ instituteId: INSTITUTE.id, bucket: at(0, 0), departmentName: 'Physics' }).lean();
+    check(firstHour && firstHour.count === 2 && firstHour.totals.energyConsumption === 40 &&
+      firstHour.energyMin === 10 && firstHour.energyMax === 30, 'Hourly rollup sums its readings');
+    check(firstHour && firstHour.last.energyConsumption === 30, 'Hourly rollup keeps the latest reading');
+
+    const [raw] = await CarbonBiometric.aggregate([
+      { $match: { instituteId: INSTITUTE.id } },
+      { $group: { _id: null, kWh: { $sum: '$energyConsumption' }, count: { $sum: 1 } } }
+    ]);
+    const [daily] = await DailyRollup.aggregate([
+      { $match: { instituteId: INSTITUTE.id } },
+      { $group: { _id: null, kWh: { $sum: '$totals.energyConsumption' }, count: { $sum: '$count' } } }
+    ]);
+    check(daily && daily.kWh === raw.kWh && daily.count === raw.count, `Daily rollups match raw readings: ${daily && daily.kWh} kWh`);
+
+    // Test 2: Read helpers
+    console.log('\n📊 Test 2: Dashboard queries');
+    const [dashboard] = await DailyRollup.getDashboardData(INSTITUTE.id, 30);
+    check(dashboard && dashboard.dataPoints === 5 && dashboard.currentEnergyConsumption === 40, 'Dashboard summary uses the latest reading');
+    check(dashboard && dashboard.avgEnergyEfficiency === 76, `Efficiency is averaged per reading: ${dashboard && dashboard.avgEnergyEfficiency}`);
+    const departments = await MonthlyRollup.getGroupData(INSTITUTE.id, 'departmentName');
+    check(departments.length === 2 && departments[0].departmentName === 'Physics' && departments[0].consumption === 100,
+      'Department totals from monthly rollups');
+
+    // Test 3: A backfill rebuilds exactly what the hooks produced
+    console.log('\n🔁 Test 3: Backfill');
+    const before = await Promise.all([HourlyRollup, DailyRollup, MonthlyRollup].map(snapshot));
+    await HourlyRollup.updateMany({ instituteId: INSTITUTE.id }, { $inc: { count: 100 } });
+    await DailyRollup.deleteMany({ instituteId: INSTITUTE.id });
+    await backfillRollups({ instituteId: INSTITUTE.id });
+    const after = await Promise.all([HourlyRollup, DailyRollup, MonthlyRollup].map(snapshot));
+    check(['hour', 'day', 'month'].every((_, i) => before[i] === after[i] && before[i].length > 0), 'Backfilled rollups match the incremental ones');
+
+    await CarbonBiometric.deleteOne({ instituteId: INSTITUTE.id, energyConsumption: 40 });
+    await backfillRollups({ instituteId: INSTITUTE.id, from: at(2, 0), granularities: ['hour'] });
+    const lastHour = await HourlyRollup.countDocuments({ instituteId: INSTITUTE.id, bucket: at(2, 0) });
+    check(lastHour === 0, 'Deleted readings disappear from a rebuilt range');
+
+    console.log(`\n${failures === 0 ? '🎉 Rollup tests passed!' : `❌ ${failures} rollup check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testRollups().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,156 @@
+// Test script for GET /api/carbon-data/series (services/timeSeries.js)
+// Writes readings through the model hooks so the rollups are built, then checks
+// bucketing, metrics, grouping and parameter validation.
+// Test readings, rollups and the institute are removed afterwards.
+
+const mongoose = require('mongoose');
+const Institute = require('./models/Institute');
+const CarbonBiometric = require('./models/CarbonBiometric');
+const { HourlyRollup, DailyRollup, MonthlyRollup } = require('./models/CarbonRollup');
+const { clearRollups } = require('./services/rollups');
+const { getSeries, SeriesError } = require('./services/timeSeries');
+const seriesConfig = require('./config/series');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'series_test',
+  name: 'Series Test Institute',
+  campusId: 'series_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 2,
+  totalStudents: 100,
+  contact: { email: 'contact@series-test.example.com', phone: '0000000000' }
+};
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+// Monday 2 Sep 2024 .. Sunday 8 Sep 2024, then Monday 9 Sep
+const day = (date, hour = 10) => new Date(`${date}T${String(hour).padStart(2, '0')}:00:00Z`);
+
+const reading = (timestamp, buildingName, departmentName, energyConsumption, renewableEnergyUsage, energyEfficiency) => ({
+  institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+  instituteId: INSTITUTE.id,
+  timestamp,
+  buildingName,
+  departmentName,
+  energyConsumption,
+  renewableEnergyUsage,
+  gridEnergyUsage: energyConsumption - renewableEnergyUsage,
+  co2Emissions: (energyConsumption - renewableEnergyUsage) * 0.001,
+  carbonFootprint: (energyConsumption - renewableEnergyUsage) * 0.001,
+  energyEfficiency
+});
+
+async function cleanup() {
+  await CarbonBiometric.deleteMany({ instituteId: INSTITUTE.id });
+  await clearRollups({ instituteId: INSTITUTE.id });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+const rejects = async (options) => {
+  try {
+    await getSeries({ instituteId: INSTITUTE.id, ...options });
+    return false;
+  } catch (error) {
+    return error instanceof SeriesError && error.status === 400;
+  }
+};
+
+async function testSeries() {
+  try {
+    console.log('🧪 Starting Series Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    await Promise.all([HourlyRollup, DailyRollup, MonthlyRollup].map(Model => Model.syncIndexes()));
+    await Institute.create(INSTITUTE);
+
+    await CarbonBiometric.insertMany([
+      reading(day('2024-09-02', 9), 'Main Block', 'Physics', 100, 20, 80),
+      reading(day('2024-09-02', 14), 'Main Block', 'Physics', 50, 0, 60),
+      reading(day('2024-09-04'), 'Lab Block', 'Chemistry', 30, 30, 90),
+      reading(day('2024-09-08'), 'Lab Block', null, 10, 0, 70),
+      reading(day('2024-09-09'), 'Main Block', 'Physics', 40, 10, 75)
+    ]);
+
+    // Test 1: Day buckets cover the whole range, gaps included
+    console.log('📅 Test 1: Day buckets');
+    const daily = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-02', to: '2024-09-09T23:00:00Z', bucket: 'day' });
+    check(daily.categories.length === 8 && daily.categories[0] === '2024-09-02T00:00:00.000Z', `8 daily categories from 2 Sep (${daily.categories.length})`);
+    check(daily.labels[0] === '02 Sep', `Labels are chart-ready: ${daily.labels[0]}`);
+    check(daily.series.length === 1 && daily.series[0].name === 'Total', 'Ungrouped request returns one Total series');
+    check(JSON.stringify(daily.series[0].data) === JSON.stringify([150, 0, 30, 0, 0, 0, 10, 40]), `Daily kWh: ${daily.series[0].data}`);
+    check(daily.series[0].total === 230 && daily.unit === 'kWh', 'Series total and unit');
+
+    // Test 2: Weeks start on Monday and are summed from daily rollups
+    console.log('\n🗓️  Test 2: Week and month buckets');
+    const weekly = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-04', to: '2024-09-10', bucket: 'week' });
+    check(weekly.categories[0] === '2024-09-02T00:00:00.000Z', `First week starts on Monday: ${weekly.categories[0]}`);
+    check(JSON.stringify(weekly.series[0].data) === JSON.stringify([190, 40]), `Weekly kWh: ${weekly.series[0].data}`);
+    const monthly = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-01', to: '2024-09-30', bucket: 'month' });
+    check(monthly.labels[0] === 'Sep 2024' && monthly.series[0].data[0] === 230, 'Monthly bucket from monthly rollups');
+    const hourly = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-02T08:30:00Z', to: '2024-09-02T14:10:00Z', bucket: 'hour' });
+    check(hourly.categories.length === 7 && hourly.series[0].data[1] === 100 && hourly.series[0].data[6] === 50, 'Hourly bucket from hourly rollups');
+
+    // Test 3: Metrics
+    console.log('\n📐 Test 3: Metrics');
+    const efficiency = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-02', to: '2024-09-03', metric: 'efficiency' });
+    check(efficiency.series[0].data[0] === 70 && efficiency.series[0].data[1] === null, 'Efficiency is averaged per reading and null without readings');
+    const cost = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-02', to: '2024-09-02', metric: 'cost' });
+    const expectedCost = 130 * seriesConfig.gridTariff + 20 * seriesConfig.renewableTariff;
+    check(cost.series[0].data[0] === expectedCost && cost.unit === seriesConfig.currency, `Cost uses grid and renewable tariffs: ${cost.series[0].data[0]}`);
+    const co2 = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-02', to: '2024-09-02', metric: 'co2' });
+    check(co2.series[0].data[0] === 0.13, `CO2 in tonnes: ${co2.series[0].data[0]}`);
+
+    // Test 4: Grouping
+    console.log('\n🏢 Test 4: Grouping');
+    const byDepartment = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-02', to: '2024-09-09', groupBy: 'department' });
+    check(byDepartment.series.map(s => s.name).join(',') === 'Physics,Chemistry,Unassigned', `Departments by consumption: ${byDepartment.series.map(s => s.name)}`);
+    const byBuilding = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-02', to: '2024-09-09', groupBy: 'building' });
+    check(byBuilding.series.find(s => s.name === 'Lab Block').total === 40, 'Buildings are summed across departments');
+    const bySource = await getSeries({ instituteId: INSTITUTE.id, from: '2024-09-02', to: '2024-09-09', groupBy: 'energySource' });
+    const renewable = bySource.series.find(s => s.name === 'Renewable');
+    const grid = bySource.series.find(s => s.name === 'Grid');
+    check(renewable.total === 60 && grid.total === 170, `Renewable/grid split: ${renewable.total}/${grid.total}`);
+
+    // Test 5: Validation
+    console.log('\n🚫 Test 5: Validation');
+    check(await rejects({ bucket: 'minute' }), 'Unknown bucket is rejected');
+    check(await rejects({ metric: 'water' }), 'Unknown metric is rejected');
+    check(await rejects({ groupBy: 'floor' }), 'Unknown groupBy is rejected');
+    check(await rejects({ groupBy: 'constructor' }) && await rejects({ metric: 'toString' }),
+      'Inherited object keys are not valid groupBy or metric values');
+    check(await rejects({ groupBy: 'energySource', metric: 'efficiency' }), 'Efficiency by energy source is rejected');
+    check(await rejects({ from: 'yesterday' }), 'Invalid date is rejected');
+    check(await rejects({ from: '2024-09-09', to: '2024-09-02' }), 'Reversed range is rejected');
+    check(await rejects({ from: '2020-01-01', to: '2024-01-01', bucket: 'hour' }), 'Too many buckets are rejected');
+
+    console.log(`\n${failures === 0 ? '🎉 Series tests passed!' : `❌ ${failures} series check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testSeries().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,181 @@
+// Test script for the wallet transaction ledger API (GET /api/carbon-data/transactions)
+// Mounts the Express app on a random port against MongoDB. Seeds the wallets
+// of two users and checks cursor pagination, filters, sorting, who sees which
+// wallets and the streamed CSV/XLSX/JSON exports. Test data is removed afterwards.
+
+const mongoose = require('mongoose');
+const app = require('./app');
+const User = require('./models/User');
+const Institute = require('./models/Institute');
+const CarbonData = require('./models/CarbonData');
+const { parseCsv } = require('./utils/csv');
+const { generateToken } = require('./utils/generateToken');
+require('dotenv').config();
+
+const INSTITUTE = {
+  id: 'transactions_test',
+  name: 'Transactions Test Institute',
+  campusId: 'transactions_test',
+  location: 'Test City',
+  address: '1 Test Road',
+  totalBuildings: 1,
+  totalStudents: 100,
+  contact: { email: 'contact@transactions-test.example.com', phone: '0000000000' }
+};
+const TEST_EMAIL_PATTERN = /@transactions-test\.example\.com$/;
+const TYPES = ['credit', 'debit', 'offset_purchase', 'energy_consumption'];
+
+let baseUrl;
+let failures = 0;
+
+const check = (condition, message) => {
+  if (!condition) failures++;
+  console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+};
+
+const request = async (path, headers) => {
+  const response = await fetch(`${baseUrl}${path}`, { headers });
+  const type = response.headers.get('content-type') || '';
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: type.startsWith('application/json') && !response.headers.get('content-disposition')
+      ? await response.json().catch(() => null)
+      : Buffer.from(await response.arrayBuffer())
+  };
+};
+
+async function cleanup() {
+  await CarbonData.deleteMany({ instituteId: INSTITUTE.id });
+  await User.deleteMany({ email: TEST_EMAIL_PATTERN });
+  await Institute.deleteMany({ id: INSTITUTE.id });
+}
+
+// 30 transactions, one a day from 2025-01-01, cycling through types and buildings
+const seedTransactions = (offset) => Array.from({ length: 30 }, (_, i) => ({
+  type: TYPES[i % TYPES.length],
+  amount: (i + offset) * 10 + 5,
+  description: `Test transaction ${i + offset}`,
+  building: i % 2 === 0 ? 'North Hall' : 'South Hall',
+  department: 'Test Department',
+  co2Impact: i % 3 === 0 ? 0.5 : undefined,
+  ledgerJournal: i % 5 === 0 ? undefined : new mongoose.Types.ObjectId(),
+  // Two rows share each timestamp so ties are broken by id
+  date: new Date(Date.UTC(2025, 0, 1 + Math.floor(i / 2)))
+}));
+
+async function testTransactions() {
+  let server;
+  try {
+    console.log('🧪 Starting Transaction Ledger Tests...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greenpulse');
+    console.log('✅ Connected to database\n');
+
+    await cleanup();
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await Institute.create(INSTITUTE);
+    const user = (email, role) => User.create({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      fullName: email,
+      email: `${email}@transactions-test.example.com`,
+      password: 'password123',
+      role
+    });
+    const [manager, student] = await Promise.all([user('manager', 'institute_admin'), user('student', 'student')]);
+    await CarbonData.create([manager, student].map((owner, i) => ({
+      institute: { id: INSTITUTE.id, name: INSTITUTE.name },
+      instituteId: INSTITUTE.id,
+      userId: owner._id,
+      transactions: seedTransactions(i * 100)
+    })));
+    const auth = (u) => ({ Authorization: `Bearer ${generateToken(u._id)}` });
+
+    // Test 1: Cursor pagination walks every row once, newest first
+    console.log('📄 Test 1: Cursor pagination');
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const res = await request(`/api/carbon-data/transactions?limit=7${cursor ? `&cursor=${cursor}` : ''}`, auth(manager));
+      if (res.status !== 200) break;
+      seen.push(...res.body.data.items);
+      cursor = res.body.data.pagination.nextCursor;
+      pages++;
+    } while (cursor && pages < 20);
+    check(seen.length === 60 && new Set(seen.map(t => t.id)).size === 60, `${seen.length} rows over ${pages} pages, no repeats`);
+    check(seen.every((t, i) => i === 0 || new Date(seen[i - 1].date) >= new Date(t.date)), 'Rows are newest first');
+
+    // Test 2: Filters and sorting
+    console.log('\n🔎 Test 2: Filters and sorting');
+    let res = await request('/api/carbon-data/transactions?type=credit,debit&building=North%20Hall&from=2025-01-01&to=2025-01-05&limit=200', auth(manager));
+    const filtered = res.body.data.items;
+    check(res.status === 200 && filtered.length > 0 && filtered.every(t => ['credit', 'debit'].includes(t.type) && t.building === 'North Hall' &&
+      new Date(t.date) < new Date('2025-01-06')), `${filtered.length} rows match type, building and date range`);
+    res = await request('/api/carbon-data/transactions?status=recorded&limit=200', auth(manager));
+    check(res.body.data.items.length === 12 && res.body.data.items.every(t => !t.ledgerJournal), 'Status recorded = not booked in the ledger');
+    res = await request('/api/carbon-data/transactions?minAmount=100&maxAmount=200&sort=amount&limit=5', auth(manager));
+    const byAmount = res.body.data.items;
+    check(byAmount[0].amount === 105 && byAmount.every((t, i) => i === 0 || byAmount[i - 1].amount <= t.amount), 'Amount range sorted ascending');
+    const next = await request(`/api/carbon-data/transactions?minAmount=100&maxAmount=200&sort=amount&limit=5&cursor=${res.body.data.pagination.nextCursor}`, auth(manager));
+    check(next.body.data.items[0].amount === 155, 'Next page continues the amount order');
+    res = await request(`/api/carbon-data/transactions?sort=-date&cursor=${res.body.data.pagination.nextCursor}`, auth(manager));
+    check(res.status === 400, `Cursor reused with another sort → ${res.status}`);
+    res = await request('/api/carbon-data/transactions?type=refund', auth(manager));
+    check(res.status === 400, `Unknown type → ${res.status}`);
+    res = await request('/api/carbon-data/transactions?includeSummary=true&type=credit', auth(manager));
+    check(res.body.data.summary && res.body.data.summary.count === 16 && res.body.data.summary.debits === 0, 'Summary totals the filtered rows');
+    res = await request('/api/carbon-data/transactions?limit=200', auth(manager));
+    const signOf = (type) => res.body.data.items.filter(t => t.type === type).map(t => Math.sign(t.signedAmount));
+    check(signOf('credit').every(sign => sign === 1) && ['debit', 'offset_purchase'].every(type => signOf(type).every(sign => sign === -1)),
+      'Credits are signed into the wallet, debits and offset purchases out of it');
+    check(res.body.data.items.filter(t => t.type === 'energy_consumption').every(t => t.amount > 0 && t.signedAmount === null),
+      'Energy consumption does not move the wallet: no signed amount');
+    res = await request('/api/carbon-data/transactions?includeSummary=true&type=energy_consumption', auth(manager));
+    check(res.body.data.summary.count === 14 && res.body.data.summary.debits === 0 && res.body.data.summary.net === 0,
+      'Energy consumption is not counted as a debit');
+
+    // Test 3: Students see their own wallet only
+    console.log('\n🔐 Test 3: Scope');
+    res = await request(`/api/carbon-data/transactions?limit=200&userId=${manager._id}`, auth(student));
+    check(res.status === 200 && res.body.data.items.length === 0, 'Student cannot read another wallet');
+    res = await request('/api/carbon-data/transactions?limit=200', auth(student));
+    check(res.body.data.items.length === 30 && res.body.data.items.every(t => t.userId === String(student._id)), 'Student sees their 30 transactions');
+
+    // Test 4: Exports
+    console.log('\n📦 Test 4: Exports');
+    res = await request('/api/carbon-data/transactions/export?format=csv&type=credit', auth(manager));
+    const rows = parseCsv(res.body.toString());
+    check(res.status === 200 && rows.length === 16 && rows.every(r => r.type === 'credit' && Number(r.signed_amount) > 0), `CSV export → ${rows.length} rows`);
+    res = await request('/api/carbon-data/transactions/export?format=json', auth(manager));
+    const json = JSON.parse(res.body.toString());
+    check(res.status === 200 && json.length === 60, `JSON export → ${json.length} rows`);
+    res = await request('/api/carbon-data/transactions/export?format=xlsx', auth(manager));
+    check(res.status === 200 && res.body.subarray(0, 2).toString() === 'PK', `XLSX export → ${res.status}`);
+    res = await request('/api/carbon-data/transactions/export?format=pdf', auth(manager));
+    check(res.status === 400, `Unsupported format → ${res.status}`);
+
+    console.log(`\n${failures === 0 ? '🎉 Transaction ledger tests passed!' : `❌ ${failures} transaction ledger check(s) failed`}`);
+  } catch (error) {
+    failures++;
+    console.error('❌ Test failed:', error);
+  } finally {
+    console.log('\n🧹 Cleaning up test data...');
+    if (server) server.close();
+    await cleanup();
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  testTransactions().then(() => {
+    console.log('\n🏁 Test execution complete!');
+    process.exit(failures === 0 ? 0 : 1);
+  }).catch((error) => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}
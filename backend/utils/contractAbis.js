@@ -0,0 +1,77 @@
+// backend/utils/contractAbis.js
+// Human-readable ABI fragments for the contract stack in /contracts.
+// Hardhat artifacts are not committed, so the backend keeps only the
+// fragments it actually reads or calls. Keep these in sync with the .sol files.
+
+const EnergyToken = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
+const EnergyOracle = [
+  'event UsageRecorded(uint256 indexed month, address indexed dept, uint256 kWh, uint256 burnedEnTo, bytes32 payloadHash, address indexed signer)',
+  'event SavingsClaimed(uint256 indexed month, address indexed dept, uint256 savedKWh, uint256 rewardEnTo, uint256 rewardPrice18)',
+  'function ORACLE_ROLE() view returns (bytes32)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function isMeterSigner(address signer) view returns (bool)',
+  'function usedMeterNonces(bytes32 nonce) view returns (bool)',
+  'function recordUsageSigned(address dept, uint256 month, uint256 kWh, bytes32 nonce, bytes signature)'
+];
+
+const EnergyAuction = [
+  'event BaselineSet(uint256 indexed month, address indexed dept, uint256 kWh, bytes32 metaHash, address indexed by)',
+  'event PackPurchased(uint256 indexed month, address indexed dept, uint256 kWh, uint256 enToPaid, uint256 unitPrice18, uint256 timestamp)',
+  'function ORACLE_ROLE() view returns (bytes32)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function getBaseline(uint256 month, address dept) view returns (tuple(uint256 kWh, bytes32 metaHash, bool set))',
+  'function setBaseline(uint256 month, address dept, uint256 kWh, bytes32 metaHash)'
+];
+
+const EnergyTrade = [
+  'event OrderListed(uint256 indexed orderId, address indexed seller, uint256 kWh, uint256 price18)',
+  'event OrderFilled(uint256 indexed orderId, address indexed buyer, uint256 kWh, uint256 enToPaid, uint256 remaining)',
+  'event AmmSwapEnToForKwh(address indexed buyer, uint256 enToIn, uint256 kWhOut, uint256 newEnToRes, uint256 newKwhRes)',
+  'event AmmSwapKwhForEnTo(address indexed seller, uint256 kWhIn, uint256 enToOut, uint256 newEnToRes, uint256 newKwhRes)'
+];
+
+const EnergyLoan = [
+  'event LoanRequested(address indexed borrower, uint256 amount, uint256 rateBps)',
+  'event LoanFunded(address indexed borrower, uint256 amount, address indexed treasury)',
+  'event LoanRepaid(address indexed borrower, uint256 amount, uint256 remainingPrincipal)',
+  'event LoanClosed(address indexed borrower)',
+  'function loans(address borrower) view returns (uint256 principal, uint256 collateral, uint256 rateBps, uint256 lastAccrualTs, bool active)'
+];
+
+const FiatGateway = [
+  'event BuyInitiated(uint256 indexed reqId, address indexed user, uint256 inINR, uint256 outEnTo, uint256 rate, uint256 spread)',
+  'event BuySettled(uint256 indexed reqId, address indexed user, uint256 enToTransferred)',
+  'event SellInitiated(uint256 indexed reqId, address indexed user, uint256 inEnTo, uint256 outINREquiv, uint256 rate, uint256 spread)',
+  'event SellSettled(uint256 indexed reqId, address indexed user, uint256 enToEscrowed)',
+  'event SellRefunded(uint256 indexed reqId, address indexed user, uint256 enToReturned)',
+  'function SETTLEMENT_ROLE() view returns (bytes32)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function requests(uint256 reqId) view returns (uint8 typ, address user, uint256 inAmount, uint256 outAmount, uint256 rateEnToPerINR18, uint256 spreadBps, uint256 createdAt, uint8 status)',
+  'function confirmFiatDeposit(uint256 reqId)',
+  'function confirmFiatPayout(uint256 reqId)',
+  'function refundSell(uint256 reqId)'
+];
+
+const GovStaking = [
+  'event ProposalCreated(uint256 indexed id, address indexed proposer, bytes32 indexed paramKey, uint256 newValue, string description, uint256 snapshotBlock, uint256 startBlock, uint256 endBlock)',
+  'event VoteCast(address indexed voter, uint256 indexed id, uint8 support, uint256 weight)',
+  'event ProposalCanceled(uint256 indexed id)',
+  'event ProposalSucceeded(uint256 indexed id, uint256 forVotes, uint256 againstVotes, uint256 abstainVotes)',
+  'event ProposalQueued(uint256 indexed id, uint256 eta)',
+  'event ProposalExecuted(uint256 indexed id, bytes32 paramKey, uint256 newValue)',
+  'function stakes(address account) view returns (uint256 amount, uint256 unlockTime)'
+];
+
+module.exports = {
+  EnergyToken,
+  EnergyOracle,
+  EnergyAuction,
+  EnergyTrade,
+  EnergyLoan,
+  FiatGateway,
+  GovStaking
+};
@@ -0,0 +1,97 @@
+// backend/utils/csv.js
+// Minimal RFC 4180 CSV parsing and writing (quoted fields with commas, escaped
+// quotes and line breaks; CRLF or LF record endings)
+
+/**
+ * Split CSV text into records of raw field values. Quote state carries across
+ * line breaks, so quoted fields may contain commas, quotes and newlines.
+ * @param {string} text - CSV text
+ * @returns {string[][]} - One array of fields per record, blank lines skipped
+ */
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field in CSV record ${records.length + 1}`);
+  }
+  endRecord();
+
+  return records;
+};
+
+/**
+ * Split one CSV line into fields
+ * @param {string} line - A single CSV record
+ * @returns {string[]} - Raw field values
+ */
+const parseCsvLine = (line) => parseCsvRecords(line)[0] || [''];
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV file contents
+ * @returns {Object[]} - One object per data row; empty cells are ''
+ */
+const parseCsv = (text) => {
+  const records = parseCsvRecords(text);
+  if (records.length === 0) return [];
+
+  const headers = records[0].map(h => h.trim());
+  return records.slice(1).map(values => headers.reduce((row, header, i) => {
+    row[header] = values[i] !== undefined ? values[i].trim() : '';
+    return row;
+  }, {}));
+};
+
+/**
+ * Format values as one CSV record. Text that a spreadsheet would evaluate as a
+ * formula is prefixed with an apostrophe.
+ * @param {Array} values - Cells; null and undefined are written empty
+ * @returns {string} - The record, without a line terminator
+ */
+const formatCsvRow = (values) => values.map(value => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',');
+
+module.exports = {
+  parseCsvRecords,
+  parseCsvLine,
+  parseCsv,
+  formatCsvRow
+};
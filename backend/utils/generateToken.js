@@ -1,10 +1,16 @@
 // backend/utils/generateToken.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { jwtSecret, jwtExpire } = require('../config/auth');
 
-const generateToken = (userId) => {
+/**
+ * Sign a short-lived access token
+ * @param {*} userId - User _id
+ * @param {number} tokenVersion - User.tokenVersion at issue time
+ */
+const generateToken = (userId, tokenVersion = 0) => {
   return jwt.sign(
-    { userId }, 
+    { userId, tv: tokenVersion }, 
     jwtSecret, 
     { expiresIn: jwtExpire }
   );
@@ -14,7 +20,14 @@ const verifyToken = (token) => {
   return jwt.verify(token, jwtSecret);
 };
 
+// Opaque tokens (refresh, password reset) are random; only their hash is stored
+const generateOpaqueToken = () => crypto.randomBytes(32).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
 module.exports = {
   generateToken,
-  verifyToken
-};
\ No newline at end of file
+  verifyToken,
+  generateOpaqueToken,
+  hashToken
+};
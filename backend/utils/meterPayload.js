@@ -0,0 +1,53 @@
+// backend/utils/meterPayload.js
+// Helpers that reproduce the payload EnergyOracle.recordUsageSigned verifies:
+//   keccak256(abi.encodePacked(address(this), dept, month, kWh, nonce))
+// signed as an Ethereum signed message by an authorized meter signer.
+const { ethers } = require('ethers');
+
+/**
+ * Month id used by EnergyAuction/EnergyOracle
+ * @param {Date} date - Reading timestamp
+ * @returns {number} - yyyymm in UTC, e.g. 202508
+ */
+const toMonthId = (date) => {
+  const d = new Date(date);
+  return d.getUTCFullYear() * 100 + (d.getUTCMonth() + 1);
+};
+
+/**
+ * Deterministic replay nonce for a stored reading
+ * @param {string} oracleAddress - EnergyOracle address the reading is sent to
+ * @param {string} sourceType - Source collection ('CarbonBiometric' or 'EnergyConsumption')
+ * @param {*} sourceId - Source document id
+ * @returns {string} - bytes32 hex nonce
+ */
+const nonceForReading = (oracleAddress, sourceType, sourceId) => {
+  return ethers.id(`${oracleAddress.toLowerCase()}:${sourceType}:${String(sourceId)}`);
+};
+
+/**
+ * @returns {string} - keccak256 of the packed payload (before the eth-signed prefix)
+ */
+const buildUsagePayloadHash = ({ oracle, dept, month, kWh, nonce }) => {
+  return ethers.solidityPackedKeccak256(
+    ['address', 'address', 'uint256', 'uint256', 'bytes32'],
+    [oracle, dept, month, kWh, nonce]
+  );
+};
+
+/**
+ * Sign a usage payload with a meter signer wallet
+ * @param {ethers.Signer} signer - Authorized meter signer
+ * @returns {Promise<string>} - 65-byte signature accepted by recordUsageSigned
+ */
+const signUsagePayload = async (signer, payload) => {
+  const payloadHash = buildUsagePayloadHash(payload);
+  return signer.signMessage(ethers.getBytes(payloadHash));
+};
+
+module.exports = {
+  toMonthId,
+  nonceForReading,
+  buildUsagePayloadHash,
+  signUsagePayload
+};
@@ -0,0 +1,86 @@
+// backend/utils/publicAddress.js
+// Guards outbound requests to user-supplied URLs (alert webhooks) so they
+// cannot reach the server itself or the networks behind it: loopback,
+// link-local (cloud metadata at 169.254.169.254), private and other
+// non-routable ranges are refused, both for literal IPs and for every address
+// a host name resolves to at connect time.
+const dns = require('dns');
+const net = require('net');
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the ranges above
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+class AddressNotAllowedError extends Error {
+  constructor(host) {
+    super(`${host} is not a public address`);
+    this.name = 'AddressNotAllowedError';
+    this.code = 'EADDRNOTALLOWED';
+  }
+}
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Whether a URL host name can be refused without resolving it: localhost
+ * names and literal non-public IPs
+ * @param {string} hostname - URL.hostname (IPv6 in brackets)
+ * @returns {boolean}
+ */
+const isPrivateHostname = (hostname) => {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && !isPublicAddress(host);
+};
+
+/**
+ * dns.lookup replacement for http(s).request that fails when the host
+ * resolves to any non-public address. Checking at connect time (rather than
+ * before the request) leaves no gap for the name to be re-pointed.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new AddressNotAllowedError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  AddressNotAllowedError,
+  isPublicAddress,
+  isPrivateHostname,
+  publicLookup
+};
@@ -0,0 +1,101 @@
+// backend/utils/regression.js
+// Ordinary least squares for the small design matrices used by the baseline engine
+
+/**
+ * Solve A·x = b by Gaussian elimination with partial pivoting
+ * @returns {number[]|null} - Solution, or null when A is singular
+ */
+const solveLinearSystem = (A, b) => {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-10) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+};
+
+/**
+ * Fit y = intercept + Σ coef·x by least squares. Features that do not vary
+ * over the sample (e.g. heating degree-days in a hot climate) are dropped
+ * and get a coefficient of 0.
+ * @param {Object[]} rows - Samples as { [feature]: number }
+ * @param {string[]} features - Feature names to use as regressors
+ * @param {string} target - Name of the dependent variable
+ * @returns {Object|null} - { intercept, coefficients, r2, cvRmse, n, features } or null
+ */
+const fitLinearModel = (rows, features, target) => {
+  const used = features.filter(f => {
+    const values = rows.map(r => r[f]);
+    return Math.max(...values) - Math.min(...values) > 1e-9;
+  });
+  const p = used.length + 1;
+  if (rows.length <= p) return null;
+
+  // Normal equations: (XᵀX)·β = Xᵀy
+  const XtX = Array.from({ length: p }, () => new Array(p).fill(0));
+  const Xty = new Array(p).fill(0);
+  for (const row of rows) {
+    const x = [1, ...used.map(f => row[f])];
+    for (let i = 0; i < p; i++) {
+      Xty[i] += x[i] * row[target];
+      for (let j = 0; j < p; j++) XtX[i][j] += x[i] * x[j];
+    }
+  }
+
+  const beta = solveLinearSystem(XtX, Xty);
+  if (!beta) return null;
+
+  const coefficients = Object.fromEntries(features.map(f => [f, 0]));
+  used.forEach((f, i) => { coefficients[f] = beta[i + 1]; });
+  const model = { intercept: beta[0], coefficients, features };
+
+  const mean = rows.reduce((sum, r) => sum + r[target], 0) / rows.length;
+  let ssRes = 0;
+  let ssTot = 0;
+  for (const row of rows) {
+    ssRes += (row[target] - predict(model, row)) ** 2;
+    ssTot += (row[target] - mean) ** 2;
+  }
+
+  return {
+    ...model,
+    n: rows.length,
+    r2: ssTot > 0 ? 1 - ssRes / ssTot : 1,
+    // CV(RMSE) as used by ASHRAE Guideline 14 to judge baseline quality
+    cvRmse: mean !== 0 ? Math.sqrt(ssRes / (rows.length - p)) / mean : null
+  };
+};
+
+/**
+ * Evaluate a fitted model for one sample
+ */
+const predict = (model, row) => {
+  return model.features.reduce(
+    (sum, f) => sum + model.coefficients[f] * row[f],
+    model.intercept
+  );
+};
+
+module.exports = {
+  solveLinearSystem,
+  fitLinearModel,
+  predict
+};
@@ -1,21 +1,23 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
-const CarbonBiometric = require('./models/CarbonBiometric');
+const { DailyRollup, MonthlyRollup } = require('./models/CarbonRollup');
+const rollupConfig = require('./config/rollups');
 
 async function verifyUniqueData() {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to MongoDB');
 
-    const institutes = await CarbonBiometric.distinct('institute');
-    console.log(`Checking ${institutes.length} institutes for unique data:\n`);
+    // Dashboards read the rollups, so check what they will show
+    const instituteIds = await MonthlyRollup.distinct('instituteId');
+    console.log(`Checking ${instituteIds.length} institutes for unique data:\n`);
 
-    for (const institute of institutes) {
+    for (const instituteId of instituteIds) {
       // Get sample data for this institute
-      const sampleData = await CarbonBiometric.getDashboardData(institute);
-      const departmentData = await CarbonBiometric.getDepartmentData(institute);
+      const sampleData = await DailyRollup.getDashboardData(instituteId, rollupConfig.dashboardDays);
+      const departmentData = await MonthlyRollup.getGroupData(instituteId, 'departmentName');
       
-      console.log(`=== ${institute} ===`);
+      console.log(`=== ${instituteId} ===`);
       if (sampleData && sampleData.length > 0) {
         console.log(`  CO₂ Savings: ${sampleData[0].co2Savings} tonnes`);
         console.log(`  Carbon Budget Used: ${sampleData[0].carbonBudgetUsed}`);
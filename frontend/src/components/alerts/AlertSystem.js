@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   VStack,
@@ -12,198 +12,338 @@ import {
   AlertDescription,
   CloseButton,
   Button,
-  Flex
+  Flex,
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
+  Popover,
+  PopoverTrigger,
+  PopoverContent,
+  PopoverArrow,
+  PopoverBody,
+  PopoverFooter,
+  Textarea,
+  useDisclosure,
+  useToast
 } from '@chakra-ui/react';
-import { 
-  MdWarning, 
-  MdError, 
-  MdInfo, 
+import {
+  MdWarning,
+  MdError,
+  MdInfo,
   MdCheckCircle,
   MdNotifications,
   MdExpandMore,
-  MdExpandLess
+  MdExpandLess,
+  MdSnooze,
+  MdDone,
+  MdDoneAll
 } from 'react-icons/md';
 import { useCarbon } from 'contexts/CarbonContext';
+import { useAuth } from 'contexts/AuthContext';
+import alertService from 'services/alertService';
+import anomalyService from 'services/anomalyService';
+
+// Roles allowed to acknowledge, snooze and resolve (alerts:act, anomalies:manage)
+const RESPONDER_ROLES = ['platform_admin', 'institute_admin', 'department_head'];
+
+const ACTIVE_STATUSES = 'open,acknowledged,snoozed';
+
+const SNOOZE_OPTIONS = [
+  { label: '1 hour', minutes: 60 },
+  { label: '4 hours', minutes: 240 },
+  { label: '24 hours', minutes: 1440 }
+];
+
+const SEVERITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const ANOMALY_TITLES = {
+  spike: 'Consumption Spike',
+  baseload_creep: 'Night-time Baseload Creep',
+  flatline: 'Meter Flat-lined'
+};
+
+// Alert types and their configurations
+const alertTypes = {
+  alert_rule: {
+    icon: MdError,
+    status: 'error',
+    title: 'Alert'
+  },
+  consumption_anomaly: {
+    icon: MdWarning,
+    status: 'warning',
+    title: 'Consumption Anomaly'
+  },
+  // Transient notices pushed by the server
+  meter_submission_failed: {
+    icon: MdError,
+    status: 'error',
+    title: 'Meter Reading Not Recorded'
+  },
+  baseline_publish_failed: {
+    icon: MdError,
+    status: 'error',
+    title: 'Baseline Publishing Failed'
+  },
+  system_info: {
+    icon: MdInfo,
+    status: 'info',
+    title: 'System Information'
+  },
+  success: {
+    icon: MdCheckCircle,
+    status: 'success',
+    title: 'Success'
+  }
+};
+
+// Rule alerts arrive as list items (_id), live alerts (alertId) and live
+// updates (id); all map to one id so each alert is shown once
+const ruleAlert = (alert) => {
+  const alertId = alert.alertId || alert._id || alert.id;
+  const scope = alert.scope || {};
+  return {
+    id: `alert_${alertId}`,
+    alertId,
+    type: 'alert_rule',
+    title: alert.ruleName || (alert.rule && alert.rule.name),
+    severity: alert.severity,
+    status: alert.status,
+    message: alert.message,
+    timestamp: alert.triggeredAt,
+    snoozedUntil: alert.snoozedUntil,
+    building: [scope.buildingName, scope.departmentName].filter(Boolean).join(' / ')
+  };
+};
+
+// Stored anomalies and their live announcements share one id, so a severity
+// update replaces the alert instead of adding another
+const anomalyAlert = (anomaly) => ({
+  id: `anomaly_${anomaly._id || anomaly.anomalyId}`,
+  anomalyId: anomaly._id || anomaly.anomalyId,
+  type: 'consumption_anomaly',
+  title: ANOMALY_TITLES[anomaly.kind],
+  severity: anomaly.severity,
+  status: 'open',
+  message: anomaly.explanation || anomaly.message,
+  timestamp: anomaly.lastSeenAt || anomaly.timestamp,
+  building: anomaly.buildingName || anomaly.building
+});
+
+// Open alerts first, then by severity, newest first
+const byUrgency = (a, b) =>
+  (a.status === 'open' ? 0 : 1) - (b.status === 'open' ? 0 : 1) ||
+  (SEVERITY_RANK[a.severity] ?? 4) - (SEVERITY_RANK[b.severity] ?? 4) ||
+  new Date(b.timestamp) - new Date(a.timestamp);
+
+const upsert = (alerts, alert) => [...alerts.filter(prev => prev.id !== alert.id), alert].sort(byUrgency);
+
+const getSeverityColor = (severity) => {
+  if (!severity || typeof severity !== 'string') return 'gray';
+  switch (severity.toLowerCase()) {
+    case 'critical': return 'red';
+    case 'high': return 'orange';
+    case 'medium': return 'yellow';
+    case 'low': return 'green';
+    default: return 'gray';
+  }
+};
+
+const formatTimestamp = (timestamp) => {
+  try {
+    if (!timestamp) return 'Unknown time';
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return 'Invalid time';
+    return date.toLocaleTimeString();
+  } catch (error) {
+    return 'Unknown time';
+  }
+};
+
+// Anomalies are acknowledged with a note saying what was done about them
+const AcknowledgeWithNote = ({ onConfirm, isLoading }) => {
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const [note, setNote] = useState('');
+
+  const confirm = async () => {
+    if (await onConfirm(note.trim())) {
+      setNote('');
+      onClose();
+    }
+  };
+
+  return (
+    <Popover isOpen={isOpen} onOpen={onOpen} onClose={onClose} placement="bottom-start">
+      <PopoverTrigger>
+        <Button size="xs" variant="outline" leftIcon={<MdDone />}>Acknowledge</Button>
+      </PopoverTrigger>
+      <PopoverContent>
+        <PopoverArrow />
+        <PopoverBody>
+          <Textarea
+            size="sm"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="What was found or done?"
+          />
+        </PopoverBody>
+        <PopoverFooter display="flex" justifyContent="flex-end">
+          <Button size="xs" colorScheme="brand" isDisabled={!note.trim()} isLoading={isLoading} onClick={confirm}>
+            Acknowledge
+          </Button>
+        </PopoverFooter>
+      </PopoverContent>
+    </Popover>
+  );
+};
 
 const AlertSystem = () => {
+  // Server state: rule alerts and open anomalies
   const [alerts, setAlerts] = useState([]);
+  // Other live alerts, shown until dismissed
+  const [notices, setNotices] = useState([]);
   const [isExpanded, setIsExpanded] = useState(false);
-  const [thresholds] = useState({
-    energyConsumption: 3000, // kWh
-    co2Savings: 200, // tonnes
-    carbonBudget: 800, // ENTO
-    efficiency: 70 // percentage
-  });
-
-  const { getEnergyConsumptionData, dashboardData, loading } = useCarbon();
-  const [energyData, setEnergyData] = useState({
-    current: 2847,
-    efficiency: [85, 88, 82, 90, 87, 92]
-  });
-
-  // Load energy data
-  useEffect(() => {
-    if (!getEnergyConsumptionData || loading) return;
-    
-    const loadEnergyData = async () => {
-      try {
-        const data = await getEnergyConsumptionData();
-        setEnergyData(data);
-      } catch (error) {
-        console.error('Error loading energy data for alerts:', error);
-      }
-    };
-    
-    loadEnergyData();
-  }, [getEnergyConsumptionData, loading]);
-
-  // Alert types and their configurations
-  const alertTypes = {
-    energy_spike: {
-      icon: MdWarning,
-      color: 'orange',
-      status: 'warning',
-      title: 'Energy Consumption Alert'
-    },
-    co2_threshold: {
-      icon: MdError,
-      color: 'red',
-      status: 'error',
-      title: 'CO₂ Savings Alert'
-    },
-    budget_exceeded: {
-      icon: MdError,
-      color: 'red',
-      status: 'error',
-      title: 'Carbon Budget Alert'
-    },
-    efficiency_low: {
-      icon: MdWarning,
-      color: 'yellow',
-      status: 'warning',
-      title: 'Efficiency Alert'
-    },
-    system_info: {
-      icon: MdInfo,
-      color: 'blue',
-      status: 'info',
-      title: 'System Information'
-    },
-    success: {
-      icon: MdCheckCircle,
-      color: 'green',
-      status: 'success',
-      title: 'Success'
-    }
-  };
+  const [busy, setBusy] = useState(null);
 
-  // Check for threshold violations and generate alerts
-  useEffect(() => {
-    // Skip if data is not ready or we're in fallback data state
-    if (!dashboardData || !energyData || !dashboardData.instituteDisplayName) return;
-    if (dashboardData.instituteDisplayName === 'Default Institute') return;
-
-    const newAlerts = [];
-    const currentTime = new Date().toISOString();
-
-    // Check energy consumption threshold
-    if (energyData.current > thresholds.energyConsumption) {
-      newAlerts.push({
-        id: `energy_${Date.now()}`,
-        type: 'energy_spike',
-        message: `Energy consumption (${energyData.current.toLocaleString()} kWh) exceeds threshold (${thresholds.energyConsumption.toLocaleString()} kWh)`,
-        timestamp: currentTime,
-        severity: 'high',
-        building: 'Multiple Buildings'
-      });
-    }
+  const { loading, liveStatus, subscribeLive } = useCarbon();
+  const { user } = useAuth();
+  const toast = useToast();
+  const canAct = Boolean(user && RESPONDER_ROLES.includes(user.role));
 
-    // Check CO₂ savings threshold
-    if (dashboardData.co2Savings < thresholds.co2Savings) {
-      newAlerts.push({
-        id: `co2_${Date.now()}`,
-        type: 'co2_threshold',
-        message: `CO₂ savings (${dashboardData.co2Savings.toFixed(1)} tonnes) below target (${thresholds.co2Savings} tonnes)`,
-        timestamp: currentTime,
-        severity: 'high'
-      });
-    }
+  const loadAlerts = useCallback(async () => {
+    const [ruleResult, anomalyResult] = await Promise.allSettled([
+      alertService.getAlerts({ status: ACTIVE_STATUSES, limit: 20 }),
+      anomalyService.getAnomalies({ status: 'open', limit: 10 })
+    ]);
+    if (ruleResult.status === 'rejected') console.error('Error loading alerts:', ruleResult.reason);
+    if (anomalyResult.status === 'rejected') console.error('Error loading consumption anomalies:', anomalyResult.reason);
 
-    // Check carbon budget threshold
-    if (dashboardData.carbonBudgetUsed > thresholds.carbonBudget) {
-      newAlerts.push({
-        id: `budget_${Date.now()}`,
-        type: 'budget_exceeded',
-        message: `Carbon budget usage (${dashboardData.carbonBudgetUsed.toFixed(2)} ENTO) exceeds limit (${thresholds.carbonBudget} ENTO)`,
-        timestamp: currentTime,
-        severity: 'critical'
-      });
-    }
+    setAlerts([
+      ...(ruleResult.status === 'fulfilled' ? ruleResult.value.data.alerts.map(ruleAlert) : []),
+      ...(anomalyResult.status === 'fulfilled' ? anomalyResult.value.data.anomalies.map(anomalyAlert) : [])
+    ].sort(byUrgency));
+  }, []);
 
-    // Check efficiency threshold
-    const currentEfficiency = energyData.efficiency && energyData.efficiency.length > 0 
-      ? energyData.efficiency[energyData.efficiency.length - 1] 
-      : 92;
-    if (currentEfficiency < thresholds.efficiency) {
-      newAlerts.push({
-        id: `efficiency_${Date.now()}`,
-        type: 'efficiency_low',
-        message: `Energy efficiency (${currentEfficiency}%) below target (${thresholds.efficiency}%)`,
-        timestamp: currentTime,
-        severity: 'medium',
-        building: 'System Wide'
-      });
-    }
+  // Alerts raised before the dashboard was opened
+  useEffect(() => {
+    if (loading) return;
+    loadAlerts();
+  }, [loading, loadAlerts]);
 
-    // Add success alerts for good performance
-    if (currentEfficiency >= 90) {
-      newAlerts.push({
-        id: `success_${Date.now()}`,
-        type: 'success',
-        message: `Excellent energy efficiency achieved: ${currentEfficiency}%`,
-        timestamp: currentTime,
-        severity: 'low'
-      });
-    }
+  // Live events: new and reopened alerts, lifecycle changes made elsewhere,
+  // and one-off notices
+  useEffect(() => {
+    if (!subscribeLive) return undefined;
 
-    // Update alerts state
-    setAlerts(prevAlerts => {
-      const existingIds = new Set(prevAlerts.map(alert => alert.id));
-      const uniqueNewAlerts = newAlerts.filter(alert => !existingIds.has(alert.id));
-      return [...uniqueNewAlerts, ...prevAlerts].slice(0, 10); // Keep only last 10 alerts
+    return subscribeLive(({ type, data }) => {
+      if (type === 'alert' && data.alertId) {
+        setAlerts(prev => upsert(prev, ruleAlert(data)));
+      } else if (type === 'alert' && data.anomalyId) {
+        setAlerts(prev => upsert(prev, anomalyAlert(data)));
+      } else if (type === 'alert') {
+        setNotices(prev => [data, ...prev.filter(notice => notice.id !== data.id)].slice(0, 5));
+      } else if (type === 'alert.updated') {
+        const alert = ruleAlert(data);
+        setAlerts(prev => (alert.status === 'resolved'
+          ? prev.filter(item => item.id !== alert.id)
+          : upsert(prev, alert)));
+      }
     });
-  }, [dashboardData, energyData, thresholds]);
+  }, [subscribeLive]);
 
-  const dismissAlert = (alertId) => {
-    setAlerts(prevAlerts => prevAlerts.filter(alert => alert.id !== alertId));
+  // Runs an alert action and shows its result: the updated rule alert, or
+  // nothing once resolved (acknowledged anomalies leave the list too)
+  const act = async (alert, action, label) => {
+    setBusy(alert.id);
+    try {
+      const result = await action();
+      const updated = alert.type === 'alert_rule' ? ruleAlert(result.data) : null;
+      setAlerts(prev => (updated && updated.status !== 'resolved'
+        ? upsert(prev, updated)
+        : prev.filter(item => item.id !== alert.id)));
+      return true;
+    } catch (error) {
+      toast({
+        title: `Could not ${label} alert`,
+        description: error.message || 'Please try again',
+        status: 'error',
+        duration: 4000,
+        isClosable: true
+      });
+      return false;
+    } finally {
+      setBusy(null);
+    }
   };
 
-  const getSeverityColor = (severity) => {
-    if (!severity || typeof severity !== 'string') return 'gray';
-    switch (severity.toLowerCase()) {
-      case 'critical': return 'red';
-      case 'high': return 'orange';
-      case 'medium': return 'yellow';
-      case 'low': return 'green';
-      default: return 'gray';
-    }
+  const dismissNotice = (noticeId) => {
+    setNotices(prev => prev.filter(notice => notice.id !== noticeId));
   };
 
-  const formatTimestamp = (timestamp) => {
-    try {
-      if (!timestamp) return 'Unknown time';
-      const date = new Date(timestamp);
-      if (isNaN(date.getTime())) return 'Invalid time';
-      return date.toLocaleTimeString();
-    } catch (error) {
-      return 'Unknown time';
+  const renderActions = (alert) => {
+    const isLoading = busy === alert.id;
+    if (alert.type === 'consumption_anomaly') {
+      return (
+        <AcknowledgeWithNote
+          isLoading={isLoading}
+          onConfirm={(note) => act(alert, () => anomalyService.acknowledge(alert.anomalyId, note), 'acknowledge')}
+        />
+      );
     }
+    return (
+      <>
+        {alert.status !== 'acknowledged' && (
+          <Button
+            size="xs"
+            variant="outline"
+            leftIcon={<MdDone />}
+            isLoading={isLoading}
+            onClick={() => act(alert, () => alertService.acknowledge(alert.alertId), 'acknowledge')}
+          >
+            Acknowledge
+          </Button>
+        )}
+        <Menu>
+          <MenuButton as={Button} size="xs" variant="outline" leftIcon={<MdSnooze />} isDisabled={isLoading}>
+            Snooze
+          </MenuButton>
+          <MenuList minW="120px">
+            {SNOOZE_OPTIONS.map(option => (
+              <MenuItem
+                key={option.minutes}
+                fontSize="sm"
+                onClick={() => act(alert, () => alertService.snooze(alert.alertId, { minutes: option.minutes }), 'snooze')}
+              >
+                {option.label}
+              </MenuItem>
+            ))}
+          </MenuList>
+        </Menu>
+        <Button
+          size="xs"
+          variant="outline"
+          leftIcon={<MdDoneAll />}
+          isDisabled={isLoading}
+          onClick={() => act(alert, () => alertService.resolve(alert.alertId), 'resolve')}
+        >
+          Resolve
+        </Button>
+      </>
+    );
+  };
+
+  const statusLabel = (alert) => {
+    if (alert.status === 'acknowledged') return ' • Acknowledged';
+    if (alert.status === 'snoozed') return ` • Snoozed until ${formatTimestamp(alert.snoozedUntil)}`;
+    return '';
   };
 
-  const visibleAlerts = isExpanded ? alerts : alerts.slice(0, 3);
+  const allAlerts = [...notices.map(notice => ({ ...notice, notice: true })), ...alerts];
+  const visibleAlerts = isExpanded ? allAlerts : allAlerts.slice(0, 3);
 
-  // Don't render if context is not ready or data is loading
-  if (!getEnergyConsumptionData || loading) {
+  // Don't render while the dashboard is loading
+  if (loading) {
     return null;
   }
 
@@ -215,13 +355,19 @@ const AlertSystem = () => {
           <Text fontSize="lg" fontWeight="bold">
             System Alerts
           </Text>
-          {alerts.length > 0 && (
-            <Badge colorScheme={getSeverityColor(alerts[0]?.severity || 'info')}>
-              {alerts.length}
+          {allAlerts.length > 0 && (
+            <Badge colorScheme={getSeverityColor(allAlerts[0]?.severity || 'info')}>
+              {allAlerts.length}
             </Badge>
           )}
+          {liveStatus === 'live' && (
+            <Badge colorScheme="green" variant="subtle">Live</Badge>
+          )}
+          {liveStatus === 'reconnecting' && (
+            <Badge colorScheme="gray" variant="subtle">Reconnecting…</Badge>
+          )}
         </HStack>
-        {alerts.length > 3 && (
+        {allAlerts.length > 3 && (
           <Button
             size="sm"
             variant="ghost"
@@ -244,23 +390,26 @@ const AlertSystem = () => {
           visibleAlerts.filter(alert => alert && alert.id).map((alert) => {
             const alertConfig = alertTypes[alert.type] || {
               icon: MdInfo,
-              color: 'info',
               status: 'info',
               title: 'System Alert'
             };
-            const AlertIconComponent = alertConfig.icon;
-            
+            // Handled alerts stay listed but no longer demand attention
+            const status = alert.status === 'acknowledged' || alert.status === 'snoozed'
+              ? 'info'
+              : alertConfig.status || 'info';
+
             return (
               <Alert
                 key={alert.id}
-                status={alertConfig.status || 'info'}
+                status={status}
                 borderRadius="md"
                 position="relative"
+                alignItems="flex-start"
               >
-                <AlertIcon as={AlertIconComponent} />
-                <Box flex="1">
+                <AlertIcon as={alertConfig.icon} />
+                <Box flex="1" pr={alert.notice ? 6 : 0}>
                   <AlertTitle fontSize="sm">
-                    {alertConfig.title || 'Alert'}
+                    {alert.title || alertConfig.title || 'Alert'}
                     <Badge
                       ml={2}
                       colorScheme={getSeverityColor(alert.severity || 'info')}
@@ -275,15 +424,23 @@ const AlertSystem = () => {
                   <Text fontSize="xs" color="gray.500" mt={1}>
                     {alert.timestamp ? formatTimestamp(alert.timestamp) : 'Unknown time'}
                     {alert.building && ` • ${alert.building}`}
+                    {statusLabel(alert)}
                   </Text>
+                  {canAct && !alert.notice && (
+                    <HStack spacing={2} mt={2}>
+                      {renderActions(alert)}
+                    </HStack>
+                  )}
                 </Box>
-                <CloseButton
-                  position="absolute"
-                  right="8px"
-                  top="8px"
-                  size="sm"
-                  onClick={() => dismissAlert(alert.id)}
-                />
+                {alert.notice && (
+                  <CloseButton
+                    position="absolute"
+                    right="8px"
+                    top="8px"
+                    size="sm"
+                    onClick={() => dismissNotice(alert.id)}
+                  />
+                )}
               </Alert>
             );
           })
@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import Calendar from "react-calendar";
+import "react-calendar/dist/Calendar.css";
+import "assets/css/MiniCalendar.css";
+// Chakra imports
+import {
+  Button,
+  Flex,
+  Icon,
+  Popover,
+  PopoverBody,
+  PopoverContent,
+  PopoverTrigger,
+  Select,
+  SimpleGrid,
+  Text,
+  useColorModeValue,
+  useDisclosure,
+} from "@chakra-ui/react";
+import { MdChevronLeft, MdChevronRight, MdOutlineCalendarToday } from "react-icons/md";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PRESETS = [
+  { key: "7d", label: "Last 7 days", days: 7, bucket: "day" },
+  { key: "30d", label: "Last 30 days", days: 30, bucket: "day" },
+  { key: "90d", label: "Last 90 days", days: 90, bucket: "week" },
+  { key: "12m", label: "Last 12 months", months: 12, bucket: "month" },
+];
+
+const BUCKET_LABELS = { hour: "Hourly", day: "Daily", week: "Weekly", month: "Monthly" };
+
+// Buckets that keep a range within the series endpoint's point limit
+export const bucketsForRange = (from, to) => {
+  const days = (to - from) / DAY_MS;
+  return ["hour", "day", "week", "month"].filter((bucket) => bucket !== "hour" || days <= 60);
+};
+
+const defaultBucket = (from, to) => {
+  const days = (to - from) / DAY_MS;
+  if (days <= 2) return "hour";
+  if (days <= 62) return "day";
+  if (days <= 366) return "week";
+  return "month";
+};
+
+// { preset, from, to, bucket } for a preset key, ending now
+export const rangeFromPreset = (key) => {
+  const preset = PRESETS.find((p) => p.key === key) || PRESETS[1];
+  const to = new Date();
+  const from = new Date(to);
+  if (preset.months) {
+    from.setMonth(from.getMonth() - preset.months + 1, 1);
+  } else {
+    from.setDate(from.getDate() - preset.days + 1);
+  }
+  from.setHours(0, 0, 0, 0);
+  return { preset: preset.key, from, to, bucket: preset.bucket };
+};
+
+const formatDate = (date) =>
+  date.toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+
+export const rangeLabel = (range) => {
+  const preset = PRESETS.find((p) => p.key === range.preset);
+  return preset ? preset.label : `${formatDate(range.from)} – ${formatDate(range.to)}`;
+};
+
+export default function DateRangePicker(props) {
+  const { value, onChange, ...rest } = props;
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const [custom, setCustom] = useState(null);
+
+  const textColorSecondary = useColorModeValue("secondaryGray.600", "white");
+  const boxBg = useColorModeValue("secondaryGray.300", "whiteAlpha.100");
+  const menuBg = useColorModeValue("white", "navy.800");
+
+  const selectPreset = (key) => {
+    onChange(rangeFromPreset(key));
+    onClose();
+  };
+
+  // The calendar returns [start, end] once both ends are picked
+  const selectCustom = ([start, end]) => {
+    setCustom([start, end]);
+    const to = new Date(end);
+    to.setHours(23, 59, 59, 999);
+    onChange({ preset: "custom", from: start, to, bucket: defaultBucket(start, to) });
+    onClose();
+  };
+
+  const buckets = bucketsForRange(value.from, value.to);
+
+  return (
+    <Flex align='center' {...rest}>
+      <Popover isOpen={isOpen} onOpen={onOpen} onClose={onClose} placement='bottom-start'>
+        <PopoverTrigger>
+          <Button
+            bg={boxBg}
+            fontSize='sm'
+            fontWeight='500'
+            color={textColorSecondary}
+            borderRadius='7px'>
+            <Icon as={MdOutlineCalendarToday} color={textColorSecondary} me='4px' />
+            {rangeLabel(value)}
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent bg={menuBg} w='auto' border='none' boxShadow='lg'>
+          <PopoverBody p='15px'>
+            <SimpleGrid columns={2} spacing='8px' mb='12px'>
+              {PRESETS.map((preset) => (
+                <Button
+                  key={preset.key}
+                  size='sm'
+                  variant={value.preset === preset.key ? "brand" : "outline"}
+                  onClick={() => selectPreset(preset.key)}>
+                  {preset.label}
+                </Button>
+              ))}
+            </SimpleGrid>
+            <Text fontSize='sm' fontWeight='500' color={textColorSecondary} mb='6px' textAlign='start'>
+              Custom range
+            </Text>
+            <Calendar
+              selectRange
+              onChange={selectCustom}
+              value={custom || [value.from, value.to]}
+              maxDate={new Date()}
+              view={"month"}
+              prevLabel={<Icon as={MdChevronLeft} w='24px' h='24px' mt='4px' />}
+              nextLabel={<Icon as={MdChevronRight} w='24px' h='24px' mt='4px' />}
+            />
+          </PopoverBody>
+        </PopoverContent>
+      </Popover>
+      <Select
+        ms='8px'
+        w='auto'
+        size='sm'
+        variant='filled'
+        value={value.bucket}
+        onChange={(e) => onChange({ ...value, bucket: e.target.value })}>
+        {buckets.map((bucket) => (
+          <option key={bucket} value={bucket}>{BUCKET_LABELS[bucket]}</option>
+        ))}
+      </Select>
+    </Flex>
+  );
+}
@@ -17,6 +17,19 @@ class ColumnChart extends Component {
     });
   }
 
+  // Charts fed by a date range get new data after mounting
+  componentDidUpdate(prevProps) {
+    if (
+      prevProps.chartData !== this.props.chartData ||
+      prevProps.chartOptions !== this.props.chartOptions
+    ) {
+      this.setState({
+        chartData: this.props.chartData,
+        chartOptions: this.props.chartOptions,
+      });
+    }
+  }
+
   render() {
     return (
       <ReactApexChart
@@ -18,6 +18,19 @@ class LineChart extends React.Component {
     });
   }
 
+  // Charts fed by a date range get new data after mounting
+  componentDidUpdate(prevProps) {
+    if (
+      prevProps.chartData !== this.props.chartData ||
+      prevProps.chartOptions !== this.props.chartOptions
+    ) {
+      this.setState({
+        chartData: this.props.chartData,
+        chartOptions: this.props.chartOptions,
+      });
+    }
+  }
+
   render() {
     return (
       <ReactApexChart
@@ -29,11 +29,12 @@ export default function HeaderLinks(props) {
   const { secondary } = props;
   const { colorMode, toggleColorMode } = useColorMode();
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { user, logout, logoutAll } = useAuth();
 
   // Handle logout
-  const handleLogout = () => {
-    // Clear any stored authentication data (localStorage, sessionStorage, etc.)
+  const handleLogout = async () => {
+    // End the session on the server, then clear any stored data (localStorage, sessionStorage, etc.)
+    await logout();
     localStorage.clear();
     sessionStorage.clear();
     
@@ -41,6 +42,18 @@ export default function HeaderLinks(props) {
     navigate('/auth/sign-in');
   };
 
+  // Handle logout on every device (revokes all refresh tokens)
+  const handleLogoutAll = async () => {
+    try {
+      await logoutAll();
+    } catch (error) {
+      console.error('Logout all error:', error);
+    }
+    localStorage.clear();
+    sessionStorage.clear();
+    navigate('/auth/sign-in');
+  };
+
   // Handle profile settings navigation
   const handleProfileSettings = () => {
     navigate('/admin/profile');
@@ -178,6 +191,16 @@ export default function HeaderLinks(props) {
             >
               <Text fontSize="sm">Log out</Text>
             </MenuItem>
+            <MenuItem
+              _hover={{ bg: 'none' }}
+              _focus={{ bg: 'none' }}
+              color="red.400"
+              borderRadius="8px"
+              px="14px"
+              onClick={handleLogoutAll}
+            >
+              <Text fontSize="sm">Log out of all devices</Text>
+            </MenuItem>
           </Flex>
         </MenuList>
       </Menu>
@@ -24,7 +24,7 @@ import { generateInitials, getDisplayName } from "utils/userUtils";
 export default function WalletNavbar(props) {
   const [scrolled, setScrolled] = useState(false);
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { user, logout } = useAuth();
 
   useEffect(() => {
     window.addEventListener("scroll", changeNavbar);
@@ -42,7 +42,8 @@ export default function WalletNavbar(props) {
   };
 
   // Handle logout
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    await logout();
     localStorage.clear();
     sessionStorage.clear();
     navigate('/auth/sign-in');
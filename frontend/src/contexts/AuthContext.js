@@ -82,12 +82,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    authService.logout();
+  const logout = async () => {
+    await authService.logout();
     setUser(null);
     setIsAuthenticated(false);
   };
 
+  const logoutAll = async () => {
+    try {
+      return await authService.logoutAll();
+    } finally {
+      setUser(null);
+      setIsAuthenticated(false);
+    }
+  };
+
   const updateUserData = async (newUserData) => {
     try {
       const currentUser = JSON.parse(localStorage.getItem('userData') || '{}');
@@ -107,6 +116,7 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutAll,
     updateUserData,
     checkAuthStatus
   };
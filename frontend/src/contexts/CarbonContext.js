@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 import carbonDataService from '../services/carbonDataService';
+import { connectLiveUpdates } from '../services/liveUpdates';
 import { useAuth } from './AuthContext';
 
 const CarbonContext = createContext();
@@ -16,7 +17,12 @@ export const useCarbon = () => {
       purchaseCarbonOffset: async () => ({ success: false, error: 'Context not available' }),
       recordEnergyConsumption: async () => ({ success: false, error: 'Context not available' }),
       getEnergyConsumptionData: async () => ({ current: 2847, monthly: [2850, 3200, 2800, 3100, 2900, 2847], efficiency: [85, 88, 82, 90, 87, 92], buildings: { 'Building A': 35, 'Building B': 28, 'Building C': 22, 'Building D': 15 } }),
-      refreshData: () => {}
+      getSeries: async () => { throw new Error('Context not available'); },
+      refreshData: () => {},
+      liveStatus: 'closed',
+      recentTransactions: [],
+      chainEvents: [],
+      subscribeLive: () => () => {}
     };
   }
   return context;
@@ -27,11 +33,17 @@ export const CarbonProvider = ({ children }) => {
   const [dashboardData, setDashboardData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [liveStatus, setLiveStatus] = useState('closed');
+  const [recentTransactions, setRecentTransactions] = useState([]);
+  const [chainEvents, setChainEvents] = useState([]);
+  const liveListeners = useRef(new Set());
+  const resyncTimer = useRef(null);
 
   // Load dashboard data from API (institute-filtered)
-  const loadDashboardData = async () => {
+  // quiet: background resync after live events, without the loading state
+  const loadDashboardData = async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       setError(null);
       console.log('Loading dashboard data from API...');
       const data = await carbonDataService.getDashboardData();
@@ -64,10 +76,51 @@ export const CarbonProvider = ({ children }) => {
       }
       setDashboardData(null);
     } finally {
-      setLoading(false);
+      if (!quiet) setLoading(false);
+    }
+  };
+
+  // Live events carry deltas; the aggregates (averages, trends) are
+  // recomputed by the API, so fetch them again once a burst has settled
+  const scheduleResync = () => {
+    clearTimeout(resyncTimer.current);
+    resyncTimer.current = setTimeout(() => loadDashboardData({ quiet: true }), 5000);
+  };
+
+  const applyLiveEvent = (message) => {
+    const { type, data } = message;
+
+    if (type === 'readings' && data.readings && data.readings.length > 0) {
+      const latest = data.readings[data.readings.length - 1];
+      setDashboardData(prev => prev && {
+        ...prev,
+        currentEnergyConsumption: latest.energyConsumption ?? prev.currentEnergyConsumption,
+        lastUpdated: latest.timestamp,
+        dataPoints: (prev.dataPoints || 0) + data.count
+      });
+      scheduleResync();
+    } else if (type === 'wallet.transaction') {
+      setRecentTransactions(prev => [{ ...data.transaction, userId: data.userId }, ...prev].slice(0, 20));
+      scheduleResync();
+    } else if (type === 'chain.event') {
+      setChainEvents(prev => [data, ...prev].slice(0, 20));
     }
+
+    liveListeners.current.forEach((listener) => {
+      try {
+        listener(message);
+      } catch (err) {
+        console.error('Live event listener error:', err);
+      }
+    });
   };
 
+  // Components (e.g. AlertSystem) subscribe to raw live events; returns unsubscribe
+  const subscribeLive = useCallback((listener) => {
+    liveListeners.current.add(listener);
+    return () => liveListeners.current.delete(listener);
+  }, []);
+
   // Update wallet balance
   const updateWalletBalance = async (amount, type = 'credit') => {
     try {
@@ -79,10 +132,10 @@ export const CarbonProvider = ({ children }) => {
     }
   };
 
-  // Purchase carbon offset
-  const purchaseCarbonOffset = async (amount, description = 'Carbon offset purchase') => {
+  // Buy and retire offsets from a catalog project ({ projectId, tonnes, beneficiary, purpose })
+  const purchaseCarbonOffset = async (purchase) => {
     try {
-      const result = await carbonDataService.purchaseCarbonOffset(amount, description);
+      const result = await carbonDataService.purchaseCarbonOffset(purchase);
       loadDashboardData();
       return { success: true, ...result };
     } catch (err) {
@@ -135,6 +188,9 @@ export const CarbonProvider = ({ children }) => {
     }
   };
 
+  // Get chart series for a date range; errors are left to the chart to show
+  const getSeries = useCallback((params) => carbonDataService.getSeries(params), []);
+
   // Refresh data
   const refreshData = () => {
     loadDashboardData();
@@ -153,6 +209,27 @@ export const CarbonProvider = ({ children }) => {
     }
   }, [user, isAuthenticated]); // Reload data whenever user changes
 
+  // The stream outlives renders; always apply events with the latest handler
+  const applyLiveEventRef = useRef(applyLiveEvent);
+  applyLiveEventRef.current = applyLiveEvent;
+  const userId = user?.id;
+
+  // Push channel for the user's institute
+  useEffect(() => {
+    if (!isAuthenticated || !userId) return undefined;
+
+    const disconnect = connectLiveUpdates({
+      onEvent: (message) => applyLiveEventRef.current(message),
+      onStatus: setLiveStatus
+    });
+    return () => {
+      disconnect();
+      clearTimeout(resyncTimer.current);
+      setRecentTransactions([]);
+      setChainEvents([]);
+    };
+  }, [userId, isAuthenticated]); // Reconnect when the signed-in user changes
+
   const value = {
     dashboardData,
     loading,
@@ -162,23 +239,16 @@ export const CarbonProvider = ({ children }) => {
     recordEnergyConsumption,
     getEnergyConsumptionData,
     getWeeklyEnergyData,
-    refreshData
+    getSeries,
+    refreshData,
+    liveStatus,
+    recentTransactions,
+    chainEvents,
+    subscribeLive
   };
 
   return (
-    <CarbonContext.Provider
-      value={{
-        dashboardData,
-        loading,
-        error,
-        updateWalletBalance,
-        purchaseCarbonOffset,
-        recordEnergyConsumption,
-        getEnergyConsumptionData,
-        getWeeklyEnergyData,
-        refreshData
-      }}
-    >
+    <CarbonContext.Provider value={value}>
       {children}
     </CarbonContext.Provider>
   );
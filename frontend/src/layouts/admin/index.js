@@ -5,9 +5,10 @@ import Footer from 'components/footer/FooterAdmin.js';
 import Navbar from 'components/navbar/NavbarAdmin.js';
 import Sidebar from 'components/sidebar/Sidebar.js';
 import { SidebarContext } from 'contexts/SidebarContext';
+import { useAuth } from 'contexts/AuthContext';
 import React, { useState } from 'react';
 import { Navigate, Route, Routes } from 'react-router-dom';
-import routes from 'routes.js';
+import allRoutes from 'routes.js';
 
 // Custom Chakra theme
 export default function Dashboard(props) {
@@ -15,6 +16,11 @@ export default function Dashboard(props) {
   // states and functions
   const [fixed] = useState(false);
   const [toggleSidebar, setToggleSidebar] = useState(false);
+  const { user } = useAuth();
+  // Routes with a `roles` list are only shown to (and mounted for) those roles
+  const routes = allRoutes.filter(
+    (route) => !route.roles || (user && route.roles.includes(user.role)),
+  );
   // functions for changing the states from components
   const getRoute = () => {
     return window.location.pathname !== '/admin/full-screen-maps';
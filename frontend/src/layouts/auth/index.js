@@ -11,6 +11,7 @@ import { SidebarContext } from 'contexts/SidebarContext';
 import SignIn from 'views/auth/signIn';
 import SignUp from 'views/auth/signUp';
 import ForgotPassword from 'views/auth/forgotPassword';
+import ResetPassword from 'views/auth/resetPassword';
 
 // Custom Chakra theme
 export default function Auth() {
@@ -49,6 +50,7 @@ export default function Auth() {
                 <Route path="/sign-in" element={<SignIn />} />
                 <Route path="/sign-up" element={<SignUp />} />
                 <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
                 <Route
                   path="/"
                   element={<Navigate to="/auth/sign-in" replace />}
@@ -6,6 +6,10 @@ import {
   MdForest,
   MdPublic,
   MdEmojiEvents,
+  MdFactCheck,
+  MdCompareArrows,
+  MdEco,
+  MdAssessment,
 } from 'react-icons/md';
 
 // Use folder names—these will use the index.jsx in each folder
@@ -15,6 +19,10 @@ import DataTables from 'views/admin/dataTables';
 import Profile from 'views/admin/profile';
 import Leaderboard from 'views/admin/leaderboard';
 import Wallet from 'views/admin/wallet';
+import Baselines from 'views/admin/baselines';
+import Reconciliation from 'views/admin/reconciliation';
+import Offsets from 'views/admin/offsets';
+import Reports from 'views/admin/reports';
 
 
 const routes = [
@@ -53,6 +61,37 @@ const routes = [
     icon: <Icon as={MdPublic} width="20px" height="20px" color="inherit" />,
     component: <Wallet />,
   },
+  {
+    name: 'Offsets',
+    layout: '/admin',
+    path: '/offsets',
+    icon: <Icon as={MdEco} width="20px" height="20px" color="inherit" />,
+    component: <Offsets />,
+  },
+  {
+    name: 'Reports',
+    layout: '/admin',
+    path: '/reports',
+    roles: ['platform_admin', 'institute_admin', 'department_head'],
+    icon: <Icon as={MdAssessment} width="20px" height="20px" color="inherit" />,
+    component: <Reports />,
+  },
+  {
+    name: 'Baselines',
+    layout: '/admin',
+    path: '/baselines',
+    roles: ['platform_admin', 'institute_admin'],
+    icon: <Icon as={MdFactCheck} width="20px" height="20px" color="inherit" />,
+    component: <Baselines />,
+  },
+  {
+    name: 'Reconciliation',
+    layout: '/admin',
+    path: '/reconciliation',
+    roles: ['platform_admin', 'institute_admin'],
+    icon: <Icon as={MdCompareArrows} width="20px" height="20px" color="inherit" />,
+    component: <Reconciliation />,
+  },
 ];
 
 export default routes;
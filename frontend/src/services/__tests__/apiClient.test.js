@@ -0,0 +1,68 @@
+/**
+ * Tests for the apiClient session handling: expired access tokens are
+ * refreshed once, except on the endpoints that start or end a session
+ */
+
+import axios, { AxiosError } from 'axios';
+import apiClient from '../apiClient';
+
+const respond = (config, status, data) => {
+  const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+  return status >= 400
+    ? Promise.reject(new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', config, {}, response))
+    : Promise.resolve(response);
+};
+
+describe('apiClient', () => {
+  let requests;
+  let refreshes;
+
+  beforeEach(() => {
+    requests = [];
+    refreshes = 0;
+    localStorage.setItem('authToken', 'expired-token');
+    localStorage.setItem('refreshToken', 'refresh-1');
+
+    // The API only accepts the refreshed access token
+    apiClient.defaults.adapter = (config) => {
+      requests.push({ url: config.url, authorization: config.headers.Authorization });
+      return config.headers.Authorization === 'Bearer fresh-token'
+        ? respond(config, 200, { success: true })
+        : respond(config, 401, { success: false, message: 'Token expired' });
+    };
+    // Token refresh goes through plain axios
+    axios.defaults.adapter = (config) => {
+      refreshes++;
+      return respond(config, 200, { success: true, data: { token: 'fresh-token', refreshToken: 'refresh-2' } });
+    };
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('refreshes an expired token before logging out of all devices', async () => {
+    const response = await apiClient.post('/auth/logout-all');
+
+    expect(response.status).toBe(200);
+    expect(refreshes).toBe(1);
+    expect(requests.map(request => request.authorization)).toEqual(['Bearer expired-token', 'Bearer fresh-token']);
+    expect(localStorage.getItem('refreshToken')).toBe('refresh-2');
+  });
+
+  it('refreshes an expired token for ordinary requests', async () => {
+    const response = await apiClient.get('/carbon-data/dashboard?period=month');
+
+    expect(response.status).toBe(200);
+    expect(refreshes).toBe(1);
+  });
+
+  it('does not refresh on session endpoints', async () => {
+    await expect(apiClient.post('/auth/logout', { refreshToken: 'refresh-1' })).rejects.toMatchObject({
+      response: { status: 401 }
+    });
+
+    expect(refreshes).toBe(0);
+    expect(requests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,106 @@
+import apiClient from './apiClient';
+
+// Alerts raised by the server-side rules engine, and the rules themselves
+const alertService = {
+  getAlerts: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/alerts', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getAlert: async (id) => {
+    try {
+      const response = await apiClient.get(`/alerts/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  acknowledge: async (id, note) => {
+    try {
+      const response = await apiClient.post(`/alerts/${id}/acknowledge`, { note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  // { minutes } or { until }
+  snooze: async (id, options) => {
+    try {
+      const response = await apiClient.post(`/alerts/${id}/snooze`, options);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  resolve: async (id, note) => {
+    try {
+      const response = await apiClient.post(`/alerts/${id}/resolve`, { note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getMetrics: async () => {
+    try {
+      const response = await apiClient.get('/alerts/metrics');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getRules: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/alerts/rules', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  createRule: async (rule) => {
+    try {
+      const response = await apiClient.post('/alerts/rules', rule);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  updateRule: async (id, changes) => {
+    try {
+      const response = await apiClient.put(`/alerts/rules/${id}`, changes);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  deleteRule: async (id) => {
+    try {
+      const response = await apiClient.delete(`/alerts/rules/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  evaluate: async (instituteId) => {
+    try {
+      const response = await apiClient.post('/alerts/evaluate', instituteId ? { instituteId } : {});
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+};
+
+export default alertService;
@@ -0,0 +1,33 @@
+import apiClient from './apiClient';
+
+// Consumption anomalies found by the server-side detector
+const anomalyService = {
+  getAnomalies: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/anomalies', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getAnomaly: async (id) => {
+    try {
+      const response = await apiClient.get(`/anomalies/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  acknowledge: async (id, note) => {
+    try {
+      const response = await apiClient.post(`/anomalies/${id}/acknowledge`, { note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+};
+
+export default anomalyService;
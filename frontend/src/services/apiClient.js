@@ -10,6 +10,38 @@ const apiClient = axios.create({
   },
 });
 
+// Endpoints that must never trigger a refresh (they are how sessions start or end)
+const SESSION_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// One refresh at a time; concurrent 401s wait for the same result
+let refreshPromise = null;
+
+const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('userData');
+};
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor to add auth token
 apiClient.interceptors.request.use(
   (config) => {
@@ -24,30 +56,42 @@ apiClient.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle auth errors
+// Response interceptor: refresh the access token once on 401, then give up
 apiClient.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      // Check if we're already on login/register pages - don't redirect
-      const currentPath = window.location.pathname;
-      const isAuthPage = currentPath.includes('/auth/');
-      
-      if (!isAuthPage) {
-        // Only redirect if not already on an auth page
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('userData');
-        window.location.href = '/auth/sign-in';
-      } else {
-        // If already on auth page, just clear any existing tokens but don't redirect
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('userData');
+  async (error) => {
+    const original = error.config;
+    // Whole paths only: /auth/logout-all is a normal request and must refresh like one
+    const requestPath = (original?.url || '').split('?')[0];
+    const isSessionEndpoint = SESSION_ENDPOINTS.some((path) => requestPath.endsWith(path));
+
+    if (error.response?.status !== 401 || !original || isSessionEndpoint) {
+      return Promise.reject(error);
+    }
+
+    if (!original._retried && localStorage.getItem('refreshToken')) {
+      original._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        original.headers.Authorization = `Bearer ${token}`;
+        return apiClient(original);
+      } catch (refreshError) {
+        // Fall through to sign-out below
       }
     }
+
+    clearSession();
+
+    // Check if we're already on login/register pages - don't redirect
+    const isAuthPage = window.location.pathname.includes('/auth/');
+    if (!isAuthPage) {
+      window.location.href = '/auth/sign-in';
+    }
     return Promise.reject(error);
   }
 );
 
-export default apiClient;
\ No newline at end of file
+export { refreshAccessToken, clearSession };
+export default apiClient;
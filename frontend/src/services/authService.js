@@ -1,4 +1,10 @@
-import apiClient from './apiClient';
+import apiClient, { clearSession } from './apiClient';
+
+const storeSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem('authToken', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('userData', JSON.stringify(user));
+};
 
 const authService = {
   register: async (userData) => {
@@ -6,8 +12,7 @@ const authService = {
       const response = await apiClient.post('/auth/register', userData);
       
       if (response.data.success) {
-        localStorage.setItem('authToken', response.data.data.token);
-        localStorage.setItem('userData', JSON.stringify(response.data.data.user));
+        storeSession(response.data.data);
       }
       
       return response.data;
@@ -21,8 +26,7 @@ const authService = {
       const response = await apiClient.post('/auth/login', credentials);
       
       if (response.data.success) {
-        localStorage.setItem('authToken', response.data.data.token);
-        localStorage.setItem('userData', JSON.stringify(response.data.data.user));
+        storeSession(response.data.data);
       }
       
       return response.data;
@@ -31,9 +35,47 @@ const authService = {
     }
   },
 
-  logout: () => {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('userData');
+  // Ends this device's session on the server; local state is cleared even if that fails
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      if (refreshToken) {
+        await apiClient.post('/auth/logout', { refreshToken });
+      }
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      clearSession();
+    }
+  },
+
+  logoutAll: async () => {
+    try {
+      const response = await apiClient.post('/auth/logout-all');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    } finally {
+      clearSession();
+    }
+  },
+
+  forgotPassword: async (email) => {
+    try {
+      const response = await apiClient.post('/auth/forgot-password', { email });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  resetPassword: async ({ token, password, confirmPassword }) => {
+    try {
+      const response = await apiClient.post('/auth/reset-password', { token, password, confirmPassword });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
   },
 
   getCurrentUser: () => {
@@ -41,8 +83,9 @@ const authService = {
     return userData ? JSON.parse(userData) : null;
   },
 
+  // An expired access token is fine as long as a refresh token can renew it
   isAuthenticated: () => {
-    const token = localStorage.getItem('authToken');
+    const token = localStorage.getItem('authToken') || localStorage.getItem('refreshToken');
     const userData = localStorage.getItem('userData');
     return !!(token && userData);
   },
@@ -0,0 +1,77 @@
+import apiClient from './apiClient';
+
+const baselineService = {
+  getProposals: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/baseline-proposals', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getProposal: async (id) => {
+    try {
+      const response = await apiClient.get(`/baseline-proposals/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  generateProposal: async (month, instituteId) => {
+    try {
+      const response = await apiClient.post('/baseline-proposals', { month, instituteId });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  updateLines: async (id, lines) => {
+    try {
+      const response = await apiClient.put(`/baseline-proposals/${id}/lines`, { lines });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  approveProposal: async (id, note) => {
+    try {
+      const response = await apiClient.post(`/baseline-proposals/${id}/approve`, { note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  rejectProposal: async (id, note) => {
+    try {
+      const response = await apiClient.post(`/baseline-proposals/${id}/reject`, { note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  retryProposal: async (id) => {
+    try {
+      const response = await apiClient.post(`/baseline-proposals/${id}/retry`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getReport: async (id) => {
+    try {
+      const response = await apiClient.get(`/baseline-proposals/${id}/report`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+};
+
+export default baselineService;
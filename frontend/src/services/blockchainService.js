@@ -91,7 +91,10 @@ class BlockchainService {
       consumption: consumptionData.consumption,
       timestamp: new Date().toISOString(),
       instituteId: consumptionData.instituteId,
-      carbonFootprint: consumptionData.consumption * 0.4, // 0.4 kg CO2 per kWh
+      // co2Impact (tonnes CO2e) and its factor version come from the transaction
+      // returned by POST /api/carbon-data/energy-consumption
+      carbonFootprint: consumptionData.co2Impact,
+      emissionFactor: consumptionData.emissionFactor,
       energyEfficiency: consumptionData.efficiency || 85
     };
 
@@ -2,6 +2,13 @@
 // This service handles all carbon-related data including wallet, savings, and consumption
 // Now supports institute-specific data isolation through backend API
 import axios from 'axios';
+import { refreshAccessToken } from './apiClient';
+
+// Wallet writes carry an Idempotency-Key: one per logical operation, reused
+// when the same operation is retried, so it is never applied twice
+export const newIdempotencyKey = () => (window.crypto && window.crypto.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
 
 class CarbonDataService {
   constructor() {
@@ -18,12 +25,27 @@ class CarbonDataService {
     };
   }
 
+  // fetch with auth headers; renews an expired access token once, like apiClient
+  async fetchWithAuth(url, options = {}) {
+    const request = () => fetch(url, { ...options, headers: { ...this.getAuthHeaders(), ...options.headers } });
+    const response = await request();
+    if (response.status !== 401 || !localStorage.getItem('refreshToken')) {
+      return response;
+    }
+
+    try {
+      await refreshAccessToken();
+    } catch (error) {
+      return response;
+    }
+    return request();
+  }
+
   // Get dashboard data from backend API (institute-filtered)
   async getDashboardData() {
     try {
-      const response = await fetch(`${this.carbonDataEndpoint}/dashboard`, {
-        method: 'GET',
-        headers: this.getAuthHeaders()
+      const response = await this.fetchWithAuth(`${this.carbonDataEndpoint}/dashboard`, {
+        method: 'GET'
       });
       
       if (!response.ok) {
@@ -44,19 +66,20 @@ class CarbonDataService {
   }
 
   // Update wallet balance through API
-  async updateWalletBalance(amount, type = 'credit') {
+  async updateWalletBalance(amount, type = 'credit', idempotencyKey = newIdempotencyKey()) {
     try {
-      const response = await fetch(`${this.carbonDataEndpoint}/wallet-balance`, {
+      const response = await this.fetchWithAuth(`${this.carbonDataEndpoint}/wallet-balance`, {
         method: 'PUT',
-        headers: this.getAuthHeaders(),
+        headers: { 'Idempotency-Key': idempotencyKey },
         body: JSON.stringify({ amount, type })
       });
-      
+
+      // A 400 explains why, e.g. an overdraft the ledger refused
+      const result = await response.json().catch(() => ({}));
       if (!response.ok) {
-        throw new Error(`API Error: ${response.status}`);
+        throw new Error(result.message || `API Error: ${response.status}`);
       }
-      
-      const result = await response.json();
+
       if (result.success) {
         return result;
       } else {
@@ -68,20 +91,21 @@ class CarbonDataService {
     }
   }
 
-  // Purchase carbon offset through API
-  async purchaseCarbonOffset(amount, description = 'Carbon offset purchase') {
+  // Buy offsets from a catalog project; the response carries the retired serial range
+  async purchaseCarbonOffset({ projectId, tonnes, beneficiary, purpose }, idempotencyKey = newIdempotencyKey()) {
     try {
-      const response = await fetch(`${this.carbonDataEndpoint}/carbon-offset`, {
+      const response = await this.fetchWithAuth(`${this.carbonDataEndpoint}/carbon-offset`, {
         method: 'POST',
-        headers: this.getAuthHeaders(),
-        body: JSON.stringify({ amount, description })
+        headers: { 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify({ projectId, tonnes, beneficiary, purpose })
       });
-      
+
+      // A 409 means the project sold out or changed price meanwhile
+      const result = await response.json().catch(() => ({}));
       if (!response.ok) {
-        throw new Error(`API Error: ${response.status}`);
+        throw new Error(result.message || `API Error: ${response.status}`);
       }
-      
-      const result = await response.json();
+
       if (result.success) {
         return result;
       } else {
@@ -94,19 +118,20 @@ class CarbonDataService {
   }
 
   // Record energy consumption through API
-  async recordEnergyConsumption(consumption, building = 'Building A') {
+  async recordEnergyConsumption(consumption, building = 'Building A', idempotencyKey = newIdempotencyKey()) {
     try {
-      const response = await fetch(`${this.carbonDataEndpoint}/energy-consumption`, {
+      const response = await this.fetchWithAuth(`${this.carbonDataEndpoint}/energy-consumption`, {
         method: 'POST',
-        headers: this.getAuthHeaders(),
+        headers: { 'Idempotency-Key': idempotencyKey },
         body: JSON.stringify({ consumption, building })
       });
-      
+
+      // A 409 means the department's carbon budget is exhausted; keep the reason
+      const result = await response.json().catch(() => ({}));
       if (!response.ok) {
-        throw new Error(`API Error: ${response.status}`);
+        throw new Error(result.message || `API Error: ${response.status}`);
       }
-      
-      const result = await response.json();
+
       if (result.success) {
         return result;
       } else {
@@ -121,9 +146,8 @@ class CarbonDataService {
   // Get institute analytics through API
   async getInstituteAnalytics() {
     try {
-      const response = await fetch(`${this.carbonDataEndpoint}/institute-analytics`, {
-        method: 'GET',
-        headers: this.getAuthHeaders()
+      const response = await this.fetchWithAuth(`${this.carbonDataEndpoint}/institute-analytics`, {
+        method: 'GET'
       });
       
       if (!response.ok) {
@@ -142,6 +166,83 @@ class CarbonDataService {
     }
   }
 
+  // Get weather-normalized baselines (expected vs actual consumption and savings)
+  async getBaselines(params = {}) {
+    try {
+      const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+      ).toString();
+      const response = await this.fetchWithAuth(`${this.carbonDataEndpoint}/baselines${query ? `?${query}` : ''}`, {
+        method: 'GET'
+      });
+
+      if (!response.ok) {
+        throw new Error(`API Error: ${response.status}`);
+      }
+
+      const result = await response.json();
+      if (result.success) {
+        return result.data;
+      } else {
+        throw new Error(result.message || 'Failed to fetch baselines');
+      }
+    } catch (error) {
+      console.error('Error fetching baselines:', error);
+      return null;
+    }
+  }
+
+  // Get chart series for a date range ({ from, to, bucket, metric, groupBy })
+  async getSeries(params = {}) {
+    const query = new URLSearchParams(
+      Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => [key, value instanceof Date ? value.toISOString() : value])
+    ).toString();
+    const response = await this.fetchWithAuth(`${this.carbonDataEndpoint}/series${query ? `?${query}` : ''}`, {
+      method: 'GET'
+    });
+
+    // 400s explain what is wrong with the range, so pass the message on
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `API Error: ${response.status}`);
+    }
+    return result.data;
+  }
+
+  // One page of wallet transactions ({ type, status, from, to, building, minAmount, maxAmount, sort, limit, cursor, includeSummary })
+  async getTransactions(params = {}) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+    const response = await this.fetchWithAuth(`${this.carbonDataEndpoint}/transactions${query ? `?${query}` : ''}`, {
+      method: 'GET'
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `API Error: ${response.status}`);
+    }
+    return result.data;
+  }
+
+  // Every transaction matching the filters as a csv, xlsx or json file (Blob)
+  async exportTransactions(params = {}, format = 'csv') {
+    const query = new URLSearchParams(
+      Object.entries({ ...params, format }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+    const response = await this.fetchWithAuth(`${this.carbonDataEndpoint}/transactions/export?${query}`, {
+      method: 'GET'
+    });
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || `API Error: ${response.status}`);
+    }
+    return response.blob();
+  }
+
   // Legacy compatibility methods - these will use the main dashboard data
   async getWalletBalance() {
     try {
@@ -296,11 +397,11 @@ class CarbonDataService {
   async addTransaction(transaction) {
     try {
       if (transaction.type === 'credit' || transaction.type === 'debit') {
-        return await this.updateWalletBalance(transaction.amount, transaction.type);
+        return await this.updateWalletBalance(transaction.amount, transaction.type, transaction.idempotencyKey);
       } else if (transaction.type === 'offset_purchase') {
-        return await this.purchaseCarbonOffset(transaction.amount, transaction.description);
+        return await this.purchaseCarbonOffset(transaction, transaction.idempotencyKey);
       } else if (transaction.type === 'energy_consumption') {
-        return await this.recordEnergyConsumption(transaction.consumption || transaction.amount, transaction.building);
+        return await this.recordEnergyConsumption(transaction.consumption || transaction.amount, transaction.building, transaction.idempotencyKey);
       }
       
       throw new Error('Unknown transaction type');
@@ -0,0 +1,69 @@
+import apiClient from './apiClient';
+
+const invitationService = {
+  // Public: what an invite link is for (institute, email, role)
+  lookup: async (token) => {
+    try {
+      const response = await apiClient.get(`/invitations/lookup/${encodeURIComponent(token)}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getInvitations: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/invitations', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  createInvitation: async (invitation) => {
+    try {
+      const response = await apiClient.post('/invitations', invitation);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  resendInvitation: async (id, expiresInDays) => {
+    try {
+      const response = await apiClient.post(`/invitations/${id}/resend`, { expiresInDays });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  revokeInvitation: async (id) => {
+    try {
+      const response = await apiClient.delete(`/invitations/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getEnrollmentPolicy: async (instituteId) => {
+    try {
+      const response = await apiClient.get(`/institutes/${instituteId}/enrollment`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  updateEnrollmentPolicy: async (instituteId, policy) => {
+    try {
+      const response = await apiClient.put(`/institutes/${instituteId}/enrollment`, policy);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+};
+
+export default invitationService;
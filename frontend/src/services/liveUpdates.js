@@ -0,0 +1,137 @@
+// Live dashboard events from GET /api/events/stream (Server-Sent Events).
+// EventSource can not send an Authorization header, so the stream is read with
+// fetch. Dropped connections are retried with exponential backoff; the last
+// event id is sent on reconnect so missed events are replayed by the server.
+import { refreshAccessToken } from './apiClient';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// Parse one "event: x\ndata: y" block
+const parseFrame = (frame) => {
+  const message = { event: 'message', data: '', id: null };
+  frame.split('\n').forEach((line) => {
+    if (!line || line.startsWith(':')) return;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'event') message.event = value;
+    if (field === 'data') message.data += message.data ? `\n${value}` : value;
+    if (field === 'id') message.id = value;
+  });
+  return message;
+};
+
+/**
+ * Follow the current user's institute events
+ * @param {Object} handlers
+ * @param {Function} handlers.onEvent - Called with { id, type, data, at }
+ * @param {Function} [handlers.onStatus] - 'connecting' | 'live' | 'reconnecting' | 'closed'
+ * @param {string} [handlers.instituteId] - Institute to follow (platform admins)
+ * @returns {Function} - Stops the stream
+ */
+export const connectLiveUpdates = ({ onEvent, onStatus = () => {}, instituteId }) => {
+  let stopped = false;
+  let controller = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let lastEventId = null;
+  let renewed = false;
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    const delay = Math.min(MIN_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+    attempt += 1;
+    onStatus('reconnecting');
+    // Jitter so a restarted server is not hit by every client at once
+    retryTimer = setTimeout(connect, delay / 2 + Math.random() * (delay / 2));
+  };
+
+  const readStream = async (response) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const frame = parseFrame(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+
+        if (!frame.data) continue;
+        if (frame.event === 'ready') {
+          attempt = 0;
+          onStatus('live');
+          continue;
+        }
+        if (frame.id) lastEventId = frame.id;
+        try {
+          onEvent(JSON.parse(frame.data));
+        } catch (error) {
+          console.error('Live update handler error:', error);
+        }
+      }
+    }
+  };
+
+  async function connect() {
+    if (stopped) return;
+    onStatus(attempt === 0 ? 'connecting' : 'reconnecting');
+    controller = new AbortController();
+
+    const query = instituteId ? `?instituteId=${encodeURIComponent(instituteId)}` : '';
+    const headers = {
+      Accept: 'text/event-stream',
+      Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+      ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+    };
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/stream${query}`, {
+        headers,
+        signal: controller.signal,
+      });
+
+      if (response.status === 401 && !renewed) {
+        // Expired access token: renew it and reconnect straight away
+        renewed = true;
+        try {
+          await refreshAccessToken();
+        } catch (error) {
+          stopped = true;
+          onStatus('closed');
+          return;
+        }
+        connect();
+        return;
+      }
+      renewed = false;
+      if (!response.ok || !response.body) {
+        throw new Error(`Live updates unavailable (${response.status})`);
+      }
+
+      await readStream(response);
+      // The server ends the stream when the access token expires
+      scheduleReconnect();
+    } catch (error) {
+      if (stopped || error.name === 'AbortError') return;
+      console.warn('Live updates disconnected:', error.message);
+      scheduleReconnect();
+    }
+  }
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    if (controller) controller.abort();
+    onStatus('closed');
+  };
+};
@@ -0,0 +1,57 @@
+import apiClient from './apiClient';
+
+// Offset catalog and retirements; purchases are wallet movements (carbonDataService.purchaseCarbonOffset)
+const offsetService = {
+  getProjects: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/offsets/projects', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  createProject: async (project) => {
+    try {
+      const response = await apiClient.post('/offsets/projects', project);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  updateProject: async (id, changes) => {
+    try {
+      const response = await apiClient.put(`/offsets/projects/${id}`, changes);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getRetirements: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/offsets/retirements', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  // PDF certificate of a retirement, as a Blob
+  downloadCertificate: async (retirementId) => {
+    try {
+      const response = await apiClient.get(`/offsets/retirements/${retirementId}/certificate`, { responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      // Error bodies arrive as a Blob too
+      const body = error.response?.data;
+      if (body instanceof Blob) {
+        throw await body.text().then(JSON.parse).catch(() => ({ success: false, message: 'Certificate download failed' }));
+      }
+      throw body || { success: false, message: 'Network error' };
+    }
+  },
+};
+
+export default offsetService;
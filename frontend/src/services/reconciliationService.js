@@ -0,0 +1,41 @@
+import apiClient from './apiClient';
+
+const reconciliationService = {
+  getReports: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/reconciliations', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getReport: async (id) => {
+    try {
+      const response = await apiClient.get(`/reconciliations/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  runNow: async (instituteId) => {
+    try {
+      const response = await apiClient.post('/reconciliations/run', { instituteId });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  acknowledge: async (id, note) => {
+    try {
+      const response = await apiClient.post(`/reconciliations/${id}/acknowledge`, { note });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+};
+
+export default reconciliationService;
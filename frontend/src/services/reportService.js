@@ -0,0 +1,39 @@
+import apiClient from './apiClient';
+
+// Institute reports; params are { year } or { from, to }, plus instituteId for platform admins
+const reportService = {
+  getReports: async () => {
+    try {
+      const response = await apiClient.get('/reports');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  getGhgReport: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/reports/ghg', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { success: false, message: 'Network error' };
+    }
+  },
+
+  // PDF, XLSX or CSV as a Blob
+  downloadGhgReport: async (params, format) => {
+    try {
+      const response = await apiClient.get('/reports/ghg', { params: { ...params, format }, responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      // Error bodies arrive as a Blob too
+      const body = error.response?.data;
+      if (body instanceof Blob) {
+        throw await body.text().then(JSON.parse).catch(() => ({ success: false, message: 'Report download failed' }));
+      }
+      throw body || { success: false, message: 'Network error' };
+    }
+  },
+};
+
+export default reportService;
@@ -0,0 +1,387 @@
+import {
+  Box,
+  Text,
+  Button,
+  Icon,
+  useColorModeValue,
+  SimpleGrid,
+  Card,
+  CardBody,
+  CardHeader,
+  Heading,
+  Badge,
+  VStack,
+  HStack,
+  Input,
+  NumberInput,
+  NumberInputField,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Spinner,
+  Link,
+  useToast,
+} from "@chakra-ui/react";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  MdCheckCircle,
+  MdCancel,
+  MdRefresh,
+  MdAdd,
+  MdSave,
+  MdReplay,
+} from "react-icons/md";
+import baselineService from "services/baselineService";
+
+const STATUS_COLORS = {
+  pending_review: "orange",
+  approved: "blue",
+  rejected: "red",
+  submitting: "purple",
+  submitted: "green",
+  partially_failed: "red",
+  pending: "gray",
+  confirmed: "green",
+  failed: "red",
+  skipped: "gray",
+};
+
+// Default proposal month: next calendar month as yyyymm
+const nextMonthId = () => {
+  const now = new Date();
+  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return next.getUTCFullYear() * 100 + next.getUTCMonth() + 1;
+};
+
+const formatMonth = (month) => {
+  const year = Math.floor(month / 100);
+  const m = month % 100;
+  return new Date(Date.UTC(year, m - 1, 1)).toLocaleString("en-US", { month: "short", year: "numeric", timeZone: "UTC" });
+};
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 10)}…${hash.slice(-6)}` : "—");
+
+// Baseline proposal review for the EnergyAuction oracle committee
+export default function Baselines() {
+  const textColor = useColorModeValue("navy.700", "white");
+  const textColorSecondary = useColorModeValue("gray.500", "gray.400");
+  const cardBg = useColorModeValue("white", "navy.800");
+  const borderColor = useColorModeValue("gray.200", "gray.600");
+  const selectedBg = useColorModeValue("gray.100", "whiteAlpha.100");
+
+  const toast = useToast();
+
+  const [proposals, setProposals] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [report, setReport] = useState(null);
+  const [draftMonth, setDraftMonth] = useState(String(nextMonthId()));
+  const [note, setNote] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const showError = useCallback((err) => {
+    toast({
+      title: "Request failed",
+      description: err.message || "Something went wrong",
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+  }, [toast]);
+
+  const loadProposals = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await baselineService.getProposals();
+      setProposals(result.data || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load baseline proposals");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProposals();
+  }, [loadProposals]);
+
+  const selectProposal = async (proposal) => {
+    setSelected(proposal);
+    setEdits({});
+    setNote("");
+    setReport(null);
+    if (!["pending_review", "approved", "rejected"].includes(proposal.status)) {
+      try {
+        const result = await baselineService.getReport(proposal._id);
+        setReport(result.data);
+      } catch (err) {
+        showError(err);
+      }
+    }
+  };
+
+  // Run an action, then refresh both the list and the selected proposal
+  const runAction = async (action, successMessage) => {
+    try {
+      setBusy(true);
+      const result = await action();
+      toast({ title: successMessage, status: "success", duration: 3000, isClosable: true });
+      await loadProposals();
+      if (result && result.data) await selectProposal(result.data);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDraft = () =>
+    runAction(() => baselineService.generateProposal(parseInt(draftMonth)), "Proposal drafted");
+
+  const handleSaveEdits = () =>
+    runAction(
+      () => baselineService.updateLines(
+        selected._id,
+        Object.entries(edits).map(([departmentName, kWh]) => ({ departmentName, kWh: Number(kWh) }))
+      ),
+      "Baselines updated"
+    );
+
+  const handleApprove = () =>
+    runAction(() => baselineService.approveProposal(selected._id, note), "Proposal approved");
+
+  const handleReject = () =>
+    runAction(() => baselineService.rejectProposal(selected._id, note), "Proposal rejected");
+
+  const handleRetry = () =>
+    runAction(() => baselineService.retryProposal(selected._id), "Failed baselines requeued");
+
+  const reviewable = selected && selected.status === "pending_review";
+
+  return (
+    <Box pt={{ base: "130px", md: "80px", xl: "80px" }}>
+      <SimpleGrid columns={{ base: 1, xl: 3 }} gap="20px">
+        <Card bg={cardBg} borderColor={borderColor} p="20px">
+          <CardHeader>
+            <HStack justify="space-between">
+              <Heading size="md" color={textColor}>
+                Baseline Proposals
+              </Heading>
+              <Button size="sm" variant="ghost" onClick={loadProposals} isDisabled={loading}>
+                <Icon as={MdRefresh} />
+              </Button>
+            </HStack>
+          </CardHeader>
+          <CardBody>
+            <HStack mb="20px">
+              <Input
+                size="sm"
+                value={draftMonth}
+                onChange={(e) => setDraftMonth(e.target.value)}
+                placeholder="yyyymm"
+              />
+              <Button size="sm" leftIcon={<Icon as={MdAdd} />} colorScheme="green" onClick={handleDraft} isLoading={busy}>
+                Draft
+              </Button>
+            </HStack>
+
+            {loading ? (
+              <Spinner />
+            ) : error ? (
+              <Text color="red.500" fontSize="sm">{error}</Text>
+            ) : proposals.length === 0 ? (
+              <Text color={textColorSecondary} fontSize="sm">No proposals yet.</Text>
+            ) : (
+              <VStack align="stretch" spacing="2">
+                {proposals.map((proposal) => (
+                  <Box
+                    key={proposal._id}
+                    p="10px"
+                    borderRadius="md"
+                    cursor="pointer"
+                    bg={selected && selected._id === proposal._id ? selectedBg : "transparent"}
+                    onClick={() => selectProposal(proposal)}
+                  >
+                    <HStack justify="space-between">
+                      <Text color={textColor} fontWeight="bold">{formatMonth(proposal.month)}</Text>
+                      <Badge colorScheme={STATUS_COLORS[proposal.status]}>{proposal.status.replace("_", " ")}</Badge>
+                    </HStack>
+                    <Text color={textColorSecondary} fontSize="sm">
+                      {typeof proposal.institute === "object" ? proposal.institute.name : proposal.institute}
+                      {" · "}
+                      {proposal.lines.length} departments
+                    </Text>
+                  </Box>
+                ))}
+              </VStack>
+            )}
+          </CardBody>
+        </Card>
+
+        <Card bg={cardBg} borderColor={borderColor} p="20px" gridColumn={{ xl: "span 2" }}>
+          {!selected ? (
+            <Text color={textColorSecondary}>Select a proposal to review.</Text>
+          ) : (
+            <>
+              <CardHeader>
+                <HStack justify="space-between">
+                  <Heading size="md" color={textColor}>
+                    {formatMonth(selected.month)} baselines
+                  </Heading>
+                  <Badge colorScheme={STATUS_COLORS[selected.status]}>{selected.status.replace("_", " ")}</Badge>
+                </HStack>
+              </CardHeader>
+              <CardBody>
+                <Table size="sm" variant="simple">
+                  <Thead>
+                    <Tr>
+                      <Th>Department</Th>
+                      <Th>History (kWh/month)</Th>
+                      <Th>Method</Th>
+                      <Th isNumeric>Computed</Th>
+                      <Th isNumeric>Baseline kWh</Th>
+                      <Th>Status</Th>
+                      <Th>Tx</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {selected.lines.map((line) => (
+                      <Tr key={line.departmentName}>
+                        <Td>
+                          <Text color={textColor} fontWeight="medium">{line.departmentName}</Text>
+                          <Text color={textColorSecondary} fontSize="xs">{shortHash(line.dept)}</Text>
+                        </Td>
+                        <Td>
+                          <Text fontSize="xs" color={textColorSecondary}>
+                            {line.history.slice(-3).map((h) => `${formatMonth(h.month)}: ${Math.round(h.kWh)}`).join(", ") || "—"}
+                          </Text>
+                        </Td>
+                        <Td>
+                          <Text fontSize="xs">{line.method || "—"}</Text>
+                          {line.model && (
+                            <Text fontSize="xs" color={textColorSecondary}>R² {line.model.r2}</Text>
+                          )}
+                        </Td>
+                        <Td isNumeric>{line.computedKWh}</Td>
+                        <Td isNumeric>
+                          {reviewable ? (
+                            <NumberInput
+                              size="sm"
+                              min={0}
+                              maxW="120px"
+                              value={edits[line.departmentName] ?? line.kWh}
+                              onChange={(value) => setEdits({ ...edits, [line.departmentName]: value })}
+                            >
+                              <NumberInputField />
+                            </NumberInput>
+                          ) : (
+                            line.kWh
+                          )}
+                        </Td>
+                        <Td>
+                          <Badge colorScheme={STATUS_COLORS[line.status]}>{line.status}</Badge>
+                          {line.error && <Text fontSize="xs" color="red.500">{line.error}</Text>}
+                        </Td>
+                        <Td>
+                          <Text fontSize="xs">{shortHash(line.txHash)}</Text>
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+
+                {reviewable && (
+                  <VStack align="stretch" mt="20px" spacing="3">
+                    <Input
+                      size="sm"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder="Review note (optional)"
+                    />
+                    <HStack justify="flex-end">
+                      <Button
+                        size="sm"
+                        leftIcon={<Icon as={MdSave} />}
+                        variant="outline"
+                        onClick={handleSaveEdits}
+                        isDisabled={Object.keys(edits).length === 0}
+                        isLoading={busy}
+                      >
+                        Save changes
+                      </Button>
+                      <Button size="sm" leftIcon={<Icon as={MdCancel} />} colorScheme="red" variant="outline" onClick={handleReject} isLoading={busy}>
+                        Reject
+                      </Button>
+                      <Button
+                        size="sm"
+                        leftIcon={<Icon as={MdCheckCircle} />}
+                        colorScheme="green"
+                        onClick={handleApprove}
+                        isDisabled={Object.keys(edits).length > 0}
+                        isLoading={busy}
+                      >
+                        Approve &amp; publish
+                      </Button>
+                    </HStack>
+                  </VStack>
+                )}
+
+                {selected.status === "partially_failed" && (
+                  <HStack justify="flex-end" mt="20px">
+                    <Button size="sm" leftIcon={<Icon as={MdReplay} />} colorScheme="orange" onClick={handleRetry} isLoading={busy}>
+                      Retry failed
+                    </Button>
+                  </HStack>
+                )}
+
+                {report && (
+                  <Box mt="30px">
+                    <Heading size="sm" color={textColor} mb="10px">
+                      Submission report
+                    </Heading>
+                    <SimpleGrid columns={{ base: 2, md: 4 }} gap="10px" mb="10px">
+                      <Box>
+                        <Text color={textColorSecondary} fontSize="xs">Departments</Text>
+                        <Text color={textColor} fontWeight="bold">{report.totals.departments}</Text>
+                      </Box>
+                      <Box>
+                        <Text color={textColorSecondary} fontSize="xs">Total kWh</Text>
+                        <Text color={textColor} fontWeight="bold">{report.totals.kWh}</Text>
+                      </Box>
+                      <Box>
+                        <Text color={textColorSecondary} fontSize="xs">Confirmed</Text>
+                        <Text color="green.500" fontWeight="bold">{report.totals.confirmed || 0}</Text>
+                      </Box>
+                      <Box>
+                        <Text color={textColorSecondary} fontSize="xs">Failed</Text>
+                        <Text color="red.500" fontWeight="bold">{report.totals.failed || 0}</Text>
+                      </Box>
+                    </SimpleGrid>
+                    <Text color={textColorSecondary} fontSize="xs">
+                      Sent by {report.submittedBy || "—"}
+                      {report.completedAt && ` · completed ${new Date(report.completedAt).toLocaleString()}`}
+                    </Text>
+                    <VStack align="stretch" mt="10px" spacing="1">
+                      {report.transactions.filter((tx) => tx.txHash).map((tx) => (
+                        <Text key={tx.dept} fontSize="xs" fontFamily="mono">
+                          {tx.departmentName}: {tx.kWh} kWh · <Link>{tx.txHash}</Link>
+                          {tx.blockNumber ? ` · block ${tx.blockNumber}` : ""}
+                        </Text>
+                      ))}
+                    </VStack>
+                  </Box>
+                )}
+              </CardBody>
+            </>
+          )}
+        </Card>
+      </SimpleGrid>
+    </Box>
+  );
+}
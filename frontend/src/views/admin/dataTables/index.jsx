@@ -1,4 +1,3 @@
-
 import {
   Box,
   Card,
@@ -26,122 +25,105 @@ import {
   SimpleGrid,
   Flex,
   Spinner,
+  Select,
+  Input,
+  FormControl,
+  FormLabel,
+  Collapse,
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
+  useDisclosure,
+  useToast,
 } from "@chakra-ui/react";
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   MdBlock,
   MdCheckCircle,
-  MdPending,
-  MdError,
+  MdSchedule,
   MdRefresh,
   MdFilterList,
   MdDownload,
-  MdVisibility,
-  MdTrendingUp,
   MdAttachMoney,
-  MdSchedule,
+  MdCo2,
+  MdArrowUpward,
+  MdArrowDownward,
+  MdChevronLeft,
+  MdChevronRight,
 } from "react-icons/md";
+import carbonDataService from "services/carbonDataService";
 
-// Blockchain Transaction Component
-const BlockchainTransaction = ({ transaction, index }) => {
-  const textColor = useColorModeValue("navy.700", "white");
-  const textColorSecondary = useColorModeValue("gray.500", "gray.400");
+const TYPE_LABELS = {
+  credit: "Credit",
+  debit: "Debit",
+  offset_purchase: "Offset purchase",
+  energy_consumption: "Energy consumption",
+};
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'verified': return MdCheckCircle;
-      case 'pending': return MdPending;
-      case 'failed': return MdError;
-      case 'inactive': return MdBlock;
-      default: return MdSchedule;
-    }
-  };
+// 'posted' rows are booked in the wallet ledger; 'recorded' ones are not
+const STATUS_COLORS = { posted: "green", recorded: "gray" };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'verified': return 'green';
-      case 'pending': return 'yellow';
-      case 'failed': return 'red';
-      case 'inactive': return 'gray';
-      case 'anomaly': return 'orange';
-      default: return 'blue';
-    }
-  };
+const EMPTY_FILTERS = { type: "", status: "", from: "", to: "", building: "", minAmount: "", maxAmount: "" };
 
-  const getProgressColor = (progress) => {
-    if (progress >= 80) return 'green.500';
-    if (progress >= 50) return 'yellow.500';
-    return 'red.500';
-  };
+const PAGE_SIZES = [25, 50, 100, 200];
+
+const formatEnto = (value) =>
+  (value || 0).toLocaleString("en-US", { maximumFractionDigits: 4 });
+
+// Wallet Transaction Row
+const LedgerTransaction = ({ transaction }) => {
+  const textColor = useColorModeValue("navy.700", "white");
+  const textColorSecondary = useColorModeValue("gray.500", "gray.400");
+  const hoverBg = useColorModeValue("gray.50", "gray.700");
+  const incoming = transaction.signedAmount > 0;
 
   return (
-    <Tr _hover={{ bg: useColorModeValue("gray.50", "gray.700") }}>
+    <Tr _hover={{ bg: hoverBg }}>
       <Td>
         <HStack spacing="3">
           <Icon
-            as={getStatusIcon(transaction.status)}
+            as={transaction.status === "posted" ? MdCheckCircle : MdSchedule}
             w="20px"
             h="20px"
-            color={`${getStatusColor(transaction.status)}.500`}
+            color={`${STATUS_COLORS[transaction.status]}.500`}
           />
           <VStack align="start" spacing="0">
             <Text color={textColor} fontSize="sm" fontWeight="bold">
-              {transaction.name}
+              {TYPE_LABELS[transaction.type] || transaction.type}
             </Text>
             <Text color={textColorSecondary} fontSize="xs">
-              {transaction.type}
+              {transaction.description || "—"}
             </Text>
           </VStack>
         </HStack>
       </Td>
       <Td>
-        <Badge
-          colorScheme={getStatusColor(transaction.status)}
-          variant="subtle"
-          fontSize="xs"
-          textTransform="capitalize"
-        >
+        <Badge colorScheme={STATUS_COLORS[transaction.status]} variant="subtle" fontSize="xs" textTransform="capitalize">
           {transaction.status}
         </Badge>
       </Td>
       <Td>
         <Text color={textColorSecondary} fontSize="sm">
-          {transaction.date}
+          {new Date(transaction.date).toLocaleString()}
         </Text>
       </Td>
       <Td>
-        <HStack spacing="2">
-          <Text
-            color={getProgressColor(transaction.progress)}
-            fontSize="sm"
-            fontWeight="bold"
-          >
-            {transaction.progress}%
-          </Text>
-          <Box
-            w="60px"
-            h="4px"
-            bg="gray.200"
-            borderRadius="full"
-            overflow="hidden"
-          >
-            <Box
-              w={`${transaction.progress}%`}
-              h="100%"
-              bg={getProgressColor(transaction.progress)}
-              borderRadius="full"
-            />
-          </Box>
-        </HStack>
-      </Td>
-      <Td>
-        <Text color={textColor} fontSize="sm" fontWeight="bold">
-          {transaction.quantity?.toLocaleString() || '-'}
+        <Text color={textColorSecondary} fontSize="sm">
+          {[transaction.building, transaction.department].filter(Boolean).join(" · ") || "—"}
+        </Text>
+        <Text color={textColorSecondary} fontSize="xs">
+          {transaction.userName || transaction.userEmail || "—"}
         </Text>
       </Td>
-      <Td>
+      <Td isNumeric>
         <Text color={textColorSecondary} fontSize="sm">
-          {transaction.value || '-'}
+          {transaction.co2Impact !== null ? transaction.co2Impact.toLocaleString("en-US", { maximumFractionDigits: 4 }) : "—"}
+        </Text>
+      </Td>
+      <Td isNumeric>
+        <Text color={incoming ? "green.500" : textColor} fontSize="sm" fontWeight="bold">
+          {transaction.signedAmount === null ? "—" : `${incoming ? "+" : ""}${formatEnto(transaction.signedAmount)} ENTO`}
         </Text>
       </Td>
     </Tr>
@@ -156,147 +138,102 @@ export default function EmissionsData() {
   const borderColor = useColorModeValue("gray.200", "gray.600");
   const brandColor = useColorModeValue("green.400", "green.300");
 
-  // State management
+  const toast = useToast();
+  const filterPanel = useDisclosure();
+
+  // Filters being edited vs the ones the current pages were fetched with
+  const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState("-date");
+  const [limit, setLimit] = useState(50);
+  // Cursors of the pages before the current one; the first page has none
+  const [cursors, setCursors] = useState([null]);
+  const [page, setPage] = useState({ items: [], pagination: { nextCursor: null, hasMore: false } });
+  const [summary, setSummary] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [transactions, setTransactions] = useState([]);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
 
-  // Mock blockchain transaction data
-  const mockTransactions = [
-    {
-      id: 1,
-      name: "ENERGY CONSUMPTION",
-      type: "Energy Transaction",
-      status: "failed",
-      date: "9/12/2025",
-      progress: 0,
-      quantity: -150.5,
-      value: "-150.5 ENTO",
-      txHash: "0x123456...7890abcdef"
-    },
-    {
-      id: 2,
-      name: "CARBON OFFSET_PURCHASE",
-      type: "Carbon Offset",
-      status: "verified",
-      date: "9/11/2025",
-      progress: 100,
-      quantity: -500,
-      value: "-500 ENTO",
-      txHash: "0xabcdef...1234567890"
-    },
-    {
-      id: 3,
-      name: "CREDIT",
-      type: "Credit Transaction",
-      status: "verified",
-      date: "9/10/2025",
-      progress: 100,
-      quantity: 1000,
-      value: "+1000 ENTO",
-      txHash: "0x987654...3210fedcba"
-    },
-    {
-      id: 4,
-      name: "Carbon Marketplace",
-      type: "Carbon Credit",
-      status: "verified",
-      date: "12.Jan.2021",
-      progress: 75.5,
-      quantity: 2458,
-      value: "2,458 ENTO",
-      txHash: "0x1234567890abcdef1234567890abcdef12345678"
-    },
-    {
-      id: 5,
-      name: "Renewable Energy Credits",
-      type: "Energy Credit",
-      status: "verified",
-      date: "21.Feb.2021",
-      progress: 35.4,
-      quantity: 1485,
-      value: "1,485 ENTO",
-      txHash: "0xabcdef1234567890abcdef1234567890abcdef12"
-    },
-    {
-      id: 6,
-      name: "Carbon Offsets",
-      type: "Offset Credit",
-      status: "pending",
-      date: "13.Mar.2021",
-      progress: 25,
-      quantity: 1024,
-      value: "1,024 ENTO",
-      txHash: "0x9876543210fedcba9876543210fedcba98765432"
-    },
-    {
-      id: 7,
-      name: "Sustainable Assets",
-      type: "Asset Token",
-      status: "verified",
-      date: "24.Jan.2021",
-      progress: 100,
-      quantity: 858,
-      value: "858 ENTO",
-      txHash: "0x456789abcdef0123456789abcdef0123456789ab"
-    },
-    {
-      id: 8,
-      name: "Energy Trading",
-      type: "Energy Trade",
-      status: "verified",
-      date: "24.Oct.2022",
-      progress: 75.5,
-      quantity: 1024,
-      value: "1,024 ENTO",
-      txHash: "0x2345678901bcdef2345678901bcdef2345678901"
-    },
-    {
-      id: 9,
-      name: "Carbon Credit Sale",
-      type: "Carbon Sale",
-      status: "verified",
-      date: "24.Oct.2022",
-      progress: 75.5,
-      quantity: 1024,
-      value: "1,024 ENTO",
-      txHash: "0x3456789012cdef3456789012cdef3456789012"
-    },
-    {
-      id: 10,
-      name: "Green Energy Purchase",
-      type: "Energy Purchase",
-      status: "verified",
-      date: "12.Jan.2021",
-      progress: 75.5,
-      quantity: 1024,
-      value: "1,024 ENTO",
-      txHash: "0x4567890123def4567890123def4567890123def"
+  const cursor = cursors[cursors.length - 1];
+
+  const loadPage = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const result = await carbonDataService.getTransactions({
+        ...filters,
+        sort,
+        limit,
+        cursor,
+        includeSummary: cursor ? undefined : "true",
+      });
+      setPage(result);
+      if (result.summary) setSummary(result.summary);
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load transactions");
+    } finally {
+      setIsLoading(false);
     }
-  ];
+  }, [filters, sort, limit, cursor]);
 
   useEffect(() => {
-    setTransactions(mockTransactions);
-  }, []); // Empty dependency array is correct here
+    loadPage();
+  }, [loadPage]);
 
-  const handleRefresh = () => {
-    setIsLoading(true);
-    // Simulate API call
-    setTimeout(() => {
-      setTransactions([...mockTransactions]);
-      setIsLoading(false);
-    }, 1500);
+  // Any change of filters, sort or page size starts again from the first page
+  const restart = () => setCursors([null]);
+
+  const applyFilters = () => {
+    setFilters(draftFilters);
+    restart();
   };
 
-  const handleExport = () => {
-    // Simulate export functionality
-    console.log("Exporting blockchain transactions...");
+  const clearFilters = () => {
+    setDraftFilters(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    restart();
   };
 
-  // Calculate summary stats
-  const totalTransactions = transactions.length;
-  const verifiedTransactions = transactions.filter(tx => tx.status === 'verified').length;
-  const totalValue = transactions.reduce((sum, tx) => sum + (tx.quantity || 0), 0);
-  const averageProgress = transactions.reduce((sum, tx) => sum + tx.progress, 0) / totalTransactions;
+  const toggleSort = (field) => {
+    setSort(sort === `-${field}` ? field : `-${field}`);
+    restart();
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const file = await carbonDataService.exportTransactions({ ...filters, sort }, format);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `transactions-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast({
+        title: "Export failed",
+        description: err.message || "Something went wrong",
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const setFilter = (field) => (e) => setDraftFilters({ ...draftFilters, [field]: e.target.value });
+
+  const activeFilters = Object.values(filters).filter(Boolean).length;
+
+  const sortHeader = (field, label, isNumeric) => (
+    <Th color={textColorSecondary} cursor="pointer" onClick={() => toggleSort(field)} isNumeric={isNumeric}>
+      {label}
+      {sort.replace("-", "") === field && (
+        <Icon as={sort.startsWith("-") ? MdArrowDownward : MdArrowUpward} ml="1" verticalAlign="middle" />
+      )}
+    </Th>
+  );
 
   return (
     <Box pt={{ base: "130px", md: "80px", xl: "80px" }}>
@@ -304,36 +241,45 @@ export default function EmissionsData() {
       <Flex justify="space-between" align="center" mb="30px">
         <Box>
           <Heading color={textColor} fontSize="4xl" fontWeight="bold" mb="2">
-            🔗 Blockchain Transactions
+            🔗 Transaction Ledger
           </Heading>
           <Text color={textColorSecondary} fontSize="lg">
-            Real-time carbon credit and energy token transactions
+            Carbon wallet credits, debits, offset purchases and energy charges
           </Text>
         </Box>
         <HStack spacing="3">
           <Button
             leftIcon={<Icon as={MdFilterList} />}
             colorScheme="gray"
-            variant="outline"
+            variant={filterPanel.isOpen ? "solid" : "outline"}
             size="sm"
+            onClick={filterPanel.onToggle}
           >
-            Filter
-          </Button>
-          <Button
-            leftIcon={<Icon as={MdDownload} />}
-            colorScheme="blue"
-            variant="outline"
-            size="sm"
-            onClick={handleExport}
-          >
-            Export
+            Filter{activeFilters ? ` (${activeFilters})` : ""}
           </Button>
+          <Menu>
+            <MenuButton
+              as={Button}
+              leftIcon={<Icon as={MdDownload} />}
+              colorScheme="blue"
+              variant="outline"
+              size="sm"
+              isLoading={Boolean(exporting)}
+            >
+              Export
+            </MenuButton>
+            <MenuList>
+              <MenuItem onClick={() => handleExport("csv")}>CSV</MenuItem>
+              <MenuItem onClick={() => handleExport("xlsx")}>Excel (XLSX)</MenuItem>
+              <MenuItem onClick={() => handleExport("json")}>JSON</MenuItem>
+            </MenuList>
+          </Menu>
           <Button
             leftIcon={<Icon as={MdRefresh} />}
             colorScheme="brand"
             variant="outline"
             size="sm"
-            onClick={handleRefresh}
+            onClick={loadPage}
             isLoading={isLoading}
           >
             Refresh
@@ -341,72 +287,129 @@ export default function EmissionsData() {
         </HStack>
       </Flex>
 
-      {/* Summary Stats */}
+      <Collapse in={filterPanel.isOpen} animateOpacity>
+        <Card bg={cardBg} borderColor={borderColor} p="20px" mb="30px">
+          <SimpleGrid columns={{ base: 1, md: 4 }} gap="15px">
+            <FormControl>
+              <FormLabel fontSize="sm">Type</FormLabel>
+              <Select size="sm" value={draftFilters.type} onChange={setFilter("type")} placeholder="All types">
+                {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl>
+              <FormLabel fontSize="sm">Status</FormLabel>
+              <Select size="sm" value={draftFilters.status} onChange={setFilter("status")} placeholder="Any status">
+                <option value="posted">Posted to ledger</option>
+                <option value="recorded">Recorded only</option>
+              </Select>
+            </FormControl>
+            <FormControl>
+              <FormLabel fontSize="sm">From</FormLabel>
+              <Input size="sm" type="date" value={draftFilters.from} onChange={setFilter("from")} />
+            </FormControl>
+            <FormControl>
+              <FormLabel fontSize="sm">To</FormLabel>
+              <Input size="sm" type="date" value={draftFilters.to} onChange={setFilter("to")} />
+            </FormControl>
+            <FormControl>
+              <FormLabel fontSize="sm">Building</FormLabel>
+              <Input size="sm" value={draftFilters.building} onChange={setFilter("building")} placeholder="Any building" />
+            </FormControl>
+            <FormControl>
+              <FormLabel fontSize="sm">Min amount (ENTO)</FormLabel>
+              <Input size="sm" type="number" min="0" value={draftFilters.minAmount} onChange={setFilter("minAmount")} />
+            </FormControl>
+            <FormControl>
+              <FormLabel fontSize="sm">Max amount (ENTO)</FormLabel>
+              <Input size="sm" type="number" min="0" value={draftFilters.maxAmount} onChange={setFilter("maxAmount")} />
+            </FormControl>
+            <HStack align="flex-end">
+              <Button size="sm" colorScheme="green" onClick={applyFilters}>Apply</Button>
+              <Button size="sm" variant="ghost" onClick={clearFilters}>Clear</Button>
+            </HStack>
+          </SimpleGrid>
+        </Card>
+      </Collapse>
+
+      {/* Summary Stats, over every transaction matching the filters */}
       <SimpleGrid columns={{ base: 1, md: 4 }} gap="20px" mb="30px">
         <Card bg={cardBg} borderColor={borderColor} p="20px">
           <Stat textAlign="center">
             <StatLabel color={textColorSecondary} fontSize="sm">Total Transactions</StatLabel>
             <StatNumber color={brandColor} fontSize="2xl" fontWeight="bold">
-              {totalTransactions}
+              {summary ? summary.count.toLocaleString() : "—"}
             </StatNumber>
             <StatHelpText color={textColorSecondary}>
               <Icon as={MdBlock} mr="1" />
-              Blockchain Records
+              Matching the filters
             </StatHelpText>
           </Stat>
         </Card>
-        
+
         <Card bg={cardBg} borderColor={borderColor} p="20px">
           <Stat textAlign="center">
-            <StatLabel color={textColorSecondary} fontSize="sm">Verified</StatLabel>
+            <StatLabel color={textColorSecondary} fontSize="sm">Posted</StatLabel>
             <StatNumber color="green.500" fontSize="2xl" fontWeight="bold">
-              {verifiedTransactions}
+              {summary ? summary.posted.toLocaleString() : "—"}
             </StatNumber>
             <StatHelpText color={textColorSecondary}>
               <Icon as={MdCheckCircle} mr="1" />
-              {Math.round((verifiedTransactions / totalTransactions) * 100)}% Success Rate
+              {summary && summary.count ? `${Math.round((summary.posted / summary.count) * 100)}% in the ledger` : "Booked in the ledger"}
             </StatHelpText>
           </Stat>
         </Card>
-        
+
         <Card bg={cardBg} borderColor={borderColor} p="20px">
           <Stat textAlign="center">
-            <StatLabel color={textColorSecondary} fontSize="sm">Total Value</StatLabel>
+            <StatLabel color={textColorSecondary} fontSize="sm">Net Flow</StatLabel>
             <StatNumber color="blue.500" fontSize="2xl" fontWeight="bold">
-              {totalValue.toLocaleString()}
+              {summary ? formatEnto(summary.net) : "—"}
             </StatNumber>
             <StatHelpText color={textColorSecondary}>
               <Icon as={MdAttachMoney} mr="1" />
-              ENTO Tokens
+              ENTO in minus out
             </StatHelpText>
           </Stat>
         </Card>
-        
+
         <Card bg={cardBg} borderColor={borderColor} p="20px">
           <Stat textAlign="center">
-            <StatLabel color={textColorSecondary} fontSize="sm">Avg Progress</StatLabel>
+            <StatLabel color={textColorSecondary} fontSize="sm">CO₂ Impact</StatLabel>
             <StatNumber color="purple.500" fontSize="2xl" fontWeight="bold">
-              {Math.round(averageProgress)}%
+              {summary ? summary.co2Impact.toLocaleString("en-US", { maximumFractionDigits: 2 }) : "—"}
             </StatNumber>
             <StatHelpText color={textColorSecondary}>
-              <Icon as={MdTrendingUp} mr="1" />
-              Completion Rate
+              <Icon as={MdCo2} mr="1" />
+              Tonnes CO₂e
             </StatHelpText>
           </Stat>
         </Card>
       </SimpleGrid>
 
-      {/* Main Blockchain Transactions Table */}
+      {/* Transactions Table */}
       <Card bg={cardBg} borderColor={borderColor}>
         <CardHeader>
           <HStack justify="space-between" align="center">
             <Heading size="lg" color={textColor}>
-              Live Blockchain Transactions
+              Wallet Transactions
             </Heading>
             <HStack spacing="2">
-              <Button size="sm" variant="outline" leftIcon={<Icon as={MdVisibility} />}>
-                View Details
-              </Button>
+              <Text color={textColorSecondary} fontSize="sm">Rows</Text>
+              <Select
+                size="sm"
+                w="80px"
+                value={limit}
+                onChange={(e) => {
+                  setLimit(parseInt(e.target.value));
+                  restart();
+                }}
+              >
+                {PAGE_SIZES.map((size) => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </Select>
             </HStack>
           </HStack>
         </CardHeader>
@@ -415,30 +418,53 @@ export default function EmissionsData() {
             <Flex justify="center" align="center" h="200px">
               <Spinner size="xl" color="green.500" />
             </Flex>
+          ) : error ? (
+            <Text color="red.500" fontSize="sm">{error}</Text>
+          ) : page.items.length === 0 ? (
+            <Text color={textColorSecondary} fontSize="sm">No transactions match these filters.</Text>
           ) : (
             <TableContainer>
               <Table variant="simple">
                 <Thead>
                   <Tr>
-                    <Th color={textColorSecondary}>Transaction</Th>
+                    {sortHeader("type", "Transaction")}
                     <Th color={textColorSecondary}>Status</Th>
-                    <Th color={textColorSecondary}>Date</Th>
-                    <Th color={textColorSecondary}>Progress</Th>
-                    <Th color={textColorSecondary}>Quantity</Th>
-                    <Th color={textColorSecondary}>Value</Th>
+                    {sortHeader("date", "Date")}
+                    <Th color={textColorSecondary}>Building</Th>
+                    {sortHeader("co2Impact", "tCO₂e", true)}
+                    {sortHeader("amount", "Amount", true)}
                   </Tr>
                 </Thead>
                 <Tbody>
-                  {transactions.map((transaction) => (
-                    <BlockchainTransaction
-                      key={transaction.id}
-                      transaction={transaction}
-                    />
+                  {page.items.map((transaction) => (
+                    <LedgerTransaction key={transaction.id} transaction={transaction} />
                   ))}
                 </Tbody>
               </Table>
             </TableContainer>
           )}
+
+          <HStack justify="flex-end" mt="20px" spacing="3">
+            <Text color={textColorSecondary} fontSize="sm">Page {cursors.length}</Text>
+            <Button
+              size="sm"
+              variant="outline"
+              leftIcon={<Icon as={MdChevronLeft} />}
+              onClick={() => setCursors(cursors.slice(0, -1))}
+              isDisabled={cursors.length === 1 || isLoading}
+            >
+              Previous
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              rightIcon={<Icon as={MdChevronRight} />}
+              onClick={() => setCursors([...cursors, page.pagination.nextCursor])}
+              isDisabled={!page.pagination.hasMore || isLoading}
+            >
+              Next
+            </Button>
+          </HStack>
         </CardBody>
       </Card>
     </Box>
@@ -4,15 +4,17 @@ import {
   Button,
   Flex,
   Icon,
+  Spinner,
   Text,
   useColorModeValue,
 } from "@chakra-ui/react";
 // Custom components
 import Card from "components/card/CarbonCard.js";
 import LineChart from "components/charts/LineChart";
-import React, { useState, useEffect } from "react";
+import DateRangePicker, { rangeFromPreset } from "components/calendar/DateRangePicker";
+import React, { useState, useEffect, useMemo } from "react";
 import { IoCheckmarkCircle } from "react-icons/io5";
-import { MdBarChart, MdOutlineCalendarToday } from "react-icons/md";
+import { MdBarChart } from "react-icons/md";
 // Assets
 import { RiArrowUpSFill } from "react-icons/ri";
 import {
@@ -25,8 +27,6 @@ export default function TotalSpent(props) {
 
   // Chakra Color Mode
   const textColor = useColorModeValue("secondaryGray.900", "white");
-  const textColorSecondary = useColorModeValue("secondaryGray.600", "white");
-  const boxBg = useColorModeValue("secondaryGray.300", "whiteAlpha.100");
   const iconColor = useColorModeValue("brand.500", "white");
   const bgButton = useColorModeValue("secondaryGray.300", "whiteAlpha.100");
   const bgHover = useColorModeValue(
@@ -39,45 +39,70 @@ export default function TotalSpent(props) {
   );
 
   // Carbon data context
-  const { getEnergyConsumptionData } = useCarbon();
-  const [energyData, setEnergyData] = useState({
-    current: 2847,
-    monthly: [2850, 3200, 2800, 3100, 2900, 2847],
-    efficiency: [85, 88, 82, 90, 87, 92],
-    buildings: {
-      'Building A': 35,
-      'Building B': 28,
-      'Building C': 22,
-      'Building D': 15
-    }
-  });
-  
-  // Load energy data on component mount
+  const { getSeries } = useCarbon();
+  const [range, setRange] = useState(() => rangeFromPreset("30d"));
+  const [seriesData, setSeriesData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Consumption and efficiency for the selected range
   useEffect(() => {
-    const loadEnergyData = async () => {
+    let cancelled = false;
+    const loadSeries = async () => {
+      setLoading(true);
+      setError(null);
       try {
-        const data = await getEnergyConsumptionData();
-        setEnergyData(data);
-      } catch (error) {
-        console.error('Error loading energy data:', error);
-        // Keep default/fallback data if loading fails
+        const params = { from: range.from, to: range.to, bucket: range.bucket };
+        const [consumption, efficiency] = await Promise.all([
+          getSeries({ ...params, metric: "consumption" }),
+          getSeries({ ...params, metric: "efficiency" }),
+        ]);
+        if (!cancelled) setSeriesData({ consumption, efficiency });
+      } catch (err) {
+        console.error('Error loading energy series:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
       }
     };
-    
-    loadEnergyData();
-  }, [getEnergyConsumptionData]);
-  
-  // Calculate efficiency trend
-  const currentEfficiency = energyData.efficiency && energyData.efficiency.length > 0 
-    ? energyData.efficiency[energyData.efficiency.length - 1] 
-    : 92;
-  const previousEfficiency = energyData.efficiency && energyData.efficiency.length > 1 
-    ? energyData.efficiency[energyData.efficiency.length - 2] 
-    : 87;
-  const efficiencyChange = previousEfficiency 
-    ? ((currentEfficiency - previousEfficiency) / previousEfficiency * 100).toFixed(1) 
+
+    loadSeries();
+    return () => {
+      cancelled = true;
+    };
+  }, [getSeries, range]);
+
+  const consumption = seriesData?.consumption.series[0];
+  const efficiency = seriesData?.efficiency.series[0];
+
+  // Efficiency trend between the last two buckets with readings
+  const efficiencyPoints = (efficiency?.data || []).filter((value) => value !== null);
+  const currentEfficiency = efficiency?.total ?? null;
+  const latestEfficiency = efficiencyPoints[efficiencyPoints.length - 1];
+  const previousEfficiency = efficiencyPoints[efficiencyPoints.length - 2];
+  const efficiencyChange = previousEfficiency
+    ? ((latestEfficiency - previousEfficiency) / previousEfficiency * 100).toFixed(1)
     : '0.0';
-  
+
+  const chartData = useMemo(() => (seriesData ? [
+    { name: "Energy Consumption (kWh)", data: consumption.data },
+    { name: "Energy Efficiency (%)", data: efficiency.data },
+  ] : []), [seriesData, consumption, efficiency]);
+
+  const chartOptions = useMemo(() => ({
+    ...lineChartOptionsTotalSpent,
+    xaxis: {
+      ...lineChartOptionsTotalSpent.xaxis,
+      type: "category",
+      categories: seriesData ? seriesData.consumption.labels : [],
+      tickAmount: 8,
+    },
+    // kWh and % on their own (hidden) scales
+    yaxis: [{ show: false }, { show: false, opposite: true, min: 0, max: 100 }],
+  }), [seriesData]);
+
+  const efficiencyColor = currentEfficiency >= 85 ? 'green.500' : currentEfficiency >= 70 ? 'orange.500' : 'red.500';
+
   return (
     <Card
       justifyContent='center'
@@ -88,19 +113,7 @@ export default function TotalSpent(props) {
       {...rest}>
       <Flex justify='space-between' ps='0px' pe='20px' pt='5px'>
         <Flex align='center' w='100%'>
-          <Button
-            bg={boxBg}
-            fontSize='sm'
-            fontWeight='500'
-            color={textColorSecondary}
-            borderRadius='7px'>
-            <Icon
-              as={MdOutlineCalendarToday}
-              color={textColorSecondary}
-              me='4px'
-            />
-            This month
-          </Button>
+          <DateRangePicker value={range} onChange={setRange} />
           <Button
             ms='auto'
             align='center'
@@ -126,7 +139,7 @@ export default function TotalSpent(props) {
             textAlign='start'
             fontWeight='700'
             lineHeight='100%'>
-            {(energyData.current || 2847).toLocaleString()} kWh
+            {consumption ? Math.round(consumption.total).toLocaleString() : '—'} kWh
           </Text>
           <Flex align='center' mb='20px'>
             <Text
@@ -145,27 +158,27 @@ export default function TotalSpent(props) {
             </Flex>
           </Flex>
 
-          <Flex align='center'>
-            <Icon as={IoCheckmarkCircle} color={currentEfficiency >= 85 ? 'green.500' : currentEfficiency >= 70 ? 'orange.500' : 'red.500'} me='4px' />
-            <Text color={currentEfficiency >= 85 ? 'green.500' : currentEfficiency >= 70 ? 'orange.500' : 'red.500'} fontSize='md' fontWeight='700'>
-              {currentEfficiency >= 85 ? 'Efficient' : currentEfficiency >= 70 ? 'Moderate' : 'Needs Improvement'}
-            </Text>
-          </Flex>
+          {currentEfficiency !== null && (
+            <Flex align='center'>
+              <Icon as={IoCheckmarkCircle} color={efficiencyColor} me='4px' />
+              <Text color={efficiencyColor} fontSize='md' fontWeight='700'>
+                {currentEfficiency >= 85 ? 'Efficient' : currentEfficiency >= 70 ? 'Moderate' : 'Needs Improvement'}
+              </Text>
+            </Flex>
+          )}
         </Flex>
         <Box h='260px' w='100%' mt='auto'>
-          <LineChart
-            chartData={[
-              {
-                name: "Energy Consumption (kWh)",
-                data: energyData.monthly || [2850, 3200, 2800, 3100, 2900, 2847]
-              },
-              {
-                name: "Energy Efficiency (%)",
-                data: energyData.efficiency || [85, 88, 82, 90, 87, 92]
-              }
-            ]}
-            chartOptions={lineChartOptionsTotalSpent}
-          />
+          {loading ? (
+            <Flex justify='center' align='center' h='100%'>
+              <Spinner size='xl' color='brand.500' />
+            </Flex>
+          ) : error ? (
+            <Flex justify='center' align='center' h='100%'>
+              <Text color='red.500' fontSize='sm'>{error}</Text>
+            </Flex>
+          ) : (
+            <LineChart chartData={chartData} chartOptions={chartOptions} />
+          )}
         </Box>
       </Flex>
     </Card>
@@ -9,18 +9,30 @@ import {
   Select,
   Spinner,
   Badge,
-  Tooltip,
 } from "@chakra-ui/react";
 import Card from "components/card/CarbonCard.js";
 // Custom components
 import BarChart from "components/charts/BarChart";
-import React, { useState, useEffect } from "react";
+import DateRangePicker, { rangeFromPreset } from "components/calendar/DateRangePicker";
+import React, { useState, useEffect, useMemo } from "react";
 import {
   barChartOptionsConsumption,
 } from "variables/charts";
-import { MdBarChart, MdInfo } from "react-icons/md";
+import { MdBarChart } from "react-icons/md";
 import { useCarbon } from "contexts/CarbonContext";
 
+const METRIC_TITLES = {
+  consumption: "Energy Consumption",
+  co2: "CO₂ Emissions",
+  cost: "Energy Cost",
+};
+
+const GROUP_LABELS = {
+  department: "By Department",
+  building: "By Building",
+  energySource: "By Energy Source",
+};
+
 export default function WeeklyRevenue(props) {
   const { ...rest } = props;
 
@@ -38,98 +50,96 @@ export default function WeeklyRevenue(props) {
   );
 
   // Carbon data context
-  const { getWeeklyEnergyData } = useCarbon();
-  const [weeklyEnergyData, setWeeklyEnergyData] = useState([]);
+  const { getSeries } = useCarbon();
+  const [range, setRange] = useState(() => rangeFromPreset("7d"));
+  const [metric, setMetric] = useState("consumption");
+  const [groupBy, setGroupBy] = useState("department");
+  const [seriesData, setSeriesData] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [selectedInstitution, setSelectedInstitution] = useState('all');
-  const [institutions, setInstitutions] = useState([]);
-  const [dataSource, setDataSource] = useState('loading');
+  const [error, setError] = useState(null);
 
-  // Fetch weekly energy data on component mount
+  // Fetch the stacked series whenever the range or breakdown changes
   useEffect(() => {
+    let cancelled = false;
     const fetchData = async () => {
+      setLoading(true);
+      setError(null);
       try {
-        setLoading(true);
-        const data = await getWeeklyEnergyData();
-        setWeeklyEnergyData(data);
-        
-        // Extract unique institution names from the data
-        const uniqueInstitutions = [...new Set(data.map(item => item.name.split(' - ')[0]))];
-        setInstitutions(uniqueInstitutions);
-        
-        // Check if data is from MongoDB or fallback
-        setDataSource(data.length > 0 && data[0].source === 'mongodb' ? 'mongodb' : 'sample');
-      } catch (error) {
-        console.error('Error fetching weekly energy data:', error);
-        setDataSource('error');
+        const data = await getSeries({
+          from: range.from,
+          to: range.to,
+          bucket: range.bucket,
+          metric,
+          groupBy,
+        });
+        if (!cancelled) setSeriesData(data);
+      } catch (err) {
+        console.error('Error fetching energy series:', err);
+        if (!cancelled) setError(err.message);
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
     fetchData();
-  }, [getWeeklyEnergyData]);
-
-  // Filter data based on selected institution
-  const filteredData = selectedInstitution === 'all' 
-    ? weeklyEnergyData 
-    : weeklyEnergyData.filter(item => item.name.includes(selectedInstitution));
+    return () => {
+      cancelled = true;
+    };
+  }, [getSeries, range, metric, groupBy]);
 
-  // Get badge color based on data source
-  const getBadgeColor = () => {
-    switch(dataSource) {
-      case 'mongodb': return 'green';
-      case 'sample': return 'orange';
-      case 'error': return 'red';
-      default: return 'gray';
-    }
-  };
+  const chartOptions = useMemo(() => ({
+    ...barChartOptionsConsumption,
+    xaxis: {
+      ...barChartOptionsConsumption.xaxis,
+      categories: seriesData ? seriesData.labels : [],
+    },
+    tooltip: {
+      ...barChartOptionsConsumption.tooltip,
+      y: { formatter: (value) => `${value ?? 0} ${seriesData ? seriesData.unit : ''}` },
+    },
+  }), [seriesData]);
 
-  // Get badge text based on data source
-  const getBadgeText = () => {
-    switch(dataSource) {
-      case 'mongodb': return 'Live Data';
-      case 'sample': return 'Sample Data';
-      case 'error': return 'Error';
-      default: return 'Loading';
-    }
-  };
+  const hasData = seriesData && seriesData.series.some((s) => s.total > 0);
 
   return (
     <Card align='center' direction='column' w='100%' {...rest}>
-      <Flex align='center' w='100%' px='15px' py='10px'>
+      <Flex align='center' w='100%' px='15px' py='10px' wrap='wrap' gap='8px'>
         <Flex direction="column">
           <Text
             color={textColor}
             fontSize='xl'
             fontWeight='700'
             lineHeight='100%'>
-            Weekly Energy Consumption
+            {METRIC_TITLES[metric]}
           </Text>
           <Flex align="center" mt="2">
-            <Badge colorScheme={getBadgeColor()} mr="2">
-              {getBadgeText()}
+            <Badge colorScheme={error ? 'red' : 'green'} mr="2">
+              {seriesData ? seriesData.unit : 'Loading'}
             </Badge>
-            {dataSource === 'sample' && (
-              <Tooltip label="Using sample data as real-time data is unavailable" placement="bottom">
-                <Icon as={MdInfo} color="orange.500" />
-              </Tooltip>
-            )}
           </Flex>
         </Flex>
-        <Flex ml="auto" align="center">
+        <Flex ml="auto" align="center" wrap='wrap' gap='8px'>
+          <DateRangePicker value={range} onChange={setRange} />
           <Select
-            ml='auto'
-            mr='2'
             w='auto'
-            value={selectedInstitution}
-            onChange={(e) => setSelectedInstitution(e.target.value)}
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
             size='sm'
             variant='filled'
           >
-            <option value='all'>All Institutions</option>
-            {institutions.map((inst, index) => (
-              <option key={index} value={inst}>{inst}</option>
+            {Object.entries(METRIC_TITLES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </Select>
+          <Select
+            w='auto'
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            size='sm'
+            variant='filled'
+          >
+            {Object.entries(GROUP_LABELS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
             ))}
           </Select>
           <Button
@@ -154,24 +164,22 @@ export default function WeeklyRevenue(props) {
           <Flex justify='center' align='center' h='100%'>
             <Spinner size='xl' color='brand.500' />
           </Flex>
-        ) : filteredData.length > 0 ? (
+        ) : error ? (
+          <Flex justify='center' align='center' h='100%'>
+            <Text color='red.500' fontSize='sm'>{error}</Text>
+          </Flex>
+        ) : hasData ? (
           <BarChart
-            chartData={filteredData}
-            chartOptions={{
-              ...barChartOptionsConsumption,
-              xaxis: {
-                ...barChartOptionsConsumption.xaxis,
-                categories: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"]
-              }
-            }}
+            chartData={seriesData.series}
+            chartOptions={chartOptions}
           />
         ) : (
           <Flex justify='center' align='center' h='100%' direction="column">
             <Text color={textColor} fontSize="lg" mb="2">
-              No data available for {selectedInstitution}
+              No readings in this range
             </Text>
-            <Button size="sm" colorScheme="blue" onClick={() => setSelectedInstitution('all')}>
-              View All Data
+            <Button size="sm" colorScheme="blue" onClick={() => setRange(rangeFromPreset("30d"))}>
+              Show last 30 days
             </Button>
           </Flex>
         )}
@@ -0,0 +1,513 @@
+import {
+  Box,
+  Text,
+  Button,
+  Icon,
+  useColorModeValue,
+  SimpleGrid,
+  Card,
+  CardBody,
+  CardHeader,
+  Heading,
+  Badge,
+  VStack,
+  HStack,
+  Input,
+  Select,
+  NumberInput,
+  NumberInputField,
+  FormControl,
+  FormLabel,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Spinner,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  ModalCloseButton,
+  useDisclosure,
+  useToast,
+} from "@chakra-ui/react";
+import React, { useState, useEffect, useCallback } from "react";
+import { MdRefresh, MdShoppingCart, MdAdd, MdPause, MdPlayArrow, MdDownload } from "react-icons/md";
+import { useAuth } from "contexts/AuthContext";
+import { useCarbon } from "contexts/CarbonContext";
+import offsetService from "services/offsetService";
+import carbonDataService, { newIdempotencyKey } from "services/carbonDataService";
+
+const PROJECT_TYPES = [
+  "reforestation",
+  "renewable_energy",
+  "methane_capture",
+  "cookstoves",
+  "blue_carbon",
+  "direct_air_capture",
+  "other",
+];
+const REGISTRIES = ["Verra", "Gold Standard", "ACR", "CAR", "Puro.earth", "Other"];
+
+const STATUS_COLORS = {
+  active: "green",
+  paused: "orange",
+  closed: "gray",
+};
+
+const EMPTY_LISTING = {
+  name: "",
+  type: "reforestation",
+  registry: "Verra",
+  registryProjectId: "",
+  vintage: String(new Date().getFullYear() - 1),
+  country: "",
+  pricePerTonne: "",
+  serialPrefix: "",
+  serialStart: "",
+  serialEnd: "",
+};
+
+const formatType = (type) => type.replace(/_/g, " ");
+
+const formatEnto = (value) => (value || 0).toLocaleString("en-US", { maximumFractionDigits: 2 });
+
+// Offset marketplace: buy and retire serial ranges from catalog projects
+export default function Offsets() {
+  const textColor = useColorModeValue("navy.700", "white");
+  const textColorSecondary = useColorModeValue("gray.500", "gray.400");
+  const cardBg = useColorModeValue("white", "navy.800");
+  const borderColor = useColorModeValue("gray.200", "gray.600");
+
+  const toast = useToast();
+  const { user } = useAuth();
+  const { dashboardData, refreshData } = useCarbon();
+  const canManage = user && user.role === "platform_admin";
+
+  const purchaseModal = useDisclosure();
+  const listingModal = useDisclosure();
+
+  const [projects, setProjects] = useState([]);
+  const [retirements, setRetirements] = useState([]);
+  const [totals, setTotals] = useState({ tonnes: 0, cost: 0 });
+  const [typeFilter, setTypeFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const [buying, setBuying] = useState(null);
+  const [downloading, setDownloading] = useState(null);
+  const [purchase, setPurchase] = useState({ tonnes: "1", beneficiary: "", purpose: "" });
+  const [listing, setListing] = useState(EMPTY_LISTING);
+
+  const showError = useCallback((err) => {
+    toast({
+      title: "Request failed",
+      description: err.message || "Something went wrong",
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+  }, [toast]);
+
+  const loadMarketplace = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [catalog, retired] = await Promise.all([
+        offsetService.getProjects(typeFilter ? { type: typeFilter } : {}),
+        offsetService.getRetirements({ limit: 20 }),
+      ]);
+      setProjects(catalog.data || []);
+      setRetirements(retired.data.retirements || []);
+      setTotals(retired.data.totals);
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load the offset catalog");
+    } finally {
+      setLoading(false);
+    }
+  }, [typeFilter]);
+
+  useEffect(() => {
+    loadMarketplace();
+  }, [loadMarketplace]);
+
+  // One key per purchase dialog, so retrying the same purchase cannot retire twice
+  const openPurchase = (project) => {
+    setBuying({ project, idempotencyKey: newIdempotencyKey() });
+    setPurchase({ tonnes: "1", beneficiary: "", purpose: "" });
+    purchaseModal.onOpen();
+  };
+
+  const tonnes = parseInt(purchase.tonnes) || 0;
+  const cost = buying ? tonnes * buying.project.pricePerTonne : 0;
+
+  const handlePurchase = async () => {
+    try {
+      setBusy(true);
+      const result = await carbonDataService.purchaseCarbonOffset(
+        {
+          projectId: buying.project._id,
+          tonnes,
+          beneficiary: purchase.beneficiary || undefined,
+          purpose: purchase.purpose || undefined,
+        },
+        buying.idempotencyKey
+      );
+      toast({
+        title: "Offsets retired",
+        description: `Serials ${result.data.retirement.serialRange}`,
+        status: "success",
+        duration: 5000,
+        isClosable: true,
+      });
+      purchaseModal.onClose();
+      refreshData();
+      await loadMarketplace();
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleList = async () => {
+    try {
+      setBusy(true);
+      await offsetService.createProject({
+        ...listing,
+        vintage: parseInt(listing.vintage),
+        pricePerTonne: Number(listing.pricePerTonne),
+        serialStart: parseInt(listing.serialStart),
+        serialEnd: parseInt(listing.serialEnd),
+      });
+      toast({ title: "Project listed", status: "success", duration: 3000, isClosable: true });
+      listingModal.onClose();
+      setListing(EMPTY_LISTING);
+      await loadMarketplace();
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadCertificate = async (retirement) => {
+    try {
+      setDownloading(retirement._id);
+      const pdf = await offsetService.downloadCertificate(retirement._id);
+      const url = URL.createObjectURL(pdf);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `offset-certificate-${retirement.serialRange}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const toggleStatus = async (project) => {
+    try {
+      await offsetService.updateProject(project._id, { status: project.status === "active" ? "paused" : "active" });
+      await loadMarketplace();
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const listingField = (name, label, props = {}) => (
+    <FormControl>
+      <FormLabel fontSize="sm">{label}</FormLabel>
+      <Input size="sm" value={listing[name]} onChange={(e) => setListing({ ...listing, [name]: e.target.value })} {...props} />
+    </FormControl>
+  );
+
+  return (
+    <Box pt={{ base: "130px", md: "80px", xl: "80px" }}>
+      <Card bg={cardBg} borderColor={borderColor} p="20px" mb="20px">
+        <CardHeader>
+          <HStack justify="space-between">
+            <Heading size="md" color={textColor}>
+              Offset Projects
+            </Heading>
+            <HStack>
+              <Select size="sm" maxW="200px" value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+                <option value="">All types</option>
+                {PROJECT_TYPES.map((type) => (
+                  <option key={type} value={type}>{formatType(type)}</option>
+                ))}
+              </Select>
+              {canManage && (
+                <Button size="sm" leftIcon={<Icon as={MdAdd} />} colorScheme="green" onClick={listingModal.onOpen}>
+                  List project
+                </Button>
+              )}
+              <Button size="sm" variant="ghost" onClick={loadMarketplace} isDisabled={loading}>
+                <Icon as={MdRefresh} />
+              </Button>
+            </HStack>
+          </HStack>
+        </CardHeader>
+        <CardBody>
+          {loading ? (
+            <Spinner />
+          ) : error ? (
+            <Text color="red.500" fontSize="sm">{error}</Text>
+          ) : projects.length === 0 ? (
+            <Text color={textColorSecondary} fontSize="sm">No offset projects are listed.</Text>
+          ) : (
+            <Table size="sm" variant="simple">
+              <Thead>
+                <Tr>
+                  <Th>Project</Th>
+                  <Th>Type</Th>
+                  <Th>Registry</Th>
+                  <Th isNumeric>Vintage</Th>
+                  <Th isNumeric>ENTO / t</Th>
+                  <Th isNumeric>Available (t)</Th>
+                  <Th />
+                </Tr>
+              </Thead>
+              <Tbody>
+                {projects.map((project) => (
+                  <Tr key={project._id}>
+                    <Td>
+                      <Text color={textColor} fontWeight="medium">{project.name}</Text>
+                      <Text color={textColorSecondary} fontSize="xs">
+                        {project.country ? `${project.country} · ` : ""}{project.serialPrefix}
+                      </Text>
+                    </Td>
+                    <Td>{formatType(project.type)}</Td>
+                    <Td>
+                      <Text>{project.registry}</Text>
+                      <Text color={textColorSecondary} fontSize="xs">{project.registryProjectId}</Text>
+                    </Td>
+                    <Td isNumeric>{project.vintage}</Td>
+                    <Td isNumeric>{formatEnto(project.pricePerTonne)}</Td>
+                    <Td isNumeric>
+                      {project.availableTonnes} / {project.totalTonnes}
+                    </Td>
+                    <Td>
+                      <HStack justify="flex-end">
+                        {canManage && (
+                          <>
+                            <Badge colorScheme={STATUS_COLORS[project.status]}>{project.status}</Badge>
+                            <Button size="xs" variant="ghost" onClick={() => toggleStatus(project)} isDisabled={project.status === "closed"}>
+                              <Icon as={project.status === "active" ? MdPause : MdPlayArrow} />
+                            </Button>
+                          </>
+                        )}
+                        <Button
+                          size="sm"
+                          leftIcon={<Icon as={MdShoppingCart} />}
+                          colorScheme="green"
+                          onClick={() => openPurchase(project)}
+                          isDisabled={project.status !== "active" || project.availableTonnes === 0}
+                        >
+                          Buy
+                        </Button>
+                      </HStack>
+                    </Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card bg={cardBg} borderColor={borderColor} p="20px">
+        <CardHeader>
+          <HStack justify="space-between">
+            <Heading size="md" color={textColor}>
+              Retired Offsets
+            </Heading>
+            <Text color={textColorSecondary} fontSize="sm">
+              {formatEnto(totals.tonnes)} tCO2e retired · {formatEnto(totals.cost)} ENTO
+            </Text>
+          </HStack>
+        </CardHeader>
+        <CardBody>
+          {retirements.length === 0 ? (
+            <Text color={textColorSecondary} fontSize="sm">Your institute has not retired any offsets yet.</Text>
+          ) : (
+            <Table size="sm" variant="simple">
+              <Thead>
+                <Tr>
+                  <Th>Retired</Th>
+                  <Th>Project</Th>
+                  <Th>Serial range</Th>
+                  <Th isNumeric>Tonnes</Th>
+                  <Th isNumeric>ENTO</Th>
+                  <Th>Beneficiary</Th>
+                  <Th />
+                </Tr>
+              </Thead>
+              <Tbody>
+                {retirements.map((retirement) => (
+                  <Tr key={retirement._id}>
+                    <Td>{new Date(retirement.retiredAt).toLocaleDateString()}</Td>
+                    <Td>
+                      <Text color={textColor}>{retirement.projectSnapshot.name}</Text>
+                      <Text color={textColorSecondary} fontSize="xs">
+                        {retirement.projectSnapshot.registry} · {retirement.projectSnapshot.vintage}
+                      </Text>
+                    </Td>
+                    <Td>
+                      <Text fontSize="xs" fontFamily="mono">{retirement.serialRange}</Text>
+                    </Td>
+                    <Td isNumeric>{retirement.tonnes}</Td>
+                    <Td isNumeric>{formatEnto(retirement.cost)}</Td>
+                    <Td>
+                      <Text>{retirement.beneficiary || "—"}</Text>
+                      {retirement.purpose && <Text color={textColorSecondary} fontSize="xs">{retirement.purpose}</Text>}
+                    </Td>
+                    <Td>
+                      <Button
+                        size="xs"
+                        variant="outline"
+                        leftIcon={<Icon as={MdDownload} />}
+                        isLoading={downloading === retirement._id}
+                        onClick={() => downloadCertificate(retirement)}
+                      >
+                        Certificate
+                      </Button>
+                    </Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Modal isOpen={purchaseModal.isOpen} onClose={purchaseModal.onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Retire offsets</ModalHeader>
+          <ModalCloseButton />
+          {buying && (
+            <ModalBody>
+              <Text color={textColor} fontWeight="bold">{buying.project.name}</Text>
+              <Text color={textColorSecondary} fontSize="sm" mb="20px">
+                {buying.project.registry} {buying.project.registryProjectId} · vintage {buying.project.vintage}
+                {" · "}
+                {buying.project.availableTonnes} t available
+              </Text>
+              <VStack spacing="3">
+                <FormControl>
+                  <FormLabel fontSize="sm">Tonnes CO2e</FormLabel>
+                  <NumberInput
+                    size="sm"
+                    min={1}
+                    max={buying.project.availableTonnes}
+                    precision={0}
+                    value={purchase.tonnes}
+                    onChange={(value) => setPurchase({ ...purchase, tonnes: value })}
+                  >
+                    <NumberInputField />
+                  </NumberInput>
+                </FormControl>
+                <FormControl>
+                  <FormLabel fontSize="sm">Beneficiary</FormLabel>
+                  <Input
+                    size="sm"
+                    value={purchase.beneficiary}
+                    onChange={(e) => setPurchase({ ...purchase, beneficiary: e.target.value })}
+                    placeholder="Defaults to your institute"
+                  />
+                </FormControl>
+                <FormControl>
+                  <FormLabel fontSize="sm">Purpose</FormLabel>
+                  <Input
+                    size="sm"
+                    value={purchase.purpose}
+                    onChange={(e) => setPurchase({ ...purchase, purpose: e.target.value })}
+                    placeholder="e.g. Faculty travel 2026"
+                  />
+                </FormControl>
+              </VStack>
+              <SimpleGrid columns={2} gap="10px" mt="20px">
+                <Box>
+                  <Text color={textColorSecondary} fontSize="xs">Cost</Text>
+                  <Text color={textColor} fontWeight="bold">{formatEnto(cost)} ENTO</Text>
+                </Box>
+                <Box>
+                  <Text color={textColorSecondary} fontSize="xs">Wallet balance</Text>
+                  <Text color={dashboardData && cost > dashboardData.walletBalance ? "red.500" : textColor} fontWeight="bold">
+                    {dashboardData ? `${formatEnto(dashboardData.walletBalance)} ENTO` : "—"}
+                  </Text>
+                </Box>
+              </SimpleGrid>
+            </ModalBody>
+          )}
+          <ModalFooter>
+            <Button size="sm" variant="ghost" mr="3" onClick={purchaseModal.onClose}>
+              Cancel
+            </Button>
+            <Button
+              size="sm"
+              colorScheme="green"
+              onClick={handlePurchase}
+              isLoading={busy}
+              isDisabled={!buying || tonnes < 1 || tonnes > buying.project.availableTonnes}
+            >
+              Buy &amp; retire
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+
+      <Modal isOpen={listingModal.isOpen} onClose={listingModal.onClose} size="xl">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>List offset project</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <SimpleGrid columns={2} gap="12px">
+              {listingField("name", "Name")}
+              <FormControl>
+                <FormLabel fontSize="sm">Type</FormLabel>
+                <Select size="sm" value={listing.type} onChange={(e) => setListing({ ...listing, type: e.target.value })}>
+                  {PROJECT_TYPES.map((type) => (
+                    <option key={type} value={type}>{formatType(type)}</option>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl>
+                <FormLabel fontSize="sm">Registry</FormLabel>
+                <Select size="sm" value={listing.registry} onChange={(e) => setListing({ ...listing, registry: e.target.value })}>
+                  {REGISTRIES.map((registry) => (
+                    <option key={registry} value={registry}>{registry}</option>
+                  ))}
+                </Select>
+              </FormControl>
+              {listingField("registryProjectId", "Registry project id", { placeholder: "VCS-1234" })}
+              {listingField("vintage", "Vintage")}
+              {listingField("country", "Country", { placeholder: "IN" })}
+              {listingField("pricePerTonne", "ENTO per tonne")}
+              {listingField("serialPrefix", "Serial prefix")}
+              {listingField("serialStart", "First serial")}
+              {listingField("serialEnd", "Last serial")}
+            </SimpleGrid>
+          </ModalBody>
+          <ModalFooter>
+            <Button size="sm" variant="ghost" mr="3" onClick={listingModal.onClose}>
+              Cancel
+            </Button>
+            <Button size="sm" colorScheme="green" onClick={handleList} isLoading={busy}>
+              List project
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </Box>
+  );
+}
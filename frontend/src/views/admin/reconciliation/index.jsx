@@ -0,0 +1,288 @@
+import {
+  Box,
+  Text,
+  Button,
+  Icon,
+  useColorModeValue,
+  SimpleGrid,
+  Card,
+  CardBody,
+  CardHeader,
+  Heading,
+  Badge,
+  VStack,
+  HStack,
+  Input,
+  Switch,
+  FormControl,
+  FormLabel,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Spinner,
+  useToast,
+} from "@chakra-ui/react";
+import React, { useState, useEffect, useCallback } from "react";
+import { MdRefresh, MdPlayArrow, MdDoneAll } from "react-icons/md";
+import { useAuth } from "contexts/AuthContext";
+import reconciliationService from "services/reconciliationService";
+
+const STATUS_COLORS = {
+  matched: "green",
+  discrepancies: "orange",
+  failed: "red",
+  mismatch: "orange",
+  error: "red",
+};
+
+const shortAddress = (address) => (address ? `${address.slice(0, 8)}…${address.slice(-6)}` : "—");
+
+const formatEnto = (value) =>
+  (value || 0).toLocaleString("en-US", { maximumFractionDigits: 4 });
+
+// Department wallet ledgers vs on-chain EnergyToken holdings
+export default function Reconciliation() {
+  const textColor = useColorModeValue("navy.700", "white");
+  const textColorSecondary = useColorModeValue("gray.500", "gray.400");
+  const cardBg = useColorModeValue("white", "navy.800");
+  const borderColor = useColorModeValue("gray.200", "gray.600");
+  const selectedBg = useColorModeValue("gray.100", "whiteAlpha.100");
+
+  const toast = useToast();
+  const { user } = useAuth();
+  const canRun = user && user.role === "platform_admin";
+
+  const [reports, setReports] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [openOnly, setOpenOnly] = useState(false);
+  const [note, setNote] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const showError = useCallback((err) => {
+    toast({
+      title: "Request failed",
+      description: err.message || "Something went wrong",
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+  }, [toast]);
+
+  const loadReports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = openOnly ? { status: "discrepancies,failed", unacknowledged: "true" } : {};
+      const result = await reconciliationService.getReports(params);
+      setReports(result.data.reports || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load reconciliation reports");
+    } finally {
+      setLoading(false);
+    }
+  }, [openOnly]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  const selectReport = (report) => {
+    setSelected(report);
+    setNote("");
+  };
+
+  const handleRun = async () => {
+    try {
+      setBusy(true);
+      const result = await reconciliationService.runNow();
+      toast({ title: `${result.data.length} institute(s) reconciled`, status: "success", duration: 3000, isClosable: true });
+      await loadReports();
+      if (result.data.length > 0) selectReport(result.data[0]);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAcknowledge = async () => {
+    try {
+      setBusy(true);
+      const result = await reconciliationService.acknowledge(selected._id, note);
+      toast({ title: "Report acknowledged", status: "success", duration: 3000, isClosable: true });
+      await loadReports();
+      selectReport(result.data);
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const acknowledgeable = selected && selected.status !== "matched" && !(selected.acknowledgement && selected.acknowledgement.at);
+
+  return (
+    <Box pt={{ base: "130px", md: "80px", xl: "80px" }}>
+      <SimpleGrid columns={{ base: 1, xl: 3 }} gap="20px">
+        <Card bg={cardBg} borderColor={borderColor} p="20px">
+          <CardHeader>
+            <HStack justify="space-between">
+              <Heading size="md" color={textColor}>
+                Reconciliation Runs
+              </Heading>
+              <HStack>
+                {canRun && (
+                  <Button size="sm" leftIcon={<Icon as={MdPlayArrow} />} colorScheme="green" onClick={handleRun} isLoading={busy}>
+                    Run now
+                  </Button>
+                )}
+                <Button size="sm" variant="ghost" onClick={loadReports} isDisabled={loading}>
+                  <Icon as={MdRefresh} />
+                </Button>
+              </HStack>
+            </HStack>
+          </CardHeader>
+          <CardBody>
+            <FormControl display="flex" alignItems="center" mb="20px">
+              <Switch id="open-only" size="sm" isChecked={openOnly} onChange={(e) => setOpenOnly(e.target.checked)} />
+              <FormLabel htmlFor="open-only" mb="0" ml="10px" fontSize="sm" color={textColorSecondary}>
+                Unacknowledged discrepancies only
+              </FormLabel>
+            </FormControl>
+
+            {loading ? (
+              <Spinner />
+            ) : error ? (
+              <Text color="red.500" fontSize="sm">{error}</Text>
+            ) : reports.length === 0 ? (
+              <Text color={textColorSecondary} fontSize="sm">No reconciliation runs yet.</Text>
+            ) : (
+              <VStack align="stretch" spacing="2">
+                {reports.map((report) => (
+                  <Box
+                    key={report._id}
+                    p="10px"
+                    borderRadius="md"
+                    cursor="pointer"
+                    bg={selected && selected._id === report._id ? selectedBg : "transparent"}
+                    onClick={() => selectReport(report)}
+                  >
+                    <HStack justify="space-between">
+                      <Text color={textColor} fontWeight="bold">{new Date(report.startedAt).toLocaleString()}</Text>
+                      <Badge colorScheme={STATUS_COLORS[report.status]}>{report.status}</Badge>
+                    </HStack>
+                    <Text color={textColorSecondary} fontSize="sm">
+                      {typeof report.institute === "object" ? report.institute.name : report.institute}
+                      {" · "}
+                      {report.mismatches} of {report.departments.length} departments off
+                      {report.acknowledgement && report.acknowledgement.at ? " · acknowledged" : ""}
+                    </Text>
+                  </Box>
+                ))}
+              </VStack>
+            )}
+          </CardBody>
+        </Card>
+
+        <Card bg={cardBg} borderColor={borderColor} p="20px" gridColumn={{ xl: "span 2" }}>
+          {!selected ? (
+            <Text color={textColorSecondary}>Select a run to see its department lines.</Text>
+          ) : (
+            <>
+              <CardHeader>
+                <HStack justify="space-between">
+                  <Heading size="md" color={textColor}>
+                    Block {selected.blockNumber ?? "—"} on {selected.network}
+                  </Heading>
+                  <Badge colorScheme={STATUS_COLORS[selected.status]}>{selected.status}</Badge>
+                </HStack>
+                <Text color={textColorSecondary} fontSize="sm">
+                  Differences within {selected.tolerance} ENTO count as matched.
+                  On-chain holdings include staked, collateral and escrowed ENTO.
+                </Text>
+              </CardHeader>
+              <CardBody>
+                {selected.error && <Text color="red.500" fontSize="sm" mb="10px">{selected.error}</Text>}
+                <Table size="sm" variant="simple">
+                  <Thead>
+                    <Tr>
+                      <Th>Department</Th>
+                      <Th isNumeric>Ledger</Th>
+                      <Th isNumeric>Balance</Th>
+                      <Th isNumeric>Staked</Th>
+                      <Th isNumeric>Collateral</Th>
+                      <Th isNumeric>Escrowed</Th>
+                      <Th isNumeric>Difference</Th>
+                      <Th>Status</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {selected.departments.map((line) => (
+                      <Tr key={line.departmentName}>
+                        <Td>
+                          <Text color={textColor} fontWeight="medium">{line.departmentName}</Text>
+                          <Text color={textColorSecondary} fontSize="xs">{shortAddress(line.address)}</Text>
+                        </Td>
+                        <Td isNumeric>
+                          {formatEnto(line.offChain.balance)}
+                          <Text color={textColorSecondary} fontSize="xs">
+                            {line.offChain.wallets} wallets{line.offChain.unopened ? `, ${line.offChain.unopened} unopened` : ""}
+                          </Text>
+                        </Td>
+                        <Td isNumeric>{formatEnto(line.onChain.balance)}</Td>
+                        <Td isNumeric>{formatEnto(line.onChain.staked)}</Td>
+                        <Td isNumeric>{formatEnto(line.onChain.collateral)}</Td>
+                        <Td isNumeric>{formatEnto(line.onChain.escrowed)}</Td>
+                        <Td isNumeric color={line.status === "mismatch" ? "orange.500" : textColor}>
+                          {line.status === "error" ? "—" : formatEnto(line.difference)}
+                        </Td>
+                        <Td>
+                          <Badge colorScheme={STATUS_COLORS[line.status]}>{line.status}</Badge>
+                          {line.error && <Text fontSize="xs" color="red.500">{line.error}</Text>}
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+
+                {selected.acknowledgement && selected.acknowledgement.at && (
+                  <Text color={textColorSecondary} fontSize="sm" mt="20px">
+                    Acknowledged by {selected.acknowledgement.by ? selected.acknowledgement.by.fullName : "—"}
+                    {` on ${new Date(selected.acknowledgement.at).toLocaleString()}: `}
+                    {selected.acknowledgement.note}
+                  </Text>
+                )}
+
+                {acknowledgeable && (
+                  <HStack mt="20px">
+                    <Input
+                      size="sm"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder="What caused the difference?"
+                    />
+                    <Button
+                      size="sm"
+                      leftIcon={<Icon as={MdDoneAll} />}
+                      colorScheme="blue"
+                      onClick={handleAcknowledge}
+                      isDisabled={!note.trim()}
+                      isLoading={busy}
+                    >
+                      Acknowledge
+                    </Button>
+                  </HStack>
+                )}
+              </CardBody>
+            </>
+          )}
+        </Card>
+      </SimpleGrid>
+    </Box>
+  );
+}
@@ -0,0 +1,318 @@
+import {
+  Box,
+  Text,
+  Button,
+  Icon,
+  useColorModeValue,
+  SimpleGrid,
+  Card,
+  CardBody,
+  CardHeader,
+  Heading,
+  Badge,
+  HStack,
+  Input,
+  Select,
+  FormControl,
+  FormLabel,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Spinner,
+  Stat,
+  StatLabel,
+  StatNumber,
+  StatHelpText,
+  useToast,
+} from "@chakra-ui/react";
+import React, { useState, useEffect, useCallback } from "react";
+import { MdDownload, MdRefresh } from "react-icons/md";
+import reportService from "services/reportService";
+
+const FORMATS = ["pdf", "xlsx", "csv"];
+
+const lastYear = new Date().getFullYear() - 1;
+const YEARS = Array.from({ length: 6 }, (_, i) => lastYear + 1 - i);
+
+const formatNumber = (value, digits = 3) =>
+  (value || 0).toLocaleString("en-US", { maximumFractionDigits: digits });
+
+// Emissions going down is good news, so decreases are green
+const ChangeBadge = ({ percent }) =>
+  percent === null || percent === undefined ? (
+    <Badge>n/a</Badge>
+  ) : (
+    <Badge colorScheme={percent > 0 ? "red" : percent < 0 ? "green" : "gray"}>
+      {percent > 0 ? "+" : ""}
+      {percent}%
+    </Badge>
+  );
+
+// GHG inventory by scope for a reporting period, with PDF/XLSX/CSV downloads
+export default function Reports() {
+  const textColor = useColorModeValue("navy.700", "white");
+  const textColorSecondary = useColorModeValue("gray.500", "gray.400");
+  const cardBg = useColorModeValue("white", "navy.800");
+  const borderColor = useColorModeValue("gray.200", "gray.600");
+
+  const toast = useToast();
+
+  const [mode, setMode] = useState("year");
+  const [year, setYear] = useState(String(lastYear));
+  const [range, setRange] = useState({ from: `${lastYear}-01-01`, to: `${lastYear}-12-31` });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState(null);
+
+  const params = mode === "year" ? { year } : range;
+
+  const loadReport = useCallback(async (query) => {
+    try {
+      setLoading(true);
+      const result = await reportService.getGhgReport(query);
+      setReport(result.data);
+      setError(null);
+    } catch (err) {
+      setReport(null);
+      setError(err.message || "Failed to generate the report");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReport({ year: String(lastYear) });
+  }, [loadReport]);
+
+  const handleDownload = async (format) => {
+    try {
+      setDownloading(format);
+      const file = await reportService.downloadGhgReport(params, format);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `ghg-inventory-${mode === "year" ? year : `${range.from}_to_${range.to}`}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast({
+        title: "Download failed",
+        description: err.message || "Something went wrong",
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const summary = report
+    ? [
+        { label: "Gross emissions", unit: "tCO2e", ...report.totals.gross, value: report.totals.gross.tCO2e },
+        { label: "Offsets retired", unit: "tCO2e", ...report.totals.offsetsRetired, value: report.totals.offsetsRetired.tCO2e },
+        { label: "Net emissions", unit: "tCO2e", ...report.totals.net, value: report.totals.net.tCO2e },
+        { label: "Energy consumed", unit: "kWh", ...report.totals.energyKWh, value: report.totals.energyKWh.kWh },
+      ]
+    : [];
+
+  return (
+    <Box pt={{ base: "130px", md: "80px", xl: "80px" }}>
+      <Card bg={cardBg} borderColor={borderColor} p="20px" mb="20px">
+        <CardHeader>
+          <Heading size="md" color={textColor}>
+            GHG Inventory
+          </Heading>
+          <Text color={textColorSecondary} fontSize="sm">
+            Scope 1, 2 and 3 emissions, energy by source and offsets retired, compared with the same period a year earlier.
+          </Text>
+        </CardHeader>
+        <CardBody>
+          <HStack spacing="15px" align="flex-end" flexWrap="wrap">
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Period</FormLabel>
+              <Select size="sm" value={mode} onChange={(e) => setMode(e.target.value)}>
+                <option value="year">Calendar year</option>
+                <option value="range">Custom dates</option>
+              </Select>
+            </FormControl>
+            {mode === "year" ? (
+              <FormControl w="auto">
+                <FormLabel fontSize="sm">Year</FormLabel>
+                <Select size="sm" value={year} onChange={(e) => setYear(e.target.value)}>
+                  {YEARS.map((y) => (
+                    <option key={y} value={y}>{y}</option>
+                  ))}
+                </Select>
+              </FormControl>
+            ) : (
+              <>
+                <FormControl w="auto">
+                  <FormLabel fontSize="sm">From</FormLabel>
+                  <Input size="sm" type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} />
+                </FormControl>
+                <FormControl w="auto">
+                  <FormLabel fontSize="sm">To</FormLabel>
+                  <Input size="sm" type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} />
+                </FormControl>
+              </>
+            )}
+            <Button size="sm" colorScheme="green" leftIcon={<Icon as={MdRefresh} />} onClick={() => loadReport(params)} isLoading={loading}>
+              Generate
+            </Button>
+            {FORMATS.map((format) => (
+              <Button
+                key={format}
+                size="sm"
+                variant="outline"
+                leftIcon={<Icon as={MdDownload} />}
+                onClick={() => handleDownload(format)}
+                isLoading={downloading === format}
+              >
+                {format.toUpperCase()}
+              </Button>
+            ))}
+          </HStack>
+        </CardBody>
+      </Card>
+
+      {loading ? (
+        <Spinner />
+      ) : error ? (
+        <Text color="red.500" fontSize="sm">{error}</Text>
+      ) : report && (
+        <>
+          <Text color={textColorSecondary} fontSize="sm" mb="10px">
+            {report.institute.name} · {report.period.label} compared with {report.comparisonPeriod.label}
+          </Text>
+          <SimpleGrid columns={{ base: 1, md: 2, xl: 4 }} gap="20px" mb="20px">
+            {summary.map((item) => (
+              <Card key={item.label} bg={cardBg} borderColor={borderColor} p="20px">
+                <Stat>
+                  <StatLabel color={textColorSecondary}>{item.label}</StatLabel>
+                  <StatNumber color={textColor}>
+                    {formatNumber(item.value)} <Text as="span" fontSize="sm">{item.unit}</Text>
+                  </StatNumber>
+                  <StatHelpText>
+                    <ChangeBadge percent={item.changePercent} /> vs {formatNumber(item.previous)}
+                  </StatHelpText>
+                </Stat>
+              </Card>
+            ))}
+          </SimpleGrid>
+
+          <SimpleGrid columns={{ base: 1, xl: 2 }} gap="20px" mb="20px">
+            <Card bg={cardBg} borderColor={borderColor} p="20px">
+              <CardHeader>
+                <Heading size="sm" color={textColor}>Emissions by scope</Heading>
+              </CardHeader>
+              <CardBody>
+                <Table size="sm" variant="simple">
+                  <Thead>
+                    <Tr>
+                      <Th>Category</Th>
+                      <Th isNumeric>tCO2e</Th>
+                      <Th isNumeric>Previous</Th>
+                      <Th isNumeric>Change</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {report.scopes.map((scope) => (
+                      <React.Fragment key={scope.scope}>
+                        <Tr>
+                          <Td fontWeight="bold" color={textColor}>{scope.label}</Td>
+                          <Td isNumeric fontWeight="bold">{formatNumber(scope.tCO2e)}</Td>
+                          <Td isNumeric>{formatNumber(scope.previous)}</Td>
+                          <Td isNumeric><ChangeBadge percent={scope.changePercent} /></Td>
+                        </Tr>
+                        {scope.categories.map((category) => (
+                          <Tr key={category.key}>
+                            <Td pl="30px" color={textColorSecondary}>{category.label}</Td>
+                            <Td isNumeric>{formatNumber(category.tCO2e)}</Td>
+                            <Td isNumeric>{formatNumber(category.previous)}</Td>
+                            <Td isNumeric><ChangeBadge percent={category.changePercent} /></Td>
+                          </Tr>
+                        ))}
+                      </React.Fragment>
+                    ))}
+                  </Tbody>
+                </Table>
+              </CardBody>
+            </Card>
+
+            <Card bg={cardBg} borderColor={borderColor} p="20px">
+              <CardHeader>
+                <Heading size="sm" color={textColor}>Energy by source</Heading>
+              </CardHeader>
+              <CardBody>
+                <Table size="sm" variant="simple">
+                  <Thead>
+                    <Tr>
+                      <Th>Source</Th>
+                      <Th isNumeric>kWh</Th>
+                      <Th isNumeric>Share</Th>
+                      <Th isNumeric>Previous</Th>
+                      <Th isNumeric>Change</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {report.energy.map((source) => (
+                      <Tr key={source.source}>
+                        <Td textTransform="capitalize">{source.source}</Td>
+                        <Td isNumeric>{formatNumber(source.kWh, 1)}</Td>
+                        <Td isNumeric>{source.share}%</Td>
+                        <Td isNumeric>{formatNumber(source.previous, 1)}</Td>
+                        <Td isNumeric><ChangeBadge percent={source.changePercent} /></Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </CardBody>
+            </Card>
+          </SimpleGrid>
+
+          <Card bg={cardBg} borderColor={borderColor} p="20px">
+            <CardHeader>
+              <Heading size="sm" color={textColor}>
+                Offsets retired ({formatNumber(report.offsets.tonnes)} tCO2e in {report.offsets.count} retirements)
+              </Heading>
+            </CardHeader>
+            <CardBody>
+              {report.offsets.retirements.length === 0 ? (
+                <Text color={textColorSecondary} fontSize="sm">No offsets were retired in this period.</Text>
+              ) : (
+                <Table size="sm" variant="simple">
+                  <Thead>
+                    <Tr>
+                      <Th>Retired</Th>
+                      <Th>Project</Th>
+                      <Th>Serial range</Th>
+                      <Th isNumeric>Tonnes</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {report.offsets.retirements.map((retirement) => (
+                      <Tr key={retirement.serialRange}>
+                        <Td>{new Date(retirement.retiredAt).toLocaleDateString()}</Td>
+                        <Td>{retirement.project} ({retirement.registry} · {retirement.vintage})</Td>
+                        <Td><Text fontSize="xs" fontFamily="mono">{retirement.serialRange}</Text></Td>
+                        <Td isNumeric>{retirement.tonnes}</Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              )}
+              {report.notes.map((note) => (
+                <Text key={note} color={textColorSecondary} fontSize="xs" mt="10px">{note}</Text>
+              ))}
+            </CardBody>
+          </Card>
+        </>
+      )}
+    </Box>
+  );
+}
@@ -1,6 +1,8 @@
-import React from "react";
-import { NavLink, useNavigate } from "react-router-dom";
+import React, { useState } from "react";
+import { NavLink } from "react-router-dom";
 import {
+  Alert,
+  AlertIcon,
   Box,
   Button,
   Flex,
@@ -13,9 +15,13 @@ import {
 } from "@chakra-ui/react";
 import DefaultAuth from "layouts/auth/Default";
 import illustration from "assets/img/auth/auth.png";
+import authService from "services/authService";
 
 function ForgotPassword() {
-  const navigate = useNavigate();
+  const [email, setEmail] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [errors, setErrors] = useState([]);
 
   // Chakra color mode
   const textColor = useColorModeValue("navy.700", "white");
@@ -24,14 +30,20 @@ function ForgotPassword() {
   const textColorBrand = useColorModeValue("brand.500", "white");
   const brandStars = useColorModeValue("brand.500", "brand.400");
 
-  // Handle password reset
-  const handlePasswordReset = (event) => {
+  // Handle password reset request
+  const handlePasswordReset = async (event) => {
     event.preventDefault();
-    // Add password reset logic here (API call, validation, etc.)
-    // On successful submission:
-    alert('Password reset link sent to your email!');
-    // Optionally redirect to sign in page
-    // navigate('/auth/sign-in');
+    setErrors([]);
+    setSubmitting(true);
+
+    try {
+      await authService.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      setErrors(error.errors || [error.message || "Unable to send the reset link. Please try again."]);
+    } finally {
+      setSubmitting(false);
+    }
   };
 
   return (
@@ -77,6 +89,18 @@ function ForgotPassword() {
             me="auto"
             mb={{ base: "20px", md: "auto" }}
           >
+            {sent && (
+              <Alert status="success" mb="20px" borderRadius="15px">
+                <AlertIcon />
+                If an account exists for {email}, a reset link is on its way. The link expires soon and works once.
+              </Alert>
+            )}
+            {errors.length > 0 && (
+              <Alert status="error" mb="20px" borderRadius="15px">
+                <AlertIcon />
+                {errors.join(". ")}
+              </Alert>
+            )}
             {/* FORM STARTS HERE */}
             <form onSubmit={handlePasswordReset}>
               <FormControl>
@@ -96,6 +120,8 @@ function ForgotPassword() {
                   fontSize="sm"
                   ms={{ base: "0px", md: "0px" }}
                   type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
                   placeholder="Enter your email address"
                   mb="20px"
                   fontWeight="500"
@@ -109,8 +135,10 @@ function ForgotPassword() {
                   w="100%"
                   h="50"
                   mb="20px"
+                  isLoading={submitting}
+                  isDisabled={!email}
                 >
-                  Send Reset Link
+                  {sent ? "Resend Reset Link" : "Send Reset Link"}
                 </Button>
               </FormControl>
             </form>
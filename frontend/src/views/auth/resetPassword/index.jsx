@@ -0,0 +1,225 @@
+import React, { useState } from "react";
+import { NavLink, useNavigate, useSearchParams } from "react-router-dom";
+import {
+  Alert,
+  AlertIcon,
+  Box,
+  Button,
+  Flex,
+  FormControl,
+  FormLabel,
+  Heading,
+  Icon,
+  Input,
+  InputGroup,
+  InputRightElement,
+  Text,
+  useColorModeValue,
+  useToast,
+} from "@chakra-ui/react";
+import DefaultAuth from "layouts/auth/Default";
+import illustration from "assets/img/auth/auth.png";
+import { MdOutlineRemoveRedEye } from "react-icons/md";
+import { RiEyeCloseLine } from "react-icons/ri";
+import authService from "services/authService";
+
+function ResetPassword() {
+  const navigate = useNavigate();
+  const toast = useToast();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" });
+  const [show, setShow] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  // Chakra color mode
+  const textColor = useColorModeValue("navy.700", "white");
+  const textColorSecondary = "gray.400";
+  const textColorDetails = useColorModeValue("navy.700", "secondaryGray.600");
+  const textColorBrand = useColorModeValue("brand.500", "white");
+  const brandStars = useColorModeValue("brand.500", "brand.400");
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors.length > 0) {
+      setErrors([]);
+    }
+  };
+
+  const handleReset = async (event) => {
+    event.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      setErrors(["Passwords do not match"]);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await authService.resetPassword({ token, ...formData });
+      toast({
+        title: "Password updated",
+        description: response.message,
+        status: "success",
+        duration: 5000,
+        isClosable: true,
+      });
+      navigate("/auth/sign-in");
+    } catch (error) {
+      setErrors(error.errors || [error.message || "Unable to reset your password. Please try again."]);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const passwordInput = (name, placeholder) => (
+    <InputGroup size="md">
+      <Input
+        isRequired={true}
+        name={name}
+        value={formData[name]}
+        onChange={handleInputChange}
+        fontSize="sm"
+        placeholder={placeholder}
+        mb="20px"
+        size="lg"
+        type={show ? "text" : "password"}
+        variant="auth"
+      />
+      <InputRightElement display="flex" alignItems="center" mt="4px">
+        <Icon
+          color={textColorSecondary}
+          _hover={{ cursor: "pointer" }}
+          as={show ? RiEyeCloseLine : MdOutlineRemoveRedEye}
+          onClick={() => setShow(!show)}
+        />
+      </InputRightElement>
+    </InputGroup>
+  );
+
+  return (
+    <DefaultAuth illustrationBackground={illustration} image={illustration}>
+      <Box
+        maxW={{ base: "100%", md: "max-content" }}
+        w="100%"
+        mx={{ base: "auto", lg: "0px" }}
+        me="auto"
+        h="100vh"
+        overflowY="auto"
+        px={{ base: "25px", md: "0px" }}
+        py={{ base: "20px", md: "40px" }}
+      >
+        <Flex
+          alignItems="start"
+          justifyContent="center"
+          flexDirection="column"
+          minH="100%"
+        >
+          <Box me="auto" mb="20px">
+            <Heading color={textColor} fontSize="28px" mb="8px">
+              Reset Password
+            </Heading>
+            <Text
+              mb="20px"
+              ms="4px"
+              color={textColorSecondary}
+              fontWeight="400"
+              fontSize="md"
+            >
+              Choose a new password. You will be signed out on every device.
+            </Text>
+          </Box>
+          <Flex
+            zIndex="2"
+            direction="column"
+            w={{ base: "100%", md: "420px" }}
+            maxW="100%"
+            background="transparent"
+            borderRadius="15px"
+            mx={{ base: "auto", lg: "unset" }}
+            me="auto"
+            mb={{ base: "20px", md: "auto" }}
+          >
+            {!token && (
+              <Alert status="error" mb="20px" borderRadius="15px">
+                <AlertIcon />
+                This reset link is incomplete. Please request a new one.
+              </Alert>
+            )}
+            {errors.length > 0 && (
+              <Alert status="error" mb="20px" borderRadius="15px">
+                <AlertIcon />
+                {errors.join(". ")}
+              </Alert>
+            )}
+            <form onSubmit={handleReset}>
+              <FormControl>
+                <FormLabel
+                  display="flex"
+                  ms="4px"
+                  fontSize="sm"
+                  fontWeight="500"
+                  color={textColor}
+                  mb="8px"
+                >
+                  New Password<Text color={brandStars}>*</Text>
+                </FormLabel>
+                {passwordInput("password", "Min. 6 characters")}
+                <FormLabel
+                  display="flex"
+                  ms="4px"
+                  fontSize="sm"
+                  fontWeight="500"
+                  color={textColor}
+                  mb="8px"
+                >
+                  Confirm Password<Text color={brandStars}>*</Text>
+                </FormLabel>
+                {passwordInput("confirmPassword", "Repeat your new password")}
+                <Button
+                  type="submit"
+                  fontSize="sm"
+                  variant="brand"
+                  fontWeight="500"
+                  w="100%"
+                  h="50"
+                  mb="20px"
+                  isLoading={submitting}
+                  isDisabled={!token || !formData.password}
+                >
+                  Reset Password
+                </Button>
+              </FormControl>
+            </form>
+            <Flex
+              flexDirection="column"
+              justifyContent="center"
+              alignItems="start"
+              maxW="100%"
+              mt="0px"
+            >
+              <Text color={textColorDetails} fontWeight="400" fontSize="14px">
+                Link expired?
+                <NavLink to="/auth/forgot-password">
+                  <Text
+                    color={textColorBrand}
+                    as="span"
+                    ms="5px"
+                    fontWeight="500"
+                  >
+                    Request a new one
+                  </Text>
+                </NavLink>
+              </Text>
+            </Flex>
+          </Flex>
+        </Flex>
+      </Box>
+    </DefaultAuth>
+  );
+}
+
+export default ResetPassword;
@@ -1,6 +1,6 @@
 // frontend/src/views/auth/signUp/index.jsx
-import React, { useState } from "react";
-import { NavLink, useNavigate } from "react-router-dom";
+import React, { useEffect, useState } from "react";
+import { NavLink, useNavigate, useSearchParams } from "react-router-dom";
 import {
   Box,
   Button,
@@ -26,12 +26,15 @@ import { RiEyeCloseLine } from "react-icons/ri";
 import InstituteSelector from "components/institute/InstituteSelector";
 import { useInstitute } from "contexts/InstituteContext";
 import { useAuth } from "contexts/AuthContext";
+import invitationService from "services/invitationService";
 
 function SignUp() {
   const navigate = useNavigate();
   const toast = useToast();
-  const { currentInstitute } = useInstitute();
+  const { currentInstitute, selectInstitute } = useInstitute();
   const { register, loading } = useAuth();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get("invite") || "";
 
   // Form state
   const [formData, setFormData] = useState({
@@ -44,6 +47,21 @@ function SignUp() {
   const [show, setShow] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
   const [agreeToTerms, setAgreeToTerms] = useState(false);
+  const [invitation, setInvitation] = useState(null);
+  const [inviteError, setInviteError] = useState("");
+
+  // An invite link decides the institute, email and role
+  useEffect(() => {
+    if (!inviteToken) return;
+    invitationService.lookup(inviteToken)
+      .then((response) => {
+        setInvitation(response.data);
+        setFormData(prev => ({ ...prev, email: response.data.email }));
+      })
+      .catch((error) => {
+        setInviteError(error.message || "This invitation could not be loaded");
+      });
+  }, [inviteToken]);
 
   // Chakra color mode
   const textColor = useColorModeValue("navy.700", "white");
@@ -74,7 +92,9 @@ function SignUp() {
     // Validation checks
     const validationErrors = [];
     
-    if (!currentInstitute) {
+    if (inviteToken && !invitation) {
+      validationErrors.push(inviteError || 'Your invitation is still loading');
+    } else if (!invitation && !currentInstitute) {
       validationErrors.push('Please select an institute first');
     }
     
@@ -89,7 +109,7 @@ function SignUp() {
 
     try {
       const userData = {
-        institute: currentInstitute,
+        ...(invitation ? { inviteToken } : { institute: currentInstitute }),
         fullName: formData.fullName,
         email: formData.email,
         password: formData.password,
@@ -99,6 +119,9 @@ function SignUp() {
       const response = await register(userData);
 
       if (response.success) {
+        if (response.data.user.instituteId !== currentInstitute?.id) {
+          await selectInstitute(response.data.user.instituteId);
+        }
         toast({
           title: "Success",
           description: "Account created successfully! Welcome to Green Pulse.",
@@ -189,20 +212,38 @@ function SignUp() {
               </Alert>
             )}
 
-            {/* Institute Selection */}
-            <Box mb="20px">
-              <FormLabel
-                display="flex"
-                ms="4px"
-                fontSize="sm"
-                fontWeight="500"
-                color={textColor}
-                mb="8px"
-              >
-                Institute<Text color={brandStars}>*</Text>
-              </FormLabel>
-              <InstituteSelector />
-            </Box>
+            {inviteError && (
+              <Alert status="warning" mb="20px" borderRadius="15px">
+                <AlertIcon />
+                {inviteError}
+              </Alert>
+            )}
+
+            {/* Institute Selection (an invitation already names the institute) */}
+            {invitation ? (
+              <Alert status="info" mb="20px" borderRadius="15px">
+                <AlertIcon />
+                <Text fontSize="sm">
+                  You have been invited to join <b>{invitation.institute.name}</b> as{" "}
+                  {invitation.role.replace("_", " ")}
+                  {invitation.department ? ` in ${invitation.department}` : ""}.
+                </Text>
+              </Alert>
+            ) : (
+              <Box mb="20px">
+                <FormLabel
+                  display="flex"
+                  ms="4px"
+                  fontSize="sm"
+                  fontWeight="500"
+                  color={textColor}
+                  mb="8px"
+                >
+                  Institute<Text color={brandStars}>*</Text>
+                </FormLabel>
+                <InstituteSelector />
+              </Box>
+            )}
             
             {/* FORM STARTS HERE */}
             <form onSubmit={handleSignUp}>
@@ -247,6 +288,7 @@ function SignUp() {
                   value={formData.email}
                   onChange={handleInputChange}
                   isRequired={true}
+                  isReadOnly={Boolean(invitation)}
                   variant="auth"
                   fontSize="sm"
                   ms={{ base: "0px", md: "0px" }}
@@ -113,11 +113,9 @@ async function main() {
   for (let i = 0; i < usageSamples.length; i++) {
     const kWh = usageSamples[i];
     const nonce = ethers.keccak256(ethers.toUtf8Bytes(`usage-nonce-${month}-${i}-${Date.now()}`));
-    const payloadHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address", "address", "uint256", "uint256", "bytes32"],
-        [await oracle.getAddress(), dept.address, month, kWh, nonce]
-      )
+    const payloadHash = ethers.solidityPackedKeccak256(
+      ["address", "address", "uint256", "uint256", "bytes32"],
+      [await oracle.getAddress(), dept.address, month, kWh, nonce]
     );
     const sig = await meterFeeder.signMessage(ethers.getBytes(payloadHash));
     await (await oracle.connect(meterFeeder).recordUsageSigned(dept.address, month, kWh, nonce, sig)).wait();